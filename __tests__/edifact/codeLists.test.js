@@ -0,0 +1,75 @@
+/**
+ * Code value check (elementValidator.checkCodeValue) and how its misses reach
+ * the upload analysis: complete lists and values outside a list's pattern are
+ * errors in D96A messages, other misses are information.
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { decodeEdifactBuffer } from '@/_modules/edifact/charset.js';
+import { checkCodeValue } from '@/_modules/edifact/validators/elementValidator.js';
+import { buildAnalysis } from '@/_modules/edifact/analysisBuilder.js';
+
+function sample(name) {
+    return decodeEdifactBuffer(readFileSync(path.resolve('edi_files', name))).text;
+}
+
+function codeFindings(raw) {
+    return buildAnalysis(raw, { size: raw.length }, {}).validation.details
+        .filter(d => d.code === 'INVALID_CODE_VALUE');
+}
+
+const ORDER = (body) => "UNA:+.? 'UNB+UNOC:3+SENDER:14+RECEIVER:14+200101:1200+1'UNH+1+ORDERS:D:96A:UN'" +
+    `BGM+220+PO1+9'${body}UNT+${3 + body.split("'").length - 1}+1'UNZ+1+1'`;
+
+describe('checkCodeValue', () => {
+    it.each([
+        ['137', '2005'],
+        ['BY', '3035'],
+        ['ON', '1153'],
+        ['9', '3055'],
+        ['ZZZ', '3055'],
+        ['102', '2379'],
+        ['AB', '4343']
+    ])('accepts %s in %s', (value, elementId) => {
+        expect(checkCodeValue(value, elementId)).toBeNull();
+    });
+
+    it.each([
+        ['XX1', '3035'],
+        ['QQQ', '1153'],
+        ['AA', '3055'],
+        ['999', '2005'],
+        ['X', '2379'],
+        ['ABC', '4343']
+    ])('rejects %s in %s for certain', (value, elementId) => {
+        expect(checkCodeValue(value, elementId)).toMatchObject({ code: 'INVALID_CODE_VALUE', codeList: elementId, complete: true });
+    });
+
+    it('keeps misses inside the pattern of a partial list uncertain', () => {
+        expect(checkCodeValue('450', '2005')).toMatchObject({ complete: false });
+        expect(checkCodeValue('250', '3055')).toMatchObject({ complete: false });
+    });
+});
+
+describe('code misses in the analysis', () => {
+    it('reports the agency of PurchaseOrderInvalid.txt as an error', () => {
+        const findings = codeFindings(sample('EDIFACT/PurchaseOrderInvalid.txt'));
+        expect(findings).toContainEqual(expect.objectContaining({ segment: 'FTX', severity: 'error' }));
+        expect(findings.find(d => d.segment === 'FTX').error).toContain("'AA' is not a code of 3055");
+    });
+
+    it('reports DTM+999 and NAD+XX1 as errors', () => {
+        const findings = codeFindings(ORDER("DTM+999:20200101:102'NAD+XX1+4000001000005::9'"));
+        expect(findings.map(d => [d.segment, d.severity])).toEqual([['DTM', 'error'], ['NAD', 'error']]);
+    });
+
+    it('checks the agency even when it is not UN/ECE', () => {
+        const findings = codeFindings(ORDER("NAD+BY+4000001000005::AA'"));
+        expect(findings).toEqual([expect.objectContaining({ segment: 'NAD', severity: 'error' })]);
+    });
+
+    it('keeps misses in other directories as information', () => {
+        const findings = codeFindings(ORDER("NAD+XX1+4000001000005::9'").replace('D:96A', 'D:01B'));
+        expect(findings.map(d => d.severity)).toEqual(['info']);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Pseudonymization (pseudonymization.js): the values collected from every
+ * bundled EDI sample must be gone after masking, and unmasking restores the
+ * original text.
+ */
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { decodeEdifactBuffer } from '@/_modules/edifact/charset.js';
+import { collectSensitiveValues, createMasker } from '@/_modules/edifact/pseudonymization.js';
+
+// Sample directories in a syntax the collector reads (UN/EDIFACT incl. interactive, X12)
+const FORMATS = ['EDIFACT', 'EANCOM', 'EDIGAS', 'SCRIPT', 'X12', 'HIPAA'];
+
+function read(file) {
+    return decodeEdifactBuffer(readFileSync(path.resolve('edi_files', file))).text;
+}
+
+function samples(format) {
+    return readdirSync(path.resolve('edi_files', format))
+        .filter(name => !/\.(csv|json|xml)$/i.test(name))
+        .map(name => `${format}/${name}`);
+}
+
+function mask(raw) {
+    const values = collectSensitiveValues(raw);
+    const masker = createMasker();
+    masker.add(values);
+    return { values, masker, masked: masker.mask(raw) };
+}
+
+// Same token boundaries as the masker
+function containsToken(text, token) {
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+describe.each(FORMATS)('%s samples', (format) => {
+    const files = samples(format);
+
+    it('collects sensitive values', () => {
+        const collected = files.map(file => collectSensitiveValues(read(file)).length);
+        expect(Math.max(...collected)).toBeGreaterThan(0);
+    });
+
+    it.each(files)('%s keeps no collected value after masking', (file) => {
+        const raw = read(file);
+        const { values, masker, masked } = mask(raw);
+
+        const leaked = values.filter(v => [v.value, ...v.variants].some(text => containsToken(masked, text)));
+        expect(leaked.map(v => v.value)).toEqual([]);
+        expect(masker.unmask(masked)).toBe(raw);
+    });
+});
+
+describe('NCPDP SCRIPT', () => {
+    it('masks the password, parties, patient and communication numbers of a NEWRX', () => {
+        const { values, masked } = mask(read('SCRIPT/PrescriptionRequest_NEWRX.txt'));
+        const byValue = Object.fromEntries(values.map(v => [v.value, v.category]));
+
+        expect(byValue).toMatchObject({
+            PASSWORDA: 'CREDENTIAL',
+            77777777: 'PARTY_ID',
+            7701630: 'PARTY_ID',
+            6666666: 'PARTY_ID',
+            'MAIN STREET PHARMACY': 'NAME',
+            JONES: 'NAME',
+            MARK: 'NAME',
+            SMITH: 'NAME',
+            MARY: 'NAME',
+            19541225: 'PERSON',
+            333445555: 'PERSON',
+            6152205656: 'CONTACT',
+            6152219800: 'CONTACT'
+        });
+        expect(masked).toContain('UIB+UNOA:0++1234567+++[PARTY_1]:C:[SECRET_1]+[PARTY_2]:P+');
+        expect(masked).toMatch(/PTT\+\+\[PERSON_\d+\]\+\[NAME_\d+\]:\[NAME_\d+\]\+F\+\[PERSON_\d+\]:SY'/);
+    });
+
+    it('masks the recipient password and the cardholder of other SCRIPT messages', () => {
+        expect(mask(read('SCRIPT/PharmacyRequest.txt')).values).toContainEqual(expect.objectContaining({ value: 'PASSWORDB', category: 'CREDENTIAL' }));
+        expect(mask(read('SCRIPT/PrescriptionRequests_NEWRX.txt')).values).toContainEqual(expect.objectContaining({ value: '123456789', category: 'PERSON' }));
+    });
+
+    it('masks every repetition of a communication element', () => {
+        const raw = "UNA:+./*'UIB+UNOA:0++1+++SENDER:C+RECEIVER:P'PVD+P1+7701630:D3+++++CORNER PHARMACY++6152205656:TE*6152205657:FX'UIZ++1'";
+        const { masked } = mask(raw);
+        expect(masked).toContain('[CONTACT_1]:TE*[CONTACT_2]:FX');
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * INVOIC amount reconciliation (reconciliation.js) and how its discrepancies
+ * reach validate() (BIZ_006–BIZ_010) and the upload analysis.
+ *
+ * Fixtures are the bundled sample invoices; the failing cases change one
+ * amount of them.
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { decodeEdifactBuffer } from '@/_modules/edifact/charset.js';
+import { parseRawEdifact } from '@/_modules/edifact/parser.js';
+import { numericOptions } from '@/_modules/edifact/numeric.js';
+import { reconcileInvoice, DEFAULT_AMOUNT_TOLERANCE } from '@/_modules/edifact/reconciliation.js';
+import { validate } from '@/_modules/edifact/validators/edifactValidator.js';
+import { buildAnalysis } from '@/_modules/edifact/analysisBuilder.js';
+
+function sample(name) {
+    return decodeEdifactBuffer(readFileSync(path.resolve('edi_files', name))).text;
+}
+
+function reconcile(raw, tolerance) {
+    const { segments, delimiters } = parseRawEdifact(raw);
+    const numeric = numericOptions(delimiters, segments.find(s => s.tag === 'UNB'));
+    return { segments, ...reconcileInvoice(segments, { numeric, tolerance }) };
+}
+
+const INVOICE = sample('EDIFACT/Invoice.txt');
+
+// Line 2: QTY+47 12.65 × PRI+AAA 200 = 2530
+const withLineAmount = amount => INVOICE.replace("MOA+203:2530'", `MOA+203:${amount}'`);
+
+// Decimal comma, QTY 3 × PRI 10,5 = 31,5 sent as 32,5
+const COMMA_INVOICE = "UNA:+,? 'UNB+UNOC:3+SENDER:14+RECEIVER:14+200101:1200+1'UNH+1+INVOIC:D:96A:UN'" +
+    "BGM+380+INV1+9'DTM+137:20200101:102'LIN+1++4000862141404:SRS'QTY+47:3'MOA+203:32,5'PRI+AAA:10,5'" +
+    "UNS+S'MOA+79:32,5'UNT+10+1'UNZ+1+1'";
+
+describe('reconcileInvoice', () => {
+    it.each(['EDIFACT/Invoice.txt', 'EANCOM/Invoice.txt'])('finds no discrepancy in %s', (name) => {
+        const { messages, checked, discrepancies } = reconcile(sample(name));
+        expect(messages).toBe(1);
+        expect(checked.LINE_AMOUNT).toBe(2);
+        expect(checked.TAX).toBeGreaterThan(0);
+        expect(discrepancies).toEqual([]);
+    });
+
+    it('reports a line amount that differs from quantity × price at the MOA position', () => {
+        const { segments, discrepancies } = reconcile(COMMA_INVOICE);
+        expect(discrepancies).toHaveLength(1);
+
+        const [line] = discrepancies;
+        expect(line).toMatchObject({ check: 'LINE_AMOUNT', message: '1', expected: 31.5, actual: 32.5, difference: 1 });
+        expect(segments.find(s => s.position === line.position).raw).toBe('MOA+203:32,5');
+    });
+
+    it('skips messages that are not invoices', () => {
+        expect(reconcile(sample('EDIFACT/PurchaseOrder.txt')).messages).toBe(0);
+    });
+
+    describe('tolerance boundary', () => {
+        it(`accepts a difference of exactly the default tolerance (${DEFAULT_AMOUNT_TOLERANCE})`, () => {
+            expect(reconcile(withLineAmount('2530.01')).discrepancies).toEqual([]);
+        });
+
+        it('reports a difference just above the default tolerance', () => {
+            const found = reconcile(withLineAmount('2530.02')).discrepancies;
+            expect(found.map(d => d.check)).toEqual(['LINE_AMOUNT', 'LINE_TOTAL']);
+            expect(found[0]).toMatchObject({ expected: 2530, actual: 2530.02, difference: 0.02 });
+        });
+
+        it('accepts a difference of exactly a configured tolerance', () => {
+            expect(reconcile(withLineAmount('2530.05'), 0.05).discrepancies).toEqual([]);
+        });
+
+        it('reports a difference just above a configured tolerance', () => {
+            expect(reconcile(withLineAmount('2530.06'), 0.05).discrepancies.map(d => d.check))
+                .toEqual(['LINE_AMOUNT', 'LINE_TOTAL']);
+        });
+
+        it('reports every difference with a tolerance of 0', () => {
+            // The cent also changes the tax of the line and of the 19% rate
+            expect(reconcile(withLineAmount('2530.01'), 0).discrepancies.map(d => d.check))
+                .toEqual(['LINE_AMOUNT', 'LINE_TOTAL', 'TAX', 'TAX']);
+        });
+    });
+});
+
+describe('validate() reconciliation rules', () => {
+    const failed = (raw, options) => validate(raw, options).failures.map(f => f.code).filter(c => /^BIZ_0(0[6-9]|10)$/.test(c));
+
+    it('passes the sample invoice', () => {
+        expect(failed(INVOICE)).toEqual([]);
+    });
+
+    it('fails BIZ_006 and BIZ_007 above the tolerance', () => {
+        expect(failed(withLineAmount('2530.02'))).toEqual(['BIZ_006', 'BIZ_007']);
+    });
+
+    it('uses options.amountTolerance', () => {
+        expect(failed(withLineAmount('2530.02'), { amountTolerance: 0.02 })).toEqual([]);
+    });
+
+    it('uses the amount tolerance of the partner profile', () => {
+        const partners = [{ sender: 'SENDER1', amountTolerance: 0.05 }];
+        expect(failed(withLineAmount('2530.05'), { partners })).toEqual([]);
+        expect(failed(withLineAmount('2530.06'), { partners })).toEqual(['BIZ_006', 'BIZ_007']);
+    });
+});
+
+describe('analysis validation', () => {
+    const analyse = (raw, userContext) => buildAnalysis(raw, { originalName: 'invoice.edi', size: raw.length }, userContext);
+
+    it('counts amounts that do not reconcile as message errors with their position', () => {
+        const analysis = analyse(COMMA_INVOICE);
+        const [message] = analysis.messages;
+        const line = message.validation.details.find(d => d.code === 'BIZ_006');
+
+        expect(message.status).not.toBe('validated');
+        expect(message.validation.errorCount).toBe(1);
+        expect(analysis.validation.errorCount).toBe(1);
+        expect(line).toMatchObject({ segment: 'MOA', severity: 'error', position: 7, elementPosition: 1, componentPosition: 2 });
+        expect(line.suggestion).toContain('31,5');
+        expect(line.location).toMatchObject({ line: 1, length: 4 });
+    });
+
+    it('keeps a reconciling invoice free of reconciliation findings', () => {
+        const codes = analyse(INVOICE).validation.details.map(d => d.code);
+        expect(codes.filter(c => c.startsWith('BIZ_'))).toEqual([]);
+    });
+
+    it('applies the amount tolerance of the user context and the partner profile', () => {
+        const codes = ctx => analyse(withLineAmount('2530.02'), ctx).validation.details.map(d => d.code);
+        expect(codes({})).toContain('BIZ_006');
+        expect(codes({ amountTolerance: 0.02 })).not.toContain('BIZ_006');
+        expect(codes({ partners: [{ sender: 'SENDER1', amountTolerance: 0.02 }] })).not.toContain('BIZ_006');
+    });
+
+    it('disables the reconciliation findings through the partner profile', () => {
+        const partners = [{ sender: 'SENDER', disabledRules: ['BIZ_006'] }];
+        const codes = analyse(COMMA_INVOICE, { partners }).validation.details.map(d => d.code);
+        expect(codes).not.toContain('BIZ_006');
+    });
+});
@@ -0,0 +1,7 @@
+/**
+ * Vitest setup
+ * Runs before every test file (vitest.config.js setupFiles).
+ */
+
+// Analysis and report dates are built from UTC; keep local time out of the assertions
+process.env.TZ = 'UTC';
@@ -0,0 +1,1844 @@
+/**
+ * EDIFACT Analysis Builder
+ * ========================
+ * Deterministic builder that converts parsed EDIFACT segments
+ * into a rich analysis object matching EdifactAnalysis schema.
+ *
+ * Pure function - no side effects, no DB access, no LLM calls.
+ * Shared by the upload worker (_workers/edifactParser.worker.js), the agent
+ * analysis runner and the tools; safe to run inside worker_threads.
+ */
+
+import {
+    detectDelimiters,
+    createTokenizer,
+    segmentFromToken,
+    partyQualifierLabel,
+    detectEnvelope,
+    envelopeFields,
+    sourceLocation,
+    formatLocation,
+    KNOWN_SEGMENT_TAGS,
+    DTM_QUALIFIERS
+} from './parser.js';
+import { SYNTAX_LEVELS, findIllegalCharacters } from './charset.js';
+import { createGroupResolver } from './structures.js';
+import { createElementValidator } from './validators/elementValidator.js';
+import { normalizeDirectory } from './directory/index.js';
+import { collectApplicationErrors } from './aperak.js';
+import { findPartnerProfile, checkPartnerProfile, applyPartnerProfile } from './validators/partnerProfiles.js';
+import { createSegmentRecovery, isSegmentTag, startsSegment } from './recovery.js';
+import { numericOptions, extractNumericValues } from './numeric.js';
+import { parseEdifactDateTime } from './datetime.js';
+import { extractLineItems } from './lineItems.js';
+import { reconcileInvoice, DEFAULT_AMOUNT_TOLERANCE } from './reconciliation.js';
+import { getRules, RECONCILIATION_RULE_CODES } from './validators/rules.js';
+
+// ==================== DATA EXTRACTORS ====================
+
+/**
+ * Extract interchange data from UNB (or interactive UIB) segment
+ */
+function _extractInterchange(unbSegment) {
+    if (!unbSegment) return null;
+    if (unbSegment.tag === 'UIB') return _extractInteractiveInterchange(unbSegment);
+
+    const f = unbSegment.fields;
+
+    // UNB+syntax:version+sender:qualifier+receiver:qualifier+date:time+controlRef+...
+    const syntaxField = f[0]?.components || [];
+    const senderField = f[1]?.components || [];
+    const receiverField = f[2]?.components || [];
+    const dateTimeField = f[3]?.components || [];
+    const controlRef = f[4]?.value || '';
+
+    const dateTime = _parseEnvelopeDateTime(dateTimeField[0], dateTimeField[1]);
+
+    return {
+        sender: senderField[0] || '',
+        senderQualifier: senderField[1] || '',
+        receiver: receiverField[0] || '',
+        receiverQualifier: receiverField[1] || '',
+        controlReference: controlRef,
+        syntaxIdentifier: syntaxField[0] || '',
+        syntaxVersion: syntaxField[1] || '',
+        testIndicator: (f[10]?.value === '1') || false,
+        dateTime,
+        recipientRef: f[5]?.value || '',
+        applicationRef: f[6]?.value || '',
+        interactive: false
+    };
+}
+
+/**
+ * Extract interchange data from an interactive UIB segment (ISO 9735-3).
+ * The dialogue reference (or the transaction reference when no dialogue is
+ * open) takes the place of the interchange control reference.
+ */
+function _extractInteractiveInterchange(uibSegment) {
+    const f = uibSegment.fields;
+
+    // UIB+syntax:version+dialogueRef+transactionRef+scenario+dialogue+sender:qualifier+receiver:qualifier+date:time+duplicate+test
+    const syntaxField = f[0]?.components || [];
+    const senderField = f[5]?.components || [];
+    const receiverField = f[6]?.components || [];
+    const dateTimeField = f[7]?.components || [];
+    const dialogueReference = f[1]?.components[0] || '';
+    const transactionReference = f[2]?.components[0] || '';
+
+    return {
+        sender: senderField[0] || '',
+        senderQualifier: senderField[1] || '',
+        receiver: receiverField[0] || '',
+        receiverQualifier: receiverField[1] || '',
+        controlReference: dialogueReference || transactionReference,
+        syntaxIdentifier: syntaxField[0] || '',
+        syntaxVersion: syntaxField[1] || '',
+        testIndicator: (f[9]?.value === '1') || false,
+        dateTime: _parseEnvelopeDateTime(dateTimeField[0], dateTimeField[1]),
+        recipientRef: '',
+        applicationRef: '',
+        interactive: true,
+        dialogueReference,
+        transactionReference
+    };
+}
+
+/**
+ * Parse envelope date (YYMMDD or CCYYMMDD) + time (HHMM) into a Date object
+ */
+function _parseEnvelopeDateTime(dateStr, timeStr = '0000') {
+    if (!dateStr) return null;
+    try {
+        // EDIFACT dates: YYMMDD or YYYYMMDD
+        const year = dateStr.length === 6 ? '20' + dateStr.slice(0, 2) : dateStr.slice(0, 4);
+        const month = dateStr.slice(-4, -2);
+        const day = dateStr.slice(-2);
+        const time = timeStr || '0000';
+        const hour = time.slice(0, 2);
+        const minute = time.slice(2, 4);
+        const dateTime = new Date(`${year}-${month}-${day}T${hour}:${minute}:00Z`);
+        return isNaN(dateTime.getTime()) ? null : dateTime;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Open a functional group (UNG..UNE) from its header. Trailer data,
+ * segment range end and message count are filled in while the group is read.
+ */
+function _groupFromUng(seg, index) {
+    const f = seg.fields;
+    // UNG+groupId+sender:qualifier+recipient:qualifier+date:time+groupRef+agency+type:version:release:association+password
+    const senderField = f[1]?.components || [];
+    const recipientField = f[2]?.components || [];
+    const dateTimeField = f[3]?.components || [];
+    const versionField = f[6]?.components || [];
+    return {
+        index,
+        groupId: f[0]?.value || '',
+        sender: senderField[0] || '',
+        senderQualifier: senderField[1] || '',
+        receiver: recipientField[0] || '',
+        receiverQualifier: recipientField[1] || '',
+        dateTime: _parseEnvelopeDateTime(dateTimeField[0], dateTimeField[1]),
+        controlReference: f[4]?.value || '',
+        controllingAgency: f[5]?.value || '',
+        messageVersion: versionField[0] || '',
+        messageRelease: versionField[1] || '',
+        associationCode: versionField[2] || '',
+        declaredMessageCount: null,
+        trailerReference: null,
+        hasTrailer: false,
+        messageCount: 0,
+        segmentRange: { start: seg.position, end: seg.position }
+    };
+}
+
+/**
+ * Extract message header from UNH (or interactive UIH) segment
+ */
+function _extractMessageHeader(unhSegment) {
+    if (!unhSegment) return null;
+
+    const f = unhSegment.fields;
+    if (unhSegment.tag === 'UIH') {
+        // UIH+type:version:release:subFunction:agency:associationCode+messageRef+dialogueRef+status+date:time
+        const idField = f[0]?.components || [];
+        const dateTimeField = f[4]?.components || [];
+        return {
+            messageReference: f[1]?.value || '',
+            messageType: idField[0] || '',
+            messageVersion: idField[1] || '',
+            messageRelease: idField[2] || '',
+            controllingAgency: idField[4] || '',
+            associationCode: idField[5] || '',
+            subFunction: idField[3] || '',
+            dialogueReference: f[2]?.components[0] || '',
+            dateTime: _parseEnvelopeDateTime(dateTimeField[0], dateTimeField[1])
+        };
+    }
+
+    // UNH+messageRef+type:version:release:agency:associationCode
+    const messageRef = f[0]?.value || '';
+    const typeField = f[1]?.components || [];
+
+    return {
+        messageReference: messageRef,
+        messageType: typeField[0] || '',
+        messageVersion: typeField[1] || '',
+        messageRelease: typeField[2] || '',
+        controllingAgency: typeField[3] || '',
+        associationCode: typeField[4] || ''
+    };
+}
+
+/**
+ * Extract business data from BGM, DTM, MOA, CUX, RFF, LIN segments.
+ * Amounts, quantities, prices and percentages are typed numbers read in the
+ * declared decimal notation (numeric.js), each with its raw string.
+ * lineItems holds one structured record per LIN group (lineItems.js).
+ */
+function _extractBusinessData(parsedSegments, numeric = {}) {
+    const numbers = extractNumericValues(parsedSegments, numeric);
+    const typed = (kind) => numbers.filter(n => n.kind === kind).map(n => ({
+        qualifier: n.qualifier,
+        value: n.value,
+        raw: n.raw,
+        decimals: n.decimals,
+        ...(n.currency !== undefined ? { currency: n.currency } : {}),
+        ...(n.unit !== undefined ? { unit: n.unit } : {}),
+        position: n.position
+    }));
+    const business = {
+        documentNumber: '',
+        documentType: '',
+        documentDate: null,
+        documentFunction: '',
+        currency: '',
+        totalAmount: null,
+        taxAmount: null,
+        netAmount: null,
+        lineItemCount: 0,
+        dates: [],
+        references: [],
+        amounts: typed('amount'),
+        quantities: typed('quantity'),
+        prices: typed('price'),
+        percentages: typed('percentage')
+    };
+
+    for (const seg of parsedSegments) {
+        switch (seg.tag) {
+            case 'BGM': {
+                // BGM+docType+docNumber+functionCode
+                const docTypeField = seg.fields[0]?.components || [];
+                business.documentType = docTypeField[0] || '';
+                business.documentNumber = seg.fields[1]?.value || '';
+                business.documentFunction = seg.fields[2]?.value || '';
+                break;
+            }
+            case 'DTM': {
+                // DTM+qualifier:value:format
+                const dtmField = seg.fields[0]?.components || [];
+                const qualifier = dtmField[0] || '';
+                const dateValue = dtmField[1] || '';
+                const format = dtmField[2] || '';
+
+                // date = start of a period; end only for periods (718 delivery windows, 616 weeks, ...)
+                const parsed = parseEdifactDateTime(dateValue, format);
+                business.dates.push({
+                    qualifier,
+                    date: parsed?.start || null,
+                    end: parsed?.end || null,
+                    format: parsed?.format || format,
+                    kind: parsed?.kind || null,
+                    display: parsed?.valid ? parsed.display : dateValue,
+                    valid: parsed?.valid ?? false,
+                    position: seg.position
+                });
+
+                // Document date (qualifier 137 or 3)
+                if ((qualifier === '137' || qualifier === '3') && !business.documentDate) {
+                    business.documentDate = parsed?.start || null;
+                }
+                break;
+            }
+            case 'CUX': {
+                // CUX+qualifier:currencyCode:...
+                const cuxField = seg.fields[0]?.components || [];
+                business.currency = cuxField[1] || '';
+                break;
+            }
+            case 'MOA': {
+                // MOA+qualifier:amount:currency
+                const moa = numbers.find(n => n.position === seg.position);
+                const qualifier = moa?.qualifier || '';
+                const amount = moa?.value ?? null;
+
+                // 9 = total, 39 = total, 79 = total, 86 = tax, 124 = tax, 125 = net
+                if (['9', '39', '79', '86', '124', '125', '203'].includes(qualifier)) {
+                    if (['9', '39', '79'].includes(qualifier)) business.totalAmount = amount;
+                    if (['86', '124'].includes(qualifier)) business.taxAmount = amount;
+                    if (qualifier === '125') business.netAmount = amount;
+                }
+                break;
+            }
+            case 'RFF': {
+                // RFF+qualifier:value
+                const rffField = seg.fields[0]?.components || [];
+                business.references.push({
+                    qualifier: rffField[0] || '',
+                    value: rffField[1] || ''
+                });
+                break;
+            }
+            case 'LIN':
+            case 'DRU': {
+                business.lineItemCount++;
+                break;
+            }
+        }
+    }
+
+    business.lineItems = extractLineItems(parsedSegments, numbers);
+    return business;
+}
+
+/**
+ * Build a party from a NAD segment
+ * NAD+qualifier+id:qualifier:idType++name+street+city++postalCode+countryCode
+ */
+function _partyFromNad(seg) {
+    const qualifier = seg.fields[0]?.value || '';
+    const idField = seg.fields[1]?.components || [];
+    const nameField = seg.fields[3]?.components || [];
+    const streetField = seg.fields[4]?.components || [];
+    const cityField = seg.fields[5]?.components || [];
+    const postalField = seg.fields[7]?.components || [];
+    const countryField = seg.fields[8]?.components || [];
+
+    return {
+        qualifier,
+        id: idField[0] || '',
+        idType: idField[2] || '',
+        name: nameField.filter(Boolean).join(' '),
+        address: {
+            street: streetField.filter(Boolean),
+            city: cityField[0] || '',
+            postalCode: postalField[0] || '',
+            countryCode: countryField[0] || '',
+            region: ''
+        },
+        contact: {
+            name: '',
+            phone: '',
+            email: '',
+            fax: ''
+        }
+    };
+}
+
+/**
+ * Build a party from an NCPDP SCRIPT PVD (provider) segment
+ * PVD+role+id:idQualifier+++last:first++partyName+street:city:state:postalCode+number:commQualifier
+ */
+function _partyFromPvd(seg) {
+    const idField = seg.fields[1]?.components || [];
+    const personField = seg.fields[4]?.components || [];
+    const addressField = seg.fields[7]?.components || [];
+
+    const party = {
+        qualifier: seg.fields[0]?.value || '',
+        id: idField[0] || '',
+        idType: idField[1] || '',
+        name: seg.fields[6]?.value || personField.filter(Boolean).join(' '),
+        address: {
+            street: addressField[0] ? [addressField[0]] : [],
+            city: addressField[1] || '',
+            postalCode: addressField[3] || '',
+            countryCode: '',
+            region: addressField[2] || ''
+        },
+        contact: {
+            name: seg.fields[6]?.value ? personField.filter(Boolean).join(' ') : '',
+            phone: '',
+            email: '',
+            fax: ''
+        }
+    };
+    _applyCommunication(party, seg.fields[8]);
+    return party;
+}
+
+/**
+ * Build the patient party from an NCPDP SCRIPT PTT segment
+ * PTT+relationship+birthDate+last:first+gender+id:idQualifier+address+number:commQualifier
+ */
+function _partyFromPtt(seg) {
+    const idField = seg.fields[4]?.components || [];
+    const nameField = seg.fields[2]?.components || [];
+    const addressField = seg.fields[5]?.components || [];
+
+    const party = {
+        qualifier: 'PAT',
+        id: idField[0] || '',
+        idType: idField[1] || '',
+        name: nameField.filter(Boolean).join(' '),
+        address: {
+            street: addressField[0] ? [addressField[0]] : [],
+            city: addressField[1] || '',
+            postalCode: addressField[3] || '',
+            countryCode: '',
+            region: addressField[2] || ''
+        },
+        contact: {
+            name: '',
+            phone: '',
+            email: '',
+            fax: ''
+        }
+    };
+    _applyCommunication(party, seg.fields[6]);
+    return party;
+}
+
+/**
+ * Apply a number:qualifier communication element (every repetition) to a party's contact
+ */
+function _applyCommunication(party, field) {
+    if (!field) return;
+    for (const occurrence of field.repetitions || [field]) {
+        const [value = '', type = ''] = occurrence.components;
+        switch (type) {
+            case 'TE': party.contact.phone = value; break;
+            case 'EM': party.contact.email = value; break;
+            case 'FX': party.contact.fax = value; break;
+        }
+    }
+}
+
+/**
+ * Apply a CTA or COM segment to a party's contact
+ */
+function _applyContact(party, seg) {
+    if (seg.tag === 'CTA') {
+        // CTA+qualifier+name
+        const ctaName = seg.fields[1]?.components || [];
+        party.contact.name = ctaName.filter(Boolean).join(' ');
+        return;
+    }
+
+    // COM+number:qualifier
+    const comField = seg.fields[0]?.components || [];
+    const comValue = comField[0] || '';
+    const comType = comField[1] || '';
+
+    switch (comType) {
+        case 'TE': party.contact.phone = comValue; break;
+        case 'EM': party.contact.email = comValue; break;
+        case 'FX': party.contact.fax = comValue; break;
+    }
+}
+
+/**
+ * Extract parties from NAD segments (with following CTA/COM) and NCPDP SCRIPT
+ * PVD/PTT segments.
+ * When segment groups are resolved, CTA/COM are attached to the NAD group
+ * they belong to; otherwise the next NAD or an unrelated segment ends a party.
+ */
+function _extractParties(parsedSegments) {
+    if (parsedSegments.some(s => s.sgPath)) {
+        return _extractPartiesByGroup(parsedSegments);
+    }
+
+    const parties = [];
+    let currentParty = null;
+
+    for (const seg of parsedSegments) {
+        if (seg.tag === 'NAD') {
+            // Save previous party
+            if (currentParty) parties.push(currentParty);
+            currentParty = _partyFromNad(seg);
+        } else if ((seg.tag === 'CTA' || seg.tag === 'COM') && currentParty) {
+            _applyContact(currentParty, seg);
+        } else if (seg.tag === 'PVD' || seg.tag === 'PTT') {
+            if (currentParty) parties.push(currentParty);
+            currentParty = null;
+            parties.push(seg.tag === 'PVD' ? _partyFromPvd(seg) : _partyFromPtt(seg));
+        } else if (seg.tag !== 'RFF' && currentParty && !['CTA', 'COM', 'RFF'].includes(seg.tag)) {
+            // New segment group - save current party
+            parties.push(currentParty);
+            currentParty = null;
+        }
+    }
+
+    // Save last party
+    if (currentParty) parties.push(currentParty);
+
+    return parties;
+}
+
+/**
+ * Structure-aware party extraction: CTA belongs to the NAD that triggers its
+ * enclosing group, COM to its CTA
+ */
+function _extractPartiesByGroup(parsedSegments) {
+    const partiesByPosition = new Map();
+    const contactOwner = new Map();
+
+    for (const seg of parsedSegments) {
+        if (seg.tag === 'NAD') {
+            partiesByPosition.set(seg.position, _partyFromNad(seg));
+        } else if (seg.tag === 'CTA' && partiesByPosition.has(seg.sgParent)) {
+            const party = partiesByPosition.get(seg.sgParent);
+            contactOwner.set(seg.position, party);
+            _applyContact(party, seg);
+        } else if (seg.tag === 'COM') {
+            const party = contactOwner.get(seg.sgParent) || partiesByPosition.get(seg.sgParent);
+            if (party) _applyContact(party, seg);
+        }
+    }
+
+    return [...partiesByPosition.values()];
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Interchange-level structural validation (UNB/UNZ or UIB/UIZ envelope, UNG/UNE groups, counts, tags).
+ * segments only needs the envelope segments, the first message header and
+ * segments with unknown tags; messages only unh and groupIndex.
+ */
+function _validateInterchange(segments, messages, groups, envelope = detectEnvelope(segments)) {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const { interchangeHeader, interchangeTrailer, messageHeader } = envelope;
+    const segmentTags = segments.map(s => s.tag);
+    const hasUNB = segmentTags.includes(interchangeHeader);
+    const hasUNZ = segmentTags.includes(interchangeTrailer);
+    const hasUNH = segmentTags.includes(messageHeader);
+    const messageCount = messages.filter(m => m.unh).length;
+
+    // Required envelope segments
+    if (!hasUNB) {
+        details.push({
+            segment: interchangeHeader, code: `MISSING_${interchangeHeader}`,
+            error: `Missing interchange header (${interchangeHeader})`, severity: 'error',
+            suggestion: `Add ${interchangeHeader} segment at the beginning of the interchange`
+        });
+        errorCount++;
+    }
+    if (!hasUNZ) {
+        details.push({
+            segment: interchangeTrailer, code: `MISSING_${interchangeTrailer}`,
+            error: `Missing interchange trailer (${interchangeTrailer})`, severity: 'error',
+            suggestion: `Add ${interchangeTrailer} segment at the end of the interchange`
+        });
+        errorCount++;
+    }
+    if (!hasUNH) {
+        details.push({
+            segment: messageHeader, code: `MISSING_${messageHeader}`,
+            error: `Missing message header (${messageHeader})`, severity: 'error',
+            suggestion: `Add ${messageHeader} segment before message content`
+        });
+        errorCount++;
+    }
+
+    // UNZ/UIZ count validation (counts groups when UNG is used, messages otherwise)
+    const unzSegment = segments.find(s => s.tag === interchangeTrailer);
+    if (unzSegment && hasUNH) {
+        const declaredCount = parseInt(envelopeFields(unzSegment).count, 10);
+        const unit = groups.length > 0 ? 'groups' : 'messages';
+        const actualCount = groups.length > 0 ? groups.length : messageCount;
+        if (declaredCount && declaredCount !== actualCount) {
+            details.push({
+                segment: interchangeTrailer, code: 'MESSAGE_COUNT_MISMATCH', position: unzSegment.position,
+                error: `${interchangeTrailer} declares ${declaredCount} ${unit} but found ${actualCount}`,
+                severity: 'warning',
+                suggestion: `Update ${interchangeTrailer} ${unit === 'groups' ? 'group' : 'message'} count to ${actualCount}`
+            });
+            warningCount++;
+        }
+    }
+
+    // Functional group validation (UNG..UNE)
+    const seenGroupRefs = new Set();
+    for (const group of groups) {
+        const label = group.controlReference || `#${group.index + 1}`;
+
+        if (!group.hasTrailer) {
+            details.push({
+                segment: 'UNE', code: 'MISSING_UNE', position: group.segmentRange.end,
+                error: `Functional group ${label} has no trailer (UNE)`, severity: 'error',
+                suggestion: 'Add UNE segment at the end of each functional group'
+            });
+            errorCount++;
+        } else {
+            if (group.declaredMessageCount !== null && group.declaredMessageCount !== group.messageCount) {
+                details.push({
+                    segment: 'UNE', code: 'GROUP_MESSAGE_COUNT_MISMATCH', position: group.segmentRange.end,
+                    error: `UNE of group ${label} declares ${group.declaredMessageCount} messages but found ${group.messageCount}`,
+                    severity: 'warning',
+                    suggestion: `Update UNE message count to ${group.messageCount}`
+                });
+                warningCount++;
+            }
+            if (group.controlReference && group.trailerReference && group.controlReference !== group.trailerReference) {
+                details.push({
+                    segment: 'UNE', code: 'GROUP_REFERENCE_MISMATCH', position: group.segmentRange.end,
+                    error: `UNE reference "${group.trailerReference}" does not match UNG reference "${group.controlReference}"`,
+                    severity: 'error',
+                    suggestion: `Set UNE group reference to ${group.controlReference}`
+                });
+                errorCount++;
+            }
+        }
+
+        if (group.controlReference && seenGroupRefs.has(group.controlReference)) {
+            details.push({
+                segment: 'UNG', code: 'DUPLICATE_GROUP_REFERENCE', position: group.segmentRange.start,
+                error: `Group reference "${group.controlReference}" is used by more than one group`,
+                severity: 'error',
+                suggestion: 'Use a unique group reference number for each UNG within the interchange'
+            });
+            errorCount++;
+        }
+        seenGroupRefs.add(group.controlReference);
+    }
+
+    const ungroupedCount = groups.length > 0
+        ? messages.filter(m => m.unh && m.groupIndex === null).length
+        : 0;
+    if (ungroupedCount > 0) {
+        details.push({
+            segment: 'UNH', code: 'MESSAGE_OUTSIDE_GROUP',
+            error: `${ungroupedCount} message(s) outside a functional group in a grouped interchange`,
+            severity: 'warning',
+            suggestion: 'When UNG is used, enclose every message in a UNG..UNE group'
+        });
+        warningCount++;
+    }
+
+    // Check for unknown/unusual segment tags
+    for (const seg of segments) {
+        if (!KNOWN_SEGMENT_TAGS.has(seg.tag) && seg.tag.length === 3) {
+            details.push({
+                segment: seg.tag, code: 'UNKNOWN_SEGMENT', position: seg.position,
+                warning: `Unknown segment tag: ${seg.tag}`, severity: 'info',
+                suggestion: 'Verify segment tag is correct for this message type'
+            });
+        }
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * Character repertoire validation against the UNB/UIB syntax identifier (UNOA..UNOY).
+ * check(segment) runs segment by segment, result() returns the findings
+ * (located, the checked segments are not kept).
+ */
+function _createCharsetValidation(syntaxIdentifier, header) {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+    const level = SYNTAX_LEVELS[syntaxIdentifier];
+    const maxReported = 50;
+    let affectedSegments = 0;
+
+    const locate = (detail, seg) => {
+        const location = sourceLocation(seg);
+        if (location) detail.location = location;
+        details.push(detail);
+    };
+
+    if (syntaxIdentifier && !level) {
+        locate({
+            segment: header.tag, code: 'UNKNOWN_SYNTAX_IDENTIFIER',
+            position: header.position,
+            error: `Unknown syntax identifier "${syntaxIdentifier}" — character set could not be verified`,
+            severity: 'warning',
+            suggestion: 'Use a syntax identifier from UNOA..UNOY (e.g. UNOC for ISO 8859-1, UNOY for UTF-8)'
+        }, header);
+        warningCount++;
+    }
+
+    const check = (seg) => {
+        if (!level) return;
+        const illegal = findIllegalCharacters(seg.raw, syntaxIdentifier);
+        if (illegal.length === 0) return;
+
+        affectedSegments++;
+        errorCount++;
+        if (affectedSegments > maxReported) return;
+
+        const chars = illegal.map(c => `"${c.char}" (${c.codePoint})`).join(', ');
+        locate({
+            segment: seg.tag, code: 'ILLEGAL_CHARACTER', position: seg.position,
+            error: `Characters not allowed in ${syntaxIdentifier} ${level.label}: ${chars}`,
+            severity: 'error',
+            suggestion: level.repertoire === 'A'
+                ? 'Level A allows upper case letters, digits and basic punctuation only — convert to upper case or declare UNOB/UNOC'
+                : `Replace the characters or declare a syntax level that supports them (e.g. UNOC for Latin-1, UNOY for UTF-8)`
+        }, seg);
+    };
+
+    const result = () => {
+        const summary = affectedSegments > maxReported
+            ? [{
+                segment: header.tag, code: 'ILLEGAL_CHARACTER',
+                error: `${affectedSegments - maxReported} more segments contain characters not allowed in ${syntaxIdentifier}`,
+                severity: 'info',
+                suggestion: 'Fix the character set of the sending system or the declared syntax identifier'
+            }]
+            : [];
+        return { errorCount, warningCount, details: [...details, ...summary] };
+    };
+
+    return { check, result };
+}
+
+// Fix hints for segment group findings (structures.js issue codes)
+const _STRUCTURE_SUGGESTIONS = {
+    UNEXPECTED_SEGMENT: 'Move the segment to its segment group or remove it',
+    MISSING_MANDATORY_SEGMENT: 'Add the mandatory segment at this point of the message',
+    MISSING_MANDATORY_GROUP: 'Add the mandatory segment group',
+    REPETITION_EXCEEDED: 'Reduce the repetitions to the maximum allowed by the message structure'
+};
+
+// Fix hints for directory element findings (elementValidator.js issue codes)
+const _ELEMENT_SUGGESTIONS = {
+    MISSING_MANDATORY_ELEMENT: 'Fill the mandatory element or composite',
+    TOO_MANY_ELEMENTS: 'Remove the data elements the directory does not define for this segment',
+    TOO_MANY_COMPONENTS: 'Remove the surplus components or escape the component separator with the release character',
+    INVALID_CHARACTER_TYPE: 'Use only the character type the directory defines (a = alphabetic, n = numeric)',
+    MISSING_DIGIT_BEFORE_DECIMAL: 'Add a leading zero before the decimal mark',
+    ELEMENT_TOO_LONG: 'Shorten the value to the maximum length of the directory format',
+    ELEMENT_TOO_SHORT: 'Pad or correct the value to the fixed length of the directory format'
+};
+
+/**
+ * Findings for directory element issues. Issues in messages whose directory
+ * is not bundled (checked against an approximation) are downgraded to warnings.
+ */
+function _validateElements(elementIssues, exact = true) {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const severity = exact ? 'error' : 'warning';
+    for (const issue of elementIssues) {
+        details.push({
+            segment: issue.tag, code: issue.code,
+            error: issue.message, severity,
+            position: issue.position,
+            element: issue.element,
+            elementPosition: issue.elementPosition,
+            componentPosition: issue.componentPosition,
+            syntaxError: issue.syntaxError,
+            suggestion: _ELEMENT_SUGGESTIONS[issue.code]
+        });
+        if (exact) errorCount++;
+        else warningCount++;
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * Findings for coded values missing from the bundled UNCL code lists.
+ * Misses in complete lists of the matching directory are errors; misses in
+ * partial lists or other directories are informational.
+ */
+function _validateCodeValues(codeIssues) {
+    const details = [];
+    let errorCount = 0;
+
+    for (const issue of codeIssues) {
+        const severity = issue.certain ? 'error' : 'info';
+        details.push({
+            segment: issue.tag, code: issue.code,
+            error: issue.message, severity,
+            position: issue.position,
+            element: issue.element,
+            elementPosition: issue.elementPosition,
+            componentPosition: issue.componentPosition,
+            syntaxError: issue.syntaxError,
+            suggestion: issue.certain
+                ? `Use a code from code list ${issue.codeList}`
+                : `Check the value against code list ${issue.codeList} of ${issue.directory} or the message implementation guide`
+        });
+        if (issue.certain) errorCount++;
+    }
+
+    return { errorCount, warningCount: 0, details };
+}
+
+/**
+ * Message-level structural validation (UNT/UIT presence, count and reference, BGM,
+ * segment group structure, directory elements and code values).
+ * Interactive messages carry no BGM.
+ */
+function _validateMessage(message, structureIssues = [], structure = null, elementIssues = [], elementDirectory = null, codeIssues = [], envelope = detectEnvelope(message.segments)) {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const { messageHeader, messageTrailer } = envelope;
+    const messageReference = envelopeFields(message.unh)?.reference || '';
+    const hasBGM = message.segments.some(s => s.tag === 'BGM');
+
+    if (message.implicit) {
+        details.push({
+            segment: messageHeader, code: `MISSING_${messageHeader}`,
+            error: `Segments outside a message: missing message header (${messageHeader})`, severity: 'error',
+            position: message.segments[0].position,
+            suggestion: `Add ${messageHeader} segment at the start of each message`
+        });
+        errorCount++;
+    }
+    if (!message.unt) {
+        details.push({
+            segment: messageTrailer, code: `MISSING_${messageTrailer}`,
+            error: `Missing message trailer (${messageTrailer})`, severity: 'error',
+            suggestion: `Add ${messageTrailer} segment at the end of each message`
+        });
+        errorCount++;
+    }
+    if (!hasBGM && !envelope.interactive) {
+        details.push({
+            segment: 'BGM', code: 'MISSING_BGM',
+            error: 'Missing beginning of message (BGM)', severity: 'warning',
+            suggestion: 'Add BGM segment to specify document type and number'
+        });
+        warningCount++;
+    }
+
+    // UNT/UIT segment count validation (UNH..UNT inclusive)
+    if (message.unh && message.unt) {
+        const trailer = envelopeFields(message.unt);
+        const declaredCount = parseInt(trailer.count, 10);
+        const actualCount = message.segments.length;
+        if (declaredCount && declaredCount !== actualCount) {
+            details.push({
+                segment: messageTrailer, code: 'SEGMENT_COUNT_MISMATCH', position: message.unt.position,
+                error: `${messageTrailer} declares ${declaredCount} segments but found ${actualCount}`,
+                severity: 'warning',
+                suggestion: `Update ${messageTrailer} segment count to ${actualCount}`
+            });
+            warningCount++;
+        }
+
+        const untReference = trailer.reference;
+        if (untReference && messageReference && untReference !== messageReference) {
+            details.push({
+                segment: messageTrailer, code: 'MESSAGE_REFERENCE_MISMATCH', position: message.unt.position,
+                error: `${messageTrailer} reference "${untReference}" does not match ${messageHeader} reference "${messageReference}"`,
+                severity: 'warning',
+                suggestion: `Set ${messageTrailer} message reference to ${messageReference}`
+            });
+            warningCount++;
+        }
+    }
+
+    // Branching diagram findings — only informational when the directory differs
+    const severity = structure?.exact ? 'warning' : 'info';
+    for (const issue of structureIssues) {
+        details.push({
+            segment: issue.tag, code: issue.code,
+            error: issue.message, severity,
+            position: issue.position,
+            suggestion: _STRUCTURE_SUGGESTIONS[issue.code]
+        });
+        if (severity === 'warning') warningCount++;
+    }
+
+    const elementValidation = _validateElements(elementIssues, elementDirectory?.exact);
+    details.push(...elementValidation.details);
+    errorCount += elementValidation.errorCount;
+    warningCount += elementValidation.warningCount;
+
+    const codeValidation = _validateCodeValues(codeIssues);
+    details.push(...codeValidation.details);
+    errorCount += codeValidation.errorCount;
+
+    // Declared release is only approximated by the bundled definitions
+    if (elementDirectory?.directory && !elementDirectory.exact && message.unh) {
+        details.push({
+            segment: 'UNH', code: 'DIRECTORY_NOT_BUNDLED',
+            error: `Directory ${elementDirectory.directory} is not bundled; data elements were checked against ${elementDirectory.basis} and reported as warnings`,
+            severity: 'info',
+            position: message.unh.position,
+            suggestion: `Validate against the ${elementDirectory.directory} message implementation guide`
+        });
+    }
+
+    // Directory chosen on the start screen differs from the one declared in UNH
+    if (elementDirectory?.selected && elementDirectory.source === 'UNH' && elementDirectory.selected !== elementDirectory.directory) {
+        details.push({
+            segment: 'UNH', code: 'DIRECTORY_MISMATCH',
+            error: `Message declares directory ${elementDirectory.directory} but ${elementDirectory.selected} was selected; elements were checked against ${elementDirectory.directory}`,
+            severity: 'info',
+            position: message.unh.position,
+            suggestion: 'Select the release declared in UNH or ask the sender which directory the message follows'
+        });
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * Numeric values (MOA, QTY, PRI, PCD) invalid for the declared decimal
+ * notation. Values the element check already reported are skipped.
+ */
+function _validateNumericValues(numbers, elementIssues = [], decimalMark = '.') {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const n of numbers) {
+        if (!n.issue) continue;
+        const reported = elementIssues.some(i => i.position === n.position &&
+            i.elementPosition === n.elementPosition && i.componentPosition === n.componentPosition);
+        if (reported) continue;
+
+        details.push({
+            segment: n.tag, code: n.issue.code,
+            error: `${n.tag} ${n.kind}: ${n.issue.detail}`,
+            severity: n.issue.severity,
+            position: n.position,
+            elementPosition: n.elementPosition,
+            componentPosition: n.componentPosition,
+            suggestion: n.value !== null
+                ? `Send ${n.value} as "${_formatNumber(n, decimalMark)}"`
+                : 'Send a number with digits, an optional leading minus and the declared decimal mark'
+        });
+        if (n.issue.severity === 'error') errorCount++;
+        else warningCount++;
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * INVOIC amounts that do not add up (BIZ_006–BIZ_010), one finding per sent
+ * amount with the severity of its rule
+ */
+function _validateReconciliation(segments, numeric, tolerance = DEFAULT_AMOUNT_TOLERANCE) {
+    const rules = new Map(getRules({ messageType: 'INVOIC' }).map(r => [r.code, r]));
+    const byPosition = new Map(segments.map(s => [s.position, s]));
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const d of reconcileInvoice(segments, { numeric, tolerance }).discrepancies) {
+        const rule = rules.get(RECONCILIATION_RULE_CODES[d.check]);
+        details.push({
+            segment: byPosition.get(d.position)?.tag || 'MOA', code: rule.code,
+            error: `${d.detail} (difference ${d.difference})`,
+            severity: rule.severity,
+            position: d.position,
+            elementPosition: 1,
+            componentPosition: 2,
+            suggestion: `Send ${String(d.expected).replace('.', numeric.decimalMark || '.')} or correct the amounts it is derived from`
+        });
+        if (rule.severity === 'error') errorCount++;
+        else if (rule.severity === 'warning') warningCount++;
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * Value written in EDIFACT notation with the declared decimal mark
+ * @private
+ */
+function _formatNumber(n, decimalMark) {
+    const text = Math.abs(n.value).toFixed(n.decimals).replace('.', decimalMark);
+    return `${n.value < 0 ? '-' : ''}${text}`;
+}
+
+/**
+ * Parser recoveries (recovery.js diagnostics) as findings. Dropped fragments
+ * carry no position, only their source location.
+ */
+function _validateRecovery(recovery) {
+    const details = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const diagnostic of recovery?.diagnostics || []) {
+        details.push({
+            segment: diagnostic.segment, code: diagnostic.code,
+            error: diagnostic.message, severity: diagnostic.severity,
+            ...(diagnostic.position ? { position: diagnostic.position } : {}),
+            ...(diagnostic.location ? { location: diagnostic.location } : {}),
+            suggestion: diagnostic.suggestion
+        });
+        if (diagnostic.severity === 'error') errorCount++;
+        else if (diagnostic.severity === 'warning') warningCount++;
+    }
+
+    if (recovery?.truncated) {
+        details.push({
+            segment: '', code: 'RECOVERY_TRUNCATED',
+            error: `${recovery.count} recoveries, only the first ${recovery.diagnostics.length} are listed`,
+            severity: 'info',
+            suggestion: 'The file is heavily damaged — ask the sender to transmit it again'
+        });
+    }
+
+    return { errorCount, warningCount, details };
+}
+
+/**
+ * Findings of the trading partner profile (TP_001–TP_004)
+ */
+function _validatePartnerProfile(findings) {
+    const details = findings.map(f => ({
+        segment: f.segment, code: f.code,
+        error: f.detail, severity: f.severity,
+        position: f.position,
+        elementPosition: f.elementPosition,
+        componentPosition: f.componentPosition,
+        suggestion: f.suggestion
+    }));
+    return {
+        errorCount: details.filter(d => d.severity === 'error').length,
+        warningCount: details.filter(d => d.severity === 'warning').length,
+        details
+    };
+}
+
+/**
+ * Attach the source location (line, column, offset, length) to findings.
+ * Findings without a position (e.g. a missing segment) get no location.
+ * segmentsByPosition holds the segments the findings can point to.
+ */
+function _locateFindings(details, segmentsByPosition) {
+    for (const d of details) {
+        if (d.position === undefined) continue;
+        const location = sourceLocation(segmentsByPosition.get(d.position), d.elementPosition, d.componentPosition);
+        if (location) d.location = location;
+    }
+    return details;
+}
+
+/**
+ * Split findings (sorted or not) by their position into those before,
+ * inside and after the segment range of a message
+ */
+function _splitByRange(findings, start, end) {
+    const before = [];
+    const inside = [];
+    const after = [];
+    for (const f of findings) {
+        if (f.position < start) before.push(f);
+        else if (f.position <= end) inside.push(f);
+        else after.push(f);
+    }
+    return { before, inside, after };
+}
+
+/**
+ * Merge interchange, additional file-level and per-message validation into one result.
+ * Message findings carry messageIndex/messageReference for attribution.
+ */
+function _mergeValidation(interchangeValidation, messages, extraValidations = []) {
+    const merged = {
+        errorCount: interchangeValidation.errorCount,
+        warningCount: interchangeValidation.warningCount,
+        details: [...interchangeValidation.details]
+    };
+
+    for (const extra of extraValidations) {
+        merged.errorCount += extra.errorCount;
+        merged.warningCount += extra.warningCount;
+        merged.details.push(...extra.details);
+    }
+
+    for (const msg of messages) {
+        merged.errorCount += msg.validation.errorCount;
+        merged.warningCount += msg.validation.warningCount;
+        for (const d of msg.validation.details) {
+            merged.details.push({
+                ...d,
+                messageIndex: msg.index,
+                messageReference: msg.messageHeader?.messageReference || ''
+            });
+        }
+    }
+
+    return merged;
+}
+
+// ==================== COMPLIANCE ====================
+
+/**
+ * Build compliance info from the segment tags of a message (or file)
+ */
+function _buildCompliance(segmentTags, messageHeader, userContext, elementIssues, envelope) {
+    const uniqueTags = [...new Set(segmentTags)];
+
+    // Determine standard from UNH/UIH or user context
+    let standard = 'UN/EDIFACT';
+    if (messageHeader?.messageType === 'SCRIPT') {
+        standard = 'NCPDP SCRIPT';
+    } else if (messageHeader?.associationCode) {
+        if (messageHeader.associationCode.includes('EAN')) standard = 'EANCOM';
+        else if (messageHeader.associationCode.includes('ODETTE')) standard = 'ODETTE';
+    }
+
+    const subset = userContext?.subset || messageHeader?.associationCode || '';
+    const version = messageHeader
+        ? `${messageHeader.messageVersion}${messageHeader.messageRelease}`
+        : '';
+
+    // Required segments per standard (simplified)
+    const requiredSegments = envelope.interactive
+        ? ['UIB', 'UIH', 'UIT', 'UIZ']
+        : ['UNB', 'UNH', 'BGM', 'UNT', 'UNZ'];
+    const missingSegments = requiredSegments.filter(tag => !segmentTags.includes(tag));
+    const unexpectedSegments = uniqueTags.filter(tag => {
+        // Flag segments that appear in unusual positions
+        return false; // Simplified - would need message-specific rules
+    });
+
+    const mandatoryFieldsMissing = elementIssues
+        .filter(i => i.code === 'MISSING_MANDATORY_ELEMENT' && i.exact)
+        .map(i => ({
+            segment: i.tag,
+            field: i.element,
+            position: i.position,
+            requirement: `Mandatory in ${i.directory || 'the service segment definition'} (position ${i.position})`
+        }));
+
+    return {
+        standard,
+        subset,
+        version,
+        isCompliant: missingSegments.length === 0 && mandatoryFieldsMissing.length === 0,
+        requiredSegments,
+        missingSegments,
+        unexpectedSegments,
+        mandatoryFieldsMissing
+    };
+}
+
+// ==================== APPLICATION ERRORS ====================
+
+const _MAX_APPLICATION_ERROR_MESSAGES = 1000;
+
+/**
+ * Failing business rules of one batch message (UNH..UNT), kept for the
+ * APERAK download. null when the message has no findings.
+ */
+function _messageApplicationErrors(unb, segments, delimiters, partner = null, amountTolerance = undefined) {
+    const { messages: [report] } = collectApplicationErrors([unb, ...segments], delimiters, {
+        ...(partner ? { partner } : {}),
+        amountTolerance
+    });
+    return report.errors.length > 0 ? report : null;
+}
+
+// ==================== CONTEXT BUILDER ====================
+
+/**
+ * One-line description of a line item for the LLM context
+ */
+function _lineItemSummary(item) {
+    const parts = [`#${item.lineNumber || '?'}${item.parentLine ? ` (sub-line of ${item.parentLine})` : ''}`];
+    if (item.gtin) parts.push(`GTIN ${item.gtin}`);
+    else if (item.itemId) parts.push(`${item.itemType || 'item'} ${item.itemId}`);
+    if (item.supplierArticleNumber) parts.push(`supplier art. ${item.supplierArticleNumber}`);
+    if (item.buyerArticleNumber) parts.push(`buyer art. ${item.buyerArticleNumber}`);
+    if (item.description) parts.push(`"${item.description}"`);
+    if (item.quantities.length > 0) parts.push(`qty ${item.quantities.map(q => `${q.qualifier}:${q.value ?? q.raw}${q.unit ? ` ${q.unit}` : ''}`).join(', ')}`);
+    if (item.prices.length > 0) parts.push(`price ${item.prices.map(p => `${p.qualifier}:${p.value ?? p.raw}${p.basis ? ` per ${p.basis}${p.unit ? ` ${p.unit}` : ''}` : ''}`).join(', ')}`);
+    if (item.amounts.length > 0) parts.push(`amount ${item.amounts.map(m => `${m.qualifier}:${m.value ?? m.raw}`).join(', ')}`);
+    for (const alc of item.allowances) {
+        const value = [alc.percentage !== null ? `${alc.percentage}%` : '', alc.amount !== null ? `${alc.amount}` : ''].filter(Boolean).join(' ');
+        parts.push(`${alc.type}${alc.code ? ` ${alc.code}` : ''}${value ? ` ${value}` : ''}`);
+    }
+    for (const tax of item.taxes) {
+        parts.push(`${tax.type || 'tax'}${tax.rate ? ` ${tax.rate}%` : ''}${tax.amount !== null ? ` = ${tax.amount}` : ''}`);
+    }
+    if (item.dates.length > 0) parts.push(`dates ${item.dates.map(d => `${d.qualifier}:${d.display}`).join(', ')}`);
+    if (item.references.length > 0) parts.push(`refs ${item.references.map(r => `${r.qualifier}:${r.value}`).join(', ')}`);
+    return parts.join(' | ');
+}
+
+/**
+ * Build LLM-optimized context string
+ */
+function _buildLLMContext(analysis) {
+    const lines = [];
+
+    lines.push(`## EDIFACT Analysis`);
+    lines.push(`Type: ${_messageLabel(analysis.messageHeader)} (${analysis.compliance?.standard || 'UN/EDIFACT'} ${analysis.compliance?.version || ''})`);
+    lines.push(`Segments: ${analysis.segmentCount} | Lines: ${analysis.processing?.lineCount || 'N/A'}`);
+    const delimiters = analysis.processing?.delimiters;
+    if (delimiters && delimiters.source !== 'UNA') {
+        const set = [delimiters.componentSeparator, delimiters.fieldSeparator, delimiters.segmentTerminator].map(c => JSON.stringify(c)).join(' ');
+        lines.push(`Delimiters (component, element, terminator): ${set} — ${delimiters.source === 'override' ? 'chosen by the user' : `no UNA, ${delimiters.source} (confidence ${delimiters.confidence})`}`);
+    }
+
+    if (analysis.interchange) {
+        lines.push(`Sender: ${analysis.interchange.sender} | Receiver: ${analysis.interchange.receiver}`);
+        if (analysis.partner) {
+            const partnerFindings = analysis.validation.details.filter(d => d.code?.startsWith('TP_')).length;
+            lines.push(`Trading partner profile: ${analysis.partner.name} (${partnerFindings} partner findings; ${analysis.partner.disabledRules.length} generic rules disabled)`);
+        }
+        if (analysis.interchange.interactive) {
+            lines.push(`Dialogue: ${analysis.interchange.dialogueReference || '-'} | Transaction: ${analysis.interchange.transactionReference || '-'}`);
+        }
+    }
+
+    if (analysis.groups?.length > 0) {
+        const groupList = analysis.groups.map(g => `${g.groupId || '?'} ref ${g.controlReference || '-'} (${g.messageCount} msg)`);
+        lines.push(`Functional Groups: ${analysis.groups.length} | ${groupList.join(', ')}`);
+    }
+
+    if (analysis.messageCount > 1) {
+        lines.push(`\nMessages: ${analysis.messageCount}`);
+        for (const m of analysis.messages.slice(0, 20)) {
+            const bd = m.businessData;
+            const parts = [`#${m.index + 1} ${_messageLabel(m.messageHeader)} ref ${m.messageHeader?.messageReference || '-'}`];
+            if (bd.documentNumber) parts.push(`doc ${bd.documentNumber}`);
+            if (bd.totalAmount !== null) parts.push(`total ${bd.totalAmount}${bd.currency ? ' ' + bd.currency : ''}`);
+            if (bd.lineItemCount > 0) parts.push(`${bd.lineItemCount} lines`);
+            if (m.validation.errorCount > 0) parts.push(`${m.validation.errorCount} errors`);
+            lines.push(`- ${parts.join(' | ')}`);
+        }
+        if (analysis.messageCount > 20) {
+            lines.push(`- ... ${analysis.messageCount - 20} more messages`);
+        }
+        lines.push(`\nFirst message details:`);
+    }
+
+    if (analysis.businessData) {
+        const bd = analysis.businessData;
+        if (bd.documentNumber) lines.push(`Document: ${bd.documentType} #${bd.documentNumber}`);
+        if (bd.currency) lines.push(`Currency: ${bd.currency}`);
+        if (bd.totalAmount !== null) lines.push(`Total: ${bd.totalAmount}`);
+        if (bd.lineItemCount > 0) lines.push(`Line Items: ${bd.lineItemCount}`);
+        if (bd.dates?.length > 0) {
+            const dates = bd.dates.slice(0, 10).map(d => `${DTM_QUALIFIERS[d.qualifier] || d.qualifier} (${d.qualifier}): ${d.display}${d.valid ? '' : ' [invalid]'}`);
+            lines.push(`Dates: ${dates.join(' | ')}${bd.dates.length > 10 ? ' | ...' : ''}`);
+        }
+        if (bd.lineItems?.length > 0) {
+            lines.push(`\nLine items (qualifier:value):`);
+            for (const item of bd.lineItems.slice(0, 50)) lines.push(`- ${_lineItemSummary(item)}`);
+            if (bd.lineItems.length > 50) lines.push(`- ... ${bd.lineItems.length - 50} more line items`);
+        }
+    }
+
+    if (analysis.parties?.length > 0) {
+        lines.push(`\nParties:`);
+        for (const p of analysis.parties) {
+            const label = partyQualifierLabel(p.qualifier);
+            lines.push(`- ${label}: ${p.name || p.id} (${p.qualifier})`);
+        }
+    }
+
+    if (analysis.validation?.errorCount > 0 || analysis.validation?.warningCount > 0) {
+        lines.push(`\nValidation: ${analysis.validation.errorCount} errors, ${analysis.validation.warningCount} warnings`);
+        for (const d of (analysis.validation.details || []).slice(0, 10)) {
+            const msg = d.error || d.warning || '';
+            const at = d.location ? ` (${formatLocation(d.location)})` : '';
+            lines.push(`- [${d.severity}] ${d.segment}${at}: ${msg}`);
+        }
+    }
+
+    if (analysis.recovery?.count > 0) {
+        const codes = {};
+        for (const d of analysis.recovery.diagnostics) codes[d.code] = (codes[d.code] || 0) + 1;
+        lines.push(`\nParser recoveries: ${analysis.recovery.count} (${Object.entries(codes).map(([k, v]) => `${k} ${v}`).join(', ')}) — the file is damaged, data was read around the defects`);
+    }
+
+    // Segment overview (grouped)
+    const tagCounts = {};
+    for (const seg of (analysis.segmentDetails || [])) {
+        tagCounts[seg.tag] = (tagCounts[seg.tag] || 0) + 1;
+    }
+    if (Object.keys(tagCounts).length > 0) {
+        lines.push(`\nSegment Distribution: ${Object.entries(tagCounts).map(([k, v]) => `${k}(${v})`).join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build human-readable summary
+ */
+function _buildSummary(analysis) {
+    const parts = [];
+
+    const msgType = _messageLabel(analysis.messageHeader);
+    const standard = analysis.compliance?.standard || 'UN/EDIFACT';
+    if (analysis.messageCount > 1) {
+        const types = [...new Set(analysis.messages.filter(m => m.messageHeader?.messageType).map(m => _messageLabel(m.messageHeader)))];
+        parts.push(`${standard} interchange with ${analysis.messageCount} messages (${types.join(', ') || msgType})`);
+    } else {
+        parts.push(`${standard} ${msgType} message`);
+    }
+
+    if (analysis.compliance?.version) {
+        parts.push(`version ${analysis.compliance.version}`);
+    }
+
+    parts.push(`with ${analysis.segmentCount} segments`);
+
+    if (analysis.messageCount <= 1 && analysis.businessData?.documentNumber) {
+        parts.push(`- Document #${analysis.businessData.documentNumber}`);
+    }
+
+    if (analysis.parties?.length > 0) {
+        const sender = analysis.parties.find(p => ['SE', 'SU'].includes(p.qualifier));
+        const receiver = analysis.parties.find(p => ['BY', 'MR'].includes(p.qualifier));
+        if (sender) parts.push(`from ${sender.name || sender.id}`);
+        if (receiver) parts.push(`to ${receiver.name || receiver.id}`);
+    }
+
+    if (analysis.validation?.errorCount > 0) {
+        parts.push(`| ${analysis.validation.errorCount} validation errors found`);
+    }
+
+    if (analysis.recovery?.count > 0) {
+        parts.push(`| recovered from ${analysis.recovery.count} parse defects`);
+    }
+
+    return parts.join(' ');
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Message type label, with the sub-function for interactive messages (e.g. "SCRIPT NEWRX")
+ */
+function _messageLabel(messageHeader) {
+    if (!messageHeader?.messageType) return 'Unknown';
+    return messageHeader.subFunction
+        ? `${messageHeader.messageType} ${messageHeader.subFunction}`
+        : messageHeader.messageType;
+}
+
+
+/**
+ * Estimate token count for LLM context
+ * @param {string} text
+ * @returns {number}
+ */
+function _estimateTokens(text) {
+    if (!text) return 0;
+    // Rough: ~4 chars per token for English/technical text
+    return Math.ceil(text.length / 4);
+}
+
+// ==================== MAIN BUILDER ====================
+
+/**
+ * Build complete _analysis object from raw EDIFACT file content
+ *
+ * @param {string} rawContent - Raw EDIFACT file content
+ * @param {object} fileInfo - { path, originalName, size, encoding }
+ * @param {object} userContext - { subset, messageType, releaseVersion, standardFamily, delimiters, partners, amountTolerance }
+ * @returns {object} Analysis matching EdifactAnalysis schema
+ */
+export function buildAnalysis(rawContent, fileInfo, userContext = {}) {
+    const startTime = Date.now();
+
+    // 1. Resolve delimiters (start screen override, UNA or inferred)
+    const delimiters = detectDelimiters(rawContent, { override: userContext.delimiters, isSegmentTag });
+
+    // 2. Tokenize + parse segments in one pass (keeps offsets, lines and columns),
+    //    resynchronizing after damaged segments
+    const encoding = fileInfo.encoding || 'utf-8';
+    const tokenizer = createTokenizer(delimiters, { encoding, resync: true, isSegmentTag: startsSegment });
+    const recovery = createSegmentRecovery(delimiters, { encoding });
+    const parsedSegments = [];
+    for (const token of [...tokenizer.push(rawContent), ...tokenizer.flush()]) {
+        const seg = recovery.recover(segmentFromToken(token), parsedSegments.length + 1);
+        if (seg) parsedSegments.push({ ...seg, position: parsedSegments.length + 1 });
+    }
+
+    return buildAnalysisFromSegments(parsedSegments, delimiters, fileInfo, userContext, {
+        rawPreview: rawContent.replace(/^\uFEFF/, '').slice(0, 4000),
+        rawLength: rawContent.length,
+        lineCount: tokenizer.lineCount(),
+        fileSize: fileInfo.size || Buffer.byteLength(rawContent, 'utf8'),
+        parsingDuration: Date.now() - startTime,
+        encoding: fileInfo.encoding,
+        recovery: recovery.summary()
+    });
+}
+
+/**
+ * Build complete _analysis object from already parsed segments
+ * (createAnalysisBuilder() over a complete segment list).
+ *
+ * @param {object[]} parsedSegments - Segments from segmentFromToken() with 1-based position
+ * @param {object} delimiters - Delimiters from detectDelimiters() (or parseUNA())
+ * @param {object} fileInfo - { path, originalName, size }
+ * @param {object} userContext - { subset, messageType, releaseVersion, standardFamily, partners, amountTolerance }
+ * @param {object} source - { rawPreview, rawLength, lineCount, fileSize, parsingDuration, encoding, recovery }
+ * @returns {object} Analysis matching EdifactAnalysis schema
+ */
+export function buildAnalysisFromSegments(parsedSegments, delimiters, fileInfo, userContext = {}, source = {}) {
+    const builder = createAnalysisBuilder(delimiters, fileInfo, userContext);
+    for (const seg of parsedSegments) builder.add(seg);
+    return builder.finish(source);
+}
+
+/**
+ * Create a builder that analyses segments in file order, message by message.
+ * Used by the streaming worker, which parses the file chunk by chunk and
+ * never holds the raw content or the full segment list in memory.
+ *
+ * Messages are UNH..UNT (UIH..UIT for interactive envelopes); a UNH without
+ * UNT is closed by the next UNH (or end of file). Body segments outside any
+ * UNH..UNT (e.g. after a header that could not be recovered) open an implicit
+ * message (implicit: true, unh: null) that ends at the next trailer, header or
+ * envelope segment. Each message is validated and reduced to its results as
+ * soon as it is closed; only envelope segments, segments with findings at
+ * interchange level and the first 5000 segments (preview) are kept.
+ * Segments before the first message header are held until it arrives; files
+ * without any message header yield one implicit message over all segments.
+ *
+ * add(segment) resolves the segment group path and returns the segment with
+ * sgPath/sgParent. finish(source) returns the analysis.
+ *
+ * @param {object} delimiters - Delimiters from detectDelimiters() (or parseUNA())
+ * @param {object} fileInfo - { path, originalName, size }
+ * @param {object} userContext - { subset, messageType, releaseVersion, standardFamily, partners, amountTolerance }
+ *                               partners = trading partner profiles of the user (partnerProfiles.js)
+ *                               amountTolerance = INVOIC rounding tolerance (default: the partner's, else 0.01)
+ * @returns {{ add: (segment: object) => object, finish: (source?: object) => object }}
+ *          source = { rawPreview, rawLength, lineCount, fileSize, parsingDuration, encoding, recovery }
+ *          recovery = createSegmentRecovery().summary() of the parse
+ */
+export function createAnalysisBuilder(delimiters, fileInfo, userContext = {}) {
+    const parseTime = Date.now();
+
+    // 4. Resolve segment group paths (SG2/NAD, SG25/LIN/...) and check data elements
+    //    against the directory declared in UNH (start screen release as fallback)
+    const groupResolver = createGroupResolver();
+    const selectedDirectory = normalizeDirectory(userContext.releaseVersion);
+    const elementValidator = createElementValidator({
+        directory: selectedDirectory,
+        decimalMark: delimiters.decimalNotation
+    });
+    const structureByUnh = new Map();
+    const elementDirectoryByUnh = new Map();
+
+    // Findings waiting for the message they belong to
+    let structureIssues = [];
+    let elementIssues = [];
+    let codeIssues = [];
+    let elementIssueCount = 0;
+    const envelopeElementIssues = [];
+    const mandatoryElementIssues = [];
+
+    const preview = [];
+    const segmentTags = new Set();
+    let segmentCount = 0;
+
+    // Envelope (batch UNB/UNZ or interactive UIB/UIZ), decided by the first header
+    let envelope = null;
+    let envelopeTags = [];
+    let hasHeaders = false;
+    let pending = [];
+
+    // 5. Interchange, groups and messages
+    let interchangeHeader = null;
+    let interchange = null;
+    let numeric = numericOptions(delimiters);
+    let partner = null;
+    let charset = null;
+    let firstUnb = null;
+    let firstHeader = null;
+    const envelopeSegments = [];
+    const locatable = new Map();
+    const groups = [];
+    let group = null;
+    let groupEnd = null;
+    let groupIndex = null;
+    let current = null;
+    const messages = [];
+    const messageCompliance = [];
+    const failingMessages = [];
+    let failingMessageCount = 0;
+    let applicationMessageCount = 0;
+
+    // Explicit tolerance first, then the one agreed with the partner
+    const amountTolerance = () => userContext.amountTolerance ?? partner?.amountTolerance ?? undefined;
+
+    const keep = (seg) => {
+        envelopeSegments.push(seg);
+        locatable.set(seg.position, seg);
+    };
+
+    const startInterchange = (header) => {
+        interchangeHeader = header;
+        interchange = _extractInterchange(header);
+        numeric = numericOptions(delimiters, header);
+        // Trading partner profile of the UNB sender/recipient (MIG rules, overrides, disabled rules)
+        partner = findPartnerProfile(userContext.partners, interchange);
+        charset = _createCharsetValidation(interchange?.syntaxIdentifier, header);
+    };
+
+    const closeGroup = () => {
+        groups.push(group);
+        if (groupEnd) locatable.set(groupEnd.position, groupEnd);
+        group = null;
+        groupEnd = null;
+    };
+
+    const closeMessage = (msg) => {
+        const index = messages.length;
+        const messageHeader = _extractMessageHeader(msg.unh);
+        const structure = msg.unh ? structureByUnh.get(msg.unh.position) : null;
+        const elementDirectory = msg.unh ? elementDirectoryByUnh.get(msg.unh.position) : null;
+        const start = msg.segments[0]?.position;
+        const end = msg.segments[msg.segments.length - 1]?.position;
+        const inMessage = i => i.position >= start && i.position <= end;
+
+        // Findings before the message belong to no message (envelope element issues are reported at file level)
+        const structureFound = _splitByRange(structureIssues, start, end);
+        const elementFound = _splitByRange(elementIssues, start, end);
+        const codeFound = _splitByRange(codeIssues, start, end);
+        structureIssues = structureFound.after;
+        elementIssues = elementFound.after;
+        codeIssues = codeFound.after;
+        envelopeElementIssues.push(...elementFound.before);
+        if (msg.unh) {
+            structureByUnh.delete(msg.unh.position);
+            elementDirectoryByUnh.delete(msg.unh.position);
+        }
+
+        const msgValidation = _validateMessage(msg, structureFound.inside, structure, elementFound.inside, elementDirectory, codeFound.inside, envelope);
+        const numericValidation = _validateNumericValues(extractNumericValues(msg.segments, numeric), elementFound.inside, numeric.decimalMark);
+        msgValidation.details.push(...numericValidation.details);
+        msgValidation.errorCount += numericValidation.errorCount;
+        msgValidation.warningCount += numericValidation.warningCount;
+        if (messageHeader?.messageType === 'INVOIC') {
+            const reconciliation = _validateReconciliation(msg.segments, numeric, amountTolerance());
+            msgValidation.details.push(...reconciliation.details);
+            msgValidation.errorCount += reconciliation.errorCount;
+            msgValidation.warningCount += reconciliation.warningCount;
+        }
+        if (partner) {
+            // TP_001 (UNB) is checked once for the interchange
+            const partnerFindings = checkPartnerProfile(msg.segments.filter(s => s.tag !== 'UNB'), partner);
+            const partnerValidation = _validatePartnerProfile(partnerFindings.filter(inMessage));
+            msgValidation.details.push(...partnerValidation.details);
+            Object.assign(msgValidation, applyPartnerProfile(msgValidation, partner));
+        }
+        _locateFindings(msgValidation.details, new Map(msg.segments.map(s => [s.position, s])));
+
+        if (!envelope.interactive && firstUnb && msg.unh?.tag === 'UNH') {
+            const report = _messageApplicationErrors(firstUnb, msg.segments, delimiters, partner, amountTolerance());
+            if (report) {
+                failingMessageCount++;
+                if (failingMessages.length < _MAX_APPLICATION_ERROR_MESSAGES) {
+                    failingMessages.push({ ...report, index: applicationMessageCount });
+                }
+            }
+            applicationMessageCount++;
+        }
+
+        // Compliance needs the interchange trailer, which follows the message
+        messageCompliance.push({
+            tags: [...new Set(msg.segments.map(s => s.tag))],
+            elementIssues: elementFound.inside.filter(i => i.code === 'MISSING_MANDATORY_ELEMENT')
+        });
+        messages.push({
+            index,
+            groupIndex: msg.groupIndex,
+            messageHeader,
+            structure: structure?.directory ? { directory: structure.directory, exact: structure.exact } : null,
+            directory: elementDirectory?.directory
+                ? { directory: elementDirectory.directory, source: elementDirectory.source, basis: elementDirectory.basis, exact: elementDirectory.exact }
+                : null,
+            segmentRange: {
+                start: start || null,
+                end: end || null
+            },
+            segmentCount: msg.segments.length,
+            businessData: _extractBusinessData(msg.segments, numeric),
+            parties: _extractParties(msg.segments),
+            validation: msgValidation,
+            compliance: null,
+            status: msgValidation.errorCount > 0 ? 'parsed' : 'validated'
+        });
+    };
+
+    const consume = (seg) => {
+        const { tag } = seg;
+        if (!interchangeHeader && tag === envelope.interchangeHeader) startInterchange(seg);
+        if (!firstUnb && tag === 'UNB') firstUnb = seg;
+        charset?.check(seg);
+
+        if (envelopeTags.includes(tag) || (!KNOWN_SEGMENT_TAGS.has(tag) && tag.length === 3)) {
+            keep(seg);
+        } else if (tag === envelope.messageHeader && !firstHeader) {
+            firstHeader = seg;
+            keep(seg);
+        }
+
+        // Functional groups (UNG..UNE)
+        if (tag === 'UNG') {
+            if (group) closeGroup();
+            group = _groupFromUng(seg, groups.length);
+            groupIndex = group.index;
+        } else if (tag === 'UNE') {
+            groupIndex = null;
+            if (group) {
+                // UNE+messageCount+groupRef
+                const declared = parseInt(seg.fields[0]?.value, 10);
+                group.declaredMessageCount = isNaN(declared) ? null : declared;
+                group.trailerReference = seg.fields[1]?.value || '';
+                group.hasTrailer = true;
+                group.segmentRange.end = seg.position;
+                groupEnd = null;
+                closeGroup();
+            }
+        } else if (group && tag !== 'UNZ') {
+            group.segmentRange.end = seg.position;
+            groupEnd = seg;
+        }
+
+        // Messages
+        if (!hasHeaders) {
+            if (['UNA', envelope.interchangeHeader, envelope.interchangeTrailer].includes(tag)) return;
+            current.segments.push(seg);
+            if (!current.unt && tag === envelope.messageTrailer) current.unt = seg;
+        } else if (tag === envelope.messageHeader) {
+            if (current) closeMessage(current);
+            current = { unh: seg, unt: null, groupIndex, segments: [seg] };
+        } else if (current?.implicit && envelopeTags.includes(tag)) {
+            closeMessage(current);
+            current = null;
+        } else if (!current && !envelopeTags.includes(tag)) {
+            current = { unh: null, unt: null, implicit: true, groupIndex, segments: [seg] };
+            if (tag === envelope.messageTrailer) {
+                current.unt = seg;
+                closeMessage(current);
+                current = null;
+            }
+        } else if (current) {
+            current.segments.push(seg);
+            if (tag === envelope.messageTrailer) {
+                current.unt = seg;
+                closeMessage(current);
+                current = null;
+            }
+        }
+    };
+
+    // Segments held before the first message header, now that the envelope is known
+    const replay = () => {
+        envelopeTags = ['UNA', 'UNG', 'UNE', envelope.interchangeHeader, envelope.interchangeTrailer];
+        const header = pending.find(s => s.tag === envelope.interchangeHeader);
+        if (header) startInterchange(header);
+        if (!hasHeaders) current = { unh: null, unt: null, groupIndex: null, segments: [] };
+        for (const seg of pending) consume(seg);
+        pending = [];
+    };
+
+    const add = (segment) => {
+        const seg = { ...segment, ...groupResolver.resolve(segment) };
+        structureIssues.push(...groupResolver.takeIssues());
+
+        const found = elementValidator.check(seg);
+        if (found.message) {
+            elementDirectoryByUnh.set(found.message.position, { ...found.message, selected: selectedDirectory });
+        }
+        if (seg.tag === 'UNH') structureByUnh.set(seg.position, groupResolver.messages().at(-1));
+        elementIssues.push(...found.issues);
+        codeIssues.push(...found.codeIssues);
+        elementIssueCount += found.issues.length + found.codeIssues.length;
+        mandatoryElementIssues.push(...found.issues.filter(i => i.code === 'MISSING_MANDATORY_ELEMENT'));
+
+        segmentCount++;
+        segmentTags.add(seg.tag);
+        if (preview.length < 5000) preview.push(seg);
+
+        if (hasHeaders) {
+            consume(seg);
+            return seg;
+        }
+        pending.push(seg);
+        if (!envelope && ['UNB', 'UNH', 'UIB', 'UIH'].includes(seg.tag)) envelope = detectEnvelope([seg]);
+        if (envelope && seg.tag === envelope.messageHeader) {
+            hasHeaders = true;
+            replay();
+        }
+        return seg;
+    };
+
+    const finish = (source = {}) => {
+        structureIssues.push(...groupResolver.finish());
+        if (!hasHeaders) {
+            envelope = detectEnvelope(pending);
+            replay();
+        }
+        if (current) closeMessage(current);
+        if (group) closeGroup();
+        envelopeElementIssues.push(...elementIssues);
+
+        const messageCounts = new Map();
+        for (const m of messages) {
+            if (m.messageHeader) messageCounts.set(m.groupIndex, (messageCounts.get(m.groupIndex) || 0) + 1);
+        }
+        for (const g of groups) g.messageCount = messageCounts.get(g.index) || 0;
+
+        const interchangeTags = envelopeSegments
+            .map(s => s.tag)
+            .filter(tag => tag === envelope.interchangeHeader || tag === envelope.interchangeTrailer);
+        messages.forEach((m, i) => {
+            const { tags, elementIssues: issues } = messageCompliance[i];
+            m.compliance = _buildCompliance([...interchangeTags, ...tags], m.messageHeader, userContext, issues, envelope);
+        });
+
+        // First message stays at top level for consumers that expect a single message
+        const primaryMessage = messages[0];
+        const messageHeader = primaryMessage.messageHeader;
+        const businessData = primaryMessage.businessData;
+        const parties = primaryMessage.parties;
+
+        // 6. Validate
+        const inMessages = f => messages.some(m => f.position >= m.segmentRange.start && f.position <= m.segmentRange.end);
+        let interchangeValidation = _validateInterchange(envelopeSegments, messages.map(m => ({ unh: m.messageHeader, groupIndex: m.groupIndex })), groups, envelope);
+        if (partner) {
+            const partnerFindings = firstUnb ? checkPartnerProfile([firstUnb], partner) : [];
+            const partnerValidation = _validatePartnerProfile(partnerFindings.filter(f => !inMessages(f)));
+            interchangeValidation = applyPartnerProfile({
+                errorCount: interchangeValidation.errorCount + partnerValidation.errorCount,
+                warningCount: interchangeValidation.warningCount + partnerValidation.warningCount,
+                details: [...interchangeValidation.details, ...partnerValidation.details]
+            }, partner);
+        }
+        const charsetValidation = charset ? charset.result() : { errorCount: 0, warningCount: 0, details: [] };
+        const envelopeElementValidation = _validateElements(envelopeElementIssues);
+        if (elementValidator.truncated()) {
+            envelopeElementValidation.details.push({
+                segment: envelope.interchangeHeader, code: 'ELEMENT_CHECK_TRUNCATED',
+                error: `Element check stopped after ${elementIssueCount} findings`,
+                severity: 'info',
+                suggestion: 'Fix the reported elements and upload the file again to see the remaining findings'
+            });
+        }
+        for (const v of [interchangeValidation, envelopeElementValidation]) {
+            _locateFindings(v.details, locatable);
+        }
+        const recoveryValidation = _validateRecovery(source.recovery);
+        const fileValidations = [recoveryValidation, charsetValidation, envelopeElementValidation]
+            .map(v => partner ? applyPartnerProfile(v, partner) : v);
+        const validation = _mergeValidation(interchangeValidation, messages, fileValidations);
+        const validationTime = Date.now();
+
+        // 7. Build compliance
+        const compliance = _buildCompliance([...segmentTags], messageHeader, userContext, mandatoryElementIssues, envelope);
+        const applicationErrors = envelope.interactive || !firstUnb ? null : {
+            interchange: collectApplicationErrors([firstUnb], delimiters).interchange,
+            messages: failingMessages,
+            messageCount: failingMessageCount,
+            truncated: failingMessageCount > _MAX_APPLICATION_ERROR_MESSAGES
+        };
+
+        // 8. Build segment details (message findings only mark segments of their own message)
+        const findingMatches = (d, seg) => {
+            if (d.segment !== seg.tag) return false;
+            if (d.position !== undefined) return d.position === seg.position;
+            if (d.messageIndex === undefined) return true;
+            const range = messages[d.messageIndex].segmentRange;
+            return seg.position >= range.start && seg.position <= range.end;
+        };
+        const segmentDetails = preview.map(seg => ({
+            tag: seg.tag,
+            position: seg.position,
+            line: seg.line,
+            column: seg.column,
+            offset: seg.offset,
+            byteOffset: seg.byteOffset,
+            content: seg.raw,
+            fields: seg.fields.map(f => f.value),
+            sgPath: seg.sgPath,
+            sgParent: seg.sgParent,
+            hasErrors: validation.details.some(d => findingMatches(d, seg) && d.severity === 'error'),
+            errorDetails: validation.details
+                .filter(d => findingMatches(d, seg))
+                .map(d => d.error || d.warning || '')
+                .filter(Boolean)
+        }));
+
+        // 9. Processing metadata
+        const totalTime = Date.now();
+        const parsingDuration = source.parsingDuration || 0;
+        const processing = {
+            parsingDuration,
+            validationDuration: validationTime - parseTime,
+            totalDuration: totalTime - parseTime + parsingDuration,
+            fileSize: source.fileSize || fileInfo.size || 0,
+            lineCount: source.lineCount || 0,
+            truncated: segmentCount > 5000,
+            truncatedAt: segmentCount > 5000 ? 5000 : null,
+            rawPreview: source.rawPreview || '',
+            encoding: source.encoding || 'utf-8',
+            delimiters: {
+                componentSeparator: delimiters.componentSeparator,
+                fieldSeparator: delimiters.fieldSeparator,
+                decimalNotation: delimiters.decimalNotation,
+                escapeCharacter: delimiters.escapeCharacter,
+                segmentTerminator: delimiters.segmentTerminator,
+                source: delimiters.source || (delimiters.hasUNA ? 'UNA' : 'default'),
+                confidence: delimiters.confidence ?? (delimiters.hasUNA ? 1 : 0)
+            }
+        };
+
+        // 10. Build analysis (without LLM context yet - needs the analysis first)
+        const analysis = {
+            interchange,
+            messageHeader,
+            groups,
+            messageCount: messages.length,
+            messages,
+            segments: [...segmentTags],
+            segmentCount,
+            segmentDetails, // Inline preview, limited for DB storage
+            validation,
+            businessData,
+            parties,
+            compliance,
+            applicationErrors,
+            partner,
+            recovery: {
+                count: source.recovery?.count || 0,
+                truncated: !!source.recovery?.truncated,
+                diagnostics: source.recovery?.diagnostics || []
+            },
+            processing,
+            status: validation.errorCount > 0 ? 'parsed' : 'validated'
+        };
+
+        // 11. Build LLM context + summary (needs full analysis)
+        analysis.llmContext = _buildLLMContext(analysis);
+        analysis.summary = _buildSummary(analysis);
+
+        // 12. Token estimates
+        analysis.processing.tokenCount = _estimateTokens(analysis.llmContext);
+        analysis.processing.compressionRatio = source.rawLength > 0
+            ? (analysis.llmContext.length / source.rawLength)
+            : 0;
+
+        return analysis;
+    };
+
+    return { add, finish };
+}
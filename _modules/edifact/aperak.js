@@ -0,0 +1,275 @@
+/**
+ * APERAK Generator
+ * ================
+ * Builds the application error and acknowledgement message (APERAK) for
+ * business findings: the counterpart of CONTRL (contrl.js) one level up.
+ * CONTRL answers syntax errors, APERAK answers content the receiving
+ * application cannot accept (missing NAD roles, inconsistent amounts, ...).
+ *
+ * Every message of the interchange is checked on its own with the
+ * BUSINESS and COMPLIANCE rules of rules.js. Each message with failing
+ * rules gets one APERAK message:
+ *
+ *   BGM  305 (application error and acknowledgement)
+ *   DTM  137 creation date/time
+ *   DOC  document name and number of the referenced BGM
+ *   RFF  ACW = message reference (UNH) of the referenced message
+ *   ERC  application error code per failing rule, FTX AAO with the explanation
+ *
+ * Error codes are the rule codes without underscore (BIZ_001 → BIZ001,
+ * code list responsible agency ZZZ = mutually defined) unless the trading
+ * partner agreement maps them (options.errorCodes).
+ */
+
+import { detectEnvelope, envelopeFields } from './parser.js';
+import { isLegalCharacter } from './charset.js';
+import { buildInterchangeSegments, serializeSegments } from './serializer.js';
+import { validateSegments } from './validators/edifactValidator.js';
+import { getRules } from './validators/rules.js';
+
+// ==================== CONSTANTS ====================
+
+// Rule types that belong into an APERAK (the rest is CONTRL territory)
+export const APERAK_RULE_TYPES = ['BUSINESS', 'COMPLIANCE'];
+
+const _DOCUMENT_NAME = '305';          // 1001: Application error and acknowledgement
+const _MESSAGE_FUNCTION = '9';         // 1225: Original
+const _PREVIOUS_MESSAGE = 'ACW';       // 1153: Reference number to previous message
+const _ERROR_DESCRIPTION = 'AAO';      // 4451: Error description (free text)
+const _MUTUALLY_DEFINED = 'ZZZ';       // 3055: Mutually defined
+
+// FTX C108 in D96A (the declared APERAK directory): 5 x 4440 an..70;
+// longer explanations continue in further FTX+AAO segments
+const _TEXT_PARTS = 5;
+const _TEXT_PART_LENGTH = 70;
+
+// Readable replacements for characters outside the syntax level repertoire
+const _TRANSLITERATIONS = {
+    '×': 'x', '÷': '/', '±': '+/-', '—': '-', '–': '-', '‐': '-', '−': '-',
+    '‘': "'", '’': "'", '‚': "'", '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+    '…': '...', '•': '-', '·': '.', '≤': '<=', '≥': '>=', '≠': '<>', '→': '->', '←': '<-',
+    '½': '1/2', '¼': '1/4', '¾': '3/4', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '°': 'deg', 'µ': 'u', '©': '(C)', '®': '(R)', '™': 'TM',
+    'ß': 'ss', 'Ä': 'AE', 'Ö': 'OE', 'Ü': 'UE', 'ä': 'ae', 'ö': 'oe', 'ü': 'ue',
+    'Æ': 'AE', 'æ': 'ae', 'Ø': 'O', 'ø': 'o', 'Å': 'A', 'å': 'a', 'Œ': 'OE', 'œ': 'oe', 'Ł': 'L', 'ł': 'l',
+    '\u00A0': ' ', '\t': ' '
+};
+
+// ==================== FINDINGS ====================
+
+/**
+ * Split an interchange into its messages (UNH..UNT)
+ * @private
+ */
+function _splitMessages(segments) {
+    const messages = [];
+    let current = null;
+    for (const seg of segments) {
+        if (seg.tag === 'UNH') {
+            current = [seg];
+            messages.push(current);
+        } else if (current) {
+            current.push(seg);
+            if (seg.tag === 'UNT') current = null;
+        }
+    }
+    return messages;
+}
+
+/**
+ * Run the business rules on every message of an interchange and collect
+ * what an APERAK needs: envelope parties plus, per message, the referenced
+ * document and its failing rules.
+ *
+ * @param {object[]} segments - parseRawEdifact() segments of a batch interchange
+ * @param {object} delimiters - parseUNA() result
+ * @param {object} [options] - validateSegments() options (standard, extraRules, disabledRules, partner, amountTolerance, ...)
+ * @param {string[]} [options.severities=['error','warning']] - Severities that are reported
+ * @returns {{ interchange: object, messages: object[] }}
+ */
+export function collectApplicationErrors(segments, delimiters, options = {}) {
+    const { severities = ['error', 'warning'], ...validationOptions } = options;
+
+    // Syntax rules are skipped, CONTRL reports them
+    const syntaxRules = getRules().filter(r => !APERAK_RULE_TYPES.includes(r.type)).map(r => r.code);
+    validationOptions.disabledRules = [...(validationOptions.disabledRules || []), ...syntaxRules];
+
+    const envelope = detectEnvelope(segments);
+    if (envelope.interactive) throw new Error('APERAK answers batch interchanges (UNB); interactive interchanges (UIB) are not supported');
+
+    const unb = segments.find(s => s.tag === 'UNB');
+    if (!unb) throw new Error('APERAK needs the interchange header (UNB) of the received interchange');
+
+    const f = unb.fields;
+    const interchange = {
+        ...envelopeFields(unb),
+        sender: f[1]?.components[0] || '',
+        senderQualifier: f[1]?.components[1] || '',
+        receiver: f[2]?.components[0] || '',
+        receiverQualifier: f[2]?.components[1] || '',
+        testIndicator: f[10]?.value === '1'
+    };
+
+    const messages = _splitMessages(segments).map((messageSegments, index) => {
+        const header = envelopeFields(messageSegments[0]);
+        const bgm = messageSegments.find(s => s.tag === 'BGM');
+        const report = validateSegments([unb, ...messageSegments], delimiters, validationOptions);
+
+        return {
+            index,
+            reference: header.reference,
+            messageType: header.messageType,
+            documentName: bgm?.fields[0]?.components[0] || '',
+            documentNumber: bgm?.fields[1]?.components[0] || '',
+            errors: report.failures
+                .filter(r => APERAK_RULE_TYPES.includes(r.type) && severities.includes(r.severity))
+                .map(r => ({ code: r.code, severity: r.severity, description: r.description, detail: r.detail }))
+        };
+    });
+
+    return { interchange, messages };
+}
+
+// ==================== SEGMENTS ====================
+
+/**
+ * One character in the syntax level repertoire: as is, upper case (level A
+ * has no lower case), transliterated or without diacritics; '?' otherwise
+ * @private
+ */
+function _legalCharacter(char, syntaxIdentifier) {
+    const candidates = [char, _TRANSLITERATIONS[char], char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')].filter(Boolean);
+    const legal = text => [...text].every(c => isLegalCharacter(c, syntaxIdentifier));
+    return candidates.find(legal)
+        || candidates.map(c => c.toUpperCase()).find(legal)
+        || '?';
+}
+
+/**
+ * Replace characters the syntax level cannot carry
+ * @private
+ */
+function _legalText(text, syntaxIdentifier) {
+    let out = '';
+    for (const char of String(text).replace(/[\r\n]+/g, ' ')) {
+        out += _legalCharacter(char, syntaxIdentifier);
+    }
+    return out.replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * FTX text literals (C108) for an explanation: parts of at most 70
+ * characters, broken at spaces where possible, 5 parts per FTX segment
+ * @private
+ */
+function _textSegments(text) {
+    const parts = [];
+    let rest = text;
+    while (rest.length > 0) {
+        let cut = rest.length <= _TEXT_PART_LENGTH ? rest.length : rest.lastIndexOf(' ', _TEXT_PART_LENGTH);
+        if (cut <= 0) cut = _TEXT_PART_LENGTH;
+        parts.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+
+    const segments = [];
+    for (let i = 0; i < parts.length; i += _TEXT_PARTS) {
+        segments.push(parts.slice(i, i + _TEXT_PARTS));
+    }
+    return segments;
+}
+
+/**
+ * Body of one APERAK message (BGM..SG4), without UNH/UNT
+ * @private
+ */
+function _messageBody(message, documentNumber, timestamp, syntaxIdentifier, errorCodes) {
+    const body = [
+        { tag: 'BGM', elements: [_DOCUMENT_NAME, documentNumber, _MESSAGE_FUNCTION] },
+        { tag: 'DTM', elements: [['137', timestamp, '203']] }
+    ];
+
+    if (message.documentNumber || message.documentName) {
+        body.push({ tag: 'DOC', elements: [message.documentName, message.documentNumber] });
+    }
+    if (message.reference) {
+        body.push({ tag: 'RFF', elements: [[_PREVIOUS_MESSAGE, message.reference]] });
+    }
+
+    for (const error of message.errors) {
+        const code = errorCodes[error.code] || error.code.replace(/_/g, '');
+        const text = _legalText(error.detail ? `${error.description}: ${error.detail}` : error.description, syntaxIdentifier);
+        body.push({ tag: 'ERC', elements: [[code, '', _MUTUALLY_DEFINED]] });
+        for (const parts of _textSegments(text)) {
+            body.push({ tag: 'FTX', elements: [_ERROR_DESCRIPTION, '', '', parts] });
+        }
+    }
+    return body;
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Build the APERAK interchange for collected application errors.
+ * Sender and recipient of the received interchange are swapped; messages
+ * without errors are not answered.
+ *
+ * @param {object} model - collectApplicationErrors() result
+ * @param {object} [options]
+ * @param {object} [options.errorCodes] - Rule code → agreed application error code (9321)
+ * @param {string} [options.controlReference] - Control reference of the APERAK interchange
+ * @param {object} [options.delimiters] - Delimiter overrides
+ * @param {boolean} [options.una=true]
+ * @param {boolean} [options.pretty=true]
+ * @param {Date} [options.now]
+ * @returns {{ edifact, syntaxVersion, messageCount, errorCount, messages, segments }}
+ */
+export function buildAperak(model, options = {}) {
+    const { errorCodes = {}, controlReference, delimiters, una = true, pretty = true, now = new Date() } = options;
+
+    const received = model?.interchange;
+    if (!received?.sender || !received?.receiver) throw new Error('UNB sender and recipient are required to address the APERAK');
+
+    const answered = (model.messages || []).filter(m => m.errors?.length > 0);
+    if (answered.length === 0) throw new Error('No failing business rules — there is nothing to report in an APERAK');
+
+    const syntaxIdentifier = received.syntaxIdentifier || 'UNOC';
+    const syntaxVersion = String(received.syntaxVersion || '3');
+    const timestamp = now.toISOString().slice(0, 16).replace(/[-T:]/g, '');
+
+    const { segments } = buildInterchangeSegments({
+        interchange: {
+            sender: received.receiver,
+            senderQualifier: received.receiverQualifier,
+            receiver: received.sender,
+            receiverQualifier: received.senderQualifier,
+            syntaxIdentifier,
+            syntaxVersion,
+            controlReference,
+            testIndicator: received.testIndicator
+        },
+        messages: answered.map((message, index) => ({
+            messageType: 'APERAK',
+            version: 'D',
+            release: '96A',
+            agency: 'UN',
+            segments: _messageBody(message, `${timestamp}${index + 1}`, timestamp, syntaxIdentifier, errorCodes)
+        })),
+        delimiters
+    }, now);
+
+    return {
+        edifact: serializeSegments(segments, { delimiters, syntaxVersion, una, pretty }),
+        syntaxVersion,
+        messageCount: answered.length,
+        errorCount: answered.reduce((sum, m) => sum + m.errors.length, 0),
+        messages: answered.map(m => ({
+            reference: m.reference,
+            messageType: m.messageType,
+            documentNumber: m.documentNumber,
+            errors: m.errors.map(e => e.code)
+        })),
+        segments
+    };
+}
+
+export default { APERAK_RULE_TYPES, collectApplicationErrors, buildAperak };
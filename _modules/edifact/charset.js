@@ -0,0 +1,222 @@
+/**
+ * EDIFACT Syntax Identifiers & Character Sets
+ * ===========================================
+ * Maps the UNB syntax identifier (S001/0001, UNOA..UNOY) to the character
+ * repertoire and byte encoding it declares, decodes uploads accordingly and
+ * finds characters that are illegal for the declared syntax level.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+// ==================== SYNTAX LEVELS ====================
+
+// ISO 9735 level A: upper case letters, digits, space and these punctuation marks
+const _LEVEL_A_PUNCTUATION = ' .,-()/=\'+:?!"%&*;<>';
+
+/**
+ * Declared character repertoire per syntax identifier.
+ * `encoding` is a WHATWG TextDecoder label; `repertoire` drives the illegal-character check.
+ */
+export const SYNTAX_LEVELS = {
+    UNOA: { label: 'Level A (ISO 646, upper case)', encoding: 'iso-8859-1', repertoire: 'A' },
+    UNOB: { label: 'Level B (ISO 646, mixed case)', encoding: 'iso-8859-1', repertoire: 'B' },
+    UNOC: { label: 'Level C (ISO 8859-1, Latin-1)', encoding: 'iso-8859-1', repertoire: 'latin1' },
+    UNOD: { label: 'Level D (ISO 8859-2, Latin-2)', encoding: 'iso-8859-2', repertoire: 'single-byte' },
+    UNOE: { label: 'Level E (ISO 8859-5, Cyrillic)', encoding: 'iso-8859-5', repertoire: 'single-byte' },
+    UNOF: { label: 'Level F (ISO 8859-7, Greek)', encoding: 'iso-8859-7', repertoire: 'single-byte' },
+    UNOG: { label: 'Level G (ISO 8859-3, Latin-3)', encoding: 'iso-8859-3', repertoire: 'single-byte' },
+    UNOH: { label: 'Level H (ISO 8859-4, Latin-4)', encoding: 'iso-8859-4', repertoire: 'single-byte' },
+    UNOI: { label: 'Level I (ISO 8859-6, Arabic)', encoding: 'iso-8859-6', repertoire: 'single-byte' },
+    UNOJ: { label: 'Level J (ISO 8859-8, Hebrew)', encoding: 'iso-8859-8', repertoire: 'single-byte' },
+    UNOK: { label: 'Level K (ISO 8859-9, Latin-5)', encoding: 'iso-8859-9', repertoire: 'single-byte' },
+    UNOW: { label: 'Level W (ISO 10646, UTF-8)', encoding: 'utf-8', repertoire: 'unicode' },
+    UNOX: { label: 'Level X (ISO 2022 code extension)', encoding: null, repertoire: 'unicode' },
+    UNOY: { label: 'Level Y (ISO 10646, no code extension)', encoding: 'utf-8', repertoire: 'unicode' }
+};
+
+const _DEFAULT_ENCODING = 'utf-8';
+
+// ==================== DETECTION ====================
+
+/**
+ * Read the UNB (or interactive UIB) syntax identifier from the start of an interchange.
+ * Works on a Buffer (only the head is inspected, decoded as latin1 — the
+ * envelope is always plain ASCII) or on an already decoded string.
+ *
+ * @param {Buffer|string} input - Raw file bytes or text
+ * @returns {{ syntaxIdentifier: string, syntaxVersion: string }}
+ */
+export function detectSyntaxIdentifier(input) {
+    const head = (typeof input === 'string' ? input.slice(0, 2048) : input.subarray(0, 2048).toString('latin1'))
+        .replace(/^(\uFEFF|\u00EF\u00BB\u00BF)/, '');
+
+    let fieldSeparator = '+';
+    let componentSeparator = ':';
+    if (head.startsWith('UNA') && head.length >= 9) {
+        componentSeparator = head[3];
+        fieldSeparator = head[4];
+    }
+
+    let unbIndex = head.indexOf(`UNB${fieldSeparator}`);
+    if (unbIndex === -1) unbIndex = head.indexOf(`UIB${fieldSeparator}`);
+    if (unbIndex === -1) return { syntaxIdentifier: '', syntaxVersion: '' };
+
+    let syntaxIdentifier = '';
+    let syntaxVersion = '';
+    let i = unbIndex + 4;
+    while (i < head.length && head[i] !== componentSeparator && head[i] !== fieldSeparator) {
+        syntaxIdentifier += head[i++];
+    }
+    if (head[i] === componentSeparator) {
+        i++;
+        while (i < head.length && head[i] !== componentSeparator && head[i] !== fieldSeparator) {
+            syntaxVersion += head[i++];
+        }
+    }
+
+    return { syntaxIdentifier: syntaxIdentifier.trim().toUpperCase(), syntaxVersion: syntaxVersion.trim() };
+}
+
+/**
+ * Pick the TextDecoder encoding for a declared syntax identifier.
+ * A UTF-8 byte order mark always selects UTF-8. Levels A/B only allow
+ * ASCII; files that nevertheless carry valid UTF-8 multi-byte sequences in
+ * the sampled head are decoded as UTF-8 so the offending characters survive
+ * and can be reported.
+ *
+ * @param {string} syntaxIdentifier - e.g. 'UNOC'
+ * @param {Buffer} [headBuffer] - First bytes of the file (for the level A/B sniff)
+ * @returns {string} TextDecoder label
+ */
+export function resolveEncoding(syntaxIdentifier, headBuffer) {
+    // A UTF-8 byte order mark wins over the declaration
+    if (headBuffer && headBuffer[0] === 0xEF && headBuffer[1] === 0xBB && headBuffer[2] === 0xBF) {
+        return 'utf-8';
+    }
+
+    const level = SYNTAX_LEVELS[syntaxIdentifier];
+    if (!level?.encoding) return _DEFAULT_ENCODING;
+
+    if ((level.repertoire === 'A' || level.repertoire === 'B') && headBuffer && _looksLikeUtf8(headBuffer)) {
+        return 'utf-8';
+    }
+    return level.encoding;
+}
+
+/**
+ * Decode a complete file buffer using the charset declared in UNB
+ *
+ * @param {Buffer} buffer - Raw file bytes
+ * @returns {{ text: string, syntaxIdentifier: string, syntaxVersion: string, encoding: string }}
+ */
+export function decodeEdifactBuffer(buffer) {
+    const { syntaxIdentifier, syntaxVersion } = detectSyntaxIdentifier(buffer);
+    const encoding = resolveEncoding(syntaxIdentifier, buffer.subarray(0, 64 * 1024));
+    // The BOM stays in the text so segment byte offsets match the file
+    const text = new TextDecoder(encoding, { ignoreBOM: true }).decode(buffer);
+    return { text, syntaxIdentifier, syntaxVersion, encoding };
+}
+
+// ==================== REPERTOIRE CHECK ====================
+
+/**
+ * Check whether a single character is allowed by the declared syntax level
+ *
+ * @param {string} char - One character (code point)
+ * @param {string} syntaxIdentifier - e.g. 'UNOA'
+ * @returns {boolean}
+ */
+export function isLegalCharacter(char, syntaxIdentifier) {
+    const level = SYNTAX_LEVELS[syntaxIdentifier];
+    if (!level) return true;
+
+    const code = char.codePointAt(0);
+    // Replacement character = bytes that could not be decoded in the declared charset
+    if (code === 0xFFFD) return false;
+    // Line breaks between segments are tolerated by every level
+    if (char === '\n' || char === '\r') return true;
+    if (code < 0x20 || code === 0x7F) return false;
+
+    switch (level.repertoire) {
+        case 'A':
+            return (code >= 0x41 && code <= 0x5A) || (code >= 0x30 && code <= 0x39) || _LEVEL_A_PUNCTUATION.includes(char);
+        case 'B':
+            return (code >= 0x41 && code <= 0x5A) || (code >= 0x61 && code <= 0x7A)
+                || (code >= 0x30 && code <= 0x39) || _LEVEL_A_PUNCTUATION.includes(char);
+        case 'latin1':
+            return code <= 0x7E || (code >= 0xA0 && code <= 0xFF);
+        case 'single-byte':
+            return code < 0x80 || code >= 0xA0;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Find characters in a text that are illegal for the declared syntax level
+ *
+ * @param {string} text - Decoded text (a segment or a whole file)
+ * @param {string} syntaxIdentifier - e.g. 'UNOA'
+ * @returns {Array<{ char: string, codePoint: string, count: number, firstOffset: number }>}
+ */
+export function findIllegalCharacters(text, syntaxIdentifier) {
+    if (!SYNTAX_LEVELS[syntaxIdentifier] || !text) return [];
+
+    const found = new Map();
+    let offset = 0;
+    for (const char of text) {
+        if (!isLegalCharacter(char, syntaxIdentifier)) {
+            const entry = found.get(char);
+            if (entry) {
+                entry.count++;
+            } else {
+                found.set(char, {
+                    char,
+                    codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+                    count: 1,
+                    firstOffset: offset
+                });
+            }
+        }
+        offset += char.length;
+    }
+    return [...found.values()];
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * True if the buffer contains multi-byte sequences and all of them are valid UTF-8
+ * @private
+ */
+function _looksLikeUtf8(buffer) {
+    let hasMultiByte = false;
+    for (let i = 0; i < buffer.length; i++) {
+        const byte = buffer[i];
+        if (byte < 0x80) continue;
+
+        let extra;
+        if ((byte & 0xE0) === 0xC0) extra = 1;
+        else if ((byte & 0xF0) === 0xE0) extra = 2;
+        else if ((byte & 0xF8) === 0xF0) extra = 3;
+        else return false;
+
+        // Sequence cut off by the sample boundary — judge by what we have
+        if (i + extra >= buffer.length) return hasMultiByte;
+        for (let k = 1; k <= extra; k++) {
+            if ((buffer[i + k] & 0xC0) !== 0x80) return false;
+        }
+        hasMultiByte = true;
+        i += extra;
+    }
+    return hasMultiByte;
+}
+
+export default {
+    SYNTAX_LEVELS,
+    detectSyntaxIdentifier,
+    resolveEncoding,
+    decodeEdifactBuffer,
+    isLegalCharacter,
+    findIllegalCharacters
+};
@@ -0,0 +1,410 @@
+/**
+ * CONTRL Generator
+ * ================
+ * Builds the syntax and service report message (CONTRL) a receiver sends
+ * back for a batch interchange.
+ *
+ * Input is the deterministic analysis (analysisBuilder.js): its
+ * structural findings carry segment positions and element positions, so
+ * they map onto the CONTRL levels:
+ *
+ *   UCI  interchange response      UNB/UNZ findings, missing messages
+ *   UCF  group response            UNG/UNE findings
+ *   UCM  message response          UNH/UNT findings (counts, references)
+ *   UCS  segment error indication  segment group structure, characters
+ *   UCD  data element error        directory element and code findings
+ *
+ * Each error finding becomes a syntax error code (DE 0085), warnings only
+ * on request. Findings without syntax error code (application level rules,
+ * informational notes) are left to the APERAK. A level is rejected
+ * (action 4) when it has findings of its own (messages also by their
+ * segments); everything else is acknowledged (action 7). A clean
+ * interchange yields a positive CONTRL listing every message as accepted.
+ *
+ * Failed rules of edifactValidator.validate() can be passed as `report`;
+ * only rules without positional counterpart in the analysis are used.
+ */
+
+import { buildInterchangeSegments, serializeSegments } from './serializer.js';
+
+// ==================== CONSTANTS ====================
+
+// Action codes (DE 0083)
+export const CONTRL_ACTIONS = {
+    REJECTED: '4',
+    ACKNOWLEDGED: '7'
+};
+
+// Analysis finding codes → syntax error codes (DE 0085); null = no syntax
+// error (application level or informational), not reported in the CONTRL.
+// Directory element findings carry their own code (elementValidator.js).
+const _FINDING_ERRORS = {
+    MISSING_UNB: '13',
+    MISSING_UNZ: '13',
+    MISSING_UNE: '13',
+    MISSING_UNT: '13',
+    MISSING_UNH: '32',
+    MESSAGE_OUTSIDE_GROUP: '30',
+    MESSAGE_COUNT_MISMATCH: '29',
+    GROUP_MESSAGE_COUNT_MISMATCH: '29',
+    SEGMENT_COUNT_MISMATCH: '29',
+    GROUP_REFERENCE_MISMATCH: '28',
+    MESSAGE_REFERENCE_MISMATCH: '28',
+    DUPLICATE_GROUP_REFERENCE: '26',
+    UNKNOWN_SYNTAX_IDENTIFIER: '2',
+    ILLEGAL_CHARACTER: '21',
+    STRAY_BYTES: '21',
+    GARBAGE_SKIPPED: '21',
+    MIXED_DELIMITERS: '22',
+    UNTERMINATED_SEGMENT: '22',
+    TAG_REPAIRED: '15',
+    UNKNOWN_SEGMENT: '15',
+    UNEXPECTED_SEGMENT: '15',
+    REPETITION_EXCEEDED: '35',
+    MISSING_MANDATORY_SEGMENT: '13',
+    MISSING_MANDATORY_GROUP: '13',
+    MISSING_BGM: '13',
+    WRONG_DECIMAL_MARK: '12',
+    INVALID_SIGN: '12',
+    THOUSANDS_SEPARATOR: '12',
+    MISSING_DIGIT_BEFORE_DECIMAL: '12',
+    TRAILING_DECIMAL_MARK: '12',
+    NOT_NUMERIC: '12',
+    TP_001: '2',
+    TP_002: null,
+    TP_003: null,
+    TP_004: null,
+    DIRECTORY_MISMATCH: null,
+    DIRECTORY_NOT_BUNDLED: null,
+    ELEMENT_CHECK_TRUNCATED: null,
+    RECOVERY_TRUNCATED: null
+};
+
+// validate() rules the analysis does not check itself → syntax error code
+// and the service segment they refer to
+const _RULE_ERRORS = {
+    SEG_001: { syntaxError: '13' },
+    SEG_003: { syntaxError: '13', tag: 'UNB' },
+    SEG_004: { syntaxError: '13', tag: 'UNH' },
+    FLD_001: { syntaxError: '12' },
+    FLD_005: { syntaxError: '12' }
+};
+
+const _INTERCHANGE_TAGS = new Set(['UNB', 'UNZ']);
+const _GROUP_TAGS = new Set(['UNG', 'UNE']);
+const _MESSAGE_TAGS = new Set(['UNH', 'UNT']);
+
+// Repeat limits of the CONTRL segment groups
+const _MAX_SEGMENT_ERRORS = 999;
+const _MAX_ELEMENT_ERRORS = 99;
+
+// ==================== FINDINGS ====================
+
+/**
+ * Syntax error code of an analysis finding (null when it has none)
+ * @private
+ */
+function _syntaxErrorOf(detail) {
+    if (detail.syntaxError) return detail.syntaxError;
+    return _FINDING_ERRORS[detail.code] ?? null;
+}
+
+/**
+ * Message a finding belongs to (by messageIndex, else by segment position)
+ * @private
+ */
+function _messageOf(detail, messages) {
+    if (Number.isInteger(detail.messageIndex)) return messages[detail.messageIndex] || null;
+    if (!Number.isInteger(detail.position)) return null;
+    return messages.find(m => detail.position >= m.segmentRange?.start && detail.position <= m.segmentRange?.end) || null;
+}
+
+/**
+ * Group a UNG/UNE finding belongs to
+ * @private
+ */
+function _groupOf(detail, groups) {
+    if (!Number.isInteger(detail.position)) return null;
+    return groups.find(g => detail.position >= g.segmentRange?.start && detail.position <= g.segmentRange?.end) || null;
+}
+
+/**
+ * Keep the first error of a level; later ones only count
+ * @private
+ */
+function _setError(response, error) {
+    response.errorCount++;
+    if (!response.error) response.error = error;
+}
+
+/**
+ * Record a segment or element error of a message (UCS/UCD)
+ * @private
+ */
+function _addSegmentError(response, segmentPosition, detail, syntaxError) {
+    response.errorCount++;
+    let segment = response.segments.get(segmentPosition);
+    if (!segment) {
+        if (response.segments.size >= _MAX_SEGMENT_ERRORS) return;
+        segment = { position: segmentPosition, syntaxError: '', elements: [] };
+        response.segments.set(segmentPosition, segment);
+    }
+
+    if (detail.elementPosition) {
+        const duplicate = segment.elements.some(e =>
+            e.elementPosition === detail.elementPosition && e.componentPosition === (detail.componentPosition || null));
+        if (!duplicate && segment.elements.length < _MAX_ELEMENT_ERRORS) {
+            segment.elements.push({
+                syntaxError,
+                elementPosition: detail.elementPosition,
+                componentPosition: detail.componentPosition || null
+            });
+        }
+    } else if (!segment.syntaxError) {
+        segment.syntaxError = syntaxError;
+    }
+}
+
+/**
+ * Composite S011 (data element identification) for a finding
+ * @private
+ */
+function _elementIdentification(finding) {
+    if (!finding?.elementPosition) return '';
+    return finding.componentPosition
+        ? [String(finding.elementPosition), String(finding.componentPosition)]
+        : [String(finding.elementPosition)];
+}
+
+/**
+ * Distribute analysis findings (and uncovered validate() failures) over
+ * the interchange, its groups and its messages
+ * @private
+ */
+function _collectResponses(analysis, report, includeWarnings) {
+    const messages = analysis.messages || [];
+    const groups = analysis.groups || [];
+    const severities = includeWarnings ? ['error', 'warning'] : ['error'];
+
+    const newResponse = () => ({ error: null, errorCount: 0, segments: new Map() });
+    const interchange = newResponse();
+    const groupResponses = groups.map(newResponse);
+    const messageResponses = messages.map(newResponse);
+
+    for (const detail of analysis.validation?.details || []) {
+        if (!severities.includes(detail.severity)) continue;
+
+        const syntaxError = _syntaxErrorOf(detail);
+        if (!syntaxError) continue;
+
+        const error = {
+            syntaxError,
+            tag: '',
+            elementPosition: detail.elementPosition,
+            componentPosition: detail.componentPosition
+        };
+
+        if (_INTERCHANGE_TAGS.has(detail.segment)) {
+            _setError(interchange, { ...error, tag: detail.segment });
+            continue;
+        }
+
+        if (_GROUP_TAGS.has(detail.segment)) {
+            const group = _groupOf(detail, groups);
+            if (group) _setError(groupResponses[group.index], { ...error, tag: detail.segment });
+            else _setError(interchange, error);
+            continue;
+        }
+
+        const message = _messageOf(detail, messages);
+        if (!message) {
+            _setError(interchange, error);
+            continue;
+        }
+
+        const response = messageResponses[message.index];
+        if (_MESSAGE_TAGS.has(detail.segment)) {
+            _setError(response, { ...error, tag: detail.segment });
+        } else {
+            // Segment position in the message, UNH = 1; BGM is expected right after UNH
+            const segmentPosition = Number.isInteger(detail.position)
+                ? detail.position - message.segmentRange.start + 1
+                : 2;
+            _addSegmentError(response, segmentPosition, detail, syntaxError);
+        }
+    }
+
+    // Rules without positions: message level when the interchange has one message
+    for (const result of report?.failures || []) {
+        const mapped = _RULE_ERRORS[result.code];
+        if (!mapped || result.severity !== 'error') continue;
+
+        const error = { syntaxError: mapped.syntaxError, tag: mapped.tag || '' };
+        if (mapped.tag && _INTERCHANGE_TAGS.has(mapped.tag)) _setError(interchange, error);
+        else if (messageResponses.length === 1) _setError(messageResponses[0], error);
+        else _setError(interchange, { ...error, tag: '' });
+    }
+
+    return { interchange, groupResponses, messageResponses };
+}
+
+// ==================== SEGMENTS ====================
+
+/**
+ * UCI/UCF/UCM trailing elements: action, syntax error, service segment tag, S011
+ * @private
+ */
+function _responseElements(response) {
+    const rejected = response.errorCount > 0;
+    return [
+        rejected ? CONTRL_ACTIONS.REJECTED : CONTRL_ACTIONS.ACKNOWLEDGED,
+        response.error?.syntaxError || '',
+        response.error?.tag || '',
+        _elementIdentification(response.error)
+    ];
+}
+
+/**
+ * UCM with its UCS/UCD segment group for one message
+ * @private
+ */
+function _messageSegments(message, response) {
+    const header = message.messageHeader || {};
+    const segments = [{
+        tag: 'UCM',
+        elements: [
+            header.messageReference || '',
+            [header.messageType || '', header.messageVersion || '', header.messageRelease || '', header.controllingAgency || '', header.associationCode || ''],
+            ..._responseElements(response)
+        ]
+    }];
+
+    const segmentErrors = [...response.segments.values()].sort((a, b) => a.position - b.position);
+    for (const segmentError of segmentErrors) {
+        segments.push({ tag: 'UCS', elements: [String(segmentError.position), segmentError.syntaxError] });
+        for (const elementError of segmentError.elements) {
+            segments.push({ tag: 'UCD', elements: [elementError.syntaxError, _elementIdentification(elementError)] });
+        }
+    }
+    return segments;
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Build the CONTRL response for an analyzed interchange.
+ *
+ * The CONTRL goes from the receiver back to the sender: UNB sender and
+ * recipient are swapped, syntax identifier, version and test indicator
+ * are taken over from the received interchange.
+ *
+ * @param {object} analysis - buildAnalysis() result (interchange, groups, messages, validation)
+ * @param {object} [options]
+ * @param {object} [options.report] - edifactValidator.validate() result
+ * @param {boolean} [options.includeWarnings=false] - Also report warnings (count and reference mismatches, structure, code lists) as syntax errors
+ * @param {string} [options.controlReference] - Control reference of the CONTRL interchange
+ * @param {object} [options.delimiters] - Delimiter overrides
+ * @param {boolean} [options.una=true]
+ * @param {boolean} [options.pretty=true]
+ * @param {Date} [options.now]
+ * @returns {{ edifact, syntaxVersion, accepted, action, interchangeReference, messages, segments }}
+ */
+export function buildContrl(analysis, options = {}) {
+    const { report = null, includeWarnings = false, controlReference, delimiters, una = true, pretty = true, now = new Date() } = options;
+
+    const received = analysis?.interchange;
+    if (!received) throw new Error('CONTRL needs the interchange header (UNB) of the received interchange');
+    if (received.interactive) throw new Error('CONTRL acknowledges batch interchanges (UNB); interactive interchanges (UIB) are not supported');
+    if (!received.sender || !received.receiver) throw new Error('UNB sender and recipient are required to address the CONTRL');
+
+    const messages = analysis.messages || [];
+    const groups = analysis.groups || [];
+    const { interchange, groupResponses, messageResponses } = _collectResponses(analysis, report, includeWarnings);
+    const interchangeRejected = interchange.errorCount > 0;
+
+    // Below a rejected level (action 4 covers all lower levels) only messages with own errors are listed
+    const listed = (index, parentRejected) => messages[index].messageHeader
+        && (!parentRejected || messageResponses[index].errorCount > 0);
+
+    const body = [{
+        tag: 'UCI',
+        elements: [
+            received.controlReference || '',
+            [received.sender, received.senderQualifier || ''],
+            [received.receiver, received.receiverQualifier || ''],
+            ..._responseElements(interchange)
+        ]
+    }];
+
+    // SG1: messages outside functional groups
+    messages.forEach((message, index) => {
+        if (!Number.isInteger(message.groupIndex) && listed(index, interchangeRejected)) {
+            body.push(..._messageSegments(message, messageResponses[index]));
+        }
+    });
+
+    // SG3: one UCF per functional group with its messages
+    groups.forEach((group, groupIndex) => {
+        const response = groupResponses[groupIndex];
+        const groupRejected = interchangeRejected || response.errorCount > 0;
+        const groupMessages = messages.filter((m, index) => m.groupIndex === groupIndex && listed(index, groupRejected));
+        if (interchangeRejected && response.errorCount === 0 && groupMessages.length === 0) return;
+
+        body.push({
+            tag: 'UCF',
+            elements: [
+                group.controlReference || '',
+                [group.sender || '', group.senderQualifier || ''],
+                [group.receiver || '', group.receiverQualifier || ''],
+                ..._responseElements(response)
+            ]
+        });
+        for (const message of groupMessages) {
+            body.push(..._messageSegments(message, messageResponses[message.index]));
+        }
+    });
+
+    // CONTRL D:3 for syntax versions 1-3, 4:1 for syntax version 4
+    const syntaxVersion = String(received.syntaxVersion || '3');
+    const [version, release] = syntaxVersion === '4' ? ['4', '1'] : ['D', '3'];
+
+    const model = {
+        interchange: {
+            sender: received.receiver,
+            senderQualifier: received.receiverQualifier,
+            receiver: received.sender,
+            receiverQualifier: received.senderQualifier,
+            syntaxIdentifier: received.syntaxIdentifier || 'UNOC',
+            syntaxVersion,
+            controlReference,
+            testIndicator: received.testIndicator
+        },
+        messages: [{ messageType: 'CONTRL', version, release, agency: 'UN', segments: body }],
+        delimiters
+    };
+    const { segments } = buildInterchangeSegments(model, now);
+    const edifact = serializeSegments(segments, { delimiters, syntaxVersion, una, pretty });
+
+    const rejectedLevels = groupResponses.filter(r => r.error).length
+        + messageResponses.filter(r => r.errorCount > 0).length;
+
+    return {
+        edifact,
+        syntaxVersion,
+        accepted: !interchangeRejected && rejectedLevels === 0,
+        action: interchangeRejected ? CONTRL_ACTIONS.REJECTED : CONTRL_ACTIONS.ACKNOWLEDGED,
+        interchangeReference: received.controlReference || '',
+        messages: messages.map((message, index) => ({
+            reference: message.messageHeader?.messageReference || '',
+            messageType: message.messageHeader?.messageType || '',
+            action: interchangeRejected || messageResponses[index].errorCount > 0
+                || (Number.isInteger(message.groupIndex) && groupResponses[message.groupIndex]?.errorCount > 0)
+                ? CONTRL_ACTIONS.REJECTED
+                : CONTRL_ACTIONS.ACKNOWLEDGED,
+            errorCount: messageResponses[index].errorCount
+        })),
+        segments
+    };
+}
+
+export default { CONTRL_ACTIONS, buildContrl };
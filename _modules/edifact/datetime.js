@@ -0,0 +1,384 @@
+/**
+ * EDIFACT Date/Time/Period Values
+ * ===============================
+ * Structured values for DTM (C507) according to code list 2379
+ * (date/time/period format qualifier).
+ *
+ * Every format resolves to one kind:
+ *   - date      101, 102, 2, 3, 4, 103, 105          — a calendar day
+ *   - datetime  201-205, 301-304, 5                  — a moment (timezone aware for 205, 301-304)
+ *   - time      401, 402, 404, 501-503               — a time of day (or range) without date
+ *   - period    600-616, 701-719                     — a year, month, week or explicit range
+ *   - duration  801-814, 405                         — an amount of time units
+ *   - partial   104, 106-110, 720                    — date parts without a year
+ *
+ * Periods carry start and end: for ranges the two bounds, for a single
+ * year, month or week its first and last day. Two-digit years below 50
+ * are read as 20YY, the rest as 19YY. Weeks are ISO 8601 weeks (Monday first).
+ * Ranges are read with or without the hyphen between the bounds.
+ * A value without format qualifier is read by its length (6 = YYMMDD,
+ * 8 = CCYYMMDD, 12 = CCYYMMDDHHMM, 14 = CCYYMMDDHHMMSS).
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { CODE_LISTS } from './directory/codelists.js';
+
+// ==================== CONSTANTS ====================
+
+/**
+ * Format definitions: field sequence per bound, kind, and whether the value is a range.
+ * Field widths: CCYY 4, CC/YY/MM/WW/DD/HH/MI/SS 2, DDD 3, D 1, ZZZ 1-3 letters, ZHHMM 5.
+ */
+const _FORMATS = {
+    '2': { kind: 'date', fields: ['DD', 'MM', 'YY'] },
+    '3': { kind: 'date', fields: ['MM', 'DD', 'YY'] },
+    '4': { kind: 'date', fields: ['DD', 'MM', 'CCYY'] },
+    '5': { kind: 'datetime', fields: ['DD', 'MM', 'CCYY', 'HH', 'MI'] },
+    '101': { kind: 'date', fields: ['YY', 'MM', 'DD'] },
+    '102': { kind: 'date', fields: ['CCYY', 'MM', 'DD'] },
+    '103': { kind: 'date', fields: ['YY', 'WW', 'D'] },
+    '104': { kind: 'partial', fields: ['MM', 'WW'], range: true },
+    '105': { kind: 'date', fields: ['YY', 'DDD'] },
+    '106': { kind: 'partial', fields: ['MM', 'DD'] },
+    '107': { kind: 'partial', fields: ['DDD'] },
+    '108': { kind: 'partial', fields: ['WW'] },
+    '109': { kind: 'partial', fields: ['MM'] },
+    '110': { kind: 'partial', fields: ['DD'] },
+    '201': { kind: 'datetime', fields: ['YY', 'MM', 'DD', 'HH', 'MI'] },
+    '202': { kind: 'datetime', fields: ['YY', 'MM', 'DD', 'HH', 'MI', 'SS'] },
+    '203': { kind: 'datetime', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI'] },
+    '204': { kind: 'datetime', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI', 'SS'] },
+    '205': { kind: 'datetime', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI', 'ZHHMM'] },
+    '301': { kind: 'datetime', fields: ['YY', 'MM', 'DD', 'HH', 'MI', 'ZZZ'] },
+    '302': { kind: 'datetime', fields: ['YY', 'MM', 'DD', 'HH', 'MI', 'SS', 'ZZZ'] },
+    '303': { kind: 'datetime', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI', 'ZZZ'] },
+    '304': { kind: 'datetime', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI', 'SS', 'ZZZ'] },
+    '401': { kind: 'time', fields: ['HH', 'MI'] },
+    '402': { kind: 'time', fields: ['HH', 'MI', 'SS'] },
+    '404': { kind: 'time', fields: ['HH', 'MI', 'SS', 'ZZZ'] },
+    '501': { kind: 'time', fields: ['HH', 'MI'], range: true },
+    '502': { kind: 'time', fields: ['HH', 'MI', 'SS'], range: true },
+    '503': { kind: 'time', fields: ['HH', 'MI', 'SS', 'ZZZ'], range: true },
+    '600': { kind: 'period', fields: ['CC'] },
+    '601': { kind: 'period', fields: ['YY'] },
+    '602': { kind: 'period', fields: ['CCYY'] },
+    '609': { kind: 'period', fields: ['YY', 'MM'] },
+    '610': { kind: 'period', fields: ['CCYY', 'MM'] },
+    '615': { kind: 'period', fields: ['YY', 'WW'] },
+    '616': { kind: 'period', fields: ['CCYY', 'WW'] },
+    '701': { kind: 'period', fields: ['YY'], range: true },
+    '702': { kind: 'period', fields: ['CCYY'], range: true },
+    '709': { kind: 'period', fields: ['YY', 'MM'], range: true },
+    '710': { kind: 'period', fields: ['CCYY', 'MM'], range: true },
+    '712': { kind: 'period', fields: ['YY', 'WW'], range: true },
+    '713': { kind: 'period', fields: ['YY', 'MM', 'DD', 'HH', 'MI'], range: true },
+    '715': { kind: 'period', fields: ['CCYY', 'WW'], range: true },
+    '717': { kind: 'period', fields: ['YY', 'MM', 'DD'], range: true },
+    '718': { kind: 'period', fields: ['CCYY', 'MM', 'DD'], range: true },
+    '719': { kind: 'period', fields: ['CCYY', 'MM', 'DD', 'HH', 'MI'], range: true },
+    '720': { kind: 'partial', fields: ['D', 'HH', 'MI'], range: true }
+};
+
+/** Duration units of formats 801-814 */
+const _DURATION_UNITS = {
+    '801': 'year', '802': 'month', '803': 'week', '804': 'day',
+    '805': 'hour', '806': 'minute', '807': 'second', '808': 'semester',
+    '809': 'four-month period', '810': 'trimester', '811': 'half month',
+    '812': 'ten-day period', '813': 'day of the week', '814': 'working day'
+};
+
+/** Format assumed for values without format qualifier, by length */
+const _FORMAT_BY_LENGTH = { 6: '101', 8: '102', 12: '203', 14: '204' };
+
+const _FIELD_WIDTH = { CCYY: 4, CC: 2, YY: 2, MM: 2, WW: 2, DD: 2, DDD: 3, D: 1, HH: 2, MI: 2, SS: 2, ZHHMM: 5 };
+
+/** UTC offsets (minutes) of the time zone codes used in ZZZ positions */
+const _TIME_ZONES = {
+    UTC: 0, GMT: 0, Z: 0, WET: 0, BST: 60, CET: 60, MET: 60, WES: 60,
+    CES: 120, CEST: 120, MES: 120, EET: 120, EES: 180, MSK: 180,
+    EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+    JST: 540, CTT: 480, IST: 330, AES: 600
+};
+
+const _RANK = { year: 0, month: 1, week: 2, day: 3, hour: 4, minute: 5, second: 6 };
+
+// ==================== HELPERS ====================
+
+/**
+ * Split a value into the fields of its format
+ * @returns {object|null} field → string, or null when the value does not fit
+ * @private
+ */
+function _readFields(text, fields) {
+    const parts = {};
+    let at = 0;
+    for (const field of fields) {
+        if (field === 'ZZZ') {
+            const zone = text.slice(at);
+            if (!/^[A-Z0-9]{1,3}$/i.test(zone)) return null;
+            parts.ZZZ = zone.toUpperCase();
+            at = text.length;
+            continue;
+        }
+        const chunk = text.slice(at, at + _FIELD_WIDTH[field]);
+        const pattern = field === 'ZHHMM' ? /^[+-]\d{4}$/ : /^\d+$/;
+        if (chunk.length !== _FIELD_WIDTH[field] || !pattern.test(chunk)) return null;
+        parts[field] = chunk;
+        at += chunk.length;
+    }
+    return at === text.length ? parts : null;
+}
+
+/**
+ * Two-digit year with a 50-year pivot
+ * @private
+ */
+function _fullYear(yy) {
+    const year = Number(yy);
+    return year < 50 ? 2000 + year : 1900 + year;
+}
+
+/**
+ * Monday of ISO week 1 of a year (UTC milliseconds)
+ * @private
+ */
+function _isoWeekOne(year) {
+    const jan4 = Date.UTC(year, 0, 4);
+    const weekday = new Date(jan4).getUTCDay() || 7;
+    return jan4 - (weekday - 1) * 86400000;
+}
+
+/**
+ * Resolve one bound: calendar values, precision and the first/last moment it covers
+ * @returns {{ value: object, start: Date|null, end: Date|null, precision: string }|{ error: string }}
+ * @private
+ */
+function _resolveBound(parts) {
+    const value = {};
+    if (parts.CCYY) value.year = Number(parts.CCYY);
+    else if (parts.YY) value.year = _fullYear(parts.YY);
+    else if (parts.CC) value.year = Number(parts.CC) * 100;
+    if (parts.MM) value.month = Number(parts.MM);
+    if (parts.WW) value.week = Number(parts.WW);
+    if (parts.DD) value.day = Number(parts.DD);
+    if (parts.DDD) value.dayOfYear = Number(parts.DDD);
+    if (parts.D) value.weekday = Number(parts.D);
+    if (parts.HH) value.hour = Number(parts.HH);
+    if (parts.MI) value.minute = Number(parts.MI);
+    if (parts.SS) value.second = Number(parts.SS);
+
+    if (value.month !== undefined && (value.month < 1 || value.month > 12)) return { error: `month ${parts.MM} is out of range` };
+    if (value.week !== undefined && (value.week < 1 || value.week > 53)) return { error: `week ${parts.WW} is out of range` };
+    if (value.day !== undefined && (value.day < 1 || value.day > 31)) return { error: `day ${parts.DD} is out of range` };
+    if (value.dayOfYear !== undefined && (value.dayOfYear < 1 || value.dayOfYear > 366)) return { error: `day of year ${parts.DDD} is out of range` };
+    if (value.weekday !== undefined && (value.weekday < 1 || value.weekday > 7)) return { error: `day of week ${parts.D} is out of range` };
+    if (value.hour !== undefined && value.hour > 24) return { error: `hour ${parts.HH} is out of range` };
+    if (value.minute !== undefined && value.minute > 59) return { error: `minute ${parts.MI} is out of range` };
+    if (value.second !== undefined && value.second > 59) return { error: `second ${parts.SS} is out of range` };
+
+    let precision = 'year';
+    if (value.month !== undefined) precision = 'month';
+    if (value.week !== undefined) precision = 'week';
+    if (value.day !== undefined || value.dayOfYear !== undefined || value.weekday !== undefined) precision = 'day';
+    if (value.hour !== undefined) precision = 'hour';
+    if (value.minute !== undefined) precision = 'minute';
+    if (value.second !== undefined) precision = 'second';
+
+    if (value.year === undefined) return { value, start: null, end: null, precision };
+
+    let start;
+    let end;
+    if (value.week !== undefined) {
+        start = _isoWeekOne(value.year) + (value.week - 1) * 7 * 86400000 + ((value.weekday || 1) - 1) * 86400000;
+        end = value.weekday ? start : start + 6 * 86400000;
+        if (value.week === 53 && _isoWeekOne(value.year + 1) <= start) return { error: `${value.year} has no week 53` };
+    } else if (value.dayOfYear !== undefined) {
+        start = Date.UTC(value.year, 0, value.dayOfYear);
+        if (new Date(start).getUTCFullYear() !== value.year) return { error: `${value.year} has no day ${value.dayOfYear}` };
+        end = start;
+    } else if (value.day !== undefined) {
+        start = Date.UTC(value.year, value.month - 1, value.day, value.hour || 0, value.minute || 0, value.second || 0);
+        if (new Date(Date.UTC(value.year, value.month - 1, value.day)).getUTCDate() !== value.day) {
+            return { error: `${value.year}-${String(value.month).padStart(2, '0')} has no day ${value.day}` };
+        }
+        end = start;
+    } else if (value.month !== undefined) {
+        start = Date.UTC(value.year, value.month - 1, 1);
+        end = Date.UTC(value.year, value.month, 0);
+    } else {
+        start = Date.UTC(value.year, 0, 1);
+        end = Date.UTC(value.year + (parts.CC ? 99 : 0), 11, 31);
+    }
+    return { value, start, end, precision };
+}
+
+/**
+ * UTC offset of a ZZZ or ZHHMM field
+ * @returns {{ code: string, offsetMinutes: number|null }|null}
+ * @private
+ */
+function _timezone(parts) {
+    if (parts.ZHHMM) {
+        const sign = parts.ZHHMM[0] === '-' ? -1 : 1;
+        const minutes = Number(parts.ZHHMM.slice(1, 3)) * 60 + Number(parts.ZHHMM.slice(3, 5));
+        return { code: parts.ZHHMM, offsetMinutes: sign * minutes };
+    }
+    if (parts.ZZZ) {
+        return { code: parts.ZZZ, offsetMinutes: _TIME_ZONES[parts.ZZZ] ?? null };
+    }
+    return null;
+}
+
+/**
+ * Readable form of one bound, written from the fields (never shifted by timezone)
+ * @private
+ */
+function _display(value, precision, timezone) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    let date = '';
+    if (value.year !== undefined) {
+        if (value.week !== undefined) date = `${value.year}-W${pad(value.week)}${value.weekday ? `-${value.weekday}` : ''}`;
+        else if (value.dayOfYear !== undefined) date = `${value.year}-${pad(value.dayOfYear, 3)}`;
+        else date = [value.year, value.month !== undefined ? pad(value.month) : null, value.day !== undefined ? pad(value.day) : null]
+            .filter(p => p !== null).join('-');
+    } else {
+        const dayOfWeek = value.weekday ? `day ${value.weekday}` : '';
+        const week = value.week !== undefined ? `W${pad(value.week)}` : '';
+        const monthDay = value.month !== undefined ? `--${pad(value.month)}${value.day !== undefined ? `-${pad(value.day)}` : ''}` : (value.day !== undefined ? `day ${value.day}` : '');
+        const dayOfYear = value.dayOfYear !== undefined ? `day ${value.dayOfYear}` : '';
+        date = [monthDay, week, dayOfYear, dayOfWeek].filter(Boolean).join(' ');
+    }
+    let time = '';
+    if (_RANK[precision] >= _RANK.hour) {
+        time = `${pad(value.hour)}:${pad(value.minute || 0)}${value.second !== undefined ? `:${pad(value.second)}` : ''}`;
+    }
+    const zone = timezone ? ` ${timezone.code}` : '';
+    return `${[date, time].filter(Boolean).join(' ')}${zone}`;
+}
+
+// ==================== PARSING ====================
+
+/**
+ * Read a DTM value (C507 2380) in its format (2379)
+ *
+ * @param {string} value - Date/time/period value
+ * @param {string} [format] - Format qualifier; read by length when missing
+ * @returns {object|null} null for an empty value, otherwise
+ *   { raw, format, formatLabel, kind, start, end, precision, timezone, time, duration, display, valid, error }
+ *   start/end are Dates (UTC, timezone applied where known) or null when the value has no year;
+ *   time is "HH:MM[:SS]" for time-of-day formats; duration = { amount, unit } for 801-814 and 405
+ */
+export function parseEdifactDateTime(value, format) {
+    if (value === '' || value == null) return null;
+    const raw = String(value).trim();
+    const code = format || _FORMAT_BY_LENGTH[raw.length] || '';
+    const formatLabel = CODE_LISTS['2379'].codes[code] || '';
+    const result = {
+        raw,
+        format: code,
+        formatLabel,
+        kind: null,
+        start: null,
+        end: null,
+        precision: null,
+        timezone: null,
+        time: null,
+        duration: null,
+        display: raw,
+        valid: false,
+        error: null
+    };
+    const fail = (error) => ({ ...result, error: `'${raw}' ${error}` });
+
+    if (_DURATION_UNITS[code]) {
+        if (!/^\d+$/.test(raw)) return fail(`is not a number of ${_DURATION_UNITS[code]} units`);
+        const amount = Number(raw);
+        return {
+            ...result, kind: 'duration', valid: true,
+            duration: { amount, unit: _DURATION_UNITS[code] },
+            display: `${amount} ${_DURATION_UNITS[code]}${amount === 1 ? '' : 's'}`
+        };
+    }
+    if (code === '405') {
+        if (!/^\d{6}$/.test(raw)) return fail('does not match MMMMSS');
+        const minutes = Number(raw.slice(0, 4));
+        const seconds = Number(raw.slice(4));
+        if (seconds > 59) return fail(`second ${raw.slice(4)} is out of range`);
+        return {
+            ...result, kind: 'duration', valid: true,
+            duration: { amount: minutes * 60 + seconds, unit: 'second' },
+            display: `${minutes} min ${seconds} s`
+        };
+    }
+
+    const def = _FORMATS[code];
+    if (!def) return fail(code ? `has unsupported format ${code}` : 'has no format qualifier and an unknown length');
+
+    let texts = [raw];
+    if (def.range) {
+        // The hyphen is often left out ("2002080120020831")
+        const width = raw.length / 2;
+        texts = raw.includes('-') ? raw.split('-') : [raw.slice(0, width), raw.slice(width)];
+        if (texts.length !== 2) return fail(`does not match ${formatLabel} (a range needs two bounds)`);
+    }
+
+    const bounds = [];
+    let timezone = null;
+    for (const text of texts) {
+        const parts = _readFields(text, def.fields);
+        if (!parts) return fail(`does not match ${formatLabel}`);
+        const bound = _resolveBound(parts);
+        if (bound.error) return fail(bound.error);
+        const zone = _timezone(parts);
+        if (zone) {
+            timezone = zone;
+            if (zone.offsetMinutes !== null && bound.start !== null) {
+                bound.start -= zone.offsetMinutes * 60000;
+                bound.end -= zone.offsetMinutes * 60000;
+            }
+        }
+        bound.display = _display(bound.value, bound.precision, zone);
+        bounds.push(bound);
+    }
+
+    const [first, last = first] = bounds;
+    if (def.range && first.start !== null && last.end !== null && last.end < first.start) {
+        return fail('ends before it starts');
+    }
+
+    const spans = def.range || def.kind === 'period';
+    return {
+        ...result,
+        kind: def.kind,
+        start: first.start !== null ? new Date(first.start) : null,
+        end: spans && last.end !== null ? new Date(last.end) : null,
+        precision: first.precision,
+        timezone,
+        time: def.kind === 'time' ? bounds.map(b => b.display.split(' ')[0]).join('-') : null,
+        display: bounds.map(b => b.display).join(' – '),
+        valid: true
+    };
+}
+
+/**
+ * Structured values of all DTM segments of a segment list
+ *
+ * @param {object[]} segments - Parsed segments
+ * @returns {object[]} { position, qualifier, ...parseEdifactDateTime() } in segment order
+ */
+export function extractDateValues(segments) {
+    const values = [];
+    for (const seg of segments) {
+        if (seg.tag !== 'DTM') continue;
+        const comp = seg.fields[0]?.components || [];
+        const parsed = parseEdifactDateTime(comp[1], comp[2]);
+        if (parsed) values.push({ position: seg.position, qualifier: comp[0] || '', ...parsed });
+    }
+    return values;
+}
+
+export default {
+    parseEdifactDateTime,
+    extractDateValues
+};
@@ -0,0 +1,3310 @@
+/**
+ * UN/EDIFACT Code Lists (UNCL)
+ * ============================
+ * Code values for the coded data elements of the bundled segments, keyed by
+ * data element number. Single source for the code check (elementValidator),
+ * the `lookupEdifactCode` tool, the parser qualifier maps and the RAG seed.
+ *
+ * Shape:
+ *  CODE_LISTS[elementId] = { name, complete, iso?, pattern?, codes: { code: label } }
+ *
+ * Values are the codes of CODE_LIST_DIRECTORY, the bundled directory.
+ * complete = true lists carry every code of that directory: a value missing
+ * from them is an error in messages of that directory. complete = false marks
+ * lists that only carry the codes used in practice; misses there, and misses
+ * in directories that are not bundled, are reported as information.
+ * pattern matches every code of the directory, so a value outside it is an
+ * error even where the list itself is partial.
+ * ISO lists (iso = true) do not depend on the directory.
+ *
+ * 1153, 3035, 3139, 4451, 4461 and 7143 are the UNTDID D.24A lists merged
+ * with the D96A codes: later additions pass, withdrawn D96A codes stay.
+ * 4441 has no UN list, its codes belong to the agency given in 3055.
+ */
+
+import { CURRENCY_CODES, HISTORIC_CURRENCY_CODES, COUNTRY_CODES } from './isoCodes.js';
+
+// Directory the UNCL lists below belong to
+export const CODE_LIST_DIRECTORY = 'D96A';
+
+export const CODE_LISTS = {
+    '1001': {
+        name: 'Document/message name, coded',
+        complete: true,
+        codes: {
+            '1': 'Certificate of analysis',
+            '2': 'Certificate of conformity',
+            '3': 'Certificate of quality',
+            '4': 'Test report',
+            '5': 'Product performance report',
+            '6': 'Product specification report',
+            '7': 'Process data report',
+            '8': 'First sample test report',
+            '9': 'Price/sales catalogue',
+            '10': 'Party information',
+            '11': 'Federal label approval',
+            '12': 'Mill certificate',
+            '13': 'Post receipt',
+            '14': 'Weight certificate',
+            '15': 'Weight list',
+            '16': 'Certificate',
+            '17': 'Combined certificate of value and origin',
+            '18': 'Movement certificate A.TR.1',
+            '19': 'Certificate of quantity',
+            '20': 'Quality data message',
+            '21': 'Query',
+            '22': 'Response to query',
+            '23': 'Status information',
+            '24': 'Restow',
+            '25': 'Container discharge list',
+            '26': 'Corporate superannuation contributions advice',
+            '27': 'Industry superannuation contributions advice',
+            '28': 'Corporate superannuation member maintenance message',
+            '29': 'Industry superannuation member maintenance message',
+            '30': 'Life insurance payroll deductions advice',
+            '31': 'Underbond request',
+            '32': 'Underbond approval',
+            '33': 'Certificate of sealing of export meat lockers',
+            '34': 'Cargo status',
+            '35': 'Inventory movement advice',
+            '36': 'Inventory status advice',
+            '80': 'Debit note related to goods or services',
+            '81': 'Credit note related to goods or services',
+            '82': 'Metered services invoice',
+            '83': 'Credit note related to financial adjustments',
+            '84': 'Debit note related to financial adjustments',
+            '85': 'Final payment request based on completion of work',
+            '105': 'Purchase order',
+            '110': 'Manufacturing instructions',
+            '120': 'Stores requisition',
+            '130': 'Invoicing data sheet',
+            '140': 'Packing instructions',
+            '150': 'Internal transport order',
+            '190': 'Statistical and other administrative internal documents',
+            '201': 'Direct payment valuation',
+            '202': 'Direct payment valuation request',
+            '203': 'Provisional payment valuation',
+            '204': 'Payment valuation',
+            '205': 'Quantity valuation',
+            '206': 'Quantity valuation request',
+            '207': 'Contract bill of quantities - BOQ',
+            '208': 'Unpriced tender BOQ',
+            '209': 'Priced tender BOQ',
+            '210': 'Enquiry for price',
+            '211': 'Interim application for payment',
+            '212': 'Agreement to pay',
+            '215': 'Letter of intent',
+            '220': 'Order',
+            '221': 'Blanket order',
+            '222': 'Spot order',
+            '223': 'Lease order',
+            '224': 'Rush order',
+            '225': 'Repair order',
+            '226': 'Call off order',
+            '227': 'Consignment order',
+            '228': 'Sample order',
+            '229': 'Swap order',
+            '230': 'Purchase order change request',
+            '231': 'Purchase order response',
+            '232': 'Hire order',
+            '233': 'Spare parts order',
+            '240': 'Delivery instructions',
+            '241': 'Delivery schedule',
+            '242': 'Delivery just-in-time',
+            '245': 'Delivery release',
+            '248': 'Authorization for repair',
+            '251': 'Inquiry',
+            '270': 'Delivery note',
+            '271': 'Packing list',
+            '305': 'Application error and acknowledgement',
+            '310': 'Offer / quotation',
+            '311': 'Request for quote',
+            '312': 'Acknowledgement message',
+            '313': 'Application error message',
+            '315': 'Contract',
+            '320': 'Acknowledgement of order',
+            '325': 'Proforma invoice',
+            '326': 'Partial invoice',
+            '330': 'Request for delivery instructions',
+            '331': 'Commercial invoice which includes a packing list',
+            '335': 'Booking request',
+            '340': 'Shipping instructions',
+            '341': 'Shipper\'s letter of instructions (air)',
+            '343': 'Cartage order (local transport)',
+            '345': 'Ready for despatch advice',
+            '350': 'Despatch order',
+            '351': 'Despatch advice',
+            '370': 'Advice of distribution of documents',
+            '380': 'Commercial invoice',
+            '381': 'Credit note',
+            '382': 'Commission note',
+            '383': 'Debit note',
+            '384': 'Corrected invoice',
+            '385': 'Consolidated invoice',
+            '386': 'Prepayment invoice',
+            '387': 'Hire invoice',
+            '388': 'Tax invoice',
+            '389': 'Self-billed invoice',
+            '390': 'Delcredere invoice',
+            '393': 'Factored invoice',
+            '394': 'Lease invoice',
+            '395': 'Consignment invoice',
+            '396': 'Factored credit note',
+            '409': 'Instructions for bank transfer',
+            '412': 'Application for banker\'s draft',
+            '425': 'Collection payment advice',
+            '426': 'Documentary credit payment advice',
+            '427': 'Documentary credit acceptance advice',
+            '428': 'Documentary credit negotiation advice',
+            '429': 'Application for banker\'s guarantee',
+            '430': 'Banker\'s guarantee',
+            '431': 'Documentary credit letter of indemnity',
+            '435': 'Preadvice of a credit',
+            '447': 'Collection order',
+            '448': 'Documents presentation form',
+            '450': 'Payment order',
+            '451': 'Extended payment order',
+            '452': 'Multiple payment order',
+            '454': 'Credit advice',
+            '455': 'Extended credit advice',
+            '456': 'Debit advice',
+            '457': 'Reversal of debit',
+            '458': 'Reversal of credit',
+            '460': 'Documentary credit application',
+            '465': 'Documentary credit',
+            '466': 'Documentary credit notification',
+            '467': 'Documentary credit transfer advice',
+            '468': 'Documentary credit amendment notification',
+            '469': 'Documentary credit amendment',
+            '481': 'Remittance advice',
+            '485': 'Banker\'s draft',
+            '490': 'Bill of exchange',
+            '491': 'Promissory note',
+            '493': 'Financial statement of account',
+            '520': 'Insurance certificate',
+            '530': 'Insurance policy',
+            '550': 'Insurance declaration sheet (bordereau)',
+            '575': 'Insurer\'s invoice',
+            '580': 'Cover note',
+            '610': 'Forwarding instructions',
+            '621': 'Forwarder\'s advice to import agent',
+            '622': 'Forwarder\'s advice to exporter',
+            '623': 'Forwarder\'s invoice',
+            '624': 'Forwarder\'s certificate of receipt',
+            '630': 'Shipping note',
+            '631': 'Forwarder\'s warehouse receipt',
+            '632': 'Goods receipt',
+            '633': 'Port charges documents',
+            '635': 'Warehouse warrant',
+            '640': 'Delivery order',
+            '650': 'Handling order',
+            '655': 'Gate pass',
+            '700': 'Waybill',
+            '701': 'Universal (multipurpose) transport document',
+            '702': 'Goods receipt, carriage',
+            '703': 'House waybill',
+            '704': 'Master bill of lading',
+            '705': 'Bill of lading',
+            '706': 'Bill of lading original',
+            '707': 'Bill of lading copy',
+            '708': 'Empty container bill',
+            '709': 'Tanker bill of lading',
+            '710': 'Sea waybill',
+            '711': 'Inland waterway bill of lading',
+            '712': 'Non-negotiable maritime transport document (generic)',
+            '713': 'Mate\'s receipt',
+            '714': 'House bill of lading',
+            '715': 'Letter of indemnity for non-surrender of bill of lading',
+            '716': 'Forwarder\'s bill of lading',
+            '720': 'Rail consignment note (generic term)',
+            '722': 'Road list-SMGS',
+            '723': 'Escort official recognition',
+            '724': 'Recharging document',
+            '730': 'Road consignment note',
+            '740': 'Air waybill',
+            '741': 'Master air waybill',
+            '743': 'Substitute air waybill',
+            '744': 'Crew\'s effects declaration',
+            '745': 'Passenger list',
+            '746': 'Delivery notice (rail transport)',
+            '750': 'Despatch note (post parcels)',
+            '751': 'Inventory report',
+            '760': 'Multimodal/combined transport document (generic)',
+            '761': 'Through bill of lading',
+            '763': 'Forwarder\'s certificate of transport',
+            '764': 'Combined transport document (generic)',
+            '765': 'Multimodal transport document (generic)',
+            '766': 'Combined transport bill of lading/multimodal bill of lading',
+            '770': 'Booking confirmation',
+            '775': 'Calling forward notice',
+            '780': 'Freight invoice',
+            '781': 'Arrival notice (goods)',
+            '782': 'Notice of circumstances preventing delivery (goods)',
+            '783': 'Notice of circumstances preventing transport (goods)',
+            '784': 'Delivery notice (goods)',
+            '785': 'Cargo manifest',
+            '786': 'Freight manifest',
+            '787': 'Bordereau',
+            '788': 'Container manifest (unit packing list)',
+            '789': 'Charges note',
+            '790': 'Advice of collection',
+            '791': 'Safety of ship certificate',
+            '792': 'Safety of radio certificate',
+            '793': 'Safety of equipment certificate',
+            '794': 'Civil liability for oil certificate',
+            '795': 'Loadline document',
+            '796': 'Derat document',
+            '797': 'Maritime declaration of health',
+            '798': 'Certificate of registry',
+            '799': 'Ship\'s stores declaration',
+            '810': 'Export licence, application',
+            '811': 'Export licence',
+            '812': 'Exchange control declaration, export',
+            '820': 'Despatch note model T',
+            '821': 'Despatch note model T1',
+            '822': 'Despatch note model T2',
+            '823': 'Control document T5',
+            '824': 'Re-sending consignment note',
+            '825': 'Despatch note model T2L',
+            '830': 'Goods declaration for exportation',
+            '833': 'Cargo declaration (departure)',
+            '840': 'Application for goods control certificate',
+            '841': 'Goods control certificate',
+            '850': 'Application for phytosanitary certificate',
+            '851': 'Phytosanitary certificate',
+            '852': 'Sanitary certificate',
+            '853': 'Veterinary certificate',
+            '855': 'Application for inspection certificate',
+            '856': 'Inspection certificate',
+            '860': 'Certificate of origin, application',
+            '861': 'Certificate of origin',
+            '862': 'Declaration of origin',
+            '863': 'Regional appellation certificate',
+            '864': 'Preference certificate of origin',
+            '865': 'Certificate of origin form GSP',
+            '870': 'Consular invoice',
+            '890': 'Dangerous goods declaration',
+            '895': 'Statistical document, export',
+            '901': 'INTRASTAT declaration',
+            '910': 'Delivery verification certificate',
+            '911': 'Import licence, application',
+            '912': 'Import licence',
+            '913': 'Customs declaration without commercial detail',
+            '914': 'Customs declaration with commercial and item detail',
+            '915': 'Customs declaration without item detail',
+            '916': 'Related document',
+            '917': 'Receipt (Customs)',
+            '925': 'Application for exchange allocation',
+            '926': 'Foreign exchange permit',
+            '927': 'Exchange control declaration (import)',
+            '929': 'Goods declaration for importation',
+            '930': 'Goods declaration for home use',
+            '931': 'Customs immediate release declaration',
+            '932': 'Customs delivery note',
+            '933': 'Cargo declaration (arrival)',
+            '934': 'Value declaration',
+            '935': 'Customs invoice',
+            '936': 'Customs declaration (post parcels)',
+            '937': 'Tax declaration (value added tax)',
+            '938': 'Tax declaration (general)',
+            '940': 'Tax demand',
+            '941': 'Embargo permit',
+            '950': 'Goods declaration for Customs transit',
+            '951': 'TIF form',
+            '952': 'TIR carnet',
+            '953': 'EC carnet',
+            '954': 'EUR 1 certificate of origin',
+            '955': 'ATA carnet',
+            '960': 'Single administrative document',
+            '961': 'General response (Customs)',
+            '962': 'Document response (Customs)',
+            '963': 'Error response (Customs)',
+            '964': 'Package response (Customs)',
+            '965': 'Tax calculation/confirmation response (Customs)',
+            '966': 'Quota prior allocation certificate',
+            '990': 'End use authorization',
+            '991': 'Government contract',
+            '995': 'Statistical document, import',
+            '996': 'Application for documentary credit',
+            '998': 'Previous Customs document/message'
+        }
+    },
+    '1153': {
+        name: 'Reference qualifier',
+        complete: true,
+        codes: {
+            'AAA': 'Order acknowledgement document identifier',
+            'AAB': 'Proforma invoice number',
+            'AAC': 'Documentary credit identifier',
+            'AAD': 'Contract document addendum identifier',
+            'AAE': 'Goods declaration number',
+            'AAF': 'Debit card number',
+            'AAG': 'Offer number',
+            'AAH': 'Bank\'s batch interbank transaction reference number',
+            'AAI': 'Bank\'s individual interbank transaction reference number',
+            'AAJ': 'Delivery order number',
+            'AAK': 'Despatch advice number',
+            'AAL': 'Drawing number',
+            'AAM': 'Waybill number',
+            'AAN': 'Delivery schedule number',
+            'AAO': 'Consignment identifier, consignee assigned',
+            'AAP': 'Partial shipment identifier',
+            'AAQ': 'Transport equipment identifier',
+            'AAR': 'Municipality assigned business registry number',
+            'AAS': 'Transport contract document identifier',
+            'AAT': 'Master label number',
+            'AAU': 'Despatch note number',
+            'AAV': 'Enquiry number',
+            'AAW': 'Docket number',
+            'AAX': 'Civil action number',
+            'AAY': 'Carrier\'s agent reference number',
+            'AAZ': 'Standard Carrier Alpha Code (SCAC) number',
+            'ABA': 'Customs valuation decision number',
+            'ABB': 'End use authorization number',
+            'ABC': 'Anti-dumping case number',
+            'ABD': 'Customs tariff number',
+            'ABE': 'Declarant\'s reference number',
+            'ABF': 'Repair estimate number',
+            'ABG': 'Customs decision request number',
+            'ABH': 'Sub-house bill of lading number',
+            'ABI': 'Tax payment identifier',
+            'ABJ': 'Quota number',
+            'ABK': 'Transit (onward carriage) guarantee (bond) number',
+            'ABL': 'Customs guarantee number',
+            'ABM': 'Replacing part number',
+            'ABN': 'Seller\'s catalogue number',
+            'ABO': 'Originator\'s reference',
+            'ABP': 'Declarant\'s Customs identity number',
+            'ABQ': 'Importer reference number',
+            'ABR': 'Export clearance instruction reference number',
+            'ABS': 'Import clearance instruction reference number',
+            'ABT': 'Goods declaration document identifier, Customs',
+            'ABU': 'Article number',
+            'ABV': 'Intra-plant routing',
+            'ABW': 'Stock keeping unit number',
+            'ABX': 'Text Element Identifier deletion reference',
+            'ABY': 'Allotment identification (Air)',
+            'ABZ': 'Vehicle licence number',
+            'AC': 'Air cargo transfer manifest',
+            'ACA': 'Cargo acceptance order reference number',
+            'ACB': 'US government agency number',
+            'ACC': 'Shipping unit identification',
+            'ACD': 'Additional reference number',
+            'ACE': 'Related document number',
+            'ACF': 'Addressee reference',
+            'ACG': 'ATA carnet number',
+            'ACH': 'Packaging unit identification',
+            'ACI': 'Outerpackaging unit identification',
+            'ACJ': 'Customer material specification number',
+            'ACK': 'Bank reference',
+            'ACL': 'Principal reference number',
+            'ACN': 'Collection advice document identifier',
+            'ACO': 'Iron charge number',
+            'ACP': 'Hot roll number',
+            'ACQ': 'Cold roll number',
+            'ACR': 'Railway wagon number',
+            'ACT': 'Unique claims reference number of the sender',
+            'ACU': 'Loss/event number',
+            'ACV': 'Estimate order reference number',
+            'ACW': 'Reference number to previous message',
+            'ACX': 'Banker\'s acceptance',
+            'ACY': 'Duty memo number',
+            'ACZ': 'Equipment transport charge number',
+            'ADA': 'Buyer\'s item number',
+            'ADB': 'Matured certificate of deposit',
+            'ADC': 'Loan',
+            'ADD': 'Analysis number/test number',
+            'ADE': 'Account number',
+            'ADF': 'Treaty number',
+            'ADG': 'Catastrophe number',
+            'ADI': 'Bureau signing (statement reference)',
+            'ADJ': 'Company / syndicate reference 1',
+            'ADK': 'Company / syndicate reference 2',
+            'ADL': 'Ordering customer consignment reference number',
+            'ADM': 'Shipowner\'s authorization number',
+            'ADN': 'Inland transport order number',
+            'ADO': 'Container work order reference number',
+            'ADP': 'Statement number',
+            'ADQ': 'Unique market reference',
+            'ADT': 'Group accounting',
+            'ADU': 'Broker reference 1',
+            'ADV': 'Broker reference 2',
+            'ADW': 'Lloyd\'s claims office reference',
+            'ADX': 'Secure delivery terms and conditions agreement reference',
+            'ADY': 'Report number',
+            'ADZ': 'Trader account number',
+            'AE': 'Authorization for expense (AFE) number',
+            'AEA': 'Government agency reference number',
+            'AEB': 'Assembly number',
+            'AEC': 'Symbol number',
+            'AED': 'Commodity number',
+            'AEE': 'Eur 1 certificate number',
+            'AEF': 'Project number',
+            'AEG': 'Customer specification number',
+            'AEH': 'Applicable instructions or standards',
+            'AEI': 'Registration number of previous Customs declaration',
+            'AEJ': 'Post-entry reference',
+            'AEK': 'Payment order number',
+            'AEL': 'Delivery number (transport)',
+            'AEM': 'Transport route',
+            'AEN': 'Customer\'s unit inventory number',
+            'AEO': 'Product reservation number',
+            'AEP': 'Project number',
+            'AEQ': 'Drawing list number',
+            'AER': 'Project specification number',
+            'AES': 'Primary reference',
+            'AET': 'Request for cancellation number',
+            'AEU': 'Supplier\'s control number',
+            'AEV': 'Shipping note number',
+            'AEW': 'Empty container bill number',
+            'AEX': 'Non-negotiable maritime transport document number',
+            'AEY': 'Substitute air waybill number',
+            'AEZ': 'Despatch note (post parcels) number',
+            'AF': 'Airlines flight identification number',
+            'AFA': 'Through bill of lading number',
+            'AFB': 'Cargo manifest number',
+            'AFC': 'Bordereau number',
+            'AFD': 'Customs item number',
+            'AFE': 'Export Control Commodity number (ECCN)',
+            'AFF': 'Marking/label reference',
+            'AFG': 'Tariff number',
+            'AFH': 'Replenishment purchase order number',
+            'AFI': 'Immediate transportation no. for in bond movement',
+            'AFJ': 'Transportation exportation no. for in bond movement',
+            'AFK': 'Immediate exportation no. for in bond movement',
+            'AFL': 'Associated invoices',
+            'AFM': 'Secondary Customs reference',
+            'AFN': 'Account party\'s reference',
+            'AFO': 'Beneficiary\'s reference',
+            'AFP': 'Second beneficiary\'s reference',
+            'AFQ': 'Applicant\'s bank reference',
+            'AFR': 'Issuing bank\'s reference',
+            'AFS': 'Beneficiary\'s bank reference',
+            'AFT': 'Direct payment valuation number',
+            'AFU': 'Direct payment valuation request number',
+            'AFV': 'Quantity valuation number',
+            'AFW': 'Quantity valuation request number',
+            'AFX': 'Bill of quantities number',
+            'AFY': 'Payment valuation number',
+            'AFZ': 'Situation number',
+            'AGA': 'Agreement to pay number',
+            'AGB': 'Contract party reference number',
+            'AGC': 'Account party\'s bank reference',
+            'AGD': 'Agent\'s bank reference',
+            'AGE': 'Agent\'s reference',
+            'AGF': 'Applicant\'s reference',
+            'AGG': 'Dispute number',
+            'AGH': 'Credit rating agency\'s reference number',
+            'AGI': 'Request number',
+            'AGJ': 'Single transaction sequence number',
+            'AGK': 'Application reference number',
+            'AGL': 'Delivery verification certificate',
+            'AGM': 'Number of temporary importation document',
+            'AGN': 'Reference number quoted on statement',
+            'AGO': 'Sender\'s reference to the original message',
+            'AGP': 'Company issued equipment ID',
+            'AGQ': 'Domestic flight number',
+            'AGR': 'International flight number',
+            'AGS': 'Employer identification number of service bureau',
+            'AGT': 'Service group identification number',
+            'AGU': 'Member number',
+            'AGV': 'Previous member number',
+            'AGW': 'Scheme/plan number',
+            'AGX': 'Previous scheme/plan number',
+            'AGY': 'Receiving party\'s member identification',
+            'AGZ': 'Payroll number',
+            'AHA': 'Packaging specification number',
+            'AHB': 'Authority issued equipment identification',
+            'AHC': 'Training flight number',
+            'AHD': 'Fund code number',
+            'AHE': 'Signal code number',
+            'AHF': 'Major force program number',
+            'AHG': 'Nomination number',
+            'AHH': 'Laboratory registration number',
+            'AHI': 'Transport contract reference number',
+            'AHJ': 'Payee\'s reference number',
+            'AHK': 'Payer\'s reference number',
+            'AHL': 'Creditor\'s reference number',
+            'AHM': 'Debtor\'s reference number',
+            'AHN': 'Joint venture reference number',
+            'AHO': 'Chamber of Commerce registration number',
+            'AHP': 'Tax registration number',
+            'AHQ': 'Wool identification number',
+            'AHR': 'Wool tax reference number',
+            'AHS': 'Meat processing establishment registration number',
+            'AHT': 'Quarantine/treatment status reference number',
+            'AHU': 'Request for quote number',
+            'AHV': 'Manual processing authority number',
+            'AHX': 'Rate note number',
+            'AHY': 'Freight Forwarder number',
+            'AHZ': 'Customs release code',
+            'AIA': 'Compliance code number',
+            'AIB': 'Department of transportation bond number',
+            'AIC': 'Export establishment number',
+            'AID': 'Certificate of conformity',
+            'AIE': 'Ministerial certificate of homologation',
+            'AIF': 'Previous delivery instruction number',
+            'AIG': 'Passport number',
+            'AIH': 'Common transaction reference number',
+            'AII': 'Bank\'s common transaction reference number',
+            'AIJ': 'Customer\'s individual transaction reference number',
+            'AIK': 'Bank\'s individual transaction reference number',
+            'AIL': 'Customer\'s common transaction reference number',
+            'AIM': 'Individual transaction reference number',
+            'AIN': 'Product sourcing agreement number',
+            'AIO': 'Customs transhipment number',
+            'AIP': 'Customs preference inquiry number',
+            'AIQ': 'Packing plant number',
+            'AIR': 'Original certificate number',
+            'AIS': 'Processing plant number',
+            'AIT': 'Slaughter plant number',
+            'AIU': 'Charge card account number',
+            'AIV': 'Event reference number',
+            'AIW': 'Transport section reference number',
+            'AIX': 'Referred product for mechanical analysis',
+            'AIY': 'Referred product for chemical analysis',
+            'AIZ': 'Consolidated invoice number',
+            'AJA': 'Part reference indicator in a drawing',
+            'AJB': 'U.S. Code of Federal Regulations (CFR)',
+            'AJC': 'Purchasing activity clause number',
+            'AJD': 'U.S. Defense Federal Acquisition Regulation Supplement',
+            'AJE': 'Agency clause number',
+            'AJF': 'Circular publication number',
+            'AJG': 'U.S. Federal Acquisition Regulation',
+            'AJH': 'U.S. General Services Administration Regulation',
+            'AJI': 'U.S. Federal Information Resources Management Regulation',
+            'AJJ': 'Paragraph',
+            'AJK': 'Special instructions number',
+            'AJL': 'Site specific procedures, terms, and conditions number',
+            'AJM': 'Master solicitation procedures, terms, and conditions',
+            'AJN': 'U.S. Department of Veterans Affairs Acquisition Regulation',
+            'AJO': 'Military Interdepartmental Purchase Request (MIPR) number',
+            'AJP': 'Foreign military sales number',
+            'AJQ': 'Defense priorities allocation system priority rating',
+            'AJR': 'Wage determination number',
+            'AJS': 'Agreement number',
+            'AJT': 'Standard Industry Classification (SIC) number',
+            'AJU': 'End item number',
+            'AJV': 'Federal supply schedule item number',
+            'AJW': 'Technical document number',
+            'AJX': 'Technical order number',
+            'AJY': 'Suffix',
+            'AJZ': 'Transportation account number',
+            'AKA': 'Container disposition order reference number',
+            'AKB': 'Container prefix',
+            'AKC': 'Transport equipment return reference',
+            'AKD': 'Transport equipment survey reference',
+            'AKE': 'Transport equipment survey report number',
+            'AKF': 'Transport equipment stuffing order',
+            'AKG': 'Vehicle Identification Number (VIN)',
+            'AKH': 'Government bill of lading',
+            'AKI': 'Ordering customer\'s second reference number',
+            'AKJ': 'Direct debit reference',
+            'AKK': 'Meter reading at the beginning of the delivery',
+            'AKL': 'Meter reading at the end of delivery',
+            'AKM': 'Replenishment purchase order range start number',
+            'AKN': 'Third bank\'s reference',
+            'AKO': 'Action authorization number',
+            'AKP': 'Appropriation number',
+            'AKQ': 'Product change authority number',
+            'AKR': 'General cargo consignment reference number',
+            'AKS': 'Catalogue sequence number',
+            'AKT': 'Forwarding order number',
+            'AKU': 'Transport equipment survey reference number',
+            'AKV': 'Lease contract reference',
+            'AKW': 'Transport costs reference number',
+            'AKX': 'Transport equipment stripping order',
+            'AKY': 'Prior policy number',
+            'AKZ': 'Policy number',
+            'ALA': 'Procurement budget number',
+            'ALB': 'Domestic inventory management code',
+            'ALC': 'Customer reference number assigned to previous balance of',
+            'ALD': 'Previous credit advice reference number',
+            'ALE': 'Reporting form number',
+            'ALF': 'Authorization number for exception to dangerous goods',
+            'ALG': 'Dangerous goods security number',
+            'ALH': 'Dangerous goods transport licence number',
+            'ALI': 'Previous rental agreement number',
+            'ALJ': 'Next rental agreement reason number',
+            'ALK': 'Consignee\'s invoice number',
+            'ALL': 'Message batch number',
+            'ALM': 'Previous delivery schedule number',
+            'ALN': 'Physical inventory recount reference number',
+            'ALO': 'Receiving advice number',
+            'ALP': 'Returnable container reference number',
+            'ALQ': 'Returns notice number',
+            'ALR': 'Sales forecast number',
+            'ALS': 'Sales report number',
+            'ALT': 'Previous tax control number',
+            'ALU': 'AGERD (Aerospace Ground Equipment Requirement Data) number',
+            'ALV': 'Registered capital reference',
+            'ALW': 'Standard number of inspection document',
+            'ALX': 'Model',
+            'ALY': 'Financial management reference',
+            'ALZ': 'NOTIfication for COLlection number (NOTICOL)',
+            'AMA': 'Previous request for metered reading reference number',
+            'AMB': 'Next rental agreement number',
+            'AMC': 'Reference number of a request for metered reading',
+            'AMD': 'Hastening number',
+            'AME': 'Repair data request number',
+            'AMF': 'Consumption data request number',
+            'AMG': 'Profile number',
+            'AMH': 'Case number',
+            'AMI': 'Government quality assurance and control level Number',
+            'AMJ': 'Payment plan reference',
+            'AMK': 'Replaced meter unit number',
+            'AML': 'Replenishment purchase order range end number',
+            'AMM': 'Insurer assigned reference number',
+            'AMN': 'Canadian excise entry number',
+            'AMO': 'Premium rate table',
+            'AMP': 'Advise through bank\'s reference',
+            'AMQ': 'US, Department of Transportation bond surety code',
+            'AMR': 'US, Food and Drug Administration establishment indicator',
+            'AMS': 'US, Federal Communications Commission (FCC) import',
+            'AMT': 'Goods and Services Tax identification number',
+            'AMU': 'Integrated logistic support cross reference number',
+            'AMV': 'Department number',
+            'AMW': 'Buyer\'s catalogue number',
+            'AMX': 'Financial settlement party\'s reference number',
+            'AMY': 'Standard\'s version number',
+            'AMZ': 'Pipeline number',
+            'ANA': 'Account servicing bank\'s reference number',
+            'ANB': 'Completed units payment request reference',
+            'ANC': 'Payment in advance request reference',
+            'AND': 'Parent file',
+            'ANE': 'Sub file',
+            'ANF': 'CAD file layer convention',
+            'ANG': 'Technical regulation',
+            'ANH': 'Plot file',
+            'ANI': 'File conversion journal',
+            'ANJ': 'Authorization number',
+            'ANK': 'Reference number assigned by third party',
+            'ANL': 'Deposit reference number',
+            'ANM': 'Named bank\'s reference',
+            'ANN': 'Drawee\'s reference',
+            'ANO': 'Case of need party\'s reference',
+            'ANP': 'Collecting bank\'s reference',
+            'ANQ': 'Remitting bank\'s reference',
+            'ANR': 'Principal\'s bank reference',
+            'ANS': 'Presenting bank\'s reference',
+            'ANT': 'Consignee\'s reference',
+            'ANU': 'Financial transaction reference number',
+            'ANV': 'Credit reference number',
+            'ANW': 'Receiving bank\'s authorization number',
+            'ANX': 'Clearing reference',
+            'ANY': 'Sending bank\'s reference number',
+            'AOA': 'Documentary payment reference',
+            'AOD': 'Accounting file reference',
+            'AOE': 'Sender\'s file reference number',
+            'AOF': 'Receiver\'s file reference number',
+            'AOG': 'Source document internal reference',
+            'AOH': 'Principal\'s reference',
+            'AOI': 'Debit reference number',
+            'AOJ': 'Calendar',
+            'AOK': 'Work shift',
+            'AOL': 'Work breakdown structure',
+            'AOM': 'Organisation breakdown structure',
+            'AON': 'Work task charge number',
+            'AOO': 'Functional work group',
+            'AOP': 'Work team',
+            'AOQ': 'Department',
+            'AOR': 'Statement of work',
+            'AOS': 'Work package',
+            'AOT': 'Planning package',
+            'AOU': 'Cost account',
+            'AOV': 'Work order',
+            'AOW': 'Transportation Control Number (TCN)',
+            'AOX': 'Constraint notation',
+            'AOY': 'ETERMS reference',
+            'AOZ': 'Implementation version number',
+            'AP': 'Accounts receivable number',
+            'APA': 'Incorporated legal reference',
+            'APB': 'Payment instalment reference number',
+            'APC': 'Equipment owner reference number',
+            'APD': 'Cedent\'s claim number',
+            'APE': 'Reinsurer\'s claim number',
+            'APF': 'Price/sales catalogue response reference number',
+            'APG': 'General purpose message reference number',
+            'APH': 'Invoicing data sheet reference number',
+            'API': 'Additional party identification',
+            'APJ': 'Ceiling formula reference number',
+            'APK': 'Price variation formula reference number',
+            'APL': 'Reference to account servicing bank\'s message',
+            'APM': 'Party sequence number',
+            'APN': 'Purchaser\'s request reference',
+            'APO': 'Contractor request reference',
+            'APP': 'Accident reference number',
+            'APQ': 'Commercial account summary reference number',
+            'APR': 'Contract breakdown reference',
+            'APS': 'Contractor registration number',
+            'APT': 'Applicable coefficient identification number',
+            'APU': 'Special budget account number',
+            'APV': 'Authorisation for repair reference',
+            'APW': 'Manufacturer defined repair rates reference',
+            'APX': 'Original submitter log number',
+            'APY': 'Original submitter, parent Data Maintenance Request (DMR)',
+            'APZ': 'Original submitter, child Data Maintenance Request (DMR)',
+            'AQA': 'Entry point assessment log number',
+            'AQB': 'Entry point assessment log number, parent DMR',
+            'AQC': 'Entry point assessment log number, child DMR',
+            'AQD': 'Data structure tag',
+            'AQE': 'Central secretariat log number',
+            'AQF': 'Central secretariat log number, parent Data Maintenance',
+            'AQG': 'Central secretariat log number, child Data Maintenance',
+            'AQH': 'International assessment log number',
+            'AQI': 'International assessment log number, parent Data',
+            'AQJ': 'International assessment log number, child Data Maintenance',
+            'AQK': 'Status report number',
+            'AQL': 'Message design group number',
+            'AQM': 'US Customs Service (USCS) entry code',
+            'AQN': 'Beginning job sequence number',
+            'AQO': 'Sender\'s clause number',
+            'AQP': 'Dun and Bradstreet Canada\'s 8 digit Standard Industrial',
+            'AQQ': 'Activite Principale Exercee (APE) identifier',
+            'AQR': 'Dun and Bradstreet US 8 digit Standard Industrial',
+            'AQS': 'Nomenclature Activity Classification Economy (NACE)',
+            'AQT': 'Norme Activite Francaise (NAF) identifier',
+            'AQU': 'Registered contractor activity type',
+            'AQV': 'Statistic Bundes Amt (SBA) identifier',
+            'AQW': 'State or province assigned entity identification',
+            'AQX': 'Institute of Security and Future Market Development (ISFMD)',
+            'AQY': 'File identification number',
+            'AQZ': 'Bankruptcy procedure number',
+            'ARA': 'National government business identification number',
+            'ARB': 'Prior Data Universal Number System (DUNS) number',
+            'ARC': 'Companies Registry Office (CRO) number',
+            'ARD': 'Costa Rican judicial number',
+            'ARE': 'Numero de Identificacion Tributaria (NIT)',
+            'ARF': 'Patron number',
+            'ARG': 'Registro Informacion Fiscal (RIF) number',
+            'ARH': 'Registro Unico de Contribuyente (RUC) number',
+            'ARI': 'Tokyo SHOKO Research (TSR) business identifier',
+            'ARJ': 'Personal identity card number',
+            'ARK': 'Systeme Informatique pour le Repertoire des ENtreprises',
+            'ARL': 'Systeme Informatique pour le Repertoire des ETablissements',
+            'ARM': 'Publication issue number',
+            'ARN': 'Original filing number',
+            'ARO': 'Document page identifier',
+            'ARP': 'Public filing registration number',
+            'ARQ': 'Regiristo Federal de Contribuyentes',
+            'ARR': 'Social security number',
+            'ARS': 'Document volume number',
+            'ART': 'Book number',
+            'ARU': 'Stock exchange company identifier',
+            'ARV': 'Imputation account',
+            'ARW': 'Financial phase reference',
+            'ARX': 'Technical phase reference',
+            'ARY': 'Prior contractor registration number',
+            'ARZ': 'Stock adjustment number',
+            'ASA': 'Dispensation reference',
+            'ASB': 'Investment reference number',
+            'ASC': 'Assuming company',
+            'ASD': 'Budget chapter',
+            'ASE': 'Duty free products security number',
+            'ASF': 'Duty free products receipt authorisation number',
+            'ASG': 'Party information message reference',
+            'ASH': 'Formal statement reference',
+            'ASI': 'Proof of delivery reference number',
+            'ASJ': 'Supplier\'s credit claim reference number',
+            'ASK': 'Picture of actual product',
+            'ASL': 'Picture of a generic product',
+            'ASM': 'Trading partner identification number',
+            'ASN': 'Prior trading partner identification number',
+            'ASO': 'Password',
+            'ASP': 'Formal report number',
+            'ASQ': 'Fund account number',
+            'ASR': 'Safe custody number',
+            'ASS': 'Master account number',
+            'AST': 'Group reference number',
+            'ASU': 'Accounting transmission number',
+            'ASV': 'Product data file number',
+            'ASW': 'Cadastro Geral do Contribuinte (CGC)',
+            'ASX': 'Foreign resident identification number',
+            'ASY': 'CD-ROM',
+            'ASZ': 'Physical medium',
+            'ATA': 'Financial cancellation reference number',
+            'ATB': 'Purchase for export Customs agreement number',
+            'ATC': 'Judgment number',
+            'ATD': 'Secretariat number',
+            'ATE': 'Previous banking status message reference',
+            'ATF': 'Last received banking status message reference',
+            'ATG': 'Bank\'s documentary procedure reference',
+            'ATH': 'Customer\'s documentary procedure reference',
+            'ATI': 'Safe deposit box number',
+            'ATJ': 'Receiving Bankgiro number',
+            'ATK': 'Sending Bankgiro number',
+            'ATL': 'Bankgiro reference',
+            'ATM': 'Guarantee number',
+            'ATN': 'Collection instrument number',
+            'ATO': 'Converted Postgiro number',
+            'ATP': 'Cost centre alignment number',
+            'ATQ': 'Kamer Van Koophandel (KVK) number',
+            'ATR': 'Institut Belgo-Luxembourgeois de Codification (IBLC) number',
+            'ATS': 'External object reference',
+            'ATT': 'Exceptional transport authorisation number',
+            'ATU': 'Clave Unica de Identificacion Tributaria (CUIT)',
+            'ATV': 'Registro Unico Tributario (RUT)',
+            'ATW': 'Flat rack container bundle identification number',
+            'ATX': 'Transport equipment acceptance order reference',
+            'ATY': 'Transport equipment release order reference',
+            'ATZ': 'Ship\'s stay reference number',
+            'AU': 'Authorization to meet competition number',
+            'AUA': 'Place of positioning reference',
+            'AUB': 'Party reference',
+            'AUC': 'Issued prescription identification',
+            'AUD': 'Collection reference',
+            'AUE': 'Travel service',
+            'AUF': 'Consignment stock contract',
+            'AUG': 'Importer\'s letter of credit reference',
+            'AUH': 'Performed prescription identification',
+            'AUI': 'Image reference',
+            'AUJ': 'Proposed purchase order reference number',
+            'AUK': 'Application for financial support reference number',
+            'AUL': 'Manufacturing quality agreement number',
+            'AUM': 'Software editor reference',
+            'AUN': 'Software reference',
+            'AUO': 'Software quality reference',
+            'AUP': 'Consolidated orders\' reference',
+            'AUQ': 'Customs binding ruling number',
+            'AUR': 'Customs non-binding ruling number',
+            'AUS': 'Delivery route reference',
+            'AUT': 'Net area supplier reference',
+            'AUU': 'Time series reference',
+            'AUV': 'Connecting point to central grid',
+            'AUW': 'Marketing plan identification number (MPIN)',
+            'AUX': 'Entity reference number, previous',
+            'AUY': 'International Standard Industrial Classification (ISIC)',
+            'AUZ': 'Customs pre-approval ruling number',
+            'AV': 'Account number',
+            'AVA': 'First financial institution\'s transaction reference',
+            'AVB': 'Product characteristics directory',
+            'AVC': 'Supplier\'s customer reference number',
+            'AVD': 'Inventory report request number',
+            'AVE': 'Metering point',
+            'AVF': 'Passenger reservation number',
+            'AVG': 'Slaughterhouse approval number',
+            'AVH': 'Meat cutting plant approval number',
+            'AVI': 'Customer travel service identifier',
+            'AVJ': 'Export control classification number',
+            'AVK': 'Broker reference 3',
+            'AVL': 'Consignment information',
+            'AVM': 'Goods item information',
+            'AVN': 'Dangerous Goods information',
+            'AVO': 'Pilotage services exemption number',
+            'AVP': 'Person registration number',
+            'AVQ': 'Place of packing approval number',
+            'AVR': 'Original Mandate Reference',
+            'AVS': 'Mandate Reference',
+            'AVT': 'Reservation station indentifier',
+            'AVU': 'Unique goods shipment identifier',
+            'AVV': 'Framework Agreement Number',
+            'AVW': 'Hash value',
+            'AVX': 'Movement reference number',
+            'AVY': 'Economic Operators Registration and Identification Number',
+            'AVZ': 'Local Reference Number',
+            'AWA': 'Rate code number',
+            'AWB': 'Air waybill number',
+            'AWC': 'Documentary credit amendment number',
+            'AWD': 'Advising bank\'s reference',
+            'AWE': 'Cost centre',
+            'AWF': 'Work item quantity determination',
+            'AWG': 'Internal data process number',
+            'AWH': 'Category of work reference',
+            'AWI': 'Policy form number',
+            'AWJ': 'Net area',
+            'AWK': 'Service provider',
+            'AWL': 'Error position',
+            'AWM': 'Service category reference',
+            'AWN': 'Connected location',
+            'AWO': 'Related party',
+            'AWP': 'Latest accounting entry record reference',
+            'AWQ': 'Accounting entry',
+            'AWR': 'Document reference, original',
+            'AWS': 'Hygienic Certificate number, national',
+            'AWT': 'Administrative Reference Code',
+            'AWU': 'Pick-up sheet number',
+            'AWV': 'Phone number',
+            'AWW': 'Buyer\'s fund number',
+            'AWX': 'Company trading account number',
+            'AWY': 'Reserved goods identifier',
+            'AWZ': 'Handling and movement reference number',
+            'AXA': 'Instruction to despatch reference number',
+            'AXB': 'Instruction for returns number',
+            'AXC': 'Metered services consumption report number',
+            'AXD': 'Order status enquiry number',
+            'AXE': 'Firm booking reference number',
+            'AXF': 'Product inquiry number',
+            'AXG': 'Split delivery number',
+            'AXH': 'Service relation number',
+            'AXI': 'Serial shipping container code',
+            'AXJ': 'Test specification number',
+            'AXK': 'Transport status report number',
+            'AXL': 'Tooling contract number',
+            'AXM': 'Formula reference number',
+            'AXN': 'Pre-agreement number',
+            'AXO': 'Product certification number',
+            'AXP': 'Consignment contract number',
+            'AXQ': 'Product specification reference number',
+            'AXR': 'Payroll deduction advice reference',
+            'AXS': 'TRACES party identification',
+            'AXU': 'Block Stowage Reference',
+            'BA': 'Beginning meter reading actual',
+            'BC': 'Buyer\'s contract number',
+            'BD': 'Bid number',
+            'BE': 'Beginning meter reading estimated',
+            'BH': 'House bill of lading number',
+            'BM': 'Bill of lading number',
+            'BN': 'Booking reference number',
+            'BO': 'Blanket order number',
+            'BR': 'Broker or sales office number',
+            'BT': 'Batch number/lot number',
+            'BTP': 'Battery and accumulator producer registration number',
+            'BW': 'Blended with number',
+            'CAS': 'IATA Cargo Agent CASS Address number',
+            'CAT': 'Matching of entries, balanced',
+            'CAU': 'Entry flagging',
+            'CAV': 'Matching of entries, unbalanced',
+            'CAW': 'Document reference, internal',
+            'CAX': 'European Value Added Tax identification',
+            'CAY': 'Cost accounting document',
+            'CAZ': 'Grid operator\'s customer reference number',
+            'CBA': 'Ticket control number',
+            'CBB': 'Order shipment grouping reference',
+            'CD': 'Credit note number',
+            'CEC': 'Ceding company',
+            'CED': 'Debit letter number',
+            'CFE': 'Consignee\'s further order',
+            'CFF': 'Animal farm licence number',
+            'CFO': 'Consignor\'s further order',
+            'CG': 'Consignee\'s order number',
+            'CH': 'Customer catalogue number',
+            'CK': 'Cheque number',
+            'CKN': 'Checking number',
+            'CM': 'Credit memo number',
+            'CMR': 'Road consignment note number',
+            'CN': 'Carrier\'s reference number',
+            'CNO': 'Charges note document attachment indicator',
+            'COF': 'Call off order number',
+            'CP': 'Condition of purchase document number',
+            'CR': 'Customer reference number',
+            'CRN': 'Transport means journey identifier',
+            'CS': 'Condition of sale document number',
+            'CST': 'Team assignment number',
+            'CT': 'Contract number',
+            'CU': 'Consignor\'s reference number',
+            'CV': 'Container operators reference number',
+            'CW': 'Package number',
+            'CZ': 'Cooperation contract number',
+            'DA': 'Deferment approval number',
+            'DAN': 'Debit account number',
+            'DB': 'Buyer\'s debtor number',
+            'DI': 'Distributor invoice number',
+            'DL': 'Debit note number',
+            'DM': 'Document identifier',
+            'DQ': 'Delivery note number',
+            'DR': 'Dock receipt number',
+            'EA': 'Ending meter reading actual',
+            'EB': 'Embargo permit number',
+            'ED': 'Export declaration',
+            'EE': 'Ending meter reading estimated',
+            'EEP': 'Electrical and electronic equipment producer registration',
+            'EI': 'Employer\'s identification number',
+            'EN': 'Embargo number',
+            'EQ': 'Equipment number',
+            'ER': 'Container/equipment receipt number',
+            'ERN': 'Exporter\'s reference number',
+            'ET': 'Excess transportation number',
+            'EX': 'Export permit identifier',
+            'FC': 'Fiscal number',
+            'FF': 'Freight forwarder\'s reference number',
+            'FI': 'File line identifier',
+            'FLW': 'Flow reference number',
+            'FN': 'Freight bill number',
+            'FO': 'Foreign exchange',
+            'FS': 'Final sequence number',
+            'FT': 'Free zone identifier',
+            'FV': 'File version number',
+            'FX': 'Foreign exchange contract number',
+            'GA': 'Standard\'s number',
+            'GC': 'Government contract number',
+            'GD': 'Standard\'s code number',
+            'GDN': 'General declaration number',
+            'GN': 'Government reference number',
+            'HS': 'Harmonised system number',
+            'HWB': 'House waybill number',
+            'IA': 'Internal vendor number',
+            'IB': 'In bond number',
+            'ICA': 'IATA cargo agent code number',
+            'ICE': 'Insurance certificate reference number',
+            'ICO': 'Insurance contract reference number',
+            'II': 'Initial sample inspection report number',
+            'IL': 'Internal order number',
+            'INB': 'Intermediary broker',
+            'INN': 'Interchange number new',
+            'INO': 'Interchange number old',
+            'IP': 'Import licence number',
+            'IS': 'Invoice number suffix',
+            'IT': 'Internal customer number',
+            'IV': 'Invoice number',
+            'JB': 'Job number',
+            'JE': 'Ending job sequence number',
+            'LA': 'Shipping label serial number',
+            'LAN': 'Loading authorisation identifier',
+            'LAR': 'Lower number in range',
+            'LB': 'Lockbox',
+            'LC': 'Letter of credit number',
+            'LI': 'Line item reference number',
+            'LO': 'Load planning number',
+            'LRC': 'Reservation office identifier',
+            'LS': 'Bar coded label serial number',
+            'MA': 'Ship notice/manifest number',
+            'MB': 'Master bill of lading number',
+            'MF': 'Manufacturer\'s part number',
+            'MG': 'Meter unit number',
+            'MH': 'Manufacturing order number',
+            'MR': 'Message recipient',
+            'MRN': 'Mailing reference number',
+            'MS': 'Message sender',
+            'MSS': 'Manufacturer\'s material safety data sheet number',
+            'MWB': 'Master air waybill number',
+            'NA': 'North American hazardous goods classification number',
+            'NF': 'Nota Fiscal',
+            'OH': 'Current invoice number',
+            'OI': 'Previous invoice number',
+            'ON': 'Order number (purchase)',
+            'OP': 'Original purchase order',
+            'OR': 'General order number',
+            'PB': 'Payer\'s financial institution account number',
+            'PC': 'Production code',
+            'PD': 'Promotion deal number',
+            'PE': 'Plant number',
+            'PF': 'Prime contractor contract number',
+            'PI': 'Price list version number',
+            'PK': 'Packing list number',
+            'PL': 'Price list number',
+            'PO': 'Purchase order number',
+            'POR': 'Purchase order response number',
+            'PP': 'Purchase order change number',
+            'PQ': 'Payment reference',
+            'PR': 'Price quote number',
+            'PS': 'Purchase order number suffix',
+            'PW': 'Prior purchase order number',
+            'PY': 'Payee\'s financial institution account number',
+            'RA': 'Remittance advice number',
+            'RC': 'Rail/road routing code',
+            'RCN': 'Railway consignment note number',
+            'RE': 'Release number',
+            'REN': 'Consignment receipt identifier',
+            'RF': 'Export reference number',
+            'RR': 'Payer\'s financial institution transit routing No.(ACH',
+            'RT': 'Payee\'s financial institution transit routing No.',
+            'SA': 'Sales person number',
+            'SB': 'Sales region number',
+            'SD': 'Sales department number',
+            'SE': 'Serial number',
+            'SEA': 'Allocated seat',
+            'SF': 'Ship from',
+            'SH': 'Previous highest schedule number',
+            'SI': 'SID (Shipper\'s identifying number for shipment)',
+            'SM': 'Sales office number',
+            'SN': 'Transport equipment seal identifier',
+            'SP': 'Scan line',
+            'SQ': 'Equipment sequence number',
+            'SRN': 'Shipment reference number',
+            'SS': 'Seller\'s reference number',
+            'STA': 'Station reference number',
+            'SW': 'Swap order number',
+            'SZ': 'Specification number',
+            'TB': 'Trucker\'s bill of lading',
+            'TCR': 'Terminal operator\'s consignment reference',
+            'TE': 'Telex message number',
+            'TF': 'Transfer number',
+            'TI': 'TIR carnet number',
+            'TIN': 'Transport instruction number',
+            'TL': 'Tax exemption licence number',
+            'TN': 'Transaction reference number',
+            'TP': 'Test report number',
+            'UAR': 'Upper number of range',
+            'UC': 'Ultimate customer\'s reference number',
+            'UCN': 'Unique consignment reference number',
+            'UN': 'United Nations Dangerous Goods identifier',
+            'UO': 'Ultimate customer\'s order number',
+            'URI': 'Uniform Resource Identifier',
+            'VA': 'VAT registration number',
+            'VC': 'Vendor contract number',
+            'VGR': 'Transport equipment gross mass verification reference',
+            'VM': 'Vessel identifier',
+            'VN': 'Order number (vendor)',
+            'VON': 'Voyage number',
+            'VOR': 'Transport equipment gross mass verification order reference',
+            'VP': 'Vendor product number',
+            'VR': 'Vendor ID number',
+            'VS': 'Vendor order number suffix',
+            'VT': 'Motor vehicle identification number',
+            'VV': 'Voucher number',
+            'WE': 'Warehouse entry number',
+            'WM': 'Weight agreement number',
+            'WN': 'Well number',
+            'WR': 'Warehouse receipt number',
+            'WS': 'Warehouse storage location number',
+            'WY': 'Rail waybill number',
+            'XA': 'Company/place registration number',
+            'XC': 'Cargo control number',
+            'XP': 'Previous cargo control number',
+            'ZZZ': 'Mutually defined reference number'
+        }
+    },
+    '1225': {
+        name: 'Message function, coded',
+        complete: false,
+        codes: {
+            '1': 'Cancellation',
+            '2': 'Addition',
+            '3': 'Deletion',
+            '4': 'Change',
+            '5': 'Replace',
+            '6': 'Confirmation',
+            '7': 'Duplicate',
+            '8': 'Status',
+            '9': 'Original',
+            '10': 'Not found',
+            '11': 'Response',
+            '12': 'Not processed',
+            '13': 'Request',
+            '14': 'Advance notification',
+            '15': 'Reminder',
+            '16': 'Proposal',
+            '17': 'Cancel, to be reissued',
+            '18': 'Reissue',
+            '19': 'Seller initiated change',
+            '20': 'Replace heading section only',
+            '21': 'Replace item detail and summary only',
+            '22': 'Final transmission',
+            '23': 'Transaction on hold',
+            '24': 'Delivery instruction',
+            '25': 'Forecast',
+            '26': 'Delivery instruction and forecast',
+            '27': 'Not accepted',
+            '28': 'Accepted, with amendment in heading section',
+            '29': 'Accepted without amendment',
+            '30': 'Accepted, with amendment in detail section',
+            '31': 'Copy',
+            '32': 'Approval',
+            '33': 'Change in heading section',
+            '34': 'Accepted with amendment',
+            '35': 'Retransmission',
+            '36': 'Change in detail section',
+            '37': 'Reversal of a debit',
+            '38': 'Reversal of a credit',
+            '39': 'Reversal of cancellation',
+            '40': 'Request for deletion',
+            '41': 'Close-out',
+            '42': 'Confirmation - via specific means',
+            '43': 'Additional transmission',
+            '44': 'Accepted without reserves',
+            '45': 'Accepted with reserves',
+            '46': 'Provisional',
+            '47': 'Definitive',
+            '48': 'Accepted, contents rejected',
+            '49': 'Settled dispute',
+            '50': 'Withdraw',
+            '51': 'Authorisation',
+            '52': 'Proposed amendment',
+            '53': 'Test',
+            '54': 'Extract'
+        }
+    },
+    '1227': {
+        name: 'Calculation sequence indicator, coded',
+        complete: false,
+        codes: {
+            '1': 'First step of calculation',
+            '2': 'Second step of calculation',
+            '3': 'Third step of calculation',
+            '4': 'Fourth step of calculation',
+            '5': 'Fifth step of calculation',
+            '6': 'Sixth step of calculation',
+            '7': 'Seventh step of calculation',
+            '8': 'Eighth step of calculation',
+            '9': 'Ninth step of calculation'
+        }
+    },
+    '1229': {
+        name: 'Action request/notification, coded',
+        complete: false,
+        codes: {
+            '1': 'Added',
+            '2': 'Deleted',
+            '3': 'Changed',
+            '4': 'No action',
+            '5': 'Accepted without amendment',
+            '6': 'Accepted with amendment',
+            '7': 'Not accepted',
+            '8': 'Schedule only',
+            '9': 'Amendments',
+            '10': 'Not found',
+            '11': 'Not amended',
+            '12': 'Line item numbers changed',
+            '13': 'Buyer has deducted amount',
+            '14': 'Buyer claims against invoice',
+            '15': 'Charge back by seller',
+            '16': 'Seller will issue credit note',
+            '17': 'Terms changed for new terms',
+            '18': 'Abide outcome of negotiation',
+            '19': 'Seller rejects dispute',
+            '20': 'Request',
+            '21': 'Response',
+            '22': 'Final transmission'
+        }
+    },
+    '2005': {
+        name: 'Date/time/period qualifier',
+        complete: false,
+        // D96A codes run from 1 to 499
+        pattern: /^([1-9]\d?|[1-4]\d\d)$/,
+        codes: {
+            '1': 'Service completion date/time, actual',
+            '2': 'Delivery date/time, requested',
+            '3': 'Invoice date/time',
+            '4': 'Order date/time',
+            '7': 'Effective date/time',
+            '8': 'Order received date/time',
+            '9': 'Processing date/time',
+            '10': 'Shipment date/time, requested',
+            '11': 'Despatch date and/or time',
+            '12': 'Terms discount due date/time',
+            '13': 'Terms net due date',
+            '14': 'Payment date/time, deferred',
+            '15': 'Promotion start date/time',
+            '16': 'Promotion end date/time',
+            '17': 'Delivery date/time, estimated',
+            '18': 'Installation date/time/period',
+            '20': 'Cheque date/time',
+            '21': 'Charge back date/time',
+            '35': 'Delivery date/time, actual',
+            '36': 'Expiry date',
+            '37': 'Ship not before date/time',
+            '38': 'Ship not later than date/time',
+            '39': 'Ship week of date',
+            '44': 'Availability',
+            '45': 'Compilation date and time',
+            '48': 'Duration',
+            '50': 'Goods receipt date/time',
+            '51': 'Cumulative quantity start date',
+            '52': 'Cumulative quantity end date',
+            '54': 'Transhipment date/time',
+            '59': 'Inbound movement authorization date',
+            '61': 'Cancel if not delivered by this date',
+            '63': 'Delivery date/time, latest',
+            '64': 'Delivery date/time, earliest',
+            '69': 'Delivery date/time, promised for',
+            '71': 'Delivery date/time, requested for (after and including)',
+            '72': 'Delivery date/time, promised for (after and including)',
+            '74': 'Delivery date/time, requested for (prior to and including)',
+            '75': 'Delivery date/time, promised for (prior to and including)',
+            '76': 'Delivery date/time, scheduled for',
+            '89': 'Inquiry date',
+            '90': 'Report start date',
+            '91': 'Report end date',
+            '92': 'Contract effective date',
+            '93': 'Contract expiry date',
+            '94': 'Production/manufacture date',
+            '95': 'Bill of lading date',
+            '96': 'Discharge date/time',
+            '97': 'Transaction creation date',
+            '124': 'Despatch note date',
+            '131': 'Tax point date',
+            '132': 'Arrival date/time, estimated',
+            '133': 'Departure date/time, estimated',
+            '134': 'Rate of exchange date/time',
+            '136': 'Departure date/time',
+            '137': 'Document/message date/time',
+            '140': 'Payment due date',
+            '143': 'Acceptance date/time of goods',
+            '154': 'Acceptance date of document',
+            '155': 'Accounting period start date',
+            '156': 'Accounting period end date',
+            '157': 'Validity start date',
+            '158': 'Horizon start date',
+            '159': 'Horizon end date',
+            '171': 'Reference date/time',
+            '178': 'Arrival date/time, actual',
+            '182': 'Issue date',
+            '186': 'Departure date/time, actual',
+            '189': 'Departure date/time, scheduled',
+            '194': 'Start date/time',
+            '200': 'Pick-up/collection date/time of cargo',
+            '206': 'End date/time',
+            '209': 'Value date',
+            '232': 'Arrival date/time, scheduled',
+            '263': 'Invoicing period',
+            '273': 'Validity period',
+            '325': 'Tax period',
+            '329': 'Date/time of birth',
+            '334': 'Status change date/time',
+            '361': 'Best before date'
+        }
+    },
+    '2009': {
+        name: 'Time relation, coded',
+        complete: false,
+        codes: {
+            '1': 'Before reference',
+            '3': 'After reference'
+        }
+    },
+    '2151': {
+        name: 'Type of period, coded',
+        complete: false,
+        codes: {
+            'D': 'Day',
+            'H': 'Hour',
+            'M': 'Month',
+            'W': 'Week',
+            'Y': 'Year'
+        }
+    },
+    '2379': {
+        name: 'Date/time/period format qualifier',
+        complete: false,
+        // Numeric, 1 to 3 digits
+        pattern: /^[1-9]\d{0,2}$/,
+        codes: {
+            '2': 'DDMMYY',
+            '3': 'MMDDYY',
+            '4': 'DDMMCCYY',
+            '5': 'DDMMCCYYHHMM',
+            '101': 'YYMMDD',
+            '102': 'CCYYMMDD',
+            '103': 'YYWWD',
+            '104': 'MMWW-MMWW',
+            '105': 'YYDDD',
+            '106': 'MMDD',
+            '107': 'DDD',
+            '108': 'WW',
+            '109': 'MM',
+            '110': 'DD',
+            '201': 'YYMMDDHHMM',
+            '202': 'YYMMDDHHMMSS',
+            '203': 'CCYYMMDDHHMM',
+            '204': 'CCYYMMDDHHMMSS',
+            '205': 'CCYYMMDDHHMMZHHMM',
+            '301': 'YYMMDDHHMMZZZ',
+            '302': 'YYMMDDHHMMSSZZZ',
+            '303': 'CCYYMMDDHHMMZZZ',
+            '304': 'CCYYMMDDHHMMSSZZZ',
+            '401': 'HHMM',
+            '402': 'HHMMSS',
+            '404': 'HHMMSSZZZ',
+            '405': 'MMMMSS',
+            '501': 'HHMMHHMM',
+            '502': 'HHMMSS-HHMMSS',
+            '503': 'HHMMSSZZZ-HHMMSSZZZ',
+            '600': 'CC',
+            '601': 'YY',
+            '602': 'CCYY',
+            '609': 'YYMM',
+            '610': 'CCYYMM',
+            '615': 'YYWW',
+            '616': 'CCYYWW',
+            '701': 'YY-YY',
+            '702': 'CCYY-CCYY',
+            '709': 'YYMM-YYMM',
+            '710': 'CCYYMM-CCYYMM',
+            '712': 'YYWW-YYWW',
+            '713': 'YYMMDDHHMM-YYMMDDHHMM',
+            '715': 'CCYYWW-CCYYWW',
+            '717': 'YYMMDD-YYMMDD',
+            '718': 'CCYYMMDD-CCYYMMDD',
+            '719': 'CCYYMMDDHHMM-CCYYMMDDHHMM',
+            '720': 'DHHMM-DHHMM',
+            '801': 'Year',
+            '802': 'Month',
+            '803': 'Week',
+            '804': 'Day',
+            '805': 'Hour',
+            '806': 'Minute',
+            '807': 'Second',
+            '808': 'Semester',
+            '809': 'Four months',
+            '810': 'Trimester',
+            '811': 'Half month',
+            '812': 'Ten days',
+            '813': 'Day of the week',
+            '814': 'Working days'
+        }
+    },
+    '2475': {
+        name: 'Payment time reference, coded',
+        complete: false,
+        codes: {
+            '1': 'Date of order',
+            '3': 'Date of contract',
+            '5': 'Date of invoice'
+        }
+    },
+    '3035': {
+        name: 'Party qualifier',
+        complete: true,
+        codes: {
+            'AA': 'Party to be billed (AAR Accounting rule 11)',
+            'AB': 'Buyer\'s agent/representative',
+            'AE': 'Declarant\'s agent/representative',
+            'AF': 'Transit principal',
+            'AG': 'Agent',
+            'AH': 'Transit principal\'s agent/representative',
+            'AI': 'Successful job applicant',
+            'AJ': 'Party issuing mutually agreed codes',
+            'AK': 'Acknowledgement recipient',
+            'AL': 'Principal responsible party',
+            'AM': 'Authorized official',
+            'AN': 'Approved importer',
+            'AO': 'Account of',
+            'AP': 'Accepting party',
+            'AQ': 'Approved consignor',
+            'AR': 'Authorized exporter',
+            'AS': 'Account servicing financial institution',
+            'AT': 'Authorized importer',
+            'AU': 'Authorized trader (transit)',
+            'AV': 'Authorizing official',
+            'AW': 'Applicant\'s bank',
+            'AX': 'Authenticating party',
+            'AY': 'Animal being investigated',
+            'AZ': 'Issuing bank',
+            'B1': 'Contact bank 1',
+            'B2': 'Contact bank 2',
+            'BA': 'Booking agent',
+            'BB': 'Buyer bank identification',
+            'BC': 'Negotiating bank',
+            'BD': 'Documentary credit reimbursing bank',
+            'BE': 'Beneficiary',
+            'BF': 'Beneficiary\'s bank',
+            'BG': 'Employer',
+            'BH': 'Previous employer',
+            'BI': 'Buyer\'s financial institution',
+            'BJ': 'Release to party',
+            'BK': 'Financial institution',
+            'BL': 'Bill of lading recipient',
+            'BM': 'Insured',
+            'BN': 'Insurance beneficiary',
+            'BO': 'Broker or sales office',
+            'BP': 'Building site purchaser',
+            'BQ': 'Cheque drawn bank',
+            'BS': 'Bill and ship to',
+            'BT': 'Party to be billed for other than freight (bill to)',
+            'BU': 'Service bureau',
+            'BV': 'Member',
+            'BW': 'Borrower',
+            'BX': 'Building site engineer',
+            'BY': 'Buyer',
+            'BZ': 'Building site forwarder',
+            'C1': 'In care of party no. 1',
+            'C2': 'In care of party no. 2',
+            'CA': 'Carrier',
+            'CB': 'Customs broker',
+            'CC': 'Claimant',
+            'CD': 'Agent\'s bank',
+            'CE': 'Ceding company',
+            'CF': 'Container operator/lessee',
+            'CG': 'Carrier\'s agent',
+            'CH': 'Connecting carrier',
+            'CI': 'Commission processor',
+            'CJ': 'Previous member',
+            'CK': 'Empty equipment despatch party',
+            'CL': 'Container location party',
+            'CM': 'Customs',
+            'CN': 'Consignee',
+            'CNX': 'Cash pool top account servicing financial institution',
+            'CNY': 'Cash pool level account servicing financial institution',
+            'CNZ': 'Cash pool sub-account servicing financial institution',
+            'CO': 'Corporate office',
+            'COA': 'Entity in which a financial interest is held',
+            'COB': 'Intermediate level parent company',
+            'COC': 'Transshipment party',
+            'COD': 'Quotation requesting party',
+            'COE': 'Party maintaining the codes used in the message',
+            'COF': 'Party maintaining the identifiers used in the message',
+            'COG': 'Dispatcher',
+            'COH': 'Submitter of sample',
+            'COI': 'Institutional provider',
+            'COJ': 'Primary health care provider',
+            'COK': 'Assistant surgeon',
+            'COL': 'Admitting health care provider',
+            'COM': 'Referring health care provider',
+            'CON': 'Supervising health care provider',
+            'COO': 'Party providing financing',
+            'COP': 'Convoying party',
+            'COQ': 'Nominated bank',
+            'COR': 'Family member',
+            'COS': 'Co-participant',
+            'COT': 'Involved party',
+            'COU': 'Assigner',
+            'COV': 'Registered principal',
+            'COW': 'Freight payer on behalf of the consignor',
+            'COX': 'Freight payer on behalf of the consignee',
+            'COY': 'Party responsible for disinfection',
+            'COZ': 'Party responsible for refueling',
+            'CP': 'Party to receive certificate of compliance',
+            'CPA': 'Advising bank',
+            'CPB': 'Reimbursing bank',
+            'CPC': 'Advise through bank',
+            'CPD': 'Charges payer at destination',
+            'CPE': 'Transport means master name',
+            'CPF': 'Means of transport charterer',
+            'CPG': 'Excise party',
+            'CPH': 'Copy report to',
+            'CPI': 'Related healthcare party',
+            'CPJ': 'Clinical information provider',
+            'CPK': 'Service requester',
+            'CPL': 'Patient admitted by',
+            'CPM': 'Patient discharged to',
+            'CPN': 'Patient hosted by',
+            'CPO': 'Prescriber\'s contact person',
+            'CQ': 'Cheque order',
+            'CR': 'Empty equipment return party',
+            'CS': 'Consolidator',
+            'CT': 'Consignee to be specified',
+            'CU': 'Container return company',
+            'CV': 'Consignee of vessel',
+            'CW': 'Equipment owner',
+            'CX': 'Consignee\'s agent',
+            'CY': 'Commissionable agent',
+            'CZ': 'Consignor',
+            'DA': 'Available with bank (documentary credits)',
+            'DB': 'Distributor branch',
+            'DC': 'Deconsolidator',
+            'DCP': 'Despatch charge payer',
+            'DCQ': 'Prescription database owner',
+            'DCR': 'Original prescriber',
+            'DCS': 'Temporary employee',
+            'DCT': 'Designer',
+            'DCU': 'Quotation delivered to',
+            'DCV': 'Developer',
+            'DCW': 'Test execution party',
+            'DCX': 'Party to receive refund',
+            'DCY': 'Authorised issuer of prescription',
+            'DCZ': 'Authorised dispenser of medicine',
+            'DD': 'Documentary credit account party\'s bank',
+            'DDA': 'Report responsible party',
+            'DDB': 'Initial sender',
+            'DDC': 'The party authorising the original prescription',
+            'DDD': 'Applicant',
+            'DDE': 'Meter reader',
+            'DDF': 'Primary electronic business contact',
+            'DDG': 'Alternate electronic business contact',
+            'DDH': 'Primary government business contact',
+            'DDI': 'Alternate government business contact',
+            'DDJ': 'Past performance contact',
+            'DDK': 'Balance responsible party',
+            'DDL': 'Group of passengers',
+            'DDM': 'Grid operator',
+            'DDN': 'First financial institution in the transaction chain',
+            'DDO': 'Location manager',
+            'DDP': 'Group leader',
+            'DDQ': 'Balance power supplier',
+            'DDR': 'Consignor\'s freight forwarder',
+            'DDS': 'Consignee\'s freight forwarder',
+            'DDT': 'In transit crew member',
+            'DDU': 'In transit passenger',
+            'DDV': 'Energy consumption imbalance responsible party',
+            'DDW': 'Energy production imbalance responsible party',
+            'DDX': 'Imbalance settlement responsible party',
+            'DDY': 'Transmission capacity allocator',
+            'DDZ': 'Metering point administrator',
+            'DE': 'Depositor',
+            'DEA': 'Metered data aggregator',
+            'DEB': 'Meter operator',
+            'DEC': 'Party connected to grid',
+            'DED': 'Profile maintenance party',
+            'DEE': 'Stowaway',
+            'DEF': 'Meat cutter',
+            'DEG': 'Consortium Carrier (maritime)',
+            'DEH': 'Non-vessel operating carrier',
+            'DEI': 'Means of transport operator',
+            'DEJ': 'Stuffing address',
+            'DEK': 'Mooring service provider',
+            'DEL': 'Pilotage service provider',
+            'DEM': 'Berth towage service provider',
+            'DEN': 'Agent/representative, direct representation',
+            'DEO': 'Agent/representative, indirect representation',
+            'DEP': 'Stevedore',
+            'DF': 'Documentary credit applicant',
+            'DG': 'Documentary credit beneficiary',
+            'DH': 'Documentary credit account party',
+            'DI': 'Documentary credit second beneficiary',
+            'DJ': 'Party according to documentary credit transaction',
+            'DK': 'Documentary credit beneficiary\'s bank',
+            'DL': 'Factor',
+            'DM': 'Party to whom documents are to be presented',
+            'DN': 'Owner of operation',
+            'DO': 'Document recipient',
+            'DP': 'Delivery party',
+            'DQ': 'Owner\'s agent',
+            'DR': 'Driver',
+            'DS': 'Distributor',
+            'DT': 'Declarant',
+            'DU': 'Owner\'s representative',
+            'DV': 'Project management office',
+            'DW': 'Drawee',
+            'DX': 'Engineer (construction)',
+            'DY': 'Engineer, resident (construction)',
+            'DZ': 'Architect',
+            'EA': 'Architect-designer',
+            'EB': 'Building inspectorate',
+            'EC': 'Exchanger',
+            'ED': 'Engineer, consultant',
+            'EE': 'Location of goods for customs examination before clearance',
+            'EF': 'Project coordination office',
+            'EG': 'Surveyor, topographical',
+            'EH': 'Engineer, measurement',
+            'EI': 'Controller, quality',
+            'EJ': 'Surveyor, quantity',
+            'EK': 'Surveyor (professional), quantity',
+            'EL': 'Project',
+            'EM': 'Party to receive electronic memo of invoice',
+            'EN': 'Tenderer',
+            'EO': 'Owner of equipment',
+            'EP': 'Equipment drop-off party',
+            'EQ': 'Empty container responsible party',
+            'ER': 'Empty container return agent',
+            'ES': 'Contractor, lead',
+            'ET': 'Co-contractor',
+            'EU': 'Contractor, general',
+            'EV': 'Subcontractor',
+            'EW': 'Subcontractor with direct payment',
+            'EX': 'Exporter',
+            'EY': 'Subcontractor, nominated',
+            'EZ': 'Operator, essential services',
+            'FA': 'Operator, communication channel',
+            'FB': 'Nominated freight company',
+            'FC': 'Contractor, main',
+            'FD': 'Buyer\'s parent company',
+            'FE': 'Credit rating agency',
+            'FF': 'Factor, correspondent',
+            'FG': 'Buyer as officially registered',
+            'FH': 'Seller as officially registered',
+            'FI': 'Copy message to',
+            'FII': 'NAD    PNA',
+            'FJ': 'Trade Union',
+            'FK': 'Previous Trade Union',
+            'FL': 'Passenger',
+            'FM': 'Crew member',
+            'FN': 'Tariff issuer',
+            'FO': 'Party performing inspection',
+            'FP': 'Freight/charges payer',
+            'FQ': 'Container survey agent',
+            'FR': 'Message from',
+            'FS': 'Party authorized to make definite a contract action',
+            'FT': 'Financial settlement party',
+            'FU': 'Hazardous material office',
+            'FV': 'Party providing government furnished property',
+            'FW': 'Freight forwarder',
+            'FX': 'Current receiver',
+            'FY': 'Current sender',
+            'FZ': 'Grouping centre',
+            'GA': 'Road carrier',
+            'GB': 'Chamber of commerce',
+            'GC': 'Goods custodian',
+            'GD': 'Producer',
+            'GE': 'Registration tribunal',
+            'GF': 'Slot charter party',
+            'GH': 'Applicant for job',
+            'GI': 'Spouse',
+            'GJ': 'Mother',
+            'GK': 'Father',
+            'GL': 'Socially insured person',
+            'GM': 'Inventory controller',
+            'GN': 'Processor',
+            'GO': 'Goods owner',
+            'GP': 'Packer',
+            'GQ': 'Slaughterer',
+            'GR': 'Goods releasing party',
+            'GS': 'Consignor\'s representative',
+            'GT': 'Rail carrier',
+            'GU': 'Originator of article number',
+            'GV': 'Procurement responsibility for order',
+            'GW': 'Party fulfilling all operations',
+            'GX': 'Central catalogue party',
+            'GY': 'Inventory reporting party',
+            'GZ': 'Substitute supplier',
+            'HA': 'Party which delivers consignments to the terminal',
+            'HB': 'Party which picks up consignments from the terminal',
+            'HC': 'Transit freight forwarder',
+            'HD': 'Inspection and acceptance party',
+            'HE': 'Transportation office',
+            'HF': 'Contract administration office',
+            'HG': 'Investigator',
+            'HH': 'Audit office',
+            'HI': 'Requestor',
+            'HJ': 'Foreign disclosure information office',
+            'HK': 'Mark-for party',
+            'HL': 'Party to receive reports',
+            'HM': 'Alternative manufacturer',
+            'HN': 'Service performer',
+            'HO': 'Shipper\'s association',
+            'HP': 'Final message recipient',
+            'HQ': 'Account owner',
+            'HR': 'Shipping line service',
+            'HS': 'Creditor',
+            'HT': 'Clearing house',
+            'HU': 'Ordering bank',
+            'HV': 'Receiver of funds',
+            'HW': 'Sender of funds',
+            'HX': 'Debtor',
+            'HY': 'Presenting bank',
+            'HZ': 'Work team',
+            'I1': 'Intermediary bank 1',
+            'I2': 'Intermediary bank 2',
+            'IB': 'Intermediary/broker',
+            'IC': 'Intermediate consignee',
+            'ID': 'Replacing manufacturer',
+            'IE': 'Non-resident third party company with whom financial',
+            'IF': 'Non-resident group company with whom financial account is',
+            'IG': 'Non-resident beneficiary',
+            'IH': 'Resident beneficiary',
+            'II': 'Issuer of invoice',
+            'IJ': 'Non-resident instructing party',
+            'IL': 'Resident instructing party',
+            'IM': 'Importer',
+            'IN': 'Insurer',
+            'IO': 'Insurance company',
+            'IP': 'Insurance claim adjuster',
+            'IQ': 'Domestic financial institution',
+            'IR': 'Non-domestic financial institution',
+            'IS': 'Party to receive certified inspection report',
+            'IT': 'Installation on site',
+            'IU': 'Non-resident debtor',
+            'IV': 'Invoicee',
+            'IW': 'Non-resident creditor',
+            'IX': 'Supplier work team',
+            'IY': 'Tenant manager',
+            'IZ': 'Party mandated to liquidate an enterprise',
+            'JA': 'Certified accountant',
+            'JB': 'Goods collection party',
+            'JC': 'Party at final place of positioning',
+            'JD': 'Customs office of clearance',
+            'JE': 'Party from whom customs documents are to be picked up',
+            'JF': 'Party from whom non-customs documents are to be picked up',
+            'JG': 'Party to receive customs documents',
+            'JH': 'Party to receive non-customs documents',
+            'LA': 'Party designated to provide living animal care',
+            'LB': 'Co-producer',
+            'LC': 'Party declaring the Value Added Tax (VAT)',
+            'LD': 'Party recovering the Value Added Tax (VAT)',
+            'LE': 'Person on claim',
+            'LF': 'Buyer\'s corporate office',
+            'LG': 'Supplier\'s corporate office',
+            'LH': 'Liquidator',
+            'LI': 'Account coordinator',
+            'LJ': 'Inspection leader',
+            'LK': 'Patient',
+            'LL': 'Patient companion',
+            'LM': 'Medical treatment executant',
+            'LN': 'Lender',
+            'LO': 'Medical treatment prescriber',
+            'LP': 'Loading party',
+            'LQ': 'Debt payment authorisation party',
+            'LR': 'Administration centre',
+            'LS': 'Product services and repairs centre',
+            'LT': 'Secretariat',
+            'LU': 'Entry point technical assessment group',
+            'LV': 'Party assigning a status',
+            'MA': 'Party for whom item is ultimately intended',
+            'MAD': 'Meter administrator',
+            'MDR': 'Metered data responsible',
+            'MF': 'Manufacturer of goods',
+            'MG': 'Party designated to execute re-icing',
+            'MI': 'Planning schedule/material release issuer',
+            'MP': 'Manufacturing unit',
+            'MR': 'Message recipient',
+            'MS': 'Message sender',
+            'MT': 'Party designated to execute sanitary procedures',
+            'N2': 'Notify party no. 2',
+            'NAA': 'PRT',
+            'NI': 'Notify party',
+            'OA': 'Break bulk berth operator',
+            'OB': 'Ordered by',
+            'OC': 'Party data responsible party',
+            'OD': 'Equipment repair party',
+            'OE': 'Owner of property',
+            'OF': 'On behalf of',
+            'OG': 'Owner or lessor\'s surveyor',
+            'OH': 'Lessee\'s surveyor',
+            'OI': 'Outside inspection agency',
+            'OJ': 'Third party',
+            'OK': 'Receiver\'s sub-entity',
+            'OL': 'Case of need party',
+            'OM': 'Collecting bank',
+            'ON': 'Remitting bank',
+            'OO': 'Order of the shipper party',
+            'OP': 'Operator of property or equipment',
+            'OQ': 'Collection principal',
+            'OR': 'Ordered bank',
+            'OS': 'Shipper',
+            'OT': 'Outside test agency',
+            'OU': 'Account owner\'s servicing bank on the sending side',
+            'OV': 'Transport means owner',
+            'OW': 'Account owner\'s servicing bank on the receiving side',
+            'OX': 'Sender\'s correspondent bank',
+            'OY': 'Ordering customer',
+            'OZ': 'Receiver\'s correspondent bank',
+            'P1': 'Contact party 1',
+            'P2': 'Contact party 2',
+            'P3': 'Contact party 3',
+            'P4': 'Contact party 4',
+            'PA': 'Party to receive inspection report',
+            'PB': 'Paying financial institution',
+            'PC': 'Actual purchaser\'s customer',
+            'PD': 'Purchaser\'s department buyer',
+            'PE': 'Payee',
+            'PF': 'Party to receive freight bill',
+            'PG': 'Prime contractor',
+            'PH': 'Payer\'s financial institution',
+            'PI': 'Payee\'s company name/ID',
+            'PJ': 'Party to receive correspondence',
+            'PK': 'Contact party',
+            'PM': 'Party to receive paper memo of invoice',
+            'PN': 'Party to receive shipping notice',
+            'PO': 'Ordering party',
+            'PQ': 'Certifying party',
+            'PR': 'Payer',
+            'PS': 'Payer\'s company name/ID (Check, Draft or Wire)',
+            'PT': 'Party to receive test report',
+            'PW': 'Despatch party',
+            'PX': 'Party to receive all documents',
+            'PY': 'Checking party',
+            'PZ': 'Party to print some document',
+            'RA': 'Central bank or regulatory authority',
+            'RB': 'Receiving financial institution',
+            'RE': 'Party to receive commercial invoice remittance',
+            'RF': 'Received from',
+            'RH': 'Seller\'s financial institution',
+            'RI': 'Reinsurance intermediary/broker',
+            'RL': 'Reporting carrier (Customs)',
+            'RM': 'Reporting carrier\'s nominated agent/representative',
+            'RP': 'Routing party',
+            'RS': 'Party to receive statement of account',
+            'RV': 'Receiver of cheque',
+            'RW': 'Issuer of waybill',
+            'SB': 'Sales responsibility',
+            'SE': 'Seller',
+            'SF': 'Ship from',
+            'SG': 'Store group',
+            'SI': 'Shipping schedule issuer',
+            'SN': 'Store number',
+            'SO': 'Sold to if different than bill to',
+            'SR': 'Seller agent',
+            'SS': 'Social securities collector\'s office',
+            'ST': 'Ship to',
+            'SU': 'Supplier',
+            'SX': 'Surety for additions',
+            'SY': 'Surety',
+            'SZ': 'Surety for antidumping/countervailing duty',
+            'TA': 'Legal receiver',
+            'TB': 'Submitter',
+            'TC': 'Tax collector\'s office',
+            'TCP': 'Transit charge payer',
+            'TCR': 'Transport capacity responsible party',
+            'TD': 'Party to receive technical documentation',
+            'TE': 'Bankruptcy referee',
+            'TF': 'Source of information',
+            'TG': 'Judge',
+            'TH': 'Attorney',
+            'TI': 'Law firm',
+            'TJ': 'Trustee',
+            'TK': 'Signatory',
+            'TL': 'Occupant',
+            'TM': 'Co-occupant',
+            'TN': 'Subject of inquiry',
+            'TO': 'Lessor',
+            'TP': 'Owner of residence',
+            'TQ': 'Founder',
+            'TR': 'Terminal operator',
+            'TS': 'Party to receive certified test results',
+            'TT': 'Transfer to',
+            'TU': 'President',
+            'TV': 'Chairperson',
+            'TW': 'Legal title holder',
+            'TX': 'Shareholder',
+            'TY': 'Provider',
+            'TZ': 'Military branch',
+            'UA': 'Educational institution',
+            'UB': 'Assignor',
+            'UC': 'Ultimate consignee',
+            'UD': 'Ultimate customer',
+            'UE': 'Advisor',
+            'UF': 'Co-defendant',
+            'UG': 'Merged company with retained identity',
+            'UH': 'Party represented',
+            'UHP': 'Unexpected handling party',
+            'UI': 'Assignee',
+            'UJ': 'Key person',
+            'UK': 'Author',
+            'UL': 'Ultimate parent company',
+            'UM': 'Party not to be confused with',
+            'UN': 'Accountant',
+            'UO': 'Plaintiff',
+            'UP': 'Unloading party',
+            'UQ': 'Parent company',
+            'UR': 'Affiliated company',
+            'US': 'Bailiff',
+            'UT': 'Merged company',
+            'UU': 'Defendant',
+            'UV': 'Petitioning creditor',
+            'UW': 'Guarantee agency',
+            'UX': 'Organization group',
+            'UY': 'Subsidiary',
+            'UZ': 'Industry association',
+            'VA': 'Joint owner',
+            'VB': 'Joint venture',
+            'VC': 'Filing office',
+            'VE': 'Court',
+            'VF': 'Liability holder',
+            'VG': 'Local government sponsor',
+            'VH': 'Mortgage company',
+            'VI': 'Notary public',
+            'VJ': 'Officer',
+            'VK': 'Publisher',
+            'VL': 'Party manufactured for',
+            'VM': 'Previous owner',
+            'VN': 'Vendor',
+            'VO': 'Purchased company',
+            'VP': 'Receiver manager',
+            'VQ': 'Responsible government agency',
+            'VR': 'Sole proprietor',
+            'VS': 'Auctioneer',
+            'VT': 'Branch',
+            'VU': 'Business',
+            'VV': 'Ultimate same country parent company',
+            'VW': 'Responsible party',
+            'VX': 'Secured party',
+            'VY': 'Other related party',
+            'VZ': 'Co-debtor',
+            'WA': 'Company which holds financial interest',
+            'WB': 'Rating organization',
+            'WC': 'Information reference agency',
+            'WD': 'Warehouse depositor',
+            'WE': 'Compilation agency',
+            'WF': 'Information maintenance agency',
+            'WG': 'Information dissemination agency',
+            'WH': 'Warehouse keeper',
+            'WI': 'Inspection address',
+            'WJ': 'Refusal party',
+            'WK': 'Value added network provider',
+            'WL': 'Agency',
+            'WM': 'Works manager',
+            'WN': 'Party to receive order to supply',
+            'WO': 'Party to receive invitation to offer',
+            'WP': 'Sub-entity',
+            'WPA': 'Weighting party',
+            'WQ': 'Doing business as',
+            'WR': 'Party submitting quote',
+            'WS': 'Wholesaler',
+            'WT': 'Affiliated party',
+            'WU': 'Previous name',
+            'WV': 'Party performing task',
+            'WW': 'Registering party',
+            'X': 'PL    Payor',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '3055': {
+        name: 'Code list responsible agency, coded',
+        complete: false,
+        // Numeric agency numbers, or ZZZ
+        pattern: /^([1-9]\d{0,2}|ZZZ)$/,
+        codes: {
+            '1': 'CCC (Customs Co-operation Council)',
+            '2': 'CEC (Commission of the European Communities)',
+            '3': 'IATA (International Air Transport Association)',
+            '4': 'ICC (International Chamber of Commerce)',
+            '5': 'ISO (International Organization for Standardization)',
+            '6': 'UN/ECE (United Nations - Economic Commission for Europe)',
+            '7': 'CEFIC (Conseil Europeen des Federations de l\'Industrie Chimique)',
+            '8': 'EDIFICE',
+            '9': 'EAN (International Article Numbering association)',
+            '10': 'ODETTE',
+            '11': 'Lloyd\'s register of shipping',
+            '12': 'UIC (International union of railways)',
+            '13': 'ICAO (International Civil Aviation Organization)',
+            '14': 'ICS (International Chamber of Shipping)',
+            '15': 'RINET (Reinsurance and Insurance Network)',
+            '16': 'DUNS (Dun & Bradstreet Inc.)',
+            '17': 'S.W.I.F.T.',
+            '20': 'BIC (Bureau International des Containeurs)',
+            '86': 'Assigned by party originating the message',
+            '87': 'Assigned by carrier',
+            '88': 'Assigned by owner of operation',
+            '89': 'Assigned by distributor',
+            '90': 'Assigned by manufacturer',
+            '91': 'Assigned by seller or seller\'s agent',
+            '92': 'Assigned by buyer or buyer\'s agent',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '3139': {
+        name: 'Contact function, coded',
+        complete: true,
+        codes: {
+            'AA': 'Insurance contact',
+            'AB': 'Workshop contact',
+            'AC': 'Accepting contact',
+            'AD': 'Accounting contact',
+            'AE': 'Contract contact',
+            'AF': 'Land registry contact',
+            'AG': 'Agent',
+            'AH': 'Coordination contact',
+            'AI': 'Project management contact',
+            'AJ': 'Investment contact',
+            'AK': 'Works management contact',
+            'AL': 'Personnel contact',
+            'AM': 'Claims contact',
+            'AN': 'Laboratory contact',
+            'AO': 'Plant/equipment contact',
+            'AP': 'Accounts payable contact',
+            'AQ': 'Quantity surveyor contact',
+            'AR': 'Accounts receivable contact',
+            'AS': 'Public relations contact',
+            'AT': 'Technical contact',
+            'AU': 'City works authority contact',
+            'AV': 'Maintenance contact',
+            'AW': 'Town planning contact',
+            'AX': 'Traffic authority contact',
+            'AY': 'Electricity supply contact',
+            'AZ': 'Gas supply contact',
+            'BA': 'Water supply contact',
+            'BB': 'Telecommunications network contact',
+            'BC': 'Banking contact',
+            'BD': 'New developments contact',
+            'BE': 'Transport infrastructure authority',
+            'BF': 'Service contact',
+            'BU': 'Ultimate consignee',
+            'CA': 'Carrier',
+            'CB': 'Changed by',
+            'CC': 'Responsible person for information production',
+            'CD': 'Responsible person for information dissemination',
+            'CE': 'Head of unit for computer data processing',
+            'CF': 'Head of unit for information production',
+            'CG': 'Head of unit for information dissemination',
+            'CN': 'Consignee',
+            'CO': 'Consignor',
+            'CP': 'Responsible person for computer data processing',
+            'CR': 'Customer relations',
+            'CW': 'Confirmed with',
+            'DE': 'Department/employee to execute export procedures',
+            'DI': 'Department/employee to execute import procedures',
+            'DL': 'Delivery contact',
+            'EB': 'Entered by',
+            'EC': 'Education coordinator',
+            'ED': 'Engineering contact',
+            'EX': 'Expeditor',
+            'GR': 'Goods receiving contact',
+            'HE': 'Emergency dangerous goods contact',
+            'HG': 'Dangerous goods contact',
+            'HM': 'Hazardous material contact',
+            'IC': 'Information contact',
+            'IN': 'Insurer contact',
+            'LB': 'Place of delivery contact',
+            'LO': 'Place of collection contact',
+            'MC': 'Material control contact',
+            'MD': 'Material disposition contact',
+            'MH': 'Material handling contact',
+            'MR': 'Message recipient contact',
+            'MS': 'Message sender contact',
+            'NT': 'Notification contact',
+            'OC': 'Order contact',
+            'PA': 'Prototype coordinator',
+            'PD': 'Purchasing contact',
+            'PE': 'Payee contact',
+            'PM': 'Product management contact',
+            'QA': 'Quality assurance contact',
+            'QC': 'Quality coordinator contact',
+            'RD': 'Receiving dock contact',
+            'SA': 'Sales administration',
+            'SC': 'Schedule contact',
+            'SD': 'Shipping contact',
+            'SR': 'Sales representative or department',
+            'SU': 'Supplier contact',
+            'TA': 'Traffic administrator',
+            'TD': 'Test contact',
+            'TI': 'Technical documentation recipient',
+            'TR': 'Transport contact',
+            'WH': 'Warehouse',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '3155': {
+        name: 'Communication channel qualifier',
+        complete: false,
+        codes: {
+            'AA': 'Circuit switching',
+            'AB': 'SITA',
+            'AC': 'ARINC',
+            'CA': 'Cable address',
+            'EI': 'EDI transmission',
+            'EM': 'Electronic mail',
+            'EX': 'Extension',
+            'FT': 'File transfer access method',
+            'FX': 'Telefax',
+            'GM': 'GEIS (General Electric Information Service) mailbox',
+            'IE': 'IBM information exchange',
+            'IM': 'Internal mail',
+            'MA': 'Mail',
+            'PB': 'Postbox no.',
+            'PS': 'Packet switching',
+            'SW': 'S.W.I.F.T.',
+            'TE': 'Telephone',
+            'TG': 'Telegraph',
+            'TL': 'Telex',
+            'TM': 'Telemail',
+            'TT': 'Teletext',
+            'TX': 'TWX',
+            'XF': 'X.400'
+        }
+    },
+    '3207': {
+        name: 'Country, coded (ISO 3166-1 alpha-2)',
+        complete: true,
+        iso: true,
+        codes: COUNTRY_CODES
+    },
+    '3227': {
+        name: 'Place/location qualifier',
+        complete: false,
+        codes: {
+            '1': 'Place of terms of delivery',
+            '5': 'Place of departure',
+            '7': 'Place of delivery',
+            '8': 'Place of destination',
+            '9': 'Place of loading',
+            '11': 'Place of discharge',
+            '13': 'Place of transhipment',
+            '14': 'Location of goods',
+            '18': 'Warehouse',
+            '20': 'Place of ultimate destination of goods',
+            '22': 'Customs office of clearance',
+            '24': 'Port of entry',
+            '27': 'Country of origin',
+            '28': 'Country of destination',
+            '35': 'Exportation country',
+            '61': 'Next port of call',
+            '76': 'Original port of loading',
+            '88': 'Place of receipt',
+            '91': 'Place of document issue',
+            '147': 'Stowage cell'
+        }
+    },
+    '4055': {
+        name: 'Terms of delivery or transport function, coded',
+        complete: true,
+        codes: {
+            '1': 'Price condition',
+            '2': 'Despatch condition',
+            '3': 'Price and despatch condition',
+            '4': 'Collected by customer',
+            '5': 'Transport condition',
+            '6': 'Delivery condition'
+        }
+    },
+    '4279': {
+        name: 'Payment terms type qualifier',
+        complete: false,
+        codes: {
+            '1': 'Basic',
+            '2': 'End of month',
+            '3': 'Fixed date',
+            '4': 'Deferred',
+            '5': 'Discount not applicable',
+            '6': 'Mutually defined',
+            '7': 'Extended',
+            '8': 'Basic discount offered',
+            '9': 'Proximo',
+            '10': 'Instant',
+            '11': 'Elective',
+            '12': '10 days after end of month',
+            '13': 'Seller to advise buyer',
+            '14': 'Paid against statement',
+            '15': 'No charge',
+            '16': 'Not yet defined',
+            '17': 'Ultimo',
+            '18': 'Previously agreed upon',
+            '19': 'United States funds',
+            '20': 'Penalty terms',
+            '21': 'Payment by instalment',
+            '22': 'Discount'
+        }
+    },
+    '4343': {
+        name: 'Response type, coded',
+        complete: false,
+        // Two letters
+        pattern: /^[A-Z]{2}$/,
+        codes: {
+            'AB': 'Message acknowledgement',
+            'AC': 'Acknowledge - with detail and change',
+            'AI': 'Acknowledge only changes',
+            'NA': 'No acknowledgement needed'
+        }
+    },
+    '4347': {
+        name: 'Product id. function qualifier',
+        complete: false,
+        codes: {
+            '1': 'Additional identification',
+            '2': 'Identification for potential substitution',
+            '3': 'Substituted by',
+            '4': 'Substituted for',
+            '5': 'Product identification'
+        }
+    },
+    '4451': {
+        name: 'Text subject qualifier',
+        complete: true,
+        codes: {
+            'AAA': 'Goods item description',
+            'AAB': 'Payment term',
+            'AAC': 'Dangerous goods additional information',
+            'AAD': 'Dangerous goods technical name',
+            'AAE': 'Acknowledgement description',
+            'AAF': 'Rate additional information',
+            'AAG': 'Party instructions',
+            'AAI': 'General information',
+            'AAJ': 'Additional conditions of sale/purchase',
+            'AAK': 'Price conditions',
+            'AAL': 'Goods dimensions in characters',
+            'AAM': 'Equipment re-usage restrictions',
+            'AAN': 'Handling restriction',
+            'AAO': 'Error description (free text)',
+            'AAP': 'Response (free text)',
+            'AAQ': 'Package content\'s description',
+            'AAR': 'Terms of delivery',
+            'AAS': 'Bill of lading remarks',
+            'AAT': 'Mode of settlement information',
+            'AAU': 'Consignment invoice information',
+            'AAV': 'Clearance invoice information',
+            'AAW': 'Letter of credit information',
+            'AAX': 'License information',
+            'AAY': 'Certification statements',
+            'AAZ': 'Additional export information',
+            'ABA': 'Tariff statements',
+            'ABB': 'Medical history',
+            'ABC': 'Conditions of sale or purchase',
+            'ABD': 'Contract document type',
+            'ABE': 'Additional terms and/or conditions (documentary credit)',
+            'ABF': 'Instructions or information about standby documentary',
+            'ABG': 'Instructions or information about partial shipment(s)',
+            'ABH': 'Instructions or information about transhipment(s)',
+            'ABI': 'Additional handling instructions documentary credit',
+            'ABJ': 'Domestic routing information',
+            'ABK': 'Chargeable category of equipment',
+            'ABL': 'Government information',
+            'ABM': 'Onward routing information',
+            'ABN': 'Accounting information',
+            'ABO': 'Discrepancy information',
+            'ABP': 'Confirmation instructions',
+            'ABQ': 'Method of issuance',
+            'ABR': 'Documents delivery instructions',
+            'ABS': 'Additional conditions',
+            'ABT': 'Information/instructions about additional amounts covered',
+            'ABU': 'Deferred payment termed additional',
+            'ABV': 'Acceptance terms additional',
+            'ABW': 'Negotiation terms additional',
+            'ABX': 'Document name and documentary requirements',
+            'ABZ': 'Instructions/information about revolving documentary credit',
+            'ACA': 'Documentary requirements',
+            'ACB': 'Additional information',
+            'ACC': 'Factor assignment clause',
+            'ACD': 'Reason',
+            'ACE': 'Dispute',
+            'ACF': 'Additional attribute information',
+            'ACG': 'Absence declaration',
+            'ACH': 'Aggregation statement',
+            'ACI': 'Compilation statement',
+            'ACJ': 'Definitional exception',
+            'ACK': 'Privacy statement',
+            'ACL': 'Quality statement',
+            'ACM': 'Statistical description',
+            'ACN': 'Statistical definition',
+            'ACO': 'Statistical name',
+            'ACP': 'Statistical title',
+            'ACQ': 'Off-dimension information',
+            'ACR': 'Unexpected stops information',
+            'ACS': 'Principles',
+            'ACT': 'Terms and definition',
+            'ACU': 'Segment name',
+            'ACV': 'Simple data element name',
+            'ACW': 'Scope',
+            'ACX': 'Message type name',
+            'ACY': 'Introduction',
+            'ACZ': 'Glossary',
+            'ADA': 'Functional definition',
+            'ADB': 'Examples',
+            'ADC': 'Cover page',
+            'ADD': 'Dependency (syntax) notes',
+            'ADE': 'Code value name',
+            'ADF': 'Code list name',
+            'ADG': 'Clarification of usage',
+            'ADH': 'Composite data element name',
+            'ADI': 'Field of application',
+            'ADJ': 'Type of assets and liabilities',
+            'ADK': 'Promotion information',
+            'ADL': 'Meter condition',
+            'ADM': 'Meter reading information',
+            'ADN': 'Type of transaction reason',
+            'ADO': 'Type of survey question',
+            'ADP': 'Carrier\'s agent counter information',
+            'ADQ': 'Description of work item on equipment',
+            'ADR': 'Message definition',
+            'ADS': 'Booked item information',
+            'ADT': 'Source of document',
+            'ADU': 'Note',
+            'ADV': 'Fixed part of segment clarification text',
+            'ADW': 'Characteristics of goods',
+            'ADX': 'Additional discharge instructions',
+            'ADY': 'Container stripping instructions',
+            'ADZ': 'CSC (Container Safety Convention) plate information',
+            'AEA': 'Cargo remarks',
+            'AEB': 'Temperature control instructions',
+            'AEC': 'Text refers to expected data',
+            'AED': 'Text refers to received data',
+            'AEE': 'Section clarification text',
+            'AEF': 'Information to the beneficiary',
+            'AEG': 'Information to the applicant',
+            'AEH': 'Instructions to the beneficiary',
+            'AEI': 'Instructions to the applicant',
+            'AEJ': 'Controlled atmosphere',
+            'AEK': 'Take off annotation',
+            'AEL': 'Price variation narrative',
+            'AEM': 'Documentary credit amendment instructions',
+            'AEN': 'Standard method narrative',
+            'AEO': 'Project narrative',
+            'AEP': 'Radioactive goods, additional information',
+            'AEQ': 'Bank-to-bank information',
+            'AER': 'Reimbursement instructions',
+            'AES': 'Reason for amending a message',
+            'AET': 'Instructions to the paying and/or accepting and/or',
+            'AEU': 'Interest instructions',
+            'AEV': 'Agent commission',
+            'AEW': 'Remitting bank instructions',
+            'AEX': 'Instructions to the collecting bank',
+            'AEY': 'Collection amount instructions',
+            'AEZ': 'Internal auditing information',
+            'AFA': 'Constraint',
+            'AFB': 'Comment',
+            'AFC': 'Semantic note',
+            'AFD': 'Help text',
+            'AFE': 'Legend',
+            'AFF': 'Batch code structure',
+            'AFG': 'Product application',
+            'AFH': 'Customer complaint',
+            'AFI': 'Probable cause of fault',
+            'AFJ': 'Defect description',
+            'AFK': 'Repair description',
+            'AFL': 'Review comments',
+            'AFM': 'Title',
+            'AFN': 'Description of amount',
+            'AFO': 'Responsibilities',
+            'AFP': 'Supplier',
+            'AFQ': 'Purchase region',
+            'AFR': 'Affiliation',
+            'AFS': 'Borrower',
+            'AFT': 'Line of business',
+            'AFU': 'Financial institution',
+            'AFV': 'Business founder',
+            'AFW': 'Business history',
+            'AFX': 'Banking arrangements',
+            'AFY': 'Business origin',
+            'AFZ': 'Brand names\' description',
+            'AGA': 'Business financing details',
+            'AGB': 'Competition',
+            'AGC': 'Construction process details',
+            'AGD': 'Construction specialty',
+            'AGE': 'Contract information',
+            'AGF': 'Corporate filing',
+            'AGG': 'Customer information',
+            'AGH': 'Copyright notice',
+            'AGI': 'Contingent debt',
+            'AGJ': 'Conviction details',
+            'AGK': 'Equipment',
+            'AGL': 'Workforce description',
+            'AGM': 'Exemption',
+            'AGN': 'Future plans',
+            'AGO': 'Interviewee conversation information',
+            'AGP': 'Intangible asset',
+            'AGQ': 'Inventory',
+            'AGR': 'Investment',
+            'AGS': 'Intercompany relations information',
+            'AGT': 'Joint venture',
+            'AGU': 'Loan',
+            'AGV': 'Long term debt',
+            'AGW': 'Location',
+            'AGX': 'Current legal structure',
+            'AGY': 'Marital contract',
+            'AGZ': 'Marketing activities',
+            'AHA': 'Merger',
+            'AHB': 'Marketable securities',
+            'AHC': 'Business debt',
+            'AHD': 'Original legal structure',
+            'AHE': 'Employee sharing arrangements',
+            'AHF': 'Organization details',
+            'AHG': 'Public record details',
+            'AHH': 'Price range',
+            'AHI': 'Qualifications',
+            'AHJ': 'Registered activity',
+            'AHK': 'Criminal sentence',
+            'AHL': 'Sales method',
+            'AHM': 'Educational institution information',
+            'AHN': 'Status details',
+            'AHO': 'Sales',
+            'AHP': 'Spouse information',
+            'AHQ': 'Educational degree information',
+            'AHR': 'Shareholding information',
+            'AHS': 'Sales territory',
+            'AHT': 'Accountant\'s comments',
+            'AHU': 'Exemption law location',
+            'AHV': 'Share classifications',
+            'AHW': 'Forecast',
+            'AHX': 'Event location',
+            'AHY': 'Facility occupancy',
+            'AHZ': 'Import and export details',
+            'AIA': 'Additional facility information',
+            'AIB': 'Inventory value',
+            'AIC': 'Education',
+            'AID': 'Event',
+            'AIE': 'Agent',
+            'AIF': 'Domestically agreed financial statement details',
+            'AIG': 'Other current asset description',
+            'AIH': 'Other current liability description',
+            'AII': 'Former business activity',
+            'AIJ': 'Trade name use',
+            'AIK': 'Signing authority',
+            'AIL': 'Guarantee',
+            'AIM': 'Holding company operation',
+            'AIN': 'Consignment routing',
+            'AIO': 'Letter of protest',
+            'AIP': 'Question',
+            'AIQ': 'Party information',
+            'AIR': 'Area boundaries description',
+            'AIS': 'Advertisement information',
+            'AIT': 'Financial statement details',
+            'AIU': 'Access instructions',
+            'AIV': 'Liquidity',
+            'AIW': 'Credit line',
+            'AIX': 'Warranty terms',
+            'AIY': 'Division description',
+            'AIZ': 'Reporting instruction',
+            'AJA': 'Examination result',
+            'AJB': 'Laboratory result',
+            'ALC': 'Allowance/charge information',
+            'ALD': 'X-ray result',
+            'ALE': 'Pathology result',
+            'ALF': 'Intervention description',
+            'ALG': 'Summary of admittance',
+            'ALH': 'Medical treatment course detail',
+            'ALI': 'Prognosis',
+            'ALJ': 'Instruction to patient',
+            'ALK': 'Instruction to physician',
+            'ALL': 'All documents',
+            'ALM': 'Medicine treatment',
+            'ALN': 'Medicine dosage and administration',
+            'ALO': 'Availability of patient',
+            'ALP': 'Reason for service request',
+            'ALQ': 'Purpose of service',
+            'ARR': 'Arrival conditions',
+            'ARS': 'Service requester\'s comment',
+            'AUT': 'Authentication',
+            'AUU': 'Requested location description',
+            'AUV': 'Medicine administration condition',
+            'AUW': 'Patient information',
+            'AUX': 'Precautionary measure',
+            'AUY': 'Service characteristic',
+            'AUZ': 'Planned event comment',
+            'AVA': 'Expected delay comment',
+            'AVB': 'Transport requirements comment',
+            'AVC': 'Temporary approval condition',
+            'AVD': 'Customs Valuation Information',
+            'AVE': 'Value Added Tax (VAT) margin scheme',
+            'AVF': 'Maritime Declaration of Health',
+            'BAG': 'Passenger baggage information',
+            'BAH': 'Maritime Declaration of Health',
+            'BAI': 'Additional product information address',
+            'BAJ': 'Information to be printed on despatch advice',
+            'BAK': 'Missing goods remarks',
+            'BAL': 'Non-acceptance information',
+            'BAM': 'Returns information',
+            'BAN': 'Sub-line item information',
+            'BAO': 'Test information',
+            'BAP': 'External link',
+            'BAQ': 'VAT exemption reason',
+            'BAR': 'Processing Instructions',
+            'BAS': 'Relay Instructions',
+            'BAT': 'SIMA applicable',
+            'BAU': 'Appeals program code',
+            'BAV': 'SIMA subject',
+            'BAW': 'Surtax applicable',
+            'BAX': 'SIMA security bond',
+            'BAY': 'Surtax subject',
+            'BAZ': 'Safeguard applicable',
+            'BBA': 'Safeguard applicable',
+            'BBB': 'Safeguard subject',
+            'BLC': 'Transport contract document clause',
+            'BLD': 'Instruction to prepare the patient',
+            'BLE': 'Medicine treatment comment',
+            'BLF': 'Examination result comment',
+            'BLG': 'Service request comment',
+            'BLH': 'Prescription reason',
+            'BLI': 'Prescription comment',
+            'BLJ': 'Clinical investigation comment',
+            'BLK': 'Medicinal specification comment',
+            'BLL': 'Economic contribution comment',
+            'BLM': 'Status of a plan',
+            'BLN': 'Random sample test information',
+            'BLO': 'Period of time',
+            'BLP': 'Legislation',
+            'BLQ': 'Security measures requested',
+            'BLR': 'Transport contract document remark',
+            'BLS': 'Previous port of call security information',
+            'BLT': 'Security information',
+            'BLU': 'Waste information',
+            'BLV': 'B2C marketing information, short description',
+            'BLW': 'B2B marketing information, long description',
+            'BLX': 'B2C marketing information, long description',
+            'BLY': 'Product ingredients',
+            'BLZ': 'Location short name',
+            'BMA': 'Packaging material information',
+            'BMB': 'Filler material information',
+            'BMC': 'Ship-to-ship activity information',
+            'BMD': 'Package material description',
+            'BME': 'Consumer level package marking',
+            'BMF': 'SIMA measure in force',
+            'BMG': 'Pre-CARM',
+            'BMH': 'SIMA measure type',
+            'CCI': 'Customs clearance instructions',
+            'CCJ': 'Sub Type Code',
+            'CCK': 'SIMA information',
+            'CCL': 'Time limit end',
+            'CCM': 'Time limit start',
+            'CCN': 'Warehouse time limit',
+            'CCO': 'Value for duty information',
+            'CEX': 'Customs clearance instructions export',
+            'CHG': 'Change information',
+            'CIP': 'Customs clearance instruction import',
+            'CLP': 'Clearance place requested',
+            'CLR': 'Loading remarks',
+            'COI': 'Order information',
+            'CUR': 'Customer remarks',
+            'CUS': 'Customs declaration information',
+            'DAR': 'Damage remarks',
+            'DCL': 'Document issuer declaration',
+            'DEL': 'Delivery information',
+            'DIN': 'Delivery instructions',
+            'DOC': 'Documentation instructions',
+            'DUT': 'Duty declaration',
+            'EUR': 'Effective used routing',
+            'FBC': 'First block to be printed on the transport contract',
+            'GBL': 'Government bill of lading information',
+            'GEN': 'Entire transaction set',
+            'GS7': 'Further information concerning GGVS par. 7',
+            'HAN': 'Handling instructions',
+            'HAZ': 'Hazard information',
+            'ICN': 'Consignment information for consignee',
+            'IIN': 'Insurance instructions',
+            'IMI': 'Invoice mailing instructions',
+            'IND': 'Commercial invoice item description',
+            'INS': 'Insurance instructions',
+            'INV': 'Invoice instruction',
+            'IRP': 'Information for railway purpose',
+            'ITR': 'Inland transport details',
+            'ITS': 'Testing instructions',
+            'LAN': 'Location Alias',
+            'LIN': 'Line item',
+            'LOI': 'Loading instruction',
+            'MCO': 'Miscellaneous charge order',
+            'MDH': 'Maritime Declaration of Health',
+            'MKS': 'Additional marks/numbers information',
+            'ORI': 'Order instruction',
+            'OSI': 'Other service information',
+            'PAC': 'Packing/marking information',
+            'PAI': 'Payment instructions information',
+            'PAY': 'Payables information',
+            'PKG': 'Packaging information',
+            'PKT': 'Packaging terms information',
+            'PMD': 'Payment detail/remittance information',
+            'PMT': 'Payment information',
+            'PRD': 'Product information',
+            'PRF': 'Price calculation formula',
+            'PRI': 'Priority information',
+            'PUR': 'Purchasing information',
+            'QIN': 'Quarantine instructions',
+            'QQD': 'Quality demands/requirements',
+            'QUT': 'Quotation instruction/information',
+            'RAH': 'Risk and handling information',
+            'REG': 'Regulatory information',
+            'RET': 'Return to origin information',
+            'REV': 'Receivables',
+            'RQR': 'Consignment route',
+            'SAF': 'Safety information',
+            'SIC': 'Consignment documentary instruction',
+            'SIN': 'Special instructions',
+            'SLR': 'Ship line requested',
+            'SPA': 'Special permission for transport, generally',
+            'SPG': 'Special permission concerning the goods to be transported',
+            'SPH': 'Special handling',
+            'SPP': 'Special permission concerning package',
+            'SPT': 'Special permission concerning transport means',
+            'SRN': 'Subsidiary risk number (IATA/DGR)',
+            'SSR': 'Special service request',
+            'SUR': 'Supplier remarks',
+            'TCA': 'Consignment tariff',
+            'TDT': 'Consignment transport',
+            'TRA': 'Transportation information',
+            'TRR': 'Requested tariff',
+            'TXD': 'Tax declaration',
+            'WHI': 'Warehouse instruction/information',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '4453': {
+        name: 'Text function, coded',
+        complete: false,
+        codes: {
+            '1': 'Text for subsequent use',
+            '2': 'Text replacing missing code',
+            '3': 'Text for immediate use',
+            '4': 'No action required'
+        }
+    },
+    '4461': {
+        name: 'Payment means, coded',
+        complete: true,
+        codes: {
+            '1': 'Instrument not defined',
+            '2': 'Automated clearing house credit',
+            '3': 'Automated clearing house debit',
+            '4': 'ACH demand debit reversal',
+            '5': 'ACH demand credit reversal',
+            '6': 'ACH demand credit',
+            '7': 'ACH demand debit',
+            '8': 'Hold',
+            '9': 'National or regional clearing',
+            '10': 'In cash',
+            '11': 'ACH savings credit reversal',
+            '12': 'ACH savings debit reversal',
+            '13': 'ACH savings credit',
+            '14': 'ACH savings debit',
+            '15': 'Bookentry credit',
+            '16': 'Bookentry debit',
+            '17': 'ACH demand cash concentration/disbursement (CCD) credit',
+            '18': 'ACH demand cash concentration/disbursement (CCD) debit',
+            '19': 'ACH demand corporate trade payment (CTP) credit',
+            '20': 'Cheque',
+            '21': 'Banker\'s draft',
+            '22': 'Certified banker\'s draft',
+            '23': 'Bank cheque (issued by a banking or similar establishment)',
+            '24': 'Bill of exchange awaiting acceptance',
+            '25': 'Certified cheque',
+            '26': 'Local cheque',
+            '27': 'ACH demand corporate trade payment (CTP) debit',
+            '28': 'ACH demand corporate trade exchange (CTX) credit',
+            '29': 'ACH demand corporate trade exchange (CTX) debit',
+            '30': 'Credit transfer',
+            '31': 'Debit transfer',
+            '32': 'ACH demand cash concentration/disbursement plus (CCD+)',
+            '33': 'ACH demand cash concentration/disbursement plus (CCD+)',
+            '34': 'ACH prearranged payment and deposit (PPD)',
+            '35': 'ACH savings cash concentration/disbursement (CCD) credit',
+            '36': 'ACH savings cash concentration/disbursement (CCD) debit',
+            '37': 'ACH savings corporate trade payment (CTP) credit',
+            '38': 'ACH savings corporate trade payment (CTP) debit',
+            '39': 'ACH savings corporate trade exchange (CTX) credit',
+            '40': 'ACH savings corporate trade exchange (CTX) debit',
+            '41': 'ACH savings cash concentration/disbursement plus (CCD+)',
+            '42': 'Payment to bank account',
+            '43': 'ACH savings cash concentration/disbursement plus (CCD+)',
+            '44': 'Accepted bill of exchange',
+            '45': 'Referenced home-banking credit transfer',
+            '46': 'Interbank debit transfer',
+            '47': 'Home-banking debit transfer',
+            '48': 'Bank card',
+            '49': 'Direct debit',
+            '50': 'Payment by postgiro',
+            '51': 'FR, norme 6 97-Telereglement CFONB (French Organisation for',
+            '52': 'Urgent commercial payment',
+            '53': 'Urgent Treasury Payment',
+            '54': 'Credit card',
+            '55': 'Debit card',
+            '56': 'Bankgiro',
+            '57': 'Standing agreement',
+            '58': 'SEPA credit transfer',
+            '59': 'SEPA direct debit',
+            '60': 'Promissory note',
+            '61': 'Promissory note signed by the debtor',
+            '62': 'Promissory note signed by the debtor and endorsed by a bank',
+            '63': 'Promissory note signed by the debtor and endorsed by a',
+            '64': 'Promissory note signed by a bank',
+            '65': 'Promissory note signed by a bank and endorsed by another',
+            '66': 'Promissory note signed by a third party',
+            '67': 'Promissory note signed by a third party and endorsed by a',
+            '68': 'Online payment service',
+            '69': 'Transfer Advice',
+            '70': 'Bill drawn by the creditor on the debtor',
+            '74': 'Bill drawn by the creditor on a bank',
+            '75': 'Bill drawn by the creditor, endorsed by another bank',
+            '76': 'Bill drawn by the creditor on a bank and endorsed by a',
+            '77': 'Bill drawn by the creditor on a third party',
+            '78': 'Bill drawn by creditor on third party, accepted and',
+            '91': 'Not transferable banker\'s draft',
+            '92': 'Not transferable local cheque',
+            '93': 'Reference giro',
+            '94': 'Urgent giro',
+            '95': 'Free format giro',
+            '96': 'Requested method for payment was not used',
+            '97': 'Clearing between partners',
+            '98': 'JP, Electronically Recorded Monetary Claims',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '4471': {
+        name: 'Settlement, coded',
+        complete: false,
+        codes: {
+            '1': 'Bill back',
+            '2': 'Off invoice',
+            '3': 'Vendor check to customer',
+            '4': 'Credit customer account',
+            '5': 'Charge to be paid by vendor',
+            '6': 'Charge to be paid by customer'
+        }
+    },
+    '5025': {
+        name: 'Monetary amount type qualifier',
+        complete: false,
+        codes: {
+            '8': 'Allowance or charge amount',
+            '9': 'Amount due/amount payable',
+            '11': 'Amount paid',
+            '21': 'Cash discount',
+            '23': 'Charge amount',
+            '38': 'Invoice item amount',
+            '39': 'Invoice total amount',
+            '52': 'Discount amount',
+            '66': 'Goods item total',
+            '77': 'Invoice amount',
+            '79': 'Total line items amount',
+            '86': 'Message total monetary amount',
+            '98': 'Original amount',
+            '113': 'Prepaid amount',
+            '124': 'Tax amount',
+            '125': 'Taxable amount',
+            '128': 'Total amount',
+            '129': 'Total amount subject to payment discount',
+            '131': 'Total charges/allowances',
+            '146': 'Unit price',
+            '165': 'Adjustment amount',
+            '176': 'Message total duty/tax/fee amount',
+            '203': 'Line item amount',
+            '204': 'Allowance amount',
+            '259': 'Total charges',
+            '260': 'Total allowances'
+        }
+    },
+    '5125': {
+        name: 'Price qualifier',
+        complete: false,
+        codes: {
+            'AAA': 'Calculation net',
+            'AAB': 'Calculation gross',
+            'AAE': 'Information price',
+            'AAF': 'Item unit price',
+            'AAG': 'Net retail price',
+            'CAL': 'Calculation price',
+            'CUP': 'Cost price',
+            'DPR': 'Discount reference price',
+            'INV': 'Invoice price',
+            'NTP': 'Net target price',
+            'RGP': 'Regulated price',
+            'SRP': 'Suggested retail price'
+        }
+    },
+    '5153': {
+        name: 'Duty/tax/fee type, coded',
+        complete: false,
+        codes: {
+            'CUD': 'Customs duty',
+            'ENV': 'Environmental tax',
+            'EXC': 'Excise duty',
+            'GST': 'Goods and services tax',
+            'LOC': 'Local sales tax',
+            'OTH': 'Other taxes',
+            'STT': 'State/provincial sales tax',
+            'VAT': 'Value added tax'
+        }
+    },
+    '5245': {
+        name: 'Percentage qualifier',
+        complete: false,
+        codes: {
+            '1': 'Allowance',
+            '2': 'Charge',
+            '3': 'Allowance or charge',
+            '12': 'Discount',
+            '15': 'Penalty percentage'
+        }
+    },
+    '5283': {
+        name: 'Duty/tax/fee function qualifier',
+        complete: true,
+        codes: {
+            '1': 'Individual duty, tax or fee (Customs item)',
+            '2': 'Total of all duties, taxes and fees (Customs item)',
+            '3': 'Total of each duty, tax or fee type (Customs declaration)',
+            '4': 'Total of all duties, taxes and fee types (Customs declaration)',
+            '5': 'Customs duty',
+            '6': 'Fee',
+            '7': 'Tax',
+            '9': 'Tax related information'
+        }
+    },
+    '5305': {
+        name: 'Duty/tax/fee category, coded',
+        complete: false,
+        codes: {
+            'A': 'Mixed tax rate',
+            'AA': 'Lower rate',
+            'AB': 'Exempt for resale',
+            'AC': 'Value Added Tax (VAT) not now due for payment',
+            'B': 'Transferred (VAT)',
+            'C': 'Duty paid by supplier',
+            'E': 'Exempt from tax',
+            'G': 'Free export item, tax not charged',
+            'H': 'Higher rate',
+            'O': 'Services outside scope of tax',
+            'S': 'Standard rate',
+            'Z': 'Zero rated goods'
+        }
+    },
+    '5463': {
+        name: 'Allowance or charge qualifier',
+        complete: true,
+        codes: {
+            'A': 'Allowance',
+            'C': 'Charge',
+            'N': 'No allowance or charge'
+        }
+    },
+    '6063': {
+        name: 'Quantity qualifier',
+        complete: false,
+        codes: {
+            '1': 'Discrete quantity',
+            '3': 'Cumulative quantity',
+            '11': 'Split quantity',
+            '12': 'Despatch quantity',
+            '21': 'Ordered quantity',
+            '46': 'Delivered quantity',
+            '47': 'Invoiced quantity',
+            '48': 'Received quantity',
+            '52': 'Quantity per pack',
+            '59': 'Number of consumer units in the traded unit',
+            '61': 'Return quantity',
+            '113': 'Quantity to be delivered',
+            '124': 'Damaged goods quantity',
+            '128': 'Inventoried quantity',
+            '145': 'Actual stock',
+            '187': 'Invoiced quantity',
+            '192': 'Free goods quantity',
+            '194': 'Received and accepted',
+            '199': 'Total quantity',
+            '203': 'Cumulative quantity'
+        }
+    },
+    '6069': {
+        name: 'Control qualifier',
+        complete: false,
+        codes: {
+            '1': 'Algebraic total of the quantity values in line items in a message',
+            '2': 'Number of line items in message',
+            '3': 'Number of line and sub items in message'
+        }
+    },
+    '6311': {
+        name: 'Measurement application qualifier',
+        complete: false,
+        codes: {
+            'AAE': 'Measurement',
+            'PD': 'Physical dimensions (product ordered)'
+        }
+    },
+    '6313': {
+        name: 'Measurement dimension, coded',
+        complete: false,
+        codes: {
+            'AAA': 'Unit net weight',
+            'AAB': 'Unit gross weight',
+            'HT': 'Height dimension',
+            'LN': 'Length dimension',
+            'WD': 'Width dimension'
+        }
+    },
+    '6343': {
+        name: 'Currency qualifier',
+        complete: false,
+        codes: {
+            '4': 'Invoicing currency',
+            '8': 'Price list currency',
+            '9': 'Order currency',
+            '10': 'Pricing currency',
+            '11': 'Payment currency'
+        }
+    },
+    '6345': {
+        name: 'Currency, coded (ISO 4217)',
+        complete: true,
+        iso: true,
+        codes: { ...CURRENCY_CODES, ...HISTORIC_CURRENCY_CODES }
+    },
+    '6347': {
+        name: 'Currency details qualifier',
+        complete: false,
+        codes: {
+            '2': 'Reference currency',
+            '3': 'Target currency'
+        }
+    },
+    '6411': {
+        name: 'Measure unit qualifier (UN/ECE Recommendation 20)',
+        complete: false,
+        codes: {
+            'ANN': 'Year',
+            'C62': 'One',
+            'CEL': 'Degree Celsius',
+            'CMK': 'Square centimetre',
+            'CMQ': 'Cubic centimetre',
+            'CMT': 'Centimetre',
+            'DAY': 'Day',
+            'DMT': 'Decimetre',
+            'FOT': 'Foot',
+            'GRM': 'Gram',
+            'H87': 'Piece',
+            'HUR': 'Hour',
+            'INH': 'Inch',
+            'KGM': 'Kilogram',
+            'KMT': 'Kilometre',
+            'KWH': 'Kilowatt hour',
+            'LBR': 'Pound',
+            'LTR': 'Litre',
+            'MIN': 'Minute',
+            'MLT': 'Millilitre',
+            'MMT': 'Millimetre',
+            'MON': 'Month',
+            'MTK': 'Square metre',
+            'MTQ': 'Cubic metre',
+            'MTR': 'Metre',
+            'NAR': 'Number of articles',
+            'NPR': 'Number of pairs',
+            'PCE': 'Piece',
+            'PR': 'Pair',
+            'SEC': 'Second',
+            'SET': 'Set',
+            'TNE': 'Tonne (metric ton)',
+            'WEE': 'Week'
+        }
+    },
+    '7075': {
+        name: 'Packaging level, coded',
+        complete: false,
+        codes: {
+            '1': 'Inner',
+            '2': 'Intermediate',
+            '3': 'Outer'
+        }
+    },
+    '7077': {
+        name: 'Item description type, coded',
+        complete: false,
+        codes: {
+            'A': 'Free-form long description',
+            'B': 'Code and text',
+            'C': 'Code (from industry code list)',
+            'E': 'Free-form short description',
+            'F': 'Free-form',
+            'S': 'Structured (from industry code list)'
+        }
+    },
+    '7143': {
+        name: 'Item number type, coded',
+        complete: true,
+        codes: {
+            'AA': 'Product version number',
+            'AB': 'Assembly',
+            'AC': 'HIBC (Health Industry Bar Code)',
+            'AD': 'Cold roll number',
+            'AE': 'Hot roll number',
+            'AF': 'Slab number',
+            'AG': 'Software revision number',
+            'AH': 'UPC (Universal Product Code) Consumer package code (1-5-5)',
+            'AI': 'UPC (Universal Product Code) Consumer package code (1-5-5-',
+            'AJ': 'Sample number',
+            'AK': 'Pack number',
+            'AL': 'UPC (Universal Product Code) Shipping container code (1-2-',
+            'AM': 'UPC (Universal Product Code)/EAN (European article number)',
+            'AN': 'UPC (Universal Product Code) suffix',
+            'AO': 'State label code',
+            'AP': 'Heat number',
+            'AQ': 'Coupon number',
+            'AR': 'Resource number',
+            'AS': 'Work task number',
+            'AT': 'Price look up number',
+            'AU': 'NSN (North Atlantic Treaty Organization Stock Number)',
+            'AV': 'Refined product code',
+            'AW': 'Exhibit',
+            'AX': 'End item',
+            'AY': 'Federal supply classification',
+            'AZ': 'Engineering data list',
+            'BA': 'Milestone event number',
+            'BB': 'Lot number',
+            'BC': 'National drug code 4-4-2 format',
+            'BD': 'National drug code 5-3-2 format',
+            'BE': 'National drug code 5-4-1 format',
+            'BF': 'National drug code 5-4-2 format',
+            'BG': 'National drug code',
+            'BH': 'Part number',
+            'BI': 'Local Stock Number (LSN)',
+            'BJ': 'Next higher assembly number',
+            'BK': 'Data category',
+            'BL': 'Control number',
+            'BM': 'Special material identification code',
+            'BN': 'Locally assigned control number',
+            'BO': 'Buyer\'s colour',
+            'BP': 'Buyer\'s part number',
+            'BQ': 'Variable measure product code',
+            'BR': 'Financial phase',
+            'BS': 'Contract breakdown',
+            'BT': 'Technical phase',
+            'BU': 'Dye lot number',
+            'BV': 'Daily statement of activities',
+            'BW': 'Periodical statement of activities within a bilaterally',
+            'BX': 'Calendar week statement of activities',
+            'BY': 'Calendar month statement of activities',
+            'BZ': 'Original equipment number',
+            'CC': 'Industry commodity code',
+            'CG': 'Commodity grouping',
+            'CL': 'Colour number',
+            'CR': 'Contract number',
+            'CV': 'Customs article number',
+            'DR': 'Drawing revision number',
+            'DW': 'Drawing',
+            'EC': 'Engineering change level',
+            'EF': 'Material code',
+            'EMD': 'EMDN (European Medical Device Nomenclature)',
+            'EN': 'International Article Numbering Association (EAN)',
+            'FS': 'Fish species',
+            'GB': 'Buyer\'s internal product group code',
+            'GMN': 'Global model number',
+            'GN': 'National product group code',
+            'GS': 'General specification number',
+            'HS': 'Harmonised system',
+            'IB': 'ISBN (International Standard Book Number)',
+            'IN': 'Buyer\'s item number',
+            'IS': 'ISSN (International Standard Serial Number)',
+            'IT': 'Buyer\'s style number',
+            'IZ': 'Buyer\'s size code',
+            'MA': 'Machine number',
+            'MF': 'Manufacturer\'s article number',
+            'MN': 'Model number',
+            'MP': 'Product/service identification number',
+            'NB': 'Batch number',
+            'ON': 'Customer order number',
+            'PD': 'Part number description',
+            'PL': 'Purchaser\'s order line number',
+            'PO': 'Purchase order number',
+            'PPI': 'Phytosanitary Passport identifier',
+            'PV': 'Promotional variant number',
+            'QS': 'Buyer\'s qualifier for size',
+            'RC': 'Returnable container number',
+            'RN': 'Release number',
+            'RU': 'Run number',
+            'RY': 'Record keeping of model year',
+            'SA': 'Supplier\'s article number',
+            'SG': 'Standard group of products (mixed assortment)',
+            'SK': 'SKU (Stock keeping unit)',
+            'SN': 'Serial number',
+            'SRS': 'RSK number',
+            'SRT': 'IFLS (Institut Francais du Libre Service) 5 digit product',
+            'SRU': 'IFLS (Institut Francais du Libre Service) 9 digit product',
+            'SRV': 'EAN.UCC Global Trade Item Number',
+            'SRW': 'EDIS (Energy Data Identification System)',
+            'SRX': 'Slaughter number',
+            'SRY': 'Official animal number',
+            'SRZ': 'Harmonized tariff schedule',
+            'SS': 'Supplier\'s supplier article number',
+            'SSA': '46 Level DOT Code',
+            'SSB': 'Airline Tariff 6D',
+            'SSC': 'Title 49 Code of Federal Regulations',
+            'SSD': 'International Civil Aviation Administration code',
+            'SSE': 'Hazardous Materials ID DOT',
+            'SSF': 'Endorsement',
+            'SSG': 'Air Force Regulation 71-4',
+            'SSH': 'Breed',
+            'SSI': 'Chemical Abstract Service (CAS) registry number',
+            'SSJ': 'Engine model designation',
+            'SSK': 'Institutional Meat Purchase Specifications (IMPS) Number',
+            'SSL': 'Price Look-Up code (PLU)',
+            'SSM': 'International Maritime Organization (IMO) Code',
+            'SSN': 'Bureau of Explosives 600-A (rail)',
+            'SSO': 'United Nations Dangerous Goods List',
+            'SSP': 'International Code of Botanical Nomenclature (ICBN)',
+            'SSQ': 'International Code of Zoological Nomenclature (ICZN)',
+            'SSR': 'International Code of Nomenclature for Cultivated Plants',
+            'SSS': 'Distributor\'s article identifier',
+            'SST': 'Norwegian Classification system ENVA',
+            'SSU': 'Supplier assigned classification',
+            'SSV': 'Mexican classification system AMECE',
+            'SSW': 'German classification system CCG',
+            'SSX': 'Finnish classification system EANFIN',
+            'SSY': 'Canadian classification system ICC',
+            'SSZ': 'French classification system IFLS5',
+            'ST': 'Style number',
+            'STA': 'Dutch classification system CBL',
+            'STB': 'Japanese classification system JICFS',
+            'STC': 'European Union dairy subsidy eligibility classification',
+            'STD': 'GS1 Spain classification system',
+            'STE': 'GS1 Poland classification system',
+            'STF': 'Federal Agency on Technical Regulating and Metrology of the',
+            'STG': 'Efficient Consumer Response (ECR) Austria classification',
+            'STH': 'GS1 Italy classification system',
+            'STI': 'CPV (Common Procurement Vocabulary)',
+            'STJ': 'IFDA (International Foodservice Distributors Association)',
+            'STK': 'AHFS (American Hospital Formulary Service) pharmacologic -',
+            'STL': 'ATC (Anatomical Therapeutic Chemical) classification system',
+            'STM': 'CLADIMED (Classification des Dispositifs Médicaux)',
+            'STN': 'CMDR (Canadian Medical Device Regulations) classification',
+            'STO': 'CNDM (Classificazione Nazionale dei Dispositivi Medici)',
+            'STP': 'UK DM&D (Dictionary of Medicines & Devices) standard coding',
+            'STQ': 'eCl@ss',
+            'STR': 'EDMA (European Diagnostic Manufacturers Association)',
+            'STS': 'EGAR (European Generic Article Register)',
+            'STT': 'GMDN (Global Medical Devices Nomenclature)',
+            'STU': 'GPI (Generic Product Identifier)',
+            'STV': 'HCPCS (Healthcare Common Procedure Coding System)',
+            'STW': 'ICPS (International Classification for Patient Safety)',
+            'STX': 'MedDRA (Medical Dictionary for Regulatory Activities)',
+            'STY': 'Medical Columbus',
+            'STZ': 'NAPCS (North American Product Classification System)',
+            'SUA': 'NHS (National Health Services) eClass',
+            'SUB': 'US FDA (Food and Drug Administration) Product Code',
+            'SUC': 'SNOMED CT (Systematized Nomenclature of Medicine-Clinical',
+            'SUD': 'UMDNS (Universal Medical Device Nomenclature System)',
+            'SUE': 'GS1 Global Returnable Asset Identifier, non-serialised',
+            'SUF': 'IMEI',
+            'SUG': 'Waste Type (EMSA)',
+            'SUH': 'Ship\'s store classification type',
+            'SUI': 'Emergency fire code',
+            'SUJ': 'Emergency spillage code',
+            'SUK': 'IMDG packing group',
+            'SUL': 'MARPOL Code IBC',
+            'SUM': 'IMDG subsidiary risk class',
+            'TG': 'Transport group number',
+            'TSN': 'Taxonomic Serial Number',
+            'TSO': 'IMDG main hazard class',
+            'TSP': 'EU Combined Nomenclature',
+            'TSQ': 'Therapeutic classification number',
+            'TSR': 'European Waste Catalogue',
+            'TSS': 'Price grouping code',
+            'TST': 'UNSPSC',
+            'TSU': 'EU RoHS Directive',
+            'UA': 'Ultimate customer\'s article number',
+            'UP': 'UPC (Universal product code)',
+            'VN': 'Vendor item number',
+            'VP': 'Vendor\'s (seller\'s) part number',
+            'VS': 'Vendor\'s supplemental item number',
+            'VX': 'Vendor specification number',
+            'ZZZ': 'Mutually defined'
+        }
+    },
+    '7405': {
+        name: 'Identity number qualifier',
+        complete: false,
+        codes: {
+            'BJ': 'Serial shipping container code'
+        }
+    },
+    '8051': {
+        name: 'Transport stage qualifier',
+        complete: false,
+        codes: {
+            '10': 'Pre-carriage transport',
+            '20': 'Main-carriage transport',
+            '30': 'On-carriage transport'
+        }
+    },
+    '8053': {
+        name: 'Equipment qualifier',
+        complete: false,
+        codes: {
+            'CN': 'Container',
+            'TE': 'Trailer'
+        }
+    },
+    '8067': {
+        name: 'Mode of transport, coded (UN/ECE Recommendation 19)',
+        complete: false,
+        codes: {
+            '0': 'Transport mode not specified',
+            '1': 'Maritime transport',
+            '2': 'Rail transport',
+            '3': 'Road transport',
+            '4': 'Air transport',
+            '5': 'Mail',
+            '6': 'Multimodal transport',
+            '7': 'Fixed transport installations',
+            '8': 'Inland water transport',
+            '9': 'Transport mode not applicable',
+            '10': 'Maritime transport',
+            '20': 'Rail transport',
+            '30': 'Road transport',
+            '31': 'Truck',
+            '40': 'Air transport',
+            '50': 'Mail',
+            '60': 'Multimodal transport',
+            '70': 'Fixed transport installations',
+            '80': 'Inland water transport'
+        }
+    },
+    '8169': {
+        name: 'Full/empty indicator, coded',
+        complete: false,
+        codes: {
+            '4': 'Empty',
+            '5': 'Full'
+        }
+    }
+};
+
+// Data elements validated against another element's list
+export const CODE_LIST_ALIASES = {
+    '3239': '3207'
+};
+
+/**
+ * Code list that applies to a data element
+ *
+ * @param {string} elementId - e.g. '2005', '3239'
+ * @returns {{ id: string, name: string, complete: boolean, iso?: boolean, codes: object }|null}
+ */
+export function getCodeList(elementId) {
+    const id = CODE_LIST_ALIASES[elementId] || elementId;
+    const list = CODE_LISTS[id];
+    return list ? { id, ...list } : null;
+}
+
+/**
+ * Resolve a code value to its label
+ *
+ * @param {string} elementId - Data element number (e.g. '2005')
+ * @param {string} code - Code value (e.g. '137')
+ * @returns {string|null} Label, or null if the code is not in the list
+ */
+export function lookupCode(elementId, code) {
+    return getCodeList(elementId)?.codes[code] ?? null;
+}
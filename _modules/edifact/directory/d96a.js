@@ -0,0 +1,336 @@
+/**
+ * UN/EDIFACT D.96A Directory (base)
+ * =================================
+ * Element (EDED), composite (EDCD) and segment (EDSD) directories for the
+ * segments used by the common trade messages. Later releases are derived
+ * from this base through the overlays in releases.js.
+ *
+ * Shapes:
+ *  ELEMENTS[id]   = [name, format]                 e.g. ['Date/time/period', 'an..35']
+ *  COMPOSITES[id] = [name, [[elementId, status]]]
+ *  SEGMENTS[tag]  = [name, [[elementOrCompositeId, status]]]
+ *
+ * Data only — lookups live in directory/index.js.
+ */
+
+// ==================== EDED — DATA ELEMENTS ====================
+
+export const ELEMENTS = {
+    '0081': ['Section identification', 'a1'],
+    '1000': ['Document/message name', 'an..35'],
+    '1001': ['Document/message name, coded', 'an..3'],
+    '1004': ['Document/message number', 'an..35'],
+    '1082': ['Line item number', 'an..6'],
+    '1131': ['Code list qualifier', 'an..3'],
+    '1153': ['Reference qualifier', 'an..3'],
+    '1154': ['Reference number', 'an..35'],
+    '1156': ['Line number', 'an..6'],
+    '1218': ['Number of originals of document required', 'n..2'],
+    '1220': ['Number of copies of document required', 'n..2'],
+    '1222': ['Configuration level', 'n..2'],
+    '1225': ['Message function, coded', 'an..3'],
+    '1227': ['Calculation sequence indicator, coded', 'an..3'],
+    '1229': ['Action request/notification, coded', 'an..3'],
+    '1230': ['Allowance or charge number', 'an..35'],
+    '1366': ['Document/message source', 'an..35'],
+    '1373': ['Document/message status, coded', 'an..3'],
+    '2005': ['Date/time/period qualifier', 'an..3'],
+    '2009': ['Time relation, coded', 'an..3'],
+    '2013': ['Frequency, coded', 'an..3'],
+    '2015': ['Despatch pattern, coded', 'an..3'],
+    '2017': ['Despatch pattern timing, coded', 'an..3'],
+    '2151': ['Type of period, coded', 'an..3'],
+    '2152': ['Number of periods', 'n..3'],
+    '2379': ['Date/time/period format qualifier', 'an..3'],
+    '2380': ['Date/time/period', 'an..35'],
+    '2475': ['Payment time reference, coded', 'an..3'],
+    '3035': ['Party qualifier', 'an..3'],
+    '3036': ['Party name', 'an..35'],
+    '3039': ['Party id. identification', 'an..35'],
+    '3042': ['Street and number/p.o. box', 'an..35'],
+    '3045': ['Party name format, coded', 'an..3'],
+    '3055': ['Code list responsible agency, coded', 'an..3'],
+    '3124': ['Name and address line', 'an..35'],
+    '3127': ['Carrier identification', 'an..17'],
+    '3128': ['Carrier name', 'an..35'],
+    '3139': ['Contact function, coded', 'an..3'],
+    '3148': ['Communication number', 'an..512'],
+    '3153': ['Communication channel identifier, coded', 'an..3'],
+    '3155': ['Communication channel qualifier', 'an..3'],
+    '3164': ['City name', 'an..35'],
+    '3192': ['Account holder name', 'an..35'],
+    '3194': ['Account holder number', 'an..35'],
+    '3207': ['Country, coded', 'an..3'],
+    '3222': ['Related place/location one', 'an..70'],
+    '3223': ['Related place/location one identification', 'an..25'],
+    '3224': ['Place/location', 'an..70'],
+    '3225': ['Place/location identification', 'an..25'],
+    '3227': ['Place/location qualifier', 'an..3'],
+    '3229': ['Country sub-entity identification', 'an..9'],
+    '3232': ['Related place/location two', 'an..70'],
+    '3233': ['Related place/location two identification', 'an..25'],
+    '3239': ['Country of origin, coded', 'an..3'],
+    '3251': ['Postcode identification', 'an..9'],
+    '3412': ['Department or employee', 'an..35'],
+    '3413': ['Department or employee identification', 'an..17'],
+    '3432': ['Institution name', 'an..70'],
+    '3433': ['Institution name identification', 'an..11'],
+    '3434': ['Institution branch number', 'an..17'],
+    '3436': ['Institution branch place', 'an..70'],
+    '3446': ['Party tax identification number', 'an..20'],
+    '3453': ['Language, coded', 'an..3'],
+    '4000': ['Reference version number', 'an..35'],
+    '4017': ['Delivery plan status indicator, coded', 'an..3'],
+    '4043': ['Trade class, coded', 'an..3'],
+    '4052': ['Terms of delivery or transport', 'an..70'],
+    '4053': ['Terms of delivery or transport, coded', 'an..3'],
+    '4055': ['Terms of delivery or transport function, coded', 'an..3'],
+    '4078': ['Handling instructions', 'an..70'],
+    '4079': ['Handling instructions, coded', 'an..3'],
+    '4183': ['Special conditions, coded', 'an..3'],
+    '4215': ['Transport charges method of payment, coded', 'an..3'],
+    '4221': ['Discrepancy, coded', 'an..3'],
+    '4233': ['Marking instructions, coded', 'an..3'],
+    '4276': ['Terms of payment', 'an..35'],
+    '4277': ['Terms of payment identification', 'an..17'],
+    '4279': ['Payment terms type qualifier', 'an..3'],
+    '4294': ['Change reason', 'an..35'],
+    '4295': ['Change reason, coded', 'an..3'],
+    '4343': ['Response type, coded', 'an..3'],
+    '4347': ['Product id. function qualifier', 'an..3'],
+    '4405': ['Status, coded', 'an..3'],
+    '4431': ['Payment guarantee, coded', 'an..3'],
+    '4435': ['Payment channel, coded', 'an..3'],
+    '4439': ['Payment conditions, coded', 'an..3'],
+    '4440': ['Free text', 'an..70'],
+    '4441': ['Free text, coded', 'an..3'],
+    '4451': ['Text subject qualifier', 'an..3'],
+    '4453': ['Text function, coded', 'an..3'],
+    '4461': ['Payment means, coded', 'an..3'],
+    '4471': ['Settlement, coded', 'an..3'],
+    '4493': ['Delivery requirements, coded', 'an..3'],
+    '4517': ['Seal condition, coded', 'an..3'],
+    '5004': ['Monetary amount', 'n..18'],
+    '5025': ['Monetary amount type qualifier', 'an..3'],
+    '5118': ['Price', 'n..15'],
+    '5125': ['Price qualifier', 'an..3'],
+    '5152': ['Duty/tax/fee type', 'an..35'],
+    '5153': ['Duty/tax/fee type, coded', 'an..3'],
+    '5189': ['Charge/allowance description, coded', 'an..3'],
+    '5213': ['Sub-line price change, coded', 'an..3'],
+    '5245': ['Percentage qualifier', 'an..3'],
+    '5249': ['Percentage basis, coded', 'an..3'],
+    '5273': ['Duty/tax/fee rate basis identification', 'an..12'],
+    '5278': ['Duty/tax/fee rate', 'an..17'],
+    '5279': ['Duty/tax/fee rate identification', 'an..7'],
+    '5283': ['Duty/tax/fee function qualifier', 'an..3'],
+    '5284': ['Unit price basis', 'n..9'],
+    '5286': ['Duty/tax/fee assessment basis', 'an..15'],
+    '5289': ['Duty/tax/fee account identification', 'an..6'],
+    '5305': ['Duty/tax/fee category, coded', 'an..3'],
+    '5375': ['Price type, coded', 'an..3'],
+    '5379': ['Product group type, coded', 'an..3'],
+    '5387': ['Price type qualifier', 'an..3'],
+    '5388': ['Product group', 'an..35'],
+    '5389': ['Product group, coded', 'an..25'],
+    '5393': ['Price multiplier qualifier', 'an..3'],
+    '5394': ['Price multiplier', 'n..12'],
+    '5402': ['Rate of exchange', 'n..12'],
+    '5419': ['Rate type qualifier', 'an..3'],
+    '5420': ['Rate per unit', 'n..15'],
+    '5463': ['Allowance or charge qualifier', 'an..3'],
+    '5479': ['Relation, coded', 'an..3'],
+    '5482': ['Percentage', 'n..10'],
+    '5495': ['Sub-line indicator, coded', 'an..3'],
+    '6060': ['Quantity', 'n..15'],
+    '6063': ['Quantity qualifier', 'an..3'],
+    '6064': ['Quantity difference', 'n..15'],
+    '6066': ['Control value', 'n..18'],
+    '6069': ['Control qualifier', 'an..3'],
+    '6152': ['Range maximum', 'n..18'],
+    '6154': ['Measurement attribute', 'an..70'],
+    '6155': ['Measurement attribute, coded', 'an..3'],
+    '6162': ['Range minimum', 'n..18'],
+    '6167': ['Range type qualifier', 'an..3'],
+    '6311': ['Measurement application qualifier', 'an..3'],
+    '6313': ['Measurement dimension, coded', 'an..3'],
+    '6314': ['Measurement value', 'n..18'],
+    '6321': ['Measurement significance, coded', 'an..3'],
+    '6341': ['Currency market exchange, coded', 'an..3'],
+    '6343': ['Currency qualifier', 'an..3'],
+    '6345': ['Currency, coded', 'an..3'],
+    '6347': ['Currency details qualifier', 'an..3'],
+    '6348': ['Currency rate base', 'n..4'],
+    '6411': ['Measure unit qualifier', 'an..3'],
+    '6432': ['Significant digits', 'n..2'],
+    '7008': ['Item description', 'an..35'],
+    '7009': ['Item description identification', 'an..17'],
+    '7064': ['Type of packages', 'an..35'],
+    '7065': ['Type of packages identification', 'an..17'],
+    '7073': ['Packaging terms and conditions, coded', 'an..3'],
+    '7075': ['Packaging level, coded', 'an..3'],
+    '7077': ['Item description type, coded', 'an..3'],
+    '7081': ['Item characteristic, coded', 'an..3'],
+    '7083': ['Configuration, coded', 'an..3'],
+    '7102': ['Shipping marks', 'an..35'],
+    '7130': ['Customer authorization number', 'an..17'],
+    '7140': ['Item number', 'an..35'],
+    '7143': ['Item number type, coded', 'an..3'],
+    '7160': ['Special service', 'an..35'],
+    '7161': ['Special services, coded', 'an..3'],
+    '7164': ['Hierarchical id. number', 'an..12'],
+    '7166': ['Hierarchical parent id.', 'an..12'],
+    '7224': ['Number of packages', 'n..8'],
+    '7233': ['Packaging related information, coded', 'an..3'],
+    '7297': ['Set identification qualifier', 'an..3'],
+    '7383': ['Surface/layer indicator, coded', 'an..3'],
+    '7402': ['Identity number', 'an..35'],
+    '7405': ['Identity number qualifier', 'an..3'],
+    '7419': ['Hazardous material class code, identification', 'an..4'],
+    '7511': ['Type of marking, coded', 'an..3'],
+    '8028': ['Conveyance reference number', 'an..17'],
+    '8051': ['Transport stage qualifier', 'an..3'],
+    '8053': ['Equipment qualifier', 'an..3'],
+    '8066': ['Mode of transport', 'an..17'],
+    '8067': ['Mode of transport, coded', 'an..3'],
+    '8077': ['Equipment supplier, coded', 'an..3'],
+    '8101': ['Transit direction, coded', 'an..3'],
+    '8154': ['Equipment size and type', 'an..35'],
+    '8155': ['Equipment size and type identification', 'an..10'],
+    '8169': ['Full/empty indicator, coded', 'an..3'],
+    '8178': ['Type of means of transport', 'an..17'],
+    '8179': ['Type of means of transport identification', 'an..8'],
+    '8212': ['Id. of the means of transport', 'an..35'],
+    '8213': ['Id. of means of transport identification', 'an..9'],
+    '8249': ['Equipment status, coded', 'an..3'],
+    '8260': ['Equipment identification number', 'an..17'],
+    '8275': ['Container/package status, coded', 'an..3'],
+    '8281': ['Transport ownership, coded', 'an..3'],
+    '8393': ['Returnable package load contents, coded', 'an..3'],
+    '8395': ['Returnable package freight payment responsibility, coded', 'an..3'],
+    '8453': ['Nationality of means of transport, coded', 'an..3'],
+    '8457': ['Excess transportation reason, coded', 'an..3'],
+    '8459': ['Excess transportation responsibility, coded', 'an..3'],
+    '9213': ['Type of duty regime, coded', 'an..3'],
+    '9302': ['Sealing party', 'an..35'],
+    '9303': ['Sealing party, coded', 'an..3'],
+    '9308': ['Seal number', 'an..10']
+};
+
+// ==================== EDCD — COMPOSITES ====================
+
+const _code = ['1131', 'C'];
+const _agency = ['3055', 'C'];
+
+export const COMPOSITES = {
+    C002: ['Document/message name', [['1001', 'C'], _code, _agency, ['1000', 'C']]],
+    C040: ['Carrier', [['3127', 'C'], _code, _agency, ['3128', 'C']]],
+    C056: ['Department or employee details', [['3413', 'C'], ['3412', 'C']]],
+    C058: ['Name and address', [['3124', 'M'], ['3124', 'C'], ['3124', 'C'], ['3124', 'C'], ['3124', 'C']]],
+    C059: ['Street', [['3042', 'M'], ['3042', 'C'], ['3042', 'C'], ['3042', 'C']]],
+    C076: ['Communication contact', [['3148', 'M'], ['3155', 'M']]],
+    C078: ['Account identification', [['3194', 'C'], ['3192', 'C'], ['3192', 'C'], ['6345', 'C']]],
+    C080: ['Party name', [['3036', 'M'], ['3036', 'C'], ['3036', 'C'], ['3036', 'C'], ['3036', 'C'], ['3045', 'C']]],
+    C082: ['Party identification details', [['3039', 'M'], _code, _agency]],
+    C088: ['Institution identification', [['3433', 'C'], _code, _agency, ['3434', 'C'], _code, _agency, ['3432', 'C'], ['3436', 'C']]],
+    C100: ['Terms of delivery or transport', [['4053', 'C'], _code, _agency, ['4052', 'C'], ['4052', 'C']]],
+    C107: ['Text reference', [['4441', 'M'], _code, _agency]],
+    C108: ['Text literal', [['4440', 'M'], ['4440', 'C'], ['4440', 'C'], ['4440', 'C'], ['4440', 'C']]],
+    C110: ['Payment terms', [['4277', 'M'], _code, _agency, ['4276', 'C'], ['4276', 'C']]],
+    C112: ['Terms/time information', [['2475', 'M'], ['2009', 'C'], ['2151', 'C'], ['2152', 'C']]],
+    C128: ['Rate details', [['5419', 'M'], ['5420', 'M'], ['5284', 'C'], ['6411', 'C']]],
+    C138: ['Price multiplier information', [['5394', 'M'], ['5393', 'C']]],
+    C174: ['Value/range', [['6411', 'M'], ['6314', 'C'], ['6162', 'C'], ['6152', 'C'], ['6432', 'C']]],
+    C186: ['Quantity details', [['6063', 'M'], ['6060', 'M'], ['6411', 'C']]],
+    C202: ['Package type', [['7065', 'C'], _code, _agency, ['7064', 'C']]],
+    C206: ['Identification number', [['7402', 'M'], ['7405', 'C'], ['4405', 'C']]],
+    C208: ['Identity number range', [['7402', 'M'], ['7402', 'C']]],
+    C210: ['Marks & labels', [['7102', 'M'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C'], ['7102', 'C']]],
+    C212: ['Item number identification', [['7140', 'C'], ['7143', 'C'], _code, _agency]],
+    C214: ['Special services identification', [['7161', 'C'], _code, _agency, ['7160', 'C'], ['7160', 'C']]],
+    C215: ['Seal issuer', [['9303', 'C'], _code, _agency, ['9302', 'C']]],
+    C218: ['Hazardous material', [['7419', 'C'], _code, _agency]],
+    C220: ['Mode of transport', [['8067', 'C'], ['8066', 'C']]],
+    C222: ['Transport identification', [['8213', 'C'], _code, _agency, ['8212', 'C'], ['8453', 'C']]],
+    C224: ['Equipment size and type', [['8155', 'C'], _code, _agency, ['8154', 'C']]],
+    C228: ['Transport means', [['8179', 'C'], ['8178', 'C']]],
+    C237: ['Equipment identification', [['8260', 'C'], _code, _agency, ['3207', 'C']]],
+    C241: ['Duty/tax/fee type', [['5153', 'C'], _code, _agency, ['5152', 'C']]],
+    C243: ['Duty/tax/fee detail', [['5279', 'C'], _code, _agency, ['5278', 'C'], ['5273', 'C'], _code, _agency]],
+    C270: ['Control', [['6069', 'M'], ['6066', 'M'], ['6411', 'C']]],
+    C272: ['Item characteristic', [['7081', 'C'], _code, _agency]],
+    C273: ['Item description', [['7009', 'C'], _code, _agency, ['7008', 'C'], ['7008', 'C'], ['3453', 'C']]],
+    C279: ['Quantity difference information', [['6064', 'M'], ['6063', 'C']]],
+    C280: ['Range', [['6411', 'M'], ['6162', 'C'], ['6152', 'C']]],
+    C288: ['Product group', [['5389', 'C'], _code, _agency, ['5388', 'C']]],
+    C329: ['Pattern description', [['2013', 'C'], ['2015', 'C'], ['2017', 'C']]],
+    C401: ['Excess transportation information', [['8457', 'M'], ['8459', 'M'], ['7130', 'C']]],
+    C402: ['Package type identification', [['7077', 'M'], ['7064', 'M'], ['7143', 'C'], ['7064', 'C'], ['7143', 'C']]],
+    C501: ['Percentage details', [['5245', 'M'], ['5482', 'C'], ['5249', 'C'], _code, _agency]],
+    C502: ['Measurement details', [['6313', 'C'], ['6321', 'C'], ['6155', 'C'], ['6154', 'C']]],
+    C503: ['Document/message details', [['1004', 'C'], ['1373', 'C'], ['1366', 'C'], ['3453', 'C']]],
+    C504: ['Currency details', [['6347', 'M'], ['6345', 'C'], ['6343', 'C'], ['6348', 'C']]],
+    C506: ['Reference', [['1153', 'M'], ['1154', 'C'], ['1156', 'C'], ['4000', 'C']]],
+    C507: ['Date/time/period', [['2005', 'M'], ['2380', 'C'], ['2379', 'C']]],
+    C509: ['Price information', [['5125', 'M'], ['5118', 'C'], ['5375', 'C'], ['5387', 'C'], ['5284', 'C'], ['6411', 'C']]],
+    C516: ['Monetary amount', [['5025', 'M'], ['5004', 'C'], ['6345', 'C'], ['6343', 'C'], ['4405', 'C']]],
+    C517: ['Location identification', [['3225', 'C'], _code, _agency, ['3224', 'C']]],
+    C519: ['Related location one identification', [['3223', 'C'], _code, _agency, ['3222', 'C']]],
+    C524: ['Handling instructions', [['4079', 'C'], _code, _agency, ['4078', 'C']]],
+    C531: ['Packaging details', [['7075', 'C'], ['7233', 'C'], ['7073', 'C']]],
+    C532: ['Returnable package details', [['8395', 'C'], ['8393', 'C']]],
+    C533: ['Duty/tax/fee account detail', [['5289', 'M'], _code, _agency]],
+    C534: ['Payment instruction details', [['4439', 'C'], ['4431', 'C'], ['4461', 'C'], _code, _agency, ['4435', 'C']]],
+    C552: ['Allowance/charge information', [['1230', 'C'], ['5189', 'C']]],
+    C553: ['Related location two identification', [['3233', 'C'], _code, _agency, ['3232', 'C']]],
+    C827: ['Type of marking', [['7511', 'M'], _code, _agency]],
+    C829: ['Sub-line information', [['5495', 'C'], ['1082', 'C']]],
+    C960: ['Reason for change', [['4295', 'C'], _code, _agency, ['4294', 'C']]]
+};
+
+// ==================== EDSD — SEGMENTS ====================
+
+export const SEGMENTS = {
+    ALC: ['Allowance or charge', [['5463', 'M'], ['C552', 'C'], ['4471', 'C'], ['1227', 'C'], ['C214', 'C']]],
+    ALI: ['Additional information', [['3239', 'C'], ['9213', 'C'], ['4183', 'C'], ['4183', 'C'], ['4183', 'C'], ['4183', 'C'], ['4183', 'C']]],
+    APR: ['Additional price information', [['4043', 'C'], ['C138', 'M'], ['C960', 'C']]],
+    BGM: ['Beginning of message', [['C002', 'C'], ['1004', 'C'], ['1225', 'C'], ['4343', 'C']]],
+    CNT: ['Control total', [['C270', 'M']]],
+    COM: ['Communication contact', [['C076', 'M']]],
+    CPS: ['Consignment packing sequence', [['7164', 'M'], ['7166', 'C'], ['7075', 'C']]],
+    CTA: ['Contact information', [['3139', 'C'], ['C056', 'C']]],
+    CUX: ['Currencies', [['C504', 'C'], ['C504', 'C'], ['5402', 'C'], ['6341', 'C']]],
+    DOC: ['Document/message details', [['C002', 'M'], ['C503', 'C'], ['3153', 'C'], ['1220', 'C'], ['1218', 'C']]],
+    DTM: ['Date/time/period', [['C507', 'M']]],
+    EQD: ['Equipment details', [['8053', 'M'], ['C237', 'C'], ['C224', 'C'], ['8077', 'C'], ['8249', 'C'], ['8169', 'C']]],
+    FII: ['Financial institution information', [['3035', 'M'], ['C078', 'C'], ['C088', 'C'], ['3207', 'C']]],
+    FTX: ['Free text', [['4451', 'M'], ['4453', 'C'], ['C107', 'C'], ['C108', 'C'], ['3453', 'C']]],
+    GIN: ['Goods identity number', [['7405', 'M'], ['C208', 'M'], ['C208', 'C'], ['C208', 'C'], ['C208', 'C'], ['C208', 'C']]],
+    GIR: ['Related identification numbers', [['7297', 'M'], ['C206', 'M'], ['C206', 'C'], ['C206', 'C'], ['C206', 'C'], ['C206', 'C']]],
+    HAN: ['Handling instructions', [['C524', 'C'], ['C218', 'C']]],
+    IMD: ['Item description', [['7077', 'C'], ['C272', 'C'], ['C273', 'C'], ['7383', 'C']]],
+    LIN: ['Line item', [['1082', 'C'], ['1229', 'C'], ['C212', 'C'], ['C829', 'C'], ['1222', 'C'], ['7083', 'C']]],
+    LOC: ['Place/location identification', [['3227', 'M'], ['C517', 'C'], ['C519', 'C'], ['C553', 'C'], ['5479', 'C']]],
+    MEA: ['Measurements', [['6311', 'M'], ['C502', 'C'], ['C174', 'C'], ['7383', 'C']]],
+    MOA: ['Monetary amount', [['C516', 'M']]],
+    NAD: ['Name and address', [['3035', 'M'], ['C082', 'C'], ['C058', 'C'], ['C080', 'C'], ['C059', 'C'], ['3164', 'C'], ['3229', 'C'], ['3251', 'C'], ['3207', 'C']]],
+    PAC: ['Package', [['7224', 'C'], ['C531', 'C'], ['C202', 'C'], ['C402', 'C'], ['C532', 'C']]],
+    PAI: ['Payment instructions', [['C534', 'M']]],
+    PAT: ['Payment terms basis', [['4279', 'M'], ['C110', 'C'], ['C112', 'C']]],
+    PCD: ['Percentage details', [['C501', 'M']]],
+    PCI: ['Package identification', [['4233', 'C'], ['C210', 'C'], ['8275', 'C'], ['C827', 'C']]],
+    PGI: ['Product group information', [['5379', 'M'], ['C288', 'C']]],
+    PIA: ['Additional product id', [['4347', 'M'], ['C212', 'M'], ['C212', 'C'], ['C212', 'C'], ['C212', 'C'], ['C212', 'C']]],
+    PRI: ['Price details', [['C509', 'C'], ['5213', 'C']]],
+    QTY: ['Quantity', [['C186', 'M']]],
+    QVR: ['Quantity variances', [['C279', 'M'], ['4221', 'C'], ['C960', 'C']]],
+    RFF: ['Reference', [['C506', 'M']]],
+    RNG: ['Range details', [['6167', 'M'], ['C280', 'C']]],
+    RTE: ['Rate details', [['C128', 'M']]],
+    SCC: ['Scheduling conditions', [['4017', 'M'], ['4493', 'C'], ['C329', 'C']]],
+    SEL: ['Seal number', [['9308', 'M'], ['C215', 'C'], ['4517', 'C']]],
+    TAX: ['Duty/tax/fee details', [['5283', 'M'], ['C241', 'C'], ['C533', 'C'], ['5286', 'C'], ['C243', 'C'], ['5305', 'C'], ['3446', 'C']]],
+    TDT: ['Details of transport', [['8051', 'M'], ['8028', 'C'], ['C220', 'C'], ['C228', 'C'], ['C040', 'C'], ['8101', 'C'], ['C401', 'C'], ['C222', 'C'], ['8281', 'C']]],
+    TOD: ['Terms of delivery or transport', [['4055', 'C'], ['4215', 'C'], ['C100', 'C']]],
+    UNS: ['Section control', [['0081', 'M']]]
+};
@@ -0,0 +1,179 @@
+/**
+ * UN/EDIFACT Directory Lookup
+ * ===========================
+ * Resolves the versioned segment/composite/element dictionary for a
+ * directory (e.g. D96A from UNH S009 0052+0054, or 'd01b' from the start
+ * screen) and expands segment definitions for the element validator.
+ *
+ * Only D.96A (d96a.js) is bundled completely. Later releases are
+ * approximated by the base plus the RELEASE_OVERLAYS up to that release;
+ * such dictionaries are not exact and name the release they are based on.
+ * Service segments follow the UNB syntax version.
+ * Code lists for coded data elements come from codelists.js.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import * as d96a from './d96a.js';
+import * as service from './service.js';
+import { RELEASE_OVERLAYS } from './releases.js';
+import { CODE_LISTS, CODE_LIST_ALIASES, CODE_LIST_DIRECTORY, getCodeList, lookupCode } from './codelists.js';
+
+export { CODE_LISTS, CODE_LIST_ALIASES, CODE_LIST_DIRECTORY, getCodeList, lookupCode };
+
+const _BASE_DIRECTORY = 'D96A';
+
+// Bundled directories: the base and every release overlay. The start screen
+// (VersionReleaseSelector) offers these and no others.
+export const SUPPORTED_DIRECTORIES = [_BASE_DIRECTORY, ...RELEASE_OVERLAYS.map(overlay => overlay.release)];
+
+const _cache = new Map();
+
+// ==================== DIRECTORY RESOLUTION ====================
+
+/**
+ * Normalize a directory identifier to the 'D96A' form
+ * Accepts 'D96A', 'd96a', 'D.96A', 'D:96A' or the UNH pair ('D', '96A').
+ *
+ * @param {string} version - Directory or message version number (0052)
+ * @param {string} [release] - Message release number (0054) when version is 0052
+ * @returns {string|null} Normalized directory, or null if it is not a D-directory
+ */
+export function normalizeDirectory(version, release) {
+    if (!version) return null;
+    const joined = `${version}${release || ''}`.toUpperCase().replace(/[.:\s]/g, '');
+    return /^D\d{2}[AB]$/.test(joined) ? joined : null;
+}
+
+/**
+ * Resolve the dictionary for a directory and syntax version
+ *
+ * @param {string} directory - e.g. 'D96A' or 'd01b'
+ * @param {object} [options]
+ * @param {string} [options.syntaxVersion='3'] - UNB S001/0002
+ * @returns {{ directory: string, basis: string, exact: boolean, elements: object, composites: object, segments: object }|null}
+ *          basis = bundled release whose definitions were applied (D96A or the latest overlay)
+ *          exact = false unless the directory itself is bundled (D96A)
+ */
+export function getDirectory(directory, { syntaxVersion = '3' } = {}) {
+    const normalized = normalizeDirectory(directory);
+    if (!normalized) return null;
+
+    const syntax = syntaxVersion === '4' ? '4' : '3';
+    const cacheKey = `${normalized}|${syntax}`;
+    if (_cache.has(cacheKey)) return _cache.get(cacheKey);
+
+    const key = _releaseKey(normalized);
+    let basis = _BASE_DIRECTORY;
+    const elements = { ...d96a.ELEMENTS, ...service.ELEMENTS, ...service.INTERACTIVE_ELEMENTS };
+    const composites = { ...d96a.COMPOSITES, ...service.COMPOSITES, ...service.INTERACTIVE_COMPOSITES };
+    const segments = { ...d96a.SEGMENTS, ...service.SEGMENTS, ...service.INTERACTIVE_SEGMENTS };
+
+    for (const overlay of RELEASE_OVERLAYS) {
+        if (_releaseKey(overlay.release) > key) break;
+        Object.assign(elements, overlay.elements);
+        Object.assign(composites, overlay.composites);
+        Object.assign(segments, overlay.segments);
+        basis = overlay.release;
+    }
+
+    if (syntax === '4') {
+        Object.assign(elements, service.VERSION_4_ELEMENTS);
+        Object.assign(composites, service.VERSION_4_COMPOSITES);
+        Object.assign(segments, service.VERSION_4_SEGMENTS);
+    }
+
+    const resolved = {
+        directory: normalized,
+        basis,
+        exact: normalized === _BASE_DIRECTORY,
+        elements,
+        composites,
+        segments,
+        _expanded: new Map()
+    };
+    _cache.set(cacheKey, resolved);
+    return resolved;
+}
+
+/**
+ * Expanded definition of one segment in a resolved directory
+ *
+ * @param {object} dictionary - Result of getDirectory()
+ * @param {string} tag - Segment tag
+ * @returns {{ tag, name, elements: Array<{ id, name, status, format?, components? }> }|null}
+ *          components = [{ id, name, status, format }] for composites
+ */
+export function getSegmentDefinition(dictionary, tag) {
+    if (!dictionary || !tag) return null;
+    if (dictionary._expanded.has(tag)) return dictionary._expanded.get(tag);
+
+    const segment = dictionary.segments[tag];
+    let definition = null;
+    if (segment) {
+        const [name, entries] = segment;
+        definition = {
+            tag,
+            name,
+            elements: entries.map(([id, status]) => {
+                const composite = dictionary.composites[id];
+                if (composite) {
+                    return {
+                        id,
+                        name: composite[0],
+                        status,
+                        components: composite[1].map(([componentId, componentStatus]) => ({
+                            id: componentId,
+                            name: dictionary.elements[componentId]?.[0] || componentId,
+                            status: componentStatus,
+                            format: dictionary.elements[componentId]?.[1] || null
+                        }))
+                    };
+                }
+                return {
+                    id,
+                    name: dictionary.elements[id]?.[0] || id,
+                    status,
+                    format: dictionary.elements[id]?.[1] || null
+                };
+            })
+        };
+    }
+    dictionary._expanded.set(tag, definition);
+    return definition;
+}
+
+/**
+ * Parse a directory format ('an..35', 'n6', 'a1') into type and length bounds
+ *
+ * @param {string} format
+ * @returns {{ type: 'a'|'n'|'an', minLength: number, maxLength: number }|null}
+ */
+export function parseFormat(format) {
+    const match = /^(an|a|n)(\.\.)?(\d+)$/.exec(format || '');
+    if (!match) return null;
+    const length = parseInt(match[3], 10);
+    return { type: match[1], minLength: match[2] ? 0 : length, maxLength: length };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Sortable key for a directory: D96A < D96B < D97A … < D01A
+ * @private
+ */
+function _releaseKey(directory) {
+    const year = parseInt(directory.slice(1, 3), 10);
+    const fullYear = year >= 90 ? 1900 + year : 2000 + year;
+    return fullYear * 2 + (directory[3] === 'B' ? 1 : 0);
+}
+
+export default {
+    SUPPORTED_DIRECTORIES,
+    normalizeDirectory,
+    getDirectory,
+    getSegmentDefinition,
+    parseFormat,
+    getCodeList,
+    lookupCode
+};
@@ -0,0 +1,35 @@
+/**
+ * Directory Release Overlays
+ * ==========================
+ * Changes to the D.96A base that later releases introduced, for the
+ * segments and elements bundled in d96a.js. An overlay applies to its own
+ * release and every later one; entries replace the base definition.
+ *
+ * Keep entries ordered by release.
+ */
+
+export const RELEASE_OVERLAYS = [
+    {
+        // BGM: C106 replaces the plain document number (1004 stays the first component)
+        // NAD: C819 replaces 3229; TDT C228 gains code list qualifier/agency
+        release: 'D01B',
+        elements: {
+            '1056': ['Version', 'an..9'],
+            '1060': ['Revision number', 'an..6'],
+            '1154': ['Reference number', 'an..70'],
+            '3225': ['Place/location identification', 'an..35'],
+            '3228': ['Country sub-entity name', 'an..70'],
+            '4440': ['Free text', 'an..512'],
+            '7008': ['Item description', 'an..256']
+        },
+        composites: {
+            C106: ['Document/message identification', [['1004', 'C'], ['1056', 'C'], ['1060', 'C']]],
+            C228: ['Transport means', [['8179', 'C'], ['1131', 'C'], ['3055', 'C'], ['8178', 'C']]],
+            C819: ['Country sub-entity details', [['3229', 'C'], ['1131', 'C'], ['3055', 'C'], ['3228', 'C']]]
+        },
+        segments: {
+            BGM: ['Beginning of message', [['C002', 'C'], ['C106', 'C'], ['1225', 'C'], ['4343', 'C']]],
+            NAD: ['Name and address', [['3035', 'M'], ['C082', 'C'], ['C058', 'C'], ['C080', 'C'], ['C059', 'C'], ['3164', 'C'], ['C819', 'C'], ['3251', 'C'], ['3207', 'C']]]
+        }
+    }
+];
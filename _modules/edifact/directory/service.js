@@ -0,0 +1,151 @@
+/**
+ * ISO 9735 Service Segments
+ * =========================
+ * Envelope segment definitions (UNB/UNG/UNH/UNT/UNE/UNZ). These do not
+ * depend on the message directory but on the syntax version declared in
+ * UNB S001/0002. Same shapes as d96a.js.
+ *
+ * The interactive envelope (UIB/UIH/UIT/UIZ, ISO 9735-3) is always
+ * included: its tags do not clash with batch segments, and interactive
+ * profiles such as NCPDP SCRIPT declare their own syntax version ("0").
+ */
+
+// ==================== SYNTAX VERSION 3 ====================
+
+export const ELEMENTS = {
+    '0001': ['Syntax identifier', 'a4'],
+    '0002': ['Syntax version number', 'n1'],
+    '0004': ['Sender identification', 'an..35'],
+    '0007': ['Partner identification code qualifier', 'an..4'],
+    '0008': ['Address for reverse routing', 'an..14'],
+    '0010': ['Recipient identification', 'an..35'],
+    '0014': ['Routing address', 'an..14'],
+    '0017': ['Date of preparation', 'n6'],
+    '0019': ['Time of preparation', 'n4'],
+    '0020': ['Interchange control reference', 'an..14'],
+    '0022': ['Recipient\'s reference/password', 'an..14'],
+    '0025': ['Recipient\'s reference/password qualifier', 'an2'],
+    '0026': ['Application reference', 'an..14'],
+    '0029': ['Processing priority code', 'a1'],
+    '0031': ['Acknowledgement request', 'n1'],
+    '0032': ['Communications agreement identification', 'an..35'],
+    '0035': ['Test indicator', 'n1'],
+    '0036': ['Interchange control count', 'n..6'],
+    '0038': ['Functional group identification', 'an..6'],
+    '0040': ['Application sender\'s identification', 'an..35'],
+    '0044': ['Application recipient\'s identification', 'an..35'],
+    '0048': ['Functional group reference number', 'an..14'],
+    '0051': ['Controlling agency', 'an..2'],
+    '0052': ['Message version number', 'an..3'],
+    '0054': ['Message release number', 'an..3'],
+    '0057': ['Association assigned code', 'an..6'],
+    '0058': ['Application password', 'an..14'],
+    '0060': ['Number of messages', 'n..6'],
+    '0062': ['Message reference number', 'an..14'],
+    '0065': ['Message type identifier', 'an..6'],
+    '0068': ['Common access reference', 'an..35'],
+    '0070': ['Sequence message transfer number', 'n..2'],
+    '0073': ['First/last sequence message transfer indication', 'a1'],
+    '0074': ['Number of segments in a message', 'n..6']
+};
+
+export const COMPOSITES = {
+    S001: ['Syntax identifier', [['0001', 'M'], ['0002', 'M']]],
+    S002: ['Interchange sender', [['0004', 'M'], ['0007', 'C'], ['0008', 'C']]],
+    S003: ['Interchange recipient', [['0010', 'M'], ['0007', 'C'], ['0014', 'C']]],
+    S004: ['Date/time of preparation', [['0017', 'M'], ['0019', 'M']]],
+    S005: ['Recipient\'s reference/password', [['0022', 'M'], ['0025', 'C']]],
+    S006: ['Application sender identification', [['0040', 'M'], ['0007', 'C']]],
+    S007: ['Application recipient identification', [['0044', 'M'], ['0007', 'C']]],
+    S008: ['Message version', [['0052', 'M'], ['0054', 'M'], ['0057', 'C']]],
+    S009: ['Message identifier', [['0065', 'M'], ['0052', 'M'], ['0054', 'M'], ['0051', 'M'], ['0057', 'C']]],
+    S010: ['Status of the transfer', [['0070', 'M'], ['0073', 'C']]]
+};
+
+export const SEGMENTS = {
+    UNB: ['Interchange header', [['S001', 'M'], ['S002', 'M'], ['S003', 'M'], ['S004', 'M'], ['0020', 'M'], ['S005', 'C'], ['0026', 'C'], ['0029', 'C'], ['0031', 'C'], ['0032', 'C'], ['0035', 'C']]],
+    UNG: ['Functional group header', [['0038', 'M'], ['S006', 'M'], ['S007', 'M'], ['S004', 'M'], ['0048', 'M'], ['0051', 'M'], ['S008', 'M'], ['0058', 'C']]],
+    UNH: ['Message header', [['0062', 'M'], ['S009', 'M'], ['0068', 'C'], ['S010', 'C']]],
+    UNT: ['Message trailer', [['0074', 'M'], ['0062', 'M']]],
+    UNE: ['Functional group trailer', [['0060', 'M'], ['0048', 'M']]],
+    UNZ: ['Interchange trailer', [['0036', 'M'], ['0020', 'M']]]
+};
+
+// ==================== SYNTAX VERSION 4 ====================
+
+// Version 4 widens the partner/routing identifiers, uses a CCYYMMDD date and
+// appends optional components/composites to UNB and UNH
+export const VERSION_4_ELEMENTS = {
+    '0008': ['Interchange sender internal identification', 'an..35'],
+    '0014': ['Interchange recipient internal identification', 'an..35'],
+    '0017': ['Date', 'n8'],
+    '0042': ['Interchange sender internal sub-identification', 'an..35'],
+    '0046': ['Interchange recipient internal sub-identification', 'an..35'],
+    '0080': ['Service code list directory version number', 'an..6'],
+    '0110': ['Code list directory version number', 'an..6'],
+    '0113': ['Message type sub-function identification', 'an..6'],
+    '0115': ['Message subset identification', 'an..14'],
+    '0116': ['Message subset version number', 'an..3'],
+    '0118': ['Message subset release number', 'an..3'],
+    '0121': ['Message implementation guideline identification', 'an..14'],
+    '0122': ['Message implementation guideline version number', 'an..3'],
+    '0124': ['Message implementation guideline release number', 'an..3'],
+    '0127': ['Scenario identification', 'an..14'],
+    '0128': ['Scenario version number', 'an..3'],
+    '0130': ['Scenario release number', 'an..3'],
+    '0133': ['Character encoding, coded', 'an..3']
+};
+
+export const VERSION_4_COMPOSITES = {
+    S001: ['Syntax identifier', [['0001', 'M'], ['0002', 'M'], ['0080', 'C'], ['0133', 'C']]],
+    S002: ['Interchange sender', [['0004', 'M'], ['0007', 'C'], ['0008', 'C'], ['0042', 'C']]],
+    S003: ['Interchange recipient', [['0010', 'M'], ['0007', 'C'], ['0014', 'C'], ['0046', 'C']]],
+    S009: ['Message identifier', [['0065', 'M'], ['0052', 'M'], ['0054', 'M'], ['0051', 'M'], ['0057', 'C'], ['0110', 'C'], ['0113', 'C']]],
+    S016: ['Message subset identification', [['0115', 'M'], ['0116', 'C'], ['0118', 'C'], ['0051', 'C']]],
+    S017: ['Message implementation guideline identification', [['0121', 'M'], ['0122', 'C'], ['0124', 'C'], ['0051', 'C']]],
+    S018: ['Scenario identification', [['0127', 'M'], ['0128', 'C'], ['0130', 'C'], ['0051', 'C']]]
+};
+
+export const VERSION_4_SEGMENTS = {
+    UNH: ['Message header', [['0062', 'M'], ['S009', 'M'], ['0068', 'C'], ['S010', 'C'], ['S016', 'C'], ['S017', 'C'], ['S018', 'C']]]
+};
+
+// ==================== INTERACTIVE (ISO 9735-3) ====================
+
+export const INTERACTIVE_ELEMENTS = {
+    '0113': ['Message type sub-function identification', 'an..6'],
+    '0127': ['Scenario identification', 'an..14'],
+    '0128': ['Scenario version number', 'an..3'],
+    '0130': ['Scenario release number', 'an..3'],
+    '0300': ['Initiator control reference', 'an..35'],
+    '0303': ['Initiator reference identification', 'an..35'],
+    '0304': ['Responder control reference', 'an..35'],
+    '0306': ['Transaction control reference', 'an..35'],
+    '0311': ['Dialogue identification', 'an..14'],
+    '0314': ['Event time', 'an..15'],
+    '0320': ['Sender sequence number', 'an..6'],
+    '0323': ['Transfer position, coded', 'a1'],
+    '0325': ['Duplicate indicator', 'a1'],
+    '0336': ['Time offset', 'n4'],
+    '0338': ['Event date', 'n..8'],
+    '0340': ['Interactive message reference number', 'an..35'],
+    '0342': ['Dialogue version number', 'an..3'],
+    '0344': ['Dialogue release number', 'an..3']
+};
+
+export const INTERACTIVE_COMPOSITES = {
+    S018: ['Scenario identification', [['0127', 'M'], ['0128', 'C'], ['0130', 'C'], ['0051', 'C']]],
+    S300: ['Date and/or time of initiation', [['0338', 'C'], ['0314', 'C'], ['0336', 'C']]],
+    S301: ['Status of transfer - interactive', [['0320', 'M'], ['0323', 'C'], ['0325', 'C']]],
+    S302: ['Dialogue reference', [['0300', 'M'], ['0303', 'C'], ['0051', 'C'], ['0304', 'C']]],
+    S303: ['Transaction reference', [['0306', 'M'], ['0303', 'C'], ['0051', 'C']]],
+    S305: ['Dialogue identification', [['0311', 'M'], ['0342', 'C'], ['0344', 'C'], ['0051', 'C']]],
+    S306: ['Interactive message identifier', [['0065', 'M'], ['0052', 'M'], ['0054', 'M'], ['0113', 'C'], ['0051', 'C'], ['0057', 'C']]]
+};
+
+export const INTERACTIVE_SEGMENTS = {
+    UIB: ['Interactive interchange header', [['S001', 'M'], ['S302', 'C'], ['S303', 'C'], ['S018', 'C'], ['S305', 'C'], ['S002', 'C'], ['S003', 'C'], ['S300', 'C'], ['0325', 'C'], ['0035', 'C']]],
+    UIH: ['Interactive message header', [['S306', 'M'], ['0340', 'C'], ['S302', 'C'], ['S301', 'C'], ['S300', 'C']]],
+    UIT: ['Interactive message trailer', [['0340', 'C'], ['0074', 'C']]],
+    UIZ: ['Interactive interchange trailer', [['S302', 'C'], ['0036', 'C'], ['0325', 'C']]]
+};
@@ -0,0 +1,372 @@
+/**
+ * EDIFACT Document Matching (three-way match)
+ * ===========================================
+ * Matches an order (ORDERS), its despatch advices (DESADV) and its invoices
+ * (INVOIC) across documents, the check accounts payable does before an
+ * invoice is released.
+ *
+ * Linking (documents that reference each other form one match set):
+ *   - RFF+ON (order number) = BGM document number of the ORDERS
+ *   - RFF+DQ (delivery note) / RFF+AAK (despatch advice) = BGM number of the DESADV
+ *   - documents with the same RFF+ON belong together even without the order
+ *
+ * Lines are matched by item number (LIN 7140, e.g. GTIN) and by line number
+ * (LIN 1082) where no item number is sent. Quantities:
+ *   ORDERS QTY+21 (ordered), DESADV QTY+12 (despatched), INVOIC QTY+47 (invoiced)
+ *
+ * Issues:
+ *   QUANTITY_MISMATCH — ordered, shipped and invoiced quantities differ
+ *   PRICE_DEVIATION   — invoiced price differs from the ordered price
+ *   MISSING_LINE      — ordered line not shipped / not invoiced
+ *   EXTRA_LINE        — shipped or invoiced line that was not ordered (not shipped)
+ *   MISSING_DOCUMENT  — match set without order, despatch advice or invoice
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { envelopeFields } from './parser.js';
+import { parseEdifactNumber } from './numeric.js';
+import { extractLineItems } from './lineItems.js';
+
+// ==================== CONSTANTS ====================
+
+export const TRADE_DOCUMENT_ROLES = {
+    ORDERS: 'order',
+    DESADV: 'despatch',
+    INVOIC: 'invoice'
+};
+
+export const MATCH_ISSUES = {
+    QUANTITY_MISMATCH: 'QUANTITY_MISMATCH',
+    PRICE_DEVIATION: 'PRICE_DEVIATION',
+    MISSING_LINE: 'MISSING_LINE',
+    EXTRA_LINE: 'EXTRA_LINE',
+    MISSING_DOCUMENT: 'MISSING_DOCUMENT'
+};
+
+// Quantity qualifiers (6063) per role, in order of preference
+const _QUANTITY_QUALIFIERS = {
+    order: ['21'],
+    despatch: ['12'],
+    invoice: ['47', '46']
+};
+
+const _ROLE_LABELS = { order: 'ordered', despatch: 'shipped', invoice: 'invoiced' };
+
+const _MESSAGE_START = ['UNH', 'UIH'];
+const _MESSAGE_END = ['UNT', 'UIT'];
+
+// ==================== DOCUMENTS ====================
+
+/**
+ * Trade documents (ORDERS, DESADV, INVOIC messages) of a segment list
+ *
+ * @param {object[]} segments - Parsed segments of an interchange
+ * @param {object} [options]
+ * @param {object} [options.numeric] - numericOptions() of the interchange
+ * @param {object} [options.source] - Stored with every document, e.g. { fileId, name }
+ * @returns {object[]} { source, messageIndex, messageReference, messageType, role, documentNumber,
+ *          documentDate, currency, orderNumbers, despatchNumbers, lines }
+ */
+export function describeDocuments(segments, { numeric = {}, source = {} } = {}) {
+    const documents = [];
+    let current = null;
+    let messageIndex = -1;
+
+    const finish = () => {
+        if (current && TRADE_DOCUMENT_ROLES[current.type]) {
+            documents.push(_describeMessage(current.segments, current.type, { numeric, source, messageIndex, messageReference: current.reference }));
+        }
+        current = null;
+    };
+
+    for (const seg of segments) {
+        if (_MESSAGE_START.includes(seg.tag)) {
+            finish();
+            messageIndex++;
+            // UNH+reference+type:... / UIH+type:...+reference
+            const header = envelopeFields(seg);
+            current = { type: header.messageType, reference: header.reference, segments: [] };
+        }
+        if (current) current.segments.push(seg);
+        if (_MESSAGE_END.includes(seg.tag)) finish();
+    }
+    finish();
+    return documents;
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Three-way match of trade documents
+ *
+ * @param {object[]} documents - describeDocuments() results, any number of files
+ * @param {object} [options]
+ * @param {number} [options.quantityTolerance=0] - Accepted quantity difference
+ * @param {number} [options.priceTolerance=0.01] - Accepted unit price difference
+ * @returns {{ sets: object[], summary: object }}
+ *          sets: { orderNumber, orders, despatches, invoices, lines, issues }
+ *          lines: { key, itemId, description, ordered, shipped, invoiced, orderPrice, invoicePrice, lines, issues }
+ */
+export function matchDocuments(documents, { quantityTolerance = 0, priceTolerance = 0.01 } = {}) {
+    const sets = _linkDocuments(documents).map(members => _matchSet(members, { quantityTolerance, priceTolerance }));
+    const issues = sets.flatMap(s => [...s.issues, ...s.lines.flatMap(l => l.issues)]);
+    const byCode = {};
+    for (const issue of issues) byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+
+    return {
+        sets,
+        summary: {
+            documents: documents.length,
+            sets: sets.length,
+            lines: sets.reduce((sum, s) => sum + s.lines.length, 0),
+            matchedLines: sets.reduce((sum, s) => sum + s.lines.filter(l => l.issues.length === 0).length, 0),
+            issues: issues.length,
+            byCode
+        }
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * One trade document from the segments of a message
+ * @private
+ */
+function _describeMessage(segments, messageType, { numeric, source, messageIndex, messageReference }) {
+    const role = TRADE_DOCUMENT_ROLES[messageType];
+    const bgm = segments.find(s => s.tag === 'BGM');
+    const dtm = segments.find(s => s.tag === 'DTM' && ['137', '3'].includes(s.fields[0]?.components?.[0]));
+    const cux = segments.find(s => s.tag === 'CUX');
+
+    const referencesOf = (...qualifiers) => [...new Set(segments
+        .filter(s => s.tag === 'RFF' && qualifiers.includes(s.fields[0]?.components?.[0]))
+        .map(s => s.fields[0]?.components?.[1] || '')
+        .filter(Boolean))];
+
+    const lines = extractLineItems(segments, null, numeric).map(item => {
+        const quantity = _QUANTITY_QUALIFIERS[role]
+            .map(q => item.quantities.find(x => x.qualifier === q))
+            .find(Boolean) || null;
+        const price = item.prices.find(p => p.qualifier === 'AAA') || item.prices.find(p => p.qualifier === 'AAB') || null;
+        const basis = price ? (parseEdifactNumber(price.basis, numeric)?.value || 1) : 1;
+        return {
+            position: item.position,
+            lineNumber: item.lineNumber,
+            itemId: item.itemId,
+            gtin: item.gtin,
+            supplierArticleNumber: item.supplierArticleNumber,
+            description: item.description,
+            quantity: quantity ? { qualifier: quantity.qualifier, value: quantity.value, unit: quantity.unit || '', position: quantity.position } : null,
+            price: price && price.value !== null
+                ? { qualifier: price.qualifier, value: price.value, basis, unitPrice: price.value / basis, position: price.position }
+                : null,
+            lineAmount: item.lineAmount
+        };
+    });
+
+    return {
+        source,
+        messageIndex,
+        messageReference,
+        messageType,
+        role,
+        documentNumber: bgm?.fields[1]?.components?.[0] || '',
+        documentDate: dtm?.fields[0]?.components?.[1] || '',
+        currency: cux?.fields[0]?.components?.[1] || '',
+        orderNumbers: referencesOf('ON'),
+        despatchNumbers: referencesOf('DQ', 'AAK'),
+        lines
+    };
+}
+
+/**
+ * Group documents that reference each other (union-find over document indexes)
+ * @private
+ */
+function _linkDocuments(documents) {
+    const parent = documents.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => { parent[find(a)] = find(b); };
+
+    const byKey = new Map();
+    const link = (key, index) => {
+        if (byKey.has(key)) union(index, byKey.get(key));
+        else byKey.set(key, index);
+    };
+
+    documents.forEach((doc, i) => {
+        if (doc.role === 'order' && doc.documentNumber) link(`ON:${doc.documentNumber}`, i);
+        if (doc.role === 'despatch' && doc.documentNumber) link(`DQ:${doc.documentNumber}`, i);
+        for (const number of doc.orderNumbers) link(`ON:${number}`, i);
+        for (const number of doc.despatchNumbers) link(`DQ:${number}`, i);
+    });
+
+    const groups = new Map();
+    documents.forEach((doc, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(doc);
+    });
+    return [...groups.values()];
+}
+
+/** @private */
+function _matchSet(members, { quantityTolerance, priceTolerance }) {
+    const orders = members.filter(d => d.role === 'order');
+    const despatches = members.filter(d => d.role === 'despatch');
+    const invoices = members.filter(d => d.role === 'invoice');
+    const orderNumber = orders[0]?.documentNumber || members.flatMap(d => d.orderNumbers)[0] || '';
+
+    const issues = [];
+    for (const [docs, label] of [[orders, 'order (ORDERS)'], [despatches, 'despatch advice (DESADV)'], [invoices, 'invoice (INVOIC)']]) {
+        if (docs.length === 0) {
+            issues.push({
+                code: MATCH_ISSUES.MISSING_DOCUMENT,
+                severity: 'info',
+                message: `No ${label} for order ${orderNumber || '(no order number)'}`
+            });
+        }
+    }
+
+    const lines = _matchLines(members);
+    const present = { order: orders.length > 0, despatch: despatches.length > 0, invoice: invoices.length > 0 };
+    for (const line of lines) line.issues = _lineIssues(line, present, { quantityTolerance, priceTolerance });
+
+    return {
+        orderNumber,
+        orders: orders.map(_documentRef),
+        despatches: despatches.map(_documentRef),
+        invoices: invoices.map(_documentRef),
+        lines,
+        issues
+    };
+}
+
+/**
+ * Match lines by item number, lines without item number by line number
+ * @private
+ */
+function _matchLines(members) {
+    const lines = new Map();
+    for (const doc of members) {
+        for (const line of doc.lines) {
+            const key = line.itemId ? `item:${line.itemId}` : `line:${line.lineNumber}`;
+            if (!lines.has(key)) {
+                lines.set(key, {
+                    key,
+                    itemId: line.itemId,
+                    gtin: line.gtin,
+                    description: line.description,
+                    ordered: null,
+                    shipped: null,
+                    invoiced: null,
+                    orderPrice: null,
+                    invoicePrice: null,
+                    lines: []
+                });
+            }
+            const match = lines.get(key);
+            if (!match.description && line.description) match.description = line.description;
+
+            const field = _ROLE_LABELS[doc.role];
+            if (line.quantity?.value !== null && line.quantity?.value !== undefined) {
+                match[field] = (match[field] || 0) + line.quantity.value;
+            }
+            if (line.price && doc.role === 'order' && !match.orderPrice) match.orderPrice = line.price;
+            if (line.price && doc.role === 'invoice' && !match.invoicePrice) match.invoicePrice = line.price;
+            match.lines.push({
+                role: doc.role,
+                documentNumber: doc.documentNumber,
+                source: doc.source,
+                lineNumber: line.lineNumber,
+                position: line.position,
+                quantity: line.quantity?.value ?? null
+            });
+        }
+    }
+    return [...lines.values()];
+}
+
+/** @private */
+function _lineIssues(line, present, { quantityTolerance, priceTolerance }) {
+    const issues = [];
+    const label = line.itemId || `line ${line.lines[0]?.lineNumber || '?'}`;
+    const has = (role) => line.lines.some(l => l.role === role);
+
+    // Missing / extra lines
+    if (present.order && has('order')) {
+        if (present.despatch && !has('despatch')) {
+            issues.push({ code: MATCH_ISSUES.MISSING_LINE, severity: 'warning', message: `${label} was ordered but is not in the despatch advice` });
+        }
+        if (present.invoice && !has('invoice')) {
+            issues.push({ code: MATCH_ISSUES.MISSING_LINE, severity: 'warning', message: `${label} was ordered but is not invoiced` });
+        }
+    }
+    if (present.order && !has('order')) {
+        const where = has('invoice') ? 'invoiced' : 'shipped';
+        issues.push({ code: MATCH_ISSUES.EXTRA_LINE, severity: 'error', message: `${label} is ${where} but was not ordered` });
+    } else if (present.despatch && has('invoice') && !has('despatch')) {
+        issues.push({ code: MATCH_ISSUES.EXTRA_LINE, severity: 'error', message: `${label} is invoiced but was not shipped` });
+    }
+
+    // Quantities: ordered vs shipped, shipped vs invoiced (ordered vs invoiced without despatch advice)
+    const comparisons = [['ordered', 'shipped']];
+    comparisons.push(line.shipped !== null ? ['shipped', 'invoiced'] : ['ordered', 'invoiced']);
+    for (const [a, b] of comparisons) {
+        if (line[a] === null || line[b] === null) continue;
+        const difference = line[b] - line[a];
+        if (Math.abs(difference) <= quantityTolerance + 1e-9) continue;
+        issues.push({
+            code: MATCH_ISSUES.QUANTITY_MISMATCH,
+            severity: b === 'invoiced' && difference > 0 ? 'error' : 'warning',
+            message: `${label}: ${line[a]} ${a}, ${line[b]} ${b} (difference ${_round(difference)})`,
+            expected: line[a],
+            actual: line[b],
+            difference: _round(difference)
+        });
+    }
+
+    // Unit prices: same price qualifier where both documents send one
+    const order = line.orderPrice;
+    const invoice = line.invoicePrice;
+    if (order && invoice && order.qualifier === invoice.qualifier) {
+        const difference = invoice.unitPrice - order.unitPrice;
+        if (Math.abs(difference) > priceTolerance + 1e-9) {
+            const percent = order.unitPrice !== 0 ? ` (${_round(difference / order.unitPrice * 100)}%)` : '';
+            issues.push({
+                code: MATCH_ISSUES.PRICE_DEVIATION,
+                severity: difference > 0 ? 'error' : 'warning',
+                message: `${label}: invoiced price ${invoice.qualifier} ${_round(invoice.unitPrice)} differs from ordered price ${_round(order.unitPrice)}${percent}`,
+                expected: _round(order.unitPrice),
+                actual: _round(invoice.unitPrice),
+                difference: _round(difference)
+            });
+        }
+    }
+    return issues;
+}
+
+/** @private */
+function _documentRef(doc) {
+    return {
+        source: doc.source,
+        messageIndex: doc.messageIndex,
+        messageType: doc.messageType,
+        documentNumber: doc.documentNumber,
+        documentDate: doc.documentDate,
+        lineCount: doc.lines.length
+    };
+}
+
+/** @private */
+function _round(n) {
+    return Math.round(n * 10000) / 10000;
+}
+
+export default {
+    TRADE_DOCUMENT_ROLES,
+    MATCH_ISSUES,
+    describeDocuments,
+    matchDocuments
+};
@@ -5,9 +5,25 @@
  *
  * Exports:
  * - tools:      All agent tools (segmentAnalyze, validateRules, etc.)
- * - validator:  { validate, quickCheck } from edifactValidator.js
+ * - validator:  { validate, validateSegments, quickCheck } from edifactValidator.js,
+ *               { createElementValidator, validateElements, checkElementValue, checkCodeValue } from elementValidator.js
  * - rules:      { getRules, getRequiredSegments, ... } from rules.js
- * - parser:     { parseRawEdifact, parseUNA, ... } from parser.js
+ * - partnerProfiles: { findPartnerProfile, partnerValidationOptions, checkPartnerProfile, ... } from partnerProfiles.js
+ * - parser:     { parseRawEdifact, parseUNA, detectDelimiters, detectEnvelope, ... } from parser.js
+ * - recovery:   { createSegmentRecovery, recoverSegments, isSegmentTag, ... } from recovery.js
+ * - numeric:    { parseEdifactNumber, numericOptions, extractNumericValues, ... } from numeric.js
+ * - datetime:   { parseEdifactDateTime, extractDateValues } from datetime.js
+ * - lineItems:  { extractLineItems, allowanceFromAlc, ... } from lineItems.js
+ * - reconciliation: { reconcileInvoice, RECONCILIATION_CHECKS, ... } from reconciliation.js
+ * - documentMatching: { describeDocuments, matchDocuments, MATCH_ISSUES, ... } from documentMatching.js
+ * - semanticDiff: { diffInterchanges, DIFF_CHANGES, VOLATILE_ELEMENTS } from semanticDiff.js
+ * - resendDetection: { registryKeysFromAnalysis, findResends, RESEND_KINDS, ... } from resendDetection.js
+ * - serializer: { serializeInterchange, serializeSegments, verifyRoundTrip, ... } from serializer.js
+ * - interchange: { splitInterchange, mergeInterchanges, reenvelopeInterchange, ... } from interchange.js
+ * - acknowledgements: { buildContrl, buildAperak, ... } from contrl.js, aperak.js
+ * - charset:    { detectSyntaxIdentifier, decodeEdifactBuffer, ... } from charset.js
+ * - structures: { getMessageStructure, resolveSegmentGroups, ... } from structures.js
+ * - directory:  { getDirectory, getSegmentDefinition, getCodeList, ... } from directory/index.js
  *
  * Usage:
  *   import edifact from '_modules/edifact';
@@ -16,7 +32,8 @@
  */
 
 import { tools } from './tools/index.js';
-import { validate, quickCheck } from './validators/edifactValidator.js';
+import { validate, validateSegments, quickCheck } from './validators/edifactValidator.js';
+import { ELEMENT_ISSUES, checkElementValue, checkCodeValue, validateSegmentElements, createElementValidator, validateElements } from './validators/elementValidator.js';
 import {
     getRules,
     getRequiredSegments,
@@ -25,21 +42,126 @@ import {
     getSupportedMessageTypes,
     getEancomRules
 } from './validators/rules.js';
+import {
+    PARTNER_SEVERITIES,
+    normalizePartnerProfile,
+    findPartnerProfile,
+    checkPartnerProfile,
+    partnerRules,
+    partnerValidationOptions,
+    applyPartnerProfile
+} from './validators/partnerProfiles.js';
 import {
     parseRawEdifact,
     parseUNA,
+    detectDelimiters,
     splitSegments,
+    createSegmentSplitter,
+    createTokenizer,
+    tokenizeEdifact,
+    segmentFromToken,
     parseSegment,
     parseEdifactDate,
+    ENVELOPE_TAGS,
+    detectEnvelope,
+    envelopeFields,
+    sourceLocation,
+    formatLocation,
     KNOWN_SEGMENT_TAGS,
     DTM_QUALIFIERS,
     RFF_QUALIFIERS,
     NAD_QUALIFIERS
 } from './parser.js';
+import {
+    RECOVERY_CODES,
+    isSegmentTag,
+    startsSegment,
+    createSegmentRecovery,
+    recoverSegments
+} from './recovery.js';
+import {
+    NUMERIC_ISSUES,
+    NUMERIC_ELEMENTS,
+    parseEdifactNumber,
+    numericOptions,
+    readNumericElement,
+    extractNumericValues
+} from './numeric.js';
+import { parseEdifactDateTime, extractDateValues } from './datetime.js';
+import { ALLOWANCE_AMOUNT_QUALIFIERS, extractLineItems, allowanceFromAlc, applyGroupValue } from './lineItems.js';
+import { RECONCILIATION_CHECKS, DEFAULT_AMOUNT_TOLERANCE, reconcileInvoice } from './reconciliation.js';
+import { TRADE_DOCUMENT_ROLES, MATCH_ISSUES, describeDocuments, matchDocuments } from './documentMatching.js';
+import { DIFF_CHANGES, VOLATILE_ELEMENTS, diffInterchanges } from './semanticDiff.js';
+import {
+    RESEND_KINDS,
+    DECLARED_REPETITIONS,
+    registryKeysFromAnalysis,
+    registryKeysFromSegments,
+    findResends,
+    describeResends
+} from './resendDetection.js';
+import {
+    resolveDelimiters,
+    serializeUNA,
+    escapeValue,
+    normalizeSegment,
+    serializeSegment,
+    serializeSegments,
+    recountEnvelope,
+    buildInterchangeSegments,
+    serializeInterchange,
+    verifyRoundTrip
+} from './serializer.js';
+import {
+    MAX_CONTROL_REFERENCE_LENGTH,
+    CONTROL_REFERENCE_MODES,
+    readInterchange,
+    listInterchangeMessages,
+    splitInterchange,
+    mergeInterchanges,
+    reenvelopeInterchange
+} from './interchange.js';
+import { CONTRL_ACTIONS, buildContrl } from './contrl.js';
+import { APERAK_RULE_TYPES, collectApplicationErrors, buildAperak } from './aperak.js';
+import {
+    SYNTAX_LEVELS,
+    detectSyntaxIdentifier,
+    resolveEncoding,
+    decodeEdifactBuffer,
+    isLegalCharacter,
+    findIllegalCharacters
+} from './charset.js';
+import {
+    MESSAGE_STRUCTURES,
+    getMessageStructure,
+    getStructuredMessageTypes,
+    createGroupResolver,
+    resolveSegmentGroups
+} from './structures.js';
+import {
+    SUPPORTED_DIRECTORIES,
+    normalizeDirectory,
+    getDirectory,
+    getSegmentDefinition,
+    parseFormat,
+    CODE_LISTS,
+    getCodeList,
+    lookupCode
+} from './directory/index.js';
 
 export { tools };
 
-export const validator = { validate, quickCheck };
+export const validator = {
+    validate,
+    validateSegments,
+    quickCheck,
+    ELEMENT_ISSUES,
+    checkElementValue,
+    checkCodeValue,
+    validateSegmentElements,
+    createElementValidator,
+    validateElements
+};
 
 export const rules = {
     getRules,
@@ -50,16 +172,152 @@ export const rules = {
     getEancomRules
 };
 
+export const partnerProfiles = {
+    PARTNER_SEVERITIES,
+    normalizePartnerProfile,
+    findPartnerProfile,
+    checkPartnerProfile,
+    partnerRules,
+    partnerValidationOptions,
+    applyPartnerProfile
+};
+
 export const parser = {
     parseRawEdifact,
     parseUNA,
+    detectDelimiters,
     splitSegments,
+    createSegmentSplitter,
+    createTokenizer,
+    tokenizeEdifact,
+    segmentFromToken,
     parseSegment,
     parseEdifactDate,
+    ENVELOPE_TAGS,
+    detectEnvelope,
+    envelopeFields,
+    sourceLocation,
+    formatLocation,
     KNOWN_SEGMENT_TAGS,
     DTM_QUALIFIERS,
     RFF_QUALIFIERS,
     NAD_QUALIFIERS
 };
 
-export default { tools, validator, rules, parser };
\ No newline at end of file
+export const recovery = {
+    RECOVERY_CODES,
+    isSegmentTag,
+    startsSegment,
+    createSegmentRecovery,
+    recoverSegments
+};
+
+export const numeric = {
+    NUMERIC_ISSUES,
+    NUMERIC_ELEMENTS,
+    parseEdifactNumber,
+    numericOptions,
+    readNumericElement,
+    extractNumericValues
+};
+
+export const datetime = {
+    parseEdifactDateTime,
+    extractDateValues
+};
+
+export const lineItems = {
+    ALLOWANCE_AMOUNT_QUALIFIERS,
+    extractLineItems,
+    allowanceFromAlc,
+    applyGroupValue
+};
+
+export const reconciliation = {
+    RECONCILIATION_CHECKS,
+    DEFAULT_AMOUNT_TOLERANCE,
+    reconcileInvoice
+};
+
+export const documentMatching = {
+    TRADE_DOCUMENT_ROLES,
+    MATCH_ISSUES,
+    describeDocuments,
+    matchDocuments
+};
+
+export const semanticDiff = {
+    DIFF_CHANGES,
+    VOLATILE_ELEMENTS,
+    diffInterchanges
+};
+
+export const resendDetection = {
+    RESEND_KINDS,
+    DECLARED_REPETITIONS,
+    registryKeysFromAnalysis,
+    registryKeysFromSegments,
+    findResends,
+    describeResends
+};
+
+export const serializer = {
+    resolveDelimiters,
+    serializeUNA,
+    escapeValue,
+    normalizeSegment,
+    serializeSegment,
+    serializeSegments,
+    recountEnvelope,
+    buildInterchangeSegments,
+    serializeInterchange,
+    verifyRoundTrip
+};
+
+export const interchange = {
+    MAX_CONTROL_REFERENCE_LENGTH,
+    CONTROL_REFERENCE_MODES,
+    readInterchange,
+    listInterchangeMessages,
+    splitInterchange,
+    mergeInterchanges,
+    reenvelopeInterchange
+};
+
+export const acknowledgements = {
+    CONTRL_ACTIONS,
+    buildContrl,
+    APERAK_RULE_TYPES,
+    collectApplicationErrors,
+    buildAperak
+};
+
+export const charset = {
+    SYNTAX_LEVELS,
+    detectSyntaxIdentifier,
+    resolveEncoding,
+    decodeEdifactBuffer,
+    isLegalCharacter,
+    findIllegalCharacters
+};
+
+export const structures = {
+    MESSAGE_STRUCTURES,
+    getMessageStructure,
+    getStructuredMessageTypes,
+    createGroupResolver,
+    resolveSegmentGroups
+};
+
+export const directory = {
+    SUPPORTED_DIRECTORIES,
+    normalizeDirectory,
+    getDirectory,
+    getSegmentDefinition,
+    parseFormat,
+    CODE_LISTS,
+    getCodeList,
+    lookupCode
+};
+
+export default { tools, validator, rules, partnerProfiles, parser, recovery, numeric, datetime, lineItems, reconciliation, documentMatching, semanticDiff, resendDetection, serializer, interchange, acknowledgements, charset, structures, directory };
\ No newline at end of file
@@ -0,0 +1,461 @@
+/**
+ * Interchange Splitting, Merging and Re-enveloping
+ * ================================================
+ * Builds new UN/EDIFACT batch interchanges from existing ones:
+ *
+ *   - splitInterchange()      — pull messages out of an interchange, one file
+ *                               per message or the selection as one file
+ *   - mergeInterchanges()     — combine the messages of several interchanges
+ *                               into one (envelope of the first)
+ *   - reenvelopeInterchange() — same messages under a new UNB (sender,
+ *                               receiver, control reference, test indicator)
+ *
+ * Message bodies are copied unchanged. UNT, UNE and UNZ counts and
+ * references are recomputed (serializer.recountEnvelope), UNB control
+ * references are kept or regenerated, and the output is written with the
+ * delimiters, UNA service string advice and layout (one segment per line or
+ * a single line) of the source. Functional groups (UNG..UNE) are kept
+ * around the messages they contain.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { parseRawEdifact } from './parser.js';
+import { resolveDelimiters, normalizeSegment, recountEnvelope, serializeSegments } from './serializer.js';
+
+// ==================== CONSTANTS ====================
+
+// UNB 0020 is an..14
+export const MAX_CONTROL_REFERENCE_LENGTH = 14;
+
+export const CONTROL_REFERENCE_MODES = ['keep', 'regenerate'];
+
+// ==================== READING ====================
+
+/**
+ * Read an interchange into its envelope and messages
+ *
+ * @param {string} raw - Raw EDIFACT batch interchange
+ * @returns {object} { delimiters, syntaxVersion, una, pretty, unb, unz, messages, grouped }
+ *          messages: [{ index, reference, messageType, documentNumber, group, segments }]
+ *          (segments normalized, UNH..UNT; group = normalized UNG or null)
+ * @throws {Error} For interactive or message-less input
+ */
+export function readInterchange(raw) {
+    if (!raw || typeof raw !== 'string') throw new Error('No EDIFACT content provided');
+
+    const parsed = parseRawEdifact(raw);
+    if (parsed.segments.some(s => s.tag === 'UIB' || s.tag === 'UIH')) {
+        throw new Error('Interactive interchanges (UIB/UIH) cannot be split or merged');
+    }
+
+    const source = parsed.segments.find(s => s.tag === 'UNB');
+    const syntaxVersion = source?.fields[0]?.components[1] || '4';
+    const delimiters = resolveDelimiters(_delimiterSettings(parsed.delimiters), syntaxVersion);
+    const segments = parsed.segments.filter(s => s.tag !== 'UNA').map(s => normalizeSegment(s, delimiters));
+
+    const messages = [];
+    let unb = null;
+    let unz = null;
+    let group = null;
+    let current = null;
+    for (const segment of segments) {
+        switch (segment.tag) {
+            case 'UNB':
+                unb = unb || segment;
+                break;
+            case 'UNZ':
+                unz = segment;
+                break;
+            case 'UNG':
+                group = segment;
+                break;
+            case 'UNE':
+                group = null;
+                break;
+            case 'UNH':
+                current = {
+                    index: messages.length,
+                    reference: _value(segment, 0),
+                    messageType: _value(segment, 1),
+                    documentNumber: null,
+                    group,
+                    segments: [segment]
+                };
+                messages.push(current);
+                break;
+            default:
+                if (!current) break;
+                current.segments.push(segment);
+                if (segment.tag === 'BGM' && current.documentNumber === null) {
+                    current.documentNumber = _value(segment, 1) || null;
+                }
+                if (segment.tag === 'UNT') current = null;
+        }
+    }
+    // A message cut off before its UNT still gets one
+    if (current) current.segments.push({ tag: 'UNT', elements: [] });
+
+    if (messages.length === 0) throw new Error('The interchange contains no messages (UNH..UNT)');
+
+    return {
+        delimiters,
+        syntaxVersion,
+        una: parsed.delimiters.hasUNA,
+        pretty: _isPretty(raw, delimiters),
+        unb,
+        unz,
+        messages,
+        grouped: messages.some(m => m.group)
+    };
+}
+
+/**
+ * Overview of the messages of an interchange (for picking what to split)
+ *
+ * @param {string} raw - Raw EDIFACT batch interchange
+ * @returns {object} { controlReference, sender, receiver, messages: [{ index, reference, messageType, documentNumber, segmentCount, groupReference }] }
+ */
+export function listInterchangeMessages(raw) {
+    const interchange = readInterchange(raw);
+    return {
+        controlReference: interchange.unb ? _value(interchange.unb, 4) : null,
+        sender: interchange.unb ? _value(interchange.unb, 1) : null,
+        receiver: interchange.unb ? _value(interchange.unb, 2) : null,
+        messages: interchange.messages.map(_describeMessage)
+    };
+}
+
+// ==================== SPLIT ====================
+
+/**
+ * Split an interchange into new interchanges
+ *
+ * @param {string} raw - Raw EDIFACT batch interchange
+ * @param {object} [options]
+ * @param {Array<string|number>} [options.messages] - Message references (UNH 0062), document numbers (BGM)
+ *        or 1-based positions to take; default: all messages
+ * @param {boolean} [options.perMessage=true] - One interchange per message; false: the selection as one interchange
+ * @param {string} [options.controlReference='regenerate'] - 'keep' (the source's UNB reference),
+ *        'regenerate' or an explicit first reference (incremented per part)
+ * @param {Date} [options.now] - Clock for regenerated references
+ * @returns {{ parts: object[], messageCount: number }}
+ *          parts: [{ name, edifact, controlReference, messages: [{ index, reference, messageType, documentNumber, segmentCount }] }]
+ * @throws {Error} For unknown message selectors or an interchange without UNB
+ */
+export function splitInterchange(raw, { messages: selectors, perMessage = true, controlReference = 'regenerate', now = new Date() } = {}) {
+    const interchange = readInterchange(raw);
+    if (!interchange.unb) throw new Error('The interchange has no UNB segment');
+
+    const selected = _selectMessages(interchange.messages, selectors);
+    const batches = perMessage ? selected.map(m => [m]) : [selected];
+    const references = _controlReferences(batches.length, controlReference, _value(interchange.unb, 4), now);
+
+    const parts = batches.map((batch, i) => {
+        const segments = _envelope(interchange.unb, batch, references[i]);
+        const first = batch[0];
+        return {
+            name: batch.length === 1
+                ? `${first.messageType || 'MESSAGE'}_${first.documentNumber || first.reference || first.index + 1}`
+                : `${_value(interchange.unb, 4) || 'interchange'}_${batch.length}`,
+            edifact: _write(segments, interchange),
+            controlReference: references[i],
+            messages: batch.map(_describeMessage)
+        };
+    });
+
+    return { parts, messageCount: selected.length };
+}
+
+// ==================== MERGE ====================
+
+/**
+ * Merge the messages of several interchanges into one. The UNB, delimiters,
+ * UNA and layout of the first interchange are used.
+ *
+ * @param {string[]} raws - Raw EDIFACT batch interchanges (at least two)
+ * @param {object} [options]
+ * @param {string} [options.controlReference='keep'] - 'keep' (first interchange's reference), 'regenerate' or an explicit reference
+ * @param {string} [options.renumberMessages='auto'] - 'auto' (only when UNH references repeat), 'always' or 'never';
+ *        repeating UNG group references are renumbered unless 'never'
+ * @param {Date} [options.now] - Clock for a regenerated reference
+ * @returns {{ edifact: string, controlReference: string, messageCount: number, renumbered: boolean, warnings: string[] }}
+ * @throws {Error} For fewer than two interchanges or grouped and ungrouped input
+ */
+export function mergeInterchanges(raws, { controlReference = 'keep', renumberMessages = 'auto', now = new Date() } = {}) {
+    if (!Array.isArray(raws) || raws.length < 2) throw new Error('At least two interchanges are needed to merge');
+
+    const interchanges = raws.map((raw, i) => {
+        try {
+            return readInterchange(raw);
+        } catch (err) {
+            throw new Error(`Interchange ${i + 1}: ${err.message}`);
+        }
+    });
+    const [target] = interchanges;
+    if (!target.unb) throw new Error('Interchange 1 has no UNB segment');
+
+    const grouped = interchanges.map(i => i.grouped);
+    if (grouped.some(Boolean) && !grouped.every(Boolean)) {
+        throw new Error('Interchanges with and without functional groups (UNG/UNE) cannot be merged');
+    }
+
+    const warnings = [];
+    interchanges.slice(1).forEach((interchange, i) => {
+        const label = `Interchange ${i + 2}`;
+        if (!interchange.unb) return;
+        for (const [index, name] of [[1, 'sender'], [2, 'receiver']]) {
+            if (_value(interchange.unb, index) !== _value(target.unb, index)) {
+                warnings.push(`${label}: ${name} ${_value(interchange.unb, index)} differs from ${_value(target.unb, index)}`);
+            }
+        }
+        if (_value(interchange.unb, 0) !== _value(target.unb, 0)) {
+            warnings.push(`${label}: syntax identifier ${_value(interchange.unb, 0)} differs from ${_value(target.unb, 0)}`);
+        }
+    });
+
+    const messages = interchanges.flatMap(i => i.messages);
+    const references = messages.map(m => m.reference);
+    const renumbered = renumberMessages === 'always'
+        || (renumberMessages === 'auto' && new Set(references).size !== references.length);
+
+    // Functional group references must stay unique within the interchange
+    const groups = [...new Set(messages.map(m => m.group).filter(Boolean))];
+    const groupReferences = groups.map(g => _value(g, 4));
+    const renumberGroups = renumberMessages !== 'never' && new Set(groupReferences).size !== groupReferences.length;
+    const newGroups = new Map(groups.map((g, i) => [g, renumberGroups ? _withElement(g, 4, String(i + 1)) : g]));
+
+    const merged = messages.map((m, i) => ({
+        ...m,
+        group: m.group ? newGroups.get(m.group) : null,
+        segments: renumbered ? [_withElement(m.segments[0], 0, String(i + 1)), ...m.segments.slice(1)] : m.segments
+    }));
+
+    const [reference] = _controlReferences(1, controlReference, _value(target.unb, 4), now);
+    return {
+        edifact: _write(_envelope(target.unb, merged, reference), target),
+        controlReference: reference,
+        messageCount: merged.length,
+        renumbered: renumbered || renumberGroups,
+        warnings
+    };
+}
+
+// ==================== RE-ENVELOPE ====================
+
+/**
+ * Put the messages of an interchange under a new UNB
+ *
+ * @param {string} raw - Raw EDIFACT batch interchange
+ * @param {object} [envelope] - Fields to replace; omitted fields are kept
+ * @param {string} [envelope.sender]
+ * @param {string} [envelope.senderQualifier]
+ * @param {string} [envelope.receiver]
+ * @param {string} [envelope.receiverQualifier]
+ * @param {string} [envelope.controlReference='regenerate'] - 'keep', 'regenerate' or an explicit reference
+ * @param {string} [envelope.recipientReference]
+ * @param {string} [envelope.applicationReference]
+ * @param {boolean} [envelope.testIndicator]
+ * @param {string} [envelope.date] - Preparation date (default: now in the syntax version's format)
+ * @param {string} [envelope.time] - Preparation time (default: now)
+ * @param {Date} [envelope.now] - Clock for date, time and a regenerated reference
+ * @returns {{ edifact: string, controlReference: string, messageCount: number, changes: Array<{ field, from, to }> }}
+ */
+export function reenvelopeInterchange(raw, envelope = {}) {
+    const interchange = readInterchange(raw);
+    const now = envelope.now || new Date();
+    const source = interchange.unb || { tag: 'UNB', elements: [[['UNOC', interchange.syntaxVersion]]] };
+
+    const iso = now.toISOString();
+    const date = envelope.date || (interchange.syntaxVersion === '4'
+        ? iso.slice(0, 10).replace(/-/g, '')
+        : iso.slice(2, 10).replace(/-/g, ''));
+    const time = envelope.time || iso.slice(11, 16).replace(':', '');
+    const [reference] = _controlReferences(1, envelope.controlReference || 'regenerate', _value(source, 4), now);
+
+    const fields = [
+        ['sender', 1, 0, envelope.sender],
+        ['senderQualifier', 1, 1, envelope.senderQualifier],
+        ['receiver', 2, 0, envelope.receiver],
+        ['receiverQualifier', 2, 1, envelope.receiverQualifier],
+        ['date', 3, 0, date],
+        ['time', 3, 1, time],
+        ['controlReference', 4, 0, reference],
+        ['recipientReference', 5, 0, envelope.recipientReference],
+        ['applicationReference', 6, 0, envelope.applicationReference],
+        ['testIndicator', 10, 0, envelope.testIndicator === undefined ? undefined : (envelope.testIndicator ? '1' : '')]
+    ];
+
+    let unb = source;
+    const changes = [];
+    for (const [field, element, component, to] of fields) {
+        if (to === undefined || to === null) continue;
+        const from = unb.elements[element]?.[0]?.[component] || '';
+        if (from === String(to)) continue;
+        unb = _withComponent(unb, element, component, String(to));
+        changes.push({ field, from, to: String(to) });
+    }
+    if (!_value(unb, 1) || !_value(unb, 2)) throw new Error('Interchange sender and receiver are required');
+
+    return {
+        edifact: _write(_envelope(unb, interchange.messages, reference), interchange),
+        controlReference: reference,
+        messageCount: interchange.messages.length,
+        changes
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * First component of a normalized element
+ * @private
+ */
+function _value(segment, element, component = 0) {
+    return segment?.elements[element]?.[0]?.[component] || '';
+}
+
+/**
+ * Copy of a segment with one component replaced
+ * @private
+ */
+function _withComponent(segment, element, component, value) {
+    const elements = segment.elements.map(occurrences => occurrences.map(components => [...components]));
+    while (elements.length <= element) elements.push([[]]);
+    const components = elements[element][0] || (elements[element][0] = []);
+    while (components.length <= component) components.push('');
+    components[component] = value;
+    return { ...segment, elements };
+}
+
+/**
+ * Copy of a segment with a simple element replaced
+ * @private
+ */
+function _withElement(segment, element, value) {
+    const elements = segment.elements.map(occurrences => occurrences.map(components => [...components]));
+    while (elements.length <= element) elements.push([[]]);
+    elements[element] = [[value]];
+    return { ...segment, elements };
+}
+
+/**
+ * @private
+ */
+function _describeMessage(message) {
+    return {
+        index: message.index,
+        reference: message.reference,
+        messageType: message.messageType,
+        documentNumber: message.documentNumber,
+        segmentCount: message.segments.length,
+        groupReference: message.group ? _value(message.group, 4) : null
+    };
+}
+
+/**
+ * Messages matching the selectors (reference, document number or 1-based position), in source order
+ * @private
+ */
+function _selectMessages(messages, selectors) {
+    if (!Array.isArray(selectors) || selectors.length === 0) return messages;
+
+    const picked = new Set();
+    for (const selector of selectors) {
+        const key = String(selector).trim();
+        const matches = messages.filter(m => m.reference === key || m.documentNumber === key);
+        const position = /^\d+$/.test(key) ? messages[Number(key) - 1] : null;
+        if (matches.length === 0 && !position) throw new Error(`No message with reference, document number or position "${key}"`);
+        for (const message of matches.length > 0 ? matches : [position]) picked.add(message);
+    }
+    return messages.filter(m => picked.has(m));
+}
+
+/**
+ * Control references for a number of new interchanges
+ * @private
+ */
+function _controlReferences(count, mode, sourceReference, now) {
+    if (mode === 'keep') {
+        if (!sourceReference) throw new Error('The source interchange has no control reference to keep');
+        return Array(count).fill(sourceReference);
+    }
+
+    let first = mode;
+    if (!mode || mode === 'regenerate') {
+        // yyMMddHHmm + four-digit sequence
+        first = `${now.toISOString().slice(2, 16).replace(/\D/g, '')}0001`;
+    }
+    first = String(first);
+
+    const [, prefix, digits] = first.match(/^(.*?)(\d*)$/);
+    const start = digits ? Number(digits) : 1;
+    const references = [];
+    for (let i = 0; i < count; i++) {
+        const number = String(start + i).padStart(digits.length, '0');
+        references.push(count === 1 && !digits ? first : `${prefix}${number}`);
+    }
+    const tooLong = references.find(r => r.length > MAX_CONTROL_REFERENCE_LENGTH);
+    if (tooLong) throw new Error(`Control reference ${tooLong} is longer than ${MAX_CONTROL_REFERENCE_LENGTH} characters`);
+    return references;
+}
+
+/**
+ * UNB, messages (inside their functional groups) and UNZ with recomputed counts
+ * @private
+ */
+function _envelope(unb, messages, controlReference) {
+    const segments = [_withElement(unb, 4, controlReference)];
+    let group = null;
+    for (const message of messages) {
+        if (message.group !== group) {
+            if (group) segments.push({ tag: 'UNE', elements: [] });
+            if (message.group) segments.push(message.group);
+            group = message.group;
+        }
+        segments.push(...message.segments);
+    }
+    if (group) segments.push({ tag: 'UNE', elements: [] });
+    segments.push({ tag: 'UNZ', elements: [] });
+    return recountEnvelope(segments.map(s => ({ ...s, elements: s.elements.map(o => o.map(c => [...c])) })));
+}
+
+/**
+ * Serialize with the delimiters, UNA and layout of the source interchange
+ * @private
+ */
+function _write(segments, interchange) {
+    return serializeSegments(segments, {
+        delimiters: interchange.delimiters,
+        syntaxVersion: interchange.syntaxVersion,
+        una: interchange.una,
+        pretty: interchange.pretty
+    });
+}
+
+/**
+ * Delimiter settings of the parser result that the serializer writes
+ * @private
+ */
+function _delimiterSettings(delimiters) {
+    const { componentSeparator, fieldSeparator, decimalNotation, escapeCharacter, reserved, segmentTerminator } = delimiters;
+    return { componentSeparator, fieldSeparator, decimalNotation, escapeCharacter, reserved, segmentTerminator };
+}
+
+/**
+ * True if the source has one segment per line
+ * @private
+ */
+function _isPretty(raw, delimiters) {
+    return raw.includes(`${delimiters.segmentTerminator}\n`) || raw.includes(`${delimiters.segmentTerminator}\r\n`);
+}
+
+export default {
+    MAX_CONTROL_REFERENCE_LENGTH,
+    CONTROL_REFERENCE_MODES,
+    readInterchange,
+    listInterchangeMessages,
+    splitInterchange,
+    mergeInterchanges,
+    reenvelopeInterchange
+};
@@ -0,0 +1,296 @@
+/**
+ * EDIFACT Line Items
+ * ==================
+ * Structured records for the LIN groups of trade messages (INVOIC, ORDERS,
+ * DESADV, PRICAT, ...): article numbers, description, quantities, prices,
+ * line amounts, allowances/charges, taxes, dates and references.
+ *
+ * Grouping:
+ *   - segments with resolved segment groups (sgPath/sgParent from
+ *     structures.js) belong to the LIN, ALC or TAX group named by sgParent
+ *   - otherwise the next LIN or the summary section (UNS, CNT, UNT) ends a
+ *     line, and an ALC/TAX owns the MOA, PCD, QTY that follow it
+ *
+ * Numeric values are the typed values of numeric.js, each with the position
+ * of its segment so that checks can point back into the message.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { parseEdifactDateTime } from './datetime.js';
+import { extractNumericValues } from './numeric.js';
+
+// ==================== CONSTANTS ====================
+
+// Segments of a line-level ALC or TAX group that belong to the allowance/tax, not the line
+const _LINE_SUBGROUP_CHILDREN = {
+    ALC: ['ALI', 'QTY', 'PCD', 'MOA', 'RTE', 'RNG'],
+    TAX: ['MOA', 'LOC']
+};
+
+// Trailing segments that close the detail section when no segment groups are resolved
+const _DETAIL_SECTION_END = ['UNS', 'CNT', 'UNT', 'UIT'];
+
+/**
+ * MOA qualifiers (5025) of an allowance/charge amount:
+ * 8 = allowance or charge amount, 23 = charge amount, 204 = allowance amount
+ * (25 is the basis amount the percentage applies to)
+ */
+export const ALLOWANCE_AMOUNT_QUALIFIERS = ['8', '23', '204'];
+
+// ==================== EXTRACTION ====================
+
+/**
+ * Extract the line items of one message
+ *
+ * @param {object[]} segments - Parsed segments of a UNH..UNT message (sgPath/sgParent optional)
+ * @param {object[]} [numbers] - extractNumericValues() of the same segments
+ * @param {object} [numericOptions] - Used to read the numbers when none are given
+ * @returns {object[]} { position, lineNumber, action, itemId, itemType, gtin, parentLine,
+ *          supplierArticleNumber, buyerArticleNumber, articleNumbers, description,
+ *          quantities, prices, amounts, lineAmount, allowances, taxes, dates, references }
+ */
+export function extractLineItems(segments, numbers = null, numericOptions = {}) {
+    const byGroup = segments.some(s => s.sgPath);
+    const numberAt = new Map((numbers || extractNumericValues(segments, numericOptions)).map(n => [n.position, n]));
+    const typed = (seg) => {
+        const n = numberAt.get(seg.position);
+        if (!n) return null;
+        return {
+            qualifier: n.qualifier,
+            value: n.value,
+            raw: n.raw,
+            ...(n.currency !== undefined ? { currency: n.currency } : {}),
+            ...(n.unit !== undefined ? { unit: n.unit } : {}),
+            position: n.position
+        };
+    };
+
+    const items = [];
+    const owners = new Map(); // position of LIN / line-level segment → { item, sub }
+    let current = null;       // sequential mode: { item, sub }
+
+    for (const seg of segments) {
+        if (seg.tag === 'LIN') {
+            const item = _lineItemFromLin(seg);
+            items.push(item);
+            current = { item, sub: null };
+            owners.set(seg.position, current);
+            continue;
+        }
+
+        let owner;
+        if (byGroup) {
+            owner = owners.get(seg.sgParent);
+            if (!owner) continue;
+        } else {
+            if (!current || _DETAIL_SECTION_END.includes(seg.tag)) {
+                current = null;
+                continue;
+            }
+            const inSub = current.sub && _LINE_SUBGROUP_CHILDREN[current.sub.tag].includes(seg.tag);
+            owner = inSub ? current : { item: current.item, sub: null };
+            if (!inSub) current.sub = null;
+        }
+
+        const { item, sub } = owner;
+        if (sub) {
+            _applyLineSubgroup(sub, seg, typed(seg));
+            continue;
+        }
+
+        switch (seg.tag) {
+            case 'PIA': {
+                // PIA+function+id:type+id:type...
+                for (const field of seg.fields.slice(1, 6)) {
+                    const [id, type] = field.components || [];
+                    if (!id) continue;
+                    item.articleNumbers.push({ function: seg.fields[0]?.value || '', id, type: type || '' });
+                    if (type === 'SA' && !item.supplierArticleNumber) item.supplierArticleNumber = id;
+                    if ((type === 'IN' || type === 'BP') && !item.buyerArticleNumber) item.buyerArticleNumber = id;
+                }
+                break;
+            }
+            case 'IMD': {
+                // IMD+format+characteristic+code:list:agency:description:description
+                const desc = seg.fields[2]?.components || [];
+                const text = [desc[3], desc[4]].filter(Boolean).join(' ');
+                if (text) item.description = item.description ? `${item.description} ${text}` : text;
+                break;
+            }
+            case 'QTY':
+            case 'MOA': {
+                const value = typed(seg);
+                if (!value) break;
+                if (seg.tag === 'QTY') item.quantities.push(value);
+                else item.amounts.push(value);
+                // 203 = line item amount
+                if (seg.tag === 'MOA' && value.qualifier === '203') item.lineAmount = value.value;
+                break;
+            }
+            case 'PRI': {
+                // PRI+qualifier:price:type:specification:basis:unit
+                const value = typed(seg);
+                if (!value) break;
+                const priComp = seg.fields[0]?.components || [];
+                item.prices.push({ ...value, basis: priComp[4] || '' });
+                break;
+            }
+            case 'ALC': {
+                const allowance = _allowanceFromAlc(seg);
+                item.allowances.push(allowance);
+                if (byGroup) owners.set(seg.position, { item, sub: allowance });
+                else current.sub = allowance;
+                break;
+            }
+            case 'TAX': {
+                const tax = _taxFromTax(seg);
+                item.taxes.push(tax);
+                if (byGroup) owners.set(seg.position, { item, sub: tax });
+                else current.sub = tax;
+                break;
+            }
+            case 'DTM': {
+                const dtmComp = seg.fields[0]?.components || [];
+                const parsed = parseEdifactDateTime(dtmComp[1], dtmComp[2]);
+                item.dates.push({
+                    qualifier: dtmComp[0] || '',
+                    date: parsed?.start || null,
+                    end: parsed?.end || null,
+                    display: parsed?.valid ? parsed.display : (dtmComp[1] || '')
+                });
+                break;
+            }
+            case 'RFF': {
+                const rffComp = seg.fields[0]?.components || [];
+                item.references.push({ qualifier: rffComp[0] || '', value: rffComp[1] || '' });
+                break;
+            }
+        }
+
+        // Nested group children (RFF/DTM, PRI/APR, ...) stay on the line
+        if (byGroup && !owners.has(seg.position)) owners.set(seg.position, { item, sub: null });
+    }
+
+    return items;
+}
+
+/**
+ * Allowance/charge record of an ALC segment (also used for header and summary ALC groups)
+ * ALC+indicator+++...+code
+ *
+ * @param {object} seg - ALC segment
+ * @returns {object} { tag, position, indicator, type, code, percentage, amount, basis, quantity, taxRate }
+ */
+export function allowanceFromAlc(seg) {
+    return _allowanceFromAlc(seg);
+}
+
+/**
+ * Apply a segment of an ALC or TAX group to that allowance/tax record
+ *
+ * @param {object} sub - allowanceFromAlc() / TAX record
+ * @param {object} seg - Group segment (MOA, PCD, QTY, ...)
+ * @param {object|null} value - Typed numeric value of the segment
+ */
+export function applyGroupValue(sub, seg, value) {
+    _applyLineSubgroup(sub, seg, value);
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Start a line item from a LIN segment
+ * LIN+lineNumber+action+itemId:itemType+subLineIndicator:parentLine
+ * @private
+ */
+function _lineItemFromLin(seg) {
+    const itemField = seg.fields[2]?.components || [];
+    const subLine = seg.fields[3]?.components || [];
+    const itemId = itemField[0] || '';
+    const itemType = itemField[1] || '';
+
+    return {
+        position: seg.position,
+        lineNumber: seg.fields[0]?.value || '',
+        action: seg.fields[1]?.value || '',
+        itemId,
+        itemType,
+        // EN = EAN, SRV = GS1 Global Trade Item Number
+        gtin: ['EN', 'SRV'].includes(itemType) && /^\d{8,14}$/.test(itemId) ? itemId : '',
+        parentLine: subLine[1] || '',
+        supplierArticleNumber: itemType === 'SA' ? itemId : '',
+        buyerArticleNumber: ['IN', 'BP'].includes(itemType) ? itemId : '',
+        articleNumbers: [],
+        description: '',
+        quantities: [],
+        prices: [],
+        amounts: [],
+        lineAmount: null,
+        allowances: [],
+        taxes: [],
+        dates: [],
+        references: []
+    };
+}
+
+/** @private */
+function _allowanceFromAlc(seg) {
+    return {
+        tag: 'ALC',
+        position: seg.position,
+        indicator: seg.fields[0]?.value || '',
+        type: seg.fields[0]?.value === 'C' ? 'charge' : 'allowance',
+        code: seg.fields[4]?.components?.[0] || '',
+        percentage: null,
+        amount: null,
+        basis: null,
+        quantity: null,
+        taxRate: ''
+    };
+}
+
+/**
+ * TAX+function+type+++:::rate+category
+ * @private
+ */
+function _taxFromTax(seg) {
+    return {
+        tag: 'TAX',
+        position: seg.position,
+        function: seg.fields[0]?.value || '',
+        type: seg.fields[1]?.components?.[0] || '',
+        rate: seg.fields[4]?.components?.[3] || '',
+        category: seg.fields[5]?.value || '',
+        amount: null,
+        amountPosition: null
+    };
+}
+
+/**
+ * Apply a segment of a line-level ALC or TAX group to that allowance/tax
+ * @private
+ */
+function _applyLineSubgroup(sub, seg, value) {
+    if (sub.tag === 'TAX') {
+        if (seg.tag === 'MOA' && value && sub.amount === null) {
+            sub.amount = value.value;
+            sub.amountPosition = value.position;
+        }
+        return;
+    }
+    if (seg.tag === 'PCD' && value) sub.percentage = value.value;
+    if (seg.tag === 'MOA' && value && ALLOWANCE_AMOUNT_QUALIFIERS.includes(value.qualifier)) sub.amount = value.value;
+    // 25 = amount the percentage is calculated on
+    if (seg.tag === 'MOA' && value && value.qualifier === '25') sub.basis = value.value;
+    if (seg.tag === 'QTY' && value) sub.quantity = value.value;
+    // Tax on the allowance/charge (ALC group TAX) gives its rate
+    if (seg.tag === 'TAX') sub.taxRate = seg.fields[4]?.components?.[3] || '';
+}
+
+export default {
+    ALLOWANCE_AMOUNT_QUALIFIERS,
+    extractLineItems,
+    allowanceFromAlc,
+    applyGroupValue
+};
@@ -0,0 +1,209 @@
+/**
+ * EDIFACT Numeric Values
+ * ======================
+ * Typed numbers for the numeric data elements of MOA (5004 monetary amount),
+ * QTY (6060 quantity), PRI (5118 price) and PCD (5482 percentage). Every
+ * value keeps the raw string it was read from next to the number.
+ *
+ * Representation of numeric values (ISO 9735 representation "n"):
+ *   - decimal mark: syntax versions 1-3 use the UNA decimal notation only,
+ *     version 4 accepts comma and full stop
+ *   - sign: a leading minus only
+ *   - no thousands separators, no exponent
+ *   - a decimal mark needs a digit before it and one after it
+ *   - implied precision: some partner agreements send values without a
+ *     decimal mark and a fixed number of implied decimals (options.impliedDecimals)
+ *
+ * Issues — the value is still read where the intent is unambiguous:
+ *   WRONG_DECIMAL_MARK           — decimal mark other than the declared one
+ *   INVALID_SIGN                 — "+" sign or trailing minus (e.g. SAP "100-")
+ *   THOUSANDS_SEPARATOR          — digit grouping (the last mark is taken as decimal mark)
+ *   MISSING_DIGIT_BEFORE_DECIMAL — ".5"
+ *   TRAILING_DECIMAL_MARK        — "12."
+ *   NOT_NUMERIC                  — no number at all (value null)
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const NUMERIC_ISSUES = {
+    WRONG_DECIMAL_MARK: 'WRONG_DECIMAL_MARK',
+    INVALID_SIGN: 'INVALID_SIGN',
+    THOUSANDS_SEPARATOR: 'THOUSANDS_SEPARATOR',
+    MISSING_DIGIT_BEFORE_DECIMAL: 'MISSING_DIGIT_BEFORE_DECIMAL',
+    TRAILING_DECIMAL_MARK: 'TRAILING_DECIMAL_MARK',
+    NOT_NUMERIC: 'NOT_NUMERIC'
+};
+
+const _ISSUE_SEVERITY = {
+    WRONG_DECIMAL_MARK: 'error',
+    INVALID_SIGN: 'error',
+    THOUSANDS_SEPARATOR: 'error',
+    MISSING_DIGIT_BEFORE_DECIMAL: 'warning',
+    TRAILING_DECIMAL_MARK: 'warning',
+    NOT_NUMERIC: 'error'
+};
+
+/**
+ * Numeric data elements per segment tag (1-based element/component positions).
+ * qualifier and unit are components of the same composite.
+ */
+export const NUMERIC_ELEMENTS = {
+    MOA: { kind: 'amount', label: 'Monetary amount', elementId: '5004', element: 1, component: 2, qualifier: 1, unit: { component: 3, name: 'currency' } },
+    QTY: { kind: 'quantity', label: 'Quantity', elementId: '6060', element: 1, component: 2, qualifier: 1, unit: { component: 3, name: 'unit' } },
+    PRI: { kind: 'price', label: 'Price', elementId: '5118', element: 1, component: 2, qualifier: 1, unit: { component: 6, name: 'unit' } },
+    PCD: { kind: 'percentage', label: 'Percentage', elementId: '5482', element: 1, component: 2, qualifier: 1, unit: null }
+};
+
+// ==================== PARSING ====================
+
+/**
+ * Read one numeric value
+ *
+ * @param {string} raw - Element value, release characters already removed
+ * @param {object} [options]
+ * @param {string} [options.decimalMark='.'] - UNA decimal notation
+ * @param {string} [options.syntaxVersion=''] - UNB syntax version; '4' accepts both decimal marks
+ * @param {number} [options.impliedDecimals=0] - Decimals implied for values without decimal mark
+ * @returns {{ raw, value, decimals, negative, valid, issue }|null}
+ *          null for an empty value; issue = { code, severity, detail } or null
+ */
+export function parseEdifactNumber(raw, { decimalMark = '.', syntaxVersion = '', impliedDecimals = 0 } = {}) {
+    if (raw === '' || raw == null) return null;
+    const text = String(raw);
+    const issues = [];
+    const report = (code, detail) => issues.push({ code, severity: _ISSUE_SEVERITY[code], detail });
+
+    let body = text;
+    let negative = false;
+    if (body.startsWith('-')) {
+        negative = true;
+        body = body.slice(1);
+    } else if (body.startsWith('+')) {
+        body = body.slice(1);
+        report(NUMERIC_ISSUES.INVALID_SIGN, `'${text}' has a plus sign; only a leading minus is allowed`);
+    } else if (body.endsWith('-')) {
+        negative = true;
+        body = body.slice(0, -1);
+        report(NUMERIC_ISSUES.INVALID_SIGN, `'${text}' has a trailing minus; the sign must lead`);
+    }
+
+    if (!/^[\d.,]+$/.test(body) || !/\d/.test(body)) {
+        return {
+            raw: text, value: null, decimals: 0, negative, valid: false,
+            issue: { code: NUMERIC_ISSUES.NOT_NUMERIC, severity: _ISSUE_SEVERITY.NOT_NUMERIC, detail: `'${text}' is not numeric` }
+        };
+    }
+
+    let integer = body;
+    let fraction = null;
+    const marks = body.match(/[.,]/g) || [];
+    if (marks.length > 1) {
+        // Grouped digits ("1.234,56", "1,234,567"): the last mark is the decimal mark unless all marks are the same
+        const last = marks[marks.length - 1];
+        const decimal = marks.every(m => m === last) ? null : last;
+        const at = decimal ? body.lastIndexOf(decimal) : -1;
+        integer = (at >= 0 ? body.slice(0, at) : body).replace(/[.,]/g, '');
+        fraction = at >= 0 ? body.slice(at + 1) : null;
+        report(NUMERIC_ISSUES.THOUSANDS_SEPARATOR, `'${text}' groups digits with separators; EDIFACT numbers carry only a decimal mark`);
+    } else if (marks.length === 1) {
+        const mark = marks[0];
+        [integer, fraction] = body.split(mark);
+        if (syntaxVersion !== '4' && mark !== decimalMark) {
+            report(NUMERIC_ISSUES.WRONG_DECIMAL_MARK, `'${text}' uses "${mark}" but the interchange declares "${decimalMark}" as decimal mark`);
+        }
+    }
+
+    if (fraction !== null && integer === '') {
+        report(NUMERIC_ISSUES.MISSING_DIGIT_BEFORE_DECIMAL, `'${text}' has no digit before the decimal mark`);
+    }
+    if (fraction === '') {
+        report(NUMERIC_ISSUES.TRAILING_DECIMAL_MARK, `'${text}' ends with the decimal mark`);
+    }
+
+    let value;
+    let decimals;
+    if (fraction === null && impliedDecimals > 0) {
+        decimals = impliedDecimals;
+        value = Number(integer) / Math.pow(10, impliedDecimals);
+    } else {
+        decimals = fraction ? fraction.length : 0;
+        value = Number(`${integer || '0'}.${fraction || '0'}`);
+    }
+    if (negative && value !== 0) value = -value;
+
+    const issue = issues.find(i => i.severity === 'error') || issues[0] || null;
+    return { raw: text, value, decimals, negative, valid: issues.length === 0, issue };
+}
+
+/**
+ * Parsing options for an interchange: decimal notation from the delimiters,
+ * syntax version from UNB/UIB
+ *
+ * @param {object} delimiters - parseUNA()/detectDelimiters() result
+ * @param {object} [unbSegment] - Interchange header
+ * @param {object} [extra] - e.g. { impliedDecimals }
+ * @returns {{ decimalMark: string, syntaxVersion: string, impliedDecimals?: number }}
+ */
+export function numericOptions(delimiters, unbSegment, extra = {}) {
+    return {
+        decimalMark: delimiters?.decimalNotation || '.',
+        syntaxVersion: unbSegment?.fields?.[0]?.components?.[1] || '',
+        ...extra
+    };
+}
+
+// ==================== SEGMENTS ====================
+
+/**
+ * Typed value of the numeric element of a MOA, QTY, PRI or PCD segment
+ *
+ * @param {object} segment - Parsed segment
+ * @param {object} [options] - parseEdifactNumber() options
+ * @returns {object|null} { position, tag, kind, qualifier, raw, value, decimals, valid, issue,
+ *          elementPosition, componentPosition, currency|unit } — null for other segments or an empty value
+ */
+export function readNumericElement(segment, options = {}) {
+    const def = NUMERIC_ELEMENTS[segment?.tag];
+    if (!def) return null;
+    const components = segment.fields?.[def.element - 1]?.components || [];
+    const parsed = parseEdifactNumber(components[def.component - 1], options);
+    if (!parsed) return null;
+
+    return {
+        position: segment.position,
+        tag: segment.tag,
+        kind: def.kind,
+        qualifier: components[def.qualifier - 1] || '',
+        ...parsed,
+        elementPosition: def.element,
+        componentPosition: def.component,
+        ...(def.unit ? { [def.unit.name]: components[def.unit.component - 1] || '' } : {})
+    };
+}
+
+/**
+ * All typed numeric values of a segment list
+ *
+ * @param {object[]} segments - Parsed segments
+ * @param {object} [options] - parseEdifactNumber() options
+ * @returns {object[]} readNumericElement() results in segment order
+ */
+export function extractNumericValues(segments, options = {}) {
+    const values = [];
+    for (const seg of segments) {
+        const value = readNumericElement(seg, options);
+        if (value) values.push(value);
+    }
+    return values;
+}
+
+export default {
+    NUMERIC_ISSUES,
+    NUMERIC_ELEMENTS,
+    parseEdifactNumber,
+    numericOptions,
+    readNumericElement,
+    extractNumericValues
+};
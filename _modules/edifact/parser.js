@@ -1,12 +1,15 @@
 /**
  * EDIFACT Parser — Shared Parsing Primitives
  * ===========================================
- * Extracted from _workers/edifactAnalysisBuilder.js for reuse in tools.
+ * Extracted from the analysis builder (analysisBuilder.js) for reuse in tools.
  *
  * Pure functions — no side effects, no DB, no LLM.
  * Single source of truth for EDIFACT segment parsing.
  */
 
+import { CODE_LISTS } from './directory/codelists.js';
+import { parseEdifactDateTime } from './datetime.js';
+
 // ==================== DELIMITER PARSING ====================
 
 /**
@@ -25,14 +28,17 @@ export function parseUNA(raw) {
         hasUNA: false
     };
 
-    if (raw.startsWith('UNA')) {
+    // A leading byte order mark must not hide the UNA service string
+    const text = raw.charCodeAt(0) === 0xFEFF ? raw.slice(1) : raw;
+
+    if (text.startsWith('UNA')) {
         return {
-            componentSeparator: raw[3] || defaults.componentSeparator,
-            fieldSeparator: raw[4] || defaults.fieldSeparator,
-            decimalNotation: raw[5] || defaults.decimalNotation,
-            escapeCharacter: raw[6] || defaults.escapeCharacter,
-            reserved: raw[7] || defaults.reserved,
-            segmentTerminator: raw[8] || defaults.segmentTerminator,
+            componentSeparator: text[3] || defaults.componentSeparator,
+            fieldSeparator: text[4] || defaults.fieldSeparator,
+            decimalNotation: text[5] || defaults.decimalNotation,
+            escapeCharacter: text[6] || defaults.escapeCharacter,
+            reserved: text[7] || defaults.reserved,
+            segmentTerminator: text[8] || defaults.segmentTerminator,
             hasUNA: true
         };
     }
@@ -40,22 +46,445 @@ export function parseUNA(raw) {
     return defaults;
 }
 
+// Candidate service characters for interchanges without UNA, defaults first
+const _TERMINATOR_CANDIDATES = ["'", '~', '\u001C', '|', '!'];
+const _SEPARATOR_CANDIDATES = ['+', '*', '|', '^', '\u001D', '~'];
+const _COMPONENT_CANDIDATES = [':', '>', '^', '\u001F', '<', '\\'];
+
+// Segments of the sample that are scored per candidate set
+const _DETECTION_SEGMENTS = 500;
+
+// Below this score the defaults are kept
+const _MIN_DETECTION_SCORE = 0.3;
+
+/**
+ * Score one candidate delimiter set against a text sample (0..1).
+ * 80%: share of split segments that start with a segment tag followed by
+ * the element separator, weighted by how many of the tags found anywhere in
+ * the sample the split reaches (a wrong terminator yields few, huge segments).
+ * 20%: UNB syntax identifier (UNOx:n) split by the component separator, or
+ * use of the component separator when there is no UNB.
+ * @private
+ */
+function _scoreDelimiters(sample, { segmentTerminator, fieldSeparator, componentSeparator }, isSegmentTag) {
+    const segments = [];
+    for (const part of sample.split(segmentTerminator)) {
+        const segment = part.trim();
+        if (segment) segments.push(segment);
+        if (segments.length >= _DETECTION_SEGMENTS) break;
+    }
+    if (segments.length === 0) return 0;
+
+    let tagHits = 0;
+    let componentHits = 0;
+    for (const segment of segments) {
+        const tag = segment.slice(0, 3);
+        if (isSegmentTag(tag) && (segment.length === 3 || segment[3] === fieldSeparator)) {
+            tagHits++;
+            if (segment.includes(componentSeparator)) componentHits++;
+        }
+    }
+    if (tagHits === 0) return 0;
+
+    // Tags followed by the element separator anywhere in the sample
+    const escaped = fieldSeparator.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    let tagOccurrences = 0;
+    for (const match of sample.matchAll(new RegExp(`(?:^|[^A-Z0-9])([A-Z][A-Z0-9]{2})${escaped}`, 'g'))) {
+        if (isSegmentTag(match[1])) tagOccurrences++;
+        if (tagOccurrences >= _DETECTION_SEGMENTS) break;
+    }
+    const coverage = Math.min(1, tagHits / Math.max(tagOccurrences, 1));
+
+    let structure;
+    const unb = segments.find(s => s.startsWith(`UNB${fieldSeparator}`));
+    if (unb) {
+        const [identifier = '', version = ''] = unb.split(fieldSeparator)[1].split(componentSeparator);
+        structure = /^UNO[A-Z]$/.test(identifier) && /^\d$/.test(version) ? 1 : 0;
+    } else {
+        structure = componentHits / tagHits;
+    }
+
+    return (tagHits / segments.length) * coverage * 0.8 + structure * 0.2;
+}
+
+/**
+ * Resolve the delimiters of an interchange: explicit override, UNA service
+ * string, or inference for files without UNA. Inference scores every
+ * combination of common segment terminators (' ~ FS | !), element separators
+ * (+ * | ^ GS ~) and component separators (: > ^ US < \) against the known
+ * segment tags and the UNB structure of the first 64 KB; the defaults win ties.
+ *
+ * @param {string} raw - Raw EDIFACT content (the start is enough)
+ * @param {object} [options]
+ * @param {object} [options.override] - Delimiters chosen by the user (partial parseUNA() shape), win over UNA
+ * @param {function} [options.isSegmentTag] - Tag predicate for scoring (default: KNOWN_SEGMENT_TAGS)
+ * @param {number} [options.sampleLength=65536] - Characters scored
+ * @returns {object} parseUNA() shape plus { source: 'override'|'UNA'|'detected'|'default', confidence: 0..1 }
+ */
+export function detectDelimiters(raw, { override = null, isSegmentTag = (tag) => KNOWN_SEGMENT_TAGS.has(tag), sampleLength = 64 * 1024 } = {}) {
+    const una = parseUNA(raw || '');
+
+    const chosen = Object.fromEntries(Object.entries(override || {}).filter(([key, value]) =>
+        key in una && key !== 'hasUNA' && typeof value === 'string' && value.length === 1
+    ));
+    if (Object.keys(chosen).length > 0) {
+        return { ...una, ...chosen, source: 'override', confidence: 1 };
+    }
+    if (una.hasUNA) return { ...una, source: 'UNA', confidence: 1 };
+
+    const sample = (raw || '').replace(/^\uFEFF/, '').slice(0, sampleLength);
+    let best = { score: 0, delimiters: null };
+    for (const segmentTerminator of _TERMINATOR_CANDIDATES) {
+        if (!sample.includes(segmentTerminator)) continue;
+        for (const fieldSeparator of _SEPARATOR_CANDIDATES) {
+            if (fieldSeparator === segmentTerminator) continue;
+            for (const componentSeparator of _COMPONENT_CANDIDATES) {
+                if (componentSeparator === fieldSeparator || componentSeparator === segmentTerminator) continue;
+                const candidate = { segmentTerminator, fieldSeparator, componentSeparator };
+                const score = _scoreDelimiters(sample, candidate, isSegmentTag);
+                if (score > best.score) best = { score, delimiters: candidate };
+            }
+        }
+    }
+
+    const confidence = Math.round(best.score * 100) / 100;
+    if (!best.delimiters || best.score < _MIN_DETECTION_SCORE) {
+        return { ...una, source: 'default', confidence };
+    }
+    return { ...una, ...best.delimiters, source: 'detected', confidence };
+}
+
+// ==================== TOKENIZER ====================
+
+/**
+ * Create the single-pass ISO 9735 tokenizer.
+ *
+ * Release character rules: the release character (default "?") makes the
+ * immediately following service character (component/element separator,
+ * segment terminator, repetition separator or the release character itself)
+ * literal. A release character before any other character is not a valid
+ * release and both characters are kept as data. CR/LF are layout only and
+ * never part of the data; whitespace before a segment tag is ignored.
+ *
+ * Syntax version 4 repetition separator (UNA position 8, e.g. "*"): an
+ * element may occur several times; every occurrence is kept in
+ * element.repetitions, element.value/components hold the first one.
+ *
+ * Every token keeps its original position in the input: character offset,
+ * byte offset (UTF-8 widths unless a single-byte encoding is given) and
+ * 1-based line and column (CR, LF and CRLF each end a line; a leading BOM
+ * takes no column). length is the number of source characters of the token
+ * without CR/LF, so offset..offset+length marks it in the raw text.
+ * Chunk boundaries may fall anywhere, including between a release character
+ * and the character it releases, or between CR and LF.
+ *
+ * Resynchronization (options.resync): a line that starts with a segment tag
+ * and the element separator ends the open segment even without a segment
+ * terminator, so one missing terminator does not swallow the next segment.
+ * Such segments — and a segment still open at the end of the input — are
+ * marked unterminated: true.
+ *
+ * Token shape:
+ *   { raw, offset, byteOffset, line, column, length,
+ *     elements: [{ value, rawValue, offset, byteOffset, line, column, length,
+ *       components: [{ value, offset, byteOffset, line, column, length }], repetitions? }] }
+ *   raw keeps release characters (original text without CR/LF), value is unescaped.
+ *   elements[0] is the segment tag.
+ *
+ * @param {object} delimiters - Parsed delimiters from parseUNA()
+ * @param {object} [options]
+ * @param {string} [options.encoding='utf-8'] - Source encoding for byte offsets
+ * @param {boolean} [options.skipUNA=true] - Skip a leading UNA service string
+ * @param {boolean} [options.resync=false] - Split unterminated segments at line breaks
+ * @param {function} [options.isSegmentTag] - Tags (2-3 characters) that start a segment after a line break (default: KNOWN_SEGMENT_TAGS)
+ * @returns {{ push: (chunk: string) => object[], flush: () => object[], lineCount: () => number }}
+ */
+export function createTokenizer(delimiters, { encoding = 'utf-8', skipUNA = true, resync = false, isSegmentTag = (tag) => KNOWN_SEGMENT_TAGS.has(tag) } = {}) {
+    const { segmentTerminator, fieldSeparator, componentSeparator, escapeCharacter, reserved } = delimiters;
+    const repetitionSeparator = reserved && reserved !== ' ' ? reserved : null;
+    const utf8 = /^utf-?8$/i.test(encoding);
+
+    let offset = 0;
+    let byteOffset = 0;
+    let line = 1;
+    let column = 1;
+    let afterCR = false;
+    let atStart = true;
+    let unaRemaining = 0;
+    let head = '';
+    let released = false;
+    // Start of the current line inside an open segment, and the tag candidate read from it
+    let lineBreak = null;
+
+    let segment = null;
+    let element = null;
+    let occurrence = null;
+    let component = null;
+
+    const isServiceChar = (char) => char === segmentTerminator || char === fieldSeparator
+        || char === componentSeparator || char === escapeCharacter || char === repetitionSeparator;
+
+    const byteWidth = (code) => {
+        if (!utf8) return 1;
+        if (code < 0x80) return 1;
+        if (code < 0x800) return 2;
+        if (code >= 0xD800 && code <= 0xDBFF) return 4;
+        if (code >= 0xDC00 && code <= 0xDFFF) return 0;
+        return 3;
+    };
+
+    // Advance line/column past one character (low surrogates share the column of their pair)
+    const advance = (char, code, at) => {
+        if (char === '\n') {
+            if (!afterCR) line++;
+            column = 1;
+        } else if (char === '\r') {
+            line++;
+            column = 1;
+        } else if (!(code >= 0xDC00 && code <= 0xDFFF) && !(at === 0 && code === 0xFEFF)) {
+            column++;
+        }
+        afterCR = char === '\r';
+    };
+
+    const startComponent = (at) => {
+        component = { value: '', ...at, length: 0 };
+        occurrence.components.push(component);
+    };
+
+    const startElement = (at) => {
+        element = { value: '', rawValue: '', ...at, length: 0, components: [] };
+        occurrence = element;
+        segment.elements.push(element);
+        startComponent(at);
+    };
+
+    const startRepetition = (at) => {
+        if (!element.repetitions) {
+            element.repetitions = [{
+                value: element.value, offset: element.offset, byteOffset: element.byteOffset,
+                line: element.line, column: element.column, components: element.components
+            }];
+        }
+        occurrence = { value: '', ...at, components: [] };
+        element.repetitions.push(occurrence);
+        startComponent(at);
+    };
+
+    // Separators belong to the segment and element, not to the component
+    const appendSeparator = (char, toElement) => {
+        segment.raw += char;
+        segment.length++;
+        if (toElement) {
+            element.rawValue += char;
+            element.length++;
+        }
+    };
+
+    const appendData = (literal, source) => {
+        component.value += literal;
+        component.length += source.length;
+        occurrence.value += literal;
+        element.rawValue += source;
+        element.length += source.length;
+        segment.raw += source;
+        segment.length += source.length;
+    };
+
+    const finishSegment = (out) => {
+        // Unreleased trailing blanks are layout, not data
+        const trimmed = segment.raw.replace(/\s+$/, '');
+        const cut = segment.raw.length - trimmed.length;
+        if (cut > 0 && !segment.raw.slice(0, trimmed.length).endsWith(escapeCharacter)) {
+            segment.raw = trimmed;
+            segment.length -= cut;
+            element.rawValue = element.rawValue.slice(0, -cut);
+            element.length -= cut;
+            occurrence.value = occurrence.value.replace(/\s+$/, '');
+            component.value = component.value.replace(/\s+$/, '');
+            component.length -= cut;
+        }
+        out.push(segment);
+        segment = null;
+        element = null;
+        occurrence = null;
+        component = null;
+        lineBreak = null;
+    };
+
+    // The tag at the start of the line went into the open component — move it into a new segment
+    const splitAtLineBreak = (out) => {
+        const { tag, ...at } = lineBreak;
+        component.value = component.value.slice(0, -tag.length);
+        component.length -= tag.length;
+        occurrence.value = occurrence.value.slice(0, -tag.length);
+        element.rawValue = element.rawValue.slice(0, -tag.length);
+        element.length -= tag.length;
+        segment.raw = segment.raw.slice(0, -tag.length);
+        segment.length -= tag.length;
+        segment.unterminated = true;
+        finishSegment(out);
+
+        segment = { raw: '', ...at, length: 0, elements: [] };
+        startElement(at);
+        appendData(tag, tag);
+    };
+
+    const consume = (text, out) => {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const code = text.charCodeAt(i);
+            const at = { offset, byteOffset, line, column };
+            offset++;
+            byteOffset += byteWidth(code);
+            advance(char, code, at.offset);
+            // Position of the next character (separators are never line breaks)
+            const next = { offset, byteOffset, line, column };
+
+            if (unaRemaining > 0) {
+                unaRemaining--;
+                continue;
+            }
+
+            if (released) {
+                released = false;
+                if (isServiceChar(char)) {
+                    appendData(char, escapeCharacter + char);
+                } else {
+                    // Not a valid release — keep both characters as data
+                    appendData(escapeCharacter, escapeCharacter);
+                    if (char === '\n' || char === '\r') continue;
+                    appendData(char, char);
+                }
+                continue;
+            }
+
+            if (char === '\n' || char === '\r') {
+                if (resync && segment) lineBreak = { ...next, tag: '' };
+                continue;
+            }
+
+            if (!segment) {
+                if (char === ' ' || char === '\t' || char === segmentTerminator || char === '\uFEFF') continue;
+                segment = { raw: '', ...at, length: 0, elements: [] };
+                startElement(at);
+            }
+
+            if (char === fieldSeparator && lineBreak?.tag.length >= 2 && isSegmentTag(lineBreak.tag)) {
+                splitAtLineBreak(out);
+            }
+            if (lineBreak && (isServiceChar(char) || lineBreak.tag.length >= 3 || !/[A-Z0-9]/.test(char))) {
+                lineBreak = null;
+            }
+
+            if (char === escapeCharacter) {
+                released = true;
+                continue;
+            }
+            if (char === segmentTerminator) {
+                finishSegment(out);
+                continue;
+            }
+            if (char === fieldSeparator) {
+                appendSeparator(char, false);
+                startElement(next);
+                continue;
+            }
+            if (char === componentSeparator) {
+                appendSeparator(char, true);
+                occurrence.value += char;
+                startComponent(next);
+                continue;
+            }
+            if (char === repetitionSeparator) {
+                appendSeparator(char, true);
+                startRepetition(next);
+                continue;
+            }
+            if (lineBreak) lineBreak.tag += char;
+            appendData(char, char);
+        }
+    };
+
+    const begin = (text) => {
+        // Recognise BOM + UNA before tokenizing; UNA itself is not a segment
+        atStart = false;
+        let skip = 0;
+        if (text.charCodeAt(0) === 0xFEFF) skip = 1;
+        if (skipUNA && text.startsWith('UNA', skip)) {
+            unaRemaining = skip + 9;
+        }
+        return text;
+    };
+
+    return {
+        push(chunk) {
+            const out = [];
+            if (atStart) {
+                head += chunk;
+                if (head.length < 10) return out;
+                chunk = begin(head);
+                head = '';
+            }
+            consume(chunk, out);
+            return out;
+        },
+        flush() {
+            const out = [];
+            if (atStart) {
+                consume(begin(head), out);
+                head = '';
+            }
+            if (released && segment) {
+                released = false;
+                appendData(escapeCharacter, escapeCharacter);
+            }
+            if (segment) {
+                if (resync) segment.unterminated = true;
+                finishSegment(out);
+            }
+            return out;
+        },
+        // Physical lines consumed so far; a final line break does not open an empty line
+        lineCount() {
+            if (offset === 0) return 0;
+            return column === 1 && line > 1 ? line - 1 : line;
+        }
+    };
+}
+
+/**
+ * Tokenize a complete EDIFACT text in one pass
+ * @param {string} raw - Raw EDIFACT content
+ * @param {object} delimiters - Parsed delimiters from parseUNA()
+ * @param {object} [options] - See createTokenizer()
+ * @returns {object[]} Segment tokens with offsets
+ */
+export function tokenizeEdifact(raw, delimiters, options) {
+    const tokenizer = createTokenizer(delimiters, options);
+    return [...tokenizer.push(raw), ...tokenizer.flush()];
+}
+
 // ==================== SEGMENT SPLITTING ====================
 
 /**
- * Split string by delimiter respecting escape character
+ * Split string by delimiter respecting the release character.
+ * Release sequences are kept in the parts so they can be split further
+ * (e.g. elements → components); "??" is a released release character and
+ * does not protect the following delimiter.
+ *
  * @param {string} str - String to split
  * @param {string} delimiter - Delimiter character
- * @param {string} escape - Escape character
- * @returns {string[]} Split parts
+ * @param {string} escape - Release character
+ * @returns {string[]} Split parts (release sequences preserved)
  */
 export function splitWithEscape(str, delimiter, escape) {
     const parts = [];
     let current = '';
 
     for (let i = 0; i < str.length; i++) {
-        if (str[i] === escape && i + 1 < str.length && str[i + 1] === delimiter) {
-            current += delimiter;
+        if (str[i] === escape && i + 1 < str.length) {
+            current += str[i] + str[i + 1];
             i++;
             continue;
         }
@@ -70,60 +499,83 @@ export function splitWithEscape(str, delimiter, escape) {
     return parts;
 }
 
+/**
+ * Create an incremental segment splitter for chunked input (streams).
+ * Produces exactly the same segments as splitSegments() regardless of
+ * where chunk boundaries fall.
+ *
+ * @param {object} delimiters - Parsed delimiters from parseUNA()
+ * @returns {{ push: (chunk: string) => string[], flush: () => string[] }}
+ */
+export function createSegmentSplitter(delimiters) {
+    const tokenizer = createTokenizer(delimiters);
+    return {
+        push: (chunk) => tokenizer.push(chunk).map(t => t.raw),
+        flush: () => tokenizer.flush().map(t => t.raw)
+    };
+}
+
 /**
  * Split raw EDIFACT content into segment strings
  * @param {string} raw - Raw EDIFACT content
  * @param {object} delimiters - Parsed delimiters from parseUNA()
- * @returns {string[]} Array of raw segment strings (without terminators)
+ * @returns {string[]} Array of raw segment strings (without terminators, release characters kept)
  */
 export function splitSegments(raw, delimiters) {
-    const { segmentTerminator, escapeCharacter } = delimiters;
-    const segments = [];
-    let current = '';
-
-    // Skip UNA if present
-    let startIndex = 0;
-    if (raw.startsWith('UNA')) {
-        startIndex = 9;
-        while (startIndex < raw.length && (raw[startIndex] === '\n' || raw[startIndex] === '\r')) {
-            startIndex++;
-        }
-    }
-
-    for (let i = startIndex; i < raw.length; i++) {
-        const char = raw[i];
+    return tokenizeEdifact(raw, delimiters).map(t => t.raw);
+}
 
-        if (char === escapeCharacter && i + 1 < raw.length && raw[i + 1] === segmentTerminator) {
-            current += segmentTerminator;
-            i++;
-            continue;
-        }
+// ==================== SEGMENT PARSING ====================
 
-        if (char === segmentTerminator) {
-            const trimmed = current.trim();
-            if (trimmed.length > 0) {
-                segments.push(trimmed);
+/**
+ * Convert a tokenizer segment token into the parsed segment shape
+ * @param {object} token - Token from createTokenizer()/tokenizeEdifact()
+ * @returns {object} { tag, fields: [{ index, value, components, isComposite, offset, byteOffset, line, column, length, componentLocations?, repetitions? }], raw, offset, byteOffset, line, column, length, unterminated? }
+ *          componentLocations = [{ offset, byteOffset, line, column, length }] for composites
+ *          repetitions = [{ value, components }] for repeated elements (syntax version 4), first occurrence included
+ */
+export function segmentFromToken(token) {
+    const [tagElement, ...elements] = token.elements;
+    return {
+        tag: tagElement?.value || '',
+        fields: elements.map((el, index) => {
+            const components = el.components.map(c => c.value);
+            const field = {
+                index,
+                value: el.value,
+                components,
+                isComposite: components.length > 1,
+                offset: el.offset,
+                byteOffset: el.byteOffset,
+                line: el.line,
+                column: el.column,
+                length: el.length
+            };
+            if (field.isComposite) {
+                field.componentLocations = el.components.map(_location);
             }
-            current = '';
-            continue;
-        }
-
-        if (char === '\n' || char === '\r') {
-            continue;
-        }
-
-        current += char;
-    }
-
-    const trimmed = current.trim();
-    if (trimmed.length > 0) {
-        segments.push(trimmed);
-    }
-
-    return segments;
+            if (el.repetitions) {
+                field.repetitions = el.repetitions.map(r => ({ value: r.value, components: r.components.map(c => c.value) }));
+            }
+            return field;
+        }),
+        raw: token.raw,
+        offset: token.offset,
+        byteOffset: token.byteOffset,
+        line: token.line,
+        column: token.column,
+        length: token.length,
+        ...(token.unterminated ? { unterminated: true } : {})
+    };
 }
 
-// ==================== SEGMENT PARSING ====================
+/**
+ * Source location fields of a token part
+ * @private
+ */
+function _location(part) {
+    return { offset: part.offset, byteOffset: part.byteOffset, line: part.line, column: part.column, length: part.length };
+}
 
 /**
  * Parse a single segment string into structured tag + fields
@@ -132,94 +584,165 @@ export function splitSegments(raw, delimiters) {
  * @returns {object} { tag, fields: [{ index, value, components, isComposite }], raw }
  */
 export function parseSegment(segmentStr, delimiters) {
-    const { fieldSeparator, componentSeparator, escapeCharacter } = delimiters;
-
-    const fields = splitWithEscape(segmentStr, fieldSeparator, escapeCharacter);
-    const tag = fields[0] || '';
-
-    const parsedFields = fields.slice(1).map((field, index) => {
-        const components = splitWithEscape(field, componentSeparator, escapeCharacter);
-        return {
-            index,
-            value: field,
-            components,
-            isComposite: components.length > 1
-        };
-    });
-
-    return { tag, fields: parsedFields, raw: segmentStr };
+    const [token] = tokenizeEdifact(segmentStr, delimiters, { skipUNA: false });
+    if (!token) {
+        return { tag: '', fields: [], raw: segmentStr, offset: 0, byteOffset: 0, line: 1, column: 1, length: 0 };
+    }
+    return segmentFromToken(token);
 }
 
 // ==================== HIGH-LEVEL PARSING ====================
 
 /**
  * Parse raw EDIFACT string into an array of structured segments
- * Convenience function that chains parseUNA → splitSegments → parseSegment
+ * Convenience function that chains detectDelimiters → tokenizeEdifact → segmentFromToken
  *
  * @param {string} raw - Raw EDIFACT content
- * @returns {object} { delimiters, segments: [{ tag, fields, raw, position }] }
+ * @returns {object} { delimiters, segments: [{ tag, fields, raw, position, offset, byteOffset, line, column, length }] }
  */
 export function parseRawEdifact(raw) {
     if (!raw || typeof raw !== 'string') {
         return { delimiters: parseUNA(''), segments: [] };
     }
 
-    const delimiters = parseUNA(raw);
-    const segmentStrings = splitSegments(raw, delimiters);
-    const segments = segmentStrings.map((str, index) => {
-        const parsed = parseSegment(str, delimiters);
-        return { ...parsed, position: index + 1 };
-    });
+    const delimiters = detectDelimiters(raw);
+    const segments = tokenizeEdifact(raw, delimiters).map((token, index) => ({
+        ...segmentFromToken(token),
+        position: index + 1
+    }));
 
     return { delimiters, segments };
 }
 
+// ==================== SOURCE LOCATIONS ====================
+
+/**
+ * Locate a segment, one of its data elements or a component in the source text.
+ * Element and component positions are 1-based as in validator findings
+ * (elementPosition/componentPosition); positions the segment does not have
+ * (e.g. a missing mandatory element) fall back to the enclosing part.
+ *
+ * @param {object} segment - Parsed segment from segmentFromToken()
+ * @param {number} [elementPosition] - 1-based data element position (after the tag)
+ * @param {number} [componentPosition] - 1-based component position
+ * @returns {object|null} { line, column, offset, byteOffset, length }, null without source positions
+ */
+export function sourceLocation(segment, elementPosition, componentPosition) {
+    if (!Number.isInteger(segment?.line)) return null;
+
+    let part = segment;
+    const field = elementPosition ? segment.fields?.[elementPosition - 1] : null;
+    if (Number.isInteger(field?.line)) {
+        part = field;
+        const component = componentPosition ? field.componentLocations?.[componentPosition - 1] : null;
+        if (component) part = component;
+    }
+    return { line: part.line, column: part.column, offset: part.offset, byteOffset: part.byteOffset, length: part.length };
+}
+
+/**
+ * Human-readable location, e.g. "line 14, col 23"
+ * @param {object} location - sourceLocation() result
+ * @returns {string} Empty string without a location
+ */
+export function formatLocation(location) {
+    if (!location) return '';
+    return `line ${location.line}, col ${location.column}`;
+}
+
+// ==================== ENVELOPES ====================
+
+/**
+ * Envelope segment tags of batch (ISO 9735-2) and interactive (ISO 9735-3) EDIFACT
+ */
+export const ENVELOPE_TAGS = {
+    batch: { interchangeHeader: 'UNB', interchangeTrailer: 'UNZ', messageHeader: 'UNH', messageTrailer: 'UNT' },
+    interactive: { interchangeHeader: 'UIB', interchangeTrailer: 'UIZ', messageHeader: 'UIH', messageTrailer: 'UIT' }
+};
+
+/**
+ * Detect whether a segment list uses the batch or the interactive envelope.
+ * The first interchange/message header decides; without one, interactive
+ * trailers (UIT/UIZ) still mark the file as interactive.
+ *
+ * @param {object[]} segments - Parsed segments
+ * @returns {object} { interactive, interchangeHeader, interchangeTrailer, messageHeader, messageTrailer }
+ */
+export function detectEnvelope(segments) {
+    let interactive = null;
+    for (const seg of segments || []) {
+        if (seg.tag === 'UNB' || seg.tag === 'UNH') { interactive = false; break; }
+        if (seg.tag === 'UIB' || seg.tag === 'UIH') { interactive = true; break; }
+    }
+    if (interactive === null) {
+        interactive = (segments || []).some(seg => seg.tag === 'UIT' || seg.tag === 'UIZ');
+    }
+    return { interactive, ...(interactive ? ENVELOPE_TAGS.interactive : ENVELOPE_TAGS.batch) };
+}
+
+/**
+ * Read the control fields of an envelope segment regardless of envelope type.
+ * Field positions differ between batch and interactive segments
+ * (e.g. UNZ+count+ref vs. UIZ+S302+count).
+ *
+ * @param {object} segment - Parsed envelope segment
+ * @returns {object|null} Normalized fields, null for non-envelope segments
+ *   headers:  { reference, ... } (UNB/UIB also syntaxIdentifier, syntaxVersion; UNH/UIH messageType, version, release, agency, subFunction)
+ *   trailers: { reference, count }
+ */
+export function envelopeFields(segment) {
+    const f = segment?.fields || [];
+    switch (segment?.tag) {
+        case 'UNB':
+            return {
+                syntaxIdentifier: f[0]?.components[0] || '',
+                syntaxVersion: f[0]?.components[1] || '',
+                reference: f[4]?.value || ''
+            };
+        case 'UIB':
+            return {
+                syntaxIdentifier: f[0]?.components[0] || '',
+                syntaxVersion: f[0]?.components[1] || '',
+                reference: f[1]?.components[0] || '',
+                transactionReference: f[2]?.components[0] || ''
+            };
+        case 'UNH':
+        case 'UIH': {
+            const id = segment.tag === 'UNH' ? f[1] : f[0];
+            return {
+                reference: segment.tag === 'UNH' ? f[0]?.value || '' : f[1]?.value || '',
+                messageType: id?.components[0] || '',
+                version: id?.components[1] || '',
+                release: id?.components[2] || '',
+                agency: id?.components[segment.tag === 'UNH' ? 3 : 4] || '',
+                subFunction: segment.tag === 'UIH' ? id?.components[3] || '' : id?.components[6] || ''
+            };
+        }
+        case 'UNT':
+        case 'UIT':
+            return segment.tag === 'UNT'
+                ? { count: f[0]?.value || '', reference: f[1]?.value || '' }
+                : { reference: f[0]?.value || '', count: f[1]?.value || '' };
+        case 'UNZ':
+            return { count: f[0]?.value || '', reference: f[1]?.value || '' };
+        case 'UIZ':
+            return { reference: f[0]?.components[0] || '', count: f[1]?.value || '' };
+        default:
+            return null;
+    }
+}
+
 // ==================== DATE PARSING ====================
 
 /**
  * Parse EDIFACT date string according to format qualifier
+ * Structured values (periods, times, durations, timezones) come from parseEdifactDateTime().
  * @param {string} dateStr - Date string
- * @param {string} format - Format code (102=CCYYMMDD, 203=CCYYMMDDHHMM, etc.)
- * @returns {Date|null} Parsed Date or null
+ * @param {string} format - Format code (2379: 102=CCYYMMDD, 203=CCYYMMDDHHMM, 718=CCYYMMDD-CCYYMMDD, ...)
+ * @returns {Date|null} Parsed Date (the start of a period) or null
  */
 export function parseEdifactDate(dateStr, format) {
-    if (!dateStr) return null;
-
-    try {
-        switch (format) {
-            case '102': {
-                const y = dateStr.slice(0, 4);
-                const m = dateStr.slice(4, 6);
-                const d = dateStr.slice(6, 8);
-                return new Date(`${y}-${m}-${d}T00:00:00Z`);
-            }
-            case '203': {
-                const y = dateStr.slice(0, 4);
-                const m = dateStr.slice(4, 6);
-                const d = dateStr.slice(6, 8);
-                const h = dateStr.slice(8, 10);
-                const min = dateStr.slice(10, 12);
-                return new Date(`${y}-${m}-${d}T${h}:${min}:00Z`);
-            }
-            default: {
-                if (dateStr.length === 6) {
-                    const y = '20' + dateStr.slice(0, 2);
-                    const m = dateStr.slice(2, 4);
-                    const d = dateStr.slice(4, 6);
-                    return new Date(`${y}-${m}-${d}T00:00:00Z`);
-                }
-                if (dateStr.length === 8) {
-                    const y = dateStr.slice(0, 4);
-                    const m = dateStr.slice(4, 6);
-                    const d = dateStr.slice(6, 8);
-                    return new Date(`${y}-${m}-${d}T00:00:00Z`);
-                }
-                return null;
-            }
-        }
-    } catch {
-        return null;
-    }
+    return parseEdifactDateTime(dateStr, format)?.start || null;
 }
 
 // ==================== PARTY QUALIFIER LABELS ====================
@@ -236,7 +759,9 @@ export function partyQualifierLabel(qualifier) {
         'MS': 'Message Sender', 'PE': 'Payee', 'PR': 'Payer',
         'ST': 'Ship To', 'SF': 'Ship From', 'UC': 'Ultimate Consignee',
         'CN': 'Consignee', 'CZ': 'Consignor', 'CA': 'Carrier',
-        'FW': 'Freight Forwarder', 'II': 'Issuer of Invoice'
+        'FW': 'Freight Forwarder', 'II': 'Issuer of Invoice',
+        // NCPDP SCRIPT PVD roles
+        'P1': 'Pharmacy', 'PC': 'Prescriber', 'PAT': 'Patient'
     };
     return labels[qualifier] || qualifier;
 }
@@ -248,90 +773,28 @@ export function partyQualifierLabel(qualifier) {
  */
 export const KNOWN_SEGMENT_TAGS = new Set([
     'UNA', 'UNB', 'UNH', 'UNT', 'UNZ', 'UNS', 'UNG', 'UNE',
+    'UIB', 'UIH', 'UIT', 'UIZ',
     'BGM', 'DTM', 'MOA', 'RFF', 'NAD', 'CTA', 'COM', 'CUX',
     'LIN', 'PIA', 'IMD', 'QTY', 'PRI', 'ALI', 'ALC', 'TAX',
     'FTX', 'TDT', 'LOC', 'PAT', 'PCD', 'GIN', 'GIR', 'MEA',
     'SCC', 'CNT', 'TOD', 'EQD', 'SEL', 'PAC', 'PCI', 'RNG',
     'DOC', 'STS', 'IDE', 'TSR', 'FII', 'DGS', 'ERP',
-    'RCS', 'AJT'
+    'RCS', 'AJT',
+    // NCPDP SCRIPT
+    'PVD', 'PTT', 'DRU', 'RES', 'REQ', 'COO', 'OBS'
 ]);
 
 /**
- * DTM qualifier to semantic meaning mapping
+ * DTM qualifier to semantic meaning mapping (UNCL 2005)
  */
-export const DTM_QUALIFIERS = {
-    '2': 'Delivery date/time, requested',
-    '3': 'Invoice date/time',
-    '7': 'Effective date/time',
-    '35': 'Delivery date/time, actual',
-    '36': 'Expiry date',
-    '37': 'Ship not before date/time',
-    '38': 'Ship not later than date/time',
-    '61': 'Cancel if not delivered by this date',
-    '63': 'Delivery date/time, latest',
-    '64': 'Delivery date/time, earliest',
-    '69': 'Promissory payment guarantee date',
-    '71': 'Delivery date/time, requested (at destination)',
-    '76': 'Order amendment date',
-    '131': 'Tax point date/time',
-    '137': 'Document/message date/time',
-    '140': 'Payment due date/time',
-    '171': 'Reference date/time',
-    '263': 'Invoicing period'
-};
+export const DTM_QUALIFIERS = CODE_LISTS['2005'].codes;
 
 /**
- * RFF qualifier to semantic meaning mapping
+ * RFF qualifier to semantic meaning mapping (UNCL 1153)
  */
-export const RFF_QUALIFIERS = {
-    'AAB': 'Proforma invoice number',
-    'AAK': 'Despatch advice number',
-    'ACE': 'Related document number',
-    'ACD': 'Additional reference number',
-    'AEF': 'Project number',
-    'AGI': 'Request number',
-    'ALO': 'Receiving advice number',
-    'API': 'Additional party identification',
-    'AV': 'Account number',
-    'BC': 'Buyer contract number',
-    'CR': 'Customer reference number',
-    'CT': 'Contract number/date',
-    'DL': 'Debit note number',
-    'DQ': 'Delivery note number',
-    'GN': 'Government reference number',
-    'IL': 'Internal order number',
-    'IP': 'Import permit number',
-    'IV': 'Invoice number',
-    'ON': 'Order number (buyer)',
-    'PK': 'Packing list number',
-    'PL': 'Price list number',
-    'PO': 'Purchase order number',
-    'RF': 'Export reference number',
-    'SS': 'Seller\'s reference number (Seller)',
-    'VA': 'VAT registration number',
-    'VN': 'Order number (supplier)',
-    'XA': 'Company/place registration number'
-};
+export const RFF_QUALIFIERS = CODE_LISTS['1153'].codes;
 
 /**
- * NAD qualifier labels (extended)
+ * NAD qualifier labels (UNCL 3035)
  */
-export const NAD_QUALIFIERS = {
-    'BY': 'Buyer',
-    'SE': 'Seller',
-    'SU': 'Supplier',
-    'DP': 'Delivery Party',
-    'IV': 'Invoicee',
-    'MR': 'Message Recipient',
-    'MS': 'Message Sender',
-    'PE': 'Payee',
-    'PR': 'Payer',
-    'ST': 'Ship To',
-    'SF': 'Ship From',
-    'UC': 'Ultimate Consignee',
-    'CN': 'Consignee',
-    'CZ': 'Consignor',
-    'CA': 'Carrier',
-    'FW': 'Freight Forwarder',
-    'II': 'Issuer of Invoice'
-};
+export const NAD_QUALIFIERS = CODE_LISTS['3035'].codes;
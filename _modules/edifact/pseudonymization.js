@@ -0,0 +1,369 @@
+/**
+ * EDI Pseudonymization
+ * ====================
+ * Replaces sensitive element values (party identifiers, names, addresses,
+ * contacts, bank accounts, tax numbers, patient data, passwords) with stable
+ * placeholders such as [PARTY_1] or [NAME_3], and restores them again.
+ *
+ * Two steps:
+ *   1. Collect — the sensitive values of an interchange are read from the
+ *      elements listed in SENSITIVE_ELEMENTS (UN/EDIFACT, NCPDP SCRIPT and
+ *      ANSI X12/HIPAA), every repetition of an element included.
+ *   2. Mask — createMasker() replaces every occurrence of a collected value in
+ *      any text (raw EDI, analysis summaries, tool results) and unmasks answers.
+ *
+ * The same value always gets the same placeholder; the masker state is plain
+ * JSON so it can be stored per chat and restored for the next request.
+ * Values are replaced as whole tokens only (not inside longer numbers or words)
+ * and values shorter than MIN_MASKED_LENGTH characters are left alone.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { parseRawEdifact } from './parser.js';
+import { escapeValue } from './serializer.js';
+
+// ==================== CONSTANTS ====================
+
+// Category → placeholder prefix
+export const PSEUDONYM_CATEGORIES = {
+    PARTY_ID: 'PARTY',
+    NAME: 'NAME',
+    ADDRESS: 'ADDRESS',
+    CONTACT: 'CONTACT',
+    ACCOUNT: 'ACCOUNT',
+    BANK: 'BANK',
+    TAX_ID: 'TAXID',
+    PERSON: 'PERSON',
+    CREDENTIAL: 'SECRET'
+};
+
+export const MIN_MASKED_LENGTH = 3;
+
+/**
+ * Sensitive elements per segment tag (0-based element index after the tag).
+ * components: component indexes (default: all); when: qualifier condition
+ * on another element ({ element, values }).
+ */
+export const SENSITIVE_ELEMENTS = {
+    // UN/EDIFACT
+    UNB: [
+        { element: 1, components: [0], category: 'PARTY_ID' },
+        { element: 2, components: [0], category: 'PARTY_ID' }
+    ],
+    UNG: [
+        { element: 1, components: [0], category: 'PARTY_ID' },
+        { element: 2, components: [0], category: 'PARTY_ID' }
+    ],
+    NAD: [
+        { element: 1, components: [0], category: 'PARTY_ID' },
+        { element: 2, category: 'ADDRESS' },
+        { element: 3, category: 'NAME' },
+        { element: 4, category: 'ADDRESS' },
+        { element: 5, category: 'ADDRESS' },
+        { element: 7, category: 'ADDRESS' }
+    ],
+    FII: [
+        { element: 1, components: [0], category: 'ACCOUNT' },
+        { element: 1, components: [1, 2], category: 'NAME' },
+        { element: 2, components: [0, 3], category: 'BANK' }
+    ],
+    CTA: [{ element: 1, components: [1], category: 'NAME' }],
+    COM: [{ element: 0, components: [0], category: 'CONTACT' }],
+    RFF: [{ element: 0, components: [1], category: 'TAX_ID', when: { element: 0, component: 0, values: ['VA', 'FC', 'GN', 'XA', 'AHP'] } }],
+
+    // Interactive EDIFACT (UIB+syntax+dialogue+transaction+scenario+dialogueId+sender:qual:password+recipient:qual:password)
+    UIB: [
+        { element: 5, components: [0], category: 'PARTY_ID' },
+        { element: 5, components: [2], category: 'CREDENTIAL' },
+        { element: 6, components: [0], category: 'PARTY_ID' },
+        { element: 6, components: [2], category: 'CREDENTIAL' }
+    ],
+
+    // NCPDP SCRIPT
+    // PVD+role+id:qual+++last:first++partyName+street:city:state:postalCode+number:qual
+    PVD: [
+        { element: 1, components: [0], category: 'PARTY_ID' },
+        { element: 4, category: 'NAME' },
+        { element: 6, category: 'NAME' },
+        { element: 7, category: 'ADDRESS' },
+        { element: 8, components: [0], category: 'CONTACT' }
+    ],
+    // PTT+relationship+birthDate+last:first+gender+id:qual+street:city:state:postalCode+number:qual
+    PTT: [
+        { element: 1, category: 'PERSON' },
+        { element: 2, category: 'NAME' },
+        { element: 4, components: [0], category: 'PERSON' },
+        { element: 5, category: 'ADDRESS' },
+        { element: 6, components: [0], category: 'CONTACT' }
+    ],
+    // COO+payerId:qual+payerName+serviceType+cardholderId+cardholderName+groupId
+    COO: [
+        { element: 3, category: 'PERSON' },
+        { element: 4, category: 'NAME' }
+    ],
+
+    // ANSI X12 / HIPAA
+    ISA: [
+        { element: 5, category: 'PARTY_ID' },
+        { element: 7, category: 'PARTY_ID' }
+    ],
+    GS: [
+        { element: 1, category: 'PARTY_ID' },
+        { element: 2, category: 'PARTY_ID' }
+    ],
+    NM1: [
+        { element: 2, category: 'NAME' },
+        { element: 3, category: 'NAME' },
+        { element: 4, category: 'NAME' },
+        { element: 8, category: 'PARTY_ID' }
+    ],
+    N3: [
+        { element: 0, category: 'ADDRESS' },
+        { element: 1, category: 'ADDRESS' }
+    ],
+    N4: [
+        { element: 0, category: 'ADDRESS' },
+        { element: 2, category: 'ADDRESS' }
+    ],
+    PER: [
+        { element: 1, category: 'NAME' },
+        { element: 3, category: 'CONTACT' },
+        { element: 5, category: 'CONTACT' },
+        { element: 7, category: 'CONTACT' }
+    ],
+    DMG: [{ element: 1, category: 'PERSON' }],
+    REF: [
+        { element: 1, category: 'PERSON', when: { element: 0, component: 0, values: ['SY', '1W', 'EA', '0F', 'IG'] } },
+        { element: 1, category: 'TAX_ID', when: { element: 0, component: 0, values: ['EI', 'TJ'] } }
+    ]
+};
+
+const _PLACEHOLDER = new RegExp(`\\[(${Object.values(PSEUDONYM_CATEGORIES).join('|')})_(\\d+)\\]`, 'g');
+// An unfinished placeholder at the end of a streamed chunk
+const _PLACEHOLDER_PREFIX = /\[[A-Z]*(_\d*)?$/;
+const _MAX_PLACEHOLDER_LENGTH = 20;
+
+// ==================== COLLECTION ====================
+
+/**
+ * Create a collector for the sensitive values of parsed segments
+ * (UN/EDIFACT from the parser, X12 in the same { tag, fields } shape)
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.categories] - Categories to collect (default: all)
+ * @returns {{ addSegment: (segment: object, delimiters?: object) => void, values: () => object[] }}
+ *          values: [{ value, category, variants }] — variants = escaped forms as they appear in raw EDIFACT
+ */
+export function createSensitiveValueCollector({ categories = Object.keys(PSEUDONYM_CATEGORIES) } = {}) {
+    const found = new Map();
+
+    const addSegment = (segment, delimiters = null) => {
+        const rules = SENSITIVE_ELEMENTS[segment.tag];
+        if (!rules) return;
+
+        for (const rule of rules) {
+            if (!categories.includes(rule.category)) continue;
+            if (rule.when) {
+                const qualifier = segment.fields[rule.when.element]?.components?.[rule.when.component || 0];
+                if (!rule.when.values.includes(qualifier)) continue;
+            }
+            const field = segment.fields[rule.element];
+            if (!field) continue;
+            for (const { components = [] } of field.repetitions || [field]) {
+                const indexes = rule.components || components.map((_, i) => i);
+                for (const index of indexes) {
+                    const value = (components[index] || '').trim();
+                    if (value.length < MIN_MASKED_LENGTH || found.has(value)) continue;
+                    found.set(value, { value, category: rule.category, variants: _escapedVariants(value, delimiters) });
+                }
+            }
+        }
+    };
+
+    return { addSegment, values: () => [...found.values()] };
+}
+
+/**
+ * Sensitive values of a complete EDIFACT or X12 text
+ *
+ * @param {string} raw - Raw EDI content
+ * @param {object} [options] - See createSensitiveValueCollector()
+ * @returns {object[]} [{ value, category, variants }]
+ */
+export function collectSensitiveValues(raw, options = {}) {
+    const collector = createSensitiveValueCollector(options);
+    if (!raw || typeof raw !== 'string') return [];
+
+    if (/^\uFEFF?\s*ISA/.test(raw)) {
+        for (const segment of _splitX12(raw)) collector.addSegment(segment);
+    } else {
+        const { segments, delimiters } = parseRawEdifact(raw);
+        for (const segment of segments) collector.addSegment(segment, delimiters);
+    }
+    return collector.values();
+}
+
+// ==================== MASKER ====================
+
+/**
+ * Create a masker (optionally from a stored state)
+ *
+ * @param {object} [state] - Result of masker.toJSON()
+ * @returns {object} { add, mask, unmask, maskDeep, unmaskDeep, createUnmaskStream, toJSON, size, sources }
+ */
+export function createMasker(state = null) {
+    const entries = new Map();      // placeholder → { placeholder, category, value, variants }
+    const byValue = new Map();      // value or variant → placeholder
+    const counters = { ...(state?.counters || {}) };
+    const sources = [...(state?.sources || [])];
+    let pattern = null;
+
+    const register = (entry) => {
+        entries.set(entry.placeholder, entry);
+        for (const text of [entry.value, ...(entry.variants || [])]) {
+            if (!byValue.has(text)) byValue.set(text, entry.placeholder);
+        }
+    };
+    for (const entry of state?.entries || []) register(entry);
+
+    /**
+     * Register collected values; returns the number of new placeholders
+     */
+    const add = (values = []) => {
+        let added = 0;
+        for (const { value, category, variants = [] } of values) {
+            if (!value || value.length < MIN_MASKED_LENGTH || byValue.has(value)) continue;
+            const prefix = PSEUDONYM_CATEGORIES[category] || PSEUDONYM_CATEGORIES.NAME;
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            register({ placeholder: `[${prefix}_${counters[prefix]}]`, category, value, variants: variants.filter(v => v !== value) });
+            added++;
+        }
+        if (added > 0) pattern = null;
+        return added;
+    };
+
+    const mask = (text) => {
+        if (typeof text !== 'string' || byValue.size === 0) return text;
+        if (!pattern) {
+            const alternatives = [...byValue.keys()]
+                .sort((a, b) => b.length - a.length)
+                .map(_escapeRegExp);
+            pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+        }
+        return text.replace(pattern, (match) => byValue.get(match) || match);
+    };
+
+    const unmask = (text) => {
+        if (typeof text !== 'string' || entries.size === 0) return text;
+        return text.replace(_PLACEHOLDER, (match) => entries.get(match)?.value ?? match);
+    };
+
+    /**
+     * Unmask a streamed answer chunk by chunk: a placeholder split across
+     * chunks is held back until it is complete
+     */
+    const createUnmaskStream = () => {
+        let pending = '';
+        return {
+            push(chunk) {
+                pending += chunk || '';
+                const open = pending.lastIndexOf('[');
+                let ready = pending;
+                if (open >= 0 && pending.length - open <= _MAX_PLACEHOLDER_LENGTH && _PLACEHOLDER_PREFIX.test(pending.slice(open))) {
+                    ready = pending.slice(0, open);
+                }
+                pending = pending.slice(ready.length);
+                return unmask(ready);
+            },
+            flush() {
+                const rest = pending;
+                pending = '';
+                return unmask(rest);
+            }
+        };
+    };
+
+    return {
+        add,
+        mask,
+        unmask,
+        maskDeep: (value) => _mapStrings(value, mask),
+        unmaskDeep: (value) => _mapStrings(value, unmask),
+        createUnmaskStream,
+        toJSON: () => ({ version: 1, entries: [...entries.values()], counters, sources }),
+        get size() {
+            return entries.size;
+        },
+        sources
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Escaped forms of a value in raw EDIFACT (release characters before delimiters)
+ * @private
+ */
+function _escapedVariants(value, delimiters) {
+    if (!delimiters) return [];
+    try {
+        const escaped = escapeValue(value, delimiters);
+        return escaped !== value ? [escaped] : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Split X12 content into { tag, fields } segments. The ISA segment has a
+ * fixed layout: element separator at 3, component separator at 104,
+ * segment terminator at 105.
+ * @private
+ */
+function _splitX12(raw) {
+    const text = raw.replace(/^\uFEFF?\s*/, '');
+    const elementSeparator = text[3];
+    const componentSeparator = text[104] || ':';
+    const terminator = text[105] || '~';
+
+    return text.split(terminator)
+        .map(s => s.replace(/^[\r\n]+/, ''))
+        .filter(Boolean)
+        .map(s => {
+            const [tag, ...elements] = s.split(elementSeparator);
+            return {
+                tag: tag.trim(),
+                fields: elements.map(value => ({ value, components: value.split(componentSeparator) }))
+            };
+        });
+}
+
+/**
+ * Apply fn to every string in a JSON-like value
+ * @private
+ */
+function _mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(v => _mapStrings(v, fn));
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _mapStrings(v, fn)]));
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+    PSEUDONYM_CATEGORIES,
+    MIN_MASKED_LENGTH,
+    SENSITIVE_ELEMENTS,
+    createSensitiveValueCollector,
+    collectSensitiveValues,
+    createMasker
+};
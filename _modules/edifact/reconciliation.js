@@ -0,0 +1,422 @@
+/**
+ * EDIFACT Invoice Reconciliation
+ * ==============================
+ * Arithmetic checks of INVOIC messages: every amount that can be derived from
+ * other amounts of the message is recomputed and compared with the sent value.
+ *
+ * Checks (one discrepancy per mismatch, with the segment position of the sent value):
+ *   LINE_AMOUNT       — QTY × PRI (÷ price basis) ± line ALC = line MOA 203
+ *   LINE_TOTAL        — Σ line MOA 203 = MOA 79
+ *   ALLOWANCE_CHARGE  — header ALC amounts = MOA 259 (charges), 260 (allowances), 131 (net)
+ *   TAX               — base per TAX rate × rate = MOA 124/150, Σ tax = MOA 176
+ *   TOTAL             — MOA 79 + 131 = MOA 125, taxable amount + tax = MOA 77/86
+ *
+ * Price:
+ *   - AAA (net price) already includes the line allowances and charges
+ *   - AAB (gross price) gets the line ALC amounts, or percentage × gross amount
+ *
+ * Amounts are compared with a rounding tolerance (options.tolerance, default 0.01).
+ * Values that are not sent are not derived — a check only runs where both
+ * sides are present in the message.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { parseEdifactNumber, readNumericElement } from './numeric.js';
+import { envelopeFields } from './parser.js';
+import { extractLineItems, allowanceFromAlc, applyGroupValue } from './lineItems.js';
+
+// ==================== CONSTANTS ====================
+
+export const RECONCILIATION_CHECKS = {
+    LINE_AMOUNT: 'LINE_AMOUNT',
+    LINE_TOTAL: 'LINE_TOTAL',
+    ALLOWANCE_CHARGE: 'ALLOWANCE_CHARGE',
+    TAX: 'TAX',
+    TOTAL: 'TOTAL'
+};
+
+export const DEFAULT_AMOUNT_TOLERANCE = 0.01;
+
+// Segments of a header ALC group (SG16 and nested groups in D.96A–D.01B INVOIC)
+const _HEADER_ALC_CHILDREN = ['ALI', 'DTM', 'RFF', 'QTY', 'PCD', 'MOA', 'RTE', 'TAX', 'RNG'];
+
+// Summary MOA qualifiers of SG48 (5025)
+const _SUMMARY = {
+    LINE_TOTAL: '79',
+    TAXABLE: '125',
+    ALLOWANCES_CHARGES: '131',
+    TOTAL_TAX: '176',
+    CHARGES: '259',
+    ALLOWANCES: '260',
+    INVOICE_AMOUNT: '77',
+    MESSAGE_TOTAL: '86'
+};
+
+// Tax amount qualifiers of a TAX group: 124 = tax amount, 150 = VAT amount
+const _TAX_AMOUNT_QUALIFIERS = ['124', '150'];
+
+const _MESSAGE_START = ['UNH', 'UIH'];
+const _MESSAGE_END = ['UNT', 'UIT'];
+
+// ==================== RECONCILIATION ====================
+
+/**
+ * Reconcile the amounts of all INVOIC messages in a segment list
+ *
+ * @param {object[]} segments - Parsed segments (interchange or single message)
+ * @param {object} [options]
+ * @param {object} [options.numeric] - numericOptions() of the interchange
+ * @param {number} [options.tolerance=0.01] - Accepted rounding difference per amount
+ * @returns {{ messages: number, checked: object, discrepancies: object[] }}
+ *          discrepancies: { check, message, position, expected, actual, difference, detail }
+ *          checked: number of comparisons per check
+ */
+export function reconcileInvoice(segments, { numeric = {}, tolerance = DEFAULT_AMOUNT_TOLERANCE } = {}) {
+    const checked = Object.fromEntries(Object.keys(RECONCILIATION_CHECKS).map(k => [k, 0]));
+    const discrepancies = [];
+    const messages = _splitInvoices(segments);
+
+    for (const message of messages) {
+        const compare = (check, { position, expected, actual, detail }) => {
+            checked[check]++;
+            const difference = _round(actual - expected);
+            if (Math.abs(difference) <= tolerance + 1e-9) return;
+            discrepancies.push({
+                check,
+                message: message.reference,
+                position,
+                expected: _round(expected),
+                actual,
+                difference,
+                detail
+            });
+        };
+        _reconcileMessage(message.segments, numeric, compare);
+    }
+
+    return { messages: messages.length, checked, discrepancies };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * UNH..UNT ranges of INVOIC messages; a list without message header is one message
+ * @private
+ */
+function _splitInvoices(segments) {
+    if (!segments.some(s => _MESSAGE_START.includes(s.tag))) {
+        return [{ reference: '', segments }];
+    }
+    const messages = [];
+    let current = null;
+    for (const seg of segments) {
+        if (_MESSAGE_START.includes(seg.tag)) {
+            const { messageType, reference } = envelopeFields(seg);
+            current = messageType === 'INVOIC' ? { reference, segments: [] } : null;
+            if (current) messages.push(current);
+        }
+        if (current) current.segments.push(seg);
+        if (_MESSAGE_END.includes(seg.tag)) current = null;
+    }
+    return messages;
+}
+
+/** @private */
+function _reconcileMessage(segments, numeric, compare) {
+    const lines = extractLineItems(segments, null, numeric);
+    const header = _readHeader(segments, numeric);
+    const summary = _readSummary(segments, numeric);
+
+    // ── Line amounts ──
+    for (const item of lines) {
+        const lineAmount = item.amounts.find(a => a.qualifier === '203');
+        const expected = _expectedLineAmount(item, numeric);
+        if (!lineAmount || !expected) continue;
+        compare(RECONCILIATION_CHECKS.LINE_AMOUNT, {
+            position: lineAmount.position,
+            expected: expected.amount,
+            actual: lineAmount.value,
+            detail: `Line ${item.lineNumber || item.position}: MOA+203 is ${lineAmount.value}, ${expected.formula} = ${_round(expected.amount)}`
+        });
+    }
+
+    // Sub-lines are part of their parent's amount when the parent has one
+    const withAmount = new Set(lines.filter(l => l.lineAmount !== null).map(l => l.lineNumber));
+    const topLines = lines.filter(l => l.lineAmount !== null && !(l.parentLine && withAmount.has(l.parentLine)));
+    const lineTotal = topLines.reduce((sum, l) => sum + l.lineAmount, 0);
+
+    // ── Line total ──
+    const moa79 = summary.amounts[_SUMMARY.LINE_TOTAL];
+    if (moa79 && topLines.length > 0) {
+        compare(RECONCILIATION_CHECKS.LINE_TOTAL, {
+            position: moa79.position,
+            expected: lineTotal,
+            actual: moa79.value,
+            detail: `MOA+79 is ${moa79.value}, the ${topLines.length} line amount(s) (MOA+203) add up to ${_round(lineTotal)}`
+        });
+    }
+
+    // ── Header allowances and charges ──
+    const allowances = header.allowances.map(a => ({ ...a, value: _allowanceAmount(a, moa79 ? moa79.value : lineTotal) }));
+    const known = allowances.filter(a => a.value !== null);
+    const charges = known.filter(a => a.type === 'charge').reduce((sum, a) => sum + a.value, 0);
+    const reductions = known.filter(a => a.type === 'allowance').reduce((sum, a) => sum + a.value, 0);
+    if (allowances.length > 0 && known.length === allowances.length) {
+        const totals = [
+            [_SUMMARY.CHARGES, charges, 'charges'],
+            [_SUMMARY.ALLOWANCES, reductions, 'allowances'],
+            [_SUMMARY.ALLOWANCES_CHARGES, charges - reductions, 'charges less allowances']
+        ];
+        for (const [qualifier, expected, label] of totals) {
+            const moa = summary.amounts[qualifier];
+            if (!moa) continue;
+            // MOA 131 may be sent unsigned for a net allowance
+            const actual = qualifier === _SUMMARY.ALLOWANCES_CHARGES && expected < 0 && moa.value > 0 ? -moa.value : moa.value;
+            compare(RECONCILIATION_CHECKS.ALLOWANCE_CHARGE, {
+                position: moa.position,
+                expected,
+                actual,
+                detail: `MOA+${qualifier} is ${moa.value}, the ${allowances.length} header allowance/charge group(s) give ${label} of ${_round(expected)}`
+            });
+        }
+    }
+
+    // ── Tax ──
+    const defaultRate = header.taxes.length === 1 ? header.taxes[0].rate : '';
+    for (const item of lines) {
+        for (const tax of item.taxes) {
+            if (tax.amount === null || item.lineAmount === null || !_isRate(tax.rate)) continue;
+            compare(RECONCILIATION_CHECKS.TAX, {
+                position: tax.amountPosition,
+                expected: item.lineAmount * Number(tax.rate) / 100,
+                actual: tax.amount,
+                detail: `Line ${item.lineNumber || item.position}: tax ${tax.amount} at ${tax.rate}% of ${item.lineAmount} should be ${_round(item.lineAmount * Number(tax.rate) / 100)}`
+            });
+        }
+    }
+    for (const alc of allowances) {
+        const tax = alc.tax;
+        if (!tax || tax.amount === null || alc.value === null || !_isRate(tax.rate)) continue;
+        compare(RECONCILIATION_CHECKS.TAX, {
+            position: tax.amountPosition,
+            expected: alc.value * Number(tax.rate) / 100,
+            actual: tax.amount,
+            detail: `ALC at position ${alc.position}: tax ${tax.amount} at ${tax.rate}% of ${alc.value} should be ${_round(alc.value * Number(tax.rate) / 100)}`
+        });
+    }
+
+    const bases = _taxBases(lines, allowances, defaultRate);
+    for (const group of summary.taxes) {
+        if (!group.amount || !_isRate(group.rate)) continue;
+        const rate = Number(group.rate);
+        const base = bases ? (bases.get(rate) || 0) : group.taxable?.value;
+        if (bases && group.taxable) {
+            compare(RECONCILIATION_CHECKS.TAX, {
+                position: group.taxable.position,
+                expected: base,
+                actual: group.taxable.value,
+                detail: `Taxable amount at ${group.rate}% is ${group.taxable.value}, lines and allowances/charges at that rate add up to ${_round(base)}`
+            });
+        }
+        if (base === undefined) continue;
+        compare(RECONCILIATION_CHECKS.TAX, {
+            position: group.amount.position,
+            expected: base * rate / 100,
+            actual: group.amount.value,
+            detail: `Tax at ${group.rate}% is ${group.amount.value}, ${group.rate}% of ${_round(base)} is ${_round(base * rate / 100)}`
+        });
+    }
+
+    const rateTaxes = summary.taxes.filter(g => g.amount);
+    const taxTotal = rateTaxes.reduce((sum, g) => sum + g.amount.value, 0);
+    const moa176 = summary.amounts[_SUMMARY.TOTAL_TAX];
+    if (moa176 && rateTaxes.length > 0) {
+        compare(RECONCILIATION_CHECKS.TAX, {
+            position: moa176.position,
+            expected: taxTotal,
+            actual: moa176.value,
+            detail: `MOA+176 is ${moa176.value}, the tax amounts of the ${rateTaxes.length} rate(s) add up to ${_round(taxTotal)}`
+        });
+    }
+
+    // ── Totals ──
+    const moa125 = summary.amounts[_SUMMARY.TAXABLE];
+    const moa131 = summary.amounts[_SUMMARY.ALLOWANCES_CHARGES];
+    const netCharges = moa131
+        ? (known.length === allowances.length && charges - reductions < 0 && moa131.value > 0 ? -moa131.value : moa131.value)
+        : (known.length === allowances.length ? charges - reductions : null);
+    if (moa125 && moa79 && netCharges !== null) {
+        compare(RECONCILIATION_CHECKS.TOTAL, {
+            position: moa125.position,
+            expected: moa79.value + netCharges,
+            actual: moa125.value,
+            detail: `MOA+125 is ${moa125.value}, MOA+79 ${moa79.value} with allowances/charges ${_round(netCharges)} gives ${_round(moa79.value + netCharges)}`
+        });
+    }
+
+    const taxable = moa125 ? moa125.value : (moa79 && netCharges !== null ? moa79.value + netCharges : null);
+    const tax = moa176 ? moa176.value : (rateTaxes.length > 0 ? taxTotal : null);
+    if (taxable === null || tax === null) return;
+    for (const qualifier of [_SUMMARY.INVOICE_AMOUNT, _SUMMARY.MESSAGE_TOTAL]) {
+        const moa = summary.amounts[qualifier];
+        if (!moa) continue;
+        compare(RECONCILIATION_CHECKS.TOTAL, {
+            position: moa.position,
+            expected: taxable + tax,
+            actual: moa.value,
+            detail: `MOA+${qualifier} is ${moa.value}, taxable amount ${_round(taxable)} plus tax ${_round(tax)} is ${_round(taxable + tax)}`
+        });
+    }
+}
+
+/**
+ * Expected line amount from quantity, price and line allowances/charges
+ * @private
+ */
+function _expectedLineAmount(item, numeric) {
+    const quantity = item.quantities.find(q => q.qualifier === '47')
+        || (item.quantities.length === 1 ? item.quantities[0] : null);
+    const net = item.prices.find(p => p.qualifier === 'AAA');
+    const gross = item.prices.find(p => p.qualifier === 'AAB');
+    const price = net || gross;
+    if (!quantity || !price || price.value === null || quantity.value === null) return null;
+
+    const basis = parseEdifactNumber(price.basis, numeric)?.value || 1;
+    const perBasis = basis === 1 ? '' : ` / ${basis}`;
+    let amount = quantity.value * price.value / basis;
+    let formula = `QTY+${quantity.qualifier} ${quantity.value} × PRI+${price.qualifier} ${price.value}${perBasis}`;
+    if (net || item.allowances.length === 0) return { amount, formula };
+
+    const grossAmount = amount;
+    for (const alc of item.allowances) {
+        const value = _allowanceAmount(alc, grossAmount);
+        if (value === null) return null;
+        amount += alc.type === 'charge' ? value : -value;
+        formula += ` ${alc.type === 'charge' ? '+' : '-'} ${alc.percentage !== null && alc.amount === null ? `${alc.percentage}%` : _round(value)}`;
+    }
+    return { amount, formula };
+}
+
+/**
+ * Amount of an allowance/charge: its MOA, or percentage × basis (MOA 25 or the given base)
+ * @private
+ */
+function _allowanceAmount(alc, base) {
+    if (alc.amount !== null) return Math.abs(alc.amount);
+    if (alc.percentage === null) return null;
+    return (alc.basis ?? base) * alc.percentage / 100;
+}
+
+/**
+ * Header ALC groups and header TAX segments (before the first LIN)
+ * @private
+ */
+function _readHeader(segments, numeric) {
+    const allowances = [];
+    const taxes = [];
+    let alc = null;
+    for (const seg of segments) {
+        if (seg.tag === 'LIN' || seg.tag === 'UNS') break;
+        if (seg.tag === 'ALC') {
+            alc = { ...allowanceFromAlc(seg), tax: null };
+            allowances.push(alc);
+            continue;
+        }
+        if (alc && _HEADER_ALC_CHILDREN.includes(seg.tag)) {
+            const value = readNumericElement(seg, numeric);
+            // MOA after the TAX of an ALC group is the tax on the allowance/charge
+            if (seg.tag === 'MOA' && alc.tax) _setTaxAmount(alc.tax, value);
+            else applyGroupValue(alc, seg, value);
+            if (seg.tag === 'TAX') alc.tax = { rate: alc.taxRate, amount: null, amountPosition: null };
+            continue;
+        }
+        alc = null;
+        if (seg.tag === 'TAX') taxes.push({ rate: seg.fields[4]?.components?.[3] || '', position: seg.position });
+    }
+    return { allowances, taxes };
+}
+
+/**
+ * Summary section after UNS: SG48 amounts and TAX groups
+ * @private
+ */
+function _readSummary(segments, numeric) {
+    const uns = segments.filter(s => s.tag === 'UNS');
+    const start = uns.find(s => s.fields[0]?.value === 'S') || uns[uns.length - 1];
+    const amounts = {};
+    const taxes = [];
+    if (!start) return { amounts, taxes };
+
+    let group = null; // 'TAX' / 'ALC' context of following MOAs
+    for (const seg of segments.slice(segments.indexOf(start) + 1)) {
+        if (seg.tag === 'TAX') {
+            group = { tag: 'TAX', rate: seg.fields[4]?.components?.[3] || '', amount: null, taxable: null, position: seg.position };
+            taxes.push(group);
+            continue;
+        }
+        if (seg.tag === 'ALC') {
+            group = { tag: 'ALC' };
+            continue;
+        }
+        if (seg.tag !== 'MOA') {
+            if (!['RFF', 'DTM', 'ALI'].includes(seg.tag)) group = null;
+            continue;
+        }
+        const value = readNumericElement(seg, numeric);
+        if (!value || value.value === null) continue;
+        if (group?.tag === 'TAX') {
+            if (_TAX_AMOUNT_QUALIFIERS.includes(value.qualifier) && !group.amount) group.amount = value;
+            if (value.qualifier === _SUMMARY.TAXABLE && !group.taxable) group.taxable = value;
+        } else if (!group && !amounts[value.qualifier]) {
+            amounts[value.qualifier] = value;
+        }
+    }
+    return { amounts, taxes };
+}
+
+/**
+ * Taxable base per rate from line amounts and header allowances/charges;
+ * null when an amount has no known rate
+ * @private
+ */
+function _taxBases(lines, allowances, defaultRate) {
+    const bases = new Map();
+    const add = (rate, amount) => {
+        if (!_isRate(rate)) return false;
+        bases.set(Number(rate), (bases.get(Number(rate)) || 0) + amount);
+        return true;
+    };
+    for (const item of lines) {
+        if (item.lineAmount === null || (item.parentLine && lines.some(l => l.lineNumber === item.parentLine && l.lineAmount !== null))) continue;
+        if (!add(item.taxes[0]?.rate || defaultRate, item.lineAmount)) return null;
+    }
+    for (const alc of allowances) {
+        if (alc.value === null) return null;
+        if (!add(alc.taxRate || defaultRate, alc.type === 'charge' ? alc.value : -alc.value)) return null;
+    }
+    return bases;
+}
+
+/** @private */
+function _setTaxAmount(tax, value) {
+    if (!value || tax.amount !== null || !_TAX_AMOUNT_QUALIFIERS.includes(value.qualifier)) return;
+    tax.amount = value.value;
+    tax.amountPosition = value.position;
+}
+
+/** @private */
+function _isRate(rate) {
+    return rate !== '' && rate != null && Number.isFinite(Number(rate));
+}
+
+/** @private */
+function _round(n) {
+    return Math.round(n * 10000) / 10000;
+}
+
+export default {
+    RECONCILIATION_CHECKS,
+    DEFAULT_AMOUNT_TOLERANCE,
+    reconcileInvoice
+};
@@ -0,0 +1,299 @@
+/**
+ * EDIFACT Error Recovery
+ * ======================
+ * Resynchronizes the segment stream of damaged interchanges so the analysis
+ * still extracts everything recoverable instead of stopping at the first
+ * broken envelope. Runs on parsed segments one at a time, so the streaming
+ * upload worker and buildAnalysis() share it.
+ *
+ * Recoveries (diagnostic codes):
+ *   UNTERMINATED_SEGMENT — segment ended by a line break or the end of the file
+ *                          instead of the segment terminator (tokenizer resync)
+ *   MIXED_DELIMITERS     — segment separated or terminated with another
+ *                          service character than the interchange declares
+ *   STRAY_BYTES          — control characters or undecodable bytes removed
+ *                          from the segment tag and data values
+ *   GARBAGE_SKIPPED      — fragment without any segment tag dropped
+ *   TAG_REPAIRED         — damaged envelope tag (UNB, UNH, UNT, UNZ) restored
+ *                          from the segment content
+ *
+ * Every recovery is recorded as a diagnostic:
+ *   { code, severity, segment, originalTag, position, location, message, suggestion }
+ * position refers to the recovered segment list (null for dropped fragments),
+ * location to the source text (see parser.sourceLocation()).
+ *
+ * The raw text of a segment is never rewritten except for a foreign segment
+ * terminator, so character set checks still see the original bytes.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { KNOWN_SEGMENT_TAGS, tokenizeEdifact, segmentFromToken, sourceLocation } from './parser.js';
+import { getDirectory, SUPPORTED_DIRECTORIES } from './directory/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const RECOVERY_CODES = {
+    UNTERMINATED_SEGMENT: 'UNTERMINATED_SEGMENT',
+    MIXED_DELIMITERS: 'MIXED_DELIMITERS',
+    STRAY_BYTES: 'STRAY_BYTES',
+    GARBAGE_SKIPPED: 'GARBAGE_SKIPPED',
+    TAG_REPAIRED: 'TAG_REPAIRED'
+};
+
+const _SUGGESTIONS = {
+    UNTERMINATED_SEGMENT: 'End every segment with the segment terminator declared in UNA (default \')',
+    MIXED_DELIMITERS: 'Use the service characters declared in UNA for every segment',
+    STRAY_BYTES: 'Remove the control characters; check the transfer mode (binary vs. text) and the declared character set',
+    GARBAGE_SKIPPED: 'Remove the fragment or restore the segment it was cut from',
+    TAG_REPAIRED: 'Restore the segment tag — the interchange was damaged in transfer or by an editor'
+};
+
+// Service characters other systems commonly use as element separator or segment terminator
+const _FOREIGN_SEPARATORS = new Set(['*', '|', '^', '!', '\u001D', '\u001F']);
+const _FOREIGN_TERMINATORS = new Set(['~', '\'', '!', '\u001C']);
+
+// C0 controls (except tab and line breaks), DEL and the replacement character of undecodable bytes
+const _NOISE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFD]/g;
+
+const _TAG = /^[A-Z][A-Z0-9]{2}$/;
+
+// Envelope tags that lost their leading "U" (e.g. "NH+1+ORDERS:D:96A:UN")
+const _DAMAGED_ENVELOPE_TAGS = new Set(['NA', 'NB', 'NG', 'NH', 'NT', 'NE', 'NZ']);
+
+let _segmentTags = null;
+
+// ==================== TAGS ====================
+
+/**
+ * True for tags of the bundled directories (all releases, service and
+ * interactive segments included) and the tags the parser knows
+ *
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function isSegmentTag(tag) {
+    if (!_segmentTags) {
+        const latest = getDirectory(SUPPORTED_DIRECTORIES[SUPPORTED_DIRECTORIES.length - 1], { syntaxVersion: '4' });
+        _segmentTags = new Set([...KNOWN_SEGMENT_TAGS, ...Object.keys(latest?.segments || {})]);
+    }
+    return _segmentTags.has(tag);
+}
+
+/**
+ * Tokenizer resync predicate: segment tags plus envelope tags that lost
+ * their first character, so a damaged envelope still starts a new segment
+ *
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function startsSegment(tag) {
+    return isSegmentTag(tag) || _DAMAGED_ENVELOPE_TAGS.has(tag);
+}
+
+/**
+ * Envelope tag a segment with a damaged tag must have been, judged by its content
+ * @private
+ */
+function _envelopeSignature(seg, state) {
+    const f = seg.fields;
+    const digits = (value) => /^\d+$/.test(value || '');
+
+    // UNB: S001 syntax identifier (UNOA..UNOY) + version, sender, recipient, date/time
+    if (f.length >= 4 && /^UNO[A-Z]$/.test(f[0]?.components[0] || '') && digits(f[0]?.components[1])) return 'UNB';
+    // UNH: reference + S009 message type:version:release:agency
+    const s009 = f[1]?.components || [];
+    if (f.length >= 2 && /^[A-Z]{6}$/.test(s009[0] || '') && s009.length >= 4 && s009[1] && s009[3]) return 'UNH';
+    // UNT / UNZ: count + reference of the open message / interchange
+    if (f.length === 2 && digits(f[0]?.value)) {
+        if (state.messageReference && f[1]?.value === state.messageReference) return 'UNT';
+        if (state.interchangeReference && f[1]?.value === state.interchangeReference) return 'UNZ';
+    }
+    return null;
+}
+
+/**
+ * Tag for diagnostics — non-EDIFACT input ends up as one huge "tag"
+ * @private
+ */
+function _label(tag) {
+    return tag.length > 8 ? `${tag.slice(0, 8)}…` : tag;
+}
+
+// ==================== SEGMENT REPAIRS ====================
+
+/**
+ * Copy of a segment with noise characters removed from tag and values
+ * @private
+ */
+function _withoutNoise(seg) {
+    const clean = (value) => value.replace(_NOISE, '');
+    return {
+        ...seg,
+        tag: clean(seg.tag).trim(),
+        fields: seg.fields.map(field => ({
+            ...field,
+            value: clean(field.value),
+            components: field.components.map(clean),
+            ...(field.repetitions
+                ? { repetitions: field.repetitions.map(r => ({ value: clean(r.value), components: r.components.map(clean) })) }
+                : {})
+        }))
+    };
+}
+
+/**
+ * Tokenize a segment again with another element separator. Positions of
+ * the new parts are moved to where the segment starts in the source.
+ * @private
+ */
+function _retokenize(seg, delimiters, encoding) {
+    const [token] = tokenizeEdifact(seg.raw, delimiters, { encoding, skipUNA: false });
+    const parsed = segmentFromToken(token);
+    const move = (part) => ({
+        ...part,
+        offset: seg.offset + part.offset,
+        byteOffset: seg.byteOffset + part.byteOffset,
+        line: seg.line + part.line - 1,
+        column: part.line === 1 ? seg.column + part.column - 1 : part.column
+    });
+    return {
+        ...seg,
+        tag: parsed.tag,
+        fields: parsed.fields.map(field => ({
+            ...move(field),
+            ...(field.componentLocations ? { componentLocations: field.componentLocations.map(move) } : {})
+        }))
+    };
+}
+
+/**
+ * Remove a foreign segment terminator from the end of the last data value
+ * @private
+ */
+function _withoutTerminator(seg) {
+    const fields = [...seg.fields];
+    const last = fields[fields.length - 1];
+    const components = [...last.components];
+    components[components.length - 1] = components[components.length - 1].slice(0, -1);
+    fields[fields.length - 1] = { ...last, value: last.value.slice(0, -1), components, length: last.length - 1 };
+    return { ...seg, fields, raw: seg.raw.slice(0, -1), length: seg.length - 1 };
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Create a recovery pass over a stream of parsed segments
+ *
+ * @param {object} delimiters - parseUNA() result
+ * @param {object} [options]
+ * @param {string} [options.encoding='utf-8'] - Source encoding (byte offsets of re-tokenized segments)
+ * @param {number} [options.maxDiagnostics=1000] - Diagnostics kept in detail (all are counted)
+ * @returns {{ recover: (segment: object, position: number) => object|null, summary: () => object }}
+ *          recover() returns the repaired segment or null for a dropped fragment
+ */
+export function createSegmentRecovery(delimiters, { encoding = 'utf-8', maxDiagnostics = 1000 } = {}) {
+    const diagnostics = [];
+    let count = 0;
+    const state = { interchangeReference: null, messageReference: null };
+
+    const report = (code, seg, position, message, severity = 'error') => {
+        count++;
+        if (diagnostics.length >= maxDiagnostics) return;
+        diagnostics.push({
+            code,
+            severity,
+            segment: _label(seg.tag),
+            originalTag: _label(seg.originalTag || seg.tag),
+            position,
+            location: sourceLocation(seg),
+            message,
+            suggestion: _SUGGESTIONS[code]
+        });
+    };
+
+    const recover = (segment, position) => {
+        let seg = segment;
+
+        // Control characters / undecodable bytes — drop fragments that carry nothing else
+        const noise = seg.raw.match(_NOISE);
+        if (noise) {
+            const cleaned = _withoutNoise(seg);
+            if (!/[A-Z]/.test(cleaned.tag) || !seg.raw.replace(_NOISE, '').trim()) {
+                report(RECOVERY_CODES.GARBAGE_SKIPPED, { ...seg, tag: '' }, null,
+                    `Skipped ${seg.length} characters without a segment tag`);
+                return null;
+            }
+            seg = { ...cleaned, originalTag: seg.tag };
+            report(RECOVERY_CODES.STRAY_BYTES, seg, position,
+                `Removed ${noise.length} control character(s) or undecodable byte(s) from ${seg.tag}`);
+        }
+
+        // Element separator of another syntax (e.g. "DTM*137:..." with "+" declared)
+        const foreign = /^[A-Z][A-Z0-9]{2}(.)/.exec(seg.tag)?.[1];
+        if (!_TAG.test(seg.tag) && _FOREIGN_SEPARATORS.has(foreign) && foreign !== delimiters.fieldSeparator) {
+            seg = { ..._retokenize(seg, { ...delimiters, fieldSeparator: foreign }, encoding), originalTag: seg.originalTag || seg.tag };
+            report(RECOVERY_CODES.MIXED_DELIMITERS, seg, position,
+                `${seg.tag} separates its elements with "${foreign}" instead of "${delimiters.fieldSeparator}"`);
+        }
+
+        if (seg.unterminated) {
+            const terminator = seg.raw.slice(-1);
+            const released = seg.raw.slice(-2, -1) === delimiters.escapeCharacter;
+            if (seg.fields.length > 0 && _FOREIGN_TERMINATORS.has(terminator) && terminator !== delimiters.segmentTerminator && !released) {
+                seg = _withoutTerminator(seg);
+                report(RECOVERY_CODES.MIXED_DELIMITERS, seg, position,
+                    `${seg.tag} is terminated with "${terminator}" instead of "${delimiters.segmentTerminator}"`);
+            } else {
+                report(RECOVERY_CODES.UNTERMINATED_SEGMENT, seg, position,
+                    `${_label(seg.tag)} has no segment terminator "${delimiters.segmentTerminator}"`);
+            }
+        }
+
+        // Damaged envelope tag (e.g. "NB+UNOB:1+..." or "NH+1+ORDERS:D:96A:UN")
+        if (!isSegmentTag(seg.tag)) {
+            const repaired = _envelopeSignature(seg, state);
+            if (repaired) {
+                seg = { ...seg, tag: repaired, originalTag: seg.originalTag || seg.tag };
+                report(RECOVERY_CODES.TAG_REPAIRED, seg, position,
+                    `Segment tag "${seg.originalTag}" restored as ${repaired} from its content`);
+            }
+        }
+
+        if (seg.tag === 'UNB') state.interchangeReference = seg.fields[4]?.value || null;
+        if (seg.tag === 'UNH') state.messageReference = seg.fields[0]?.value || null;
+        if (seg.tag === 'UNT') state.messageReference = null;
+
+        if (seg !== segment) {
+            const { originalTag, ...repaired } = seg;
+            return repaired;
+        }
+        return seg;
+    };
+
+    return {
+        recover,
+        summary: () => ({ count, truncated: count > diagnostics.length, diagnostics })
+    };
+}
+
+/**
+ * Run the recovery pass over a complete segment list
+ *
+ * @param {object[]} segments - Parsed segments (segmentFromToken() shape)
+ * @param {object} delimiters - parseUNA() result
+ * @param {object} [options] - See createSegmentRecovery()
+ * @returns {{ segments: object[], count: number, truncated: boolean, diagnostics: object[] }}
+ *          segments are renumbered (position) after dropped fragments
+ */
+export function recoverSegments(segments, delimiters, options) {
+    const recovery = createSegmentRecovery(delimiters, options);
+    const recovered = [];
+    for (const seg of segments) {
+        const result = recovery.recover(seg, recovered.length + 1);
+        if (result) recovered.push({ ...result, position: recovered.length + 1 });
+    }
+    return { segments: recovered, ...recovery.summary() };
+}
+
+export default { RECOVERY_CODES, isSegmentTag, startsSegment, createSegmentRecovery, recoverSegments };
@@ -0,0 +1,217 @@
+/**
+ * Re-send Detection Across Uploads
+ * ================================
+ * Keys and matching rules for the per-user registry of uploaded interchanges
+ * (EdifactRegistryEntry). The validator finds duplicates inside one file
+ * (ENV_009 and friends); this module compares a new upload with the keys of
+ * earlier uploads:
+ *
+ *   - interchange — same UNB sender, recipient and control reference
+ *                   (the whole interchange was sent again)
+ *   - message     — additionally the same UNH message reference
+ *   - document    — same message type and BGM document number from the same
+ *                   sender to the same recipient under a different envelope
+ *                   (the document was re-enveloped and sent again)
+ *
+ * Documents whose BGM message function declares a repetition (replacement,
+ * change, cancellation, duplicate, copy) are reported as declared, not as
+ * possible re-sends.
+ *
+ * Works on EDIFACT and X12 analysis results (interchange + messages).
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const RESEND_KINDS = {
+    INTERCHANGE: 'interchange',
+    MESSAGE: 'message',
+    DOCUMENT: 'document'
+};
+
+// BGM 1225 message function codes that announce a repeated document number
+export const DECLARED_REPETITIONS = {
+    1: 'cancellation',
+    3: 'deletion',
+    4: 'change',
+    5: 'replacement',
+    7: 'duplicate',
+    31: 'copy'
+};
+
+// ==================== KEYS ====================
+
+/**
+ * Registry keys of an analysis result
+ *
+ * @param {object} analysis - buildAnalysis()/buildX12Analysis() result
+ * @returns {{ interchange: { sender, receiver, controlReference }, messages: object[] }}
+ *          messages: [{ messageIndex, messageReference, messageType, documentNumber, documentFunction }]
+ */
+export function registryKeysFromAnalysis(analysis) {
+    const interchange = {
+        sender: analysis?.interchange?.sender || '',
+        receiver: analysis?.interchange?.receiver || '',
+        controlReference: analysis?.interchange?.controlReference || ''
+    };
+    const messages = Array.isArray(analysis?.messages) && analysis.messages.length > 0
+        ? analysis.messages
+        : (analysis?.messageHeader ? [{ index: 0, messageHeader: analysis.messageHeader, businessData: analysis.businessData }] : []);
+
+    return {
+        interchange,
+        messages: messages.map((message, i) => ({
+            messageIndex: Number.isInteger(message.index) ? message.index : i,
+            messageReference: message.messageHeader?.messageReference || '',
+            messageType: message.messageHeader?.messageType || '',
+            documentNumber: message.businessData?.documentNumber || '',
+            documentFunction: message.businessData?.documentFunction || ''
+        }))
+    };
+}
+
+/**
+ * Registry keys of parsed UN/EDIFACT segments (UNB, UNH, BGM)
+ *
+ * @param {object[]} segments - parseRawEdifact() segments
+ * @returns {{ interchange: object, messages: object[] }} See registryKeysFromAnalysis()
+ */
+export function registryKeysFromSegments(segments) {
+    const unb = (segments || []).find(s => s.tag === 'UNB');
+    const interchange = {
+        sender: unb?.fields[1]?.components[0] || '',
+        receiver: unb?.fields[2]?.components[0] || '',
+        controlReference: unb?.fields[4]?.value || ''
+    };
+
+    const messages = [];
+    let current = null;
+    for (const segment of segments || []) {
+        if (segment.tag === 'UNH') {
+            current = {
+                messageIndex: messages.length,
+                messageReference: segment.fields[0]?.value || '',
+                messageType: segment.fields[1]?.components[0] || '',
+                documentNumber: '',
+                documentFunction: ''
+            };
+            messages.push(current);
+        } else if (segment.tag === 'BGM' && current && !current.documentNumber) {
+            current.documentNumber = segment.fields[1]?.components[0] || '';
+            current.documentFunction = segment.fields[2]?.value || '';
+        } else if (segment.tag === 'UNT') {
+            current = null;
+        }
+    }
+    return { interchange, messages };
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Compare the keys of a new upload with earlier registry entries
+ *
+ * @param {object} keys - registryKeysFromAnalysis()/registryKeysFromSegments() result
+ * @param {object[]} earlier - Registry entries of other uploads of the same owner:
+ *        { chatId, fileId, sender, receiver, controlReference, messageReference, messageType,
+ *          documentNumber, createdAt, chat?: { name }, file?: { originalName } }
+ * @returns {object} { possibleResend, interchange: source[], messages: [{ messageIndex, messageReference,
+ *          messageType, documentNumber, kind, declared, earlier: source[] }] }
+ *          source = { chatId, chatName, fileId, fileName, controlReference, messageReference, registeredAt }
+ */
+export function findResends(keys, earlier = []) {
+    const { interchange } = keys;
+    const sameInterchange = (entry) => Boolean(interchange.controlReference)
+        && entry.sender === interchange.sender
+        && entry.receiver === interchange.receiver
+        && entry.controlReference === interchange.controlReference;
+
+    const interchangeEntries = earlier.filter(sameInterchange);
+
+    const messages = [];
+    for (const message of keys.messages) {
+        const sameMessage = interchangeEntries.filter(e => message.messageReference && e.messageReference === message.messageReference);
+        const sameDocument = message.documentNumber
+            ? earlier.filter(e => !sameInterchange(e)
+                && e.sender === interchange.sender
+                && e.receiver === interchange.receiver
+                && e.messageType === message.messageType
+                && e.documentNumber === message.documentNumber)
+            : [];
+
+        if (sameMessage.length === 0 && sameDocument.length === 0) continue;
+        messages.push({
+            messageIndex: message.messageIndex,
+            messageReference: message.messageReference,
+            messageType: message.messageType,
+            documentNumber: message.documentNumber,
+            kind: sameMessage.length > 0 ? RESEND_KINDS.MESSAGE : RESEND_KINDS.DOCUMENT,
+            declared: DECLARED_REPETITIONS[message.documentFunction] || null,
+            earlier: _sources(sameMessage.length > 0 ? sameMessage : sameDocument)
+        });
+    }
+
+    return {
+        possibleResend: interchangeEntries.length > 0 || messages.some(m => !m.declared),
+        interchange: _sources(interchangeEntries),
+        messages
+    };
+}
+
+/**
+ * Lines for the LLM context of the analysis
+ *
+ * @param {object} resends - findResends() result
+ * @returns {string[]} Empty without matches
+ */
+export function describeResends(resends) {
+    if (!resends || (resends.interchange.length === 0 && resends.messages.length === 0)) return [];
+
+    const lines = ['\nPossible re-send (earlier uploads of this user):'];
+    for (const source of resends.interchange) {
+        lines.push(`- Same interchange (control reference ${source.controlReference}) as "${source.fileName}" in chat "${source.chatName}"`);
+    }
+    for (const message of resends.messages.slice(0, 20)) {
+        const [first] = message.earlier;
+        const what = message.kind === RESEND_KINDS.MESSAGE
+            ? `Message ${message.messageReference}`
+            : `${message.messageType} #${message.documentNumber}`;
+        const note = message.declared ? ` (declared as ${message.declared})` : '';
+        lines.push(`- ${what}${note} also in "${first.fileName}" in chat "${first.chatName}"`);
+    }
+    return lines;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Earlier uploads of matching entries, one per file, oldest first
+ * @private
+ */
+function _sources(entries) {
+    const byFile = new Map();
+    for (const entry of entries) {
+        const key = entry.fileId || entry.chatId;
+        if (byFile.has(key)) continue;
+        byFile.set(key, {
+            chatId: entry.chatId,
+            chatName: entry.chat?.name || '',
+            fileId: entry.fileId || null,
+            fileName: entry.file?.originalName || '',
+            controlReference: entry.controlReference,
+            messageReference: entry.messageReference || null,
+            registeredAt: entry.createdAt instanceof Date ? entry.createdAt.toISOString() : entry.createdAt || null
+        });
+    }
+    return [...byFile.values()].sort((a, b) => String(a.registeredAt).localeCompare(String(b.registeredAt)));
+}
+
+export default {
+    RESEND_KINDS,
+    DECLARED_REPETITIONS,
+    registryKeysFromAnalysis,
+    registryKeysFromSegments,
+    findResends,
+    describeResends
+};
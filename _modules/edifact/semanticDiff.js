@@ -0,0 +1,428 @@
+/**
+ * EDIFACT Semantic Diff
+ * =====================
+ * File-level comparison of two interchanges. Unlike a text diff, segments
+ * are aligned by meaning: messages by type and document number (BGM), and
+ * segments by their segment group path and qualifier, so a removed line
+ * does not shift every following segment.
+ *
+ * Segment keys (per message):
+ *   SG2:NAD+DP                   — party group of the delivery party
+ *   SG25:LIN 3/QTY+21            — ordered quantity of line 3
+ *   SG25:LIN 3/SG33:TAX+7#2      — second tax group of line 3
+ * The key is the chain of group triggers (sgParent from structures.js) plus
+ * the segment's tag and qualifier; repeats get an occurrence number.
+ *
+ * Volatile envelope data (control references, preparation date/time,
+ * message reference and the UNT/UNE/UNZ counts) is not compared by default.
+ * Numeric components that differ only in notation (10 vs 10.00) are equal.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+import { resolveSegmentGroups } from './structures.js';
+import { parseEdifactNumber } from './numeric.js';
+import { getDirectory, getSegmentDefinition, normalizeDirectory, parseFormat } from './directory/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const DIFF_CHANGES = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed'
+};
+
+// Element positions (0-based) that change with every transmission
+export const VOLATILE_ELEMENTS = {
+    UNB: [3, 4],
+    UNG: [3, 4],
+    UNH: [0],
+    UNT: [0, 1],
+    UNE: [0, 1],
+    UNZ: [0, 1],
+    UIB: [1],
+    UIH: [1],
+    UIT: [0, 1],
+    UIZ: [0, 1]
+};
+
+const _ENVELOPE_KEY = 'envelope';
+const _MESSAGE_START = ['UNH', 'UIH'];
+const _MESSAGE_END = ['UNT', 'UIT'];
+
+// Segments whose first element is a value, not a qualifier
+const _UNQUALIFIED_TAGS = new Set(['UNA', 'UNB', 'UNG', 'UNH', 'UNT', 'UNE', 'UNZ', 'UIB', 'UIH', 'UIT', 'UIZ', 'PAC', 'CPS', 'LIN']);
+
+// ==================== DIFF ====================
+
+/**
+ * Compare two parsed interchanges
+ *
+ * @param {object[]} leftSegments - Parsed segments of the original file
+ * @param {object[]} rightSegments - Parsed segments of the changed file
+ * @param {object} [options]
+ * @param {object} [options.leftNumeric] - numericOptions() of the original file
+ * @param {object} [options.rightNumeric] - numericOptions() of the changed file
+ * @param {boolean} [options.ignoreEnvelope=true] - Skip VOLATILE_ELEMENTS
+ * @param {string[]} [options.ignore] - Segments to skip entirely: 'TAG' or 'TAG+qualifier' (e.g. 'DTM+137')
+ * @param {boolean} [options.rows=false] - Include the aligned segment rows per message (side-by-side view)
+ * @returns {{ messages: object[], changes: object[], summary: object }}
+ *          messages: { key, label, messageType, status, left, right, changes, rows? }
+ *          changes:  { type, message, messageKey, key, label, tag, left, right, elements }
+ */
+export function diffInterchanges(leftSegments, rightSegments, {
+    leftNumeric = {},
+    rightNumeric = {},
+    ignoreEnvelope = true,
+    ignore = [],
+    rows = false
+} = {}) {
+    const ignored = new Set(ignore.map(k => String(k).toUpperCase()));
+    const left = _splitUnits(leftSegments, ignored);
+    const right = _splitUnits(rightSegments, ignored);
+    const context = { leftNumeric, rightNumeric, ignoreEnvelope };
+
+    const messages = _alignUnits(left, right).map(([l, r]) => {
+        const unit = l || r;
+        const result = {
+            key: unit.key,
+            label: unit.label,
+            messageType: unit.messageType,
+            status: !l ? DIFF_CHANGES.ADDED : !r ? DIFF_CHANGES.REMOVED : 'matched',
+            left: l ? _unitInfo(l) : null,
+            right: r ? _unitInfo(r) : null,
+            changes: []
+        };
+        const aligned = _alignSegments(l?.entries || [], r?.entries || []);
+        const dictionary = _dictionary(unit);
+
+        for (const row of aligned) {
+            const change = _compareRow(row, unit, dictionary, context);
+            row.type = change ? change.type : 'equal';
+            if (change) result.changes.push(change);
+        }
+        if (rows) {
+            result.rows = aligned.map(row => ({
+                type: row.type,
+                key: row.key,
+                label: row.label,
+                left: row.left ? { position: row.left.segment.position, raw: row.left.segment.raw } : null,
+                right: row.right ? { position: row.right.segment.position, raw: row.right.segment.raw } : null
+            }));
+        }
+        return result;
+    });
+
+    const changes = messages.flatMap(m => m.changes);
+    const count = (type) => changes.filter(c => c.type === type).length;
+    return {
+        messages,
+        changes,
+        summary: {
+            messages: {
+                left: left.filter(u => u.key !== _ENVELOPE_KEY).length,
+                right: right.filter(u => u.key !== _ENVELOPE_KEY).length,
+                added: messages.filter(m => m.status === DIFF_CHANGES.ADDED).length,
+                removed: messages.filter(m => m.status === DIFF_CHANGES.REMOVED).length
+            },
+            added: count(DIFF_CHANGES.ADDED),
+            removed: count(DIFF_CHANGES.REMOVED),
+            changed: count(DIFF_CHANGES.CHANGED),
+            elementChanges: changes.reduce((sum, c) => sum + c.elements.length, 0),
+            identical: changes.length === 0
+        }
+    };
+}
+
+// ==================== UNITS (ENVELOPE + MESSAGES) ====================
+
+/**
+ * Split segments into the envelope and one unit per message, with segment keys
+ * @private
+ */
+function _splitUnits(segments, ignored) {
+    const { paths } = resolveSegmentGroups(segments);
+    const envelope = { key: _ENVELOPE_KEY, label: 'Interchange envelope', messageType: null, entries: [], byPosition: new Map(), counts: new Map() };
+    const units = [envelope];
+    let current = null;
+    let sequence = 0;
+
+    segments.forEach((segment, i) => {
+        if (_MESSAGE_START.includes(segment.tag)) {
+            const msgId = segment.fields[1]?.components || [];
+            current = {
+                key: null,
+                label: null,
+                messageType: msgId[0] || '',
+                directory: normalizeDirectory(msgId[1], msgId[2]),
+                reference: segment.fields[0]?.value || '',
+                documentNumber: '',
+                index: sequence++,
+                entries: [],
+                byPosition: new Map(),
+                counts: new Map()
+            };
+            units.push(current);
+        }
+        const unit = current || envelope;
+        if (unit === current && segment.tag === 'BGM' && !unit.documentNumber) {
+            unit.documentNumber = segment.fields[1]?.components?.[0] || '';
+        }
+
+        const identity = _identity(segment);
+        if (!ignored.has(segment.tag) && !ignored.has(identity.id)) {
+            const parent = unit.byPosition.get(paths[i]?.sgParent) || null;
+            const group = _triggeredGroup(paths[i]?.sgPath);
+            const base = `${parent ? `${parent.key}/` : ''}${group ? `${group}:` : ''}${identity.id}`;
+            const occurrence = (unit.counts.get(base) || 0) + 1;
+            unit.counts.set(base, occurrence);
+
+            const entry = {
+                segment,
+                key: occurrence > 1 ? `${base}#${occurrence}` : base,
+                label: parent ? `${parent.label} ${identity.label}` : identity.label
+            };
+            unit.entries.push(entry);
+            unit.byPosition.set(segment.position, entry);
+        }
+
+        if (_MESSAGE_END.includes(segment.tag)) current = null;
+    });
+
+    // Messages are keyed by type and document number; the sequence breaks ties
+    const seen = new Map();
+    for (const unit of units.slice(1)) {
+        const base = `${unit.messageType} ${unit.documentNumber || `#${unit.index + 1}`}`;
+        const occurrence = (seen.get(base) || 0) + 1;
+        seen.set(base, occurrence);
+        unit.key = occurrence > 1 ? `${base}#${occurrence}` : base;
+        unit.label = `${unit.messageType}${unit.documentNumber ? ` ${unit.documentNumber}` : ''} (message ${unit.index + 1})`;
+    }
+    return units;
+}
+
+/**
+ * Pair units by key; unmatched units of the same type are paired in order
+ * (a changed document number is a change, not a replaced message)
+ * @private
+ */
+function _alignUnits(left, right) {
+    const pairs = [];
+    const rightByKey = new Map(right.map(u => [u.key, u]));
+    const used = new Set();
+    const unmatched = [];
+
+    for (const l of left) {
+        const r = rightByKey.get(l.key);
+        if (r) {
+            pairs.push([l, r]);
+            used.add(r);
+        } else {
+            unmatched.push(l);
+        }
+    }
+    const remaining = right.filter(r => !used.has(r));
+    for (const l of unmatched) {
+        const index = remaining.findIndex(r => r.messageType === l.messageType);
+        pairs.push([l, index >= 0 ? remaining.splice(index, 1)[0] : null]);
+    }
+    for (const r of remaining) pairs.push([null, r]);
+
+    const order = (pair) => (pair[0] || pair[1]).index ?? -1;
+    return pairs.sort((a, b) => order(a) - order(b));
+}
+
+/**
+ * Message info for the result (no segments)
+ * @private
+ */
+function _unitInfo(unit) {
+    return {
+        index: unit.index ?? null,
+        reference: unit.reference || null,
+        documentNumber: unit.documentNumber || null,
+        segmentCount: unit.entries.length
+    };
+}
+
+// ==================== SEGMENT ALIGNMENT ====================
+
+/**
+ * Align the segments of two units by key, in document order.
+ * Unmatched right segments are placed before the next matched pair.
+ * @private
+ */
+function _alignSegments(leftEntries, rightEntries) {
+    const rightIndex = new Map(rightEntries.map((e, i) => [e.key, i]));
+    const matched = new Set();
+    const rows = [];
+    let next = 0;
+
+    const flushRight = (until) => {
+        for (; next < until; next++) {
+            if (matched.has(next)) continue;
+            const entry = rightEntries[next];
+            rows.push({ key: entry.key, label: entry.label, left: null, right: entry });
+            matched.add(next);
+        }
+    };
+
+    for (const entry of leftEntries) {
+        const index = rightIndex.get(entry.key);
+        if (index === undefined || matched.has(index)) {
+            rows.push({ key: entry.key, label: entry.label, left: entry, right: null });
+            continue;
+        }
+        flushRight(index);
+        matched.add(index);
+        next = Math.max(next, index + 1);
+        rows.push({ key: entry.key, label: entry.label, left: entry, right: rightEntries[index] });
+    }
+    flushRight(rightEntries.length);
+    return rows;
+}
+
+// ==================== SEGMENT COMPARISON ====================
+
+/**
+ * Change record for one aligned row, or null when both sides are equal
+ * @private
+ */
+function _compareRow(row, unit, dictionary, context) {
+    const base = {
+        messageKey: unit.key,
+        key: row.key,
+        label: row.label,
+        tag: (row.left || row.right).segment.tag,
+        left: row.left ? { position: row.left.segment.position, raw: row.left.segment.raw } : null,
+        right: row.right ? { position: row.right.segment.position, raw: row.right.segment.raw } : null
+    };
+    if (!row.right) {
+        return { ...base, type: DIFF_CHANGES.REMOVED, message: `${row.label} removed`, elements: [] };
+    }
+    if (!row.left) {
+        return { ...base, type: DIFF_CHANGES.ADDED, message: `${row.label} added`, elements: [] };
+    }
+
+    const elements = _compareElements(row.left.segment, row.right.segment, dictionary, context);
+    if (elements.length === 0) return null;
+
+    const message = elements.length === 1
+        ? `${row.label} ${elements[0].name} changed ${_display(elements[0].left)} → ${_display(elements[0].right)}`
+        : `${row.label} changed: ${elements.map(e => `${e.name} ${_display(e.left)} → ${_display(e.right)}`).join(', ')}`;
+    return { ...base, type: DIFF_CHANGES.CHANGED, message, elements };
+}
+
+/**
+ * Component-level differences of two segments with the same key
+ * @private
+ */
+function _compareElements(left, right, dictionary, { leftNumeric, rightNumeric, ignoreEnvelope }) {
+    const definition = getSegmentDefinition(dictionary, left.tag);
+    const volatile = ignoreEnvelope ? VOLATILE_ELEMENTS[left.tag] || [] : [];
+    const differences = [];
+    const fieldCount = Math.max(left.fields.length, right.fields.length);
+
+    for (let e = 0; e < fieldCount; e++) {
+        if (volatile.includes(e)) continue;
+        const l = left.fields[e]?.components || [];
+        const r = right.fields[e]?.components || [];
+        const element = definition?.elements[e];
+
+        for (let c = 0; c < Math.max(l.length, r.length); c++) {
+            const before = l[c] || '';
+            const after = r[c] || '';
+            if (before === after) continue;
+
+            const component = element?.components ? element.components[c] : (c === 0 ? element : null);
+            if (_sameNumber(before, after, component, leftNumeric, rightNumeric)) continue;
+
+            differences.push({
+                elementPosition: e + 1,
+                componentPosition: c + 1,
+                name: _elementName(left, right, e, c, element, component),
+                left: before || null,
+                right: after || null
+            });
+        }
+    }
+    return differences;
+}
+
+/**
+ * True if both values are numbers of a numeric data element with the same value
+ * @private
+ */
+function _sameNumber(before, after, component, leftNumeric, rightNumeric) {
+    if (!before || !after || parseFormat(component?.format)?.type !== 'n') return false;
+    const a = parseEdifactNumber(before, leftNumeric);
+    const b = parseEdifactNumber(after, rightNumeric);
+    return Boolean(a?.valid && b?.valid && a.value === b.value);
+}
+
+/**
+ * Business name of an element/component: GLN and GTIN where the code list
+ * agency or item type says so, else the directory name
+ * @private
+ */
+function _elementName(left, right, e, c, element, component) {
+    const agency = (seg) => seg.fields[e]?.components?.[2];
+    if (element?.id === 'C082' && c === 0 && (agency(left) === '9' || agency(right) === '9')) return 'GLN';
+    if (element?.id === 'C212' && c === 0) {
+        const type = left.fields[e]?.components?.[1] || right.fields[e]?.components?.[1];
+        if (type === 'EN' || type === 'SRV') return 'GTIN';
+    }
+    if (component?.name) return component.name;
+    if (element?.name) return `${element.name} (${c + 1})`;
+    return `element ${e + 1}${c > 0 ? `:${c + 1}` : ''}`;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Segment identity within its parent: tag plus qualifier (first component of
+ * the first element), LIN by line number
+ * @private
+ */
+function _identity(segment) {
+    const first = segment.fields[0]?.components?.[0] || '';
+    if (segment.tag === 'LIN') {
+        const line = first || segment.fields[2]?.components?.[0] || '';
+        return { id: `LIN ${line}`, label: `line ${line}` };
+    }
+    if (_UNQUALIFIED_TAGS.has(segment.tag) || !first) {
+        return { id: segment.tag, label: segment.tag };
+    }
+    return { id: `${segment.tag}+${first}`, label: `${segment.tag}+${first}` };
+}
+
+/**
+ * Group id when the segment is the trigger of a group ('SG25/LIN' → 'SG25')
+ * @private
+ */
+function _triggeredGroup(sgPath) {
+    const parts = (sgPath || '').split('/');
+    return parts.length >= 2 && /^SG\d+$/.test(parts[parts.length - 2]) ? parts[parts.length - 2] : null;
+}
+
+/**
+ * Directory for element names; D.96A names when the message has none
+ * @private
+ */
+function _dictionary(unit) {
+    return getDirectory(unit.directory || 'D96A');
+}
+
+/**
+ * Value for messages ('' shown as empty)
+ * @private
+ */
+function _display(value) {
+    return value === null || value === '' ? '(empty)' : value;
+}
+
+export default {
+    DIFF_CHANGES,
+    VOLATILE_ELEMENTS,
+    diffInterchanges
+};
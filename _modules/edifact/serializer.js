@@ -0,0 +1,384 @@
+/**
+ * EDIFACT Serializer
+ * ==================
+ * Counterpart to parser.js: turns structured segments into EDIFACT text.
+ *
+ * - Writes the UNA service string advice for the chosen delimiters
+ * - Escapes service characters in data with the release character
+ * - Builds UNB/UNH..UNT/UNZ around plain message bodies and computes
+ *   segment counts, message counts and control references
+ * - Pretty output (one segment per line) or a single line
+ *
+ * Element notation (segment.elements[i]):
+ *   'value'                      simple element
+ *   ['137', '20240101', '102']   composite (components)
+ *   [['85', '20240101'], ['ZDS']] occurrences of a repeated element (syntax version 4, normalized form)
+ *   { repetitions: [...] }       repeated element, each entry a simple or composite value
+ *   { components, repetitions? } field from parseRawEdifact() — parser output can be serialized directly
+ *
+ * Guarantee: parseRawEdifact(serialize(x)) yields x again, up to what
+ * ISO 9735 treats as layout (trailing empty elements/components and
+ * trailing blanks of a segment are omitted).
+ */
+
+import { parseUNA, parseRawEdifact } from './parser.js';
+
+// ==================== CONSTANTS ====================
+
+const _TAG_PATTERN = /^[A-Z][A-Z0-9]{2}$/;
+
+const _ENVELOPE_TAGS = new Set(['UNA', 'UNB', 'UNH', 'UNT', 'UNZ']);
+
+// ==================== DELIMITERS ====================
+
+/**
+ * Resolve the delimiters to write with.
+ * Syntax version 4 defaults the repetition separator to "*"; version 3
+ * keeps the reserved blank.
+ *
+ * @param {object} [delimiters] - Partial delimiter overrides (parseUNA() shape)
+ * @param {string} [syntaxVersion='4']
+ * @returns {object} Complete delimiter set
+ */
+export function resolveDelimiters(delimiters = {}, syntaxVersion = '4') {
+    const defaults = parseUNA('');
+    const resolved = {
+        ...defaults,
+        reserved: syntaxVersion === '4' ? '*' : defaults.reserved,
+        ...Object.fromEntries(Object.entries(delimiters).filter(([, v]) => v !== undefined && v !== null))
+    };
+    if (delimiters.repetitionSeparator) resolved.reserved = delimiters.repetitionSeparator;
+
+    const service = [resolved.componentSeparator, resolved.fieldSeparator, resolved.escapeCharacter, resolved.segmentTerminator];
+    if (resolved.reserved !== ' ') service.push(resolved.reserved);
+    if (service.some(c => typeof c !== 'string' || c.length !== 1)) {
+        throw new Error('Delimiters must be single characters');
+    }
+    if (new Set(service).size !== service.length) {
+        throw new Error(`Delimiters must be distinct: ${service.join(' ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Build the UNA service string advice for a delimiter set
+ * @param {object} delimiters - Resolved delimiters
+ * @returns {string} e.g. "UNA:+.? '"
+ */
+export function serializeUNA(delimiters) {
+    const d = delimiters;
+    return `UNA${d.componentSeparator}${d.fieldSeparator}${d.decimalNotation}${d.escapeCharacter}${d.reserved}${d.segmentTerminator}`;
+}
+
+// ==================== VALUES ====================
+
+/**
+ * Escape service characters in a data value with the release character
+ * @param {string|number} value
+ * @param {object} delimiters - Resolved delimiters
+ * @returns {string}
+ */
+export function escapeValue(value, delimiters) {
+    const text = _valueToString(value, delimiters);
+    if (/[\r\n]/.test(text)) {
+        throw new Error(`Line breaks cannot be represented in EDIFACT data: "${text.slice(0, 40)}"`);
+    }
+
+    const { componentSeparator, fieldSeparator, escapeCharacter, segmentTerminator, reserved } = delimiters;
+    let out = '';
+    for (const char of text) {
+        if (char === componentSeparator || char === fieldSeparator || char === escapeCharacter
+            || char === segmentTerminator || (reserved !== ' ' && char === reserved)) {
+            out += escapeCharacter;
+        }
+        out += char;
+    }
+    return out;
+}
+
+/**
+ * Numbers are written with the declared decimal mark
+ * @private
+ */
+function _valueToString(value, delimiters) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Cannot serialize number ${value}`);
+        return String(value).replace('.', delimiters.decimalNotation);
+    }
+    return String(value);
+}
+
+// ==================== NORMALIZATION ====================
+
+/**
+ * Bring any supported element notation into occurrences → components
+ * (string[][]), trailing empty components removed
+ * @private
+ */
+function _normalizeElement(element, delimiters) {
+    let occurrences;
+    if (element && typeof element === 'object' && !Array.isArray(element)) {
+        occurrences = element.repetitions
+            ? element.repetitions.map(r => (r && typeof r === 'object' && !Array.isArray(r) ? r.components : r))
+            : [element.components ?? element.value ?? ''];
+    } else if (Array.isArray(element) && element.length > 0 && element.every(Array.isArray)) {
+        occurrences = element;
+    } else {
+        occurrences = [element];
+    }
+
+    return occurrences.map(occurrence => {
+        const components = (Array.isArray(occurrence) ? occurrence : [occurrence])
+            .map(c => _valueToString(c, delimiters));
+        while (components.length > 0 && components[components.length - 1] === '') components.pop();
+        return components;
+    });
+}
+
+/**
+ * Normalize a segment: { tag, elements: string[][][] } without trailing
+ * empty elements or trailing blanks (both are layout in ISO 9735)
+ *
+ * @param {object} segment - { tag, elements } or parser output { tag, fields }
+ * @param {object} delimiters - Resolved delimiters
+ * @returns {{ tag: string, elements: string[][][] }}
+ */
+export function normalizeSegment(segment, delimiters) {
+    const tag = String(segment?.tag || '').toUpperCase();
+    if (!_TAG_PATTERN.test(tag)) {
+        throw new Error(`Invalid segment tag "${segment?.tag ?? ''}"`);
+    }
+
+    const elements = (segment.elements || segment.fields || []).map(e => _normalizeElement(e, delimiters));
+    const isEmpty = (el) => el.every(occurrence => occurrence.length === 0);
+    while (elements.length > 0 && isEmpty(elements[elements.length - 1])) elements.pop();
+
+    // The parser drops blanks before the segment terminator
+    const last = elements[elements.length - 1];
+    if (last) {
+        const occurrence = last[last.length - 1];
+        if (occurrence.length > 0) {
+            occurrence[occurrence.length - 1] = occurrence[occurrence.length - 1].replace(/\s+$/, '');
+            while (occurrence.length > 0 && occurrence[occurrence.length - 1] === '') occurrence.pop();
+            if (isEmpty(last)) elements.pop();
+        }
+    }
+
+    return { tag, elements };
+}
+
+// ==================== SEGMENTS ====================
+
+/**
+ * Serialize one segment (without terminator)
+ *
+ * @param {object} segment - { tag, elements } (see element notation above)
+ * @param {object} delimiters - Resolved delimiters
+ * @returns {string} e.g. "DTM+137:20240101:102"
+ */
+export function serializeSegment(segment, delimiters) {
+    const { tag, elements } = normalizeSegment(segment, delimiters);
+    const { componentSeparator, fieldSeparator, reserved } = delimiters;
+
+    const parts = [tag];
+    for (const occurrences of elements) {
+        if (occurrences.length > 1 && reserved === ' ') {
+            throw new Error(`${tag}: repeated elements need a repetition separator (syntax version 4)`);
+        }
+        parts.push(occurrences
+            .map(components => components.map(c => escapeValue(c, delimiters)).join(componentSeparator))
+            .join(reserved));
+    }
+    return parts.join(fieldSeparator);
+}
+
+/**
+ * Serialize a list of segments into EDIFACT text
+ *
+ * @param {object[]} segments - Segments in { tag, elements } or parser notation
+ * @param {object} [options]
+ * @param {object} [options.delimiters] - Delimiter overrides
+ * @param {string} [options.syntaxVersion='4'] - Picks the default repetition separator
+ * @param {boolean} [options.una=true] - Write the UNA service string advice
+ * @param {boolean} [options.pretty=true] - One segment per line instead of a single line
+ * @returns {string} EDIFACT text
+ */
+export function serializeSegments(segments, { delimiters, syntaxVersion = '4', una = true, pretty = true } = {}) {
+    const resolved = resolveDelimiters(delimiters, syntaxVersion);
+    const separator = pretty ? '\n' : '';
+    const lines = [];
+    if (una) lines.push(serializeUNA(resolved));
+    for (const segment of segments) {
+        if (segment.tag === 'UNA') continue;
+        lines.push(serializeSegment(segment, resolved) + resolved.segmentTerminator);
+    }
+    return lines.join(separator) + (pretty ? '\n' : '');
+}
+
+// ==================== ENVELOPE ====================
+
+/**
+ * Recompute envelope counts and references in place:
+ * UNT gets the UNH..UNT segment count and the UNH reference,
+ * UNE/UNZ get their message (or group) count and the UNG/UNB reference.
+ *
+ * @param {object[]} segments - Normalized segments ({ tag, elements: string[][][] })
+ * @returns {object[]} The same array
+ */
+export function recountEnvelope(segments) {
+    let unb = null;
+    let ung = null;
+    let unhIndex = -1;
+    let messageCount = 0;
+    let groupCount = 0;
+    let groupMessages = 0;
+    const setElement = (segment, index, value) => {
+        while (segment.elements.length <= index) segment.elements.push([[]]);
+        segment.elements[index] = [[String(value)]];
+    };
+    const firstValue = (segment, index) => segment?.elements[index]?.[0]?.[0] || '';
+
+    segments.forEach((segment, index) => {
+        switch (segment.tag) {
+            case 'UNB':
+                unb = segment;
+                messageCount = 0;
+                groupCount = 0;
+                break;
+            case 'UNG':
+                ung = segment;
+                groupCount++;
+                groupMessages = 0;
+                break;
+            case 'UNH':
+                unhIndex = index;
+                messageCount++;
+                groupMessages++;
+                break;
+            case 'UNT':
+                if (unhIndex < 0) break;
+                setElement(segment, 0, index - unhIndex + 1);
+                setElement(segment, 1, firstValue(segments[unhIndex], 0));
+                unhIndex = -1;
+                break;
+            case 'UNE':
+                if (!ung) break;
+                setElement(segment, 0, groupMessages);
+                setElement(segment, 1, firstValue(ung, 4));
+                ung = null;
+                break;
+            case 'UNZ':
+                setElement(segment, 0, groupCount > 0 ? groupCount : messageCount);
+                if (unb) setElement(segment, 1, firstValue(unb, 4));
+                break;
+        }
+    });
+    return segments;
+}
+
+/**
+ * Build the segments of a complete interchange from an envelope description
+ * and plain message bodies. Counts and references are computed.
+ *
+ * @param {object} model
+ * @param {object} model.interchange - { sender, senderQualifier, receiver, receiverQualifier, syntaxIdentifier='UNOC',
+ *                                      syntaxVersion='4', date, time, controlReference, recipientReference,
+ *                                      applicationReference, testIndicator }
+ * @param {object[]} model.messages - [{ messageType, version='D', release='96A', agency='UN', associationCode, reference, segments }]
+ *                                    segments = message body without UNH/UNT
+ * @param {Date} [now] - Clock for missing date/time
+ * @returns {{ syntaxVersion: string, segments: Array<{ tag, elements: string[][][] }> }}
+ */
+export function buildInterchangeSegments(model, now = new Date()) {
+    const interchange = model?.interchange || {};
+    const messages = model?.messages || [];
+    if (messages.length === 0) throw new Error('An interchange needs at least one message');
+    if (!interchange.sender || !interchange.receiver) throw new Error('Interchange sender and receiver are required');
+
+    const syntaxVersion = String(interchange.syntaxVersion || '4');
+    const iso = now.toISOString();
+    const date = interchange.date || (syntaxVersion === '4'
+        ? iso.slice(0, 10).replace(/-/g, '')
+        : iso.slice(2, 10).replace(/-/g, ''));
+    const time = interchange.time || iso.slice(11, 16).replace(':', '');
+    const controlReference = interchange.controlReference || `${date}${time}`.slice(-14);
+
+    const segments = [{
+        tag: 'UNB',
+        elements: [
+            [interchange.syntaxIdentifier || 'UNOC', syntaxVersion],
+            [interchange.sender, interchange.senderQualifier || ''],
+            [interchange.receiver, interchange.receiverQualifier || ''],
+            [date, time],
+            controlReference,
+            interchange.recipientReference || '',
+            interchange.applicationReference || '',
+            '', '', '',
+            interchange.testIndicator ? '1' : ''
+        ]
+    }];
+
+    messages.forEach((message, index) => {
+        if (!message.messageType) throw new Error(`Message ${index + 1}: messageType is required`);
+        const body = message.segments || [];
+        const envelopeTag = body.find(s => _ENVELOPE_TAGS.has(String(s?.tag || '').toUpperCase()));
+        if (envelopeTag) {
+            throw new Error(`Message ${index + 1}: body must not contain envelope segments (${envelopeTag.tag})`);
+        }
+        segments.push({
+            tag: 'UNH',
+            elements: [
+                message.reference || String(index + 1),
+                [message.messageType, message.version || 'D', message.release || '96A', message.agency || 'UN', message.associationCode || '']
+            ]
+        });
+        segments.push(...body);
+        segments.push({ tag: 'UNT', elements: [] });
+    });
+    segments.push({ tag: 'UNZ', elements: [] });
+
+    const delimiters = resolveDelimiters(model.delimiters, syntaxVersion);
+    return {
+        syntaxVersion,
+        segments: recountEnvelope(segments.map(s => normalizeSegment(s, delimiters)))
+    };
+}
+
+/**
+ * Serialize a complete interchange (UNA, UNB, UNH..UNT per message, UNZ)
+ *
+ * @param {object} model - See buildInterchangeSegments(); model.delimiters overrides the defaults
+ * @param {object} [options] - { una = true, pretty = true, now }
+ * @returns {string} EDIFACT text
+ */
+export function serializeInterchange(model, { una = true, pretty = true, now } = {}) {
+    const { syntaxVersion, segments } = buildInterchangeSegments(model, now);
+    return serializeSegments(segments, { delimiters: model.delimiters, syntaxVersion, una, pretty });
+}
+
+// ==================== ROUND TRIP ====================
+
+/**
+ * Parse serialized text again and compare it with the segments it was built from
+ *
+ * @param {string} text - Output of serializeSegments()/serializeInterchange()
+ * @param {object[]} segments - The segments that were serialized
+ * @param {object} [delimiters] - Delimiters used for serializing
+ * @param {string} [syntaxVersion='4']
+ * @returns {{ ok: boolean, mismatches: Array<{ position, expected, actual }> }}
+ */
+export function verifyRoundTrip(text, segments, delimiters, syntaxVersion = '4') {
+    const resolved = resolveDelimiters(delimiters, syntaxVersion);
+    const expected = segments.filter(s => s.tag !== 'UNA').map(s => normalizeSegment(s, resolved));
+    const actual = parseRawEdifact(text).segments.map(s => normalizeSegment(s, resolved));
+
+    const mismatches = [];
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length && mismatches.length < 20; i++) {
+        const a = JSON.stringify(expected[i] || null);
+        const b = JSON.stringify(actual[i] || null);
+        if (a !== b) mismatches.push({ position: i + 1, expected: expected[i] || null, actual: actual[i] || null });
+    }
+    return { ok: mismatches.length === 0, mismatches };
+}
@@ -0,0 +1,610 @@
+/**
+ * EDIFACT Message Structures (Branching Diagrams)
+ * ===============================================
+ * Machine-readable segment tables for the most common trade messages and a
+ * structure-aware resolver that assigns every segment of a UNH..UNT message
+ * to its segment group path (e.g. `SG2/NAD/SG5/CTA`, `SG25/LIN/SG26/MOA`).
+ *
+ * Definitions follow the UN/EDIFACT D.96A directory (the base of EANCOM 97).
+ * Only the groups that occur in practice are listed, so group numbers may
+ * skip; the numbers themselves are the directory's. Other directories shift
+ * numbering slightly — the resolver still uses the D.96A diagram for them and
+ * marks the result as not exact.
+ *
+ * Diagram entries:
+ *  { tag, status: 'M'|'C', max }                      — segment
+ *  { group: 'SGn', status, max, children: [...] }     — segment group,
+ *                                                       children[0] is the trigger segment
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+// ==================== DIAGRAM HELPERS ====================
+
+const _s = (tag, status, max) => ({ tag, status, max });
+const _g = (group, status, max, children) => ({ group, status, max, children });
+
+// Groups shared by several messages (RFF-DTM, CTA-COM, ... all look alike)
+const _refGroup = (id, max) => _g(id, 'C', max, [_s('RFF', 'M', 1), _s('DTM', 'C', 5)]);
+const _contactGroup = (id, max) => _g(id, 'C', max, [_s('CTA', 'M', 1), _s('COM', 'C', 5)]);
+const _docGroup = (id, max) => _g(id, 'C', max, [_s('DOC', 'M', 1), _s('DTM', 'C', 5)]);
+const _taxGroup = (id, max) => _g(id, 'C', max, [_s('TAX', 'M', 1), _s('MOA', 'C', 1), _s('LOC', 'C', 5)]);
+const _todGroup = (id, max) => _g(id, 'C', max, [_s('TOD', 'M', 1), _s('LOC', 'C', 2)]);
+const _rangeGroup = (id, tag, max) => _g(id, 'C', max, [_s(tag, 'M', 1), _s('RNG', 'C', 1)]);
+
+const _allowanceGroup = (id, n, max) => _g(id, 'C', max, [
+    _s('ALC', 'M', 1),
+    _s('ALI', 'C', 5),
+    _s('DTM', 'C', 5),
+    _refGroup(`SG${n + 1}`, 5),
+    _rangeGroup(`SG${n + 2}`, 'QTY', 1),
+    _rangeGroup(`SG${n + 3}`, 'PCD', 1),
+    _rangeGroup(`SG${n + 4}`, 'MOA', 2),
+    _rangeGroup(`SG${n + 5}`, 'RTE', 1),
+    _g(`SG${n + 6}`, 'C', 5, [_s('TAX', 'M', 1), _s('MOA', 'C', 1)])
+]);
+
+const _partyGroup = (id, n, max) => _g(id, 'C', max, [
+    _s('NAD', 'M', 1),
+    _s('LOC', 'C', 25),
+    _s('FII', 'C', 5),
+    _refGroup(`SG${n + 1}`, 9999),
+    _docGroup(`SG${n + 2}`, 5),
+    _contactGroup(`SG${n + 3}`, 5)
+]);
+
+const _transportGroup = (id, n, max) => _g(id, 'C', max, [
+    _s('TDT', 'M', 1),
+    _g(`SG${n + 1}`, 'C', 10, [_s('LOC', 'M', 1), _s('DTM', 'C', 5)])
+]);
+
+const _packageGroup = (id, n, max) => _g(id, 'C', max, [
+    _s('PAC', 'M', 1),
+    _s('MEA', 'C', 5),
+    _s('QTY', 'C', 5),
+    _g(`SG${n + 1}`, 'C', 5, [_s('PCI', 'M', 1), _s('RFF', 'C', 1), _s('DTM', 'C', 5), _s('GIN', 'C', 10)])
+]);
+
+const _paymentGroup = (id, max) => _g(id, 'C', max, [
+    _s('PAT', 'M', 1), _s('DTM', 'C', 5), _s('PCD', 'C', 1), _s('MOA', 'C', 1)
+]);
+
+const _requirementsGroup = (id, max) => _g(id, 'C', max, [
+    _s('RCS', 'M', 1), _s('RFF', 'C', 5), _s('DTM', 'C', 5), _s('FTX', 'C', 5)
+]);
+
+// ==================== MESSAGE DIAGRAMS ====================
+
+const _INVOIC = [
+    _s('UNH', 'M', 1),
+    _s('BGM', 'M', 1),
+    _s('DTM', 'M', 35),
+    _s('PAI', 'C', 1),
+    _s('ALI', 'C', 5),
+    _s('IMD', 'C', 1),
+    _s('FTX', 'C', 10),
+    _refGroup('SG1', 99),
+    _partyGroup('SG2', 2, 99),
+    _taxGroup('SG6', 5),
+    _g('SG7', 'C', 99, [_s('CUX', 'M', 1), _s('DTM', 'C', 5)]),
+    _paymentGroup('SG8', 10),
+    _transportGroup('SG9', 9, 10),
+    _todGroup('SG11', 5),
+    _packageGroup('SG12', 12, 1000),
+    _allowanceGroup('SG14', 14, 15),
+    _requirementsGroup('SG21', 100),
+    _g('SG25', 'C', 9999, [
+        _s('LIN', 'M', 1),
+        _s('PIA', 'C', 25),
+        _s('IMD', 'C', 10),
+        _s('MEA', 'C', 5),
+        _s('QTY', 'C', 5),
+        _s('PCD', 'C', 1),
+        _s('ALI', 'C', 5),
+        _s('DTM', 'C', 35),
+        _s('GIN', 'C', 1000),
+        _s('GIR', 'C', 1000),
+        _s('QVR', 'C', 1),
+        _s('EQD', 'C', 1),
+        _s('FTX', 'C', 5),
+        _g('SG26', 'C', 5, [_s('MOA', 'M', 1), _s('QTY', 'C', 1)]),
+        _paymentGroup('SG27', 10),
+        _g('SG28', 'C', 25, [_s('PRI', 'M', 1), _s('APR', 'C', 1), _s('RNG', 'C', 1)]),
+        _refGroup('SG29', 10),
+        _packageGroup('SG30', 30, 10),
+        _g('SG32', 'C', 9999, [_s('LOC', 'M', 1), _s('QTY', 'C', 100), _s('DTM', 'C', 5)]),
+        _taxGroup('SG33', 99),
+        _partyGroup('SG34', 34, 99),
+        _allowanceGroup('SG38', 38, 15),
+        _transportGroup('SG44', 44, 10),
+        _todGroup('SG46', 5),
+        _requirementsGroup('SG47', 100)
+    ]),
+    _s('UNS', 'M', 1),
+    _s('CNT', 'C', 10),
+    _g('SG48', 'M', 100, [_s('MOA', 'M', 1), _refGroup('SG49', 1)]),
+    _g('SG50', 'C', 10, [_s('TAX', 'M', 1), _s('MOA', 'C', 2)]),
+    _g('SG51', 'C', 15, [_s('ALC', 'M', 1), _s('ALI', 'C', 1), _s('MOA', 'C', 2)]),
+    _s('UNT', 'M', 1)
+];
+
+const _ORDERS = [
+    _s('UNH', 'M', 1),
+    _s('BGM', 'M', 1),
+    _s('DTM', 'M', 35),
+    _s('PAI', 'C', 1),
+    _s('ALI', 'C', 5),
+    _s('IMD', 'C', 1),
+    _s('FTX', 'C', 99),
+    _refGroup('SG1', 9999),
+    _partyGroup('SG2', 2, 99),
+    _taxGroup('SG6', 5),
+    _g('SG7', 'C', 5, [_s('CUX', 'M', 1), _s('PCD', 'C', 5), _s('DTM', 'C', 5)]),
+    _paymentGroup('SG8', 10),
+    _transportGroup('SG9', 9, 10),
+    _todGroup('SG11', 5),
+    _packageGroup('SG12', 12, 99),
+    _g('SG14', 'C', 10, [_s('EQD', 'M', 1), _s('HAN', 'C', 5), _s('MEA', 'C', 5), _s('FTX', 'C', 5)]),
+    _g('SG15', 'C', 10, [
+        _s('SCC', 'M', 1), _s('FTX', 'C', 5), _s('RFF', 'C', 5),
+        _g('SG16', 'C', 10, [_s('QTY', 'M', 1), _s('DTM', 'C', 5)])
+    ]),
+    _allowanceGroup('SG18', 18, 15),
+    _requirementsGroup('SG24', 25),
+    _g('SG25', 'C', 200000, [
+        _s('LIN', 'M', 1),
+        _s('PIA', 'C', 25),
+        _s('IMD', 'C', 99),
+        _s('MEA', 'C', 99),
+        _s('QTY', 'C', 99),
+        _s('PCD', 'C', 5),
+        _s('ALI', 'C', 5),
+        _s('DTM', 'C', 35),
+        _s('MOA', 'C', 10),
+        _s('GIN', 'C', 1000),
+        _s('GIR', 'C', 1000),
+        _s('QVR', 'C', 1),
+        _s('DOC', 'C', 5),
+        _s('PAI', 'C', 1),
+        _s('FTX', 'C', 99),
+        _paymentGroup('SG26', 10),
+        _g('SG28', 'C', 25, [_s('PRI', 'M', 1), _s('CUX', 'C', 1), _s('APR', 'C', 1), _s('RNG', 'C', 1), _s('DTM', 'C', 5)]),
+        _refGroup('SG29', 10),
+        _g('SG30', 'C', 10, [
+            _s('PAC', 'M', 1), _s('MEA', 'C', 5), _s('QTY', 'C', 5), _s('DTM', 'C', 5),
+            _refGroup('SG31', 1),
+            _g('SG32', 'C', 10, [_s('PCI', 'M', 1), _s('RFF', 'C', 1), _s('DTM', 'C', 5), _s('FTX', 'C', 5), _s('GIN', 'C', 10)])
+        ]),
+        _g('SG33', 'C', 9999, [_s('LOC', 'M', 1), _s('QTY', 'C', 1), _s('DTM', 'C', 5)]),
+        _taxGroup('SG34', 10),
+        _partyGroup('SG35', 35, 999),
+        _allowanceGroup('SG39', 39, 99),
+        _transportGroup('SG45', 45, 10),
+        _todGroup('SG47', 5),
+        _g('SG48', 'C', 10, [_s('EQD', 'M', 1), _s('HAN', 'C', 5), _s('MEA', 'C', 5), _s('FTX', 'C', 5)]),
+        _g('SG49', 'C', 100, [
+            _s('SCC', 'M', 1), _s('FTX', 'C', 5), _s('RFF', 'C', 5),
+            _g('SG50', 'C', 100, [_s('QTY', 'M', 1), _s('DTM', 'C', 5)])
+        ]),
+        _requirementsGroup('SG51', 25)
+    ]),
+    _s('UNS', 'M', 1),
+    _s('MOA', 'C', 12),
+    _s('CNT', 'C', 10),
+    _g('SG52', 'C', 15, [_s('ALC', 'M', 1), _s('ALI', 'C', 1), _s('MOA', 'C', 2)]),
+    _s('UNT', 'M', 1)
+];
+
+// Order response mirrors the order layout
+const _ORDRSP = _ORDERS;
+
+const _DESADV = [
+    _s('UNH', 'M', 1),
+    _s('BGM', 'M', 1),
+    _s('DTM', 'C', 10),
+    _s('ALI', 'C', 5),
+    _s('MEA', 'C', 5),
+    _s('MOA', 'C', 5),
+    _refGroup('SG1', 10),
+    _g('SG2', 'C', 99, [
+        _s('NAD', 'M', 1), _s('LOC', 'C', 10),
+        _refGroup('SG3', 10),
+        _contactGroup('SG4', 10)
+    ]),
+    _g('SG5', 'C', 10, [_s('TOD', 'M', 1), _s('LOC', 'C', 5), _s('FTX', 'C', 5)]),
+    _g('SG6', 'C', 10, [
+        _s('TDT', 'M', 1), _s('PCD', 'C', 1),
+        _g('SG7', 'C', 10, [_s('LOC', 'M', 1), _s('DTM', 'C', 5)])
+    ]),
+    _g('SG8', 'C', 10, [_s('EQD', 'M', 1), _s('MEA', 'C', 5), _s('SEL', 'C', 25), _s('EQA', 'C', 5), _s('HAN', 'C', 5)]),
+    _g('SG10', 'C', 9999, [
+        _s('CPS', 'M', 1),
+        _s('FTX', 'C', 5),
+        _g('SG11', 'C', 9999, [
+            _s('PAC', 'M', 1), _s('MEA', 'C', 10), _s('QTY', 'C', 10),
+            _g('SG12', 'C', 10, [_s('HAN', 'M', 1), _s('FTX', 'C', 10)]),
+            _g('SG13', 'C', 1000, [
+                _s('PCI', 'M', 1), _s('RFF', 'C', 1), _s('DTM', 'C', 5), _s('GIR', 'C', 99),
+                _g('SG14', 'C', 99, [_s('GIN', 'M', 1), _s('DLM', 'C', 100)])
+            ])
+        ]),
+        _g('SG17', 'C', 9999, [
+            _s('LIN', 'M', 1),
+            _s('PIA', 'C', 10),
+            _s('IMD', 'C', 25),
+            _s('MEA', 'C', 10),
+            _s('QTY', 'C', 10),
+            _s('ALI', 'C', 10),
+            _s('GIN', 'C', 100),
+            _s('GIR', 'C', 100),
+            _s('DLM', 'C', 100),
+            _s('DTM', 'C', 5),
+            _s('FTX', 'C', 5),
+            _s('MOA', 'C', 5),
+            _refGroup('SG18', 10),
+            _g('SG20', 'C', 9999, [
+                _s('PCI', 'M', 1), _s('DTM', 'C', 1), _s('MEA', 'C', 10), _s('QTY', 'C', 1),
+                _g('SG21', 'C', 99, [_s('GIN', 'M', 1), _s('DLM', 'C', 100)])
+            ]),
+            _g('SG22', 'C', 10, [_s('QVR', 'M', 1), _s('DTM', 'C', 5)])
+        ])
+    ]),
+    _s('CNT', 'C', 5),
+    _s('UNT', 'M', 1)
+];
+
+const _PRICAT = [
+    _s('UNH', 'M', 1),
+    _s('BGM', 'M', 1),
+    _s('DTM', 'C', 35),
+    _s('FTX', 'C', 99),
+    _refGroup('SG1', 99),
+    _g('SG2', 'C', 99, [
+        _s('NAD', 'M', 1), _s('LOC', 'C', 25),
+        _refGroup('SG3', 99),
+        _contactGroup('SG4', 5)
+    ]),
+    _g('SG5', 'C', 5, [_s('CUX', 'M', 1), _s('DTM', 'C', 5)]),
+    _paymentGroup('SG6', 10),
+    _transportGroup('SG7', 7, 10),
+    _todGroup('SG9', 5),
+    _g('SG17', 'C', 99999, [
+        _s('PGI', 'M', 1),
+        _s('DTM', 'C', 5),
+        _s('QTY', 'C', 5),
+        _s('ALI', 'C', 5),
+        _s('FTX', 'C', 99),
+        _g('SG36', 'C', 200000, [
+            _s('LIN', 'M', 1),
+            _s('PIA', 'C', 25),
+            _s('IMD', 'C', 99),
+            _s('MEA', 'C', 99),
+            _s('QTY', 'C', 10),
+            _s('HAN', 'C', 10),
+            _s('ALI', 'C', 10),
+            _s('DTM', 'C', 99),
+            _s('FTX', 'C', 99),
+            _refGroup('SG37', 99),
+            _g('SG38', 'C', 99, [_s('TAX', 'M', 1), _s('MOA', 'C', 1), _s('LOC', 'C', 5)]),
+            _g('SG40', 'C', 100, [
+                _s('PRI', 'M', 1), _s('CUX', 'C', 1), _s('APR', 'C', 1), _s('RNG', 'C', 1), _s('DTM', 'C', 5),
+                _g('SG41', 'C', 99, [
+                    _s('ALC', 'M', 1), _s('ALI', 'C', 5), _s('DTM', 'C', 5),
+                    _rangeGroup('SG42', 'PCD', 1),
+                    _rangeGroup('SG43', 'MOA', 2)
+                ])
+            ]),
+            _g('SG44', 'C', 99, [
+                _s('PAC', 'M', 1), _s('MEA', 'C', 10), _s('QTY', 'C', 5), _s('HAN', 'C', 10),
+                _g('SG45', 'C', 10, [_s('PCI', 'M', 1), _s('DTM', 'C', 5), _s('GIN', 'C', 10)])
+            ])
+        ])
+    ]),
+    _s('UNT', 'M', 1)
+];
+
+const _RECADV = [
+    _s('UNH', 'M', 1),
+    _s('BGM', 'M', 1),
+    _s('DTM', 'C', 10),
+    _s('ALI', 'C', 5),
+    _refGroup('SG1', 10),
+    _g('SG2', 'C', 10, [
+        _s('NAD', 'M', 1), _s('LOC', 'C', 10),
+        _refGroup('SG3', 10),
+        _contactGroup('SG4', 10)
+    ]),
+    _g('SG5', 'C', 10, [
+        _s('TDT', 'M', 1),
+        _g('SG6', 'C', 10, [_s('LOC', 'M', 1), _s('DTM', 'C', 5)])
+    ]),
+    _g('SG7', 'C', 10, [_s('EQD', 'M', 1), _s('MEA', 'C', 5), _s('SEL', 'C', 25)]),
+    _g('SG16', 'C', 9999, [
+        _s('CPS', 'M', 1),
+        _s('FTX', 'C', 5),
+        _g('SG17', 'C', 9999, [
+            _s('PAC', 'M', 1), _s('MEA', 'C', 10), _s('QTY', 'C', 10),
+            _g('SG18', 'C', 1000, [
+                _s('PCI', 'M', 1), _s('RFF', 'C', 1), _s('DTM', 'C', 5),
+                _g('SG19', 'C', 99, [_s('GIN', 'M', 1)])
+            ])
+        ]),
+        _g('SG22', 'C', 9999, [
+            _s('LIN', 'M', 1),
+            _s('PIA', 'C', 10),
+            _s('IMD', 'C', 25),
+            _s('MEA', 'C', 10),
+            _s('QTY', 'C', 10),
+            _s('GIN', 'C', 100),
+            _s('DTM', 'C', 5),
+            _s('FTX', 'C', 5),
+            _refGroup('SG23', 10),
+            _g('SG24', 'C', 10, [_s('QVR', 'M', 1), _s('DTM', 'C', 5)]),
+            _g('SG25', 'C', 9999, [
+                _s('PCI', 'M', 1), _s('QTY', 'C', 1),
+                _g('SG26', 'C', 99, [_s('GIN', 'M', 1)])
+            ])
+        ])
+    ]),
+    _s('CNT', 'C', 5),
+    _s('UNT', 'M', 1)
+];
+
+/**
+ * Structure definitions per message type
+ */
+export const MESSAGE_STRUCTURES = {
+    INVOIC: { label: 'Invoice', directory: 'D96A', segments: _INVOIC },
+    ORDERS: { label: 'Purchase Order', directory: 'D96A', segments: _ORDERS },
+    ORDRSP: { label: 'Purchase Order Response', directory: 'D96A', segments: _ORDRSP },
+    DESADV: { label: 'Despatch Advice', directory: 'D96A', segments: _DESADV },
+    PRICAT: { label: 'Price/Sales Catalogue', directory: 'D96A', segments: _PRICAT },
+    RECADV: { label: 'Receiving Advice', directory: 'D96A', segments: _RECADV }
+};
+
+// ==================== LOOKUP ====================
+
+/**
+ * Get the structure definition for a message type
+ *
+ * @param {string} messageType - e.g. 'INVOIC'
+ * @param {string} [version] - Directory version + release from UNH, e.g. 'D96A'
+ * @returns {{ messageType, label, directory, segments, exact: boolean }|null}
+ */
+export function getMessageStructure(messageType, version = '') {
+    const def = MESSAGE_STRUCTURES[(messageType || '').toUpperCase()];
+    if (!def) return null;
+    return {
+        messageType: messageType.toUpperCase(),
+        ...def,
+        exact: version.toUpperCase() === def.directory
+    };
+}
+
+/**
+ * Message types with a structure definition
+ * @returns {string[]}
+ */
+export function getStructuredMessageTypes() {
+    return Object.keys(MESSAGE_STRUCTURES);
+}
+
+// ==================== GROUP RESOLVER ====================
+
+/**
+ * Create a resolver that walks segments in file order and assigns each one
+ * to its segment group. Messages (UNH..UNT) are matched against the diagram
+ * of their type; envelope segments and messages without a definition get
+ * no path.
+ *
+ * Works segment by segment, so it can run while a file is streamed.
+ *
+ * resolve(segment) returns:
+ *  { sgPath: string|null, sgParent: number|null }
+ *    sgPath   — e.g. 'SG2/NAD/SG5/CTA' (group triggers appear as 'SGn/TAG')
+ *    sgParent — position of the trigger segment of the enclosing group
+ *               (for a trigger: of the group around its own group)
+ *
+ * Structure issues (unexpected segments, missing mandatory entries,
+ * exceeded repetitions) are collected and returned by finish().
+ * takeIssues() hands over the issues found so far, so a stream can be
+ * checked message by message without keeping them all.
+ *
+ * @returns {{ resolve: (segment: object) => object, takeIssues: () => object[], finish: () => object[], messages: () => object[] }}
+ */
+export function createGroupResolver() {
+    const issues = [];
+    const structures = [];
+    let message = null;
+
+    const closeMessage = () => {
+        if (!message) return;
+        while (message.stack.length > 0) {
+            _reportMissing(message.stack.pop(), message, issues);
+        }
+        message = null;
+    };
+
+    const openMessage = (unh) => {
+        const msgId = unh.fields[1]?.components || [];
+        const structure = getMessageStructure(msgId[0] || '', `${msgId[1] || ''}${msgId[2] || ''}`);
+        structures.push({
+            position: unh.position,
+            messageType: msgId[0] || '',
+            directory: structure?.directory || null,
+            exact: structure?.exact || false
+        });
+        if (!structure) return;
+        message = {
+            structure,
+            unhPosition: unh.position,
+            stack: [{ entries: structure.segments, index: 0, count: 0, group: null, trigger: null, position: null }]
+        };
+    };
+
+    const resolve = (segment) => {
+        if (segment.tag === 'UNH') {
+            closeMessage();
+            openMessage(segment);
+        } else if (segment.tag === 'UIH') {
+            // Interactive messages have no bundled diagram
+            closeMessage();
+        }
+        if (!message) return { sgPath: null, sgParent: null };
+
+        const result = _matchSegment(message, segment, issues);
+        if (segment.tag === 'UNT') closeMessage();
+        return result;
+    };
+
+    return {
+        resolve,
+        takeIssues() {
+            return issues.splice(0);
+        },
+        finish() {
+            closeMessage();
+            return issues;
+        },
+        messages: () => structures
+    };
+}
+
+/**
+ * Resolve segment groups for a complete segment list
+ *
+ * @param {object[]} segments - Parsed segments with position
+ * @returns {{ paths: Array<{ sgPath, sgParent }>, issues: object[], messages: object[] }}
+ */
+export function resolveSegmentGroups(segments) {
+    const resolver = createGroupResolver();
+    const paths = segments.map(seg => resolver.resolve(seg));
+    const issues = resolver.finish();
+    return { paths, issues, messages: resolver.messages() };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * True if a diagram entry starts with the given tag
+ * @private
+ */
+function _entryMatches(entry, tag) {
+    return entry.group ? entry.children[0].tag === tag : entry.tag === tag;
+}
+
+/**
+ * Find the entry for a tag in one stack frame, scanning forward from the
+ * current entry. With allowExceeded the current entry matches even when its
+ * repetition limit is used up.
+ * @private
+ */
+function _findEntry(frame, tag, allowExceeded) {
+    for (let j = frame.index; j < frame.entries.length; j++) {
+        if (!_entryMatches(frame.entries[j], tag)) continue;
+        if (j > frame.index || frame.count < frame.entries[j].max || allowExceeded) return j;
+    }
+    return -1;
+}
+
+/**
+ * Report mandatory entries of a frame that were never reached.
+ * `at` is the segment that skipped past them (defaults to the group trigger).
+ * @private
+ */
+function _reportMissing(frame, message, issues, until = frame.entries.length, at = null) {
+    const from = frame.count > 0 ? frame.index + 1 : frame.index;
+    for (let j = from; j < until; j++) {
+        const entry = frame.entries[j];
+        // UNT is the envelope's business (MISSING_UNT), not the diagram's
+        if (entry.status !== 'M' || entry.tag === 'UNT') continue;
+        const label = entry.group ? `${entry.group} (${entry.children[0].tag})` : entry.tag;
+        issues.push({
+            code: entry.group ? 'MISSING_MANDATORY_GROUP' : 'MISSING_MANDATORY_SEGMENT',
+            tag: entry.group ? entry.children[0].tag : entry.tag,
+            group: entry.group || frame.group,
+            position: at ?? frame.position ?? message.unhPosition,
+            message: `Mandatory ${label} missing${frame.group ? ` in ${frame.group}` : ''}`
+        });
+    }
+}
+
+/**
+ * Build the path parts of the open groups of a stack
+ * @private
+ */
+function _groupPath(stack) {
+    return stack.slice(1).flatMap(f => [f.group, f.trigger]);
+}
+
+/**
+ * Match one segment against the open frames of a message
+ * @private
+ */
+function _matchSegment(message, segment, issues) {
+    const { stack } = message;
+    const tag = segment.tag;
+
+    // 1st pass: a regular match (innermost group first); 2nd pass: accept exceeded repetitions
+    let depth = -1;
+    let index = -1;
+    for (const allowExceeded of [false, true]) {
+        for (let d = stack.length - 1; d >= 0 && index === -1; d--) {
+            index = _findEntry(stack[d], tag, allowExceeded);
+            if (index !== -1) depth = d;
+        }
+        if (index !== -1) break;
+    }
+
+    if (index === -1) {
+        const parts = [..._groupPath(stack), tag];
+        issues.push({
+            code: 'UNEXPECTED_SEGMENT',
+            tag,
+            group: stack[stack.length - 1].group,
+            position: segment.position,
+            message: `${tag} is not allowed at this point of the ${message.structure.messageType} structure`
+        });
+        return { sgPath: parts.join('/'), sgParent: stack[stack.length - 1].position };
+    }
+
+    // Close groups that ended before this segment
+    while (stack.length - 1 > depth) {
+        _reportMissing(stack.pop(), message, issues);
+    }
+
+    const frame = stack[depth];
+    const entry = frame.entries[index];
+    if (index !== frame.index) {
+        _reportMissing(frame, message, issues, index, segment.position);
+        frame.index = index;
+        frame.count = 0;
+    }
+    frame.count++;
+
+    if (frame.count > entry.max) {
+        issues.push({
+            code: 'REPETITION_EXCEEDED',
+            tag,
+            group: entry.group || frame.group,
+            position: segment.position,
+            message: `${entry.group || tag} occurs ${frame.count} times, maximum is ${entry.max}`
+        });
+    }
+
+    if (entry.group) {
+        const sgParent = frame.position;
+        stack.push({ entries: entry.children, index: 0, count: 1, group: entry.group, trigger: tag, position: segment.position });
+        return { sgPath: _groupPath(stack).join('/'), sgParent };
+    }
+
+    return { sgPath: [..._groupPath(stack), tag].join('/'), sgParent: frame.position };
+}
+
+export default {
+    MESSAGE_STRUCTURES,
+    getMessageStructure,
+    getStructuredMessageTypes,
+    createGroupResolver,
+    resolveSegmentGroups
+};
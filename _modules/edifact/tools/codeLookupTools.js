@@ -4,7 +4,7 @@
  * Domain tools for resolving EDI codes and validating trading-party identifiers.
  *
  * Tools:
- *  1. lookupEdifactCode          — Resolve qualifier codes (DTM/RFF/NAD/BGM/Currency/Country) to human-readable meaning
+ *  1. lookupEdifactCode          — Resolve coded values (UNCL code lists, ISO currency/country) to human-readable meaning
  *  2. lookupCompanyByVATorGLN    — Resolve a VAT-ID (via VIES) or validate a GLN check digit (GS1 mod-10)
  *  3. validateAgainstGS1Profile  — Lightweight EANCOM / GS1 profile validation (required segments per message type)
  *
@@ -15,107 +15,26 @@
  *  - No secrets required: VIES is public, GLN validation is local arithmetic, code lookups are static.
  */
 
-import {
-	DTM_QUALIFIERS,
-	RFF_QUALIFIERS,
-	NAD_QUALIFIERS
-} from '../parser.js';
+import { CODE_LISTS, getCodeList } from '../directory/index.js';
 
 // ==================== CONSTANTS ====================
 
 const HTTP_TIMEOUT_MS = 6000;
 
 /**
- * BGM Document/Message type codes (UN/EDIFACT Code List 1001 — most common subset).
- * Source: UN/CEFACT Trade Data Element Directory.
+ * Segment shorthands for the most used UNCL code lists.
+ * Any other list is addressed by its data element number (e.g. "4343").
  */
-const BGM_DOCUMENT_TYPES = {
-	'105': 'Purchase order',
-	'220': 'Order',
-	'221': 'Blanket order',
-	'223': 'Hire order',
-	'224': 'Spare parts order',
-	'225': 'Campaign order',
-	'226': 'Production order',
-	'227': 'Service order',
-	'241': 'Delivery instructions',
-	'242': 'Despatch advice',
-	'245': 'Delivery release',
-	'248': 'Authorization for repair',
-	'251': 'Inquiry',
-	'270': 'Delivery note',
-	'325': 'Proforma invoice',
-	'326': 'Partial invoice',
-	'380': 'Commercial invoice',
-	'381': 'Credit note',
-	'383': 'Debit note',
-	'384': 'Corrected invoice',
-	'385': 'Consolidated invoice',
-	'386': 'Prepayment invoice',
-	'389': 'Self-billed invoice',
-	'393': 'Factored invoice',
-	'394': 'Lease invoice',
-	'395': 'Consignment invoice',
-	'457': 'Order acknowledgement',
-	'632': 'Receiving advice',
-	'700': 'Customs declaration',
-	'703': 'Booking confirmation',
-	'750': 'Despatch order',
-	'751': 'Inventory report'
-};
-
-/**
- * ISO 4217 currency code subset (UN/EDIFACT Code List 6345).
- * Limited to the most commonly used B2B currencies — broader resolution
- * is delegated to the `currencyConvert` tool which talks to ECB.
- */
-const CURRENCY_CODES = {
-	EUR: 'Euro',
-	USD: 'US Dollar',
-	GBP: 'Pound Sterling',
-	CHF: 'Swiss Franc',
-	JPY: 'Japanese Yen',
-	CNY: 'Chinese Yuan Renminbi',
-	SEK: 'Swedish Krona',
-	NOK: 'Norwegian Krone',
-	DKK: 'Danish Krone',
-	PLN: 'Polish Zloty',
-	CZK: 'Czech Koruna',
-	HUF: 'Hungarian Forint',
-	CAD: 'Canadian Dollar',
-	AUD: 'Australian Dollar',
-	TRY: 'Turkish Lira'
-};
-
-/**
- * ISO 3166-1 alpha-2 country codes (UN/EDIFACT Code List 3207, subset).
- */
-const COUNTRY_CODES = {
-	DE: 'Germany',
-	AT: 'Austria',
-	CH: 'Switzerland',
-	FR: 'France',
-	IT: 'Italy',
-	ES: 'Spain',
-	NL: 'Netherlands',
-	BE: 'Belgium',
-	LU: 'Luxembourg',
-	GB: 'United Kingdom',
-	IE: 'Ireland',
-	DK: 'Denmark',
-	SE: 'Sweden',
-	NO: 'Norway',
-	FI: 'Finland',
-	PL: 'Poland',
-	CZ: 'Czech Republic',
-	SK: 'Slovakia',
-	HU: 'Hungary',
-	PT: 'Portugal',
-	GR: 'Greece',
-	US: 'United States',
-	CA: 'Canada',
-	JP: 'Japan',
-	CN: 'China'
+const CODE_LIST_SHORTHANDS = {
+	DTM: '2005',
+	RFF: '1153',
+	NAD: '3035',
+	BGM: '1001',
+	QTY: '6063',
+	MOA: '5025',
+	PRI: '5125',
+	CURRENCY: '6345',
+	COUNTRY: '3207'
 };
 
 /**
@@ -251,10 +170,10 @@ async function _lookupVAT(countryCode, vatNumber) {
 export const lookupEdifactCode = {
 	name: 'lookupEdifactCode',
 	description:
-		'Resolve an EDIFACT qualifier code to its human-readable meaning. Supports DTM, RFF, NAD, BGM (document type 1001), currency (ISO 4217 / 6345) and country (ISO 3166 / 3207) code lists.',
+		'Resolve an EDIFACT code value to its human-readable meaning using the bundled UN/EDIFACT code lists (UNCL). Address a list by data element number (e.g. "2005", "4343") or by shorthand: DTM (2005), RFF (1153), NAD (3035), BGM (1001), QTY (6063), MOA (5025), PRI (5125), CURRENCY (ISO 4217 / 6345), COUNTRY (ISO 3166 / 3207).',
 	category: 'lookup',
 	module: 'edifact',
-	version: '1.0',
+	version: '1.1',
 	inputSchema: {
 		type: 'object',
 		properties: {
@@ -264,8 +183,8 @@ export const lookupEdifactCode = {
 			},
 			codeList: {
 				type: 'string',
-				enum: ['DTM', 'RFF', 'NAD', 'BGM', 'CURRENCY', 'COUNTRY', 'AUTO'],
-				description: 'Which code list to search. Use "AUTO" to search all (default).',
+				enum: [...Object.keys(CODE_LIST_SHORTHANDS), ...Object.keys(CODE_LISTS), 'AUTO'],
+				description: 'Which code list to search: shorthand or data element number. Use "AUTO" to search all (default).',
 				default: 'AUTO'
 			}
 		},
@@ -281,24 +200,17 @@ export const lookupEdifactCode = {
 		const key = code.trim();
 		const upperKey = key.toUpperCase();
 
-		const lists = {
-			DTM: { table: DTM_QUALIFIERS, lookupKey: key, label: 'Date/Time Qualifier' },
-			RFF: { table: RFF_QUALIFIERS, lookupKey: upperKey, label: 'Reference Qualifier' },
-			NAD: { table: NAD_QUALIFIERS, lookupKey: upperKey, label: 'Party Qualifier' },
-			BGM: { table: BGM_DOCUMENT_TYPES, lookupKey: key, label: 'Document/Message Type (1001)' },
-			CURRENCY: { table: CURRENCY_CODES, lookupKey: upperKey, label: 'Currency (ISO 4217)' },
-			COUNTRY: { table: COUNTRY_CODES, lookupKey: upperKey, label: 'Country (ISO 3166-1 alpha-2)' }
-		};
-
-		const searchOrder = codeList === 'AUTO' ? Object.keys(lists) : [codeList];
+		const searchOrder = codeList === 'AUTO' ? Object.keys(CODE_LISTS) : [CODE_LIST_SHORTHANDS[codeList] || codeList];
+		if (!searchOrder.every(getCodeList)) {
+			return { success: false, error: `Unknown code list "${codeList}".` };
+		}
 		const matches = [];
 
-		for (const listName of searchOrder) {
-			const entry = lists[listName];
-			if (!entry) continue;
-			const meaning = entry.table[entry.lookupKey];
-			if (meaning) {
-				matches.push({ codeList: listName, label: entry.label, meaning });
+		for (const elementId of searchOrder) {
+			const list = getCodeList(elementId);
+			if (Object.hasOwn(list.codes, upperKey)) {
+				const meaning = list.codes[upperKey];
+				matches.push({ codeList: list.id, label: `${list.name} (${list.id})`, meaning });
 			}
 		}
 
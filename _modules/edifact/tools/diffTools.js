@@ -0,0 +1,121 @@
+/**
+ * EDIFACT Diff Tools
+ * ==================
+ * Agent tools that compare two complete interchanges (compareSegments
+ * compares two single segments).
+ *
+ * Tools:
+ *  1. diffInterchanges — Semantic diff: messages and segments aligned by
+ *                        group path and qualifier, envelope data ignored
+ *
+ * Files uploaded to this chat can be compared by name instead of raw content.
+ */
+
+import { parseRawEdifact } from '../parser.js';
+import { numericOptions } from '../numeric.js';
+import { DIFF_CHANGES, diffInterchanges as diff } from '../semanticDiff.js';
+import { readWorkspaceFile } from '../../../lib/utils/workspaceDocuments.js';
+
+const MAX_REPORTED_CHANGES = 200;
+
+/**
+ * Parsed segments and numeric options of one side (raw content or chat file)
+ * @private
+ */
+async function _loadSide(raw, fileName, context, label) {
+    let text = raw;
+    let name = label;
+    if (!text) {
+        if (!context.analysisChat?.id) throw new Error(`Provide the ${label} file via "${label}" or upload it to this chat`);
+        const stored = await readWorkspaceFile(context.analysisChat.id, fileName);
+        if (!stored) throw new Error(`File ${fileName ? `"${fileName}" ` : ''}not found in this chat`);
+        text = stored.text;
+        name = stored.file.originalName;
+    }
+    const { segments, delimiters } = parseRawEdifact(text);
+    const unb = segments.find(s => s.tag === 'UNB' || s.tag === 'UIB');
+    return { name, segments, numeric: numericOptions(delimiters, unb) };
+}
+
+// ==================== TOOL: diffInterchanges ====================
+
+export const diffInterchanges = {
+    name: 'diffInterchanges',
+    description:
+        'Semantic diff of two EDIFACT files, e.g. before and after a partner\'s map update. Messages are aligned by type and document number, segments by segment group path and qualifier (NAD+DP, line 3 QTY+21), so a removed line does not shift the rest. Reports added, removed and changed segments with the changed elements by name (e.g. "NAD+DP GLN changed", "line 3 QTY+21 Quantity changed 10 → 12"). Control references, preparation date/time and envelope counts are ignored; numbers that differ only in notation are equal. Pass raw content via "left"/"right" or the names of files uploaded to this chat via "leftFile"/"rightFile" (left defaults to the chat\'s first upload).',
+    category: 'analysis',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            left: { type: 'string', description: 'Original interchange (raw EDIFACT)' },
+            right: { type: 'string', description: 'Changed interchange (raw EDIFACT)' },
+            leftFile: { type: 'string', description: 'Name or id of an uploaded file as original (default: first upload of this chat)' },
+            rightFile: { type: 'string', description: 'Name or id of an uploaded file as changed version' },
+            ignore: {
+                type: 'array',
+                description: 'Segments to skip: tag or tag+qualifier, e.g. ["DTM+137", "FTX"]',
+                items: { type: 'string' }
+            },
+            ignoreEnvelope: {
+                type: 'boolean',
+                description: 'Skip control references, dates and counts of UNB/UNH/UNT/UNZ (default true)',
+                default: true
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        try {
+            if (!args.right && !args.rightFile) {
+                return { success: false, error: 'Provide the changed file via "right" or "rightFile"' };
+            }
+            const left = await _loadSide(args.left, args.leftFile, context, 'left');
+            const right = await _loadSide(args.right, args.rightFile, context, 'right');
+
+            const result = diff(left.segments, right.segments, {
+                leftNumeric: left.numeric,
+                rightNumeric: right.numeric,
+                ignoreEnvelope: args.ignoreEnvelope !== false,
+                ignore: Array.isArray(args.ignore) ? args.ignore : []
+            });
+
+            // Children of an added/removed group are implied by the group itself
+            const whole = new Set(result.changes.filter(c => c.type !== DIFF_CHANGES.CHANGED).map(c => `${c.messageKey}|${c.key}`));
+            const changes = result.changes.filter(c => {
+                const parts = c.key.split('/');
+                return !parts.slice(0, -1).some((_, i) => whole.has(`${c.messageKey}|${parts.slice(0, i + 1).join('/')}`));
+            });
+
+            return {
+                success: true,
+                left: left.name,
+                right: right.name,
+                summary: result.summary,
+                messages: result.messages.map(m => ({
+                    key: m.key,
+                    label: m.label,
+                    status: m.status,
+                    changeCount: m.changes.length
+                })),
+                changes: changes.slice(0, MAX_REPORTED_CHANGES).map(c => ({
+                    type: c.type,
+                    message: c.message,
+                    messageKey: c.messageKey,
+                    key: c.key,
+                    leftPosition: c.left?.position ?? null,
+                    rightPosition: c.right?.position ?? null,
+                    elements: c.elements
+                })),
+                truncated: changes.length > MAX_REPORTED_CHANGES
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+export default {
+    diffInterchanges
+};
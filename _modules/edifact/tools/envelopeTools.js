@@ -0,0 +1,240 @@
+/**
+ * EDIFACT Envelope Tools
+ * ======================
+ * Agent tools that rebuild the envelope of existing interchanges (message
+ * bodies stay unchanged, see interchange.js).
+ *
+ * Tools:
+ *  1. splitInterchange      — Pull messages out of an interchange (one file per message or one file)
+ *  2. mergeInterchanges     — Combine several interchanges into one
+ *  3. reenvelopeInterchange — Same messages under a new UNB (sender, receiver, control reference)
+ *
+ * Input is raw content or the name of a file uploaded to this chat (default:
+ * the chat's first upload). Every output carries the envelope quick check.
+ */
+
+import {
+    splitInterchange as split,
+    mergeInterchanges as merge,
+    reenvelopeInterchange as reenvelope
+} from '../interchange.js';
+import { quickCheck } from '../validators/edifactValidator.js';
+import { readWorkspaceFile } from '../../../lib/utils/workspaceDocuments.js';
+
+// Larger splits are offered as downloads in the analysis panel
+const MAX_RETURNED_PARTS = 10;
+
+const CONTROL_REFERENCE_DESCRIPTION = '"keep" (reuse the source UNB reference), "regenerate" (yyMMddHHmm + sequence) or an explicit reference (incremented per file)';
+
+const DOWNLOAD_NOTE = 'Show each result in an ```edifact code block — the chat offers it as a download.';
+
+/**
+ * Raw content of one input (raw content or chat file)
+ * @private
+ */
+async function _loadInterchange(raw, fileName, context) {
+    if (raw) return { name: 'raw', text: raw };
+    if (!context.analysisChat?.id) throw new Error('Provide the interchange via "raw" or upload it to this chat');
+    const stored = await readWorkspaceFile(context.analysisChat.id, fileName);
+    if (!stored) throw new Error(`File ${fileName ? `"${fileName}" ` : ''}not found in this chat`);
+    return { name: stored.file.originalName, text: stored.text };
+}
+
+// ==================== TOOL: splitInterchange ====================
+
+export const splitInterchange = {
+    name: 'splitInterchange',
+    description:
+        `Split a UN/EDIFACT interchange: pull one or more messages out of a large interchange, either one new interchange per message or the selection as one interchange. Message bodies are copied unchanged; UNB is kept, UNT/UNE/UNZ counts and references are recomputed, delimiters, UNA and layout of the source are preserved. Select messages by UNH reference, BGM document number or 1-based position. ${DOWNLOAD_NOTE}`,
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            raw: { type: 'string', description: 'Raw EDIFACT interchange. Default: the uploaded file of this chat.' },
+            file: { type: 'string', description: 'Name or id of an uploaded file of this chat' },
+            messages: {
+                type: 'array',
+                description: 'Messages to take: UNH references, document numbers or positions (default: all)',
+                items: { type: 'string' }
+            },
+            perMessage: {
+                type: 'boolean',
+                description: 'One interchange per message (default true); false puts the selection into one interchange',
+                default: true
+            },
+            controlReference: {
+                type: 'string',
+                description: `UNB control reference of the new interchanges: ${CONTROL_REFERENCE_DESCRIPTION}. Default "regenerate".`
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        try {
+            const source = await _loadInterchange(args.raw, args.file, context);
+            const { parts, messageCount } = split(source.text, {
+                messages: Array.isArray(args.messages) ? args.messages : undefined,
+                perMessage: args.perMessage !== false,
+                controlReference: args.controlReference || 'regenerate'
+            });
+
+            return {
+                success: true,
+                source: source.name,
+                messageCount,
+                partCount: parts.length,
+                parts: parts.map((part, index) => ({
+                    name: `${part.name}.edi`,
+                    controlReference: part.controlReference,
+                    messages: part.messages,
+                    ...(index < MAX_RETURNED_PARTS
+                        ? { edifact: part.edifact, envelopeCheck: quickCheck(part.edifact) }
+                        : {})
+                })),
+                ...(parts.length > MAX_RETURNED_PARTS
+                    ? { note: `Only the first ${MAX_RETURNED_PARTS} files include their content; the Envelope tab of the analysis panel downloads all of them` }
+                    : {})
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+// ==================== TOOL: mergeInterchanges ====================
+
+export const mergeInterchanges = {
+    name: 'mergeInterchanges',
+    description:
+        `Merge several UN/EDIFACT interchanges (e.g. single-message files) into one interchange for a partner. The UNB, delimiters, UNA and layout of the first interchange are used; UNT/UNE/UNZ counts are recomputed and UNH and UNG references are renumbered when they repeat. Differing senders, receivers or syntax identifiers are reported as warnings. Pass raw contents via "raws" or names of files uploaded to this chat via "files". ${DOWNLOAD_NOTE}`,
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            raws: {
+                type: 'array',
+                description: 'Raw EDIFACT interchanges in merge order',
+                items: { type: 'string' }
+            },
+            files: {
+                type: 'array',
+                description: 'Names or ids of uploaded files of this chat in merge order',
+                items: { type: 'string' }
+            },
+            controlReference: {
+                type: 'string',
+                description: `UNB control reference of the merged interchange: ${CONTROL_REFERENCE_DESCRIPTION}. Default "keep" (first interchange).`
+            },
+            renumberMessages: {
+                type: 'string',
+                enum: ['auto', 'always', 'never'],
+                description: 'Renumber UNH references 1..n: "auto" (only when they repeat, default), "always" or "never"',
+                default: 'auto'
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        try {
+            const sources = [];
+            for (const raw of Array.isArray(args.raws) ? args.raws : []) {
+                sources.push(await _loadInterchange(raw, null, context));
+            }
+            for (const file of Array.isArray(args.files) ? args.files : []) {
+                sources.push(await _loadInterchange(null, file, context));
+            }
+            if (sources.length < 2) {
+                return { success: false, error: 'Provide at least two interchanges via "raws" or "files"' };
+            }
+
+            const result = merge(sources.map(s => s.text), {
+                controlReference: args.controlReference || 'keep',
+                renumberMessages: args.renumberMessages || 'auto'
+            });
+
+            return {
+                success: true,
+                sources: sources.map(s => s.name),
+                edifact: result.edifact,
+                controlReference: result.controlReference,
+                messageCount: result.messageCount,
+                renumbered: result.renumbered,
+                warnings: result.warnings,
+                envelopeCheck: quickCheck(result.edifact)
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+// ==================== TOOL: reenvelopeInterchange ====================
+
+export const reenvelopeInterchange = {
+    name: 'reenvelopeInterchange',
+    description:
+        `Re-envelope a UN/EDIFACT interchange: keep its messages and replace UNB data, e.g. a new receiver, a new control reference or the test indicator before re-sending. Omitted fields are kept; preparation date and time are set to now unless given. UNT/UNE/UNZ counts and references are recomputed, delimiters, UNA and layout are preserved. ${DOWNLOAD_NOTE}`,
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            raw: { type: 'string', description: 'Raw EDIFACT interchange. Default: the uploaded file of this chat.' },
+            file: { type: 'string', description: 'Name or id of an uploaded file of this chat' },
+            sender: { type: 'string', description: 'Interchange sender identification (UNB 0004)' },
+            senderQualifier: { type: 'string', description: 'Sender identification code qualifier (UNB 0007), e.g. "14" for GLN' },
+            receiver: { type: 'string', description: 'Interchange recipient identification (UNB 0010)' },
+            receiverQualifier: { type: 'string', description: 'Recipient identification code qualifier (UNB 0007)' },
+            controlReference: {
+                type: 'string',
+                description: `UNB control reference: ${CONTROL_REFERENCE_DESCRIPTION}. Default "regenerate".`
+            },
+            recipientReference: { type: 'string', description: 'Recipient reference/password (UNB S005)' },
+            applicationReference: { type: 'string', description: 'Application reference (UNB 0026)' },
+            testIndicator: { type: 'boolean', description: 'Set (true) or clear (false) the test indicator (UNB 0035)' },
+            date: { type: 'string', description: 'Preparation date (default: today)' },
+            time: { type: 'string', description: 'Preparation time HHMM (default: now)' }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        try {
+            const source = await _loadInterchange(args.raw, args.file, context);
+            const result = reenvelope(source.text, {
+                sender: args.sender,
+                senderQualifier: args.senderQualifier,
+                receiver: args.receiver,
+                receiverQualifier: args.receiverQualifier,
+                controlReference: args.controlReference || 'regenerate',
+                recipientReference: args.recipientReference,
+                applicationReference: args.applicationReference,
+                testIndicator: args.testIndicator,
+                date: args.date,
+                time: args.time
+            });
+
+            return {
+                success: true,
+                source: source.name,
+                edifact: result.edifact,
+                controlReference: result.controlReference,
+                messageCount: result.messageCount,
+                changes: result.changes,
+                envelopeCheck: quickCheck(result.edifact)
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+export default {
+    splitInterchange,
+    mergeInterchanges,
+    reenvelopeInterchange
+};
@@ -0,0 +1,318 @@
+/**
+ * EDIFACT Generation Tools
+ * ========================
+ * Agent tools that write EDIFACT instead of reading it.
+ *
+ * Tools:
+ *  1. serializeEdifact — Build an interchange from structured JSON (envelope + message bodies)
+ *                        or re-serialize a corrected segment list
+ *  2. generateContrl   — CONTRL syntax and service report for a received interchange
+ *  3. generateAperak   — APERAK application error message for failing business rules
+ *
+ * Every output is parsed again before it is returned; the round-trip
+ * result and the envelope quick check travel with the text so the agent
+ * never hands out EDIFACT that does not read back to its input.
+ */
+
+import {
+    resolveDelimiters,
+    normalizeSegment,
+    recountEnvelope,
+    buildInterchangeSegments,
+    serializeSegments,
+    verifyRoundTrip
+} from '../serializer.js';
+import { buildContrl, CONTRL_ACTIONS } from '../contrl.js';
+import { collectApplicationErrors, buildAperak } from '../aperak.js';
+import { parseRawEdifact } from '../parser.js';
+import { validate, quickCheck } from '../validators/edifactValidator.js';
+import { buildAnalysis } from '../analysisBuilder.js';
+
+const ELEMENT_NOTATION = 'Elements: "value" (simple), ["137","20240101","102"] (composite), {"repetitions":[...]} (repeated, syntax version 4). Trailing empty elements are omitted.';
+
+/**
+ * Trading partner profile matched for the chat's upload (see partnerProfiles.js)
+ * @private
+ */
+function _chatPartners(context) {
+    const partner = context.analysisChat?.domainContext?.edifact?._analysis?.partner;
+    return partner ? [partner] : [];
+}
+
+/**
+ * amountTolerance argument, undefined when missing or negative
+ * @private
+ */
+function _amountTolerance(args) {
+    return Number.isFinite(args.amountTolerance) && args.amountTolerance >= 0 ? args.amountTolerance : undefined;
+}
+
+// ==================== TOOL: serializeEdifact ====================
+
+export const serializeEdifact = {
+    name: 'serializeEdifact',
+    description:
+        `Generate UN/EDIFACT text from structured JSON. Either pass "interchange" + "messages" (UNB/UNH/UNT/UNZ are built, segment counts, message counts and control references are computed) or a complete "segments" list to re-serialize (e.g. a corrected message; UNT/UNE/UNZ counts and references are recomputed). Writes UNA with the chosen delimiters and escapes service characters. ${ELEMENT_NOTATION} The result is parsed again and returned with a round-trip check and an envelope check.`,
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            interchange: {
+                type: 'object',
+                description: 'Envelope data: { sender, senderQualifier, receiver, receiverQualifier, syntaxIdentifier (default "UNOC"), syntaxVersion (default "4"), date, time, controlReference, recipientReference, applicationReference, testIndicator }. Missing date/time/controlReference are generated.'
+            },
+            messages: {
+                type: 'array',
+                description: 'Messages: [{ messageType, version (default "D"), release (default "96A"), agency (default "UN"), associationCode, reference, segments: [{ tag, elements }] }]. segments is the body without UNH/UNT.',
+                items: { type: 'object' }
+            },
+            segments: {
+                type: 'array',
+                description: 'Alternative to interchange/messages: complete segment list [{ tag, elements }] including envelope segments.',
+                items: { type: 'object' }
+            },
+            delimiters: {
+                type: 'object',
+                description: 'Delimiter overrides: { componentSeparator, fieldSeparator, decimalNotation, escapeCharacter, repetitionSeparator, segmentTerminator }'
+            },
+            syntaxVersion: {
+                type: 'string',
+                description: 'Syntax version for a plain "segments" list (default: taken from UNB, else "4")'
+            },
+            recount: {
+                type: 'boolean',
+                description: 'Recompute UNT/UNE/UNZ counts and references of a "segments" list (default true)',
+                default: true
+            },
+            pretty: {
+                type: 'boolean',
+                description: 'One segment per line (default true); false writes a single line',
+                default: true
+            },
+            una: {
+                type: 'boolean',
+                description: 'Write the UNA service string advice (default true)',
+                default: true
+            }
+        },
+        required: []
+    },
+    async execute(args /*, context */) {
+        const { pretty = true, una = true, recount = true } = args;
+
+        try {
+            let syntaxVersion;
+            let segments;
+
+            if (Array.isArray(args.messages) && args.messages.length > 0) {
+                ({ syntaxVersion, segments } = buildInterchangeSegments({
+                    interchange: args.interchange,
+                    messages: args.messages,
+                    delimiters: args.delimiters
+                }));
+            } else if (Array.isArray(args.segments) && args.segments.length > 0) {
+                const unb = args.segments.find(s => String(s?.tag || '').toUpperCase() === 'UNB');
+                syntaxVersion = String(args.syntaxVersion || _syntaxVersionOf(unb) || '4');
+                const delimiters = resolveDelimiters(args.delimiters, syntaxVersion);
+                segments = args.segments
+                    .filter(s => String(s?.tag || '').toUpperCase() !== 'UNA')
+                    .map(s => normalizeSegment(s, delimiters));
+                if (recount) recountEnvelope(segments);
+            } else {
+                return { success: false, error: 'Provide "interchange" + "messages" or a non-empty "segments" list' };
+            }
+
+            const edifact = serializeSegments(segments, { delimiters: args.delimiters, syntaxVersion, una, pretty });
+            const roundTrip = una || !args.delimiters
+                ? verifyRoundTrip(edifact, segments, args.delimiters, syntaxVersion)
+                : { ok: null, mismatches: [], note: 'Custom delimiters without UNA cannot be read back' };
+            const check = quickCheck(edifact);
+
+            return {
+                success: true,
+                edifact,
+                syntaxVersion,
+                segmentCount: segments.length,
+                messageCount: segments.filter(s => s.tag === 'UNH').length,
+                roundTrip,
+                envelopeCheck: check
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+// ==================== TOOL: generateContrl ====================
+
+export const generateContrl = {
+    name: 'generateContrl',
+    description:
+        'Generate the CONTRL syntax and service report to send back for a received UN/EDIFACT batch interchange. Validation findings are mapped to UCI (interchange), UCF (group), UCM (message), UCS (segment) and UCD (data element) with ISO 9735 syntax error codes (0085); rejected levels get action 4, accepted ones action 7. A clean interchange yields a positive CONTRL. Pass the interchange via "raw" or omit it to use the file uploaded to this chat. Show the result in an ```edifact code block — the chat offers it as a download.',
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            raw: {
+                type: 'string',
+                description: 'Complete raw EDIFACT interchange (UNB..UNZ). Default: the uploaded file of this chat.'
+            },
+            includeWarnings: {
+                type: 'boolean',
+                description: 'Also report warnings (count/reference mismatches, segment structure, code lists) as syntax errors (default false: errors only)',
+                default: false
+            },
+            amountTolerance: {
+                type: 'number',
+                description: 'Rounding difference accepted by the INVOIC amount checks (BIZ_006–BIZ_010) of "raw", e.g. 0.05 (default: the trading partner profile, else 0.01)'
+            },
+            controlReference: {
+                type: 'string',
+                description: 'Control reference for the CONTRL interchange (default: generated from date and time)'
+            },
+            pretty: {
+                type: 'boolean',
+                description: 'One segment per line (default true)',
+                default: true
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        const { includeWarnings = false, pretty = true } = args;
+
+        try {
+            let analysis;
+            let report = null;
+            if (args.raw) {
+                // The chat's trading partner profile applies when the raw interchange comes from the same partner
+                const partners = _chatPartners(context);
+                const amountTolerance = _amountTolerance(args);
+                analysis = buildAnalysis(args.raw, { originalName: 'raw', size: args.raw.length }, { partners, amountTolerance });
+                report = validate(args.raw, { partners, amountTolerance });
+            } else {
+                analysis = context.analysisChat?.domainContext?.edifact?._analysis;
+            }
+            if (!analysis) {
+                return { success: false, error: 'Provide the interchange via "raw" or upload an EDIFACT file to this chat' };
+            }
+
+            const result = buildContrl(analysis, {
+                report,
+                includeWarnings,
+                controlReference: args.controlReference,
+                pretty
+            });
+            const rejectedMessages = result.messages.filter(m => m.action === CONTRL_ACTIONS.REJECTED);
+
+            return {
+                success: true,
+                edifact: result.edifact,
+                accepted: result.accepted,
+                interchangeAction: result.action,
+                interchangeReference: result.interchangeReference,
+                messageCount: result.messages.length,
+                rejectedMessageCount: rejectedMessages.length,
+                rejectedMessages: rejectedMessages.slice(0, 50)
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+// ==================== TOOL: generateAperak ====================
+
+export const generateAperak = {
+    name: 'generateAperak',
+    description:
+        'Generate an APERAK (application error and acknowledgement) for the failing BUSINESS and COMPLIANCE rules (including the rules of a matching trading partner profile) of a received UN/EDIFACT interchange, e.g. missing NAD roles or inconsistent amounts. One APERAK message per erroneous message: DOC/RFF reference the original document number (BGM) and message reference, each failing rule becomes an ERC error code with an FTX explanation. Pass the interchange via "raw" or omit it to use the file uploaded to this chat. Show the result in an ```edifact code block — the chat offers it as a download.',
+    category: 'generation',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            raw: {
+                type: 'string',
+                description: 'Complete raw EDIFACT interchange (UNB..UNZ). Default: the uploaded file of this chat.'
+            },
+            includeInfo: {
+                type: 'boolean',
+                description: 'Also report rules of severity "info" (default false: errors and warnings only)',
+                default: false
+            },
+            errorCodes: {
+                type: 'object',
+                description: 'Agreed application error codes per rule, e.g. { "BIZ_001": "13" }. Default: rule code without underscore (BIZ001).'
+            },
+            amountTolerance: {
+                type: 'number',
+                description: 'Rounding difference accepted by the INVOIC amount checks (BIZ_006–BIZ_010) of "raw", e.g. 0.05 (default: the trading partner profile, else 0.01)'
+            },
+            controlReference: {
+                type: 'string',
+                description: 'Control reference for the APERAK interchange (default: generated from date and time)'
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        try {
+            let model;
+            if (args.raw) {
+                const { segments, delimiters } = parseRawEdifact(args.raw);
+                model = collectApplicationErrors(segments, delimiters, {
+                    severities: args.includeInfo ? ['error', 'warning', 'info'] : ['error', 'warning'],
+                    partners: _chatPartners(context),
+                    amountTolerance: _amountTolerance(args)
+                });
+            } else {
+                model = context.analysisChat?.domainContext?.edifact?._analysis?.applicationErrors;
+            }
+            if (!model) {
+                return { success: false, error: 'Provide the interchange via "raw" or upload an EDIFACT batch interchange to this chat' };
+            }
+
+            if (!model.messages.some(m => m.errors.length > 0)) {
+                return { success: true, edifact: null, messageCount: 0, note: 'No failing business rules — no APERAK is needed' };
+            }
+
+            const result = buildAperak(model, {
+                errorCodes: args.errorCodes || {},
+                controlReference: args.controlReference
+            });
+
+            return {
+                success: true,
+                edifact: result.edifact,
+                messageCount: result.messageCount,
+                errorCount: result.errorCount,
+                messages: result.messages.slice(0, 50)
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+/**
+ * Syntax version from a UNB in any accepted notation
+ * @private
+ */
+function _syntaxVersionOf(unb) {
+    if (!unb) return '';
+    const first = (unb.elements || unb.fields || [])[0];
+    if (Array.isArray(first)) return Array.isArray(first[0]) ? first[0][1] : first[1];
+    return first?.components?.[1] || '';
+}
+
+export default {
+    serializeEdifact,
+    generateContrl,
+    generateAperak
+};
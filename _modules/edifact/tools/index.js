@@ -18,9 +18,10 @@
  * registry.register(edifactTools.tools, 'edifact');
  *
  * Tool Categories:
- * 1. Analysis tools: segmentAnalyze, parseSegmentField, compareSegments, groupSegmentsByType, createEdiAnalysis
+ * 1. Analysis tools: segmentAnalyze, parseSegmentField, compareSegments, groupSegmentsByType, getSegmentPage, createEdiAnalysis, threeWayMatch, diffInterchanges
  * 2. Validation tools: validateRules, checkCompliance, detectAnomalies, validateDataTypes, suggestFixes
- * 3. Utility tools: (future)
+ * 3. Generation tools: serializeEdifact, generateContrl, generateAperak, splitInterchange, mergeInterchanges, reenvelopeInterchange
+ * 4. Utility tools: (future)
  *
  * Implementation Notes:
  * - Each tool exported with full metadata (name, description, inputSchema)
@@ -30,17 +31,27 @@
  */
 
 export * from './segmentTools.js';
+export * from './segmentPageTools.js';
 export * from './validationTools.js';
 export * from './llmAnalysisTools.js';
 export * from './codeLookupTools.js';
 export * from './ragTools.js';
+export * from './generationTools.js';
+export * from './matchingTools.js';
+export * from './diffTools.js';
+export * from './envelopeTools.js';
 
 // Import all tools for convenient bundling
 import * as segmentTools from './segmentTools.js';
+import * as segmentPageTools from './segmentPageTools.js';
 import * as validationTools from './validationTools.js';
 import * as llmAnalysisTools from './llmAnalysisTools.js';
 import * as codeLookupTools from './codeLookupTools.js';
 import * as ragTools from './ragTools.js';
+import * as generationTools from './generationTools.js';
+import * as matchingTools from './matchingTools.js';
+import * as diffTools from './diffTools.js';
+import * as envelopeTools from './envelopeTools.js';
 
 /**
  * All EDIFACT tools as object (for registry registration)
@@ -51,7 +62,10 @@ export const tools = {
   parseSegmentField: segmentTools.parseSegmentField,
   compareSegments: segmentTools.compareSegments,
   groupSegmentsByType: segmentTools.groupSegmentsByType,
+  getSegmentPage: segmentPageTools.getSegmentPage,
   createEdiAnalysis: llmAnalysisTools.createEdiAnalysis,
+  threeWayMatch: matchingTools.threeWayMatch,
+  diffInterchanges: diffTools.diffInterchanges,
 
   // Validation tools
   validateRules: validationTools.validateRules,
@@ -67,6 +81,16 @@ export const tools = {
 
   // RAG / semantic knowledge search (pgvector-backed)
   searchEdifactKnowledge: ragTools.searchEdifactKnowledge,
+
+  // Generation tools (structured JSON → EDIFACT text)
+  serializeEdifact: generationTools.serializeEdifact,
+  generateContrl: generationTools.generateContrl,
+  generateAperak: generationTools.generateAperak,
+
+  // Envelope tools (split, merge, re-envelope existing interchanges)
+  splitInterchange: envelopeTools.splitInterchange,
+  mergeInterchanges: envelopeTools.mergeInterchanges,
+  reenvelopeInterchange: envelopeTools.reenvelopeInterchange,
 };
 
 export default tools;
@@ -0,0 +1,116 @@
+/**
+ * EDIFACT Document Matching Tools
+ * ===============================
+ * Agent tools that compare documents with each other instead of segments
+ * within one interchange.
+ *
+ * Tools:
+ *  1. threeWayMatch — Match orders (ORDERS), despatch advices (DESADV) and
+ *                     invoices (INVOIC): linked by RFF+ON/DQ, lines by GTIN/LIN
+ *
+ * Without "documents" the files uploaded to this chat are matched (the chat
+ * is the workspace; further documents are added in the analysis panel).
+ */
+
+import { parseRawEdifact } from '../parser.js';
+import { numericOptions } from '../numeric.js';
+import { describeDocuments, matchDocuments } from '../documentMatching.js';
+import { matchWorkspaceDocuments } from '../../../lib/utils/workspaceDocuments.js';
+
+const MAX_REPORTED_LINES = 200;
+
+// ==================== TOOL: threeWayMatch ====================
+
+export const threeWayMatch = {
+    name: 'threeWayMatch',
+    description:
+        'Three-way match of an order (ORDERS), its despatch advice (DESADV) and its invoice (INVOIC), as accounts payable does before releasing an invoice. Documents are linked by RFF+ON (order number) and RFF+DQ/AAK (despatch advice number) to the BGM number of the referenced document; lines are matched by item number (GTIN in LIN) or line number. Reports quantity differences (ordered QTY+21 vs shipped QTY+12 vs invoiced QTY+47), price deviations (invoice PRI vs order PRI), missing and extra lines and missing documents. Pass the documents via "documents" or omit it to match all files uploaded to this chat.',
+    category: 'analysis',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            documents: {
+                type: 'array',
+                description: 'Raw documents: [{ name, raw }] with complete EDIFACT interchanges (ORDERS, DESADV, INVOIC). Default: the files uploaded to this chat.',
+                items: { type: 'object' }
+            },
+            quantityTolerance: {
+                type: 'number',
+                description: 'Accepted quantity difference per line (default 0)',
+                default: 0
+            },
+            priceTolerance: {
+                type: 'number',
+                description: 'Accepted unit price difference (default 0.01)',
+                default: 0.01
+            }
+        },
+        required: []
+    },
+    async execute(args, context = {}) {
+        const options = {
+            quantityTolerance: Number.isFinite(args.quantityTolerance) ? args.quantityTolerance : undefined,
+            priceTolerance: Number.isFinite(args.priceTolerance) ? args.priceTolerance : undefined
+        };
+
+        try {
+            let result;
+            if (Array.isArray(args.documents) && args.documents.length > 0) {
+                const documents = args.documents.flatMap((doc, index) => {
+                    const { segments, delimiters } = parseRawEdifact(doc?.raw || '');
+                    const unb = segments.find(s => s.tag === 'UNB' || s.tag === 'UIB');
+                    return describeDocuments(segments, {
+                        numeric: numericOptions(delimiters, unb),
+                        source: { name: doc?.name || `document ${index + 1}` }
+                    });
+                });
+                result = { documents, report: matchDocuments(documents, options) };
+            } else if (context.analysisChat?.id) {
+                result = await matchWorkspaceDocuments(context.analysisChat.id, options);
+            } else {
+                return { success: false, error: 'Provide the documents via "documents" or upload them to this chat' };
+            }
+
+            if (result.documents.length === 0) {
+                return { success: false, error: 'No ORDERS, DESADV or INVOIC message found in the documents' };
+            }
+
+            const { report } = result;
+            let reported = 0;
+            const sets = report.sets.map(set => {
+                // Lines without findings are only counted, the agent needs the discrepancies
+                const lines = set.lines.filter(l => l.issues.length > 0).slice(0, Math.max(MAX_REPORTED_LINES - reported, 0));
+                reported += lines.length;
+                return {
+                    orderNumber: set.orderNumber,
+                    orders: set.orders,
+                    despatches: set.despatches,
+                    invoices: set.invoices,
+                    issues: set.issues,
+                    lineCount: set.lines.length,
+                    matchedLineCount: set.lines.length - set.lines.filter(l => l.issues.length > 0).length,
+                    linesWithIssues: lines.map(({ lines: occurrences, ...line }) => ({
+                        ...line,
+                        lineNumbers: occurrences.map(o => `${o.role} ${o.documentNumber} LIN ${o.lineNumber}`)
+                    }))
+                };
+            });
+
+            return {
+                success: true,
+                files: result.files,
+                summary: report.summary,
+                sets,
+                truncated: reported < report.sets.reduce((sum, s) => sum + s.lines.filter(l => l.issues.length > 0).length, 0)
+            };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+};
+
+export default {
+    threeWayMatch
+};
@@ -0,0 +1,78 @@
+/**
+ * Paged segment access tool
+ * =========================
+ * Exposes the full stored segment list of the uploaded file to agents as a
+ * single `getSegmentPage` tool.
+ *
+ * Large uploads are streamed by the worker and persisted page by page; the
+ * inline analysis only carries a 5000-segment preview. This tool lets agents
+ * read any part of the file on demand instead of working on the preview.
+ *
+ * When NOT to use:
+ *   - The EDIFACT is pasted in the chat → use `segmentAnalyze` / `groupSegmentsByType`
+ *     with the `raw` argument.
+ */
+
+import { listPaginated } from '../../../lib/db/repositories/segmentRepo.js';
+
+const MAX_PAGE_SIZE = 500;
+
+export const getSegmentPage = {
+    name: 'getSegmentPage',
+    description:
+        'Read a page of segments from the EDIFACT file uploaded to this chat (full file, not only the preview). Supports filtering by segment tag (e.g. "LIN") and by message index (0-based UNH..UNT message). Returns positions with line, column and byte offset in the file, raw content and field values.',
+    category: 'analysis',
+    module: 'edifact',
+    version: '1.0',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            page: {
+                type: 'number',
+                description: '1-based page number (default 1)',
+            },
+            pageSize: {
+                type: 'number',
+                description: `Segments per page (default 100, max ${MAX_PAGE_SIZE})`,
+            },
+            tag: {
+                type: 'string',
+                description: 'Only return segments with this tag (e.g. "LIN", "NAD")',
+            },
+            messageIndex: {
+                type: 'number',
+                description: 'Only return segments of this message (0-based, in file order)',
+            },
+        },
+        required: [],
+    },
+    async execute(args, context = {}) {
+        const chatId = context.analysisChat?.id;
+        if (!chatId) {
+            return { success: false, error: 'No uploaded file in this chat — segment pages are only available for file uploads' };
+        }
+
+        const page = Math.max(parseInt(args.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(args.pageSize, 10) || 100, 1), MAX_PAGE_SIZE);
+        const tag = args.tag ? String(args.tag).trim().toUpperCase() : undefined;
+        const messageIndex = Number.isInteger(args.messageIndex) ? args.messageIndex : undefined;
+
+        const result = await listPaginated(chatId, page, pageSize, { tag, messageIndex });
+        if (result.total === 0) {
+            return { success: false, error: 'No stored segments match this request' };
+        }
+
+        return {
+            page: result.page,
+            pageSize: result.pageSize,
+            totalPages: result.totalPages,
+            totalSegments: result.total,
+            hasMore: result.hasMore,
+            segments: result.segments,
+        };
+    },
+};
+
+export default {
+    getSegmentPage,
+};
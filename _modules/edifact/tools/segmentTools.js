@@ -14,20 +14,39 @@ import {
     parseRawEdifact,
     parseUNA,
     parseSegment,
-    parseEdifactDate,
+    partyQualifierLabel,
     KNOWN_SEGMENT_TAGS,
     DTM_QUALIFIERS,
     RFF_QUALIFIERS,
     NAD_QUALIFIERS
 } from '../parser.js';
+import { resolveSegmentGroups } from '../structures.js';
+import { numericOptions, parseEdifactNumber } from '../numeric.js';
+import { parseEdifactDateTime } from '../datetime.js';
 
 // ==================== SEMANTIC INTERPRETERS ====================
 
+/**
+ * Typed number with its raw string (and the notation problem, if any)
+ * @private
+ */
+function _number(raw, numeric) {
+    const parsed = parseEdifactNumber(raw, numeric);
+    return {
+        value: parsed?.value ?? null,
+        raw: raw || '',
+        ...(parsed?.issue ? { issue: parsed.issue.detail } : {})
+    };
+}
+
 /**
  * Build semantic interpretation for a parsed segment
+ * @param {string} tag
+ * @param {object[]} fields
+ * @param {object} [numeric] - numericOptions() of the interchange (decimal notation)
  * @private
  */
-function _interpretSegment(tag, fields) {
+function _interpretSegment(tag, fields, numeric = {}) {
     switch (tag) {
         case 'UNB': {
             const syntax = fields[0]?.components || [];
@@ -83,7 +102,7 @@ function _interpretSegment(tag, fields) {
             const qualifier = dtmComp[0] || '';
             const dateValue = dtmComp[1] || '';
             const format = dtmComp[2] || '';
-            const parsed = parseEdifactDate(dateValue, format);
+            const parsed = parseEdifactDateTime(dateValue, format);
             return {
                 meaning: DTM_QUALIFIERS[qualifier] || `Date/Time (qualifier ${qualifier})`,
                 details: {
@@ -91,7 +110,15 @@ function _interpretSegment(tag, fields) {
                     qualifierMeaning: DTM_QUALIFIERS[qualifier] || 'Unknown',
                     rawValue: dateValue,
                     format,
-                    parsedDate: parsed ? parsed.toISOString() : null
+                    formatLabel: parsed?.formatLabel || '',
+                    kind: parsed?.kind || null,
+                    parsedDate: parsed?.start ? parsed.start.toISOString() : null,
+                    ...(parsed?.end ? { endDate: parsed.end.toISOString() } : {}),
+                    ...(parsed?.time ? { time: parsed.time } : {}),
+                    ...(parsed?.duration ? { duration: parsed.duration } : {}),
+                    ...(parsed?.timezone ? { timezone: parsed.timezone } : {}),
+                    display: parsed?.display || dateValue,
+                    ...(parsed?.error ? { issue: parsed.error } : {})
                 }
             };
         }
@@ -165,7 +192,7 @@ function _interpretSegment(tag, fields) {
                 meaning: 'Quantity',
                 details: {
                     qualifier: qtyComp[0] || '',
-                    quantity: parseFloat(qtyComp[1]) || 0,
+                    quantity: _number(qtyComp[1], numeric),
                     unit: qtyComp[2] || ''
                 }
             };
@@ -176,7 +203,7 @@ function _interpretSegment(tag, fields) {
                 meaning: 'Price',
                 details: {
                     qualifier: priComp[0] || '',
-                    price: parseFloat(priComp[1]) || 0,
+                    price: _number(priComp[1], numeric),
                     priceType: priComp[2] || '',
                     priceBasis: priComp[3] || '',
                     unitPriceBasis: priComp[4] || '',
@@ -190,7 +217,7 @@ function _interpretSegment(tag, fields) {
                 meaning: 'Monetary Amount',
                 details: {
                     qualifier: moaComp[0] || '',
-                    amount: parseFloat(moaComp[1]) || 0,
+                    amount: _number(moaComp[1], numeric),
                     currency: moaComp[2] || ''
                 }
             };
@@ -248,6 +275,84 @@ function _interpretSegment(tag, fields) {
                 }
             };
         }
+        case 'UIB': {
+            const syntax = fields[0]?.components || [];
+            const sender = fields[5]?.components || [];
+            const receiver = fields[6]?.components || [];
+            const dateTime = fields[7]?.components || [];
+            return {
+                meaning: 'Interactive Interchange Header',
+                details: {
+                    syntaxIdentifier: syntax[0] || '',
+                    syntaxVersion: syntax[1] || '',
+                    dialogueReference: fields[1]?.components?.[0] || '',
+                    transactionReference: fields[2]?.components?.[0] || '',
+                    sender: sender[0] || '',
+                    senderQualifier: sender[1] || '',
+                    receiver: receiver[0] || '',
+                    receiverQualifier: receiver[1] || '',
+                    date: dateTime[0] || '',
+                    time: dateTime[1] || ''
+                }
+            };
+        }
+        case 'UIH': {
+            const msgId = fields[0]?.components || [];
+            return {
+                meaning: 'Interactive Message Header',
+                details: {
+                    messageReference: fields[1]?.value || '',
+                    messageType: msgId[0] || '',
+                    version: msgId[1] || '',
+                    release: msgId[2] || '',
+                    subFunction: msgId[3] || '',
+                    dialogueReference: fields[2]?.components?.[0] || ''
+                }
+            };
+        }
+        case 'UIT': {
+            return {
+                meaning: 'Interactive Message Trailer',
+                details: {
+                    messageReference: fields[0]?.value || '',
+                    segmentCount: fields[1]?.value || ''
+                }
+            };
+        }
+        case 'UIZ': {
+            return {
+                meaning: 'Interactive Interchange Trailer',
+                details: {
+                    dialogueReference: fields[0]?.components?.[0] || '',
+                    messageCount: fields[1]?.value || ''
+                }
+            };
+        }
+        case 'PVD': {
+            const role = fields[0]?.value || '';
+            const id = fields[1]?.components || [];
+            const person = fields[4]?.components || [];
+            return {
+                meaning: `Provider: ${partyQualifierLabel(role)}`,
+                details: {
+                    role,
+                    id: id[0] || '',
+                    idQualifier: id[1] || '',
+                    name: fields[6]?.value || person.filter(Boolean).join(' ')
+                }
+            };
+        }
+        case 'PTT': {
+            const name = fields[2]?.components || [];
+            return {
+                meaning: 'Patient',
+                details: {
+                    birthDate: fields[1]?.value || '',
+                    name: name.filter(Boolean).join(' '),
+                    gender: fields[3]?.value || ''
+                }
+            };
+        }
         case 'UNS': {
             return {
                 meaning: 'Section Control',
@@ -300,7 +405,7 @@ function _interpretSegment(tag, fields) {
  */
 export const segmentAnalyze = {
     name: 'segmentAnalyze',
-    description: 'Analyze UN/EDIFACT segments only (NOT X12). Parse structure, extract semantic meaning, and identify issues. For X12 data use validateRules or checkCompliance instead. Pass a full raw UN/EDIFACT message via "raw" or a single segment via "tag" and "data".',
+    description: 'Analyze UN/EDIFACT segments only (NOT X12). Parse structure, extract semantic meaning, and identify issues. For INVOIC, ORDERS, ORDRSP, DESADV, PRICAT and RECADV every segment gets its segment group path (e.g. "SG2/NAD/SG5/CTA") and the position of the segment that opens its group. Segments and fields carry line and column in the input (cite findings as "line 14, col 23"). For X12 data use validateRules or checkCompliance instead. Pass a full raw UN/EDIFACT message via "raw" or a single segment via "tag" and "data".',
     category: 'analysis',
     module: 'edifact',
     version: '2.0',
@@ -340,12 +445,19 @@ export const segmentAnalyze = {
                 return { success: false, error: 'No segments found in raw EDIFACT content' };
             }
 
-            const analyzed = segments.map(seg => {
-                const interpretation = _interpretSegment(seg.tag, seg.fields);
+            const groupResolution = resolveSegmentGroups(segments);
+            const numeric = numericOptions(delimiters, segments.find(s => s.tag === 'UNB' || s.tag === 'UIB'));
+            const analyzed = segments.map((seg, i) => {
+                const interpretation = _interpretSegment(seg.tag, seg.fields, numeric);
                 const isKnown = KNOWN_SEGMENT_TAGS.has(seg.tag);
                 return {
                     position: seg.position,
+                    line: seg.line,
+                    column: seg.column,
+                    byteOffset: seg.byteOffset,
                     tag: seg.tag,
+                    sgPath: groupResolution.paths[i].sgPath,
+                    sgParent: groupResolution.paths[i].sgParent,
                     raw: seg.raw,
                     fieldCount: seg.fields.length,
                     fields: seg.fields,
@@ -358,6 +470,7 @@ export const segmentAnalyze = {
                 segmentCount: analyzed.length,
                 uniqueTags: [...new Set(analyzed.map(s => s.tag))],
                 segments: analyzed,
+                structureIssues: groupResolution.issues,
                 delimiters: {
                     hasUNA: delimiters.hasUNA,
                     componentSeparator: delimiters.componentSeparator,
@@ -534,25 +647,31 @@ export const groupSegmentsByType = {
             };
         }
 
-        const { segments } = parseRawEdifact(raw);
+        const { segments, delimiters } = parseRawEdifact(raw);
 
         if (segments.length === 0) {
             return { success: false, error: 'No segments found in raw EDIFACT content' };
         }
 
+        const { paths } = resolveSegmentGroups(segments);
+        const numeric = numericOptions(delimiters, segments.find(s => s.tag === 'UNB' || s.tag === 'UIB'));
         const grouped = {};
-        for (const seg of segments) {
+        segments.forEach((seg, i) => {
             if (!grouped[seg.tag]) {
                 grouped[seg.tag] = [];
             }
-            const interpretation = _interpretSegment(seg.tag, seg.fields);
+            const interpretation = _interpretSegment(seg.tag, seg.fields, numeric);
             grouped[seg.tag].push({
                 position: seg.position,
+                line: seg.line,
+                column: seg.column,
+                sgPath: paths[i].sgPath,
+                sgParent: paths[i].sgParent,
                 raw: seg.raw,
                 fields: seg.fields,
                 ...interpretation
             });
-        }
+        });
 
         const distribution = Object.entries(grouped)
             .map(([tag, segs]) => ({ tag, count: segs.length, isKnown: KNOWN_SEGMENT_TAGS.has(tag) }))
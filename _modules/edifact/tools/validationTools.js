@@ -14,12 +14,15 @@
 
 import {
     parseRawEdifact,
-    parseEdifactDate,
+    sourceLocation,
     KNOWN_SEGMENT_TAGS,
     DTM_QUALIFIERS,
     RFF_QUALIFIERS,
     NAD_QUALIFIERS
 } from '../parser.js';
+import { validateElements, ELEMENT_ISSUES } from '../validators/elementValidator.js';
+import { numericOptions, parseEdifactNumber } from '../numeric.js';
+import { parseEdifactDateTime } from '../datetime.js';
 
 // ==================== X12 FORMAT DETECTION & PARSING ====================
 
@@ -122,6 +125,27 @@ function _parseEDI(raw) {
     return { ...result, format: 'edifact' };
 }
 
+/**
+ * Add line and column in the input to findings that reference a segment
+ * position (X12 segments carry no source location and stay unchanged).
+ * @param {Array} findings - Findings with position (elementPosition/componentPosition optional)
+ * @param {Array} segments - Parsed segments of the same input
+ * @returns {Array} The same findings
+ * @private
+ */
+function _withLocations(findings, segments) {
+    for (const finding of findings) {
+        const location = finding.position
+            ? sourceLocation(segments[finding.position - 1], finding.elementPosition, finding.componentPosition)
+            : null;
+        if (location) {
+            finding.line = location.line;
+            finding.column = location.column;
+        }
+    }
+    return findings;
+}
+
 // ==================== TOOL IMPLEMENTATIONS ====================
 
 /**
@@ -309,7 +333,7 @@ export const validateRules = {
             errorCount,
             warningCount,
             violationCount: violations.length,
-            violations
+            violations: _withLocations(violations, segments)
         };
     }
 };
@@ -648,7 +672,7 @@ export const checkCompliance = {
             missingSegments: missingRequired,
             presentSegments: uniqueTags,
             issueCount: issues.length,
-            issues
+            issues: _withLocations(issues, segments)
         };
     }
 };
@@ -770,7 +794,7 @@ export const detectAnomalies = {
     },
     execute: async (args) => {
         const { raw } = args;
-        const { segments, format } = _parseEDI(raw);
+        const { segments, delimiters, format } = _parseEDI(raw);
 
         if (segments.length === 0) {
             return { anomalyCount: 0, anomalies: [], error: 'No segments found' };
@@ -782,6 +806,7 @@ export const detectAnomalies = {
         }
 
         const anomalies = [];
+        const numeric = numericOptions(delimiters, segments.find(s => s.tag === 'UNB'));
 
         // 1. Duplicate references (RFF)
         const references = [];
@@ -847,7 +872,7 @@ export const detectAnomalies = {
         for (const seg of segments) {
             if (seg.tag === 'PRI') {
                 const comp = seg.fields[0]?.components || [];
-                const price = parseFloat(comp[1]);
+                const price = parseEdifactNumber(comp[1], numeric)?.value ?? NaN;
                 if (!isNaN(price)) {
                     prices.push({ price, position: seg.position, qualifier: comp[0] || '' });
                 }
@@ -877,7 +902,7 @@ export const detectAnomalies = {
         for (const seg of segments) {
             if (seg.tag === 'QTY') {
                 const comp = seg.fields[0]?.components || [];
-                const qty = parseFloat(comp[1]);
+                const qty = parseEdifactNumber(comp[1], numeric)?.value ?? NaN;
                 if (!isNaN(qty) && qty > 10000) {
                     anomalies.push({
                         type: 'HIGH_QUANTITY',
@@ -898,9 +923,10 @@ export const detectAnomalies = {
                 const qualifier = comp[0] || '';
                 const dateValue = comp[1] || '';
                 const format = comp[2] || '';
-                const parsed = parseEdifactDate(dateValue, format);
-                if (parsed && !isNaN(parsed.getTime())) {
-                    dates.push({ qualifier, date: parsed, rawValue: dateValue, position: seg.position });
+                const parsed = parseEdifactDateTime(dateValue, format);
+                if (parsed?.start) {
+                    // Periods are compared by their end: a delivery window may open before the document date
+                    dates.push({ qualifier, date: parsed.start, end: parsed.end || parsed.start, rawValue: dateValue, position: seg.position });
                 }
             }
         }
@@ -910,7 +936,7 @@ export const detectAnomalies = {
         const deliveryDates = dates.filter(d => ['2', '35', '63', '64'].includes(d.qualifier));
 
         for (const dd of deliveryDates) {
-            if (docDate && dd.date < docDate.date) {
+            if (docDate && dd.end < docDate.date) {
                 anomalies.push({
                     type: 'DATE_ORDER',
                     severity: 'warning',
@@ -957,7 +983,7 @@ export const detectAnomalies = {
         return {
             anomalyCount: anomalies.length,
             hasAnomalies: anomalies.length > 0,
-            anomalies,
+            anomalies: _withLocations(anomalies, segments),
             summary: {
                 errors: anomalies.filter(a => a.severity === 'error').length,
                 warnings: anomalies.filter(a => a.severity === 'warning').length,
@@ -1145,23 +1171,27 @@ function _detectAnomaliesX12(segments) {
  */
 export const validateDataTypes = {
     name: 'validateDataTypes',
-    description: 'Validate EDI message fields for correct data types, date formats, numeric ranges, and identifier formats. Pass the raw EDI message string (EDIFACT or X12).',
+    description: 'Validate EDI message fields for correct data types, date formats, numeric ranges, and identifier formats. For UN/EDIFACT every data element is also checked against the directory declared in UNH (an..35 / n..18 formats, mandatory elements and components). Pass the raw EDI message string (EDIFACT or X12).',
     category: 'validation',
     module: 'edifact',
-    version: '2.1',
+    version: '2.2',
     inputSchema: {
         type: 'object',
         properties: {
             raw: {
                 type: 'string',
                 description: 'Complete raw EDI message string (EDIFACT or X12)'
+            },
+            directory: {
+                type: 'string',
+                description: 'UN/EDIFACT directory to use when UNH declares none (e.g. "D96A"). Defaults to the release selected for this chat.'
             }
         },
         required: ['raw']
     },
-    execute: async (args) => {
+    execute: async (args, context = {}) => {
         const { raw } = args;
-        const { segments, format } = _parseEDI(raw);
+        const { segments, delimiters, format } = _parseEDI(raw);
 
         if (segments.length === 0) {
             return { valid: false, error: 'No segments found', errors: [] };
@@ -1173,47 +1203,26 @@ export const validateDataTypes = {
         }
 
         const errors = [];
+        const numeric = numericOptions(delimiters, segments.find(s => s.tag === 'UNB'));
 
         for (const seg of segments) {
             switch (seg.tag) {
                 case 'DTM': {
                     // Validate date format
                     const comp = seg.fields[0]?.components || [];
-                    const qualifier = comp[0] || '';
                     const dateValue = comp[1] || '';
                     const format = comp[2] || '';
 
                     if (dateValue) {
-                        if (format === '102' && dateValue.length !== 8) {
-                            errors.push({
-                                segment: 'DTM',
-                                position: seg.position,
-                                field: 'C507.2380',
-                                expected: '8-digit date (CCYYMMDD)',
-                                actual: dateValue,
-                                message: `Date "${dateValue}" should be 8 digits for format 102`
-                            });
-                        }
-                        if (format === '203' && dateValue.length !== 12) {
-                            errors.push({
-                                segment: 'DTM',
-                                position: seg.position,
-                                field: 'C507.2380',
-                                expected: '12-digit datetime (CCYYMMDDHHMM)',
-                                actual: dateValue,
-                                message: `DateTime "${dateValue}" should be 12 digits for format 203`
-                            });
-                        }
-                        // Validate parsability
-                        const parsed = parseEdifactDate(dateValue, format);
-                        if (!parsed || isNaN(parsed.getTime())) {
+                        const parsed = parseEdifactDateTime(dateValue, format);
+                        if (!parsed.valid) {
                             errors.push({
                                 segment: 'DTM',
                                 position: seg.position,
                                 field: 'C507.2380',
-                                expected: 'Valid date',
+                                expected: parsed.formatLabel ? `${parsed.formatLabel} (format ${parsed.format})` : 'Valid date',
                                 actual: dateValue,
-                                message: `Date "${dateValue}" is not a valid date`
+                                message: `Date ${parsed.error}`
                             });
                         }
                     }
@@ -1222,17 +1231,19 @@ export const validateDataTypes = {
                 case 'QTY': {
                     const comp = seg.fields[0]?.components || [];
                     const qty = comp[1] || '';
-                    if (qty && isNaN(parseFloat(qty))) {
+                    const parsed = parseEdifactNumber(qty, numeric);
+                    if (parsed?.issue) {
                         errors.push({
                             segment: 'QTY',
                             position: seg.position,
                             field: 'C186.6060',
-                            expected: 'Numeric value',
+                            expected: `Numeric value with decimal mark "${numeric.decimalMark}"`,
                             actual: qty,
-                            message: `Quantity "${qty}" is not a valid number`
+                            issue: parsed.issue.code,
+                            message: `Quantity ${parsed.issue.detail}`
                         });
                     }
-                    if (qty && parseFloat(qty) < 0) {
+                    if (parsed?.value < 0) {
                         errors.push({
                             segment: 'QTY',
                             position: seg.position,
@@ -1247,17 +1258,19 @@ export const validateDataTypes = {
                 case 'PRI': {
                     const comp = seg.fields[0]?.components || [];
                     const price = comp[1] || '';
-                    if (price && isNaN(parseFloat(price))) {
+                    const parsed = parseEdifactNumber(price, numeric);
+                    if (parsed?.issue) {
                         errors.push({
                             segment: 'PRI',
                             position: seg.position,
                             field: 'C509.5118',
-                            expected: 'Numeric value',
+                            expected: `Numeric value with decimal mark "${numeric.decimalMark}"`,
                             actual: price,
-                            message: `Price "${price}" is not a valid number`
+                            issue: parsed.issue.code,
+                            message: `Price ${parsed.issue.detail}`
                         });
                     }
-                    if (price && parseFloat(price) < 0) {
+                    if (parsed?.value < 0) {
                         errors.push({
                             segment: 'PRI',
                             position: seg.position,
@@ -1272,14 +1285,33 @@ export const validateDataTypes = {
                 case 'MOA': {
                     const comp = seg.fields[0]?.components || [];
                     const amount = comp[1] || '';
-                    if (amount && isNaN(parseFloat(amount))) {
+                    const parsed = parseEdifactNumber(amount, numeric);
+                    if (parsed?.issue) {
                         errors.push({
                             segment: 'MOA',
                             position: seg.position,
                             field: 'C516.5004',
-                            expected: 'Numeric value',
+                            expected: `Numeric value with decimal mark "${numeric.decimalMark}"`,
                             actual: amount,
-                            message: `Monetary amount "${amount}" is not a valid number`
+                            issue: parsed.issue.code,
+                            message: `Monetary amount ${parsed.issue.detail}`
+                        });
+                    }
+                    break;
+                }
+                case 'PCD': {
+                    const comp = seg.fields[0]?.components || [];
+                    const percentage = comp[1] || '';
+                    const parsed = parseEdifactNumber(percentage, numeric);
+                    if (parsed?.issue) {
+                        errors.push({
+                            segment: 'PCD',
+                            position: seg.position,
+                            field: 'C501.5482',
+                            expected: `Numeric value with decimal mark "${numeric.decimalMark}"`,
+                            actual: percentage,
+                            issue: parsed.issue.code,
+                            message: `Percentage ${parsed.issue.detail}`
                         });
                     }
                     break;
@@ -1365,10 +1397,33 @@ export const validateDataTypes = {
             }
         }
 
+        // Directory-driven element check (formats, lengths, mandatory status)
+        const elementCheck = validateElements(segments, {
+            directory: args.directory || context.analysisChat?.domainContext?.edifact?.releaseVersion,
+            decimalMark: delimiters?.decimalNotation
+        });
+        // Releases that are not bundled were checked against an approximation → warnings only
+        const warnings = [];
+        for (const issue of elementCheck.issues) {
+            (issue.exact ? errors : warnings).push({
+                segment: issue.tag,
+                position: issue.position,
+                elementPosition: issue.elementPosition,
+                componentPosition: issue.componentPosition,
+                field: issue.element,
+                expected: ELEMENT_ISSUES[issue.code].label,
+                actual: issue.value,
+                message: issue.message,
+                syntaxError: issue.syntaxError
+            });
+        }
+
         return {
             valid: errors.length === 0,
             errorCount: errors.length,
-            errors,
+            errors: _withLocations(errors, segments),
+            warnings: _withLocations(warnings, segments),
+            directories: [...new Set(elementCheck.messages.map(m => m.directory).filter(Boolean))],
             segmentsChecked: segments.length
         };
     }
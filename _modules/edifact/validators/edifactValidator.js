@@ -9,7 +9,7 @@
  *
  * Validation Pipeline:
  * 1. Parse raw EDIFACT (parser.js)
- * 2. Detect message type & standard from UNB/UNH
+ * 2. Detect message type & standard from UNB/UNH (or interactive UIB/UIH)
  * 3. Load applicable rules (rules.js, filtered by type + standard)
  * 4. Execute each rule, collect results
  * 5. Aggregate into validation report
@@ -19,30 +19,38 @@
  *   const report = validate(rawEdifactString);
  *   // or with options:
  *   const report = validate(rawEdifactString, { standard: 'EANCOM' });
+ *   // with the trading partner profiles of the user (picked by UNB sender/recipient):
+ *   const report = validate(rawEdifactString, { partners });
  */
 
-import { parseRawEdifact, parseEdifactDate, KNOWN_SEGMENT_TAGS } from '../parser.js';
+import { parseRawEdifact, parseEdifactDate, detectEnvelope, envelopeFields, KNOWN_SEGMENT_TAGS } from '../parser.js';
 import { getRules, getRequiredSegments } from './rules.js';
+import { findPartnerProfile, partnerValidationOptions } from './partnerProfiles.js';
 
 // ─────────────────────────────────────────────────────────────
 //  Helper: detect message type and standard from parsed segments
 // ─────────────────────────────────────────────────────────────
 
 function _detectMessageMeta(segments) {
-    const unbSegment = segments.find(s => s.tag === 'UNB');
-    const unhSegment = segments.find(s => s.tag === 'UNH');
-    const unzSegment = segments.find(s => s.tag === 'UNZ');
+    // Interactive interchanges (UIB/UIH/UIZ) fill the same slots
+    const envelope = detectEnvelope(segments);
+    const unbSegment = segments.find(s => s.tag === envelope.interchangeHeader);
+    const unhSegment = segments.find(s => s.tag === envelope.messageHeader);
+    const unzSegment = segments.find(s => s.tag === envelope.interchangeTrailer);
 
-    const unhMsgId = unhSegment?.fields[1]?.components || [];
-    const messageType = unhMsgId[0] || '';
-    const messageVersion = unhMsgId[1] || '';
-    const messageRelease = unhMsgId[2] || '';
-    const controllingAgency = unhMsgId[3] || '';
-    const associationCode = unhMsgId[4] || '';
+    const header = envelopeFields(unhSegment) || {};
+    const messageType = header.messageType || '';
+    const messageVersion = header.version || '';
+    const messageRelease = header.release || '';
+    const controllingAgency = header.agency || '';
+    const associationCode = (envelope.interactive
+        ? unhSegment?.fields[0]?.components[5]
+        : unhSegment?.fields[1]?.components[4]) || '';
 
     // Standard detection
     let standard = 'UN/EDIFACT';
-    if (associationCode.toUpperCase().includes('EAN')) standard = 'EANCOM';
+    if (envelope.interactive && messageType === 'SCRIPT') standard = 'NCPDP SCRIPT';
+    else if (associationCode.toUpperCase().includes('EAN')) standard = 'EANCOM';
     else if (associationCode.toUpperCase().includes('ODETTE')) standard = 'ODETTE';
 
     return {
@@ -53,12 +61,25 @@ function _detectMessageMeta(segments) {
         associationCode,
         standard,
         version: `${messageVersion}${messageRelease}`,
+        envelope,
         unbSegment,
         unhSegment,
         unzSegment
     };
 }
 
+/**
+ * Options with the trading partner profile merged in: options.partner, or the
+ * profile of options.partners matching the UNB sender/recipient
+ */
+function _withPartnerProfile(options, unbSegment) {
+    const partner = options.partner || findPartnerProfile(options.partners, {
+        sender: unbSegment?.fields[1]?.components[0],
+        receiver: unbSegment?.fields[2]?.components[0]
+    });
+    return partner ? { ...partnerValidationOptions(partner, options), partner } : options;
+}
+
 // ═════════════════════════════════════════════════════════════
 //  PUBLIC API
 // ═════════════════════════════════════════════════════════════
@@ -70,9 +91,15 @@ function _detectMessageMeta(segments) {
  * @param {object} [options] - Optional overrides
  * @param {string} [options.standard] - Force a specific standard (e.g. 'EANCOM')
  * @param {string} [options.messageType] - Force a specific message type (e.g. 'INVOIC')
+ * @param {string} [options.directory] - Directory used when UNH declares none (e.g. 'd96a')
  * @param {Array}  [options.extraRules] - Additional custom rules to execute
  * @param {Array}  [options.disabledRules] - Rule codes to skip (e.g. ['BIZ_004'])
- * @returns {{ valid, messageType, standard, version, statistics, results }}
+ * @param {number} [options.amountTolerance=0.01] - Rounding difference accepted by the INVOIC amount reconciliation (BIZ_006–BIZ_010)
+ * @param {object} [options.severityOverrides] - Severity per rule code (e.g. { CMP_001: 'info' })
+ * @param {object} [options.partner] - Trading partner profile (partnerProfiles.js): adds its rules,
+ *                                     disabled rules, severity overrides and amount tolerance
+ * @param {object[]} [options.partners] - Profiles to pick from by UNB sender/recipient (when no options.partner)
+ * @returns {{ valid, messageType, standard, version, statistics, results, partner }}
  */
 export function validate(raw, options = {}) {
     if (!raw || typeof raw !== 'string') {
@@ -114,8 +141,22 @@ export function validate(raw, options = {}) {
         };
     }
 
+    return validateSegments(segments, delimiters, options);
+}
+
+/**
+ * Validate already parsed segments (e.g. a single message cut out of an
+ * interchange). Same report as validate().
+ *
+ * @param {object[]} segments - parseRawEdifact() segments
+ * @param {object} delimiters - parseUNA() result
+ * @param {object} [options] - See validate()
+ * @returns {{ valid, messageType, standard, version, statistics, results }}
+ */
+export function validateSegments(segments, delimiters, options = {}) {
     // 2. Detect message metadata
     const meta = _detectMessageMeta(segments);
+    options = _withPartnerProfile(options, meta.unbSegment);
     const messageType = options.messageType || meta.messageType;
     const standard = options.standard || meta.standard;
 
@@ -130,6 +171,7 @@ export function validate(raw, options = {}) {
     // Filter out disabled rules
     const disabledSet = new Set(options.disabledRules || []);
     const activeRules = allRules.filter(r => !disabledSet.has(r.code));
+    const severityOverrides = options.severityOverrides || {};
 
     // 4. Build rule execution context
     const segmentTags = segments.map(s => s.tag);
@@ -144,9 +186,12 @@ export function validate(raw, options = {}) {
         unbSegment: meta.unbSegment,
         unhSegment: meta.unhSegment,
         unzSegment: meta.unzSegment,
+        envelope: meta.envelope,
         messageType,
         standard,
         version: meta.version,
+        directory: options.directory,
+        amountTolerance: options.amountTolerance,
         parseDate: parseEdifactDate
     };
 
@@ -162,7 +207,7 @@ export function validate(raw, options = {}) {
             results.push({
                 code: rule.code,
                 type: rule.type,
-                severity: rule.severity,
+                severity: severityOverrides[rule.code] || rule.severity,
                 description: rule.description,
                 pass,
                 detail
@@ -202,7 +247,8 @@ export function validate(raw, options = {}) {
         statistics,
         results,
         // Convenience: only failed results
-        failures: failed
+        failures: failed,
+        partner: options.partner ? { id: options.partner.id || null, name: options.partner.name || options.partner.sender } : null
     };
 }
 
@@ -236,6 +282,7 @@ export function quickCheck(raw) {
         unbSegment: meta.unbSegment,
         unhSegment: meta.unhSegment,
         unzSegment: meta.unzSegment,
+        envelope: meta.envelope,
         messageType: meta.messageType,
         standard: meta.standard,
         parseDate: parseEdifactDate
@@ -262,4 +309,4 @@ export function quickCheck(raw) {
     };
 }
 
-export default { validate, quickCheck };
+export default { validate, validateSegments, quickCheck };
@@ -0,0 +1,340 @@
+/**
+ * EDIFACT Element Validator
+ * =========================
+ * Checks every data element of every segment against the directory the
+ * message declares in UNH (S009 0052+0054): character type (a / n / an),
+ * minimum/maximum length, mandatory elements, composites and components,
+ * and surplus elements/components. Coded elements are checked against the
+ * bundled UNCL code lists (directory/codelists.js).
+ *
+ * Each issue carries the ISO 9735 syntax error code (DE 0085) a receiving
+ * VAN would report for it.
+ *
+ * Usage:
+ *   import { validateElements } from '_modules/edifact/validators/elementValidator.js';
+ *   const { issues, codeIssues, messages } = validateElements(segments, { directory: 'd96a' });
+ */
+
+import { normalizeDirectory, getDirectory, getSegmentDefinition, parseFormat, getCodeList, CODE_LIST_DIRECTORY } from '../directory/index.js';
+
+// ─────────────────────────────────────────────────────────────
+//  Issue codes → ISO 9735 syntax error codes (0085)
+// ─────────────────────────────────────────────────────────────
+
+export const ELEMENT_ISSUES = {
+    MISSING_MANDATORY_ELEMENT: { syntaxError: '13', label: 'Missing mandatory element' },
+    TOO_MANY_ELEMENTS: { syntaxError: '16', label: 'Too many data elements' },
+    TOO_MANY_COMPONENTS: { syntaxError: '16', label: 'Too many components' },
+    INVALID_CHARACTER_TYPE: { syntaxError: '37', label: 'Invalid type of characters' },
+    MISSING_DIGIT_BEFORE_DECIMAL: { syntaxError: '38', label: 'Missing digit in front of decimal sign' },
+    ELEMENT_TOO_LONG: { syntaxError: '39', label: 'Data element too long' },
+    ELEMENT_TOO_SHORT: { syntaxError: '40', label: 'Data element too short' },
+    INVALID_CODE_VALUE: { syntaxError: '12', label: 'Invalid value' }
+};
+
+const _DEFAULT_MAX_ISSUES = 500;
+
+// Envelope segments are defined by the syntax version, not the message directory
+const _SERVICE_TAGS = new Set(['UNB', 'UNG', 'UNH', 'UNT', 'UNE', 'UNZ', 'UIB', 'UIH', 'UIT', 'UIZ']);
+
+// Code list responsible agency (3055) for UN/ECE (UNCL) codes
+const _UNCL_AGENCY = '6';
+
+// EANCOM adds its own codes to UNCL lists, suffixed with 'E' (e.g. 45E)
+const _EANCOM_CODE = /^[0-9A-Z]+E$/;
+
+// ─────────────────────────────────────────────────────────────
+//  Value checks
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Check a single (unescaped) value against a directory format
+ *
+ * @param {string} value - Element value, release characters already removed
+ * @param {string} format - e.g. 'an..35', 'n..15', 'a4'
+ * @param {string} [decimalMark='.'] - UNA decimal notation
+ * @returns {{ code: string, detail: string }|null} null if the value is valid or empty
+ */
+export function checkElementValue(value, format, decimalMark = '.') {
+    const spec = parseFormat(format);
+    if (!spec || value === '' || value == null) return null;
+
+    let length = value.length;
+
+    if (spec.type === 'n') {
+        // Sign and decimal mark do not count towards the length (ISO 9735)
+        const marks = decimalMark === ',' ? ',.' : '.,';
+        const pattern = new RegExp(`^-?\\d*[${marks}]?\\d*$`);
+        if (!pattern.test(value) || !/\d/.test(value)) {
+            return { code: 'INVALID_CHARACTER_TYPE', detail: `'${value}' is not numeric` };
+        }
+        const unsigned = value.replace(/^-/, '');
+        if (/^[.,]/.test(unsigned)) {
+            return { code: 'MISSING_DIGIT_BEFORE_DECIMAL', detail: `'${value}' has no digit before the decimal mark` };
+        }
+        length = unsigned.replace(/[.,]/, '').length;
+    } else if (spec.type === 'a' && /\d/.test(value)) {
+        return { code: 'INVALID_CHARACTER_TYPE', detail: `'${value}' contains digits but ${format} is alphabetic` };
+    }
+
+    if (length > spec.maxLength) {
+        return { code: 'ELEMENT_TOO_LONG', detail: `${length} characters, ${format} allows ${spec.maxLength}` };
+    }
+    if (length < spec.minLength) {
+        return { code: 'ELEMENT_TOO_SHORT', detail: `${length} characters, ${format} requires ${spec.minLength}` };
+    }
+    return null;
+}
+
+/**
+ * Check a coded value against the code list of its data element
+ *
+ * @param {string} value - Element value
+ * @param {string} elementId - Data element number (e.g. '2005')
+ * @param {object} [options]
+ * @param {boolean} [options.eancom=false] - Accept EANCOM codes ('…E')
+ * @returns {{ code: string, detail: string, codeList: string, complete: boolean }|null}
+ *          null if the value is in the list, empty, or the element has no bundled list;
+ *          complete = true when the list is complete or the value is outside its pattern
+ */
+export function checkCodeValue(value, elementId, { eancom = false } = {}) {
+    const list = getCodeList(elementId);
+    if (!list || value === '' || value == null) return null;
+    if (Object.hasOwn(list.codes, value)) return null;
+    if (eancom && _EANCOM_CODE.test(value)) return null;
+    return {
+        code: 'INVALID_CODE_VALUE',
+        detail: `'${value}' is not a code of ${list.id} ${list.name}`,
+        codeList: list.id,
+        // A value outside the pattern of a partial list is no code either
+        complete: list.complete || (list.pattern ? !list.pattern.test(value) : false),
+        iso: list.iso === true
+    };
+}
+
+/**
+ * Validate the data elements of one segment against its definition
+ *
+ * @param {object} segment - Parsed segment { tag, fields: [{ value, components }] }
+ * @param {object} definition - getSegmentDefinition() result
+ * @param {object} [options]
+ * @param {string} [options.decimalMark='.']
+ * @param {string} [options.directory] - Only used in messages
+ * @param {boolean} [options.codeLists=true] - Check coded elements against UNCL
+ * @param {boolean} [options.eancom=false] - Accept EANCOM codes ('…E')
+ * @returns {Array<{ code, syntaxError, tag, element, elementPosition, componentPosition, value, message }>}
+ *          INVALID_CODE_VALUE issues also carry codeList, complete and iso
+ */
+export function validateSegmentElements(segment, definition, { decimalMark = '.', directory = '', codeLists = true, eancom = false } = {}) {
+    const issues = [];
+    if (!definition) return issues;
+
+    const fields = segment.fields || [];
+    const push = (code, element, elementPosition, componentPosition, value, detail, extra) => {
+        issues.push({
+            code,
+            syntaxError: ELEMENT_ISSUES[code].syntaxError,
+            tag: segment.tag,
+            element,
+            elementPosition,
+            componentPosition,
+            value,
+            message: `${segment.tag} ${element}: ${detail}${directory ? ` (${directory})` : ''}`,
+            ...extra
+        });
+    };
+    const checkValue = (value, def, element, elementPosition, componentPosition, checkCode) => {
+        const result = checkElementValue(value, def.format, decimalMark);
+        if (result) {
+            push(result.code, element, elementPosition, componentPosition, value, `'${def.name}' ${result.detail}`);
+            return;
+        }
+        if (!checkCode) return;
+        const coded = checkCodeValue(value, def.id, { eancom });
+        if (coded) {
+            push(coded.code, element, elementPosition, componentPosition, value, coded.detail, {
+                codeList: coded.codeList,
+                complete: coded.complete,
+                iso: coded.iso
+            });
+        }
+    };
+
+    definition.elements.forEach((elementDef, i) => {
+        const field = fields[i];
+        const components = field?.components || [];
+        const present = components.some(c => c !== '');
+        const elementPosition = i + 1;
+
+        if (!present) {
+            if (elementDef.status === 'M') {
+                push('MISSING_MANDATORY_ELEMENT', elementDef.id, elementPosition, null, '', `mandatory ${elementDef.components ? 'composite' : 'element'} '${elementDef.name}' is missing`);
+            }
+            return;
+        }
+
+        // Simple data element
+        if (!elementDef.components) {
+            if (components.length > 1) {
+                push('TOO_MANY_COMPONENTS', elementDef.id, elementPosition, null, field.value, `simple element '${elementDef.name}' has ${components.length} components`);
+                return;
+            }
+            checkValue(components[0], elementDef, elementDef.id, elementPosition, null, codeLists);
+            return;
+        }
+
+        // Composite
+        if (components.length > elementDef.components.length) {
+            push('TOO_MANY_COMPONENTS', elementDef.id, elementPosition, null, field.value, `${components.length} components, '${elementDef.name}' defines ${elementDef.components.length}`);
+        }
+        // Codes maintained by another agency (3055 other than UN/ECE) are not UNCL codes
+        const agencyIndex = elementDef.components.findIndex(c => c.id === '3055');
+        const agency = agencyIndex >= 0 ? components[agencyIndex] || '' : '';
+        const checkCodes = codeLists && (agency === '' || agency === _UNCL_AGENCY);
+        elementDef.components.forEach((componentDef, k) => {
+            const value = components[k] ?? '';
+            const element = `${elementDef.id}.${componentDef.id}`;
+            if (value === '') {
+                if (componentDef.status === 'M') {
+                    push('MISSING_MANDATORY_ELEMENT', element, elementPosition, k + 1, '', `mandatory component '${componentDef.name}' is missing`);
+                }
+                return;
+            }
+            // The agency itself is always a UNCL 3055 code
+            checkValue(value, componentDef, element, elementPosition, k + 1, checkCodes || (codeLists && k === agencyIndex));
+        });
+    });
+
+    const surplus = fields.slice(definition.elements.length).filter(f => f.components?.some(c => c !== '') || f.value);
+    if (surplus.length > 0) {
+        push('TOO_MANY_ELEMENTS', `#${definition.elements.length + 1}`, definition.elements.length + 1, null, surplus.map(f => f.value).join(' | '), `${fields.length} data elements, the directory defines ${definition.elements.length}`);
+    }
+
+    return issues;
+}
+
+// ═════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Create a validator that checks segments one by one in file order against
+ * the directory each message declares in UNH. Service segments follow the
+ * UNB syntax version. Interactive envelopes are handled alike (UIB for the
+ * syntax version, UIH S306 for the message directory).
+ *
+ * Works segment by segment, so it can run while a file is streamed.
+ *
+ * check(segment, position) returns the findings of that segment:
+ *  { issues, codeIssues, message }
+ *    message — directory entry when the segment is a UNH/UIH, else null
+ * Once either kind reaches maxIssues, truncated() is true and later
+ * segments are no longer checked.
+ *
+ * @param {object} [options]
+ * @param {string} [options.directory] - Fallback when UNH declares no D-directory (e.g. 'd96a' from the start screen)
+ * @param {string} [options.decimalMark='.'] - UNA decimal notation
+ * @param {number} [options.maxIssues=500] - Stop collecting after this many issues (per kind)
+ * @param {boolean} [options.codeLists=true] - Check coded elements against UNCL
+ * @returns {{ check: (segment: object, position?: number) => object, truncated: () => boolean }}
+ */
+export function createElementValidator(options = {}) {
+    const { decimalMark = '.', maxIssues = _DEFAULT_MAX_ISSUES, codeLists = true } = options;
+    const fallback = normalizeDirectory(options.directory);
+
+    const counts = { issues: 0, codeIssues: 0 };
+    let syntaxVersion = '3';
+    let dictionary = null;
+    let serviceDictionary = getDirectory(fallback || 'D96A', { syntaxVersion });
+    let eancom = false;
+    let truncated = false;
+
+    const check = (segment, position = segment.position) => {
+        const result = { issues: [], codeIssues: [], message: null };
+        if (truncated) return result;
+        const tag = segment.tag;
+
+        if (tag === 'UNB' || tag === 'UIB') {
+            syntaxVersion = segment.fields?.[0]?.components?.[1] === '4' ? '4' : '3';
+            serviceDictionary = getDirectory(fallback || 'D96A', { syntaxVersion });
+        } else if (tag === 'UNH' || tag === 'UIH') {
+            // S009 (UNH, 2nd element) and S306 (UIH, 1st element) share type/version/release
+            const s009 = segment.fields?.[tag === 'UNH' ? 1 : 0]?.components || [];
+            const declared = normalizeDirectory(s009[1], s009[2]);
+            const directory = declared || (s009[1] ? null : fallback);
+            dictionary = directory ? getDirectory(directory, { syntaxVersion }) : null;
+            eancom = tag === 'UNH' && /^EAN/i.test(s009[4] || '');
+            result.message = {
+                position,
+                messageType: s009[0] || '',
+                directory,
+                declared: declared || `${s009[1] || ''}${s009[2] || ''}`,
+                source: declared ? tag : (directory ? 'fallback' : null),
+                basis: dictionary?.basis ?? null,
+                exact: dictionary?.exact ?? false
+            };
+        }
+
+        const isService = _SERVICE_TAGS.has(tag);
+        const definition = getSegmentDefinition(isService ? serviceDictionary : dictionary, tag);
+        if (definition) {
+            const directory = isService ? null : dictionary.directory;
+            const exact = isService || dictionary.exact;
+            const found = validateSegmentElements(segment, definition, {
+                decimalMark,
+                directory: !directory ? '' : exact ? directory : `${directory} not bundled, checked against ${dictionary.basis}`,
+                codeLists: codeLists && !isService,
+                eancom
+            });
+            for (const issue of found) {
+                const kind = issue.code === 'INVALID_CODE_VALUE' ? 'codeIssues' : 'issues';
+                if (counts[kind] >= maxIssues) {
+                    truncated = true;
+                    break;
+                }
+                counts[kind]++;
+                const located = { ...issue, position, directory, exact };
+                if (kind === 'codeIssues') {
+                    located.certain = issue.complete && (issue.iso || directory === CODE_LIST_DIRECTORY);
+                }
+                result[kind].push(located);
+            }
+        }
+
+        if (tag === 'UNT' || tag === 'UIT') dictionary = null;
+        return result;
+    };
+
+    return { check, truncated: () => truncated };
+}
+
+/**
+ * Validate all segments of an interchange (createElementValidator() over
+ * a complete segment list)
+ *
+ * @param {Array} segments - Parsed segments (with position)
+ * @param {object} [options] - See createElementValidator()
+ * @returns {{ issues: Array, codeIssues: Array, messages: Array<{ position, messageType, directory, declared, source, basis, exact }>, truncated: boolean }}
+ *          issues carry position, directory (null for service segments) and exact
+ *          (false when the declared release is not bundled and basis was checked instead)
+ *          codeIssues = INVALID_CODE_VALUE issues; certain = false when the list
+ *          is incomplete or the message uses another directory than the code lists
+ *          source = 'UNH' | 'UIH' | 'fallback' | null (no directory → body not checked)
+ */
+export function validateElements(segments, options = {}) {
+    const validator = createElementValidator(options);
+    const issues = [];
+    const codeIssues = [];
+    const messages = [];
+
+    for (let i = 0; i < segments.length && !validator.truncated(); i++) {
+        const found = validator.check(segments[i], segments[i].position ?? i + 1);
+        issues.push(...found.issues);
+        codeIssues.push(...found.codeIssues);
+        if (found.message) messages.push(found.message);
+    }
+
+    return { issues, codeIssues, messages, truncated: validator.truncated() };
+}
+
+export default { ELEMENT_ISSUES, checkElementValue, checkCodeValue, validateSegmentElements, createElementValidator, validateElements };
@@ -0,0 +1,407 @@
+/**
+ * Trading Partner Profiles
+ * ========================
+ * Per-partner validation settings on top of the generic rules (rules.js).
+ * Every retailer has its own message implementation guideline (MIG) on top of
+ * EANCOM; a profile stores what that partner expects and which generic rules
+ * only produce noise for it.
+ *
+ * Profile:
+ *  {
+ *    id, name,
+ *    sender, receiver,        — UNB/ISA identification ('' receiver = any recipient)
+ *    syntaxVersion,           — 'UNOC:3' (identifier and version) or '3' (version only)
+ *    subset,                  — UNH association assigned code, e.g. 'EAN008' ('EANCOM' = any EAN subset)
+ *    requiredQualifiers,      — { NAD: ['BY', 'SU'], 'INVOIC/RFF': ['ON'] } per message
+ *    codeRestrictions,        — [{ segment, element, component = 1, qualifier?, messageType?, codes: [] }]
+ *    severityOverrides,       — { CMP_001: 'info' } by rule code
+ *    amountTolerance,         — 0.05: rounding difference accepted by the INVOIC amount checks (null = 0.01)
+ *    disabledRules            — ['BIZ_004']
+ *  }
+ *
+ * Partner rules (TP_001–TP_004) use the rule format of rules.js and run
+ * through validate() options (extraRules, disabledRules, severityOverrides).
+ * checkPartnerProfile() returns the same findings with segment positions for
+ * the upload analysis.
+ *
+ * Pure functions — no side effects, no DB, no LLM.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const PARTNER_SEVERITIES = ['error', 'warning', 'info'];
+
+const _MESSAGE_HEADERS = ['UNH', 'UIH'];
+const _MESSAGE_TRAILERS = ['UNT', 'UIT'];
+
+// ==================== PROFILE ====================
+
+/**
+ * Normalize a stored or user supplied profile (missing fields get defaults,
+ * identifiers are trimmed, unknown severities are dropped)
+ *
+ * @param {object} profile
+ * @returns {object|null} Profile as documented above, null without a sender
+ */
+export function normalizePartnerProfile(profile) {
+    const sender = String(profile?.sender ?? '').trim();
+    if (!sender) return null;
+
+    const requiredQualifiers = {};
+    for (const [key, qualifiers] of Object.entries(_object(profile.requiredQualifiers))) {
+        const list = (Array.isArray(qualifiers) ? qualifiers : String(qualifiers).split(','))
+            .map(q => String(q).trim())
+            .filter(Boolean);
+        if (list.length > 0) requiredQualifiers[key.trim().toUpperCase()] = list;
+    }
+
+    const codeRestrictions = (Array.isArray(profile.codeRestrictions) ? profile.codeRestrictions : [])
+        .filter(r => r?.segment && Number(r.element) > 0 && Array.isArray(r.codes) && r.codes.length > 0)
+        .map(r => ({
+            segment: String(r.segment).trim().toUpperCase(),
+            element: Number(r.element),
+            component: Number(r.component) > 0 ? Number(r.component) : 1,
+            ...(r.qualifier ? { qualifier: String(r.qualifier).trim() } : {}),
+            ...(r.messageType ? { messageType: String(r.messageType).trim().toUpperCase() } : {}),
+            codes: r.codes.map(c => String(c).trim())
+        }));
+
+    const severityOverrides = {};
+    for (const [code, severity] of Object.entries(_object(profile.severityOverrides))) {
+        if (PARTNER_SEVERITIES.includes(severity)) severityOverrides[code.trim()] = severity;
+    }
+
+    return {
+        id: profile.id || null,
+        name: String(profile.name || sender).trim(),
+        sender,
+        receiver: String(profile.receiver ?? '').trim(),
+        syntaxVersion: String(profile.syntaxVersion || '').trim().toUpperCase(),
+        subset: String(profile.subset || '').trim().toUpperCase(),
+        requiredQualifiers,
+        codeRestrictions,
+        severityOverrides,
+        amountTolerance: _tolerance(profile.amountTolerance),
+        disabledRules: (Array.isArray(profile.disabledRules) ? profile.disabledRules : [])
+            .map(code => String(code).trim())
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Profile for an interchange: exact sender/recipient pair first, then a
+ * profile of the sender without recipient
+ *
+ * @param {object[]} profiles - Profiles of the user
+ * @param {{ sender: string, receiver: string }} interchange - UNB/ISA identification
+ * @returns {object|null} Normalized profile
+ */
+export function findPartnerProfile(profiles, interchange) {
+    const sender = String(interchange?.sender || '').trim();
+    const receiver = String(interchange?.receiver || '').trim();
+    if (!sender || !Array.isArray(profiles)) return null;
+
+    const candidates = profiles.map(normalizePartnerProfile).filter(p => p?.sender === sender);
+    return candidates.find(p => p.receiver === receiver)
+        || candidates.find(p => p.receiver === '')
+        || null;
+}
+
+// ==================== CHECKS ====================
+
+const _CHECKS = [
+    {
+        code: 'TP_001',
+        type: 'ENVELOPE',
+        severity: 'error',
+        segment: 'UNB',
+        description: 'Partner profile: syntax identifier and version as agreed',
+        applies: profile => Boolean(profile.syntaxVersion),
+        findings: _syntaxFindings
+    },
+    {
+        code: 'TP_002',
+        type: 'COMPLIANCE',
+        severity: 'warning',
+        segment: 'UNH',
+        description: 'Partner profile: message subset as agreed',
+        applies: profile => Boolean(profile.subset),
+        findings: _subsetFindings
+    },
+    {
+        code: 'TP_003',
+        type: 'COMPLIANCE',
+        severity: 'error',
+        segment: 'UNH',
+        description: 'Partner profile: required qualifiers present',
+        applies: profile => Object.keys(profile.requiredQualifiers).length > 0,
+        findings: _qualifierFindings
+    },
+    {
+        code: 'TP_004',
+        type: 'COMPLIANCE',
+        severity: 'error',
+        segment: null,
+        description: 'Partner profile: coded values restricted to the agreed codes',
+        applies: profile => profile.codeRestrictions.length > 0,
+        findings: _codeFindings
+    }
+];
+
+/**
+ * UNB S001 against the agreed syntax identifier/version
+ * @private
+ */
+function _syntaxFindings(segments, profile) {
+    const unb = segments.find(s => s.tag === 'UNB');
+    if (!unb) return [];
+
+    const identifier = (unb.fields[0]?.components[0] || '').toUpperCase();
+    const version = unb.fields[0]?.components[1] || '';
+    const [expectedIdentifier, expectedVersion] = profile.syntaxVersion.includes(':')
+        ? profile.syntaxVersion.split(':')
+        : ['', profile.syntaxVersion];
+    const found = `${identifier}:${version}`;
+
+    if ((expectedIdentifier && identifier !== expectedIdentifier) || (expectedVersion && version !== expectedVersion)) {
+        return [{
+            segment: 'UNB', position: unb.position, elementPosition: 1,
+            detail: `UNB syntax ${found} differs from the agreed ${profile.syntaxVersion}`,
+            suggestion: `Send the interchange as ${expectedIdentifier || identifier}:${expectedVersion || version}`
+        }];
+    }
+    return [];
+}
+
+/**
+ * UNH S009 association assigned code against the agreed subset
+ * @private
+ */
+function _subsetFindings(segments, profile) {
+    const findings = [];
+    for (const message of _messages(segments)) {
+        if (message.header.tag !== 'UNH') continue;
+        const associationCode = (message.header.fields[1]?.components[4] || '').toUpperCase();
+        const matches = profile.subset === 'EANCOM'
+            ? associationCode.startsWith('EAN')
+            : associationCode === profile.subset;
+        if (!matches) {
+            findings.push({
+                segment: 'UNH', position: message.header.position, elementPosition: 2, componentPosition: 5,
+                detail: `Message ${message.reference || message.index + 1} uses subset "${associationCode || 'none'}" instead of the agreed ${profile.subset}`,
+                suggestion: `Declare ${profile.subset} in UNH S009 (association assigned code)`
+            });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Required qualifiers (first component of the first data element) per message
+ * @private
+ */
+function _qualifierFindings(segments, profile) {
+    const findings = [];
+    for (const message of _messages(segments)) {
+        const present = new Set(message.segments.map(s => `${s.tag}+${s.fields[0]?.components[0] || ''}`));
+        const missing = [];
+        for (const [key, qualifiers] of Object.entries(profile.requiredQualifiers)) {
+            const [messageType, tag] = key.includes('/') ? key.split('/') : ['', key];
+            if (messageType && messageType !== message.type) continue;
+            missing.push(...qualifiers.filter(q => !present.has(`${tag}+${q}`)).map(q => `${tag}+${q}`));
+        }
+        if (missing.length > 0) {
+            findings.push({
+                segment: message.header.tag, position: message.header.position,
+                detail: `Message ${message.reference || message.index + 1} is missing ${missing.join(', ')} required by the partner`,
+                suggestion: `Add ${missing.join(', ')} as required by the partner's implementation guideline`
+            });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Coded values outside the agreed code list
+ * @private
+ */
+function _codeFindings(segments, profile) {
+    const findings = [];
+    for (const message of _messages(segments)) {
+        for (const restriction of profile.codeRestrictions) {
+            if (restriction.messageType && restriction.messageType !== message.type) continue;
+            for (const seg of message.segments) {
+                if (seg.tag !== restriction.segment) continue;
+                if (restriction.qualifier && (seg.fields[0]?.components[0] || '') !== restriction.qualifier) continue;
+
+                const value = seg.fields[restriction.element - 1]?.components[restriction.component - 1] || '';
+                if (!value || restriction.codes.includes(value)) continue;
+
+                const label = `${seg.tag}${restriction.qualifier ? `+${restriction.qualifier}` : ''} element ${restriction.element}` +
+                    (restriction.component > 1 ? `.${restriction.component}` : '');
+                findings.push({
+                    segment: seg.tag, position: seg.position,
+                    elementPosition: restriction.element, componentPosition: restriction.component,
+                    detail: `${label}: code "${value}" is not agreed with the partner (${restriction.codes.join(', ')})`,
+                    suggestion: `Use one of the agreed codes: ${restriction.codes.join(', ')}`
+                });
+            }
+        }
+    }
+    return findings;
+}
+
+/**
+ * Check segments against a profile
+ *
+ * @param {object[]} segments - Parsed segments (parseRawEdifact() or the analysis parser)
+ * @param {object} profile - Partner profile
+ * @returns {object[]} [{ code, type, severity, segment, position, elementPosition?, componentPosition?, detail, suggestion }]
+ *          Severities already carry the profile's overrides
+ */
+export function checkPartnerProfile(segments, profile) {
+    const normalized = normalizePartnerProfile(profile);
+    if (!normalized || !Array.isArray(segments)) return [];
+
+    const findings = [];
+    for (const check of _CHECKS) {
+        if (!check.applies(normalized) || normalized.disabledRules.includes(check.code)) continue;
+        const severity = normalized.severityOverrides[check.code] || check.severity;
+        for (const finding of check.findings(segments, normalized)) {
+            findings.push({ code: check.code, type: check.type, severity, ...finding });
+        }
+    }
+    return findings;
+}
+
+// ==================== VALIDATOR OPTIONS ====================
+
+/**
+ * Partner rules in the rules.js format (only checks the profile configures)
+ *
+ * @param {object} profile - Partner profile
+ * @returns {object[]} Rules for validate() options.extraRules
+ */
+export function partnerRules(profile) {
+    const normalized = normalizePartnerProfile(profile);
+    if (!normalized) return [];
+
+    return _CHECKS.filter(check => check.applies(normalized)).map(check => ({
+        code: check.code,
+        type: check.type,
+        severity: check.severity,
+        description: check.description,
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const findings = check.findings(ctx.segments, normalized);
+            return {
+                pass: findings.length === 0,
+                detail: findings.length > 0 ? findings.map(f => f.detail).join('; ') : `Matches the profile of ${normalized.name}`
+            };
+        }
+    }));
+}
+
+/**
+ * Merge a profile into validate() options
+ *
+ * @param {object} profile - Partner profile
+ * @param {object} [options] - Other validate() options (extraRules, disabledRules and severityOverrides are kept)
+ * @returns {object} options with extraRules, disabledRules, severityOverrides and amountTolerance of the
+ *                   profile (an amountTolerance passed in options wins)
+ */
+export function partnerValidationOptions(profile, options = {}) {
+    const normalized = normalizePartnerProfile(profile);
+    if (!normalized) return options;
+
+    return {
+        ...options,
+        extraRules: [...(options.extraRules || []), ...partnerRules(normalized)],
+        disabledRules: [...(options.disabledRules || []), ...normalized.disabledRules],
+        severityOverrides: { ...normalized.severityOverrides, ...(options.severityOverrides || {}) },
+        amountTolerance: options.amountTolerance ?? normalized.amountTolerance ?? undefined
+    };
+}
+
+/**
+ * Apply disabled rules and severity overrides of a profile to analysis
+ * findings ({ errorCount, warningCount, details } of the upload analysis)
+ *
+ * @param {object} validation - { errorCount, warningCount, details: [{ code, severity }] }
+ * @param {object} profile - Partner profile
+ * @returns {object} New validation with recounted errors and warnings
+ */
+export function applyPartnerProfile(validation, profile) {
+    const normalized = normalizePartnerProfile(profile);
+    if (!normalized) return validation;
+
+    const disabled = new Set(normalized.disabledRules);
+    const details = validation.details
+        .filter(d => !disabled.has(d.code))
+        .map(d => normalized.severityOverrides[d.code] && normalized.severityOverrides[d.code] !== d.severity
+            ? { ...d, severity: normalized.severityOverrides[d.code], partnerSeverity: true }
+            : d);
+
+    return {
+        ...validation,
+        errorCount: details.filter(d => d.severity === 'error').length,
+        warningCount: details.filter(d => d.severity === 'warning').length,
+        details
+    };
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Plain object or {}
+ * @private
+ */
+function _object(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Non-negative number or null
+ * @private
+ */
+function _tolerance(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Messages (header..trailer) of a segment list
+ * @private
+ */
+function _messages(segments) {
+    const messages = [];
+    let current = null;
+    for (const seg of segments) {
+        if (_MESSAGE_HEADERS.includes(seg.tag)) {
+            const idField = seg.tag === 'UIH' ? seg.fields[0] : seg.fields[1];
+            current = {
+                index: messages.length,
+                header: seg,
+                reference: seg.tag === 'UIH' ? (seg.fields[1]?.value || '') : (seg.fields[0]?.value || ''),
+                type: (idField?.components[0] || '').toUpperCase(),
+                segments: [seg]
+            };
+            messages.push(current);
+        } else if (current) {
+            current.segments.push(seg);
+            if (_MESSAGE_TRAILERS.includes(seg.tag)) current = null;
+        }
+    }
+    return messages;
+}
+
+export default {
+    PARTNER_SEVERITIES,
+    normalizePartnerProfile,
+    findPartnerProfile,
+    checkPartnerProfile,
+    partnerRules,
+    partnerValidationOptions,
+    applyPartnerProfile
+};
@@ -18,6 +18,14 @@
  *  '*' means the rule applies to all message types / standards.
  */
 
+import { SYNTAX_LEVELS, findIllegalCharacters } from '../charset.js';
+import { ENVELOPE_TAGS, envelopeFields, sourceLocation, formatLocation } from '../parser.js';
+import { resolveSegmentGroups } from '../structures.js';
+import { validateElements } from './elementValidator.js';
+import { numericOptions, readNumericElement } from '../numeric.js';
+import { parseEdifactDateTime } from '../datetime.js';
+import { reconcileInvoice, DEFAULT_AMOUNT_TOLERANCE } from '../reconciliation.js';
+
 // ─────────────────────────────────────────────────────────────
 //  Required segments per message type
 //  Key = message type, Value = array of { tag, label, severity }
@@ -97,8 +105,6 @@ const _FIELD_FORMATS = {
     GLN:  { pattern: /^\d{13}$/, label: 'GLN (13 digits)' },
     EAN:  { pattern: /^\d{8,14}$/, label: 'EAN/GTIN (8-14 digits)' },
     ISO_CURRENCY: { pattern: /^[A-Z]{3}$/, label: 'ISO 4217 currency (3 letters)' },
-    DATE_102: { pattern: /^\d{8}$/, label: 'Date CCYYMMDD (8 digits)' },
-    DATE_203: { pattern: /^\d{12}$/, label: 'DateTime CCYYMMDDHHMM (12 digits)' },
     NUMERIC: { pattern: /^-?\d+(\.\d+)?$/, label: 'Numeric value' },
     POSITIVE_NUMERIC: { pattern: /^\d+(\.\d+)?$/, label: 'Positive numeric value' }
 };
@@ -149,12 +155,112 @@ const _EANCOM_RULES = {
     requiredPartyId: true
 };
 
+// ─────────────────────────────────────────────────────────────
+//  Functional group helper (UNG..UNE)
+// ─────────────────────────────────────────────────────────────
+
+function _collectGroups(segments) {
+    const groups = [];
+    let current = null;
+    for (const seg of segments) {
+        if (seg.tag === 'UNG') {
+            if (current) groups.push(current);
+            current = { ung: seg, une: null, unhCount: 0 };
+        } else if (seg.tag === 'UNE' && current) {
+            current.une = seg;
+            groups.push(current);
+            current = null;
+        } else if (seg.tag === 'UNH' && current) {
+            current.unhCount++;
+        }
+    }
+    if (current) groups.push(current);
+    return groups;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Envelope helper: batch (UNB/UNH/UNT/UNZ) or interactive (UIB/UIH/UIT/UIZ)
+// ─────────────────────────────────────────────────────────────
+
+function _envelope(ctx) {
+    return ctx.envelope || { interactive: false, ...ENVELOPE_TAGS.batch };
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Location helpers: "position 12 (line 14, col 23)"
+// ─────────────────────────────────────────────────────────────
+
+function _at(seg, elementPosition, componentPosition) {
+    const location = formatLocation(sourceLocation(seg, elementPosition, componentPosition));
+    return location ? `position ${seg.position} (${location})` : `position ${seg?.position}`;
+}
+
+// Typed numeric values of one segment tag with their findings (decimal notation, sign, grouping)
+function _numericIssues(ctx, tag, check = () => null) {
+    const options = numericOptions(ctx.delimiters, ctx.unbSegment);
+    const issues = [];
+    for (const seg of ctx.segments) {
+        if (seg.tag !== tag) continue;
+        const number = readNumericElement(seg, options);
+        if (!number) continue;
+        const problem = number.issue?.detail || check(number);
+        if (problem) issues.push(`${tag} at ${_at(seg, number.elementPosition, number.componentPosition)}: ${problem}`);
+    }
+    return issues;
+}
+
+// Structure/element issues only carry the segment position
+function _issueAt(ctx, issue) {
+    const seg = ctx.segments.find(s => s.position === issue.position);
+    return seg ? _at(seg, issue.elementPosition, issue.componentPosition) : `position ${issue.position}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Invoice reconciliation: computed once per validation run,
+//  reported by one BUSINESS rule per check
+// ─────────────────────────────────────────────────────────────
+
+// Rule reporting each reconciliation check (reconciliation.js)
+export const RECONCILIATION_RULE_CODES = {
+    LINE_AMOUNT: 'BIZ_006',
+    LINE_TOTAL: 'BIZ_007',
+    ALLOWANCE_CHARGE: 'BIZ_008',
+    TAX: 'BIZ_009',
+    TOTAL: 'BIZ_010'
+};
+
+const _reconciliations = new WeakMap();
+
+function _reconciliation(ctx) {
+    if (!_reconciliations.has(ctx)) {
+        _reconciliations.set(ctx, reconcileInvoice(ctx.segments, {
+            numeric: numericOptions(ctx.delimiters, ctx.unbSegment),
+            tolerance: ctx.amountTolerance ?? DEFAULT_AMOUNT_TOLERANCE
+        }));
+    }
+    return _reconciliations.get(ctx);
+}
+
+function _reconciliationResult(ctx, check, subject) {
+    const { checked, discrepancies } = _reconciliation(ctx);
+    if (checked[check] === 0) return { pass: true, detail: `No ${subject} to reconcile` };
+    const found = discrepancies.filter(d => d.check === check);
+    return {
+        pass: found.length === 0,
+        detail: found.length > 0
+            ? `${found.length} of ${checked[check]} ${subject} do not reconcile: ${found.slice(0, 10).map(d => `${d.detail} (difference ${d.difference}) at ${_issueAt(ctx, { position: d.position, elementPosition: 1, componentPosition: 2 })}`).join('; ')}${found.length > 10 ? '; ...' : ''}`
+            : `${checked[check]} ${subject} reconcile`
+    };
+}
+
 // ═════════════════════════════════════════════════════════════
 //  RULE DEFINITIONS
 //  Each rule: { code, type, severity, description, appliesTo, check(ctx) }
 //
 //  ctx = { segments, segmentTags, uniqueTags, unbSegment, unhSegment,
-//          untSegments, unzSegment, messageType, standard, delimiters }
+//          untSegments, unzSegment, messageType, standard, delimiters, envelope,
+//          amountTolerance }
+//  unbSegment/unhSegment/unzSegment hold UIB/UIH/UIZ for interactive envelopes
 // ═════════════════════════════════════════════════════════════
 
 const rules = [
@@ -169,7 +275,8 @@ const rules = [
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
             const missing = [];
-            const baseRequired = ['UNB', 'UNH', 'UNT', 'UNZ'];
+            const env = _envelope(ctx);
+            const baseRequired = [env.interchangeHeader, env.messageHeader, env.messageTrailer, env.interchangeTrailer];
             for (const tag of baseRequired) {
                 if (!ctx.segmentTags.includes(tag)) {
                     missing.push(tag);
@@ -191,12 +298,13 @@ const rules = [
         description: 'UNH/UNT pairing must be balanced',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            const unhCount = ctx.segments.filter(s => s.tag === 'UNH').length;
-            const untCount = ctx.segments.filter(s => s.tag === 'UNT').length;
+            const { messageHeader, messageTrailer } = _envelope(ctx);
+            const unhCount = ctx.segments.filter(s => s.tag === messageHeader).length;
+            const untCount = ctx.segments.filter(s => s.tag === messageTrailer).length;
             return {
                 pass: unhCount === untCount,
                 detail: unhCount !== untCount
-                    ? `UNH/UNT mismatch: ${unhCount} UNH vs ${untCount} UNT`
+                    ? `${messageHeader}/${messageTrailer} mismatch: ${unhCount} ${messageHeader} vs ${untCount} ${messageTrailer}`
                     : `${unhCount} message(s) correctly paired`
             };
         }
@@ -209,28 +317,33 @@ const rules = [
         description: 'UNT segment count must match actual count',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
+            const { messageHeader, messageTrailer } = _envelope(ctx);
             const mismatches = [];
-            const unhSegs = ctx.segments.filter(s => s.tag === 'UNH');
-            const untSegs = ctx.segments.filter(s => s.tag === 'UNT');
-
-            for (const unt of untSegs) {
-                const declared = parseInt(unt.fields[0]?.value, 10);
-                const msgRef = unt.fields[1]?.value || '';
-                const matchingUnh = unhSegs.find(u => u.fields[0]?.value === msgRef);
-                if (matchingUnh && declared) {
-                    const unhIdx = ctx.segments.indexOf(matchingUnh);
-                    const untIdx = ctx.segments.indexOf(unt);
-                    const actual = untIdx - unhIdx + 1;
+            let unhIdx = -1;
+
+            // Pair each UNT with the nearest preceding UNH (message refs are only unique per group)
+            ctx.segments.forEach((seg, idx) => {
+                if (seg.tag === messageHeader) {
+                    unhIdx = idx;
+                    return;
+                }
+                if (seg.tag !== messageTrailer || unhIdx < 0) return;
+                const trailer = envelopeFields(seg);
+                const declared = parseInt(trailer.count, 10);
+                const msgRef = trailer.reference;
+                if (declared && envelopeFields(ctx.segments[unhIdx]).reference === msgRef) {
+                    const actual = idx - unhIdx + 1;
                     if (declared !== actual) {
                         mismatches.push({ msgRef, declared, actual });
                     }
                 }
-            }
+                unhIdx = -1;
+            });
             return {
                 pass: mismatches.length === 0,
                 detail: mismatches.length > 0
-                    ? mismatches.map(m => `Message ${m.msgRef}: UNT declares ${m.declared}, actual ${m.actual}`).join('; ')
-                    : 'All UNT segment counts correct'
+                    ? mismatches.map(m => `Message ${m.msgRef}: ${messageTrailer} declares ${m.declared}, actual ${m.actual}`).join('; ')
+                    : `All ${messageTrailer} segment counts correct`
             };
         }
     },
@@ -239,17 +352,20 @@ const rules = [
         code: 'ENV_004',
         type: 'ENVELOPE',
         severity: 'warning',
-        description: 'UNZ message count must match actual UNH count',
+        description: 'UNZ count must match actual UNH count (or UNG count when groups are used)',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            if (!ctx.unzSegment) return { pass: true, detail: 'No UNZ segment to check' };
-            const declared = parseInt(ctx.unzSegment.fields[0]?.value, 10);
-            const actual = ctx.segments.filter(s => s.tag === 'UNH').length;
+            const { interchangeTrailer, messageHeader } = _envelope(ctx);
+            if (!ctx.unzSegment) return { pass: true, detail: `No ${interchangeTrailer} segment to check` };
+            const declared = parseInt(envelopeFields(ctx.unzSegment).count, 10);
+            const groupCount = ctx.segments.filter(s => s.tag === 'UNG').length;
+            const unit = groupCount > 0 ? 'groups' : 'messages';
+            const actual = groupCount > 0 ? groupCount : ctx.segments.filter(s => s.tag === messageHeader).length;
             return {
                 pass: !declared || declared === actual,
                 detail: declared && declared !== actual
-                    ? `UNZ declares ${declared} messages, found ${actual}`
-                    : `Message count correct (${actual})`
+                    ? `${interchangeTrailer} declares ${declared} ${unit}, found ${actual}`
+                    : `${unit === 'groups' ? 'Group' : 'Message'} count correct (${actual})`
             };
         }
     },
@@ -261,18 +377,132 @@ const rules = [
         description: 'UNB and UNZ control references must match',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            if (!ctx.unbSegment || !ctx.unzSegment) return { pass: true, detail: 'Missing UNB or UNZ' };
-            const unbRef = ctx.unbSegment.fields[4]?.value || '';
-            const unzRef = ctx.unzSegment.fields[1]?.value || '';
+            const { interchangeHeader, interchangeTrailer } = _envelope(ctx);
+            if (!ctx.unbSegment || !ctx.unzSegment) return { pass: true, detail: `Missing ${interchangeHeader} or ${interchangeTrailer}` };
+            const unbRef = envelopeFields(ctx.unbSegment).reference;
+            const unzRef = envelopeFields(ctx.unzSegment).reference;
             return {
                 pass: !unbRef || !unzRef || unbRef === unzRef,
                 detail: unbRef && unzRef && unbRef !== unzRef
-                    ? `Control reference mismatch: UNB="${unbRef}" vs UNZ="${unzRef}"`
+                    ? `Control reference mismatch: ${interchangeHeader}="${unbRef}" vs ${interchangeTrailer}="${unzRef}"`
                     : 'Control references match'
             };
         }
     },
 
+    {
+        code: 'ENV_006',
+        type: 'ENVELOPE',
+        severity: 'error',
+        description: 'UNG/UNE functional groups must be balanced',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const ungCount = ctx.segments.filter(s => s.tag === 'UNG').length;
+            const uneCount = ctx.segments.filter(s => s.tag === 'UNE').length;
+            if (ungCount === 0 && uneCount === 0) return { pass: true, detail: 'No functional groups' };
+            return {
+                pass: ungCount === uneCount,
+                detail: ungCount !== uneCount
+                    ? `UNG/UNE mismatch: ${ungCount} UNG vs ${uneCount} UNE`
+                    : `${ungCount} group(s) correctly paired`
+            };
+        }
+    },
+
+    {
+        code: 'ENV_007',
+        type: 'ENVELOPE',
+        severity: 'warning',
+        description: 'UNE message count must match the UNH count of its group',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const groups = _collectGroups(ctx.segments);
+            if (groups.length === 0) return { pass: true, detail: 'No functional groups' };
+            const mismatches = [];
+            for (const g of groups) {
+                if (!g.une) continue;
+                const declared = parseInt(g.une.fields[0]?.value, 10);
+                if (!isNaN(declared) && declared !== g.unhCount) {
+                    mismatches.push({ groupRef: g.ung.fields[4]?.value || '', declared, actual: g.unhCount });
+                }
+            }
+            return {
+                pass: mismatches.length === 0,
+                detail: mismatches.length > 0
+                    ? mismatches.map(m => `Group ${m.groupRef}: UNE declares ${m.declared}, actual ${m.actual}`).join('; ')
+                    : 'All UNE message counts correct'
+            };
+        }
+    },
+
+    {
+        code: 'ENV_008',
+        type: 'ENVELOPE',
+        severity: 'error',
+        description: 'UNG and UNE group references must match',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const groups = _collectGroups(ctx.segments);
+            if (groups.length === 0) return { pass: true, detail: 'No functional groups' };
+            const mismatches = groups
+                .filter(g => g.une)
+                .map(g => ({ ungRef: g.ung.fields[4]?.value || '', uneRef: g.une.fields[1]?.value || '' }))
+                .filter(r => r.ungRef && r.uneRef && r.ungRef !== r.uneRef);
+            return {
+                pass: mismatches.length === 0,
+                detail: mismatches.length > 0
+                    ? mismatches.map(m => `Group reference mismatch: UNG="${m.ungRef}" vs UNE="${m.uneRef}"`).join('; ')
+                    : 'Group references match'
+            };
+        }
+    },
+
+    {
+        code: 'ENV_009',
+        type: 'ENVELOPE',
+        severity: 'error',
+        description: 'Group references must be unique within the interchange',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const refs = ctx.segments.filter(s => s.tag === 'UNG').map(s => s.fields[4]?.value || '').filter(Boolean);
+            const duplicates = [...new Set(refs.filter((ref, i) => refs.indexOf(ref) !== i))];
+            return {
+                pass: duplicates.length === 0,
+                detail: duplicates.length > 0
+                    ? `Duplicate group reference(s): ${duplicates.join(', ')}`
+                    : refs.length > 0 ? 'Group references unique' : 'No functional groups'
+            };
+        }
+    },
+
+    {
+        code: 'ENV_010',
+        type: 'ENVELOPE',
+        severity: 'error',
+        description: 'Characters must belong to the repertoire of the UNB syntax identifier (UNOA..UNOY)',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const syntaxId = (ctx.unbSegment?.fields[0]?.components?.[0] || '').toUpperCase();
+            if (!syntaxId) return { pass: true, detail: 'No syntax identifier to check' };
+            if (!SYNTAX_LEVELS[syntaxId]) {
+                return { pass: true, detail: `Unknown syntax identifier "${syntaxId}" — character set not verified` };
+            }
+            const offenders = [];
+            for (const seg of ctx.segments) {
+                const illegal = findIllegalCharacters(seg.raw, syntaxId);
+                if (illegal.length > 0) {
+                    offenders.push(`${seg.tag} at ${_at(seg)}: ${illegal.map(c => `"${c.char}"`).join('')}`);
+                }
+            }
+            return {
+                pass: offenders.length === 0,
+                detail: offenders.length > 0
+                    ? `${offenders.length} segment(s) with characters not allowed in ${syntaxId}: ${offenders.slice(0, 10).join('; ')}${offenders.length > 10 ? '; ...' : ''}`
+                    : `All characters valid for ${syntaxId}`
+            };
+        }
+    },
+
     // ── SEGMENT RULES ──────────────────────────────────────
 
     {
@@ -322,16 +552,18 @@ const rules = [
         code: 'SEG_003',
         type: 'SEGMENT',
         severity: 'error',
-        description: 'UNB must have minimum 5 fields (syntax, sender, receiver, dateTime, controlRef)',
+        description: 'UNB must have minimum 5 fields (syntax, sender, receiver, dateTime, controlRef); UIB needs the syntax identifier',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            if (!ctx.unbSegment) return { pass: false, detail: 'UNB segment missing' };
+            const { interactive, interchangeHeader } = _envelope(ctx);
+            if (!ctx.unbSegment) return { pass: false, detail: `${interchangeHeader} segment missing` };
+            const minimum = interactive ? 1 : 5;
             const fieldCount = ctx.unbSegment.fields.length;
             return {
-                pass: fieldCount >= 5,
-                detail: fieldCount < 5
-                    ? `UNB has only ${fieldCount} fields, minimum 5 expected`
-                    : `UNB has ${fieldCount} fields`
+                pass: fieldCount >= minimum,
+                detail: fieldCount < minimum
+                    ? `${interchangeHeader} has only ${fieldCount} fields, minimum ${minimum} expected`
+                    : `${interchangeHeader} has ${fieldCount} fields`
             };
         }
     },
@@ -340,16 +572,42 @@ const rules = [
         code: 'SEG_004',
         type: 'SEGMENT',
         severity: 'error',
-        description: 'UNH must have minimum 2 fields (messageRef, messageIdentifier)',
+        description: 'UNH must have minimum 2 fields (messageRef, messageIdentifier); UIH needs the message identifier',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            if (!ctx.unhSegment) return { pass: false, detail: 'UNH segment missing' };
+            const { interactive, messageHeader } = _envelope(ctx);
+            if (!ctx.unhSegment) return { pass: false, detail: `${messageHeader} segment missing` };
+            const minimum = interactive ? 1 : 2;
             const fieldCount = ctx.unhSegment.fields.length;
             return {
-                pass: fieldCount >= 2,
-                detail: fieldCount < 2
-                    ? `UNH has only ${fieldCount} fields, minimum 2 expected`
-                    : `UNH has ${fieldCount} fields`
+                pass: fieldCount >= minimum,
+                detail: fieldCount < minimum
+                    ? `${messageHeader} has only ${fieldCount} fields, minimum ${minimum} expected`
+                    : `${messageHeader} has ${fieldCount} fields`
+            };
+        }
+    },
+
+    {
+        code: 'SEG_005',
+        type: 'SEGMENT',
+        severity: 'warning',
+        description: 'Segments must follow the segment group structure (branching diagram) of the message type',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const { issues, messages } = resolveSegmentGroups(ctx.segments);
+            const structured = messages.filter(m => m.directory);
+            if (structured.length === 0) {
+                return { pass: true, detail: `No structure definition for message type "${ctx.messageType}"` };
+            }
+            const inexact = structured.some(m => !m.exact)
+                ? ` (checked against ${structured[0].directory}, message uses a different directory)`
+                : '';
+            return {
+                pass: issues.length === 0,
+                detail: issues.length > 0
+                    ? `${issues.length} structure issue(s)${inexact}: ${issues.slice(0, 10).map(i => `${i.message} at ${_issueAt(ctx, i)}`).join('; ')}${issues.length > 10 ? '; ...' : ''}`
+                    : `Segment groups match the ${structured[0].directory} structure${inexact}`
             };
         }
     },
@@ -371,9 +629,10 @@ const rules = [
                 const format = comp[2] || '';
                 if (!dateVal) continue;
 
-                const fmt = _FIELD_FORMATS[`DATE_${format}`];
-                if (fmt && !fmt.pattern.test(dateVal)) {
-                    issues.push(`DTM at ${seg.position}: "${dateVal}" does not match ${fmt.label}`);
+                // Unknown format codes are left to the code list check
+                const parsed = parseEdifactDateTime(dateVal, format);
+                if (!parsed.valid && parsed.formatLabel) {
+                    issues.push(`DTM at ${_at(seg, 1, 2)}: ${parsed.error} (format ${parsed.format} ${parsed.formatLabel})`);
                 }
             }
             return {
@@ -387,17 +646,10 @@ const rules = [
         code: 'FLD_002',
         type: 'FIELD',
         severity: 'error',
-        description: 'Monetary amounts must be numeric',
+        description: 'Monetary amounts must be numeric in the declared decimal notation',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            const issues = [];
-            for (const seg of ctx.segments) {
-                if (seg.tag !== 'MOA') continue;
-                const amount = seg.fields[0]?.components?.[1] || '';
-                if (amount && !_FIELD_FORMATS.NUMERIC.pattern.test(amount)) {
-                    issues.push(`MOA at ${seg.position}: "${amount}" is not numeric`);
-                }
-            }
+            const issues = _numericIssues(ctx, 'MOA');
             return {
                 pass: issues.length === 0,
                 detail: issues.length > 0 ? issues.join('; ') : 'All monetary amounts valid'
@@ -409,17 +661,12 @@ const rules = [
         code: 'FLD_003',
         type: 'FIELD',
         severity: 'error',
-        description: 'Quantities must be numeric and non-negative',
+        description: 'Quantities must be numeric in the declared decimal notation and non-negative',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            const issues = [];
-            for (const seg of ctx.segments) {
-                if (seg.tag !== 'QTY') continue;
-                const qty = seg.fields[0]?.components?.[1] || '';
-                if (qty && !_FIELD_FORMATS.POSITIVE_NUMERIC.pattern.test(qty)) {
-                    issues.push(`QTY at ${seg.position}: "${qty}" is not a valid positive number`);
-                }
-            }
+            const issues = _numericIssues(ctx, 'QTY', (qty) =>
+                qty.value < 0 ? `'${qty.raw}' is negative` : null
+            );
             return {
                 pass: issues.length === 0,
                 detail: issues.length > 0 ? issues.join('; ') : 'All quantities valid'
@@ -431,17 +678,10 @@ const rules = [
         code: 'FLD_004',
         type: 'FIELD',
         severity: 'error',
-        description: 'Prices must be numeric',
+        description: 'Prices must be numeric in the declared decimal notation',
         appliesTo: { messageTypes: '*', standards: '*' },
         check(ctx) {
-            const issues = [];
-            for (const seg of ctx.segments) {
-                if (seg.tag !== 'PRI') continue;
-                const price = seg.fields[0]?.components?.[1] || '';
-                if (price && !_FIELD_FORMATS.NUMERIC.pattern.test(price)) {
-                    issues.push(`PRI at ${seg.position}: "${price}" is not numeric`);
-                }
-            }
+            const issues = _numericIssues(ctx, 'PRI');
             return {
                 pass: issues.length === 0,
                 detail: issues.length > 0 ? issues.join('; ') : 'All prices valid'
@@ -461,7 +701,7 @@ const rules = [
                 if (seg.tag !== 'CUX') continue;
                 const code = seg.fields[0]?.components?.[1] || '';
                 if (code && !_FIELD_FORMATS.ISO_CURRENCY.pattern.test(code)) {
-                    issues.push(`CUX at ${seg.position}: "${code}" is not a valid ISO 4217 code`);
+                    issues.push(`CUX at ${_at(seg, 1, 2)}: "${code}" is not a valid ISO 4217 code`);
                 }
             }
             return {
@@ -471,6 +711,78 @@ const rules = [
         }
     },
 
+    {
+        code: 'FLD_006',
+        type: 'FIELD',
+        severity: 'error',
+        description: 'Data elements must match the directory declared in UNH (format, length, mandatory status)',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const { issues, messages, truncated } = validateElements(ctx.segments, {
+                directory: ctx.directory,
+                decimalMark: ctx.delimiters?.decimalNotation,
+                codeLists: false
+            });
+            const directories = [...new Set(messages.map(m => m.directory).filter(Boolean))];
+            if (directories.length === 0 && issues.length === 0) {
+                return { pass: true, detail: 'No UN/EDIFACT directory declared, only service segments checked' };
+            }
+            // Releases that are not bundled were checked against an approximation — only note those
+            const confirmed = issues.filter(i => i.exact);
+            const unbundled = [...new Set(messages.filter(m => m.directory && !m.exact).map(m => m.directory))];
+            const note = unbundled.length > 0
+                ? ` (${unbundled.join(', ')} not bundled${issues.length > confirmed.length ? `, ${issues.length - confirmed.length} unconfirmed issue(s)` : ''})`
+                : '';
+            return {
+                pass: confirmed.length === 0,
+                detail: confirmed.length > 0
+                    ? `${truncated ? 'At least ' : ''}${confirmed.length} element issue(s): ${confirmed.slice(0, 10).map(i => `${i.message} at ${_issueAt(ctx, i)}`).join('; ')}${confirmed.length > 10 ? '; ...' : ''}${note}`
+                    : `No data element issues against ${directories.join(', ') || 'the service segment definitions'}${note}`
+            };
+        }
+    },
+
+    {
+        code: 'FLD_007',
+        type: 'FIELD',
+        severity: 'error',
+        description: 'Coded data elements must use values from the UN/EDIFACT code lists (UNCL)',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const { codeIssues, truncated } = validateElements(ctx.segments, {
+                directory: ctx.directory,
+                decimalMark: ctx.delimiters?.decimalNotation
+            });
+            if (codeIssues.length === 0) {
+                return { pass: true, detail: 'All coded values found in the bundled code lists' };
+            }
+            // Partial lists or other directories cannot prove a code invalid — only note those
+            const confirmed = codeIssues.filter(i => i.certain);
+            const listed = codeIssues.slice(0, 10).map(i =>
+                `${i.message} at ${_issueAt(ctx, i)}${i.certain ? '' : ' (unconfirmed)'}`
+            );
+            return {
+                pass: confirmed.length === 0,
+                detail: `${truncated ? 'At least ' : ''}${codeIssues.length} unknown code value(s), ${confirmed.length} invalid: ${listed.join('; ')}${codeIssues.length > 10 ? '; ...' : ''}`
+            };
+        }
+    },
+
+    {
+        code: 'FLD_008',
+        type: 'FIELD',
+        severity: 'error',
+        description: 'Percentages must be numeric in the declared decimal notation',
+        appliesTo: { messageTypes: '*', standards: '*' },
+        check(ctx) {
+            const issues = _numericIssues(ctx, 'PCD');
+            return {
+                pass: issues.length === 0,
+                detail: issues.length > 0 ? issues.join('; ') : 'All percentages valid'
+            };
+        }
+    },
+
     // ── COMPLIANCE RULES ───────────────────────────────────
 
     {
@@ -608,12 +920,13 @@ const rules = [
                 const format = comp[2] || '';
                 if (!dateVal) continue;
 
-                const parsed = ctx.parseDate(dateVal, format);
-                if (!parsed || isNaN(parsed.getTime())) continue;
+                const parsed = parseEdifactDateTime(dateVal, format);
+                if (!parsed.start) continue;
 
-                if (qualifier === '137') docDate = { date: parsed, raw: dateVal };
+                if (qualifier === '137') docDate = { date: parsed.start, raw: dateVal };
                 if (['2', '35', '63', '64'].includes(qualifier)) {
-                    deliveryDates.push({ qualifier, date: parsed, raw: dateVal, position: seg.position });
+                    // A delivery window only conflicts when it ends before the document date
+                    deliveryDates.push({ qualifier, date: parsed.end || parsed.start, raw: dateVal, segment: seg });
                 }
             }
 
@@ -621,7 +934,7 @@ const rules = [
             if (docDate) {
                 for (const dd of deliveryDates) {
                     if (dd.date < docDate.date) {
-                        issues.push(`Delivery date (${dd.raw}) at position ${dd.position} is before document date (${docDate.raw})`);
+                        issues.push(`Delivery date (${dd.raw}) at ${_at(dd.segment, 1, 2)} is before document date (${docDate.raw})`);
                     }
                 }
             }
@@ -696,6 +1009,61 @@ const rules = [
                 detail: hasTax ? 'Tax information present' : 'INVOIC should include TAX segments'
             };
         }
+    },
+
+    {
+        code: 'BIZ_006',
+        type: 'BUSINESS',
+        severity: 'error',
+        description: 'INVOIC: Line amount (MOA+203) must equal quantity × price less/plus line allowances and charges',
+        appliesTo: { messageTypes: ['INVOIC'], standards: '*' },
+        check(ctx) {
+            return _reconciliationResult(ctx, 'LINE_AMOUNT', 'line amount(s)');
+        }
+    },
+
+    {
+        code: 'BIZ_007',
+        type: 'BUSINESS',
+        severity: 'error',
+        description: 'INVOIC: Total of line amounts (MOA+79) must equal the sum of the line amounts (MOA+203)',
+        appliesTo: { messageTypes: ['INVOIC'], standards: '*' },
+        check(ctx) {
+            return _reconciliationResult(ctx, 'LINE_TOTAL', 'line total(s)');
+        }
+    },
+
+    {
+        code: 'BIZ_008',
+        type: 'BUSINESS',
+        severity: 'error',
+        description: 'INVOIC: Allowance/charge totals (MOA+131/259/260) must equal the header allowances and charges',
+        appliesTo: { messageTypes: ['INVOIC'], standards: '*' },
+        check(ctx) {
+            return _reconciliationResult(ctx, 'ALLOWANCE_CHARGE', 'allowance/charge total(s)');
+        }
+    },
+
+    {
+        code: 'BIZ_009',
+        type: 'BUSINESS',
+        severity: 'error',
+        description: 'INVOIC: Tax amounts (MOA+124/150, MOA+176) must equal the taxable amount at each TAX rate',
+        appliesTo: { messageTypes: ['INVOIC'], standards: '*' },
+        check(ctx) {
+            return _reconciliationResult(ctx, 'TAX', 'tax amount(s)');
+        }
+    },
+
+    {
+        code: 'BIZ_010',
+        type: 'BUSINESS',
+        severity: 'error',
+        description: 'INVOIC: Taxable amount (MOA+125) and total payable (MOA+77/86) must add up from line total, allowances/charges and tax',
+        appliesTo: { messageTypes: ['INVOIC'], standards: '*' },
+        check(ctx) {
+            return _reconciliationResult(ctx, 'TOTAL', 'invoice total(s)');
+        }
     }
 ];
 
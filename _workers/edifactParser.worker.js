@@ -1,8 +1,160 @@
-import { readFileSync, statSync } from 'fs';
+import { createReadStream, statSync } from 'fs';
 import { parentPort } from 'worker_threads';
-import { buildAnalysis } from './edifactAnalysisBuilder.js';
+import { detectDelimiters, createTokenizer, segmentFromToken } from '../_modules/edifact/parser.js';
+import { detectSyntaxIdentifier, resolveEncoding } from '../_modules/edifact/charset.js';
+import { createSegmentRecovery, isSegmentTag, startsSegment } from '../_modules/edifact/recovery.js';
+import { createAnalysisBuilder } from '../_modules/edifact/analysisBuilder.js';
 
-parentPort.on('message', async ({ chat, file, user }) => {
+// Segments are posted to the main thread in pages of this size for persistence
+const SEGMENT_PAGE_SIZE = 1000;
+const READ_CHUNK_SIZE = 256 * 1024;
+const ENVELOPE_TAGS = ['UNA', 'UNB', 'UNZ', 'UNG', 'UNE', 'UIB', 'UIZ'];
+
+/**
+ * Stream the file chunk by chunk, tokenize segments incrementally and
+ * report progress by bytes read. Segment offsets refer to the original bytes, lines and columns
+ * to the decoded text. The charset is taken from the UNB syntax
+ * identifier found in the first chunk, delimiters from the start screen override,
+ * UNA or inference over the first chunk. Parsed segments are flushed to the main
+ * thread in pages so the full list can be stored without a size cap, and fed to
+ * the analysis builder, which validates message by message; the worker keeps
+ * no segment list of its own.
+ * Damaged segments are repaired or dropped on the way (recovery.js); body
+ * segments outside UNH..UNT count as an implicit message like in the builder.
+ * Returns the analysis of the file.
+ */
+async function streamAnalysis(chatId, filePath, fileSize, fileInfo, userContext, overrideDelimiters = null) {
+  const startTime = Date.now();
+  let decoder = null;
+  let encoding = 'utf-8';
+  let segmentCount = 0;
+  let page = [];
+  let delimiters = null;
+  let tokenizer = null;
+  let recovery = null;
+  let builder = null;
+  let parsingDuration = 0;
+  let head = '';
+  let rawPreview = '';
+  let rawLength = 0;
+  let bytesRead = 0;
+  let lastPercent = 0;
+  let messageIndex = -1;
+  let inMessage = false;
+  let implicitMessage = false;
+
+  const flushPage = () => {
+    if (page.length === 0) return;
+    parentPort.postMessage({ type: 'segments', chatId, segments: page });
+    page = [];
+  };
+
+  const addSegments = (tokens) => {
+    for (const token of tokens) {
+      const recovered = recovery.recover(segmentFromToken(token), segmentCount + 1);
+      if (!recovered) continue;
+      segmentCount++;
+      const segment = builder.add({ ...recovered, position: segmentCount });
+      if (implicitMessage && ENVELOPE_TAGS.includes(segment.tag)) {
+        inMessage = false;
+      }
+      if (segment.tag === 'UNH' || segment.tag === 'UIH' || (!inMessage && messageIndex >= 0 && !ENVELOPE_TAGS.includes(segment.tag))) {
+        messageIndex++;
+        inMessage = true;
+        implicitMessage = segment.tag !== 'UNH' && segment.tag !== 'UIH';
+      }
+      page.push({
+        position: segment.position,
+        line: segment.line,
+        column: segment.column,
+        byteOffset: segment.byteOffset,
+        tag: segment.tag,
+        content: segment.raw,
+        fields: segment.fields.map(f => f.value),
+        messageIndex: inMessage ? messageIndex : null,
+        sgPath: segment.sgPath,
+        sgParent: segment.sgParent,
+      });
+      if (segment.tag === 'UNT' || segment.tag === 'UIT') inMessage = false;
+      if (page.length >= SEGMENT_PAGE_SIZE) flushPage();
+    }
+  };
+
+  const startParsing = () => {
+    tokenizer = createTokenizer(delimiters, { encoding, resync: true, isSegmentTag: startsSegment });
+    recovery = createSegmentRecovery(delimiters, { encoding });
+    builder = createAnalysisBuilder(delimiters, fileInfo, userContext);
+    parsingDuration = Date.now() - startTime;
+  };
+
+  const consumeText = (text) => {
+    if (!text) return;
+    rawLength += text.length;
+    if (rawPreview.length < 4000) rawPreview += text.slice(0, 4000 - rawPreview.length);
+
+    if (!tokenizer) {
+      // Delimiters need the UNA service string (first 9 chars, after an optional BOM) or a sample to infer them
+      head += text;
+      if (head.length < 10) return;
+      delimiters = detectDelimiters(head, { override: overrideDelimiters, isSegmentTag });
+      startParsing();
+      text = head;
+      head = '';
+    }
+    addSegments(tokenizer.push(text));
+  };
+
+  const stream = createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE });
+  for await (const chunk of stream) {
+    bytesRead += chunk.length;
+    if (!decoder) {
+      encoding = resolveEncoding(detectSyntaxIdentifier(chunk).syntaxIdentifier, chunk);
+      // Keep the BOM in the text so byte offsets line up with the file
+      decoder = new TextDecoder(encoding, { ignoreBOM: true });
+    }
+    consumeText(decoder.decode(chunk, { stream: true }));
+
+    // Parsing spans 10% → 70% of overall progress
+    const percent = fileSize > 0 ? Math.floor(10 + (bytesRead / fileSize) * 60) : 70;
+    if (percent > lastPercent) {
+      lastPercent = percent;
+      parentPort.postMessage({
+        type: 'progress',
+        chatId,
+        percent,
+        message: `Parsing EDIFACT segments... ${(bytesRead / 1024).toFixed(1)} / ${(fileSize / 1024).toFixed(1)} KB (${segmentCount} segments)`,
+      });
+    }
+  }
+  if (decoder) consumeText(decoder.decode());
+
+  if (!tokenizer) {
+    delimiters = detectDelimiters(head, { override: overrideDelimiters, isSegmentTag });
+    startParsing();
+    addSegments(tokenizer.push(head));
+  }
+  addSegments(tokenizer.flush());
+  flushPage();
+
+  parentPort.postMessage({
+    type: 'progress',
+    chatId,
+    percent: 75,
+    message: `Validating ${segmentCount} segments...`,
+  });
+
+  return builder.finish({
+    rawPreview: rawPreview.replace(/^\uFEFF/, ''),
+    rawLength,
+    lineCount: tokenizer.lineCount(),
+    fileSize,
+    parsingDuration,
+    encoding,
+    recovery: recovery.summary(),
+  });
+}
+
+parentPort.on('message', async ({ chat, file, user, partners = [] }) => {
   try {
     console.log(`[Worker ${chat.id}] Starting EDIFACT analysis from: '${file.path}' for user: ${user.id}`);
 
@@ -16,22 +168,13 @@ parentPort.on('message', async ({ chat, file, user }) => {
       message: `Reading file (${(fileSize / 1024).toFixed(1)} KB)...`,
     });
 
-    // Read entire file (EDIFACT files are typically < 10MB)
-    const rawContent = readFileSync(file.path, 'utf8');
-
-    parentPort.postMessage({
-      type: 'progress',
-      chatId: chat.id,
-      percent: 30,
-      message: 'Parsing EDIFACT segments...',
-    });
-
-    // Build complete analysis using deterministic builder
+    // Build complete analysis using deterministic builder, message by message while streaming
     const userContext = {
       subset: chat.domainContext?.edifact?.subset || '',
       messageType: chat.domainContext?.edifact?.messageType || '',
       releaseVersion: chat.domainContext?.edifact?.releaseVersion || '',
       standardFamily: chat.domainContext?.edifact?.standardFamily || '',
+      partners,
     };
 
     const fileInfo = {
@@ -40,7 +183,10 @@ parentPort.on('message', async ({ chat, file, user }) => {
       path: file.path,
     };
 
-    const analysis = buildAnalysis(rawContent, fileInfo, userContext);
+    const analysis = await streamAnalysis(chat.id, file.path, fileSize, fileInfo, userContext, chat.domainContext?.edifact?.delimiters);
+    // Full segment list lives in the paged segment store, segmentDetails is only a preview
+    analysis.processing.pagedSegments = true;
+    analysis.processing.segmentPageSize = SEGMENT_PAGE_SIZE;
 
     parentPort.postMessage({
       type: 'progress',
@@ -74,7 +220,7 @@ parentPort.on('message', async ({ chat, file, user }) => {
         },
         subset: chat.domainContext?.edifact?.subset,
         views: {
-          segments: { ready: true, count: analysis.segmentCount },
+          segments: { ready: true, count: analysis.segmentCount, paged: true },
         },
         preview: analysis.processing.rawPreview,
         segments: analysis.segmentDetails.slice(0, 5000).map(s => ({
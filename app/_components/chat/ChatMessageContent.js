@@ -33,6 +33,9 @@ const ICON_SIZE = 16;
 const ICON_MIN_WIDTH = 20;
 const ICON_WIDTH = 32;
 
+// Code block languages offered as .edi download
+const _EDIFACT_LANGUAGES = ['edifact', 'edi'];
+
 /**
  * Custom code block with syntax highlighting and copy button
  * @private
@@ -89,6 +92,18 @@ function _CodeBlock({ children, className, ...props }) {
         setTimeout(() => setCopied(false), 3000);
     };
 
+    // Generated EDIFACT (CONTRL, APERAK, corrected messages) can be saved as a file
+    const downloadable = _EDIFACT_LANGUAGES.includes(language.toLowerCase());
+    const handleDownload = () => {
+        const header = /UNH\+[^+]*\+([A-Z]{6})/.exec(codeString);
+        const url = URL.createObjectURL(new Blob([`${codeString}\n`], { type: 'text/plain;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${header ? header[1] : 'message'}.edi`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
     // Inline code
     if (!match) {
         return (
@@ -131,29 +146,51 @@ function _CodeBlock({ children, className, ...props }) {
                 }}
             >
                 <span>{language}</span>
-                <Tooltip title={copied ? 'Copied!' : 'Copy code'}>
-                    <Button
-                        size="small"
-                        onClick={handleCopyCode}
-                        sx={{
-                            minWidth: 'auto',
-                            px: 1,
-                            py: 0.25,
-                            color: 'grey.400',
-                            '&:hover': { color: 'grey.100' },
-                            textTransform: 'none',
-                            fontSize: '0.75rem',
-                        }}
-                        startIcon={
-                            <Iconify
-                                icon={copied ? 'ci:check' : 'ci:copy'}
-                                sx={{ fontSize: 14, color: copied ? 'success.main' : 'inherit' }}
-                            />
-                        }
-                    >
-                        {copied ? 'Copied!' : 'Copy'}
-                    </Button>
-                </Tooltip>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    {downloadable && (
+                        <Tooltip title="Download as EDIFACT file">
+                            <Button
+                                size="small"
+                                onClick={handleDownload}
+                                sx={{
+                                    minWidth: 'auto',
+                                    px: 1,
+                                    py: 0.25,
+                                    color: 'grey.400',
+                                    '&:hover': { color: 'grey.100' },
+                                    textTransform: 'none',
+                                    fontSize: '0.75rem',
+                                }}
+                                startIcon={<Iconify icon="mdi:download" sx={{ fontSize: 14 }} />}
+                            >
+                                Download
+                            </Button>
+                        </Tooltip>
+                    )}
+                    <Tooltip title={copied ? 'Copied!' : 'Copy code'}>
+                        <Button
+                            size="small"
+                            onClick={handleCopyCode}
+                            sx={{
+                                minWidth: 'auto',
+                                px: 1,
+                                py: 0.25,
+                                color: 'grey.400',
+                                '&:hover': { color: 'grey.100' },
+                                textTransform: 'none',
+                                fontSize: '0.75rem',
+                            }}
+                            startIcon={
+                                <Iconify
+                                    icon={copied ? 'ci:check' : 'ci:copy'}
+                                    sx={{ fontSize: 14, color: copied ? 'success.main' : 'inherit' }}
+                                />
+                            }
+                        >
+                            {copied ? 'Copied!' : 'Copy'}
+                        </Button>
+                    </Tooltip>
+                </Box>
             </Box>
             <SyntaxHighlighter
                 style={oneDark}
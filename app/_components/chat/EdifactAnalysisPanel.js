@@ -1,20 +1,36 @@
 import {
     Box,
+    Button,
     Chip,
+    CircularProgress,
     Collapse,
     Divider,
     IconButton,
+    Link,
+    MenuItem,
+    Pagination,
     Paper,
+    Select,
     Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TableSortLabel,
     Tabs,
+    TextField,
     Tooltip,
     Typography,
 } from '@mui/material';
 import { alpha } from '@mui/material/styles';
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 
 // app imports
 import Iconify from '@/app/_components/utils/Iconify';
+import { buildContrl } from '@/_modules/edifact/contrl';
+import { buildAperak } from '@/_modules/edifact/aperak';
 
 // ===== Segment color + icon mapping =====
 
@@ -28,6 +44,11 @@ const SEGMENT_META = {
     UNH: { color: '#2563EB', icon: 'mdi:file-document-outline', label: 'Message Header' },
     UNT: { color: '#2563EB', icon: 'mdi:file-check-outline', label: 'Message Trailer' },
     UNS: { color: '#64748B', icon: 'mdi:swap-horizontal', label: 'Section Control' },
+    // Interactive envelope (ISO 9735-3)
+    UIB: { color: '#7C3AED', icon: 'mdi:email-seal-outline', label: 'Interactive Interchange Header' },
+    UIZ: { color: '#7C3AED', icon: 'mdi:email-check-outline', label: 'Interactive Interchange Trailer' },
+    UIH: { color: '#2563EB', icon: 'mdi:file-document-outline', label: 'Interactive Message Header' },
+    UIT: { color: '#2563EB', icon: 'mdi:file-check-outline', label: 'Interactive Message Trailer' },
     // Document
     BGM: { color: '#0891B2', icon: 'mdi:identifier', label: 'Beginning of Message' },
     DTM: { color: '#059669', icon: 'mdi:calendar-clock', label: 'Date/Time' },
@@ -76,6 +97,14 @@ const SEGMENT_META = {
     // Error & Conditions
     ERP: { color: '#EF4444', icon: 'mdi:alert-circle-outline', label: 'Error Point Details' },
     RCS: { color: '#64748B', icon: 'mdi:clipboard-check-outline', label: 'Requirements & Conditions' },
+    // NCPDP SCRIPT
+    PVD: { color: '#D97706', icon: 'mdi:doctor', label: 'Provider' },
+    PTT: { color: '#D97706', icon: 'mdi:account-outline', label: 'Patient' },
+    DRU: { color: '#DC2626', icon: 'mdi:pill', label: 'Drug' },
+    RES: { color: '#64748B', icon: 'mdi:reply-outline', label: 'Response' },
+    REQ: { color: '#0891B2', icon: 'mdi:help-circle-outline', label: 'Request' },
+    COO: { color: '#6366F1', icon: 'mdi:shield-account-outline', label: 'Coordination of Benefits' },
+    OBS: { color: '#16A34A', icon: 'mdi:stethoscope', label: 'Observation' },
 };
 
 const DEFAULT_SEGMENT_META = { color: '#94A3B8', icon: 'mdi:code-tags', label: 'Segment' };
@@ -84,6 +113,17 @@ function _getSegmentMeta(tag) {
     return SEGMENT_META[tag] || DEFAULT_SEGMENT_META;
 }
 
+// ===== Date label =====
+
+function _formatDate(d) {
+    if (!d.date) return d.display || '—';
+    const start = new Date(d.date);
+    if (d.kind === 'period' && d.end) {
+        return `${start.toLocaleDateString()} – ${new Date(d.end).toLocaleDateString()}`;
+    }
+    return d.kind === 'datetime' ? start.toLocaleString() : start.toLocaleDateString();
+}
+
 // ===== Status badge =====
 
 function _StatusChip({ status, errorCount, warningCount }) {
@@ -136,6 +176,57 @@ function _MetricCard({ icon, label, value, color = 'primary.main' }) {
     );
 }
 
+// ===== Message Picker =====
+
+function _MessagePicker({ messages, value, onChange }) {
+    return (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pt: 1 }}>
+            <Iconify icon="mdi:email-multiple-outline" sx={{ fontSize: 18, color: 'text.secondary' }} />
+            <Typography variant="caption" color="text.secondary">
+                Message
+            </Typography>
+            <Select
+                size="small"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                sx={{ minWidth: 220, fontSize: '0.8rem', '& .MuiSelect-select': { py: 0.5 } }}
+            >
+                <MenuItem value={-1} sx={{ fontSize: '0.8rem' }}>
+                    All messages ({messages.length})
+                </MenuItem>
+                {messages.map((msg, index) => (
+                    <MenuItem key={index} value={index} sx={{ fontSize: '0.8rem' }}>
+                        #{index + 1} {msg.messageHeader?.messageType || 'Unknown'}
+                        {msg.messageHeader?.subFunction ? ` ${msg.messageHeader.subFunction}` : ''}
+                        {' · '}{msg.messageHeader?.messageReference || '—'}
+                        {msg.businessData?.documentNumber ? ` · ${msg.businessData.documentNumber}` : ''}
+                        {msg.validation?.errorCount > 0 ? ` · ${msg.validation.errorCount} errors` : ''}
+                    </MenuItem>
+                ))}
+            </Select>
+        </Box>
+    );
+}
+
+/**
+ * Project a single message onto the analysis shape used by the tabs.
+ * Interchange-level data (UNB, processing) stays untouched.
+ */
+function _messageView(analysis, messageIndex) {
+    const msg = analysis.messages?.[messageIndex];
+    if (!msg) return analysis;
+    return {
+        ...analysis,
+        segmentCount: msg.segmentCount,
+        messageHeader: msg.messageHeader,
+        businessData: msg.businessData,
+        parties: msg.parties,
+        validation: msg.validation,
+        compliance: msg.compliance,
+        status: msg.status,
+    };
+}
+
 // ===== Overview Tab =====
 
 function _OverviewTab({ analysis }) {
@@ -161,9 +252,11 @@ function _OverviewTab({ analysis }) {
                     color="info.main"
                 />
                 <_MetricCard
-                    icon="mdi:file-document-multiple-outline"
+                    icon="mdi:file-compare"
                     label="Type"
-                    value={messageHeader?.messageType || '—'}
+                    value={messageHeader?.subFunction
+                        ? `${messageHeader.messageType} ${messageHeader.subFunction}`
+                        : messageHeader?.messageType || '—'}
                     color="primary.main"
                 />
                 <_MetricCard
@@ -237,6 +330,9 @@ function _OverviewTab({ analysis }) {
                         {interchange.controlReference && (
                             <Chip size="small" variant="outlined" label={`Ref: ${interchange.controlReference}`} />
                         )}
+                        {interchange.interactive && (
+                            <Chip size="small" variant="outlined" color="info" label="Interactive" />
+                        )}
                         {interchange.testIndicator && (
                             <Chip size="small" color="warning" label="TEST" />
                         )}
@@ -283,7 +379,8 @@ function _OverviewTab({ analysis }) {
                                 size="small"
                                 variant="outlined"
                                 icon={<Iconify icon="mdi:calendar" width={14} />}
-                                label={`${d.qualifier}: ${d.date ? new Date(d.date).toLocaleDateString() : '—'}`}
+                                color={d.valid === false ? 'error' : 'default'}
+                                label={`${d.qualifier}: ${_formatDate(d)}`}
                             />
                         ))}
                     </Box>
@@ -341,66 +438,891 @@ function _OverviewTab({ analysis }) {
                     Parsed in {processing.parsingDuration || processing.totalDuration || 0}ms
                     {processing.tokenCount ? ` | ~${processing.tokenCount} tokens` : ''}
                     {processing.fileSize ? ` | ${(processing.fileSize / 1024).toFixed(1)} KB` : ''}
+                    {processing.delimiters && processing.delimiters.source !== 'UNA'
+                        ? ` | delimiters ${processing.delimiters.componentSeparator} ${processing.delimiters.fieldSeparator} ${processing.delimiters.segmentTerminator} (${processing.delimiters.source === 'override'
+                            ? 'chosen'
+                            : `${processing.delimiters.source}, ${Math.round(processing.delimiters.confidence * 100)}% confidence`})`
+                        : ''}
+                </Typography>
+            )}
+        </Box>
+    );
+}
+
+// ===== Line Items Tab =====
+
+const LINE_ITEM_COLUMNS = [
+    { key: 'line', label: 'Line', numeric: true, value: item => Number(item.lineNumber) || 0 },
+    { key: 'article', label: 'Article', value: item => item.gtin || item.itemId || item.supplierArticleNumber || '' },
+    { key: 'description', label: 'Description', value: item => item.description || '' },
+    { key: 'quantity', label: 'Quantity', numeric: true, value: item => item.quantities[0]?.value ?? null },
+    { key: 'price', label: 'Price', numeric: true, value: item => item.prices[0]?.value ?? null },
+    { key: 'amount', label: 'Line amount', numeric: true, value: item => item.lineAmount },
+    { key: 'allowances', label: 'Allow./Charges', value: item => item.allowances.length || null },
+    { key: 'tax', label: 'Tax', numeric: true, value: item => Number(item.taxes[0]?.rate) || null },
+];
+
+function _compareLineItems(column, direction) {
+    const factor = direction === 'asc' ? 1 : -1;
+    return (a, b) => {
+        const va = column.value(a);
+        const vb = column.value(b);
+        // Empty values last in both directions
+        if (va === null || va === '') return vb === null || vb === '' ? 0 : 1;
+        if (vb === null || vb === '') return -1;
+        return (typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb))) * factor;
+    };
+}
+
+function _qualified(values) {
+    return values.map(v => `${v.value ?? v.raw}${v.unit ? ` ${v.unit}` : ''} (${v.qualifier})`).join(', ');
+}
+
+function _LineItemsTab({ analysis }) {
+    const items = analysis.businessData?.lineItems;
+    const [orderBy, setOrderBy] = useState('line');
+    const [direction, setDirection] = useState('asc');
+
+    const sorted = useMemo(() => {
+        const column = LINE_ITEM_COLUMNS.find(c => c.key === orderBy);
+        return [...(items || [])].sort(_compareLineItems(column, direction));
+    }, [items, orderBy, direction]);
+
+    if (sorted.length === 0) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                No line items in this message.
+            </Typography>
+        );
+    }
+
+    const handleSort = (key) => {
+        setDirection(orderBy === key && direction === 'asc' ? 'desc' : 'asc');
+        setOrderBy(key);
+    };
+
+    return (
+        <TableContainer sx={{ maxHeight: 400, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+            <Table size="small" stickyHeader sx={{ '& .MuiTableCell-root': { fontSize: '0.75rem', py: 0.5, px: 1 } }}>
+                <TableHead>
+                    <TableRow>
+                        {LINE_ITEM_COLUMNS.map(column => (
+                            <TableCell key={column.key} align={column.numeric ? 'right' : 'left'} sortDirection={orderBy === column.key ? direction : false}>
+                                <TableSortLabel
+                                    active={orderBy === column.key}
+                                    direction={orderBy === column.key ? direction : 'asc'}
+                                    onClick={() => handleSort(column.key)}
+                                >
+                                    {column.label}
+                                </TableSortLabel>
+                            </TableCell>
+                        ))}
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {sorted.map(item => (
+                        <TableRow key={item.position} hover>
+                            <TableCell align="right" sx={{ fontFamily: 'monospace' }}>
+                                {item.lineNumber || '—'}
+                                {item.parentLine && (
+                                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                        of {item.parentLine}
+                                    </Typography>
+                                )}
+                            </TableCell>
+                            <TableCell sx={{ fontFamily: 'monospace' }}>
+                                {item.gtin || item.itemId || '—'}
+                                {(item.supplierArticleNumber || item.buyerArticleNumber) && (
+                                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                        {[item.supplierArticleNumber && `SA ${item.supplierArticleNumber}`, item.buyerArticleNumber && `Buyer ${item.buyerArticleNumber}`].filter(Boolean).join(' · ')}
+                                    </Typography>
+                                )}
+                            </TableCell>
+                            <TableCell>{item.description || '—'}</TableCell>
+                            <TableCell align="right">{item.quantities.length > 0 ? _qualified(item.quantities) : '—'}</TableCell>
+                            <TableCell align="right">{item.prices.length > 0 ? _qualified(item.prices) : '—'}</TableCell>
+                            <TableCell align="right">{item.lineAmount ?? '—'}</TableCell>
+                            <TableCell>
+                                {item.allowances.length > 0
+                                    ? item.allowances.map(alc => `${alc.type}${alc.code ? ` ${alc.code}` : ''}${alc.percentage !== null ? ` ${alc.percentage}%` : ''}${alc.amount !== null ? ` ${alc.amount}` : ''}`).join(', ')
+                                    : '—'}
+                            </TableCell>
+                            <TableCell align="right">
+                                {item.taxes.length > 0
+                                    ? item.taxes.map(tax => `${tax.type}${tax.rate ? ` ${tax.rate}%` : ''}${tax.amount !== null ? ` = ${tax.amount}` : ''}`).join(', ')
+                                    : '—'}
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+}
+
+// ===== Re-send Notice =====
+
+function _resendSourceLabel(source) {
+    const name = source.fileName || 'earlier upload';
+    const date = source.registeredAt ? ` (${new Date(source.registeredAt).toLocaleDateString()})` : '';
+    return `${name}${date}`;
+}
+
+function _ResendSource({ source }) {
+    return (
+        <Link href={`/a/${source.chatId}`} variant="caption" underline="hover">
+            {_resendSourceLabel(source)}{source.chatName ? ` in “${source.chatName}”` : ''}
+        </Link>
+    );
+}
+
+function _ResendNotice({ resends, label }) {
+    if (!resends || (resends.interchange.length === 0 && resends.messages.length === 0)) return null;
+    const color = resends.possibleResend ? 'warning' : 'info';
+
+    return (
+        <Box
+            sx={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 0.5,
+                p: 1,
+                mt: 1,
+                borderRadius: 1,
+                border: 1,
+                borderColor: `${color}.main`,
+                bgcolor: (theme) => alpha(theme.palette[color].main, 0.06),
+            }}
+        >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Iconify icon="mdi:content-duplicate" sx={{ fontSize: 16, color: `${color}.main` }} />
+                <Typography variant="caption" sx={{ fontWeight: 600 }}>
+                    {label ? `${label}: ` : ''}
+                    {resends.possibleResend ? 'Possible re-send of an earlier upload' : 'Declared repetition of earlier documents'}
+                </Typography>
+            </Box>
+            {resends.interchange.map(source => (
+                <Box key={source.fileId || source.chatId} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap' }}>
+                    <Typography variant="caption" color="text.secondary">
+                        Same interchange (control reference {source.controlReference}) as
+                    </Typography>
+                    <_ResendSource source={source} />
+                </Box>
+            ))}
+            {resends.messages.slice(0, 10).map(message => (
+                <Box key={message.messageIndex} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap' }}>
+                    <Typography variant="caption" color="text.secondary">
+                        {message.kind === 'message'
+                            ? `Message ${message.messageReference}`
+                            : `${message.messageType} #${message.documentNumber}`}
+                        {message.declared ? ` (declared as ${message.declared})` : ''} also in
+                    </Typography>
+                    {message.earlier.slice(0, 3).map(source => (
+                        <_ResendSource key={source.fileId || source.chatId} source={source} />
+                    ))}
+                </Box>
+            ))}
+            {resends.messages.length > 10 && (
+                <Typography variant="caption" color="text.secondary">
+                    … {resends.messages.length - 10} more message(s)
+                </Typography>
+            )}
+        </Box>
+    );
+}
+
+// ===== Document Match Tab =====
+
+const MATCH_SEVERITY_COLORS = { error: 'error', warning: 'warning', info: 'info' };
+
+function _unitPrice(price) {
+    return price ? `${price.unitPrice} (${price.qualifier})` : '—';
+}
+
+function _DocumentChips({ label, documents }) {
+    return documents.map(doc => (
+        <Chip
+            key={`${doc.source?.fileId || doc.source?.name}-${doc.messageIndex}`}
+            size="small"
+            variant="outlined"
+            label={`${label} ${doc.documentNumber || '?'}`}
+            title={doc.source?.name}
+            sx={{ height: 20, fontSize: '0.7rem' }}
+        />
+    ));
+}
+
+function _MatchSet({ set }) {
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.75 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+                <Typography variant="caption" sx={{ fontWeight: 600, mr: 0.5 }}>
+                    Order {set.orderNumber || '—'}
+                </Typography>
+                <_DocumentChips label="ORDERS" documents={set.orders} />
+                <_DocumentChips label="DESADV" documents={set.despatches} />
+                <_DocumentChips label="INVOIC" documents={set.invoices} />
+            </Box>
+            {set.issues.map((issue, index) => (
+                <Typography key={index} variant="caption" color="text.secondary">
+                    {issue.message}
+                </Typography>
+            ))}
+            <TableContainer sx={{ maxHeight: 320, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+                <Table size="small" stickyHeader sx={{ '& .MuiTableCell-root': { fontSize: '0.75rem', py: 0.5, px: 1 } }}>
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Article</TableCell>
+                            <TableCell align="right">Ordered</TableCell>
+                            <TableCell align="right">Shipped</TableCell>
+                            <TableCell align="right">Invoiced</TableCell>
+                            <TableCell align="right">Order price</TableCell>
+                            <TableCell align="right">Invoice price</TableCell>
+                            <TableCell>Findings</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {set.lines.map(line => (
+                            <TableRow key={line.key} hover>
+                                <TableCell sx={{ fontFamily: 'monospace' }}>
+                                    {line.itemId || line.key}
+                                    {line.description && (
+                                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                            {line.description}
+                                        </Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell align="right">{line.ordered ?? '—'}</TableCell>
+                                <TableCell align="right">{line.shipped ?? '—'}</TableCell>
+                                <TableCell align="right">{line.invoiced ?? '—'}</TableCell>
+                                <TableCell align="right">{_unitPrice(line.orderPrice)}</TableCell>
+                                <TableCell align="right">{_unitPrice(line.invoicePrice)}</TableCell>
+                                <TableCell>
+                                    {line.issues.length === 0 ? (
+                                        <Chip size="small" color="success" variant="outlined" label="Matched" sx={{ height: 18, fontSize: '0.65rem' }} />
+                                    ) : (
+                                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.25 }}>
+                                            {line.issues.map((issue, index) => (
+                                                <Tooltip key={index} title={issue.message}>
+                                                    <Chip
+                                                        size="small"
+                                                        color={MATCH_SEVERITY_COLORS[issue.severity] || 'default'}
+                                                        variant="outlined"
+                                                        label={issue.code.replace(/_/g, ' ').toLowerCase()}
+                                                        sx={{ height: 18, fontSize: '0.65rem', alignSelf: 'flex-start' }}
+                                                    />
+                                                </Tooltip>
+                                            ))}
+                                        </Box>
+                                    )}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+        </Box>
+    );
+}
+
+function _DocumentMatchTab({ sessionId }) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [resendNotices, setResendNotices] = useState([]);
+
+    useEffect(() => {
+        if (!sessionId) return;
+        let cancelled = false;
+
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const res = await fetch(`/api/chats/${sessionId}/documents`, { credentials: 'include' });
+                if (!res.ok) throw new Error(`Loading the match report failed (${res.status})`);
+                const data = await res.json();
+                if (!cancelled) setResult(data);
+            } catch (err) {
+                console.error('[Documents] report load failed:', err);
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        loadReport();
+
+        return () => { cancelled = true; };
+    }, [sessionId]);
+
+    const handleUpload = async (event) => {
+        const files = [...(event.target.files || [])];
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        setLoading(true);
+        setError(null);
+        try {
+            for (const file of files) {
+                const body = new FormData();
+                body.append('file', file);
+                const res = await fetch(`/api/chats/${sessionId}/documents`, { method: 'POST', body, credentials: 'include' });
+                const data = await res.json();
+                if (!res.ok) throw new Error(`${file.name}: ${data.error || `upload failed (${res.status})`}`);
+                setResult(data);
+                if (data.resends) setResendNotices(prev => [...prev, { name: file.name, resends: data.resends }]);
+            }
+        } catch (err) {
+            console.error('[Documents] upload failed:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!sessionId) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                Document matching is available for uploaded files.
+            </Typography>
+        );
+    }
+
+    const summary = result?.report?.summary;
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+                <Button
+                    component="label"
+                    size="small"
+                    variant="outlined"
+                    disabled={loading}
+                    startIcon={<Iconify icon="mdi:file-plus-outline" width={16} />}
+                    sx={{ textTransform: 'none' }}
+                >
+                    Add order / despatch advice / invoice
+                    <input hidden type="file" multiple onChange={handleUpload} />
+                </Button>
+                {loading && <CircularProgress size={16} />}
+                {result?.files?.map(file => (
+                    <Tooltip key={file.fileId} title={file.skipped || `${file.documentCount} trade document(s)`}>
+                        <Chip
+                            size="small"
+                            variant="outlined"
+                            color={file.skipped ? 'default' : 'primary'}
+                            label={file.name}
+                            sx={{ height: 20, fontSize: '0.7rem' }}
+                        />
+                    </Tooltip>
+                ))}
+            </Box>
+            {error && (
+                <Typography variant="caption" color="error.main">
+                    {error}
+                </Typography>
+            )}
+            {resendNotices.map((notice, index) => (
+                <_ResendNotice key={index} label={notice.name} resends={notice.resends} />
+            ))}
+            {summary && (
+                <Typography variant="caption" color="text.secondary">
+                    {summary.documents} document(s) in {summary.sets} match set(s) · {summary.matchedLines} of {summary.lines} line(s) matched · {summary.issues} finding(s)
+                </Typography>
+            )}
+            {summary && summary.documents === 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                    No ORDERS, DESADV or INVOIC messages yet. Add the related documents to match them.
+                </Typography>
+            )}
+            {result?.report?.sets.map((set, index) => (
+                <_MatchSet key={index} set={set} />
+            ))}
+        </Box>
+    );
+}
+
+// ===== Compare Tab =====
+
+const DIFF_ROW_COLORS = { added: 'success', removed: 'error', changed: 'warning' };
+
+function _DiffRows({ rows, changes, changesOnly }) {
+    const messageByKey = useMemo(() => new Map(changes.map(c => [c.key, c.message])), [changes]);
+    const visible = changesOnly ? rows.filter(r => r.type !== 'equal') : rows;
+
+    if (visible.length === 0) {
+        return (
+            <Typography variant="caption" color="text.secondary">
+                No differences.
+            </Typography>
+        );
+    }
+
+    const cell = (row, side) => {
+        const segment = row[side];
+        const color = DIFF_ROW_COLORS[row.type];
+        const highlighted = color && (row.type === 'changed' || segment);
+        return (
+            <TableCell
+                sx={{
+                    width: '50%',
+                    fontFamily: 'monospace',
+                    wordBreak: 'break-all',
+                    verticalAlign: 'top',
+                    bgcolor: highlighted ? (theme) => alpha(theme.palette[color].main, 0.12) : undefined,
+                }}
+            >
+                {segment && (
+                    <>
+                        <Typography component="span" variant="caption" color="text.disabled" sx={{ mr: 1 }}>
+                            {segment.position}
+                        </Typography>
+                        {segment.raw}
+                    </>
+                )}
+            </TableCell>
+        );
+    };
+
+    return (
+        <TableContainer sx={{ maxHeight: 480, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+            <Table size="small" stickyHeader sx={{ tableLayout: 'fixed', '& .MuiTableCell-root': { fontSize: '0.72rem', py: 0.25, px: 1 } }}>
+                <TableBody>
+                    {visible.map((row, index) => (
+                        <Tooltip key={index} title={messageByKey.get(row.key) || ''} placement="top" disableInteractive>
+                            <TableRow>
+                                {cell(row, 'left')}
+                                {cell(row, 'right')}
+                            </TableRow>
+                        </Tooltip>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+}
+
+function _CompareTab({ sessionId }) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [changesOnly, setChangesOnly] = useState(true);
+
+    const handleCompare = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        setError(null);
+        try {
+            const body = new FormData();
+            body.append('file', file);
+            const res = await fetch(`/api/chats/${sessionId}/diff`, { method: 'POST', body, credentials: 'include' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `Comparison failed (${res.status})`);
+            setResult(data);
+        } catch (err) {
+            console.error('[Compare] diff failed:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!sessionId) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                Comparing is available for uploaded files.
+            </Typography>
+        );
+    }
+
+    const summary = result?.summary;
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <Button
+                    component="label"
+                    size="small"
+                    variant="outlined"
+                    disabled={loading}
+                    startIcon={<Iconify icon="mdi:vector-difference" width={16} />}
+                    sx={{ textTransform: 'none' }}
+                >
+                    Compare with another version
+                    <input hidden type="file" onChange={handleCompare} />
+                </Button>
+                {loading && <CircularProgress size={16} />}
+                {result && (
+                    <Chip
+                        size="small"
+                        variant={changesOnly ? 'filled' : 'outlined'}
+                        label="Changes only"
+                        onClick={() => setChangesOnly(v => !v)}
+                        sx={{ height: 20, fontSize: '0.7rem' }}
+                    />
+                )}
+            </Box>
+            {error && (
+                <Typography variant="caption" color="error.main">
+                    {error}
+                </Typography>
+            )}
+            {summary && (
+                <Typography variant="caption" color="text.secondary">
+                    {result.left.name} → {result.right.name}:{' '}
+                    {summary.identical
+                        ? 'no business differences (envelope references and dates ignored)'
+                        : `${summary.changed} changed · ${summary.added} added · ${summary.removed} removed segment(s)`}
+                </Typography>
+            )}
+            {result?.messages.map(message => (
+                <Box key={message.key} sx={{ display: 'flex', flexDirection: 'column', gap: 0.75 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                        <Typography variant="caption" sx={{ fontWeight: 600 }}>
+                            {message.label}
+                        </Typography>
+                        {message.status !== 'matched' && (
+                            <Chip
+                                size="small"
+                                color={DIFF_ROW_COLORS[message.status]}
+                                variant="outlined"
+                                label={message.status}
+                                sx={{ height: 18, fontSize: '0.65rem' }}
+                            />
+                        )}
+                    </Box>
+                    {message.changes.slice(0, 20).map((change, index) => (
+                        <Typography key={index} variant="caption" color={`${DIFF_ROW_COLORS[change.type]}.main`}>
+                            {change.message}
+                        </Typography>
+                    ))}
+                    {message.changes.length > 20 && (
+                        <Typography variant="caption" color="text.secondary">
+                            … {message.changes.length - 20} more
+                        </Typography>
+                    )}
+                    <_DiffRows rows={message.rows} changes={message.changes} changesOnly={changesOnly} />
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+// ===== Envelope Tab =====
+
+const CONTROL_REFERENCE_OPTIONS = [
+    { value: 'regenerate', label: 'New control reference' },
+    { value: 'keep', label: 'Keep control reference' },
+];
+
+function _EnvelopeTab({ analysis, sessionId, selectedMessage }) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [controlReference, setControlReference] = useState('regenerate');
+    const [envelope, setEnvelope] = useState({ sender: '', receiver: '', testIndicator: Boolean(analysis.interchange?.testIndicator) });
+
+    const run = async (action, fields = {}, uploads = []) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const body = new FormData();
+            body.append('action', action);
+            body.append('controlReference', controlReference);
+            Object.entries(fields).forEach(([key, value]) => body.append(key, String(value)));
+            uploads.forEach(file => body.append('file', file));
+            const res = await fetch(`/api/chats/${sessionId}/interchange`, { method: 'POST', body, credentials: 'include' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `Rebuilding the interchange failed (${res.status})`);
+            setResult(data);
+            if (data.files.length === 1) _downloadText(data.files[0].name, data.files[0].edifact);
+        } catch (err) {
+            console.error(`[Envelope] ${action} failed:`, err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleMerge = (event) => {
+        const files = [...(event.target.files || [])];
+        event.target.value = '';
+        if (files.length > 0) run('merge', {}, files);
+    };
+
+    const handleReenvelope = () => {
+        const fields = { testIndicator: envelope.testIndicator };
+        if (envelope.sender.trim()) fields.sender = envelope.sender.trim();
+        if (envelope.receiver.trim()) fields.receiver = envelope.receiver.trim();
+        run('reenvelope', fields);
+    };
+
+    if (!sessionId) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                Splitting and merging is available for uploaded files.
+            </Typography>
+        );
+    }
+    if (analysis.interchange?.interactive) {
+        return (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                Interactive interchanges (UIB/UIH) cannot be split or merged.
+            </Typography>
+        );
+    }
+
+    const messageCount = analysis.messages?.length || 0;
+    const selected = analysis.messages?.[selectedMessage];
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <Select
+                    size="small"
+                    value={controlReference}
+                    onChange={(e) => setControlReference(e.target.value)}
+                    sx={{ fontSize: '0.8rem', '& .MuiSelect-select': { py: 0.5 } }}
+                >
+                    {CONTROL_REFERENCE_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value} sx={{ fontSize: '0.8rem' }}>
+                            {option.label}
+                        </MenuItem>
+                    ))}
+                </Select>
+                {loading && <CircularProgress size={16} />}
+            </Box>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                {selected && (
+                    <Button
+                        size="small"
+                        variant="outlined"
+                        disabled={loading}
+                        startIcon={<Iconify icon="mdi:email-arrow-right-outline" width={16} />}
+                        onClick={() => run('split', { messages: selectedMessage + 1 })}
+                        sx={{ textTransform: 'none' }}
+                    >
+                        Extract message #{selectedMessage + 1}
+                    </Button>
+                )}
+                <Button
+                    size="small"
+                    variant="outlined"
+                    disabled={loading || messageCount < 2}
+                    startIcon={<Iconify icon="mdi:call-split" width={16} />}
+                    onClick={() => run('split')}
+                    sx={{ textTransform: 'none' }}
+                >
+                    Split into {messageCount} files
+                </Button>
+                <Button
+                    component="label"
+                    size="small"
+                    variant="outlined"
+                    disabled={loading}
+                    startIcon={<Iconify icon="mdi:call-merge" width={16} />}
+                    sx={{ textTransform: 'none' }}
+                >
+                    Merge with files
+                    <input hidden multiple type="file" onChange={handleMerge} />
+                </Button>
+            </Box>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <TextField
+                    size="small"
+                    label="Sender"
+                    placeholder={analysis.interchange?.sender || ''}
+                    value={envelope.sender}
+                    onChange={(e) => setEnvelope(prev => ({ ...prev, sender: e.target.value }))}
+                    sx={{ width: 170, '& input': { fontSize: '0.8rem' } }}
+                />
+                <TextField
+                    size="small"
+                    label="Receiver"
+                    placeholder={analysis.interchange?.receiver || ''}
+                    value={envelope.receiver}
+                    onChange={(e) => setEnvelope(prev => ({ ...prev, receiver: e.target.value }))}
+                    sx={{ width: 170, '& input': { fontSize: '0.8rem' } }}
+                />
+                <Chip
+                    size="small"
+                    variant={envelope.testIndicator ? 'filled' : 'outlined'}
+                    label="Test"
+                    onClick={() => setEnvelope(prev => ({ ...prev, testIndicator: !prev.testIndicator }))}
+                    sx={{ height: 20, fontSize: '0.7rem' }}
+                />
+                <Button
+                    size="small"
+                    variant="outlined"
+                    disabled={loading}
+                    startIcon={<Iconify icon="mdi:email-edit-outline" width={16} />}
+                    onClick={handleReenvelope}
+                    sx={{ textTransform: 'none' }}
+                >
+                    Re-envelope
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography variant="caption" color="error.main">
+                    {error}
+                </Typography>
+            )}
+            {result?.warnings?.map((warning, index) => (
+                <Typography key={index} variant="caption" color="warning.main">
+                    {warning}
+                </Typography>
+            ))}
+            {result?.changes?.length > 0 && (
+                <Typography variant="caption" color="text.secondary">
+                    {result.changes.map(c => `${c.field}: ${c.from || '—'} → ${c.to || '—'}`).join(' · ')}
                 </Typography>
             )}
+            {result?.files.length > 0 && (
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="caption" sx={{ fontWeight: 600 }}>
+                            {result.files.length} file{result.files.length === 1 ? '' : 's'} · {result.messageCount} message{result.messageCount === 1 ? '' : 's'}
+                        </Typography>
+                        {result.files.length > 1 && (
+                            <Button
+                                size="small"
+                                startIcon={<Iconify icon="mdi:download-multiple" width={16} />}
+                                onClick={() => result.files.forEach(file => _downloadText(file.name, file.edifact))}
+                                sx={{ textTransform: 'none', fontSize: '0.75rem', py: 0 }}
+                            >
+                                Download all
+                            </Button>
+                        )}
+                    </Box>
+                    {result.files.map(file => (
+                        <Box key={file.name} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                            <IconButton size="small" onClick={() => _downloadText(file.name, file.edifact)} sx={{ p: 0.25 }}>
+                                <Iconify icon="mdi:file-download-outline" sx={{ fontSize: 16 }} />
+                            </IconButton>
+                            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>
+                                {file.name}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                                UNB {file.controlReference}
+                            </Typography>
+                        </Box>
+                    ))}
+                </Box>
+            )}
         </Box>
     );
 }
 
 // ===== Segment Tree Tab =====
 
+/**
+ * Segment group id if the segment opens a group ('SG2' for 'SG2/NAD'), else null
+ * @private
+ */
+function _groupOf(sgPath) {
+    const parts = (sgPath || '').split('/');
+    const candidate = parts[parts.length - 2] || '';
+    return /^SG\d+$/.test(candidate) ? candidate : null;
+}
+
 /**
  * Builds a hierarchical tree from flat segment list:
  * UNB → [UNH → [body segments...] → UNT] → UNZ
+ * (UIB → [UIH → ... → UIT] → UIZ for interactive EDIFACT)
+ * Body segments are nested by their resolved segment groups (sgPath/sgParent)
+ * when the message structure is known.
  * @private
  */
 function _buildSegmentTree(segmentDetails, segments) {
     // Use segmentDetails if available, otherwise fall back to tag array
     const items = segmentDetails?.length > 0
-        ? segmentDetails.map((sd, i) => ({ tag: sd.tag, position: sd.position || i + 1, content: sd.content, fields: sd.fields }))
+        ? segmentDetails.map((sd, i) => ({
+            tag: sd.tag,
+            position: sd.position || i + 1,
+            line: sd.line ?? null,
+            column: sd.column ?? null,
+            content: sd.content,
+            fields: sd.fields,
+            sgPath: sd.sgPath || null,
+            sgParent: sd.sgParent ?? null,
+        }))
         : (segments || []).map((tag, i) => ({ tag, position: i + 1, content: '', fields: [] }));
 
     if (items.length === 0) return [];
 
     const tree = [];
     let currentEnvelope = null;
+    let currentGroup = null;
     let currentMessage = null;
+    // Group trigger nodes of the current message, by position
+    const groupNodes = new Map();
+
+    // Attach to the innermost open container (message → group → interchange → root)
+    const append = (node) => {
+        const parent = currentMessage || currentGroup || currentEnvelope;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            tree.push(node);
+        }
+    };
 
     for (const item of items) {
-        if (item.tag === 'UNB') {
+        if (item.tag === 'UNB' || item.tag === 'UIB') {
             currentEnvelope = { ...item, children: [] };
             tree.push(currentEnvelope);
-        } else if (item.tag === 'UNZ') {
+        } else if (item.tag === 'UNZ' || item.tag === 'UIZ') {
             if (currentEnvelope) {
                 currentEnvelope.children.push(item);
                 currentEnvelope = null;
             } else {
                 tree.push(item);
             }
-        } else if (item.tag === 'UNH') {
-            currentMessage = { ...item, children: [] };
+        } else if (item.tag === 'UNG') {
+            currentMessage = null;
+            currentGroup = { ...item, children: [] };
             if (currentEnvelope) {
-                currentEnvelope.children.push(currentMessage);
+                currentEnvelope.children.push(currentGroup);
             } else {
-                tree.push(currentMessage);
+                tree.push(currentGroup);
             }
-        } else if (item.tag === 'UNT') {
+        } else if (item.tag === 'UNE') {
+            if (currentGroup) {
+                currentMessage = null;
+                currentGroup.children.push(item);
+                currentGroup = null;
+            } else {
+                append(item);
+            }
+        } else if (item.tag === 'UNH' || item.tag === 'UIH') {
+            currentMessage = null;
+            groupNodes.clear();
+            const message = { ...item, children: [] };
+            append(message);
+            currentMessage = message;
+        } else if (item.tag === 'UNT' || item.tag === 'UIT') {
             if (currentMessage) {
                 currentMessage.children.push(item);
                 currentMessage = null;
-            } else if (currentEnvelope) {
-                currentEnvelope.children.push(item);
             } else {
-                tree.push(item);
+                append(item);
             }
         } else {
-            if (currentMessage) {
-                currentMessage.children.push(item);
-            } else if (currentEnvelope) {
-                currentEnvelope.children.push(item);
+            const sgGroup = _groupOf(item.sgPath);
+            const node = sgGroup ? { ...item, sgGroup, children: [] } : item;
+            const parent = item.sgParent !== null ? groupNodes.get(item.sgParent) : null;
+            if (parent) {
+                parent.children.push(node);
             } else {
-                tree.push(item);
+                append(node);
             }
+            if (sgGroup) groupNodes.set(item.position, node);
         }
     }
 
@@ -412,8 +1334,8 @@ function _SegmentNode({ item, depth = 0 }) {
     const [expanded, setExpanded] = useState(depth < 2);
     const meta = _getSegmentMeta(item.tag);
 
-    const isEnvelope = item.tag === 'UNB' || item.tag === 'UNZ';
-    const isMessage = item.tag === 'UNH' || item.tag === 'UNT';
+    const isEnvelope = ['UNB', 'UNZ', 'UIB', 'UIZ'].includes(item.tag);
+    const isMessage = ['UNH', 'UNT', 'UIH', 'UIT'].includes(item.tag);
 
     return (
         <Box>
@@ -468,6 +1390,13 @@ function _SegmentNode({ item, depth = 0 }) {
                     </Typography>
                 </Box>
 
+                {/* Segment group */}
+                {item.sgGroup && (
+                    <Typography variant="caption" color="text.disabled" sx={{ fontFamily: 'monospace', fontSize: '0.65rem', flexShrink: 0 }}>
+                        {item.sgGroup}
+                    </Typography>
+                )}
+
                 {/* Label + value preview */}
                 <Typography variant="caption" color="text.secondary" noWrap sx={{ flex: 1 }}>
                     {meta.label}
@@ -483,9 +1412,9 @@ function _SegmentNode({ item, depth = 0 }) {
                     )}
                 </Typography>
 
-                {/* Position */}
+                {/* Position (+ line:column in the file) */}
                 <Typography variant="caption" color="text.disabled" sx={{ fontFamily: 'monospace', fontSize: '0.65rem', flexShrink: 0 }}>
-                    #{item.position}
+                    #{item.position}{item.line ? ` · ${item.line}:${item.column}` : ''}
                 </Typography>
             </Box>
 
@@ -503,7 +1432,31 @@ function _SegmentNode({ item, depth = 0 }) {
 
 // ===== Details Tab (Validation + Compliance) =====
 
-function _ValidationRow({ detail }) {
+/**
+ * Raw segment text with the characters a finding refers to highlighted.
+ * Location offsets are file offsets; the segment's own offset maps them
+ * into its content.
+ * @private
+ */
+function _SourceExcerpt({ segment, location, color }) {
+    const content = segment?.content || '';
+    if (!content || !Number.isInteger(segment.offset)) return null;
+    const start = location.offset - segment.offset;
+    if (start < 0 || start > content.length) return null;
+
+    const end = Math.min(start + Math.max(location.length || 0, 0), content.length);
+    return (
+        <Typography component="div" variant="caption" sx={{ fontFamily: 'monospace', fontSize: '0.65rem', color: 'text.disabled', wordBreak: 'break-all', mt: 0.2 }}>
+            {content.slice(0, start)}
+            <Box component="mark" sx={{ bgcolor: (theme) => alpha(theme.palette[color].main, 0.25), color: 'text.primary', borderBottom: 2, borderColor: `${color}.main`, px: end === start ? 0.25 : 0 }}>
+                {content.slice(start, end)}
+            </Box>
+            {content.slice(end)}
+        </Typography>
+    );
+}
+
+function _ValidationRow({ detail, segment }) {
     const severityConfig = {
         error: { color: 'error.main', icon: 'mdi:alert-circle', bgcolor: 'error' },
         warning: { color: 'warning.main', icon: 'mdi:alert', bgcolor: 'warning' },
@@ -524,10 +1477,18 @@ function _ValidationRow({ detail }) {
                             {detail.code}
                         </Typography>
                     )}
+                    {detail.location && (
+                        <Typography variant="caption" color="text.disabled" sx={{ fontFamily: 'monospace', fontSize: '0.65rem', ml: 'auto' }}>
+                            line {detail.location.line}, col {detail.location.column}
+                        </Typography>
+                    )}
                 </Box>
                 <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.2 }}>
                     {detail.error || detail.warning || '—'}
                 </Typography>
+                {detail.location && segment && (
+                    <_SourceExcerpt segment={segment} location={detail.location} color={config.bgcolor} />
+                )}
                 {detail.suggestion && (
                     <Typography variant="caption" color="success.main" sx={{ display: 'block', fontStyle: 'italic', fontSize: '0.65rem' }}>
                         {detail.suggestion}
@@ -541,6 +1502,7 @@ function _ValidationRow({ detail }) {
 function _DetailsTab({ analysis }) {
     const { validation, compliance } = analysis;
     const details = validation?.details || [];
+    const segmentsByPosition = new Map((analysis.segmentDetails || []).map(sd => [sd.position, sd]));
     const hasMissingSegments = compliance?.missingSegments?.length > 0;
     const hasUnexpectedSegments = compliance?.unexpectedSegments?.length > 0;
     const hasMandatoryMissing = compliance?.mandatoryFieldsMissing?.length > 0;
@@ -563,7 +1525,7 @@ function _DetailsTab({ analysis }) {
             {details.length > 0 && (
                 <Box sx={{ maxHeight: 250, overflowY: 'auto', border: 1, borderColor: 'divider', borderRadius: 1, py: 0.5 }}>
                     {details.map((detail, index) => (
-                        <_ValidationRow key={index} detail={detail} />
+                        <_ValidationRow key={index} detail={detail} segment={segmentsByPosition.get(detail.position)} />
                     ))}
                 </Box>
             )}
@@ -618,10 +1580,49 @@ function _DetailsTab({ analysis }) {
 
 // ===== Segment Tree Tab =====
 
-function _SegmentTreeTab({ analysis }) {
-    const tree = _buildSegmentTree(analysis.segmentDetails, analysis.segments);
+function _SegmentTreeTab({ analysis, sessionId }) {
+    // Large uploads keep only a preview inline; the full list is paged from the API
+    const inlineCount = analysis.segmentDetails?.length || 0;
+    const paged = Boolean(sessionId && analysis.processing?.pagedSegments && analysis.segmentCount > inlineCount);
+    const pageSize = analysis.processing?.segmentPageSize || 1000;
+    const totalPages = Math.ceil((analysis.segmentCount || 0) / pageSize);
+
+    const [page, setPage] = useState(1);
+    const [pageSegments, setPageSegments] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!paged) return;
+        let cancelled = false;
 
-    if (tree.length === 0) {
+        const loadPage = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const res = await fetch(`/api/chats/${sessionId}/segments?page=${page}&limit=${pageSize}`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error(`Loading segments failed (${res.status})`);
+                const data = await res.json();
+                if (!cancelled) setPageSegments(data.segments || []);
+            } catch (err) {
+                console.error('[Segments] page load failed:', err);
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        loadPage();
+
+        return () => { cancelled = true; };
+    }, [paged, sessionId, page, pageSize]);
+
+    const tree = paged
+        ? _buildSegmentTree(pageSegments || [], null)
+        : _buildSegmentTree(analysis.segmentDetails, analysis.segments);
+
+    if (!paged && tree.length === 0) {
         return (
             <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
                 No segment data available.
@@ -630,29 +1631,93 @@ function _SegmentTreeTab({ analysis }) {
     }
 
     return (
-        <Box sx={{
-            maxHeight: 400,
-            overflowY: 'auto',
-            border: 1,
-            borderColor: 'divider',
-            borderRadius: 1,
-            py: 0.5,
-        }}>
-            {tree.map((item, index) => (
-                <_SegmentNode key={index} item={item} depth={0} />
-            ))}
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+            {paged && (
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                    <Typography variant="caption" color="text.secondary">
+                        Segments {((page - 1) * pageSize + 1).toLocaleString()}–{Math.min(page * pageSize, analysis.segmentCount).toLocaleString()} of {analysis.segmentCount.toLocaleString()}
+                    </Typography>
+                    <Pagination
+                        size="small"
+                        count={totalPages}
+                        page={page}
+                        onChange={(_, value) => setPage(value)}
+                        siblingCount={1}
+                    />
+                </Box>
+            )}
+            {error && (
+                <Typography variant="caption" color="error.main">
+                    {error}
+                </Typography>
+            )}
+            <Box sx={{
+                maxHeight: 400,
+                overflowY: 'auto',
+                border: 1,
+                borderColor: 'divider',
+                borderRadius: 1,
+                py: 0.5,
+            }}>
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                        <CircularProgress size={20} />
+                    </Box>
+                ) : (
+                    tree.map((item, index) => (
+                        <_SegmentNode key={index} item={item} depth={0} />
+                    ))
+                )}
+            </Box>
         </Box>
     );
 }
 
+// ===== Downloads =====
+
+function _downloadText(fileName, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function _fileReference(analysis) {
+    return (analysis.interchange?.controlReference || 'interchange').replace(/[^\w.-]/g, '_');
+}
+
+function _downloadContrl(analysis) {
+    try {
+        const contrl = buildContrl(analysis);
+        _downloadText(`CONTRL_${_fileReference(analysis)}.edi`, contrl.edifact);
+    } catch (err) {
+        console.error('[CONTRL] generation failed:', err);
+    }
+}
+
+function _downloadAperak(analysis) {
+    try {
+        const aperak = buildAperak(analysis.applicationErrors);
+        _downloadText(`APERAK_${_fileReference(analysis)}.edi`, aperak.edifact);
+    } catch (err) {
+        console.error('[APERAK] generation failed:', err);
+    }
+}
+
 // ===== Main Panel =====
 
-function EdifactAnalysisPanel({ analysis }) {
+function EdifactAnalysisPanel({ analysis, sessionId }) {
     const [activeTab, setActiveTab] = useState(0);
     const [collapsed, setCollapsed] = useState(true);
+    const [selectedMessage, setSelectedMessage] = useState(-1);
 
     if (!analysis || analysis.status === 'pending') return null;
 
+    const messages = analysis.messages || [];
+    const view = _messageView(analysis, selectedMessage);
+
     return (
         <Paper
             variant="outlined"
@@ -693,6 +1758,14 @@ function EdifactAnalysisPanel({ analysis }) {
                     label={`${analysis.segmentCount || 0} Seg`}
                     sx={{ height: 20, fontSize: '0.7rem' }}
                 />
+                {messages.length > 1 && (
+                    <Chip
+                        size="small"
+                        variant="outlined"
+                        label={`${messages.length} Msg`}
+                        sx={{ height: 20, fontSize: '0.7rem' }}
+                    />
+                )}
                 {analysis.messageHeader?.messageType && (
                     <Chip
                         size="small"
@@ -702,17 +1775,74 @@ function EdifactAnalysisPanel({ analysis }) {
                         sx={{ height: 20, fontSize: '0.7rem' }}
                     />
                 )}
+                {analysis.resends?.possibleResend && (
+                    <Tooltip title="Same interchange or documents as an earlier upload">
+                        <Chip
+                            size="small"
+                            variant="outlined"
+                            color="warning"
+                            label="Re-send?"
+                            sx={{ height: 20, fontSize: '0.7rem' }}
+                        />
+                    </Tooltip>
+                )}
+                {analysis.partner && (
+                    <Tooltip title={`Validated with the trading partner profile of ${analysis.partner.name}`}>
+                        <Chip
+                            size="small"
+                            variant="outlined"
+                            label={analysis.partner.name}
+                            sx={{ height: 20, fontSize: '0.7rem', maxWidth: 140 }}
+                        />
+                    </Tooltip>
+                )}
                 <_StatusChip
                     status={analysis.status}
                     errorCount={analysis.validation?.errorCount}
                     warningCount={analysis.validation?.warningCount}
                 />
+                {analysis.interchange && !analysis.interchange.interactive && (
+                    <Tooltip title="Download CONTRL report">
+                        <IconButton
+                            size="small"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                _downloadContrl(analysis);
+                            }}
+                            sx={{ p: 0.25 }}
+                        >
+                            <Iconify icon="mdi:file-download-outline" sx={{ fontSize: 18 }} />
+                        </IconButton>
+                    </Tooltip>
+                )}
+                {analysis.applicationErrors?.messages?.length > 0 && (
+                    <Tooltip title={`Download APERAK (${analysis.applicationErrors.messageCount} message${analysis.applicationErrors.messageCount === 1 ? '' : 's'} with business errors)`}>
+                        <IconButton
+                            size="small"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                _downloadAperak(analysis);
+                            }}
+                            sx={{ p: 0.25 }}
+                        >
+                            <Iconify icon="mdi:file-alert-outline" sx={{ fontSize: 18, color: 'warning.main' }} />
+                        </IconButton>
+                    </Tooltip>
+                )}
             </Box>
 
             {/* Collapsible body */}
             <Collapse in={!collapsed}>
                 <Divider />
                 <Box sx={{ px: 1.5, pb: 1.5 }}>
+                    <_ResendNotice resends={analysis.resends} />
+                    {messages.length > 1 && (
+                        <_MessagePicker
+                            messages={messages}
+                            value={selectedMessage}
+                            onChange={setSelectedMessage}
+                        />
+                    )}
                     <Tabs
                         value={activeTab}
                         onChange={(_, v) => setActiveTab(v)}
@@ -738,18 +1868,54 @@ function EdifactAnalysisPanel({ analysis }) {
                             icon={<Iconify icon="mdi:clipboard-text-search-outline" width={16} />}
                             iconPosition="start"
                         />
+                        <Tab
+                            label={`Line Items${view.businessData?.lineItems?.length ? ` (${view.businessData.lineItems.length})` : ''}`}
+                            icon={<Iconify icon="mdi:table-large" width={16} />}
+                            iconPosition="start"
+                        />
+                        <Tab
+                            label="Documents"
+                            icon={<Iconify icon="mdi:file-compare" width={16} />}
+                            iconPosition="start"
+                        />
+                        <Tab
+                            label="Compare"
+                            icon={<Iconify icon="mdi:vector-difference" width={16} />}
+                            iconPosition="start"
+                        />
+                        <Tab
+                            label="Envelope"
+                            icon={<Iconify icon="mdi:email-multiple-outline" width={16} />}
+                            iconPosition="start"
+                        />
                     </Tabs>
 
                     <_TabPanel value={activeTab} index={0}>
-                        <_OverviewTab analysis={analysis} />
+                        <_OverviewTab analysis={view} />
                     </_TabPanel>
 
                     <_TabPanel value={activeTab} index={1}>
-                        <_SegmentTreeTab analysis={analysis} />
+                        <_SegmentTreeTab analysis={analysis} sessionId={sessionId} />
                     </_TabPanel>
 
                     <_TabPanel value={activeTab} index={2}>
-                        <_DetailsTab analysis={analysis} />
+                        <_DetailsTab analysis={view} />
+                    </_TabPanel>
+
+                    <_TabPanel value={activeTab} index={3}>
+                        <_LineItemsTab analysis={view} />
+                    </_TabPanel>
+
+                    <_TabPanel value={activeTab} index={4}>
+                        <_DocumentMatchTab sessionId={sessionId} />
+                    </_TabPanel>
+
+                    <_TabPanel value={activeTab} index={5}>
+                        <_CompareTab sessionId={sessionId} />
+                    </_TabPanel>
+
+                    <_TabPanel value={activeTab} index={6}>
+                        <_EnvelopeTab analysis={analysis} sessionId={sessionId} selectedMessage={selectedMessage} />
                     </_TabPanel>
                 </Box>
             </Collapse>
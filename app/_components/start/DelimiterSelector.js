@@ -0,0 +1,115 @@
+"use client";
+
+import { Autocomplete, Box, TextField, Typography } from '@mui/material';
+import { useState } from 'react';
+import SelectChevron from '@/app/_components/utils/SelectChevron';
+
+const STANDARD = { componentSeparator: ':', fieldSeparator: '+', decimalNotation: '.', escapeCharacter: '?', segmentTerminator: "'" };
+
+const DELIMITER_OPTIONS = [
+    { label: 'Detect automatically', value: 'auto', description: 'UNA service string, otherwise inferred from segment tags and UNB', delimiters: null },
+    { label: "Standard  : + . ? '", value: 'standard', description: 'ISO 9735 defaults', delimiters: STANDARD },
+    { label: 'Tilde terminator  : + . ? ~', value: 'tilde', description: 'Segments end with ~', delimiters: { ...STANDARD, segmentTerminator: '~' } },
+    { label: 'Asterisk separator  : * . ? ~', value: 'asterisk', description: 'Data elements separated by *, segments end with ~', delimiters: { ...STANDARD, fieldSeparator: '*', segmentTerminator: '~' } },
+    { label: 'Custom', value: 'custom', description: 'Enter the service characters yourself', delimiters: null },
+];
+
+const CUSTOM_FIELDS = [
+    { key: 'componentSeparator', label: 'Component' },
+    { key: 'fieldSeparator', label: 'Element' },
+    { key: 'decimalNotation', label: 'Decimal' },
+    { key: 'escapeCharacter', label: 'Release' },
+    { key: 'segmentTerminator', label: 'Terminator' },
+];
+
+/**
+ * DelimiterSelector Component
+ *
+ * Dropdown for overriding the EDIFACT service characters of files without
+ * (or with a wrong) UNA service string. "Detect automatically" sends no override.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - Chosen delimiters ({ componentSeparator, fieldSeparator, ... }) or null
+ * @param {Function} props.onChange - Callback with the chosen delimiters or null
+ */
+function DelimiterSelector({ value, onChange }) {
+    const [option, setOption] = useState(DELIMITER_OPTIONS[0]);
+    const [custom, setCustom] = useState(STANDARD);
+
+    const handleOptionChange = (event, newValue) => {
+        const next = newValue || DELIMITER_OPTIONS[0];
+        setOption(next);
+        onChange(next.value === 'custom' ? custom : next.delimiters);
+    };
+
+    const handleCustomChange = (key) => (event) => {
+        const next = { ...custom, [key]: event.target.value.slice(-1) };
+        setCustom(next);
+        onChange(next);
+    };
+
+    const service = [custom.componentSeparator, custom.fieldSeparator, custom.escapeCharacter, custom.segmentTerminator];
+    const customError = option.value === 'custom' && (service.some(c => !c) || new Set(service).size !== service.length);
+
+    return (
+        <Box>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+                Delimiters (optional)
+            </Typography>
+
+            <Autocomplete
+                options={DELIMITER_OPTIONS}
+                getOptionLabel={(option) => option.label}
+                isOptionEqualToValue={(option, selected) => option.value === selected.value}
+                value={option}
+                onChange={handleOptionChange}
+                disableClearable
+                sx={{ minWidth: 300 }}
+                slotProps={{
+                    popupIndicator: {
+                        component: SelectChevron
+                    }
+                }}
+                renderInput={(params) => (
+                    <TextField
+                        {...params}
+                        placeholder="Select delimiters..."
+                    />
+                )}
+                renderOption={(props, option) => (
+                    <Box component="li" {...props} key={option.value}>
+                        <Box>
+                            <Typography variant="body2">{option.label}</Typography>
+                            <Typography variant="caption" color="textSecondary">
+                                {option.description}
+                            </Typography>
+                        </Box>
+                    </Box>
+                )}
+            />
+
+            {option.value === 'custom' && (
+                <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 1, mt: 1 }}>
+                    {CUSTOM_FIELDS.map(field => (
+                        <TextField
+                            key={field.key}
+                            size="small"
+                            label={field.label}
+                            value={value?.[field.key] ?? custom[field.key]}
+                            onChange={handleCustomChange(field.key)}
+                            error={customError}
+                            slotProps={{ htmlInput: { maxLength: 2, style: { fontFamily: 'monospace', textAlign: 'center' } } }}
+                        />
+                    ))}
+                </Box>
+            )}
+            {customError && (
+                <Typography variant="caption" color="error">
+                    Component, element, release and terminator must be single, distinct characters
+                </Typography>
+            )}
+        </Box>
+    );
+}
+
+export default DelimiterSelector;
@@ -4,45 +4,10 @@ import { Autocomplete, Box, TextField, Typography } from '@mui/material';
 import SelectChevron from '@/app/_components/utils/SelectChevron';
 
 const VERSION_OPTIONS = {
+    // Bundled directories only (SUPPORTED_DIRECTORIES in _modules/edifact/directory)
     'un-edifact': [
         { label: 'D96A', value: 'd96a', year: '1996' },
-        { label: 'D96B', value: 'd96b', year: '1996' },
-        { label: 'D97A', value: 'd97a', year: '1997' },
-        { label: 'D97B', value: 'd97b', year: '1997' },
-        { label: 'D98A', value: 'd98a', year: '1998' },
-        { label: 'D98B', value: 'd98b', year: '1998' },
-        { label: 'D99A', value: 'd99a', year: '1999' },
-        { label: 'D99B', value: 'd99b', year: '1999' },
-        { label: 'D00A', value: 'd00a', year: '2000' },
-        { label: 'D00B', value: 'd00b', year: '2000' },
-        { label: 'D01A', value: 'd01a', year: '2001' },
         { label: 'D01B', value: 'd01b', year: '2001' },
-        { label: 'D02A', value: 'd02a', year: '2002' },
-        { label: 'D02B', value: 'd02b', year: '2002' },
-        { label: 'D03A', value: 'd03a', year: '2003' },
-        { label: 'D03B', value: 'd03b', year: '2003' },
-        { label: 'D04A', value: 'd04a', year: '2004' },
-        { label: 'D04B', value: 'd04b', year: '2004' },
-        { label: 'D07A', value: 'd07a', year: '2007' },
-        { label: 'D07B', value: 'd07b', year: '2007' },
-        { label: 'D08A', value: 'd08a', year: '2008' },
-        { label: 'D08B', value: 'd08b', year: '2008' },
-        { label: 'D09A', value: 'd09a', year: '2009' },
-        { label: 'D09B', value: 'd09b', year: '2009' },
-        { label: 'D10A', value: 'd10a', year: '2010' },
-        { label: 'D10B', value: 'd10b', year: '2010' },
-        { label: 'D12A', value: 'd12a', year: '2012' },
-        { label: 'D12B', value: 'd12b', year: '2012' },
-        { label: 'D14A', value: 'd14a', year: '2014' },
-        { label: 'D14B', value: 'd14b', year: '2014' },
-        { label: 'D16A', value: 'd16a', year: '2016' },
-        { label: 'D16B', value: 'd16b', year: '2016' },
-        { label: 'D18A', value: 'd18a', year: '2018' },
-        { label: 'D18B', value: 'd18b', year: '2018' },
-        { label: 'D20A', value: 'd20a', year: '2020' },
-        { label: 'D20B', value: 'd20b', year: '2020' },
-        { label: 'D22A', value: 'd22a', year: '2022' },
-        { label: 'D22B', value: 'd22b', year: '2022' },
     ],
     'ansi-x12': [
         { label: '3010', value: '3010', year: '1989' },
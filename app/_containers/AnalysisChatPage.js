@@ -117,7 +117,10 @@ function AnalysisChatPage({ analysisChat }) {
                             }}
                         >
                             {/* Session-level EDIFACT Analysis Panel */}
-                            <EdifactAnalysisPanel analysis={analysisChat?.domainContext?.edifact?._analysis} />
+                            <EdifactAnalysisPanel
+                                analysis={analysisChat?.domainContext?.edifact?._analysis}
+                                sessionId={sessionId}
+                            />
 
                             {messages.map((message, index) => (
                                 <ChatMessage key={index} message={message} sessionId={sessionId} />
@@ -21,6 +21,7 @@ import StandardFamilySelector from '@/app/_components/start/StandardFamilySelect
 import SubsetSelector from '@/app/_components/start/SubsetSelector';
 import VersionReleaseSelector from '@/app/_components/start/VersionReleaseSelector';
 import MessageTypeSelector from '@/app/_components/start/MessageTypeSelector';
+import DelimiterSelector from '@/app/_components/start/DelimiterSelector';
 import { useUser } from '@/app/_contexts/UserContext';
 import { useThemeConfig } from "@/app/_contexts/ThemeContext";
 import { useSnackbar } from '@/app/_contexts/SnackbarContext';
@@ -33,6 +34,7 @@ function StartContainer() {
     const [selectedSubset, setSelectedSubset] = useState(null);
     const [selectedVersion, setSelectedVersion] = useState(null);
     const [selectedMessageType, setSelectedMessageType] = useState(null);
+    const [selectedDelimiters, setSelectedDelimiters] = useState(null); // null = UNA or detection
     const [inputTab, setInputTab] = useState(0); // 0 = Upload, 1 = Custom
     const [inputFile, setInputFile] = useState(null); // File or Blob provided by child component
     const [isLoading, setIsLoading] = useState(false);
@@ -47,7 +49,6 @@ function StartContainer() {
 
             const formData = new FormData();
             if (!inputFile) throw new Error('Please provide a EDIFACT input first.');
-            formData.append('file', inputFile);
             if (selectedStandardFamily?.value) {
                 formData.append('standardFamily', selectedStandardFamily.value);
             }
@@ -60,9 +61,14 @@ function StartContainer() {
             if (selectedMessageType?.value) {
                 formData.append('messageType', selectedMessageType.value);
             }
+            if (selectedDelimiters) {
+                formData.append('delimiters', JSON.stringify(selectedDelimiters));
+            }
 
             //transfer theme background setting to session for consistent theming in case user starts as guest and later logs in
             formData.append('backgroundMode', themeBackground);
+            // File goes last: the server reads the form fields before the upload stream starts
+            formData.append('file', inputFile);
             const res = await fetch('/api/generate/session', {
                 method: 'POST',
                 credentials: 'include',
@@ -165,6 +171,13 @@ function StartContainer() {
                             <StartSessionFromCustom onChange={handleInputChange} />
                         )}
 
+                        <Box sx={{ p: 1 }}>
+                            <DelimiterSelector
+                                value={selectedDelimiters}
+                                onChange={setSelectedDelimiters}
+                            />
+                        </Box>
+
                         <Box sx={{ display: 'flex', gap: 1, mt: 0, p: 1 }}>
                             <Button
                                 variant="contained"
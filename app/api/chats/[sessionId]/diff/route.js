@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { chatRepo } from '@/lib/db/repositories';
+import { readWorkspaceFile } from '@/lib/utils/workspaceDocuments';
+import { parseRawEdifact } from '@/_modules/edifact/parser';
+import { numericOptions } from '@/_modules/edifact/numeric';
+import { decodeEdifactBuffer } from '@/_modules/edifact/charset';
+import { diffInterchanges } from '@/_modules/edifact/semanticDiff';
+
+// Side-by-side rows of larger files are too large for the browser
+const MAX_DIFF_FILE_SIZE = 5 * 1024 * 1024;
+const TOO_LARGE = `Files larger than ${MAX_DIFF_FILE_SIZE / 1024 / 1024} MB cannot be compared side by side`;
+
+function _parse(text) {
+    const { segments, delimiters } = parseRawEdifact(text);
+    const unb = segments.find(s => s.tag === 'UNB' || s.tag === 'UIB');
+    return { segments, numeric: numericOptions(delimiters, unb) };
+}
+
+/**
+ * POST /api/chats/[sessionId]/diff
+ * Semantic diff of the chat's file against another version (side-by-side view)
+ *
+ * Multipart Fields:
+ * - file: changed version to compare (or compareTo)
+ * - compareTo: id of another file of this chat as changed version
+ * - base: id of the original file (default: the chat's first upload)
+ * - ignoreEnvelope: 'false' to compare control references and dates too
+ */
+export async function POST(request, { params }) {
+    try {
+        const { sessionId } = await params;
+
+        const userId = request.headers.get('x-user-id');
+        const token = request.headers.get('x-auth-token');
+        const authenticatedUser = await getAuthenticatedUser(userId, token);
+        if (!authenticatedUser) {
+            return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+        }
+
+        const chat = await chatRepo.findByIdAndOwner(sessionId, authenticatedUser.id);
+        if (!chat) {
+            return NextResponse.json({ error: 'Chat not found or access denied' }, { status: 404 });
+        }
+
+        const form = await request.formData();
+        const upload = form.get('file');
+        const compareTo = form.get('compareTo');
+
+        // Stored files are checked by their recorded size before they are read
+        const base = await readWorkspaceFile(chat.id, form.get('base') || undefined, { maxSize: MAX_DIFF_FILE_SIZE });
+        if (!base) {
+            return NextResponse.json({ ok: false, error: 'Original file not found in this chat' }, { status: 404 });
+        }
+        if (base.tooLarge) {
+            return NextResponse.json({ ok: false, error: TOO_LARGE }, { status: 413 });
+        }
+
+        let changed;
+        if (upload && typeof upload.arrayBuffer === 'function') {
+            if (upload.size > MAX_DIFF_FILE_SIZE) {
+                return NextResponse.json({ ok: false, error: `File is larger than ${MAX_DIFF_FILE_SIZE / 1024 / 1024} MB` }, { status: 413 });
+            }
+            const { text } = decodeEdifactBuffer(Buffer.from(await upload.arrayBuffer()));
+            changed = { name: upload.name || 'upload', text };
+        } else if (compareTo) {
+            const stored = await readWorkspaceFile(chat.id, compareTo, { maxSize: MAX_DIFF_FILE_SIZE });
+            if (!stored) {
+                return NextResponse.json({ ok: false, error: 'File to compare not found in this chat' }, { status: 404 });
+            }
+            if (stored.tooLarge) {
+                return NextResponse.json({ ok: false, error: TOO_LARGE }, { status: 413 });
+            }
+            changed = { name: stored.file.originalName, text: stored.text };
+        } else {
+            return NextResponse.json({ ok: false, error: 'No file provided' }, { status: 400 });
+        }
+
+        if (changed.text.length > MAX_DIFF_FILE_SIZE) {
+            return NextResponse.json({ ok: false, error: TOO_LARGE }, { status: 413 });
+        }
+
+        const left = _parse(base.text);
+        const right = _parse(changed.text);
+        const { messages, summary } = diffInterchanges(left.segments, right.segments, {
+            leftNumeric: left.numeric,
+            rightNumeric: right.numeric,
+            ignoreEnvelope: form.get('ignoreEnvelope') !== 'false',
+            rows: true
+        });
+
+        return NextResponse.json({
+            ok: true,
+            sessionId,
+            left: { fileId: base.file.id, name: base.file.originalName },
+            right: { name: changed.name },
+            summary,
+            messages
+        });
+
+    } catch (error) {
+        console.error('[API /chats/:sessionId/diff] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to compare files' }, { status: 500 });
+    }
+}
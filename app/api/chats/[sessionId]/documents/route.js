@@ -0,0 +1,128 @@
+import { NextResponse } from 'next/server';
+import { writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { chatRepo, fileRepo } from '@/lib/db/repositories';
+import { MAX_MATCH_FILE_SIZE, describeBuffer, matchWorkspaceDocuments } from '@/lib/utils/workspaceDocuments';
+import { registerBuffer } from '@/lib/utils/resendRegistry';
+import { isAllowedUpload } from '@/lib/utils/uploadPolicy';
+
+const UPLOAD_DIR = path.join(process.cwd(), 'uploads');
+
+async function _authorizedChat(request, sessionId) {
+    const userId = request.headers.get('x-user-id');
+    const token = request.headers.get('x-auth-token');
+    const authenticatedUser = await getAuthenticatedUser(userId, token);
+    if (!authenticatedUser) {
+        return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+    }
+
+    const chat = await chatRepo.findByIdAndOwner(sessionId, authenticatedUser.id);
+    if (!chat) {
+        return { error: NextResponse.json({ error: 'Chat not found or access denied' }, { status: 404 }) };
+    }
+    return { chat, authenticatedUser };
+}
+
+function _tolerance(value) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * GET /api/chats/[sessionId]/documents
+ * Three-way match report (ORDERS / DESADV / INVOIC) over all files of the chat
+ *
+ * Query Params:
+ * - quantityTolerance: accepted quantity difference (default 0)
+ * - priceTolerance: accepted unit price difference (default 0.01)
+ */
+export async function GET(request, { params }) {
+    try {
+        const { sessionId } = await params;
+        const { searchParams } = new URL(request.url);
+
+        const { error } = await _authorizedChat(request, sessionId);
+        if (error) return error;
+
+        const result = await matchWorkspaceDocuments(sessionId, {
+            quantityTolerance: _tolerance(searchParams.get('quantityTolerance')),
+            priceTolerance: _tolerance(searchParams.get('priceTolerance'))
+        });
+        return NextResponse.json({ sessionId, ...result });
+
+    } catch (error) {
+        console.error('[API /chats/:sessionId/documents] Error:', error);
+        return NextResponse.json({ error: 'Failed to match documents' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/chats/[sessionId]/documents
+ * Add an order, despatch advice or invoice to the chat (multipart field "file")
+ * and return the updated match report (with possible re-sends of earlier uploads)
+ */
+export async function POST(request, { params }) {
+    try {
+        const { sessionId } = await params;
+
+        const { chat, authenticatedUser, error } = await _authorizedChat(request, sessionId);
+        if (error) return error;
+
+        const form = await request.formData();
+        const upload = form.get('file');
+        if (!upload || typeof upload.arrayBuffer !== 'function') {
+            return NextResponse.json({ ok: false, error: 'No file provided' }, { status: 400 });
+        }
+        if (!isAllowedUpload(upload.name, upload.type)) {
+            return NextResponse.json({ ok: false, error: 'Unsupported file type.' }, { status: 400 });
+        }
+        if (upload.size > MAX_MATCH_FILE_SIZE) {
+            return NextResponse.json({ ok: false, error: `File is larger than ${MAX_MATCH_FILE_SIZE / 1024 / 1024} MB` }, { status: 413 });
+        }
+
+        const fileId = randomUUID();
+        const originalName = upload.name || 'document.edi';
+        const buffer = Buffer.from(await upload.arrayBuffer());
+        const documents = describeBuffer(buffer, { fileId, name: originalName });
+        if (documents.length === 0) {
+            return NextResponse.json({ ok: false, error: 'No ORDERS, DESADV or INVOIC message found in the file' }, { status: 400 });
+        }
+
+        if (!existsSync(UPLOAD_DIR)) {
+            await mkdir(UPLOAD_DIR, { recursive: true });
+        }
+        const storageName = `${chat.id}-${fileId}.edi`;
+        const filePath = path.join(UPLOAD_DIR, storageName);
+        await writeFile(filePath, buffer);
+
+        await fileRepo.create({
+            id: fileId,
+            ownerId: authenticatedUser.id,
+            chatId: chat.id,
+            originalName,
+            path: filePath,
+            size: buffer.length,
+            mimetype: upload.type || 'application/octet-stream',
+            storage: 'local',
+            status: 'complete',
+            metadata: { storageName, documents },
+        });
+
+        let resends = null;
+        try {
+            resends = await registerBuffer({ ownerId: authenticatedUser.id, chatId: chat.id, fileId }, buffer);
+        } catch (err) {
+            console.error(`[API /chats/:sessionId/documents] Failed to check re-sends of ${fileId}:`, err.message);
+        }
+
+        const result = await matchWorkspaceDocuments(sessionId);
+        return NextResponse.json({ ok: true, sessionId, fileId, resends, ...result }, { status: 201 });
+
+    } catch (error) {
+        console.error('[API /chats/:sessionId/documents] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to add document' }, { status: 500 });
+    }
+}
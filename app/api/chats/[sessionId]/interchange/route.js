@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { chatRepo } from '@/lib/db/repositories';
+import { readWorkspaceFile } from '@/lib/utils/workspaceDocuments';
+import { decodeEdifactBuffer } from '@/_modules/edifact/charset';
+import { splitInterchange, mergeInterchanges, reenvelopeInterchange } from '@/_modules/edifact/interchange';
+
+// Results travel back as JSON text for download
+const MAX_INTERCHANGE_FILE_SIZE = 20 * 1024 * 1024;
+
+const ACTIONS = ['split', 'merge', 'reenvelope'];
+
+function _fileName(value) {
+    return `${String(value || 'interchange').replace(/[^\w.-]/g, '_')}.edi`;
+}
+
+function _optional(form, key) {
+    const value = form.get(key);
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+function _run(action, base, others, form) {
+    const controlReference = _optional(form, 'controlReference');
+
+    if (action === 'split') {
+        const { parts, messageCount } = splitInterchange(base.text, {
+            messages: _optional(form, 'messages')?.split(',').map(m => m.trim()).filter(Boolean),
+            perMessage: form.get('perMessage') !== 'false',
+            controlReference: controlReference || 'regenerate'
+        });
+        return {
+            messageCount,
+            files: parts.map(part => ({ name: _fileName(part.name), controlReference: part.controlReference, edifact: part.edifact }))
+        };
+    }
+
+    if (action === 'merge') {
+        if (others.length === 0) throw new Error('No files to merge provided');
+        const result = mergeInterchanges([base.text, ...others.map(o => o.text)], {
+            controlReference: controlReference || 'keep',
+            renumberMessages: _optional(form, 'renumberMessages') || 'auto'
+        });
+        return {
+            messageCount: result.messageCount,
+            renumbered: result.renumbered,
+            warnings: result.warnings,
+            files: [{ name: _fileName(`MERGED_${result.controlReference}`), controlReference: result.controlReference, edifact: result.edifact }]
+        };
+    }
+
+    const testIndicator = _optional(form, 'testIndicator');
+    const result = reenvelopeInterchange(base.text, {
+        sender: _optional(form, 'sender'),
+        senderQualifier: _optional(form, 'senderQualifier'),
+        receiver: _optional(form, 'receiver'),
+        receiverQualifier: _optional(form, 'receiverQualifier'),
+        controlReference: controlReference || 'regenerate',
+        testIndicator: testIndicator === undefined ? undefined : testIndicator === 'true'
+    });
+    return {
+        messageCount: result.messageCount,
+        changes: result.changes,
+        files: [{ name: _fileName(result.controlReference), controlReference: result.controlReference, edifact: result.edifact }]
+    };
+}
+
+/**
+ * POST /api/chats/[sessionId]/interchange
+ * Split, merge or re-envelope the chat's interchange (results as downloadable files)
+ *
+ * Multipart Fields:
+ * - action: 'split' | 'merge' | 'reenvelope'
+ * - base: id of the source file (default: the chat's first upload)
+ * - controlReference: 'keep', 'regenerate' or an explicit UNB reference
+ * - split:      messages (comma separated references, document numbers or positions), perMessage ('false' = one file)
+ * - merge:      file (one or more uploads) and/or with (ids of files of this chat), renumberMessages
+ * - reenvelope: sender, senderQualifier, receiver, receiverQualifier, testIndicator ('true' | 'false')
+ */
+export async function POST(request, { params }) {
+    try {
+        const { sessionId } = await params;
+
+        const userId = request.headers.get('x-user-id');
+        const token = request.headers.get('x-auth-token');
+        const authenticatedUser = await getAuthenticatedUser(userId, token);
+        if (!authenticatedUser) {
+            return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+        }
+
+        const chat = await chatRepo.findByIdAndOwner(sessionId, authenticatedUser.id);
+        if (!chat) {
+            return NextResponse.json({ error: 'Chat not found or access denied' }, { status: 404 });
+        }
+
+        const form = await request.formData();
+        const action = form.get('action');
+        if (!ACTIONS.includes(action)) {
+            return NextResponse.json({ ok: false, error: `Unknown action, expected one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+        }
+
+        const base = await readWorkspaceFile(chat.id, _optional(form, 'base'));
+        if (!base) {
+            return NextResponse.json({ ok: false, error: 'Source file not found in this chat' }, { status: 404 });
+        }
+        if (base.file.size > MAX_INTERCHANGE_FILE_SIZE) {
+            return NextResponse.json({ ok: false, error: `Files larger than ${MAX_INTERCHANGE_FILE_SIZE / 1024 / 1024} MB cannot be rebuilt here` }, { status: 413 });
+        }
+
+        const others = [];
+        if (action === 'merge') {
+            for (const id of form.getAll('with')) {
+                const stored = await readWorkspaceFile(chat.id, id);
+                if (!stored) {
+                    return NextResponse.json({ ok: false, error: `File ${id} not found in this chat` }, { status: 404 });
+                }
+                others.push({ name: stored.file.originalName, text: stored.text });
+            }
+            for (const upload of form.getAll('file')) {
+                if (typeof upload?.arrayBuffer !== 'function') continue;
+                if (upload.size > MAX_INTERCHANGE_FILE_SIZE) {
+                    return NextResponse.json({ ok: false, error: `${upload.name}: file is larger than ${MAX_INTERCHANGE_FILE_SIZE / 1024 / 1024} MB` }, { status: 413 });
+                }
+                const { text } = decodeEdifactBuffer(Buffer.from(await upload.arrayBuffer()));
+                others.push({ name: upload.name || 'upload', text });
+            }
+        }
+
+        let result;
+        try {
+            result = _run(action, base, others, form);
+        } catch (err) {
+            return NextResponse.json({ ok: false, error: err.message }, { status: 400 });
+        }
+
+        return NextResponse.json({
+            ok: true,
+            sessionId,
+            action,
+            source: { fileId: base.file.id, name: base.file.originalName },
+            ...result
+        });
+
+    } catch (error) {
+        console.error('[API /chats/:sessionId/interchange] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to rebuild the interchange' }, { status: 500 });
+    }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { chatRepo, segmentRepo } from '@/lib/db/repositories';
+
+// Keeps the row offset ((page - 1) * limit) within a 32-bit integer
+const MAX_PAGE = 1000000;
+
+/**
+ * Integer query parameter clamped to [min, max], fallback when missing or not a number
+ */
+function _intParam(value, fallback, min, max) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+}
+
+/**
+ * GET /api/chats/[sessionId]/segments
+ * Page through the full parsed segment list of an uploaded EDIFACT file
+ *
+ * Query Params:
+ * - limit: segments per page (default 500, 1..2000)
+ * - page: page number (default 1, 1..1000000)
+ * - tag: only segments with this tag (e.g. LIN)
+ * - message: only segments of this message index (0-based)
+ */
+export async function GET(request, { params }) {
+    try {
+        const { sessionId } = await params;
+        const { searchParams } = new URL(request.url);
+        const page = _intParam(searchParams.get('page'), 1, 1, MAX_PAGE);
+        const pageSize = _intParam(searchParams.get('limit'), 500, 1, 2000);
+        const tag = (searchParams.get('tag') || '').toUpperCase() || undefined;
+        const messageParam = parseInt(searchParams.get('message'));
+        const messageIndex = Number.isInteger(messageParam) ? messageParam : undefined;
+
+        const userId = request.headers.get('x-user-id');
+        const token = request.headers.get('x-auth-token');
+        const authenticatedUser = await getAuthenticatedUser(userId, token);
+        if (!authenticatedUser) {
+            return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+        }
+
+        const chat = await chatRepo.findByIdAndOwner(sessionId, authenticatedUser.id);
+        if (!chat) {
+            return NextResponse.json({ error: 'Chat not found or access denied' }, { status: 404 });
+        }
+
+        const result = await segmentRepo.listPaginated(sessionId, page, pageSize, { tag, messageIndex });
+        return NextResponse.json({ sessionId, ...result });
+
+    } catch (error) {
+        console.error('[API /chats/:sessionId/segments] Error:', error);
+        return NextResponse.json({ error: 'Failed to load segments' }, { status: 500 });
+    }
+}
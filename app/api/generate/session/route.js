@@ -9,7 +9,10 @@ import { randomUUID } from 'crypto';
 
 import { getAuthenticatedUser, createGuestUser } from '@/lib/auth';
 import { loadDefaultSystemApiKey } from '@/lib/ai/providers/index.js';
-import { userRepo, apiKeyRepo, chatRepo, fileRepo } from '@/lib/db/repositories';
+import { userRepo, apiKeyRepo, chatRepo, fileRepo, segmentRepo, partnerRepo } from '@/lib/db/repositories';
+import { resolveDelimiters } from '@/_modules/edifact/serializer';
+import { registerAnalysis } from '@/lib/utils/resendRegistry';
+import { isAllowedUpload, MAX_UPLOAD_SIZE } from '@/lib/utils/uploadPolicy';
 
 // ==================== INITIAL SETUP ====================
 
@@ -25,9 +28,30 @@ function validateContentType(req) {
   }
 }
 
-function validateFileExtension(filename) {
-  // TODO: enforce extension whitelist
-  return true;
+function validateFileType(filename, mimetype) {
+  return isAllowedUpload(filename, mimetype);
+}
+
+const DELIMITER_KEYS = ['componentSeparator', 'fieldSeparator', 'decimalNotation', 'escapeCharacter', 'segmentTerminator'];
+
+/**
+ * Delimiter override from the start screen (JSON form field).
+ * Returns only the chosen single characters, throws when they collide.
+ */
+function parseDelimiterOverride(value) {
+  if (!value) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error('Delimiters must be a JSON object');
+  }
+  const chosen = Object.fromEntries(DELIMITER_KEYS
+    .filter(key => typeof parsed?.[key] === 'string' && parsed[key].length === 1)
+    .map(key => [key, parsed[key]]));
+  if (Object.keys(chosen).length === 0) return null;
+  resolveDelimiters(chosen, '3');
+  return chosen;
 }
 
 // ==================== HELPERS ====================
@@ -47,6 +71,15 @@ async function writeFileAtomically(stream, targetPath, sizeRef) {
   return new Promise((resolve, reject) => {
     const ws = createWriteStream(targetPath);
     stream.on('data', chunk => { sizeRef.size += chunk.length; });
+    // Busboy stops the file at limits.fileSize
+    stream.on('limit', () => {
+      const err = new Error(`File is larger than ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`);
+      err.status = 413;
+      stream.unpipe(ws);
+      stream.resume();
+      ws.destroy();
+      reject(err);
+    });
     stream.pipe(ws);
     ws.on('close', () => {
       console.log(`[API] File saved to: ${targetPath} (${sizeRef.size} bytes)`);
@@ -96,6 +129,7 @@ async function createEntities(authenticatedUser, fileInfo, edifactContext) {
       messageType: edifactContext.messageType,
       releaseVersion: edifactContext.releaseVersion,
       standardFamily: edifactContext.standardFamily,
+      delimiters: edifactContext.delimiters,
     }
   };
 
@@ -135,7 +169,7 @@ async function createEntities(authenticatedUser, fileInfo, edifactContext) {
 
 // ==================== WORKER MANAGEMENT ====================
 
-function setupWorker(newFile, chat, authenticatedUser, authToken, resolve, reject) {
+function setupWorker(newFile, chat, authenticatedUser, authToken, partners, resolve, reject) {
   const workerPath = path.resolve(process.cwd(), '_workers/edifactParser.worker.js');
   const worker = new Worker(workerPath);
   const jobId = chat.id;
@@ -148,13 +182,24 @@ function setupWorker(newFile, chat, authenticatedUser, authToken, resolve, rejec
     startedAt: new Date(),
   });
 
+  // Segment pages are persisted sequentially; 'complete' waits for the chain
+  let segmentWrites = Promise.resolve();
+
   worker.on('message', async (msg) => {
     if (msg.type === 'progress' && global.io) {
       global.io.to(`job:${jobId}`).emit('progress', {
         jobId, percent: msg.percent, message: msg.message
       });
     }
+    else if (msg.type === 'segments') {
+      segmentWrites = segmentWrites
+        .then(() => segmentRepo.createMany(jobId, msg.segments))
+        .catch((err) => {
+          console.error(`[API] Failed to store segment page for chat ${jobId}:`, err.message);
+        });
+    }
     else if (msg.type === 'complete') {
+      await segmentWrites;
       const job = jobs.get(jobId);
       if (job) {
         job.status = 'complete';
@@ -168,6 +213,18 @@ function setupWorker(newFile, chat, authenticatedUser, authToken, resolve, rejec
       }
 
       if (msg.analysis) {
+        // Flag possible re-sends of earlier uploads before the analysis is stored
+        try {
+          const resends = await registerAnalysis(
+            { ownerId: authenticatedUser.id, chatId: jobId, fileId: newFile.id },
+            msg.analysis
+          );
+          if (resends.possibleResend) {
+            console.log(`[API] Chat ${jobId}: possible re-send of ${resends.interchange.length} interchange(s), ${resends.messages.length} message(s)`);
+          }
+        } catch (registryError) {
+          console.error(`[API] Failed to check re-sends for chat ${jobId}:`, registryError.message);
+        }
         try {
           await chatRepo.setEdifactAnalysis(jobId, msg.analysis);
           console.log(`[API] Saved _analysis to chat ${jobId} (${msg.analysis.segmentCount} segments, status: ${msg.analysis.status})`);
@@ -228,6 +285,7 @@ function setupWorker(newFile, chat, authenticatedUser, authToken, resolve, rejec
     chat,
     file: newFile,
     user: userRepo.toPublicJSON(authenticatedUser),
+    partners,
   });
 
   resolve(NextResponse.json({
@@ -287,13 +345,15 @@ export async function POST(req) {
         await mkdir(UPLOAD_DIR, { recursive: true });
       }
 
-      const busboy = Busboy({ headers: Object.fromEntries(req.headers) });
+      const busboy = Busboy({ headers: Object.fromEntries(req.headers), limits: { fileSize: MAX_UPLOAD_SIZE } });
       const edifactContext = {
         standardFamily: null,
         subset: null,
         releaseVersion: null,
         messageType: null,
+        delimiters: null,
       };
+      let delimiterError = null;
 
       let backgroundMode = null;
       busboy.on('field', (field, val) => {
@@ -301,6 +361,13 @@ export async function POST(req) {
         if (field === 'subset') edifactContext.subset = val;
         if (field === 'releaseVersion') edifactContext.releaseVersion = val;
         if (field === 'messageType') edifactContext.messageType = val;
+        if (field === 'delimiters') {
+          try {
+            edifactContext.delimiters = parseDelimiterOverride(val);
+          } catch (err) {
+            delimiterError = err.message;
+          }
+        }
         if (field === 'backgroundMode') backgroundMode = val;
       });
 
@@ -320,13 +387,17 @@ export async function POST(req) {
           console.log('[API] edifactContext from form data:', edifactContext);
 
           const filename = fileInfo.filename || 'upload.edi';
-          if (!validateFileExtension(filename)) {
+          if (!validateFileType(filename, fileInfo.mimeType)) {
             file.resume();
             return resolve(NextResponse.json({
               ok: false,
               error: 'Unsupported file type.'
             }, { status: 400 }));
           }
+          if (delimiterError) {
+            file.resume();
+            return resolve(NextResponse.json({ ok: false, error: delimiterError }, { status: 400 }));
+          }
 
           const { chat, newFile, createdIds: ids } = await createEntities(
             authenticatedUser,
@@ -349,10 +420,18 @@ export async function POST(req) {
             return reject(NextResponse.json({
               ok: false,
               error: writeErr.message
-            }, { status: 500 }));
+            }, { status: writeErr.status || 500 }));
+          }
+
+          // Trading partner profiles, matched by the worker against the UNB sender/recipient
+          let partners = [];
+          try {
+            partners = await partnerRepo.findByOwner(authenticatedUser.id);
+          } catch (partnerErr) {
+            console.error('[API] Failed to load trading partner profiles:', partnerErr.message);
           }
 
-          setupWorker(newFile, chat, authenticatedUser, issuedToken, resolve, reject);
+          setupWorker(newFile, chat, authenticatedUser, issuedToken, partners, resolve, reject);
 
         } catch (err) {
           await handleManualRollback(createdIds, 'file processing error');
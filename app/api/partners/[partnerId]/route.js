@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { partnerRepo } from '@/lib/db/repositories';
+import { normalizePartnerProfile } from '@/_modules/edifact/validators/partnerProfiles';
+
+async function _ownedPartner(request, partnerId) {
+    const userId = request.headers.get('x-user-id');
+    const token = request.headers.get('x-auth-token');
+    const user = await getAuthenticatedUser(userId, token);
+    if (!user) return { response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+
+    const partner = await partnerRepo.findByIdAndOwner(partnerId, user.id);
+    if (!partner) return { response: NextResponse.json({ ok: false, error: 'Trading partner not found' }, { status: 404 }) };
+
+    return { partner };
+}
+
+/**
+ * PUT /api/partners/[partnerId]
+ * Replace the profile (JSON body as POST /api/partners)
+ */
+export async function PUT(request, { params }) {
+    try {
+        const { partnerId } = await params;
+        const { partner, response } = await _ownedPartner(request, partnerId);
+        if (response) return response;
+
+        const body = await request.json().catch(() => null);
+        if (!body || typeof body !== 'object') {
+            return NextResponse.json({ ok: false, error: 'Request body must be a JSON object' }, { status: 400 });
+        }
+
+        const profile = normalizePartnerProfile(body);
+        if (!profile) {
+            return NextResponse.json({ ok: false, error: 'sender is required' }, { status: 400 });
+        }
+
+        const updated = await partnerRepo.update(partner.id, profile);
+        return NextResponse.json({ ok: true, partner: updated });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return NextResponse.json({ ok: false, error: 'A profile for this sender and recipient already exists' }, { status: 409 });
+        }
+        console.error('[API /partners/:partnerId] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to update trading partner' }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/partners/[partnerId]
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { partnerId } = await params;
+        const { partner, response } = await _ownedPartner(request, partnerId);
+        if (response) return response;
+
+        await partnerRepo.remove(partner.id);
+        return NextResponse.json({ ok: true, partnerId: partner.id });
+    } catch (error) {
+        console.error('[API /partners/:partnerId] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to remove trading partner' }, { status: 500 });
+    }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedUser } from '@/lib/auth';
+import { partnerRepo } from '@/lib/db/repositories';
+import { normalizePartnerProfile } from '@/_modules/edifact/validators/partnerProfiles';
+
+/**
+ * GET /api/partners
+ * Trading partner profiles of the user
+ */
+export async function GET(request) {
+    try {
+        const userId = request.headers.get('x-user-id');
+        const token = request.headers.get('x-auth-token');
+        const user = await getAuthenticatedUser(userId, token);
+        if (!user) {
+            return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+        }
+
+        const partners = await partnerRepo.findByOwner(user.id);
+        return NextResponse.json({ ok: true, partners });
+    } catch (error) {
+        console.error('[API /partners] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to load trading partners' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/partners
+ * Create or replace the profile of a sender/recipient pair. Uploads from that
+ * partner are validated with it.
+ *
+ * JSON Body:
+ * - name, sender (UNB/ISA sender id), receiver (recipient id, '' = any)
+ * - syntaxVersion ('UNOC:3' or '3'), subset (e.g. 'EAN008')
+ * - requiredQualifiers: { "NAD": ["BY", "SU"], "INVOIC/RFF": ["ON"] }
+ * - codeRestrictions: [{ segment, element, component, qualifier, messageType, codes }]
+ * - severityOverrides: { "CMP_001": "info" }
+ * - amountTolerance: 0.05 (rounding difference accepted by the INVOIC amount checks, default 0.01)
+ * - disabledRules: ["BIZ_004"]
+ */
+export async function POST(request) {
+    try {
+        const userId = request.headers.get('x-user-id');
+        const token = request.headers.get('x-auth-token');
+        const user = await getAuthenticatedUser(userId, token);
+        if (!user) {
+            return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+        }
+
+        const body = await request.json().catch(() => null);
+        if (!body || typeof body !== 'object') {
+            return NextResponse.json({ ok: false, error: 'Request body must be a JSON object' }, { status: 400 });
+        }
+
+        const profile = normalizePartnerProfile(body);
+        if (!profile) {
+            return NextResponse.json({ ok: false, error: 'sender is required' }, { status: 400 });
+        }
+
+        const partner = await partnerRepo.upsert(user.id, profile);
+        return NextResponse.json({ ok: true, partner });
+    } catch (error) {
+        console.error('[API /partners] Error:', error);
+        return NextResponse.json({ ok: false, error: 'Failed to save trading partner' }, { status: 500 });
+    }
+}
@@ -895,12 +895,13 @@ export class Scheduler extends EventEmitter {
                         const validationResult = edifactValidate(executionContext.rawEdifact);
 
                         // Adapt edifactValidator output to Critic's expected format
+                        // (details cite segments as "position 12 (line 14, col 23)")
                         const errors = validationResult.failures
                             .filter(f => f.severity === 'error')
-                            .map(f => ({ field: f.ruleId, message: f.message }));
+                            .map(f => ({ field: f.code, message: f.detail || f.description }));
                         const warnings = validationResult.failures
                             .filter(f => f.severity === 'warning' || f.severity === 'info')
-                            .map(f => ({ message: `[${f.ruleId}] ${f.message}` }));
+                            .map(f => ({ message: `[${f.code}] ${f.detail || f.description}` }));
 
                         return { errors, warnings };
                     } catch (err) {
@@ -13,6 +13,7 @@
  *
  * Exports:
  * - Provider adapters: OpenAIAdapter, AnthropicAdapter
+ * - MaskingProviderAdapter: pseudonymizing wrapper around any adapter
  * - Factory functions: loadProvider(), createProvider()
  * - Metadata: PROVIDER_REGISTRY (capabilities, models)
  * - Utilities: getAvailableProviders(), getProviderMetadata()
@@ -77,10 +78,12 @@ import { getProviderRegistry, getProviderConfig } from '../config/providers.conf
 // Direct imports - no string manipulation needed
 import { OpenAIAdapter } from './openai.js';
 import { AnthropicAdapter } from './anthropic.js';
+import { MaskingProviderAdapter } from './masking.js';
 
 // Re-export provider adapters
 export { OpenAIAdapter };
 export { AnthropicAdapter };
+export { MaskingProviderAdapter };
 
 /**
  * Provider Adapter Registry - Maps provider type directly to Adapter class
@@ -0,0 +1,105 @@
+/**
+ * Masking Provider Adapter
+ * ========================
+ * Purpose: Keep sensitive EDI values (GLNs, names, addresses, IBANs, patient
+ * data) inside the network when a provider is called.
+ *
+ * Responsibilities:
+ * - Wrap any provider adapter (OpenAI, Anthropic, Ollama) with the same interface
+ * - Mask every string of the outgoing messages and system prompt with the
+ *   chat's placeholders ([PARTY_1], [NAME_2], ...)
+ * - Unmask streamed content deltas (placeholders split across deltas are held back)
+ * - Unmask the final content and the tool call arguments, so tools run on real values
+ *
+ * The masker (createMasker() from _modules/edifact/pseudonymization.js) holds
+ * the chat's mask map; building and storing it is done by
+ * lib/utils/pseudonymization.js. Agents are unaware of the wrapper.
+ */
+
+const PLACEHOLDER_NOTE = 'Some values in this conversation are pseudonymized as placeholders like [PARTY_1], [NAME_2] or [ADDRESS_3]. '
+    + 'Treat each placeholder as the real value it stands for and repeat it exactly as written; never invent or alter placeholders.';
+
+export class MaskingProviderAdapter {
+    /**
+     * @param {object} provider - Provider adapter instance (OpenAIAdapter, AnthropicAdapter)
+     * @param {object} masker - createMasker() instance of the chat
+     */
+    constructor(provider, masker) {
+        if (!provider || !masker) {
+            throw new Error('Provider and masker are required');
+        }
+        this.provider = provider;
+        this.masker = masker;
+        this.name = provider.name;
+        this.config = provider.config;
+        this.capabilities = provider.capabilities;
+        this.pseudonymized = true;
+    }
+
+    /**
+     * Mask messages and system prompt, and explain the placeholders to the model
+     * @private
+     */
+    _maskParams({ messages, systemPrompt, ...rest }) {
+        const masked = this.masker.maskDeep(messages || []);
+        return {
+            ...rest,
+            messages: [{ role: 'system', content: PLACEHOLDER_NOTE }, ...masked],
+            ...(systemPrompt ? { systemPrompt: this.masker.mask(systemPrompt) } : {})
+        };
+    }
+
+    /**
+     * Unmask tool calls in universal format ({ id, tool, arguments })
+     * @private
+     */
+    _unmaskToolCalls(toolCalls) {
+        return Array.isArray(toolCalls)
+            ? toolCalls.map(call => ({ ...call, arguments: this.masker.unmaskDeep(call.arguments) }))
+            : toolCalls;
+    }
+
+    async complete(params) {
+        const response = await this.provider.complete(this._maskParams(params));
+        return {
+            ...response,
+            content: this.masker.unmask(response.content),
+            toolCalls: this._unmaskToolCalls(response.toolCalls)
+        };
+    }
+
+    async *streamComplete(params) {
+        const stream = this.masker.createUnmaskStream();
+
+        for await (const chunk of this.provider.streamComplete(this._maskParams(params))) {
+            if (chunk.type === 'content_delta') {
+                const content = stream.push(chunk.content);
+                if (content) yield { ...chunk, content };
+                continue;
+            }
+            if (chunk.type === 'complete') {
+                const rest = stream.flush();
+                if (rest) yield { type: 'content_delta', content: rest };
+                yield {
+                    ...chunk,
+                    content: this.masker.unmask(chunk.content),
+                    toolCalls: this._unmaskToolCalls(chunk.toolCalls)
+                };
+                continue;
+            }
+            if (chunk.type === 'tool_call') {
+                yield { ...chunk, arguments: this.masker.unmaskDeep(chunk.arguments) };
+                continue;
+            }
+            yield chunk;
+        }
+    }
+
+    convertTools(tools) {
+        return this.provider.convertTools?.(tools);
+    }
+
+    formatToolResults(toolResults) {
+        return this.provider.formatToolResults?.(toolResults);
+    }
+}
@@ -5,9 +5,9 @@
  *
  * Sources:
  *   - DTM / RFF / NAD qualifier maps exported from `_modules/edifact/parser.js`
- *   - BGM document types (UN/CEFACT Code List 1001)
- *   - ISO 4217 currency codes (subset; broader coverage via `currencyConvert`)
- *   - ISO 3166-1 alpha-2 country codes (subset)
+ *   - UN/EDIFACT code lists (UNCL) and ISO 4217 / 3166-1 from
+ *     `_modules/edifact/directory/codelists.js` — the same source the
+ *     code-value validation and `lookupEdifactCode` use
  *   - EANCOM / GS1 message profiles (INVOIC, ORDERS, DESADV, ORDRSP, RECADV)
  *   - Long-form concept chunks for service segments and envelope structure
  *
@@ -20,6 +20,7 @@ import {
     RFF_QUALIFIERS,
     NAD_QUALIFIERS,
 } from '../../../_modules/edifact/parser.js';
+import { CODE_LISTS } from '../../../_modules/edifact/directory/codelists.js';
 
 const SOURCE = 'EDIFACT_CODE_LIST';
 const PROFILE_SOURCE = 'GS1_PROFILE';
@@ -54,119 +55,9 @@ const NAD_ROLE_DESCRIPTIONS = {
     II: 'The Issuer of Invoice is the party that produces and issues the invoice document. Usually identical to the Seller, but can differ in self-billing or invoicing-on-behalf-of arrangements.',
 };
 
-const QTY_QUALIFIERS = {
-    '1': 'Discrete quantity',
-    '12': 'Despatch quantity',
-    '21': 'Ordered quantity',
-    '46': 'Delivered quantity',
-    '52': 'Quantity per pack',
-    '59': 'Number of consumer units in the traded unit',
-    '61': 'Returnable container quantity',
-    '113': 'Quantity to be delivered',
-    '124': 'Damaged goods quantity',
-    '128': 'Inventoried quantity',
-    '187': 'Invoiced quantity',
-    '192': 'Free goods quantity',
-    '194': 'Received quantity',
-    '199': 'Total quantity',
-    '203': 'Cumulative quantity',
-};
-
-const MOA_QUALIFIERS = {
-    '9': 'Amount due / amount payable',
-    '38': 'Invoice item amount',
-    '39': 'Invoice total amount',
-    '52': 'Discount amount',
-    '79': 'Total line items amount',
-    '86': 'Message total monetary amount (grand total)',
-    '98': 'Original amount',
-    '113': 'Prepaid amount',
-    '124': 'Tax amount',
-    '125': 'Taxable amount',
-    '128': 'Total amount including taxes',
-    '131': 'Total charges',
-    '146': 'Unit price (basis)',
-    '176': 'Message total VAT amount',
-    '203': 'Line item amount',
-    '259': 'Total contribution amount',
-    '260': 'Original currency amount',
-};
-
-const PRI_QUALIFIERS = {
-    AAA: 'Calculation net (price excludes any allowances/charges and tax)',
-    AAB: 'Calculation gross (price includes allowances/charges, excludes tax)',
-    AAE: 'Information price (not used for calculation)',
-    AAF: 'Item unit price',
-    AAG: 'Net retail price',
-    CUP: 'Cost price',
-    DPR: 'Discount reference price',
-    INV: 'Invoice price',
-    NTP: 'Net target price',
-    RGP: 'Regulated price',
-    SRP: 'Suggested retail price',
-};
-
-const BGM_DOCUMENT_TYPES = {
-    '105': 'Purchase order',
-    '220': 'Order',
-    '221': 'Blanket order',
-    '223': 'Hire order',
-    '224': 'Spare parts order',
-    '225': 'Campaign order',
-    '226': 'Production order',
-    '227': 'Service order',
-    '241': 'Delivery instructions',
-    '242': 'Despatch advice',
-    '245': 'Delivery release',
-    '248': 'Authorization for repair',
-    '251': 'Inquiry',
-    '270': 'Delivery note',
-    '325': 'Proforma invoice',
-    '326': 'Partial invoice',
-    '380': 'Commercial invoice',
-    '381': 'Credit note',
-    '383': 'Debit note',
-    '384': 'Corrected invoice',
-    '385': 'Consolidated invoice',
-    '386': 'Prepayment invoice',
-    '389': 'Self-billed invoice',
-    '393': 'Factored invoice',
-    '394': 'Lease invoice',
-    '395': 'Consignment invoice',
-    '457': 'Order acknowledgement',
-    '632': 'Receiving advice',
-    '700': 'Customs declaration',
-    '703': 'Booking confirmation',
-    '750': 'Despatch order',
-    '751': 'Inventory report',
-};
-
-const CURRENCY_CODES = {
-    EUR: 'Euro',
-    USD: 'US Dollar',
-    GBP: 'Pound Sterling',
-    CHF: 'Swiss Franc',
-    JPY: 'Japanese Yen',
-    CNY: 'Chinese Yuan Renminbi',
-    SEK: 'Swedish Krona',
-    NOK: 'Norwegian Krone',
-    DKK: 'Danish Krone',
-    PLN: 'Polish Zloty',
-    CZK: 'Czech Koruna',
-    HUF: 'Hungarian Forint',
-    CAD: 'Canadian Dollar',
-    AUD: 'Australian Dollar',
-    TRY: 'Turkish Lira',
-};
-
-const COUNTRY_CODES = {
-    DE: 'Germany',  AT: 'Austria',  CH: 'Switzerland',  FR: 'France',
-    IT: 'Italy',    ES: 'Spain',    NL: 'Netherlands',  BE: 'Belgium',
-    LU: 'Luxembourg', GB: 'United Kingdom', IE: 'Ireland',  DK: 'Denmark',
-    SE: 'Sweden',   NO: 'Norway',   FI: 'Finland',      PL: 'Poland',
-    CZ: 'Czech Republic', SK: 'Slovakia', HU: 'Hungary', PT: 'Portugal',
-    GR: 'Greece',   US: 'United States', CA: 'Canada',  JP: 'Japan', CN: 'China',
-};
+// Lists with a dedicated chunk category below; every other bundled list is
+// emitted generically as UNCL_<element>
+const DEDICATED_CODE_LISTS = new Set(['2005', '1153', '3035', '1001', '6345', '3207', '6063', '5025', '5125']);
 
 const GS1_PROFILES = [
     {
@@ -307,7 +198,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(BGM_DOCUMENT_TYPES)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['1001'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'BGM_DOCUMENT_TYPE',
@@ -318,7 +209,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(CURRENCY_CODES)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['6345'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'CURRENCY',
@@ -329,7 +220,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(COUNTRY_CODES)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['3207'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'COUNTRY',
@@ -340,7 +231,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(QTY_QUALIFIERS)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['6063'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'QTY_QUALIFIER',
@@ -351,7 +242,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(MOA_QUALIFIERS)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['5025'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'MOA_QUALIFIER',
@@ -362,7 +253,7 @@ export const getAllChunks = () => {
         });
     }
 
-    for (const [code, label] of Object.entries(PRI_QUALIFIERS)) {
+    for (const [code, label] of Object.entries(CODE_LISTS['5125'].codes)) {
         chunks.push({
             source: SOURCE,
             category: 'PRI_QUALIFIER',
@@ -373,6 +264,20 @@ export const getAllChunks = () => {
         });
     }
 
+    for (const [elementId, list] of Object.entries(CODE_LISTS)) {
+        if (DEDICATED_CODE_LISTS.has(elementId)) continue;
+        for (const [code, label] of Object.entries(list.codes)) {
+            chunks.push({
+                source: SOURCE,
+                category: `UNCL_${elementId}`,
+                code,
+                title: `${list.name} ${code} — ${label}`,
+                content: `UN/EDIFACT data element ${elementId} (${list.name}) code ${code} means "${label}".`,
+                metadata: { codeList: elementId },
+            });
+        }
+    }
+
     for (const profile of GS1_PROFILES) {
         chunks.push({
             source: PROFILE_SOURCE,
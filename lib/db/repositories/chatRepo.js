@@ -74,6 +74,30 @@ export async function setEdifactAnalysis(id, analysis) {
     });
 }
 
+/**
+ * Store the pseudonymization mask map of a chat (domainContext.privacy.maskMap).
+ */
+export async function setMaskMap(id, maskMap) {
+    const chat = await prisma.analysisChat.findUnique({
+        where: { id },
+        select: { domainContext: true },
+    });
+    if (!chat) return null;
+
+    const next = {
+        ...(chat.domainContext || {}),
+        privacy: {
+            ...((chat.domainContext && chat.domainContext.privacy) || {}),
+            maskMap,
+        },
+    };
+
+    return prisma.analysisChat.update({
+        where: { id },
+        data: { domainContext: next },
+    });
+}
+
 export async function remove(id) {
     return prisma.analysisChat.delete({ where: { id } });
 }
@@ -85,6 +109,7 @@ export const chatRepo = {
     create,
     update,
     setEdifactAnalysis,
+    setMaskMap,
     remove,
 };
 
@@ -10,6 +10,14 @@ export async function findById(id) {
     return prisma.file.findUnique({ where: { id } });
 }
 
+export async function listByChat(chatId) {
+    if (!chatId) return [];
+    return prisma.file.findMany({
+        where: { chatId },
+        orderBy: { createdAt: 'asc' },
+    });
+}
+
 export async function create({ id, ownerId, chatId, originalName, path, size, mimetype, storage = 'local', status = 'complete', metadata = {} }) {
     return prisma.file.create({
         data: {
@@ -47,6 +55,7 @@ export async function remove(id) {
 
 export const fileRepo = {
     findById,
+    listByChat,
     create,
     update,
     setMetadata,
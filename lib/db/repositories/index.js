@@ -8,4 +8,7 @@ export { default as chatRepo } from './chatRepo.js';
 export { default as messageRepo } from './messageRepo.js';
 export { default as fileRepo } from './fileRepo.js';
 export { default as feedbackRepo } from './feedbackRepo.js';
+export { default as segmentRepo } from './segmentRepo.js';
+export { default as registryRepo } from './registryRepo.js';
+export { default as partnerRepo } from './partnerRepo.js';
 export { default as prisma } from '../prisma.js';
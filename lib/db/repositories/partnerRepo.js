@@ -0,0 +1,61 @@
+/**
+ * TradingPartner Repository
+ * =========================
+ * Per-user trading partner profiles (validation settings per UNB/ISA sender and recipient).
+ */
+import prisma from '../prisma.js';
+
+const PROFILE_FIELDS = ['name', 'sender', 'receiver', 'syntaxVersion', 'subset', 'requiredQualifiers', 'codeRestrictions', 'severityOverrides', 'amountTolerance', 'disabledRules'];
+
+function _data(profile) {
+    const data = {};
+    for (const field of PROFILE_FIELDS) {
+        if (profile[field] !== undefined) data[field] = profile[field];
+    }
+    return data;
+}
+
+export async function findByOwner(ownerId) {
+    return prisma.tradingPartner.findMany({
+        where: { ownerId },
+        orderBy: { name: 'asc' },
+    });
+}
+
+export async function findByIdAndOwner(id, ownerId) {
+    if (!id || !ownerId) return null;
+    return prisma.tradingPartner.findFirst({ where: { id, ownerId } });
+}
+
+/**
+ * Create or replace the owner's profile for a sender/recipient pair
+ *
+ * @param {string} ownerId
+ * @param {object} profile - normalizePartnerProfile() result
+ */
+export async function upsert(ownerId, profile) {
+    const data = _data(profile);
+    return prisma.tradingPartner.upsert({
+        where: { ownerId_sender_receiver: { ownerId, sender: profile.sender, receiver: profile.receiver || '' } },
+        create: { ...data, ownerId },
+        update: data,
+    });
+}
+
+export async function update(id, profile) {
+    return prisma.tradingPartner.update({ where: { id }, data: _data(profile) });
+}
+
+export async function remove(id) {
+    return prisma.tradingPartner.delete({ where: { id } });
+}
+
+export const partnerRepo = {
+    findByOwner,
+    findByIdAndOwner,
+    upsert,
+    update,
+    remove,
+};
+
+export default partnerRepo;
@@ -0,0 +1,68 @@
+/**
+ * EdifactRegistryEntry Repository
+ * ===============================
+ * Interchange and message keys of all uploads per user (re-send detection).
+ */
+import prisma from '../prisma.js';
+
+const EARLIER_LIMIT = 200;
+
+/**
+ * @param {object} source - { ownerId, chatId, fileId }
+ * @param {object} keys - registryKeysFromAnalysis() result
+ */
+export async function register({ ownerId, chatId, fileId = null }, keys) {
+    if (!ownerId || !chatId || !keys?.interchange) return { count: 0 };
+    const { sender, receiver, controlReference } = keys.interchange;
+    const base = { ownerId, chatId, fileId, sender, receiver, controlReference };
+    const data = keys.messages.length > 0
+        ? keys.messages.map(m => ({
+            ...base,
+            messageIndex: m.messageIndex,
+            messageReference: m.messageReference || null,
+            messageType: m.messageType || null,
+            documentNumber: m.documentNumber || null,
+            documentFunction: m.documentFunction || null,
+        }))
+        : [base];
+    return prisma.edifactRegistryEntry.createMany({ data });
+}
+
+/**
+ * Entries of the owner's other uploads sharing the interchange key or a document number
+ *
+ * @param {string} ownerId
+ * @param {object} keys - registryKeysFromAnalysis() result
+ * @param {string} [excludeFileId] - The upload being checked
+ */
+export async function findEarlier(ownerId, keys, excludeFileId = null) {
+    if (!ownerId || !keys?.interchange) return [];
+    const { sender, receiver, controlReference } = keys.interchange;
+    const documentNumbers = [...new Set(keys.messages.map(m => m.documentNumber).filter(Boolean))];
+
+    const or = [];
+    if (controlReference) or.push({ sender, receiver, controlReference });
+    if (documentNumbers.length > 0) or.push({ sender, receiver, documentNumber: { in: documentNumbers } });
+    if (or.length === 0) return [];
+
+    return prisma.edifactRegistryEntry.findMany({
+        where: {
+            ownerId,
+            OR: or,
+            ...(excludeFileId ? { NOT: { fileId: excludeFileId } } : {}),
+        },
+        orderBy: { createdAt: 'asc' },
+        take: EARLIER_LIMIT,
+        include: {
+            chat: { select: { name: true } },
+            file: { select: { originalName: true } },
+        },
+    });
+}
+
+export const registryRepo = {
+    register,
+    findEarlier,
+};
+
+export default registryRepo;
@@ -0,0 +1,75 @@
+/**
+ * EdifactSegment Repository
+ * =========================
+ * Paged storage of the full parsed segment list per analysis chat.
+ */
+import prisma from '../prisma.js';
+
+export async function createMany(chatId, segments) {
+    if (!chatId || !Array.isArray(segments) || segments.length === 0) return { count: 0 };
+    const data = segments.map(seg => ({
+        chatId,
+        position: seg.position,
+        line: Number.isInteger(seg.line) ? seg.line : null,
+        column: Number.isInteger(seg.column) ? seg.column : null,
+        byteOffset: Number.isInteger(seg.byteOffset) ? seg.byteOffset : null,
+        tag: seg.tag,
+        content: seg.content || '',
+        fields: Array.isArray(seg.fields) ? seg.fields : [],
+        messageIndex: Number.isInteger(seg.messageIndex) ? seg.messageIndex : null,
+        sgPath: seg.sgPath || null,
+        sgParent: Number.isInteger(seg.sgParent) ? seg.sgParent : null,
+    }));
+    return prisma.edifactSegment.createMany({ data, skipDuplicates: true });
+}
+
+export async function count(chatId, filter = {}) {
+    if (!chatId) return 0;
+    return prisma.edifactSegment.count({
+        where: { chatId, ...filter },
+    });
+}
+
+/**
+ * @param {string} chatId
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize
+ * @param {object} filter - { tag, messageIndex }
+ */
+export async function listPaginated(chatId, page = 1, pageSize = 500, { tag, messageIndex } = {}) {
+    const where = {
+        ...(tag ? { tag } : {}),
+        ...(Number.isInteger(messageIndex) ? { messageIndex } : {}),
+    };
+    const skip = (page - 1) * pageSize;
+    const total = await count(chatId, where);
+    const segments = await prisma.edifactSegment.findMany({
+        where: { chatId, ...where },
+        orderBy: { position: 'asc' },
+        skip,
+        take: pageSize,
+        select: { position: true, line: true, column: true, byteOffset: true, tag: true, content: true, fields: true, messageIndex: true, sgPath: true, sgParent: true },
+    });
+    return {
+        segments,
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: skip + segments.length < total,
+    };
+}
+
+export async function removeForChat(chatId) {
+    if (!chatId) return { count: 0 };
+    return prisma.edifactSegment.deleteMany({ where: { chatId } });
+}
+
+export const segmentRepo = {
+    createMany,
+    count,
+    listPaginated,
+    removeForChat,
+};
+
+export default segmentRepo;
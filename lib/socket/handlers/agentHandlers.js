@@ -3,6 +3,7 @@ import { getAuthenticatedUser, getAnalysisChat } from '../../auth.js';
 import { prepareConversation } from '../../utils/messageUtils.js';
 import { createChatMessages } from '../../messageHelpers.js';
 import { runEdifactAnalysis } from '../../utils/edifactAnalysisRunner.js';
+import { pseudonymizeProvider } from '../../utils/pseudonymization.js';
 import { randomUUID } from 'crypto';
 
 /**
@@ -158,13 +159,20 @@ function _handleAgentInvoke(socket) {
                 console.log(`[Socket ${socket.id}] Using session-stored rawEdifact for follow-up`);
             }
 
+            // Sensitive EDI values are masked before they reach an external provider
+            const provider = await pseudonymizeProvider(
+                socket.sessionContext.provider,
+                socket.sessionContext.analysisChat,
+                { rawEdifact }
+            );
+
             // Build execution context (only execution-specific data, not session data)
             const executionContext = {
                 ...context, // domain data, etc
                 //Session data
                 analysisChat: socket.sessionContext.analysisChat,
                 authenticatedUser: socket.sessionContext.authenticatedUser,
-                provider: socket.sessionContext.provider,
+                provider,
                 // Per-message analysis (fresh from worker for this invoke)
                 messageAnalysis,
                 // Raw EDIFACT string for tool execution (tools need this as `raw` argument)
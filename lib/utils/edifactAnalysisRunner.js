@@ -10,13 +10,14 @@
  *
  * Detection order:
  * 1. X12 (ISA*...) — checked first (fixed-length ISA header)
- * 2. UN/EDIFACT (UNB+...) — checked second
+ * 2. UN/EDIFACT (UNB+... or interactive UIB+/UIH+, e.g. NCPDP SCRIPT) — checked second
  *
  * Designed to run in the agent handler flow (not in a worker thread)
  * so the result is immediately available for the agent pipeline.
  */
 import { readFileSync, existsSync } from 'fs';
-import { buildAnalysis } from '../../_workers/edifactAnalysisBuilder.js';
+import { buildAnalysis } from '../../_modules/edifact/analysisBuilder.js';
+import { decodeEdifactBuffer } from '../../_modules/edifact/charset.js';
 import { buildX12Analysis } from '../../_workers/x12AnalysisBuilder.js';
 import { fileRepo } from '../db/repositories/index.js';
 
@@ -24,7 +25,7 @@ import { fileRepo } from '../db/repositories/index.js';
  * Common EDIFACT segment tags used to detect raw EDIFACT in text.
  * @private
  */
-const EDIFACT_INDICATORS = ['UNA', 'UNB', 'UNH', 'BGM', 'DTM', 'NAD', 'LIN', 'UNT', 'UNZ'];
+const EDIFACT_INDICATORS = ['UNA', 'UNB', 'UNH', 'BGM', 'DTM', 'NAD', 'LIN', 'UNT', 'UNZ', 'UIB', 'UIH', 'UIT', 'UIZ'];
 
 /**
  * Common X12 segment tags used to detect raw X12 in text.
@@ -95,8 +96,8 @@ function _extractX12FromText(text) {
 function _extractEdifactFromText(text) {
     if (!text || typeof text !== 'string') return null;
 
-    // Must contain at least UNB or UNH with field separator to be EDIFACT
-    const hasEnvelope = /UNB\+/.test(text) || /UNH\+/.test(text);
+    // Must contain at least UNB or UNH (UIB or UIH for interactive EDIFACT) with field separator to be EDIFACT
+    const hasEnvelope = /U[NI][BH]\+/.test(text);
     if (!hasEnvelope) return null;
 
     // Count how many EDIFACT segment tags appear with + separator
@@ -108,10 +109,10 @@ function _extractEdifactFromText(text) {
     // Need at least 3 EDIFACT segments to consider it valid
     if (segmentCount < 3) return null;
 
-    // Extract the EDIFACT portion: from UNA or UNB to the end of the last segment
-    const unaStart = text.indexOf('UNA');
-    const unbStart = text.indexOf('UNB');
-    const edifactStart = unaStart !== -1 ? unaStart : unbStart;
+    // Extract the EDIFACT portion: from UNA, UNB or UIB (UIH without envelope) to the end of the last segment
+    const edifactStart = ['UNA', 'UNB', 'UIB', 'UIH']
+        .map(tag => text.indexOf(tag))
+        .find(index => index !== -1) ?? -1;
 
     if (edifactStart === -1) return null;
 
@@ -190,11 +191,14 @@ async function _analyzeFile(fileId, userContext) {
         return null;
     }
 
-    const rawContent = readFileSync(fileDoc.path, 'utf8');
+    // Decode with the charset declared in UNB (UNOC = ISO 8859-1, UNOY = UTF-8, ...)
+    const buffer = readFileSync(fileDoc.path);
+    const { text: rawContent, encoding } = decodeEdifactBuffer(buffer);
     const fileInfo = {
         name: fileDoc.originalName || 'upload.edi',
-        size: fileDoc.size || Buffer.byteLength(rawContent, 'utf8'),
+        size: fileDoc.size || buffer.length,
         path: fileDoc.path,
+        encoding,
     };
 
     const analysis = buildAnalysis(rawContent, fileInfo, userContext);
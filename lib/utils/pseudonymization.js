@@ -0,0 +1,194 @@
+/**
+ * Pseudonymization of LLM Provider Calls
+ * ======================================
+ * Builds the mask map of a chat and wraps the provider so sensitive EDI
+ * values never reach it unmasked (see _modules/edifact/pseudonymization.js
+ * and lib/ai/providers/masking.js).
+ *
+ * The mask map is stored in AnalysisChat.domainContext.privacy.maskMap:
+ * placeholders stay stable across the whole conversation, and every file of
+ * the chat is scanned once (maskMap.sources holds the scanned file ids).
+ * Pasted EDI of a message is added on every request.
+ *
+ * Configuration (chat setting wins over environment):
+ * - settings.privacy.pseudonymization / LLM_PSEUDONYMIZATION:
+ *     'external' (default) — mask unless the model runs on a local Ollama server
+ *     'always'             — mask for every provider
+ *     'off'                — send values unmasked
+ * - settings.privacy.categories / LLM_PSEUDONYMIZATION_CATEGORIES (comma separated):
+ *     PARTY_ID, NAME, ADDRESS, CONTACT, ACCOUNT, BANK, TAX_ID, PERSON, CREDENTIAL (default: all)
+ */
+import { createReadStream, existsSync } from 'fs';
+import { detectDelimiters, createTokenizer, segmentFromToken } from '../../_modules/edifact/parser.js';
+import { detectSyntaxIdentifier, resolveEncoding } from '../../_modules/edifact/charset.js';
+import { isSegmentTag, startsSegment } from '../../_modules/edifact/recovery.js';
+import {
+    PSEUDONYM_CATEGORIES,
+    createSensitiveValueCollector,
+    collectSensitiveValues,
+    createMasker
+} from '../../_modules/edifact/pseudonymization.js';
+import { MaskingProviderAdapter } from '../ai/providers/masking.js';
+import { chatRepo, fileRepo } from '../db/repositories/index.js';
+
+export const PSEUDONYMIZATION_MODES = ['external', 'always', 'off'];
+
+const _LOCAL_HOSTS = /^(localhost|127\.\d+\.\d+\.\d+|\[::1\]|::1|host\.docker\.internal|ollama|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+)$/i;
+
+/**
+ * Effective pseudonymization settings for a chat and provider
+ *
+ * @param {object} chat - AnalysisChat
+ * @param {object} provider - Provider adapter instance
+ * @returns {{ enabled: boolean, mode: string, categories: string[] }}
+ */
+export function resolvePseudonymization(chat, provider) {
+    const privacy = chat?.settings?.privacy || {};
+    const configured = String(privacy.pseudonymization || process.env.LLM_PSEUDONYMIZATION || 'external').toLowerCase();
+    const mode = PSEUDONYMIZATION_MODES.includes(configured) ? configured : 'external';
+
+    const requested = Array.isArray(privacy.categories)
+        ? privacy.categories
+        : (process.env.LLM_PSEUDONYMIZATION_CATEGORIES || '').split(',').map(c => c.trim()).filter(Boolean);
+    const known = requested.filter(c => PSEUDONYM_CATEGORIES[c]);
+    const categories = known.length > 0 ? known : Object.keys(PSEUDONYM_CATEGORIES);
+
+    const enabled = mode === 'always' || (mode === 'external' && !_isLocalProvider(provider));
+    return { enabled, mode, categories };
+}
+
+/**
+ * Mask map of a chat, extended by files not scanned yet and the request's raw EDI
+ *
+ * @param {object} chat - AnalysisChat
+ * @param {object} [options]
+ * @param {string} [options.rawEdifact] - EDI pasted into the current message
+ * @param {string[]} [options.categories] - Categories to collect
+ * @returns {Promise<object>} createMasker() instance
+ */
+export async function loadChatMasker(chat, { rawEdifact = null, categories } = {}) {
+    const masker = createMasker(chat.domainContext?.privacy?.maskMap || null);
+    let changed = false;
+
+    const files = await fileRepo.listByChat(chat.id);
+    for (const file of files) {
+        if (file.status !== 'complete' || masker.sources.includes(file.id)) continue;
+        if (!file.path || !existsSync(file.path)) continue;
+        // No fallback: an unscanned file would reach the provider unmasked
+        let values;
+        try {
+            values = await _collectFromFile(file.path, { categories, override: chat.domainContext?.edifact?.delimiters });
+        } catch (err) {
+            throw new Error(`Pseudonymization failed for file ${file.originalName}: ${err.message}`);
+        }
+        masker.add(values);
+        masker.sources.push(file.id);
+        changed = true;
+    }
+
+    if (rawEdifact && masker.add(collectSensitiveValues(rawEdifact, { categories })) > 0) {
+        changed = true;
+    }
+
+    if (changed) {
+        const maskMap = masker.toJSON();
+        // The session keeps the chat in memory across requests
+        chat.domainContext = {
+            ...chat.domainContext,
+            privacy: { ...chat.domainContext?.privacy, maskMap }
+        };
+        try {
+            await chatRepo.setMaskMap(chat.id, maskMap);
+        } catch (err) {
+            console.error(`[Pseudonymization] Failed to store mask map of chat ${chat.id}:`, err.message);
+        }
+    }
+    return masker;
+}
+
+/**
+ * Provider for one request: wrapped with the chat's masker when
+ * pseudonymization is enabled, else the provider itself
+ *
+ * @param {object} provider - Provider adapter instance
+ * @param {object} chat - AnalysisChat
+ * @param {object} [options]
+ * @param {string} [options.rawEdifact] - EDI pasted into the current message
+ * @returns {Promise<object>} Provider adapter (MaskingProviderAdapter when masked)
+ */
+export async function pseudonymizeProvider(provider, chat, { rawEdifact = null } = {}) {
+    const { enabled, categories } = resolvePseudonymization(chat, provider);
+    if (!enabled) return provider;
+
+    const masker = await loadChatMasker(chat, { rawEdifact, categories });
+    return new MaskingProviderAdapter(provider, masker);
+}
+
+/**
+ * True if the provider runs on this network: an Ollama server on a local or
+ * private host with a local model (Ollama cloud models are forwarded)
+ * @private
+ */
+function _isLocalProvider(provider) {
+    if (provider?.name !== 'ollama') return false;
+    if (/cloud$/i.test(provider.config?.model || '')) return false;
+    try {
+        return _LOCAL_HOSTS.test(new URL(provider.config?.baseUrl || '').hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Stream a stored file and collect its sensitive values
+ * (EDIFACT segment by segment, X12 as a whole)
+ * @private
+ */
+async function _collectFromFile(filePath, { categories, override = null } = {}) {
+    const collector = createSensitiveValueCollector({ categories });
+    let decoder = null;
+    let tokenizer = null;
+    let delimiters = null;
+    let head = '';
+    let x12 = null;
+
+    const consume = (text) => {
+        if (x12 !== null) {
+            x12 += text;
+            return;
+        }
+        if (!tokenizer) {
+            head += text;
+            if (head.length < 10) return;
+            if (/^\uFEFF?\s*ISA/.test(head)) {
+                x12 = head;
+                return;
+            }
+            delimiters = detectDelimiters(head, { override, isSegmentTag });
+            tokenizer = createTokenizer(delimiters, { resync: true, isSegmentTag: startsSegment });
+            text = head;
+            head = '';
+        }
+        for (const token of tokenizer.push(text)) {
+            collector.addSegment(segmentFromToken(token), delimiters);
+        }
+    };
+
+    for await (const chunk of createReadStream(filePath, { highWaterMark: 256 * 1024 })) {
+        if (!decoder) {
+            decoder = new TextDecoder(resolveEncoding(detectSyntaxIdentifier(chunk).syntaxIdentifier, chunk));
+        }
+        consume(decoder.decode(chunk, { stream: true }));
+    }
+    if (decoder) consume(decoder.decode());
+
+    if (x12 !== null || (!tokenizer && head)) {
+        return collectSensitiveValues(x12 ?? head, { categories });
+    }
+    if (tokenizer) {
+        for (const token of tokenizer.flush()) {
+            collector.addSegment(segmentFromToken(token), delimiters);
+        }
+    }
+    return collector.values();
+}
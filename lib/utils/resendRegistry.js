@@ -0,0 +1,63 @@
+/**
+ * Re-send Registry
+ * ================
+ * Checks every upload against the owner's earlier uploads and registers its
+ * interchange and message keys (see _modules/edifact/resendDetection.js).
+ *
+ * The registry is per user: all chats of the user form the workspace that a
+ * re-send is searched in. The result is stored with the analysis
+ * (analysis.resends) and links to the chats of the earlier uploads.
+ */
+import { parseRawEdifact } from '../../_modules/edifact/parser.js';
+import { decodeEdifactBuffer } from '../../_modules/edifact/charset.js';
+import {
+    registryKeysFromAnalysis,
+    registryKeysFromSegments,
+    findResends,
+    describeResends
+} from '../../_modules/edifact/resendDetection.js';
+import { registryRepo } from '../db/repositories/index.js';
+
+/**
+ * Check an upload's keys against earlier uploads, then register them
+ *
+ * @param {object} source - { ownerId, chatId, fileId }
+ * @param {object} keys - registryKeysFromAnalysis()/registryKeysFromSegments() result
+ * @returns {Promise<object>} findResends() result
+ */
+export async function checkAndRegister(source, keys) {
+    const earlier = await registryRepo.findEarlier(source.ownerId, keys, source.fileId);
+    const resends = findResends(keys, earlier);
+    await registryRepo.register(source, keys);
+    return resends;
+}
+
+/**
+ * Check and register an analysed upload; the result is added to the
+ * analysis (resends, LLM context)
+ *
+ * @param {object} source - { ownerId, chatId, fileId }
+ * @param {object} analysis - Analysis result of the upload (changed in place)
+ * @returns {Promise<object>} findResends() result
+ */
+export async function registerAnalysis(source, analysis) {
+    const resends = await checkAndRegister(source, registryKeysFromAnalysis(analysis));
+    analysis.resends = resends;
+    const lines = describeResends(resends);
+    if (lines.length > 0 && typeof analysis.llmContext === 'string') {
+        analysis.llmContext += `\n${lines.join('\n')}`;
+    }
+    return resends;
+}
+
+/**
+ * Check and register an uploaded UN/EDIFACT file that is not analysed
+ *
+ * @param {object} source - { ownerId, chatId, fileId }
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<object>} findResends() result
+ */
+export async function registerBuffer(source, buffer) {
+    const { text } = decodeEdifactBuffer(buffer);
+    return checkAndRegister(source, registryKeysFromSegments(parseRawEdifact(text).segments));
+}
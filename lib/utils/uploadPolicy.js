@@ -0,0 +1,32 @@
+/**
+ * Upload Policy
+ * =============
+ * File types and sizes accepted for EDI uploads: the analysis upload
+ * (POST /api/generate/session) and workspace documents
+ * (POST /api/chats/[sessionId]/documents).
+ */
+import path from 'path';
+
+// Translators and VANs name EDI files in many ways, often without an extension
+export const ALLOWED_UPLOAD_EXTENSIONS = ['', '.edi', '.edifact', '.edf', '.x12', '.txt', '.dat', '.int', '.msg'];
+
+// Browsers send EDI files as text, octet-stream or one of the EDI media types (RFC 1767)
+const _ALLOWED_MIME_TYPES = ['application/octet-stream', 'application/edifact', 'application/edi-x12', 'application/edi-consent'];
+
+// The analysis streams the file, the limit only keeps the uploads directory in bounds
+export const MAX_UPLOAD_SIZE = 200 * 1024 * 1024;
+
+/**
+ * True if the file name and (when the client sent one) media type are accepted
+ *
+ * @param {string} filename - Original file name
+ * @param {string} [mimetype] - Media type reported by the client
+ * @returns {boolean}
+ */
+export function isAllowedUpload(filename, mimetype = '') {
+    const extension = path.extname(String(filename || '')).toLowerCase();
+    if (!ALLOWED_UPLOAD_EXTENSIONS.includes(extension)) return false;
+
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return type === '' || type.startsWith('text/') || _ALLOWED_MIME_TYPES.includes(type);
+}
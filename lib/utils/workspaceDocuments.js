@@ -0,0 +1,126 @@
+/**
+ * Workspace Documents
+ * ===================
+ * Trade documents (ORDERS, DESADV, INVOIC) of all files uploaded to one
+ * analysis chat, the input of the three-way match, and the stored file
+ * content for the semantic diff.
+ *
+ * The chat is the workspace: the first upload starts it, further documents
+ * are added with POST /api/chats/[sessionId]/documents. Each file is parsed
+ * once; its document descriptions are kept in File.metadata.documents.
+ */
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { parseRawEdifact } from '../../_modules/edifact/parser.js';
+import { decodeEdifactBuffer } from '../../_modules/edifact/charset.js';
+import { numericOptions } from '../../_modules/edifact/numeric.js';
+import { describeDocuments, matchDocuments } from '../../_modules/edifact/documentMatching.js';
+import { fileRepo } from '../db/repositories/index.js';
+
+// Larger files are interchanges of many messages, not single trade documents
+export const MAX_MATCH_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Describe the trade documents of an EDIFACT buffer
+ *
+ * @param {Buffer} buffer - File content
+ * @param {object} [source] - { fileId, name } stored with every document
+ * @returns {object[]} describeDocuments() results
+ */
+export function describeBuffer(buffer, source = {}) {
+    const { text } = decodeEdifactBuffer(buffer);
+    const { segments, delimiters } = parseRawEdifact(text);
+    const unb = segments.find(s => s.tag === 'UNB' || s.tag === 'UIB');
+    return describeDocuments(segments, { numeric: numericOptions(delimiters, unb), source });
+}
+
+/**
+ * Trade documents of all files of a chat
+ *
+ * @param {string} chatId
+ * @returns {Promise<{ documents: object[], files: object[] }>}
+ *          files: { fileId, name, status, documentCount, skipped }
+ */
+export async function loadWorkspaceDocuments(chatId) {
+    const files = await fileRepo.listByChat(chatId);
+    const documents = [];
+    const fileSummaries = [];
+
+    for (const file of files) {
+        const summary = { fileId: file.id, name: file.originalName, status: file.status, documentCount: 0, skipped: null };
+        fileSummaries.push(summary);
+
+        let described = file.metadata?.documents;
+        if (!Array.isArray(described)) {
+            described = await _describeFile(file, summary);
+            if (!described) continue;
+            try {
+                await fileRepo.setMetadata(file.id, { ...(file.metadata || {}), documents: described });
+            } catch (err) {
+                console.error(`[Workspace] Failed to store documents of file ${file.id}:`, err.message);
+            }
+        }
+        summary.documentCount = described.length;
+        documents.push(...described);
+    }
+
+    return { documents, files: fileSummaries };
+}
+
+/**
+ * Three-way match report of a chat
+ *
+ * @param {string} chatId
+ * @param {object} [options] - matchDocuments() options
+ * @returns {Promise<{ files: object[], documents: object[], report: object }>}
+ */
+export async function matchWorkspaceDocuments(chatId, options = {}) {
+    const { documents, files } = await loadWorkspaceDocuments(chatId);
+    return {
+        files,
+        documents: documents.map(({ lines, ...doc }) => ({ ...doc, lineCount: lines.length })),
+        report: matchDocuments(documents, options)
+    };
+}
+
+/**
+ * Decoded content of one file of a chat
+ *
+ * @param {string} chatId
+ * @param {string} [nameOrId] - File id or original name; default: the chat's first upload
+ * @param {object} [options]
+ * @param {number} [options.maxSize] - Larger files are not read (text: null, tooLarge: true)
+ * @returns {Promise<{ file: object, text: string|null, tooLarge?: boolean }|null>} null when the file is not found or not stored
+ */
+export async function readWorkspaceFile(chatId, nameOrId, { maxSize } = {}) {
+    const files = await fileRepo.listByChat(chatId);
+    const file = nameOrId
+        ? files.find(f => f.id === nameOrId) || files.find(f => f.originalName === nameOrId)
+        : files.find(f => f.status === 'complete');
+    if (!file || !file.path || !existsSync(file.path)) return null;
+    if (maxSize !== undefined && file.size > maxSize) return { file, text: null, tooLarge: true };
+
+    const { text } = decodeEdifactBuffer(await readFile(file.path));
+    return { file, text };
+}
+
+/**
+ * Read and describe one stored file; null (with summary.skipped) when it cannot be matched
+ * @private
+ */
+async function _describeFile(file, summary) {
+    if (file.status !== 'complete') {
+        summary.skipped = `File is ${file.status}`;
+        return null;
+    }
+    if (!file.path || !existsSync(file.path)) {
+        summary.skipped = 'File is no longer stored';
+        return null;
+    }
+    if (file.size > MAX_MATCH_FILE_SIZE) {
+        summary.skipped = `File is larger than ${MAX_MATCH_FILE_SIZE / 1024 / 1024} MB`;
+        return null;
+    }
+    const buffer = await readFile(file.path);
+    return describeBuffer(buffer, { fileId: file.id, name: file.originalName });
+}
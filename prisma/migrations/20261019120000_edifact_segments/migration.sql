@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Paged EDIFACT segment store
+-- ============================================================================
+-- The upload worker now streams files and persists every parsed segment in
+-- pages keyed by chat. The inline segmentDetails array in the chat's
+-- domainContext stays a 5000-segment preview; UI and API page through this
+-- table for the rest.
+--
+-- All statements are idempotent so a partial earlier run can be re-applied
+-- cleanly after rolling back the migration record.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS edifact_segments (
+    id             uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+    chat_id        uuid          NOT NULL REFERENCES analysis_chats(id) ON DELETE CASCADE,
+    position       integer       NOT NULL,
+    tag            text          NOT NULL,
+    content        text          NOT NULL,
+    fields         jsonb         NOT NULL DEFAULT '[]'::jsonb,
+    message_index  integer,
+    created_at     timestamptz   NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS edifact_segments_chat_id_position_key
+    ON edifact_segments (chat_id, position);
+
+CREATE INDEX IF NOT EXISTS edifact_segments_chat_id_tag_idx
+    ON edifact_segments (chat_id, tag);
+
+CREATE INDEX IF NOT EXISTS edifact_segments_chat_id_message_index_idx
+    ON edifact_segments (chat_id, message_index);
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- Segment group paths for stored EDIFACT segments
+-- ============================================================================
+-- The upload worker resolves every segment against the message structure
+-- (branching diagram) of its message type. The group path (SG2/NAD/SG5/CTA)
+-- and the position of the enclosing group's trigger segment are stored so
+-- paged views can rebuild the real group hierarchy.
+--
+-- Both columns are nullable: envelope segments and message types without a
+-- structure definition have no group path.
+-- ============================================================================
+
+ALTER TABLE edifact_segments ADD COLUMN IF NOT EXISTS sg_path text;
+ALTER TABLE edifact_segments ADD COLUMN IF NOT EXISTS sg_parent integer;
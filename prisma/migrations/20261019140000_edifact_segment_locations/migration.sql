@@ -0,0 +1,15 @@
+-- ============================================================================
+-- Source locations for stored EDIFACT segments
+-- ============================================================================
+-- The tokenizer records where every segment starts in the uploaded file:
+-- 1-based line and column of the decoded text and the byte offset in the
+-- original bytes. Paged segment views and tools cite "line 14, col 1"
+-- instead of the segment index only.
+--
+-- All columns are nullable: segments stored before this migration have no
+-- recorded location.
+-- ============================================================================
+
+ALTER TABLE edifact_segments ADD COLUMN IF NOT EXISTS line_number integer;
+ALTER TABLE edifact_segments ADD COLUMN IF NOT EXISTS column_number integer;
+ALTER TABLE edifact_segments ADD COLUMN IF NOT EXISTS byte_offset integer;
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- EDIFACT registry for cross-upload duplicate detection
+-- ============================================================================
+-- Duplicates inside one file are found by the validator; re-sends arrive as
+-- separate uploads days apart. Every upload now registers one row per
+-- message with its UNB sender, recipient and control reference, UNH
+-- reference and BGM document number. New uploads are checked against the
+-- owner's earlier rows and flagged as possible re-sends.
+--
+-- All statements are idempotent so a partial earlier run can be re-applied
+-- cleanly after rolling back the migration record.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS edifact_registry (
+    id                 uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id           uuid          NOT NULL REFERENCES users(id)          ON DELETE CASCADE,
+    chat_id            uuid          NOT NULL REFERENCES analysis_chats(id) ON DELETE CASCADE,
+    file_id            uuid                   REFERENCES files(id)          ON DELETE CASCADE,
+    sender             text          NOT NULL,
+    receiver           text          NOT NULL,
+    control_reference  text          NOT NULL,
+    message_index      integer,
+    message_reference  text,
+    message_type       text,
+    document_number    text,
+    document_function  text,
+    created_at         timestamptz   NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS edifact_registry_owner_id_sender_receiver_control_reference_idx
+    ON edifact_registry (owner_id, sender, receiver, control_reference);
+
+CREATE INDEX IF NOT EXISTS edifact_registry_owner_id_message_type_document_number_idx
+    ON edifact_registry (owner_id, message_type, document_number);
+
+CREATE INDEX IF NOT EXISTS edifact_registry_file_id_idx
+    ON edifact_registry (file_id);
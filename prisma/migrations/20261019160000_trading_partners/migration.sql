@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Trading partner profiles with per-partner validation settings
+-- ============================================================================
+-- Every retailer publishes its own message implementation guideline on top
+-- of EANCOM. A profile per interchange sender/recipient stores the expected
+-- syntax version and subset, required qualifiers, code restrictions,
+-- severity overrides and disabled generic rules; uploads from that partner
+-- are validated with it.
+--
+-- All statements are idempotent so a partial earlier run can be re-applied
+-- cleanly after rolling back the migration record.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS trading_partners (
+    id                   uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id             uuid          NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name                 text          NOT NULL,
+    sender               text          NOT NULL,
+    receiver             text          NOT NULL DEFAULT '',
+    syntax_version       text          NOT NULL DEFAULT '',
+    subset               text          NOT NULL DEFAULT '',
+    required_qualifiers  jsonb         NOT NULL DEFAULT '{}',
+    code_restrictions    jsonb         NOT NULL DEFAULT '[]',
+    severity_overrides   jsonb         NOT NULL DEFAULT '{}',
+    disabled_rules       text[]        NOT NULL DEFAULT '{}',
+    created_at           timestamptz   NOT NULL DEFAULT now(),
+    updated_at           timestamptz   NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS trading_partners_owner_id_sender_receiver_key
+    ON trading_partners (owner_id, sender, receiver);
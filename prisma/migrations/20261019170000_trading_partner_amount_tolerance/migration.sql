@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Amount tolerance per trading partner
+-- ============================================================================
+-- Rounding difference accepted by the INVOIC amount reconciliation
+-- (BIZ_006–BIZ_010). NULL keeps the default of 0.01.
+-- ============================================================================
+
+ALTER TABLE trading_partners ADD COLUMN IF NOT EXISTS amount_tolerance double precision;